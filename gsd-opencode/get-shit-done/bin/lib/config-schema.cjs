@@ -41,7 +41,7 @@ const VALID_CONFIG_KEYS = new Set([
   'workflow.security_block_on',
   'workflow.drift_threshold',
   'workflow.drift_action',
-  'git.branching_strategy', 'git.base_branch', 'git.phase_branch_template', 'git.milestone_branch_template', 'git.quick_branch_template',
+  'git.branching_strategy', 'git.base_branch', 'git.forge', 'git.phase_branch_template', 'git.milestone_branch_template', 'git.quick_branch_template',
   'planning.commit_docs', 'planning.search_gitignored', 'planning.sub_repos',
   'review.ollama_host', 'review.lm_studio_host', 'review.llama_cpp_host',
   'workflow.cross_ai_execution', 'workflow.cross_ai_command', 'workflow.cross_ai_timeout',
@@ -49,6 +49,9 @@ const VALID_CONFIG_KEYS = new Set([
   'workflow.inline_plan_threshold',
   'hooks.context_warnings',
   'hooks.workflow_guard',
+  'budget.per_phase_usd', 'budget.per_milestone_usd',
+  'parallelization.max_concurrent', 'parallelization.scheduler',
+  'search.providers', 'search.searxng_url', 'search.cache_ttl_hours',
   'workflow.context_coverage_gate',
   'statusline.show_last_command',
   'workflow.ui_review',
@@ -263,6 +263,26 @@ describe('CLITransport', () => {
     expect(output).toBe(`${CYAN}◆ research${RESET}`);
   });
 
+  it('formats ContextBudgeted as a dim summary of what was cut', () => {
+    const stream = new PassThrough();
+    const transport = new CLITransport(stream);
+
+    transport.onEvent({
+      ...makeBase(),
+      type: GSDEventType.ContextBudgeted,
+      phaseType: 'plan',
+      phaseNumber: '01',
+      budgetTokens: 3000,
+      totalTokens: 9000,
+      usedTokens: 2800,
+      condensed: ['CONTEXT.md#Phase 1'],
+      dropped: ['CONTEXT.md#Phase 2', 'RESEARCH.md#Notes'],
+    } as GSDEvent);
+
+    const output = readOutput(stream);
+    expect(output).toBe(`${DIM}⋯ plan context fitted to 3000 tokens (9000 → 2800): 1 condensed, 2 dropped${RESET}`);
+  });
+
   it('formats PhaseStepComplete green ✓ on success, red ✗ on failure', () => {
     const stream = new PassThrough();
     const transport = new CLITransport(stream);
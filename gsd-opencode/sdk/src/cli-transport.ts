@@ -99,12 +99,21 @@ export class CLITransport implements TransportHandler {
           ? `${GREEN}✓ ${event.step}${RESET} ${DIM}${event.durationMs}ms${RESET}`
           : `${RED}✗ ${event.step}${RESET} ${DIM}${event.durationMs}ms${RESET}`;
 
+      case GSDEventType.BudgetExceeded:
+        return `${RED}✗ Budget cap reached before ${event.step} — ${event.scope} spent ${usd(event.spentUsd)} of ${usd(event.capUsd)}${RESET}`;
+
+      case GSDEventType.ContextBudgeted:
+        return `${DIM}⋯ ${event.phaseType} context fitted to ${event.budgetTokens} tokens (${event.totalTokens} → ${event.usedTokens}): ${event.condensed.length} condensed, ${event.dropped.length} dropped${RESET}`;
+
       case GSDEventType.WaveStart:
         return `${YELLOW}⟫ Wave ${event.waveNumber} (${event.planCount} plans)${RESET}`;
 
       case GSDEventType.WaveComplete:
         return `[${time}] [WAVE] Wave ${event.waveNumber} complete — ${GREEN}${event.successCount} success${RESET}, ${RED}${event.failureCount} failed${RESET}, ${event.durationMs}ms`;
 
+      case GSDEventType.PlanStarted:
+        return `${CYAN}▸ Plan ${event.planId}${RESET} ${DIM}(${event.running} running)${RESET}`;
+
       case GSDEventType.CostUpdate: {
         this.runningCostUsd += event.sessionCostUsd;
         return `${DIM}[${time}] Cost: session ${usd(event.sessionCostUsd)}, running ${usd(this.runningCostUsd)}${RESET}`;
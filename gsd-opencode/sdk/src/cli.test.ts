@@ -1,6 +1,13 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { parseCliArgs, resolveInitInput, USAGE, type ParsedCliArgs } from './cli.js';
-import { mkdir, writeFile, rm } from 'node:fs/promises';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'node:events';
+import { parseCliArgs, resolveInitInput, resolveSessionBackend, installInterruptHandler, finishMilestoneRun, formatQueryIntrospection, startRunTransports, USAGE, type ParsedCliArgs } from './cli.js';
+import type { GSD } from './index.js';
+import { createRegistry } from './query/index.js';
+import { RecordingBackend } from './session-recording.js';
+import { WSTransport } from './ws-transport.js';
+import { GSDError, ErrorClassification, exitCodeFor } from './errors.js';
+import { mkdir, mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { createServer, type AddressInfo } from 'node:net';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
 
@@ -50,6 +57,33 @@ describe('parseCliArgs', () => {
     expect(result.wsPort).toBe(8080);
   });
 
+  it('parses events filters', () => {
+    const result = parseCliArgs(['events', 'latest', '--type', 'phase_start,cost_update', '--type', 'plan_started', '--phase', '2', '--summary']);
+
+    expect(result.command).toBe('events');
+    expect(result.prompt).toBe('latest');
+    expect(result.events).toEqual({ types: ['phase_start', 'cost_update', 'plan_started'], phase: '2', plan: undefined, summary: true });
+    expect(parseCliArgs(['run', 'x']).events).toBeUndefined();
+  });
+
+  it('parses --gate-timeout seconds into milliseconds', () => {
+    expect(parseCliArgs(['auto', '--ws-port', '9090', '--gate-timeout', '30']).gateTimeoutMs).toBe(30_000);
+    expect(parseCliArgs(['auto']).gateTimeoutMs).toBeUndefined();
+  });
+
+  it('parses --http-port as number', () => {
+    expect(parseCliArgs(['auto', '--http-port', '4318']).httpPort).toBe(4318);
+    expect(parseCliArgs(['query', 'state.load', '--http-port', '4318']).httpPort).toBe(4318);
+    expect(parseCliArgs(['auto']).httpPort).toBeUndefined();
+  });
+
+  it('rejects ports that are not integers in range', () => {
+    expect(() => parseCliArgs(['auto', '--http-port', 'abc'])).toThrow('--http-port expects a port number (0-65535), got "abc"');
+    expect(() => parseCliArgs(['auto', '--ws-port', '80.5'])).toThrow('--ws-port expects a port number');
+    expect(() => parseCliArgs(['auto', '--ws-port', '70000'])).toThrow('--ws-port expects a port number');
+    expect(() => parseCliArgs(['query', 'state.load', '--ws-port', 'x'])).toThrow('--ws-port expects a port number');
+  });
+
   it('parses --model option', () => {
     const result = parseCliArgs(['run', 'build X', '--model', 'claude-sonnet-4-6']);
 
@@ -192,6 +226,18 @@ describe('parseCliArgs', () => {
     expect(result.projectDir).toBe('/tmp/x');
   });
 
+  it('parses auto with --resume', () => {
+    const result = parseCliArgs(['auto', '--resume']);
+
+    expect(result.command).toBe('auto');
+    expect(result.resume).toBe(true);
+  });
+
+  it('defaults resume to false', () => {
+    expect(parseCliArgs(['auto']).resume).toBe(false);
+    expect(parseCliArgs(['query', 'state.load']).resume).toBe(false);
+  });
+
   it('parses auto with --ws-port', () => {
     const result = parseCliArgs(['auto', '--ws-port', '9090']);
 
@@ -287,8 +333,13 @@ describe('resolveInitInput', () => {
       prompt: undefined,
       initInput: undefined,
       init: undefined,
+      resume: false,
+      recordSessions: undefined,
+      replaySessions: undefined,
       projectDir: tmpDir,
       wsPort: undefined,
+      gateTimeoutMs: undefined,
+      httpPort: undefined,
       model: undefined,
       maxBudget: undefined,
       help: false,
@@ -380,4 +431,200 @@ describe('USAGE', () => {
     expect(USAGE).toContain('--init');
     expect(USAGE).toContain('Bootstrap from a PRD');
   });
+
+  it('documents --resume option', () => {
+    expect(USAGE).toContain('--resume');
+  });
+});
+
+// ─── Query introspection ─────────────────────────────────────────────────────
+
+describe('formatQueryIntrospection', () => {
+  it('lists commands for --list and a bare --help', async () => {
+    const registry = createRegistry();
+
+    const list = await formatQueryIntrospection(['--list'], false, registry);
+
+    expect(list).toMatch(/generate-slug\s+Convert text to a URL-safe slug/);
+    expect(await formatQueryIntrospection([], true, registry)).toBe(list);
+  });
+
+  it('prints per-command help, resolving spaced and dotted forms', async () => {
+    const help = await formatQueryIntrospection(['state', 'update', 'Status'], true, createRegistry());
+
+    expect(help).toContain('Usage: gsd-sdk query state.update <field> <value>');
+    expect(help).toContain('Modifies .planning/ state.');
+  });
+
+  it('prints JSON Schema for one command or all of them', async () => {
+    const registry = createRegistry();
+
+    const one = JSON.parse((await formatQueryIntrospection(['--schema', 'find-phase'], false, registry))!);
+    const all = JSON.parse((await formatQueryIntrospection(['--schema'], false, registry))!);
+
+    expect(one.input.required).toEqual(['phase']);
+    expect(one.result.properties).toHaveProperty('incomplete_plans');
+    expect(all).toHaveProperty('phase.complete');
+    expect(all).not.toHaveProperty('phase complete');
+  });
+
+  it('leaves ordinary queries and handler --schema flags alone', async () => {
+    const registry = createRegistry();
+
+    expect(await formatQueryIntrospection(['state.load'], false, registry)).toBeNull();
+    expect(await formatQueryIntrospection(['frontmatter.validate', 'x.md', '--schema', 'plan'], false, registry)).toBeNull();
+    await expect(formatQueryIntrospection(['no-such-cmd'], true, registry)).rejects.toBeInstanceOf(GSDError);
+  });
+});
+
+// ─── installInterruptHandler ────────────────────────────────────────────────
+
+describe('installInterruptHandler', () => {
+  function fakeProcess() {
+    const proc = new EventEmitter() as EventEmitter & { exit: ReturnType<typeof vi.fn> };
+    proc.exit = vi.fn();
+    return proc;
+  }
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('aborts with an Interruption error on the first SIGINT', () => {
+    const controller = new AbortController();
+    const proc = fakeProcess();
+    installInterruptHandler(controller, proc as unknown as NodeJS.Process);
+
+    proc.emit('SIGINT');
+
+    expect(controller.signal.aborted).toBe(true);
+    expect(controller.signal.reason).toBeInstanceOf(GSDError);
+    expect((controller.signal.reason as GSDError).classification).toBe(ErrorClassification.Interruption);
+    expect(proc.exit).not.toHaveBeenCalled();
+  });
+
+  it('exits immediately on a second SIGINT', () => {
+    const controller = new AbortController();
+    const proc = fakeProcess();
+    installInterruptHandler(controller, proc as unknown as NodeJS.Process);
+
+    proc.emit('SIGINT');
+    proc.emit('SIGINT');
+
+    expect(proc.exit).toHaveBeenCalledWith(exitCodeFor(ErrorClassification.Interruption));
+  });
+
+  it('removes its listener when disposed', () => {
+    const proc = fakeProcess();
+    const dispose = installInterruptHandler(new AbortController(), proc as unknown as NodeJS.Process);
+
+    dispose();
+
+    expect(proc.listenerCount('SIGINT')).toBe(0);
+  });
+});
+
+// ─── resolveSessionBackend ──────────────────────────────────────────────────
+
+describe('resolveSessionBackend', () => {
+  it('parses --record-sessions and --replay-sessions', () => {
+    expect(parseCliArgs(['run', 'x', '--record-sessions', 'out.json']).recordSessions).toBe('out.json');
+    expect(parseCliArgs(['auto', '--replay-sessions', 'in.json']).replaySessions).toBe('in.json');
+  });
+
+  it('uses the default backend when neither flag is set', async () => {
+    expect(await resolveSessionBackend(parseCliArgs(['run', 'x']))).toBeUndefined();
+  });
+
+  it('wraps the Agent SDK backend in a recorder for --record-sessions', async () => {
+    const backend = await resolveSessionBackend(parseCliArgs(['run', 'x', '--record-sessions', 'out.json']));
+    expect(backend).toBeInstanceOf(RecordingBackend);
+    expect(backend!.name).toBe('recording(agent-sdk)');
+  });
+
+  it('rejects combining record and replay', async () => {
+    const args = parseCliArgs(['run', 'x', '--record-sessions', 'a.json', '--replay-sessions', 'b.json']);
+    await expect(resolveSessionBackend(args)).rejects.toThrow(/cannot be combined/);
+  });
+});
+
+describe('finishMilestoneRun', () => {
+  const gsd = {} as GSD;
+  const base = { phases: [], totalCostUsd: 0, totalDurationMs: 0 };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.exitCode = undefined;
+    vi.restoreAllMocks();
+  });
+
+  it('exits 11 when a budget cap blocks the run', async () => {
+    const message = 'Phase 1: phase budget of $2.00 reached ($2.00 spent) before plan';
+    await finishMilestoneRun(gsd, { ...base, success: false, error: { message, classification: ErrorClassification.Blocked } });
+
+    expect(process.exitCode).toBe(11);
+    expect(console.error).toHaveBeenCalledWith(`Error: ${message}`);
+  });
+
+  it('exits 1 for a failure without a classified error', async () => {
+    await finishMilestoneRun(gsd, { ...base, success: false });
+
+    expect(process.exitCode).toBe(1);
+  });
+});
+
+describe('startRunTransports', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'gsd-cli-transports-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('closes the transports already started when a later one fails to start', async () => {
+    const taken = createServer();
+    await new Promise<void>(resolve => taken.listen(0, '127.0.0.1', resolve));
+    const closeWs = vi.spyOn(WSTransport.prototype, 'close');
+    const gsd = { addTransport: vi.fn() } as unknown as GSD;
+    const args = { ...parseCliArgs(['auto', '--ws-port', '0']), projectDir: dir, httpPort: (taken.address() as AddressInfo).port };
+
+    try {
+      await expect(startRunTransports(gsd, args)).rejects.toThrow('EADDRINUSE');
+      expect(closeWs).toHaveBeenCalledOnce();
+    } finally {
+      await new Promise(resolve => taken.close(resolve));
+    }
+  });
+
+  it('prints a generated WebSocket token to stderr, never stdout', async () => {
+    vi.stubEnv('GSD_WS_TOKEN', '');
+    vi.stubEnv('GSD_HTTP_TOKEN', '');
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const gsd = { addTransport: vi.fn() } as unknown as GSD;
+    const { transports } = await startRunTransports(gsd, { ...parseCliArgs(['auto', '--ws-port', '0']), projectDir: dir });
+    try {
+      const stdout = vi.mocked(console.log).mock.calls.flat().join('\n');
+      const stderr = vi.mocked(console.error).mock.calls.flat().join('\n');
+      const token = /WebSocket token[^:]*: (\S+)/.exec(stderr)?.[1];
+
+      expect(token).toBeDefined();
+      expect(stdout).not.toContain(token);
+    } finally {
+      for (const transport of transports) transport.close();
+      vi.unstubAllEnvs();
+    }
+  });
 });
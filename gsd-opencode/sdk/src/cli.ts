@@ -2,21 +2,32 @@
 /**
  * CLI entry point for gsd-sdk.
  *
- * Usage: gsd-sdk run "<prompt>" [--project-dir <dir>] [--ws-port <port>]
+ * Usage: gsd-sdk run "<prompt>" [--project-dir <dir>] [--ws-port <port>] [--http-port <port>]
  *                                [--model <model>] [--max-budget <n>]
  */
 
 import { parseArgs } from 'node:util';
+import type { Writable } from 'node:stream';
 import { execFile } from 'node:child_process';
+import { randomBytes } from 'node:crypto';
 import { readFile } from 'node:fs/promises';
-import { resolve, join, isAbsolute } from 'node:path';
+import { resolve, join, isAbsolute, relative } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 import { GSD } from './index.js';
 import { CLITransport } from './cli-transport.js';
 import { WSTransport } from './ws-transport.js';
+import { SSETransport } from './sse-transport.js';
+import { EventLogTransport, newRunId, listRuns, resolveRunLog, readEventLog, filterEvents, summarizeRun, formatRunSummary } from './event-log.js';
 import { InitRunner } from './init-runner.js';
 import { validateWorkstreamName } from './workstream-utils.js';
+import { GSDError, ErrorClassification, exitCodeFor } from './errors.js';
+import { PhaseCheckpointJournal } from './phase-checkpoint.js';
+import type { MilestoneRunnerResult, TransportHandler, HumanGateCallbacks } from './types.js';
+import { AgentSdkBackend } from './session-backend.js';
+import type { SessionBackend } from './session-backend.js';
+import { RecordingBackend, ReplayBackend } from './session-recording.js';
+import type { QueryRegistry } from './query/registry.js';
 
 // ─── Parsed CLI args ─────────────────────────────────────────────────────────
 
@@ -27,14 +38,26 @@ export interface ParsedCliArgs {
   initInput: string | undefined;
   /** For 'auto --init': bootstrap from a PRD before running the autonomous loop. */
   init: string | undefined;
+  /** For 'auto' / 'run': continue interrupted phases from their checkpoint journal. */
+  resume: boolean;
+  /** Record every agent session into this fixture file. */
+  recordSessions: string | undefined;
+  /** Replay agent sessions from this fixture file instead of calling the LLM. */
+  replaySessions: string | undefined;
   projectDir: string;
   wsPort: number | undefined;
+  /** How long a human gate sent over `--ws-port` waits for a client reply. */
+  gateTimeoutMs: number | undefined;
+  /** Serve the event stream over HTTP + SSE on this port. */
+  httpPort: number | undefined;
   model: string | undefined;
   maxBudget: number | undefined;
   /** Workstream name for multi-workstream projects. Routes .planning/ to .planning/workstreams/<name>/. */
   ws: string | undefined;
   help: boolean;
   version: boolean;
+  /** For 'events': filters and output mode for replaying a run log. */
+  events?: { types: string[]; phase?: string; plan?: string; summary: boolean };
   /**
    * When `command === 'query'`, tokens after `query` with only known SDK flags removed.
    * Extra flags are kept so handlers that share gsd-tools-style argv (e.g. `--pick`) still receive them.
@@ -42,6 +65,15 @@ export interface ParsedCliArgs {
   queryArgv?: string[];
 }
 
+/** Parse a `--ws-port` / `--http-port` value; 0 picks a free port. */
+function parsePort(flag: string, raw: string): number {
+  const port = Number(raw);
+  if (!/^\d+$/.test(raw) || port > 65535) {
+    throw new Error(`${flag} expects a port number (0-65535), got "${raw}"`);
+  }
+  return port;
+}
+
 /**
  * Parse `gsd-sdk query …` without rejecting unknown flags (query argv is forwarded to the registry).
  */
@@ -49,6 +81,7 @@ function parseCliArgsQueryPermissive(argv: string[]): ParsedCliArgs {
   let projectDir = process.cwd();
   let ws: string | undefined;
   let wsPort: number | undefined;
+  let httpPort: number | undefined;
   let model: string | undefined;
   let maxBudget: number | undefined;
   let help = false;
@@ -69,7 +102,12 @@ function parseCliArgsQueryPermissive(argv: string[]): ParsedCliArgs {
       continue;
     }
     if (a === '--ws-port' && argv[i + 1]) {
-      wsPort = Number(argv[i + 1]);
+      wsPort = parsePort('--ws-port', argv[i + 1]);
+      i += 2;
+      continue;
+    }
+    if (a === '--http-port' && argv[i + 1]) {
+      httpPort = parsePort('--http-port', argv[i + 1]);
       i += 2;
       continue;
     }
@@ -102,8 +140,13 @@ function parseCliArgsQueryPermissive(argv: string[]): ParsedCliArgs {
     prompt: undefined,
     initInput: undefined,
     init: undefined,
+    resume: false,
+    recordSessions: undefined,
+    replaySessions: undefined,
     projectDir,
     wsPort,
+    gateTimeoutMs: undefined,
+    httpPort,
     model,
     maxBudget,
     ws,
@@ -127,10 +170,19 @@ export function parseCliArgs(argv: string[]): ParsedCliArgs {
     options: {
       'project-dir': { type: 'string', default: process.cwd() },
       'ws-port': { type: 'string' },
+      'gate-timeout': { type: 'string' },
+      'http-port': { type: 'string' },
       ws: { type: 'string' },
       model: { type: 'string' },
       'max-budget': { type: 'string' },
       init: { type: 'string' },
+      resume: { type: 'boolean', default: false },
+      'record-sessions': { type: 'string' },
+      'replay-sessions': { type: 'string' },
+      type: { type: 'string', multiple: true },
+      phase: { type: 'string' },
+      plan: { type: 'string' },
+      summary: { type: 'boolean', default: false },
       help: { type: 'boolean', short: 'h', default: false },
       version: { type: 'boolean', short: 'v', default: false },
     },
@@ -150,13 +202,27 @@ export function parseCliArgs(argv: string[]): ParsedCliArgs {
     prompt,
     initInput,
     init: values.init as string | undefined,
+    resume: values.resume as boolean,
+    recordSessions: values['record-sessions'] as string | undefined,
+    replaySessions: values['replay-sessions'] as string | undefined,
     projectDir: values['project-dir'] as string,
-    wsPort: values['ws-port'] ? Number(values['ws-port']) : undefined,
+    wsPort: values['ws-port'] ? parsePort('--ws-port', values['ws-port'] as string) : undefined,
+    gateTimeoutMs: values['gate-timeout'] ? Number(values['gate-timeout']) * 1000 : undefined,
+    httpPort: values['http-port'] ? parsePort('--http-port', values['http-port'] as string) : undefined,
     model: values.model as string | undefined,
     maxBudget: values['max-budget'] ? Number(values['max-budget']) : undefined,
     ws: values.ws as string | undefined,
     help: values.help as boolean,
     version: values.version as boolean,
+    ...(command === 'events' && {
+      events: {
+        // --type accepts repeats and comma-separated lists
+        types: ((values.type as string[] | undefined) ?? []).flatMap(t => t.split(',')).map(t => t.trim()).filter(Boolean),
+        phase: values.phase as string | undefined,
+        plan: values.plan as string | undefined,
+        summary: values.summary as boolean,
+      },
+    }),
   };
 }
 
@@ -175,13 +241,35 @@ Commands:
                           (empty)           read from stdin
   query <argv...>       Registered query handlers only (longest-prefix argv match; see QUERY-HANDLERS.md)
                         Use --pick <field> to extract a specific field from JSON output
+                        query --list lists commands; query <command> --help shows its arguments;
+                        query --schema [command] prints JSON Schema for commands with a spec
+                        query --batch <file|-> runs a JSON array of commands; writes only if all succeed
+                        progress, stats, audit-open and audit-uat take --format markdown|csv|junit|html
+                        (printed as-is, e.g. > report.html)
+  mcp                   Serve query handlers as MCP tools/resources over stdio
+  serve                 Keep a query daemon running for this project; gsd-sdk query uses it when present
+                        (caches .planning/ reads until files change; GSD_QUERY_DAEMON=off bypasses it;
+                        queries whose GSD_* environment differs from the daemon's run in-process)
+  events [run-id]       List past runs, or replay one from .planning/runs/ (run-id: id prefix or "latest")
+                        Filter with --type <t1,t2>, --phase <n>, --plan <id>; --summary prints timings only
 
 Options:
   --init <input>        Bootstrap from a PRD before running (auto only)
                         Accepts @path/to/prd.md or "description text"
+  --resume              Continue interrupted phases from their checkpoint journal
+  --record-sessions <file>
+                        Record every agent session into a replay fixture
+  --replay-sessions <file>
+                        Replay agent sessions from a fixture (no LLM calls)
   --project-dir <dir>   Project directory (default: cwd)
   --ws <name>           Route .planning/ to .planning/workstreams/<name>/
-  --ws-port <port>      Enable WebSocket transport on <port>
+  --ws-port <port>      Enable WebSocket transport on <port>; clients also answer human gates
+                        Clients send GSD_WS_TOKEN (or GSD_HTTP_TOKEN, else one printed to stderr) as a bearer token
+                        Both ports bind 127.0.0.1 only
+  --gate-timeout <s>    Seconds a gate waits for a WebSocket reply before its default (default: 300)
+                        Without it, gates take their default at once while no client is connected
+  --http-port <port>    Serve events over HTTP + SSE on <port> (GET /events, /status)
+                        Set GSD_HTTP_TOKEN to require a bearer token
   --model <model>       Override LLM model
   --max-budget <n>      Max budget per step in USD
   -h, --help            Show this help
@@ -235,19 +323,20 @@ export async function resolveInitInput(args: ParsedCliArgs): Promise<string> {
   return readStdin();
 }
 
+const INIT_STDIN_USAGE =
+  'No input provided. Usage:\n' +
+  '  gsd-sdk init @path/to/prd.md\n' +
+  '  gsd-sdk init "build a todo app"\n' +
+  '  cat prd.md | gsd-sdk init';
+
 /**
  * read all data from stdin. Rejects if stdin is a TTY with no piped data.
  */
-async function readStdin(): Promise<string> {
+async function readStdin(ttyMessage: string = INIT_STDIN_USAGE): Promise<string> {
   const { stdin } = process;
 
   if (stdin.isTTY) {
-    throw new Error(
-      'No input provided. Usage:\n' +
-      '  gsd-sdk init @path/to/prd.md\n' +
-      '  gsd-sdk init "build a todo app"\n' +
-      '  cat prd.md | gsd-sdk init'
-    );
+    throw new Error(ttyMessage);
   }
 
   return new Promise<string>((resolve, reject) => {
@@ -258,6 +347,12 @@ async function readStdin(): Promise<string> {
   });
 }
 
+/** When false, `gsd-sdk query` never routes through a running `gsd-sdk serve` daemon. */
+function queryDaemonEnabled(): boolean {
+  const v = process.env.GSD_QUERY_DAEMON?.toLowerCase();
+  return !(v === 'off' || v === 'never' || v === 'false' || v === '0');
+}
+
 /** When false, unknown `gsd-sdk query` commands error instead of shelling out to gsd-tools.cjs. */
 function queryFallbackToCjsEnabled(): boolean {
   const v = process.env.GSD_QUERY_FALLBACK?.toLowerCase();
@@ -309,6 +404,247 @@ function execGsdToolsCjsQuery(
   });
 }
 
+// ─── Session backend ─────────────────────────────────────────────────────────
+
+/**
+ * Backend selected by `--record-sessions` / `--replay-sessions`, or undefined
+ * for the default live Agent SDK backend. Fixture paths resolve against cwd.
+ */
+export async function resolveSessionBackend(args: ParsedCliArgs): Promise<SessionBackend | undefined> {
+  if (args.recordSessions && args.replaySessions) {
+    throw new GSDError('--record-sessions and --replay-sessions cannot be combined', ErrorClassification.Validation);
+  }
+  if (args.replaySessions) {
+    return ReplayBackend.fromFile(resolve(args.replaySessions));
+  }
+  if (args.recordSessions) {
+    return new RecordingBackend(new AgentSdkBackend(), resolve(args.recordSessions));
+  }
+  return undefined;
+}
+
+// ─── Run transports ──────────────────────────────────────────────────────────
+
+interface RunTransports {
+  /** Started transports, closed when the command finishes. */
+  transports: TransportHandler[];
+  /** Human gates answered over the WebSocket control channel, when `--ws-port` is set. */
+  callbacks?: HumanGateCallbacks;
+}
+
+/**
+ * Attach the run's event log plus the transports requested by `--ws-port` /
+ * `--http-port`. The HTTP transport requires `GSD_HTTP_TOKEN` as a bearer
+ * token when that variable is set. The WebSocket transport can answer human
+ * gates, so it always requires a token: `GSD_WS_TOKEN`, else
+ * `GSD_HTTP_TOKEN`, else one generated for this run and printed to stderr,
+ * which stays out of piped or captured stdout.
+ *
+ * If a transport fails to start (e.g. its port is taken), the ones already
+ * started are closed before the error propagates, so no server keeps the
+ * process alive.
+ *
+ * Exported for testing.
+ */
+export async function startRunTransports(gsd: GSD, args: ParsedCliArgs): Promise<RunTransports> {
+  const eventLog = EventLogTransport.forRun(args.projectDir, newRunId(), args.ws);
+  gsd.addTransport(eventLog);
+  const transports: TransportHandler[] = [eventLog];
+  let callbacks: HumanGateCallbacks | undefined;
+  console.log(`Event log: ${relative(process.cwd(), eventLog.filePath) || eventLog.filePath}`);
+
+  try {
+    callbacks = await startNetworkTransports(gsd, args, transports);
+  } catch (err) {
+    for (const transport of transports) transport.close();
+    throw err;
+  }
+  return { transports, callbacks };
+}
+
+/** Start the `--ws-port` / `--http-port` transports, appending each to `transports` once it listens. */
+async function startNetworkTransports(
+  gsd: GSD,
+  args: ParsedCliArgs,
+  transports: TransportHandler[],
+): Promise<HumanGateCallbacks | undefined> {
+  let callbacks: HumanGateCallbacks | undefined;
+  if (args.wsPort !== undefined) {
+    const envToken = process.env.GSD_WS_TOKEN || process.env.GSD_HTTP_TOKEN;
+    const token = envToken || randomBytes(24).toString('base64url');
+    const wsTransport = new WSTransport({
+      port: args.wsPort,
+      token,
+      gateTimeoutMs: args.gateTimeoutMs,
+      // An explicit --gate-timeout means someone intends to answer, possibly after connecting late
+      waitForClients: args.gateTimeoutMs !== undefined,
+    });
+    await wsTransport.start();
+    gsd.addTransport(wsTransport);
+    transports.push(wsTransport);
+    callbacks = wsTransport.gateCallbacks();
+    console.log(`WebSocket transport on ws://127.0.0.1:${args.wsPort} (human gates answered over the socket)`);
+    if (!envToken) console.error(`WebSocket token (set GSD_WS_TOKEN to choose your own): ${token}`);
+  }
+
+  if (args.httpPort !== undefined) {
+    const sseTransport = new SSETransport({ port: args.httpPort, token: process.env.GSD_HTTP_TOKEN || undefined });
+    await sseTransport.start();
+    gsd.addTransport(sseTransport);
+    transports.push(sseTransport);
+    console.log(`HTTP event stream on http://127.0.0.1:${sseTransport.port}/events (status: /status)`);
+  }
+  return callbacks;
+}
+
+// ─── Query introspection ─────────────────────────────────────────────────────
+
+/**
+ * Text for `gsd-sdk query --list`, `query --schema [command]` and
+ * `query <command> --help`, or null when argv is an ordinary query.
+ * `--list` / `--schema` are only special as the first token, since some
+ * handlers take a `--schema` flag of their own.
+ */
+export async function formatQueryIntrospection(
+  queryArgs: string[],
+  help: boolean,
+  registry: QueryRegistry,
+): Promise<string | null> {
+  const { QUERY_MUTATION_COMMANDS, formatCommandList, formatCommandHelp, commandJsonSchema } = await import('./query/index.js');
+  const { resolveQueryArgv } = await import('./query/registry.js');
+  const { normalizeQueryCommand } = await import('./query/normalize-query-command.js');
+
+  const resolveCommand = (tokens: string[]): string => {
+    const [cmd, rest] = normalizeQueryCommand(tokens[0]!, tokens.slice(1));
+    const matched = resolveQueryArgv([cmd, ...rest], registry);
+    if (!matched) {
+      throw new GSDError(`Unknown command: "${tokens.join(' ')}". Run \`gsd-sdk query --list\`.`, ErrorClassification.Validation);
+    }
+    return matched.cmd;
+  };
+
+  const first = queryArgs[0];
+  if (first === '--list' || (help && queryArgs.length === 0)) {
+    return formatCommandList(registry.commands(), c => registry.spec(c), QUERY_MUTATION_COMMANDS);
+  }
+
+  if (first === '--schema') {
+    if (queryArgs.length > 1) {
+      const command = resolveCommand(queryArgs.slice(1));
+      const spec = registry.spec(command);
+      if (!spec) throw new GSDError(`No schema registered for "${command}"`, ErrorClassification.Validation);
+      return JSON.stringify(commandJsonSchema(command, spec), null, 2);
+    }
+    const schemas: Record<string, unknown> = {};
+    for (const command of registry.commands().sort()) {
+      const spec = registry.spec(command);
+      if (spec && !command.includes(' ')) schemas[command] = commandJsonSchema(command, spec);
+    }
+    return JSON.stringify(schemas, null, 2);
+  }
+
+  if (help) {
+    const command = resolveCommand(queryArgs);
+    return formatCommandHelp(command, registry.spec(command), { mutation: QUERY_MUTATION_COMMANDS.has(command) });
+  }
+
+  return null;
+}
+
+// ─── Events command ──────────────────────────────────────────────────────────
+
+/**
+ * `gsd-sdk events` — without a run id, list past runs; with one, re-render
+ * the run's (filtered) events through CLITransport, then print its timing and
+ * cost summary. The summary always covers the whole run.
+ */
+export async function runEventsCommand(args: ParsedCliArgs, out: NodeJS.WritableStream = process.stdout): Promise<void> {
+  const runId = args.prompt;
+
+  if (!runId) {
+    const runs = await listRuns(args.projectDir, args.ws);
+    if (runs.length === 0) {
+      out.write('No runs recorded yet.\n');
+      return;
+    }
+    for (const run of runs) {
+      const status = run.success === undefined ? 'unfinished' : run.success ? 'success' : 'failed';
+      out.write(`${run.runId}  ${status.padEnd(10)}  ${String(run.eventCount).padStart(6)} events  $${run.totalCostUsd.toFixed(2)}\n`);
+    }
+    return;
+  }
+
+  const events = await readEventLog(await resolveRunLog(args.projectDir, runId, args.ws));
+  const options = args.events ?? { types: [], summary: false };
+
+  if (!options.summary) {
+    const renderer = new CLITransport(out as Writable);
+    for (const event of filterEvents(events, options)) renderer.onEvent(event);
+    out.write('\n');
+  }
+  out.write(formatRunSummary(summarizeRun(events)) + '\n');
+}
+
+// ─── Interrupt handling ──────────────────────────────────────────────────────
+
+/**
+ * Route SIGINT into `controller` so the running lifecycle stops at the next
+ * step boundary — any STATE.md write in progress finishes first. A second
+ * SIGINT exits immediately. Returns a disposer that removes the handler.
+ */
+export function installInterruptHandler(controller: AbortController, proc: NodeJS.Process = process): () => void {
+  const onSigint = () => {
+    if (controller.signal.aborted) {
+      proc.exit(exitCodeFor(ErrorClassification.Interruption));
+      return;
+    }
+    console.error('\nInterrupted — finishing the current step and saving state (Ctrl+C again to force quit)');
+    controller.abort(new GSDError('Interrupted by user (SIGINT)', ErrorClassification.Interruption));
+  };
+  proc.on('SIGINT', onSigint);
+  return () => {
+    proc.off('SIGINT', onSigint);
+  };
+}
+
+/**
+ * Record a cancelled milestone run in STATE.md's session fields, pointing the
+ * resume file at the interrupted phase's checkpoint journal. Best effort.
+ */
+async function recordInterruption(gsd: GSD, result: MilestoneRunnerResult, ws?: string): Promise<void> {
+  const last = result.phases.at(-1);
+  const where = last
+    ? `phase ${last.phaseNumber}${last.steps.at(-1) ? ` (${last.steps.at(-1)!.step})` : ''}`
+    : 'milestone start';
+  const resumeFile = last ? PhaseCheckpointJournal.forProject('.', ws).filePath(last.phaseNumber) : undefined;
+
+  try {
+    await gsd.createTools().stateRecordSession(`Interrupted during ${where} — continue with --resume`, resumeFile);
+  } catch (err) {
+    console.error(`Warning: could not record interruption in STATE.md: ${err instanceof Error ? err.message : String(err)}`);
+  }
+}
+
+/**
+ * Print the milestone summary line and set the exit code: the classified
+ * code of the error that stopped the run (11 for a budget cap), else 1.
+ */
+export async function finishMilestoneRun(gsd: GSD, result: MilestoneRunnerResult, ws?: string): Promise<void> {
+  const status = result.cancelled ? 'CANCELLED' : result.success ? 'SUCCESS' : 'FAILED';
+  const phases = result.phases.length;
+  const cost = result.totalCostUsd.toFixed(2);
+  const duration = (result.totalDurationMs / 1000).toFixed(1);
+  console.log(`\n[${status}] ${phases} phase(s), $${cost}, ${duration}s`);
+
+  if (result.cancelled) {
+    await recordInterruption(gsd, result, ws);
+    process.exitCode = exitCodeFor(ErrorClassification.Interruption);
+  } else if (!result.success) {
+    if (result.error) console.error(`Error: ${result.error.message}`);
+    process.exitCode = result.error ? exitCodeFor(result.error.classification) : 1;
+  }
+}
+
 // ─── Main ────────────────────────────────────────────────────────────────────
 
 export async function main(argv: string[] = process.argv.slice(2)): Promise<void> {
@@ -323,7 +659,8 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
     return;
   }
 
-  if (args.help) {
+  // `gsd-sdk query <command> --help` is per-command help, handled below
+  if (args.help && !(args.command === 'query' && args.queryArgv?.length)) {
     console.log(USAGE);
     return;
   }
@@ -378,22 +715,68 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
       queryArgs.splice(pickIdx, 2);
     }
 
-    if (queryArgs.length === 0 || !queryArgs[0]) {
-      console.error('Error: "gsd-sdk query" requires a command');
-      process.exitCode = 10;
-      return;
-    }
+    const printResult = async (data: unknown): Promise<void> => {
+      const output = pickField ? extractField(data, pickField) : data;
+      const { isRenderedOutput } = await import('./query/render.js');
+      if (!pickField && isRenderedOutput(output)) {
+        process.stdout.write(output.rendered);
+      } else {
+        console.log(JSON.stringify(output, null, 2));
+      }
+    };
 
     try {
-      const queryCommand = queryArgs[0];
       const { normalizeQueryCommand } = await import('./query/normalize-query-command.js');
+
+      // A running daemon answers before this process builds its own registry;
+      // it declines (null) commands it lacks or a differing environment
+      if (queryDaemonEnabled() && !args.help && queryArgs[0] && !queryArgs[0].startsWith('--')) {
+        const { dispatchViaDaemon } = await import('./query-daemon.js');
+        const [cmd, rest] = normalizeQueryCommand(queryArgs[0], queryArgs.slice(1));
+        const viaDaemon = await dispatchViaDaemon(args.projectDir, cmd, rest, args.ws);
+        if (viaDaemon) {
+          await printResult(viaDaemon.data);
+          return;
+        }
+      }
+
+      const registry = createRegistry();
+      const introspection = await formatQueryIntrospection(queryArgs, args.help, registry);
+      if (introspection !== null) {
+        console.log(introspection);
+        return;
+      }
+
+      if (queryArgs[0] === '--batch') {
+        const source = queryArgs[1];
+        if (!source) {
+          console.error('Error: --batch requires a file path or "-" for stdin');
+          process.exitCode = 10;
+          return;
+        }
+        const { runQueryBatch, parseBatchSteps } = await import('./query/batch.js');
+        const text = source === '-'
+          ? await readStdin('No batch provided. Usage: gsd-sdk query --batch <file> or pipe JSON to gsd-sdk query --batch -')
+          : await readFile(resolve(source), 'utf-8');
+        const result = await runQueryBatch(registry, parseBatchSteps(text), args.projectDir, args.ws);
+        console.log(JSON.stringify(result, null, 2));
+        if (!result.committed) process.exitCode = 1;
+        return;
+      }
+
+      if (queryArgs.length === 0 || !queryArgs[0]) {
+        console.error('Error: "gsd-sdk query" requires a command');
+        process.exitCode = 10;
+        return;
+      }
+
+      const queryCommand = queryArgs[0];
       const [normCmd, normArgs] = normalizeQueryCommand(queryCommand, queryArgs.slice(1));
       if (!normCmd || !String(normCmd).trim()) {
         console.error('Error: "gsd-sdk query" requires a command');
         process.exitCode = 10;
         return;
       }
-      const registry = createRegistry();
       const tokens = [normCmd, ...normArgs];
       const matched = resolveQueryArgv(tokens, registry);
       if (!matched) {
@@ -424,13 +807,7 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
         console.log(JSON.stringify(output, null, 2));
       } else {
         const result = await registry.dispatch(matched.cmd, matched.args, args.projectDir, args.ws);
-        let output: unknown = result.data;
-
-        if (pickField) {
-          output = extractField(output, pickField);
-        }
-
-        console.log(JSON.stringify(output, null, 2));
+        await printResult(result.data);
       }
     } catch (err) {
       if (err instanceof GSDError) {
@@ -447,8 +824,58 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
     return;
   }
 
+  // ─── MCP server ─────────────────────────────────────────────────────────
+  if (args.command === 'mcp') {
+    const { createRegistry } = await import('./query/index.js');
+    const { McpServer } = await import('./mcp-server.js');
+
+    // stdout carries the protocol; diagnostics go to stderr
+    const server = new McpServer({
+      projectDir: args.projectDir,
+      workstream: args.ws,
+      registry: createRegistry(),
+      version: await getVersion(),
+    });
+    console.error(`[gsd-sdk] MCP server on stdio for ${args.projectDir}`);
+    await server.serve(process.stdin, process.stdout);
+    return;
+  }
+
+  // ─── Query daemon ───────────────────────────────────────────────────────
+  if (args.command === 'serve') {
+    const { createRegistry } = await import('./query/index.js');
+    const { QueryDaemon } = await import('./query-daemon.js');
+
+    const daemon = new QueryDaemon({ projectDir: args.projectDir, registry: createRegistry() });
+    try {
+      await daemon.start();
+    } catch (err) {
+      console.error(`Error: ${err instanceof Error ? err.message : String(err)}`);
+      process.exitCode = err instanceof GSDError ? exitCodeFor(err.classification) : 1;
+      return;
+    }
+    console.error(`[gsd-sdk] Query daemon for ${daemon.projectDir} on ${daemon.socketPath}${daemon.status().caching ? '' : ' (no .planning/ watcher; caching off)'}`);
+    await new Promise<void>(r => {
+      process.once('SIGINT', r);
+      process.once('SIGTERM', r);
+    });
+    await daemon.close();
+    return;
+  }
+
+  // ─── Events command ─────────────────────────────────────────────────────
+  if (args.command === 'events') {
+    try {
+      await runEventsCommand(args);
+    } catch (err) {
+      console.error(`Error: ${err instanceof Error ? err.message : String(err)}`);
+      process.exitCode = err instanceof GSDError ? exitCodeFor(err.classification) : 1;
+    }
+    return;
+  }
+
   if (args.command !== 'run' && args.command !== 'init' && args.command !== 'auto') {
-    console.error('Error: Expected "gsd-sdk run <prompt>", "gsd-sdk auto", "gsd-sdk init [input]", or "gsd-sdk query <command>"');
+    console.error('Error: Expected "gsd-sdk run <prompt>", "gsd-sdk auto", "gsd-sdk init [input]", "gsd-sdk query <command>", "gsd-sdk mcp", "gsd-sdk serve", or "gsd-sdk events [run-id]"');
     console.error(USAGE);
     process.exitCode = 1;
     return;
@@ -461,6 +888,15 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
     return;
   }
 
+  let backend: SessionBackend | undefined;
+  try {
+    backend = await resolveSessionBackend(args);
+  } catch (err) {
+    console.error(`Error: ${(err as Error).message}`);
+    process.exitCode = err instanceof GSDError ? exitCodeFor(err.classification) : 1;
+    return;
+  }
+
   // ─── Init command ─────────────────────────────────────────────────────────
   if (args.command === 'init') {
     let input: string;
@@ -480,20 +916,27 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
       model: args.model,
       maxBudgetUsd: args.maxBudget,
       workstream: args.ws,
+      backend,
     });
 
     // Wire CLI transport
     const cliTransport = new CLITransport();
     gsd.addTransport(cliTransport);
 
-    // Optional WebSocket transport
-    let wsTransport: WSTransport | undefined;
-    if (args.wsPort !== undefined) {
-      wsTransport = new WSTransport({ port: args.wsPort });
-      await wsTransport.start();
-      gsd.addTransport(wsTransport);
-      console.log(`WebSocket transport listening on port ${args.wsPort}`);
+    // Event log plus optional WebSocket / HTTP transports
+    let started: RunTransports;
+    try {
+      started = await startRunTransports(gsd, args);
+    } catch (err) {
+      console.error(`Error: ${(err as Error).message}`);
+      cliTransport.close();
+      process.exitCode = 1;
+      return;
     }
+    const { transports: runTransports } = started;
+
+    const controller = new AbortController();
+    const disposeInterrupt = installInterruptHandler(controller);
 
     try {
       const tools = gsd.createTools();
@@ -505,12 +948,13 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
           maxBudgetPerSession: args.maxBudget,
           orchestratorModel: args.model,
         },
+        backend,
       });
 
-      const result = await runner.run(input);
+      const result = await runner.run(input, { signal: controller.signal });
 
       // Print completion summary
-      const status = result.success ? 'SUCCESS' : 'FAILED';
+      const status = result.cancelled ? 'CANCELLED' : result.success ? 'SUCCESS' : 'FAILED';
       const stepCount = result.steps.length;
       const passedSteps = result.steps.filter(s => s.success).length;
       const cost = result.totalCostUsd.toFixed(2);
@@ -529,16 +973,15 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
             console.error(`  ✗ ${step.step}: ${step.error}`);
           }
         }
-        process.exitCode = 1;
+        process.exitCode = result.cancelled ? exitCodeFor(ErrorClassification.Interruption) : 1;
       }
     } catch (err) {
       console.error(`Fatal error: ${(err as Error).message}`);
       process.exitCode = 1;
     } finally {
+      disposeInterrupt();
       cliTransport.close();
-      if (wsTransport) {
-        wsTransport.close();
-      }
+      for (const transport of runTransports) transport.close();
     }
     return;
   }
@@ -551,24 +994,31 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
       maxBudgetUsd: args.maxBudget,
       autoMode: true,
       workstream: args.ws,
+      backend,
     });
 
     // Wire CLI transport (always active)
     const cliTransport = new CLITransport();
     gsd.addTransport(cliTransport);
 
-    // Optional WebSocket transport
-    let wsTransport: WSTransport | undefined;
-    if (args.wsPort !== undefined) {
-      wsTransport = new WSTransport({ port: args.wsPort });
-      await wsTransport.start();
-      gsd.addTransport(wsTransport);
-      console.log(`WebSocket transport listening on port ${args.wsPort}`);
+    // Event log plus optional WebSocket / HTTP transports
+    let started: RunTransports;
+    try {
+      started = await startRunTransports(gsd, args);
+    } catch (err) {
+      console.error(`Error: ${(err as Error).message}`);
+      cliTransport.close();
+      process.exitCode = 1;
+      return;
     }
+    const { transports: runTransports, callbacks } = started;
+
+    const controller = new AbortController();
+    const disposeInterrupt = installInterruptHandler(controller);
 
     try {
-      // If --init provided, bootstrap project first
-      if (args.init) {
+      // If --init provided, bootstrap project first (a resumed run is already bootstrapped)
+      if (args.init && !args.resume) {
         const initInput = await resolveInitInput({
           ...args,
           command: 'init',
@@ -586,9 +1036,10 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
             maxBudgetPerSession: args.maxBudget,
             orchestratorModel: args.model,
           },
+          backend,
         });
 
-        const initResult = await runner.run(initInput);
+        const initResult = await runner.run(initInput, { signal: controller.signal });
 
         const initStatus = initResult.success ? 'SUCCESS' : 'FAILED';
         const stepCount = initResult.steps.length;
@@ -603,31 +1054,20 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
               console.error(`  ✗ ${step.step}: ${step.error}`);
             }
           }
-          process.exitCode = 1;
+          process.exitCode = initResult.cancelled ? exitCodeFor(ErrorClassification.Interruption) : 1;
           return;
         }
       }
 
-      const result = await gsd.run('');
-
-      // Final summary
-      const status = result.success ? 'SUCCESS' : 'FAILED';
-      const phases = result.phases.length;
-      const cost = result.totalCostUsd.toFixed(2);
-      const duration = (result.totalDurationMs / 1000).toFixed(1);
-      console.log(`\n[${status}] ${phases} phase(s), $${cost}, ${duration}s`);
-
-      if (!result.success) {
-        process.exitCode = 1;
-      }
+      const result = await gsd.run('', { resume: args.resume, signal: controller.signal, callbacks });
+      await finishMilestoneRun(gsd, result, args.ws);
     } catch (err) {
       console.error(`Fatal error: ${(err as Error).message}`);
       process.exitCode = 1;
     } finally {
+      disposeInterrupt();
       cliTransport.close();
-      if (wsTransport) {
-        wsTransport.close();
-      }
+      for (const transport of runTransports) transport.close();
     }
     return;
   }
@@ -640,43 +1080,39 @@ export async function main(argv: string[] = process.argv.slice(2)): Promise<void
     model: args.model,
     maxBudgetUsd: args.maxBudget,
     workstream: args.ws,
+    backend,
   });
 
   // Wire CLI transport (always active)
   const cliTransport = new CLITransport();
   gsd.addTransport(cliTransport);
 
-  // Optional WebSocket transport
-  let wsTransport: WSTransport | undefined;
-  if (args.wsPort !== undefined) {
-    wsTransport = new WSTransport({ port: args.wsPort });
-    await wsTransport.start();
-    gsd.addTransport(wsTransport);
-    console.log(`WebSocket transport listening on port ${args.wsPort}`);
-  }
-
+  // Event log plus optional WebSocket / HTTP transports
+  let started: RunTransports;
   try {
-    const result = await gsd.run(args.prompt!);
+    started = await startRunTransports(gsd, args);
+  } catch (err) {
+    console.error(`Error: ${(err as Error).message}`);
+    cliTransport.close();
+    process.exitCode = 1;
+    return;
+  }
+  const { transports: runTransports, callbacks } = started;
 
-    // Final summary
-    const status = result.success ? 'SUCCESS' : 'FAILED';
-    const phases = result.phases.length;
-    const cost = result.totalCostUsd.toFixed(2);
-    const duration = (result.totalDurationMs / 1000).toFixed(1);
-    console.log(`\n[${status}] ${phases} phase(s), $${cost}, ${duration}s`);
+  const controller = new AbortController();
+  const disposeInterrupt = installInterruptHandler(controller);
 
-    if (!result.success) {
-      process.exitCode = 1;
-    }
+  try {
+    const result = await gsd.run(args.prompt!, { resume: args.resume, signal: controller.signal, callbacks });
+    await finishMilestoneRun(gsd, result, args.ws);
   } catch (err) {
     console.error(`Fatal error: ${(err as Error).message}`);
     process.exitCode = 1;
   } finally {
+    disposeInterrupt();
     // Clean up transports
     cliTransport.close();
-    if (wsTransport) {
-      wsTransport.close();
-    }
+    for (const transport of runTransports) transport.close();
   }
 }
 
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { loadConfig, CONFIG_DEFAULTS } from './config.js';
+import { loadConfig, resolveParallelization, resolveBudget, CONFIG_DEFAULTS, DEFAULT_MAX_CONCURRENT_PLANS } from './config.js';
 import { mkdir, writeFile, rm } from 'node:fs/promises';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
@@ -250,3 +250,52 @@ describe('loadConfig', () => {
     expect(CONFIG_DEFAULTS).toEqual(before);
   });
 });
+
+describe('resolveParallelization', () => {
+  it('treats the boolean shorthand as enabled with defaults', () => {
+    expect(resolveParallelization(true)).toEqual({
+      enabled: true,
+      maxConcurrent: DEFAULT_MAX_CONCURRENT_PLANS,
+      scheduler: 'dependencies',
+    });
+    expect(resolveParallelization(false).enabled).toBe(false);
+  });
+
+  it('reads the object form', () => {
+    expect(resolveParallelization({ enabled: true, max_concurrent: 5, scheduler: 'waves' })).toEqual({
+      enabled: true,
+      maxConcurrent: 5,
+      scheduler: 'waves',
+    });
+  });
+
+  it('falls back to max_concurrent_agents', () => {
+    expect(resolveParallelization({ max_concurrent_agents: 4 }).maxConcurrent).toBe(4);
+    expect(resolveParallelization({ max_concurrent: 2, max_concurrent_agents: 4 }).maxConcurrent).toBe(2);
+  });
+
+  it('ignores invalid values', () => {
+    const resolved = resolveParallelization({ max_concurrent: 0, scheduler: 'bogus' as never });
+    expect(resolved.maxConcurrent).toBe(DEFAULT_MAX_CONCURRENT_PLANS);
+    expect(resolved.scheduler).toBe('dependencies');
+  });
+});
+
+describe('resolveBudget', () => {
+  it('has no caps by default', () => {
+    expect(resolveBudget(undefined)).toEqual({});
+    expect(resolveBudget(CONFIG_DEFAULTS.budget)).toEqual({});
+  });
+
+  it('reads positive caps, including numeric strings from config-set', () => {
+    expect(resolveBudget({ per_phase_usd: 2.5, per_milestone_usd: '20' as never })).toEqual({
+      perPhaseUsd: 2.5,
+      perMilestoneUsd: 20,
+    });
+  });
+
+  it('treats zero, null and non-numeric caps as unset', () => {
+    expect(resolveBudget({ per_phase_usd: 0, per_milestone_usd: null })).toEqual({});
+    expect(resolveBudget({ per_phase_usd: 'lots' as never })).toEqual({});
+  });
+});
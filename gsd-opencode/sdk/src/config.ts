@@ -17,6 +17,10 @@ export interface GitConfig {
   phase_branch_template: string;
   milestone_branch_template: string;
   quick_branch_template: string | null;
+  /** Target branch for PRs and merges; auto-detected from `origin/HEAD` when unset. */
+  base_branch?: string | null;
+  /** Where pull requests are opened: github, gitlab, local or auto (detected from the remote URL). */
+  forge?: string | null;
 }
 
 export interface WorkflowConfig {
@@ -46,6 +50,53 @@ export interface WorkflowConfig {
    * verify-phase (validation gate, non-blocking). Set false to disable both.
    */
   context_coverage_gate: boolean;
+  /** Minimum new structural elements before the codebase-drift gate acts. Default: 3. */
+  drift_threshold?: number;
+  /** `warn` (default) or `auto-remap` when the drift threshold is reached. */
+  drift_action?: string;
+}
+
+/**
+ * Object form of `parallelization` (docs/CONFIGURATION.md). The boolean
+ * shorthand is equivalent to `{ enabled: <bool> }`.
+ */
+export interface ParallelizationConfig {
+  enabled?: boolean;
+  /** Maximum plan sessions the execute step runs at once. Default: 3. */
+  max_concurrent?: number;
+  /** Older spelling of `max_concurrent`; honored when the new key is absent. */
+  max_concurrent_agents?: number;
+  /**
+   * `dependencies` (default) starts a plan as soon as its `depends_on` plans
+   * finish; `waves` keeps the legacy wave-by-wave barrier.
+   */
+  scheduler?: PlanSchedulerMode;
+  [key: string]: unknown;
+}
+
+export type PlanSchedulerMode = 'dependencies' | 'waves';
+
+/**
+ * Project-level spend caps (docs/CONFIGURATION.md). Spend is read from the
+ * cost ledger, so caps hold across runs; unset or non-positive means no cap.
+ */
+export interface BudgetConfig {
+  /** Maximum USD spent on one phase, summed over every run of it. */
+  per_phase_usd?: number | null;
+  /** Maximum USD spent across all phases of the current milestone. */
+  per_milestone_usd?: number | null;
+}
+
+/**
+ * Web search settings for the `websearch` query (docs/CONFIGURATION.md).
+ */
+export interface SearchConfig {
+  /** Providers to try in order: brave, exa, firecrawl, searxng, fixture. */
+  providers?: string[];
+  /** Base URL of a self-hosted SearXNG instance. */
+  searxng_url?: string | null;
+  /** How long cached results are reused; 0 disables the cache. */
+  cache_ttl_hours?: number;
 }
 
 export interface HooksConfig {
@@ -55,7 +106,7 @@ export interface HooksConfig {
 export interface GSDConfig {
   model_profile: string;
   commit_docs: boolean;
-  parallelization: boolean;
+  parallelization: boolean | ParallelizationConfig;
   search_gitignored: boolean;
   brave_search: boolean;
   firecrawl: boolean;
@@ -64,6 +115,8 @@ export interface GSDConfig {
   workflow: WorkflowConfig;
   hooks: HooksConfig;
   agent_skills: Record<string, unknown>;
+  budget?: BudgetConfig;
+  search?: SearchConfig;
   /** Project slug for branch templates; mirrors gsd-tools `config.project_code`. */
   project_code?: string | null;
   /** Interactive vs headless; mirrors gsd-tools flat `config.mode`. */
@@ -232,3 +285,63 @@ function mergeDefaults(parsed: Record<string, unknown>): GSDConfig {
     },
   };
 }
+
+// ─── Parallelization ─────────────────────────────────────────────────────────
+
+export const DEFAULT_MAX_CONCURRENT_PLANS = 3;
+
+export interface ResolvedParallelization {
+  enabled: boolean;
+  maxConcurrent: number;
+  scheduler: PlanSchedulerMode;
+}
+
+/**
+ * Normalize the boolean-or-object `parallelization` setting. `enabled` follows
+ * the CJS reader in core.cjs; an invalid or missing concurrency falls back to
+ * {@link DEFAULT_MAX_CONCURRENT_PLANS}.
+ */
+export function resolveParallelization(value: GSDConfig['parallelization'] | undefined): ResolvedParallelization {
+  const resolved: ResolvedParallelization = {
+    enabled: true,
+    maxConcurrent: DEFAULT_MAX_CONCURRENT_PLANS,
+    scheduler: 'dependencies',
+  };
+
+  if (typeof value === 'boolean') {
+    resolved.enabled = value;
+    return resolved;
+  }
+  if (typeof value !== 'object' || value === null) return resolved;
+
+  if (typeof value.enabled === 'boolean') resolved.enabled = value.enabled;
+  const max = Number(value.max_concurrent ?? value.max_concurrent_agents);
+  if (Number.isInteger(max) && max > 0) resolved.maxConcurrent = max;
+  if (value.scheduler === 'waves' || value.scheduler === 'dependencies') resolved.scheduler = value.scheduler;
+
+  return resolved;
+}
+
+// ─── Budget ──────────────────────────────────────────────────────────────────
+
+export interface ResolvedBudget {
+  perPhaseUsd?: number;
+  perMilestoneUsd?: number;
+}
+
+/** Keep only caps that are positive finite numbers; anything else means no cap. */
+export function resolveBudget(value: GSDConfig['budget'] | undefined): ResolvedBudget {
+  const resolved: ResolvedBudget = {};
+  if (typeof value !== 'object' || value === null) return resolved;
+
+  const cap = (raw: unknown): number | undefined => {
+    const n = Number(raw);
+    return Number.isFinite(n) && n > 0 ? n : undefined;
+  };
+  const perPhase = cap(value.per_phase_usd);
+  const perMilestone = cap(value.per_milestone_usd);
+  if (perPhase !== undefined) resolved.perPhaseUsd = perPhase;
+  if (perMilestone !== undefined) resolved.perMilestoneUsd = perMilestone;
+
+  return resolved;
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyContextBudget,
+  contextBudgetFor,
+  scoreSection,
+  splitSections,
+  DEFAULT_CONTEXT_BUDGETS,
+} from './context-budget.js';
+import { estimateTokens } from './token-estimate.js';
+import { PhaseType } from './types.js';
+
+const long = (label: string, words = 400) => `## ${label}\n\nIntro to ${label}.\n\n${'word '.repeat(words)}`;
+
+describe('splitSections', () => {
+  it('splits at level 1-3 headings, ignoring fenced code', () => {
+    const sections = splitSections('intro\n# Title\n## A\ntext\n#### deep\n```\n# not a heading\n```\n### B');
+
+    expect(sections.map(s => s.heading)).toEqual(['', 'Title', 'A', 'B']);
+    expect(sections[2]!.text).toContain('#### deep');
+    expect(sections[2]!.text).toContain('# not a heading');
+  });
+
+  it('omits an empty preamble', () => {
+    expect(splitSections('# Title\nbody').map(s => s.heading)).toEqual(['Title']);
+  });
+});
+
+describe('contextBudgetFor', () => {
+  it('uses per-phase defaults, overrides and model scale', () => {
+    expect(contextBudgetFor(PhaseType.Plan)).toBe(DEFAULT_CONTEXT_BUDGETS[PhaseType.Plan]);
+    expect(contextBudgetFor(PhaseType.Plan, { tokens: { [PhaseType.Plan]: 1000 } })).toBe(1000);
+    expect(contextBudgetFor(PhaseType.Execute, { model: 'claude-haiku-4-5' })).toBe(2000);
+    expect(contextBudgetFor(PhaseType.Execute, { model: 'claude-opus-4-6[1m]' })).toBe(16000);
+  });
+});
+
+describe('scoreSection', () => {
+  const base = { file: 'context' as const, index: 2, text: '' };
+
+  it('ranks the active phase, then blockers, above other sections', () => {
+    const active = scoreSection({ ...base, heading: 'Phase 03: API' }, PhaseType.Plan, { phaseNumber: '3' });
+    const blockers = scoreSection({ ...base, heading: 'Blockers' }, PhaseType.Plan, { phaseNumber: '3' });
+    const other = scoreSection({ ...base, heading: 'Phase 1: Setup' }, PhaseType.Plan, { phaseNumber: '3' });
+
+    expect(active).toBeGreaterThan(other);
+    expect(blockers).toBeGreaterThan(other);
+  });
+
+  it('weighs files by phase type', () => {
+    const research = { ...base, file: 'research' as const, heading: 'Findings' };
+    expect(scoreSection(research, PhaseType.Plan)).toBeGreaterThan(scoreSection(research, PhaseType.Verify));
+  });
+});
+
+describe('applyContextBudget', () => {
+  it('returns files unchanged when they fit', () => {
+    const files = { state: '# State', context: '# Context\nsmall' };
+    const { files: fitted, report } = applyContextBudget(files, PhaseType.Plan, 10_000);
+
+    expect(fitted).toEqual(files);
+    expect(report.dropped).toEqual([]);
+  });
+
+  it('keeps STATE.md whole and fills the rest best-first', () => {
+    const state = `# State\n${'s'.repeat(400)}`;
+    const context = ['# Context', long('Phase 1'), long('Phase 2'), '## Blockers\n\n- waiting on API keys'].join('\n');
+    // Room for Phase 2, the blockers, and a stub (condensed or marker) for Phase 1
+    const budget = estimateTokens(state) + estimateTokens(long('Phase 2')) + 40;
+
+    const { files, report } = applyContextBudget({ state, context }, PhaseType.Plan, budget, { phaseNumber: '2' });
+
+    expect(files.state).toBe(state);
+    expect(files.context).toContain('## Phase 2');
+    expect(files.context).toContain('waiting on API keys');
+    expect([...report.condensed, ...report.dropped].map(s => s.heading)).toEqual(['Phase 1']);
+    expect(report.usedTokens).toBeLessThanOrEqual(budget);
+  });
+
+  it('counts omission markers against the budget', () => {
+    const context = ['# Context', long('Phase 1'), long('Phase 2'), long('Phase 3')].join('\n');
+    const budget = estimateTokens(long('Phase 2')) * 2 + 10;
+
+    const { files, report } = applyContextBudget({ context }, PhaseType.Plan, budget, { phaseNumber: '2' });
+
+    expect(report.usedTokens).toBeLessThanOrEqual(budget);
+    expect(estimateTokens(files.context!)).toBe(report.usedTokens);
+    expect(files.context).toContain('## Phase 2');
+    expect(report.dropped.length).toBeGreaterThan(0);
+  });
+
+  it('condenses a section to its first paragraph when the whole does not fit', () => {
+    const context = ['# Context', long('Phase 1', 2000)].join('\n');
+    const { files, report } = applyContextBudget({ context }, PhaseType.Plan, 200, { phaseNumber: '1' });
+
+    expect(report.condensed.map(s => s.heading)).toEqual(['Phase 1']);
+    expect(files.context).toContain('Intro to Phase 1.');
+    expect(files.context!.length).toBeLessThan(context.length);
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * Context budgeting — fits a phase's .planning/ files into a token budget.
+ *
+ * Replaces fixed per-file truncation (issue #1614) with relevance ranking:
+ * 1. Every markdown file is split into sections at `#`–`###` headings.
+ * 2. Sections are scored for the current phase: the file's weight for the
+ *    phase type, mentions of the active phase, blocker / open-question
+ *    sections, and the current milestone all raise the score.
+ * 3. The budget is filled best-first. A section that does not fit whole is
+ *    condensed to headings + first paragraphs; one that still does not fit is
+ *    dropped and replaced with a pointer to the full file. The pointers count
+ *    against the budget: while they push it over, the lowest-ranked kept
+ *    section larger than its own pointer is dropped too.
+ *
+ * STATE.md and config.json are always kept whole. All functions are pure —
+ * no I/O, no side effects.
+ */
+
+import type { ContextFiles } from './types.js';
+import { PhaseType } from './types.js';
+import { truncateMarkdown } from './context-truncation.js';
+import { estimateTokens } from './token-estimate.js';
+
+// ─── Budgets ────────────────────────────────────────────────────────────────
+
+/** Token budgets per phase type, sized for a 200k-token context window. */
+export const DEFAULT_CONTEXT_BUDGETS: Record<PhaseType, number> = {
+  [PhaseType.Discuss]: 8_000,
+  [PhaseType.Research]: 16_000,
+  [PhaseType.Plan]: 24_000,
+  [PhaseType.Execute]: 4_000,
+  [PhaseType.Verify]: 16_000,
+  [PhaseType.Repair]: 6_000,
+};
+
+export interface ContextBudgetOptions {
+  /** Override the token budget of individual phase types. */
+  tokens?: Partial<Record<PhaseType, number>>;
+  /** Model the prompt is built for; scales the budget to its context window. */
+  model?: string;
+}
+
+/**
+ * Budget multiplier for a model. 1M-context variants get 4x, Haiku-class
+ * models half; anything else is treated as a 200k-token window.
+ */
+export function modelBudgetScale(model?: string): number {
+  if (!model) return 1;
+  if (/\[1m\]|-1m\b/i.test(model)) return 4;
+  if (/haiku/i.test(model)) return 0.5;
+  return 1;
+}
+
+/** Token budget for a phase type and model. */
+export function contextBudgetFor(phaseType: PhaseType, options: ContextBudgetOptions = {}): number {
+  const base = options.tokens?.[phaseType] ?? DEFAULT_CONTEXT_BUDGETS[phaseType];
+  return Math.floor(base * modelBudgetScale(options.model));
+}
+
+// ─── Sections ───────────────────────────────────────────────────────────────
+
+export interface ContextSection {
+  file: keyof ContextFiles;
+  filename: string;
+  /** Position within the file; 0 is the preamble before the first heading. */
+  index: number;
+  /** Heading line without the leading `#`s; empty for the preamble. */
+  heading: string;
+  text: string;
+  tokens: number;
+  score: number;
+}
+
+/**
+ * Split markdown into sections at level 1–3 headings. Headings inside fenced
+ * code blocks are ignored; deeper headings stay with their parent section.
+ */
+export function splitSections(content: string): Array<{ heading: string; text: string }> {
+  const sections: Array<{ heading: string; lines: string[] }> = [{ heading: '', lines: [] }];
+  let inFence = false;
+
+  for (const line of content.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = inFence ? null : line.match(/^#{1,3}\s+(.+)/);
+    if (heading) {
+      sections.push({ heading: heading[1]!.trim(), lines: [line] });
+    } else {
+      sections[sections.length - 1]!.lines.push(line);
+    }
+  }
+
+  return sections
+    .map(s => ({ heading: s.heading, text: s.lines.join('\n') }))
+    .filter((s, i) => i > 0 || s.text.trim() !== '');
+}
+
+// ─── Relevance ──────────────────────────────────────────────────────────────
+
+export interface ContextFocus {
+  /** Phase being worked on, e.g. `3` or `03`. */
+  phaseNumber?: string;
+  /** Current milestone name or version, when known. */
+  milestone?: string;
+}
+
+/** How much each file matters per phase type; unlisted files weigh 30. */
+const FILE_WEIGHTS: Partial<Record<PhaseType, Partial<Record<keyof ContextFiles, number>>>> = {
+  [PhaseType.Discuss]: { phaseContext: 80, context: 60, roadmap: 50 },
+  [PhaseType.Research]: { phaseContext: 90, context: 70, roadmap: 50, requirements: 40 },
+  [PhaseType.Plan]: { phaseContext: 90, phaseResearch: 85, context: 70, research: 65, roadmap: 50, requirements: 45 },
+  [PhaseType.Verify]: { plan: 60, summary: 60, requirements: 55, roadmap: 40 },
+  [PhaseType.Repair]: { plan: 60 },
+};
+
+const BLOCKER_HEADING = /\b(blockers?|blocked|open questions?|unresolved|risks?|concerns?)\b/i;
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function mentionsPhase(text: string, phaseNumber: string): boolean {
+  const bare = phaseNumber.replace(/^0+(?=\d)/, '');
+  return new RegExp(`\\bphase\\s+0*${escapeRegExp(bare)}\\b`, 'i').test(text);
+}
+
+/** Score one section for the phase type and focus. Higher is kept first. */
+export function scoreSection(
+  section: Pick<ContextSection, 'file' | 'index' | 'heading' | 'text'>,
+  phaseType: PhaseType,
+  focus: ContextFocus = {},
+): number {
+  let score = FILE_WEIGHTS[phaseType]?.[section.file] ?? 30;
+
+  // A file's title and intro are cheap and tell the agent what the file is
+  if (section.index === 0) score += 30;
+  if (BLOCKER_HEADING.test(section.heading)) score += 50;
+  if (focus.phaseNumber) {
+    if (mentionsPhase(section.heading, focus.phaseNumber)) score += 60;
+    else if (mentionsPhase(section.text, focus.phaseNumber)) score += 25;
+  }
+  if (focus.milestone && section.heading.toLowerCase().includes(focus.milestone.toLowerCase())) score += 20;
+
+  return score;
+}
+
+// ─── Budgeting ──────────────────────────────────────────────────────────────
+
+export interface BudgetedSection {
+  filename: string;
+  heading: string;
+  tokens: number;
+  score: number;
+}
+
+export interface ContextBudgetReport {
+  phaseType: PhaseType;
+  budgetTokens: number;
+  /** Tokens of every file before budgeting. */
+  totalTokens: number;
+  /** Tokens of the returned files. */
+  usedTokens: number;
+  /** Sections cut down to headings + first paragraphs; `tokens` is the full size. */
+  condensed: BudgetedSection[];
+  /** Sections left out entirely. */
+  dropped: BudgetedSection[];
+}
+
+/** Files kept whole regardless of budget. */
+const PINNED: Array<keyof ContextFiles> = ['state', 'config'];
+
+const FILENAMES: Record<keyof ContextFiles, string> = {
+  state: 'STATE.md',
+  roadmap: 'ROADMAP.md',
+  context: 'CONTEXT.md',
+  research: 'RESEARCH.md',
+  requirements: 'REQUIREMENTS.md',
+  config: 'config.json',
+  plan: 'PLAN.md',
+  summary: 'SUMMARY.md',
+  phaseContext: 'phases/CONTEXT.md',
+  phaseResearch: 'phases/RESEARCH.md',
+};
+
+function omittedMarker(filename: string, headings: string[]): string {
+  const names = headings.map(h => (h ? `"${h}"` : 'intro')).join(', ');
+  return `[... ${headings.length} section(s) omitted to fit the context budget: ${names} — read .planning/${filename} for full content]`;
+}
+
+function countTokens(files: ContextFiles): number {
+  return (Object.keys(files) as Array<keyof ContextFiles>).reduce((sum, k) => sum + estimateTokens(files[k]!), 0);
+}
+
+/** Rebuild each budgeted file in document order, marking runs of omitted sections. */
+function reassemble(
+  files: Array<keyof ContextFiles>,
+  sections: ContextSection[],
+  chosen: Map<ContextSection, string>,
+  filenames: Record<keyof ContextFiles, string>,
+): ContextFiles {
+  const result: ContextFiles = {};
+  for (const file of files) {
+    const parts: string[] = [];
+    let omitted: string[] = [];
+    for (const section of sections.filter(s => s.file === file)) {
+      const text = chosen.get(section);
+      if (text === undefined) {
+        omitted.push(section.heading);
+        continue;
+      }
+      if (omitted.length > 0) parts.push(omittedMarker(section.filename, omitted));
+      omitted = [];
+      parts.push(text);
+    }
+    if (omitted.length > 0) parts.push(omittedMarker(filenames[file], omitted));
+    result[file] = parts.join('\n');
+  }
+  return result;
+}
+
+/**
+ * Fit `files` into `budgetTokens`, keeping the most relevant sections.
+ * Files that already fit are returned unchanged. `filenames` overrides the
+ * `.planning/`-relative path named in omission markers (e.g. the active
+ * phase's `phases/03-auth/03-CONTEXT.md`).
+ */
+export function applyContextBudget(
+  files: ContextFiles,
+  phaseType: PhaseType,
+  budgetTokens: number,
+  focus: ContextFocus = {},
+  filenames: Partial<Record<keyof ContextFiles, string>> = {},
+): { files: ContextFiles; report: ContextBudgetReport } {
+  const names = { ...FILENAMES, ...filenames };
+  const keys = (Object.keys(files) as Array<keyof ContextFiles>).filter(k => files[k] !== undefined);
+  const totalTokens = keys.reduce((sum, k) => sum + estimateTokens(files[k]!), 0);
+  const report: ContextBudgetReport = { phaseType, budgetTokens, totalTokens, usedTokens: totalTokens, condensed: [], dropped: [] };
+
+  if (totalTokens <= budgetTokens) return { files: { ...files }, report };
+
+  const result: ContextFiles = {};
+  let used = 0;
+  for (const key of keys.filter(k => PINNED.includes(k))) {
+    result[key] = files[key];
+    used += estimateTokens(files[key]!);
+  }
+
+  const sections: ContextSection[] = [];
+  for (const file of keys.filter(k => !PINNED.includes(k))) {
+    splitSections(files[file]!).forEach(({ heading, text }, index) => {
+      const section = { file, filename: names[file], index, heading, text, tokens: estimateTokens(text), score: 0 };
+      section.score = scoreSection(section, phaseType, focus);
+      sections.push(section);
+    });
+  }
+
+  // Best first; within a score, earlier in the file first
+  const ranked = [...sections].sort((a, b) => b.score - a.score || a.index - b.index);
+  const chosen = new Map<ContextSection, string>();
+  const entries = new Map<ContextSection, BudgetedSection>();
+
+  for (const section of ranked) {
+    const entry = { filename: section.filename, heading: section.heading, tokens: section.tokens, score: section.score };
+    entries.set(section, entry);
+    if (used + section.tokens <= budgetTokens) {
+      chosen.set(section, section.text);
+      used += section.tokens;
+      continue;
+    }
+    const condensed = truncateMarkdown(section.text, section.filename, { maxContentLength: 0 });
+    const condensedTokens = estimateTokens(condensed);
+    if (condensedTokens < section.tokens && used + condensedTokens <= budgetTokens) {
+      chosen.set(section, condensed);
+      used += condensedTokens;
+      report.condensed.push(entry);
+    } else {
+      report.dropped.push(entry);
+    }
+  }
+
+  // Omission markers take space too: drop the weakest kept section that is
+  // larger than the marker replacing it, until they fit
+  const budgeted = keys.filter(k => !PINNED.includes(k));
+  let assembled = reassemble(budgeted, sections, chosen, names);
+  while (countTokens({ ...result, ...assembled }) > budgetTokens) {
+    const weakest = [...chosen].reverse()
+      .find(([section, text]) => estimateTokens(text) > estimateTokens(omittedMarker(section.filename, [section.heading])))?.[0];
+    if (!weakest) break;
+    const entry = entries.get(weakest)!;
+    chosen.delete(weakest);
+    report.condensed = report.condensed.filter(s => s !== entry);
+    report.dropped.push(entry);
+    assembled = reassemble(budgeted, sections, chosen, names);
+  }
+
+  Object.assign(result, assembled);
+  report.usedTokens = countTokens(result);
+  return { files: result, report };
+}
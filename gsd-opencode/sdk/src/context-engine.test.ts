@@ -268,6 +268,84 @@ Build content.`;
     });
   });
 
+  describe('context budget', () => {
+    const filler = (label: string) => `## ${label}\n\nSummary of ${label}.\n\n${'detail '.repeat(1500)}\n`;
+
+    it('keeps the active phase and blockers and reports what was cut', async () => {
+      const context = [
+        '# Context',
+        filler('Phase 1 decisions'),
+        filler('Phase 2 decisions'),
+        filler('Phase 3 decisions'),
+        '## Open Questions\n\n- Which auth provider?\n',
+      ].join('\n');
+      await createPlanningDir(projectDir, { 'STATE.md': '# State', 'CONTEXT.md': context });
+
+      const logger = makeMockLogger();
+      const engine = new ContextEngine(projectDir, logger, { tokens: { [PhaseType.Discuss]: 3_000 } });
+      const { files, report } = await engine.assembleContext(PhaseType.Discuss, { phaseNumber: '03' });
+
+      expect(files.context).toContain('## Phase 3 decisions');
+      expect(files.context).toContain('Which auth provider?');
+      expect(files.context!.length).toBeLessThan(context.length);
+      expect([...report!.condensed, ...report!.dropped].map(s => s.heading)).toContain('Phase 1 decisions');
+      expect(report!.usedTokens).toBeLessThan(report!.totalTokens);
+      expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('fitted to 3000 tokens'), expect.any(Object));
+    });
+
+    it('passes the report to onBudgetReport when sections are cut', async () => {
+      const context = ['# Context', filler('A'), filler('B'), filler('C')].join('\n');
+      await createPlanningDir(projectDir, { 'STATE.md': '# State', 'CONTEXT.md': context });
+      const onBudgetReport = vi.fn();
+
+      const engine = new ContextEngine(projectDir, undefined, { tokens: { [PhaseType.Discuss]: 3_000 }, onBudgetReport });
+      const { report } = await engine.assembleContext(PhaseType.Discuss, { phaseNumber: '02' });
+      await new ContextEngine(projectDir, undefined, { model: 'claude-sonnet-4-6[1m]', onBudgetReport }).assembleContext(PhaseType.Discuss);
+
+      expect(onBudgetReport).toHaveBeenCalledOnce();
+      expect(onBudgetReport).toHaveBeenCalledWith(report, { phaseNumber: '02' });
+    });
+
+    it('loads the active phase CONTEXT and RESEARCH and ranks them above the root files', async () => {
+      const rootContext = ['# Context', filler('Background'), filler('History')].join('\n');
+      await createPlanningDir(projectDir, { 'STATE.md': '# State', 'CONTEXT.md': rootContext });
+      const phaseDir = join(projectDir, '.planning', 'phases', '03-auth');
+      await mkdir(phaseDir, { recursive: true });
+      await writeFile(join(phaseDir, '03-CONTEXT.md'), '# Phase 3 context\n\n## Decisions\n\nUse OAuth.\n');
+      await writeFile(join(phaseDir, '03-RESEARCH.md'), '# Phase 3 research\n\n## Findings\n\nProvider X.\n');
+
+      const engine = new ContextEngine(projectDir, undefined, { tokens: { [PhaseType.Plan]: 2_500 } });
+      const { files, report } = await engine.assembleContext(PhaseType.Plan, { phaseNumber: '3' });
+      const unfocused = await engine.resolveContextFiles(PhaseType.Plan);
+
+      expect(files.phaseContext).toContain('Use OAuth.');
+      expect(files.phaseResearch).toContain('Provider X.');
+      expect([...report!.condensed, ...report!.dropped].every(s => s.filename === 'CONTEXT.md')).toBe(true);
+      expect(files.context).toContain('read .planning/CONTEXT.md');
+      expect(unfocused.phaseContext).toBeUndefined();
+    });
+
+    it('scales the budget to the model', async () => {
+      const context = ['# Context', filler('A'), filler('B'), filler('C')].join('\n');
+      await createPlanningDir(projectDir, { 'STATE.md': '# State', 'CONTEXT.md': context });
+
+      const small = await new ContextEngine(projectDir, undefined, { model: 'claude-haiku-4-5' }).assembleContext(PhaseType.Discuss);
+      const large = await new ContextEngine(projectDir, undefined, { model: 'claude-sonnet-4-6[1m]' }).assembleContext(PhaseType.Discuss);
+
+      expect(small.report!.budgetTokens).toBe(4_000);
+      expect(small.report!.dropped.length + small.report!.condensed.length).toBeGreaterThan(0);
+      expect(large.files.context).toBe(context);
+    });
+
+    it('reports no budget with legacy maxContentLength truncation', async () => {
+      await createPlanningDir(projectDir, { 'STATE.md': '# State' });
+
+      const { report } = await new ContextEngine(projectDir, undefined, { maxContentLength: 500 }).assembleContext(PhaseType.Execute);
+
+      expect(report).toBeUndefined();
+    });
+  });
+
   describe('PHASE_FILE_MANIFEST', () => {
     it('covers all phase types', () => {
       for (const phase of Object.values(PhaseType)) {
@@ -6,13 +6,19 @@
  * ROADMAP.md + CONTEXT.md. Plan needs all files. Verify needs STATE.md +
  * ROADMAP.md + REQUIREMENTS.md + PLAN/SUMMARY files.
  *
+ * With a known active phase, discuss/research/plan also get the
+ * `NN-CONTEXT.md` from that phase's directory (and, for plan,
+ * `NN-RESEARCH.md`), which the budget ranks above the project-level files.
+ *
  * Context reduction (issue #1614):
- * - Large files are truncated to keep prompts cache-friendly
  * - ROADMAP.md is narrowed to the current milestone when possible
- * - Truncation preserves headings + first paragraph per section
+ * - The files are then fitted into a token budget per phase type and model,
+ *   keeping the sections most relevant to the active phase (see context-budget.ts)
+ * - With an explicit `maxContentLength`, each file is instead truncated on its
+ *   own to headings + first paragraph per section
  */
 
-import { readFile, access } from 'node:fs/promises';
+import { readFile, readdir, access } from 'node:fs/promises';
 import { join } from 'node:path';
 import { constants } from 'node:fs';
 
@@ -22,10 +28,18 @@ import type { GSDLogger } from './logger.js';
 import {
   truncateMarkdown,
   extractCurrentMilestone,
-  DEFAULT_TRUNCATION_OPTIONS,
+  findCurrentMilestone,
   type TruncationOptions,
 } from './context-truncation.js';
+import {
+  applyContextBudget,
+  contextBudgetFor,
+  type ContextBudgetOptions,
+  type ContextBudgetReport,
+  type ContextFocus,
+} from './context-budget.js';
 import { relPlanningPath } from './workstream-utils.js';
+import { comparePhaseNum, normalizePhaseName, phaseTokenMatches } from './query/helpers.js';
 
 // ─── File manifest per phase ─────────────────────────────────────────────────
 
@@ -76,17 +90,40 @@ const PHASE_FILE_MANIFEST: Record<PhaseType, FileSpec[]> = {
   ],
 };
 
+/** Files read from the active phase's directory, by filename suffix. */
+const PHASE_SCOPED_FILES: Partial<Record<PhaseType, Array<{ key: keyof ContextFiles; suffix: string }>>> = {
+  [PhaseType.Discuss]: [{ key: 'phaseContext', suffix: 'CONTEXT.md' }],
+  [PhaseType.Research]: [{ key: 'phaseContext', suffix: 'CONTEXT.md' }],
+  [PhaseType.Plan]: [
+    { key: 'phaseContext', suffix: 'CONTEXT.md' },
+    { key: 'phaseResearch', suffix: 'RESEARCH.md' },
+  ],
+};
+
 // ─── ContextEngine class ─────────────────────────────────────────────────────
 
+export interface ContextEngineOptions extends ContextBudgetOptions {
+  /** Truncate each file at this many characters instead of budgeting (legacy behavior). */
+  maxContentLength?: number;
+  /** Called whenever the budget condenses or drops sections. */
+  onBudgetReport?: (report: ContextBudgetReport, focus: ContextFocus) => void;
+}
+
+export interface AssembledContext {
+  files: ContextFiles;
+  /** What the budget kept and dropped; absent with legacy truncation. */
+  report?: ContextBudgetReport;
+}
+
 export class ContextEngine {
   private readonly planningDir: string;
   private readonly logger?: GSDLogger;
-  private readonly truncation: TruncationOptions;
+  private readonly options: ContextEngineOptions;
 
-  constructor(projectDir: string, logger?: GSDLogger, truncation?: Partial<TruncationOptions>, workstream?: string) {
+  constructor(projectDir: string, logger?: GSDLogger, options?: ContextEngineOptions, workstream?: string) {
     this.planningDir = join(projectDir, relPlanningPath(workstream));
     this.logger = logger;
-    this.truncation = { ...DEFAULT_TRUNCATION_OPTIONS, ...truncation };
+    this.options = { ...options };
   }
 
   /**
@@ -94,10 +131,18 @@ export class ContextEngine {
    * Reads each file defined in the phase manifest, returning undefined
    * for missing optional files and warning for missing required files.
    *
-   * Files exceeding the truncation threshold are reduced to headings +
-   * first paragraphs. ROADMAP.md is narrowed to the current milestone.
+   * ROADMAP.md is narrowed to the current milestone, then the files are
+   * fitted into the phase's token budget. `focus.phaseNumber` adds the active
+   * phase's own CONTEXT/RESEARCH files and ranks its sections first.
+   */
+  async resolveContextFiles(phaseType: PhaseType, focus?: ContextFocus): Promise<ContextFiles> {
+    return (await this.assembleContext(phaseType, focus)).files;
+  }
+
+  /**
+   * Like {@link resolveContextFiles}, also returning the budget report.
    */
-  async resolveContextFiles(phaseType: PhaseType): Promise<ContextFiles> {
+  async assembleContext(phaseType: PhaseType, focus: ContextFocus = {}): Promise<AssembledContext> {
     const manifest = PHASE_FILE_MANIFEST[phaseType];
     const result: ContextFiles = {};
 
@@ -116,6 +161,21 @@ export class ContextEngine {
       }
     }
 
+    const phaseFilenames: Partial<Record<keyof ContextFiles, string>> = {};
+    const scoped = PHASE_SCOPED_FILES[phaseType];
+    const phaseDir = scoped && focus.phaseNumber ? await this.findPhaseDir(focus.phaseNumber) : undefined;
+    if (scoped && phaseDir) {
+      const names = await readdir(join(this.planningDir, phaseDir)).catch(() => [] as string[]);
+      for (const { key, suffix } of scoped) {
+        const filename = names.find(n => n === suffix || n.endsWith(`-${suffix}`));
+        const content = filename && await this.readFileIfExists(join(this.planningDir, phaseDir, filename));
+        if (content !== undefined && content !== '') {
+          result[key] = content;
+          phaseFilenames[key] = `${phaseDir}/${filename}`;
+        }
+      }
+    }
+
     // Apply context reduction: milestone extraction then truncation
     if (result.roadmap && result.state) {
       const before = result.roadmap.length;
@@ -128,7 +188,12 @@ export class ContextEngine {
       }
     }
 
-    // Truncate oversized files (skip config.json — structured data, not markdown)
+    if (this.options.maxContentLength === undefined) {
+      return this.budget(result, phaseType, focus, phaseFilenames);
+    }
+
+    // Legacy: truncate oversized files (skip config.json — structured data, not markdown)
+    const truncation: TruncationOptions = { maxContentLength: this.options.maxContentLength };
     const truncatable: Array<{ key: keyof ContextFiles; filename: string }> = [
       { key: 'roadmap', filename: 'ROADMAP.md' },
       { key: 'context', filename: 'CONTEXT.md' },
@@ -136,13 +201,15 @@ export class ContextEngine {
       { key: 'requirements', filename: 'REQUIREMENTS.md' },
       { key: 'plan', filename: 'PLAN.md' },
       { key: 'summary', filename: 'SUMMARY.md' },
+      { key: 'phaseContext', filename: phaseFilenames.phaseContext ?? 'CONTEXT.md' },
+      { key: 'phaseResearch', filename: phaseFilenames.phaseResearch ?? 'RESEARCH.md' },
     ];
 
     for (const { key, filename } of truncatable) {
       const raw = result[key];
-      if (raw && raw.length > this.truncation.maxContentLength) {
+      if (raw && raw.length > truncation.maxContentLength) {
         const before = raw.length;
-        result[key] = truncateMarkdown(raw, filename, this.truncation);
+        result[key] = truncateMarkdown(raw, filename, truncation);
         this.logger?.debug?.(`${filename} truncated`, {
           before,
           after: result[key]!.length,
@@ -150,7 +217,52 @@ export class ContextEngine {
       }
     }
 
-    return result;
+    return { files: result };
+  }
+
+  /**
+   * Fit the files into the phase's token budget and log and report what was cut.
+   */
+  private budget(
+    files: ContextFiles,
+    phaseType: PhaseType,
+    focus: ContextFocus,
+    filenames: Partial<Record<keyof ContextFiles, string>>,
+  ): AssembledContext {
+    const milestone = focus.milestone ?? (files.state ? findCurrentMilestone(files.state) : undefined);
+    const budgetTokens = contextBudgetFor(phaseType, this.options);
+    const { files: fitted, report } = applyContextBudget(files, phaseType, budgetTokens, { ...focus, milestone }, filenames);
+
+    if (report.dropped.length > 0 || report.condensed.length > 0) {
+      this.logger?.info(`Context for ${phaseType} phase fitted to ${budgetTokens} tokens`, {
+        phase: phaseType,
+        before: report.totalTokens,
+        after: report.usedTokens,
+        condensed: report.condensed.map(s => `${s.filename}#${s.heading}`),
+        dropped: report.dropped.map(s => `${s.filename}#${s.heading}`),
+      });
+      this.options.onBudgetReport?.(report, focus);
+    }
+    return { files: fitted, report };
+  }
+
+  /**
+   * The active phase's directory relative to the planning dir
+   * (`phases/03-auth`), or undefined when there is none.
+   */
+  private async findPhaseDir(phaseNumber: string): Promise<string | undefined> {
+    const normalized = normalizePhaseName(phaseNumber);
+    try {
+      const entries = await readdir(join(this.planningDir, 'phases'), { withFileTypes: true });
+      const match = entries
+        .filter(e => e.isDirectory())
+        .map(e => e.name)
+        .sort(comparePhaseNum)
+        .find(d => phaseTokenMatches(d, normalized));
+      return match ? `phases/${match}` : undefined;
+    } catch {
+      return undefined;
+    }
   }
 
   /**
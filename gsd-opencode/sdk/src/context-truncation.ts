@@ -131,23 +131,7 @@ export function extractCurrentMilestone(
 ): string {
   if (!stateContent) return roadmapContent;
 
-  // Find current milestone from STATE.md
-  // Patterns: "Current Milestone: X", "milestone: X", "## Current Position" block
-  const milestonePatterns = [
-    /current\s*milestone\s*:\s*(.+)/i,
-    /^milestone\s*:\s*(.+)/im,
-    /##\s*current\s*position[\s\S]*?milestone\s*:\s*(.+)/i,
-  ];
-
-  let milestoneName: string | undefined;
-  for (const pattern of milestonePatterns) {
-    const match = stateContent.match(pattern);
-    if (match) {
-      milestoneName = match[1].trim();
-      break;
-    }
-  }
-
+  const milestoneName = findCurrentMilestone(stateContent);
   if (!milestoneName) return roadmapContent;
 
   // Find the milestone section in roadmap
@@ -216,6 +200,24 @@ export function extractCurrentMilestone(
   return result.join('\n').trim();
 }
 
+/**
+ * Current milestone name from STATE.md, if it names one.
+ * Patterns: "Current Milestone: X", "milestone: X", "## Current Position" block
+ */
+export function findCurrentMilestone(stateContent: string): string | undefined {
+  const milestonePatterns = [
+    /current\s*milestone\s*:\s*(.+)/i,
+    /^milestone\s*:\s*(.+)/im,
+    /##\s*current\s*position[\s\S]*?milestone\s*:\s*(.+)/i,
+  ];
+
+  for (const pattern of milestonePatterns) {
+    const match = stateContent.match(pattern);
+    if (match) return match[1].trim();
+  }
+  return undefined;
+}
+
 function countOtherMilestones(
   lines: string[],
   headingLevel: number,
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm, appendFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { CostLedger, ledgerEntryFor, summarizeCosts, spentUsd } from './cost-ledger.js';
+import type { CostLedgerEntry } from './cost-ledger.js';
+import { PhaseStepType } from './types.js';
+import type { PlanResult } from './types.js';
+
+function makeResult(overrides: Partial<PlanResult> = {}): PlanResult {
+  return {
+    success: true,
+    sessionId: 'sess-1',
+    totalCostUsd: 0.5,
+    durationMs: 1000,
+    usage: { inputTokens: 100, outputTokens: 50, cacheReadInputTokens: 10, cacheCreationInputTokens: 0 },
+    numTurns: 3,
+    ...overrides,
+  };
+}
+
+function makeEntry(overrides: Partial<CostLedgerEntry> = {}): CostLedgerEntry {
+  return {
+    timestamp: '2026-01-01T00:00:00.000Z',
+    ...ledgerEntryFor(makeResult(), { milestone: 'v1.0', phaseNumber: '01', step: PhaseStepType.Execute }),
+    ...overrides,
+  };
+}
+
+describe('CostLedger', () => {
+  let tmpDir: string;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'gsd-ledger-'));
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('lives at .planning/cost-ledger.jsonl, per workstream', () => {
+    expect(CostLedger.forProject(tmpDir).filePath).toBe(join(tmpDir, '.planning', 'cost-ledger.jsonl'));
+    expect(CostLedger.forProject(tmpDir, 'api').filePath).toBe(join(tmpDir, '.planning', 'workstreams', 'api', 'cost-ledger.jsonl'));
+  });
+
+  it('reads an empty list when no ledger exists', async () => {
+    expect(await CostLedger.forProject(tmpDir).read()).toEqual([]);
+  });
+
+  it('appends timestamped entries that survive a new instance', async () => {
+    const entry = ledgerEntryFor(makeResult({ model: 'claude-sonnet-4-6' }), {
+      milestone: 'v1.0',
+      phaseNumber: '01',
+      step: PhaseStepType.Execute,
+      planId: '01-01',
+    });
+    await CostLedger.forProject(tmpDir).append(entry);
+
+    const [read] = await CostLedger.forProject(tmpDir).read();
+    expect(read).toMatchObject({ ...entry, model: 'claude-sonnet-4-6', planId: '01-01' });
+    expect(read!.timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  it('keeps concurrent appends as whole lines', async () => {
+    const ledger = CostLedger.forProject(tmpDir);
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) =>
+        ledger.append(ledgerEntryFor(makeResult({ sessionId: `s${i}` }), { phaseNumber: '01', step: PhaseStepType.Execute })),
+      ),
+    );
+
+    expect(new Set((await ledger.read()).map(e => e.sessionId)).size).toBe(20);
+    expect((await readFile(ledger.filePath, 'utf-8')).trim().split('\n')).toHaveLength(20);
+  });
+
+  it('skips a torn trailing line', async () => {
+    const ledger = CostLedger.forProject(tmpDir);
+    await ledger.append(ledgerEntryFor(makeResult(), { phaseNumber: '01', step: PhaseStepType.Plan }));
+    await appendFile(ledger.filePath, '{"phaseNumber":"01","co');
+
+    expect(await ledger.read()).toHaveLength(1);
+  });
+});
+
+describe('summarizeCosts', () => {
+  const entries = [
+    makeEntry({ sessionId: 'a', step: PhaseStepType.Plan, costUsd: 1, model: 'm1' }),
+    makeEntry({ sessionId: 'b', planId: '01-01', costUsd: 2, model: 'm2' }),
+    makeEntry({ sessionId: 'c', planId: '01-01', costUsd: 3, model: 'm2' }),
+    makeEntry({ sessionId: 'd', phaseNumber: '02', planId: '02-01', costUsd: 4 }),
+    makeEntry({ sessionId: 'e', milestone: 'v2.0', phaseNumber: '03', costUsd: 5 }),
+  ];
+
+  it('rolls up by milestone, phase and step', () => {
+    expect(summarizeCosts(entries, 'milestone').map(s => [s.key, s.costUsd])).toEqual([['v1.0', 10], ['v2.0', 5]]);
+    expect(summarizeCosts(entries, 'phase').map(s => s.key)).toEqual(['v1.0/01', 'v1.0/02', 'v2.0/03']);
+    expect(summarizeCosts(entries, 'step').find(s => s.key === 'v1.0/01/execute')).toMatchObject({ costUsd: 5, sessions: 2 });
+  });
+
+  it('rolls up plan sessions only at plan level', () => {
+    const plans = summarizeCosts(entries, 'plan');
+
+    expect(plans.map(s => s.key)).toEqual(['v1.0/01/execute/01-01', 'v1.0/02/execute/02-01']);
+    expect(plans[0]).toMatchObject({ costUsd: 5, durationMs: 2000, models: ['m2'] });
+    expect(plans[0]!.usage.inputTokens).toBe(200);
+  });
+
+  it('keeps one row per session', () => {
+    expect(summarizeCosts(entries, 'session').map(s => s.key)).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('totals spend for a milestone and phase', () => {
+    expect(spentUsd(entries)).toBe(15);
+    expect(spentUsd(entries, { milestone: 'v1.0' })).toBe(10);
+    expect(spentUsd(entries, { milestone: 'v1.0', phaseNumber: '01' })).toBe(6);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Cost ledger — persistent record of what every agent session cost.
+ *
+ * `GSDEventStream` only tracks spend for the life of the process. The ledger
+ * appends one JSON line per session (cost, tokens, model, duration, and the
+ * milestone / phase / step / plan it ran for) to `.planning/cost-ledger.jsonl`,
+ * so spend survives restarts and can be rolled up at any level. PhaseRunner
+ * reads it to enforce the `budget.per_phase_usd` and `budget.per_milestone_usd`
+ * caps across runs.
+ *
+ * @example
+ * ```typescript
+ * const ledger = CostLedger.forProject('/project');
+ * const byPhase = summarizeCosts(await ledger.read(), 'phase');
+ * const spent = spentUsd(await ledger.read(), { milestone: 'v1.0', phaseNumber: '03' });
+ * ```
+ */
+
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import type { PhaseStepType, PlanResult, SessionUsage } from './types.js';
+import { relPlanningPath } from './workstream-utils.js';
+
+// ─── Ledger entries ──────────────────────────────────────────────────────────
+
+export interface CostLedgerEntry {
+  timestamp: string;
+  /** Milestone version the phase belongs to (e.g. `v1.0`), when known. */
+  milestone?: string;
+  phaseNumber: string;
+  step: PhaseStepType;
+  /** Plan id for execute-step plan sessions. */
+  planId?: string;
+  sessionId: string;
+  /** Model that served the session, when the backend reported one. */
+  model?: string;
+  costUsd: number;
+  durationMs: number;
+  numTurns: number;
+  usage: SessionUsage;
+  success: boolean;
+}
+
+/** Entry shape accepted by {@link CostLedger.append} — timestamp is filled in. */
+export type CostLedgerEntryInput = Omit<CostLedgerEntry, 'timestamp'>;
+
+/** Ledger entry for a finished session. */
+export function ledgerEntryFor(
+  result: PlanResult,
+  where: { milestone?: string; phaseNumber: string; step: PhaseStepType; planId?: string },
+): CostLedgerEntryInput {
+  return {
+    ...(where.milestone !== undefined && { milestone: where.milestone }),
+    phaseNumber: where.phaseNumber,
+    step: where.step,
+    ...(where.planId !== undefined && { planId: where.planId }),
+    sessionId: result.sessionId,
+    ...(result.model !== undefined && { model: result.model }),
+    costUsd: result.totalCostUsd,
+    durationMs: result.durationMs,
+    numTurns: result.numTurns,
+    usage: result.usage,
+    success: result.success,
+  };
+}
+
+// ─── Roll-ups ────────────────────────────────────────────────────────────────
+
+/** Level a ledger is summarized at. */
+export type CostScope = 'session' | 'plan' | 'step' | 'phase' | 'milestone';
+
+export interface CostSummary {
+  /** Group key — e.g. `v1.0/03/execute/03-01` at plan level, `v1.0` at milestone level. */
+  key: string;
+  costUsd: number;
+  durationMs: number;
+  sessions: number;
+  usage: SessionUsage;
+  /** Models seen in the group, in first-use order. */
+  models: string[];
+}
+
+function scopeKey(entry: CostLedgerEntry, scope: CostScope): string | undefined {
+  const milestone = entry.milestone ?? '-';
+  switch (scope) {
+    case 'milestone':
+      return milestone;
+    case 'phase':
+      return `${milestone}/${entry.phaseNumber}`;
+    case 'step':
+      return `${milestone}/${entry.phaseNumber}/${entry.step}`;
+    case 'plan':
+      // Only plan sessions roll up at plan level
+      return entry.planId === undefined ? undefined : `${milestone}/${entry.phaseNumber}/${entry.step}/${entry.planId}`;
+    case 'session':
+      return entry.sessionId || `${milestone}/${entry.phaseNumber}/${entry.step}@${entry.timestamp}`;
+  }
+}
+
+/** Group ledger entries at `scope`, in first-seen order. */
+export function summarizeCosts(entries: CostLedgerEntry[], scope: CostScope): CostSummary[] {
+  const groups = new Map<string, CostSummary>();
+
+  for (const entry of entries) {
+    const key = scopeKey(entry, scope);
+    if (key === undefined) continue;
+
+    let summary = groups.get(key);
+    if (!summary) {
+      summary = {
+        key,
+        costUsd: 0,
+        durationMs: 0,
+        sessions: 0,
+        usage: { inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 },
+        models: [],
+      };
+      groups.set(key, summary);
+    }
+
+    summary.costUsd += entry.costUsd;
+    summary.durationMs += entry.durationMs;
+    summary.sessions += 1;
+    summary.usage.inputTokens += entry.usage.inputTokens;
+    summary.usage.outputTokens += entry.usage.outputTokens;
+    summary.usage.cacheReadInputTokens += entry.usage.cacheReadInputTokens;
+    summary.usage.cacheCreationInputTokens += entry.usage.cacheCreationInputTokens;
+    if (entry.model && !summary.models.includes(entry.model)) summary.models.push(entry.model);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Total USD spent by entries matching the filter. Entries without a milestone
+ * only match a filter without one.
+ */
+export function spentUsd(entries: CostLedgerEntry[], filter: { milestone?: string; phaseNumber?: string } = {}): number {
+  return entries
+    .filter(e => filter.milestone === undefined || e.milestone === filter.milestone)
+    .filter(e => filter.phaseNumber === undefined || e.phaseNumber === filter.phaseNumber)
+    .reduce((sum, e) => sum + e.costUsd, 0);
+}
+
+// ─── CostLedger ──────────────────────────────────────────────────────────────
+
+export class CostLedger {
+  /** Serializes appends so concurrent plan sessions land as whole lines. */
+  private queue: Promise<void> = Promise.resolve();
+
+  /**
+   * @param filePath - Absolute path of the JSONL ledger
+   */
+  constructor(readonly filePath: string) {}
+
+  /** Ledger at `<projectDir>/.planning/cost-ledger.jsonl` (workstream-aware). */
+  static forProject(projectDir: string, workstream?: string): CostLedger {
+    return new CostLedger(join(projectDir, relPlanningPath(workstream), 'cost-ledger.jsonl'));
+  }
+
+  /**
+   * Read every entry. A missing file yields an empty list; a torn line
+   * (process killed mid-append) is skipped.
+   */
+  async read(): Promise<CostLedgerEntry[]> {
+    let raw: string;
+    try {
+      raw = await readFile(this.filePath, 'utf-8');
+    } catch {
+      return [];
+    }
+
+    const entries: CostLedgerEntry[] = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line) as CostLedgerEntry);
+      } catch {
+        // Torn write — skip it
+      }
+    }
+    return entries;
+  }
+
+  /** Append one timestamped entry. Resolves once the line is on disk. */
+  async append(entry: CostLedgerEntryInput): Promise<void> {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+    const next = this.queue.then(async () => {
+      await mkdir(dirname(this.filePath), { recursive: true });
+      await appendFile(this.filePath, line, 'utf-8');
+    });
+    // Keep the chain alive after a failed write; the caller still sees the rejection.
+    this.queue = next.catch(() => undefined);
+    await next;
+  }
+}
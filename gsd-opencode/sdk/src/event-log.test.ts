@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile, writeFile, mkdir, appendFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  EventLogTransport,
+  runsDir,
+  newRunId,
+  readEventLog,
+  listRuns,
+  resolveRunLog,
+  filterEvents,
+  summarizeRun,
+  formatRunSummary,
+} from './event-log.js';
+import { GSDError } from './errors.js';
+import { GSDEventType, PhaseStepType } from './types.js';
+import type { GSDEvent } from './types.js';
+
+function makeEvent(type: GSDEventType, fields: Record<string, unknown> = {}): GSDEvent {
+  return { type, timestamp: '2025-06-15T14:30:45.000Z', sessionId: 'test-session', ...fields } as unknown as GSDEvent;
+}
+
+/** Events of a two-phase milestone run with one execute session per phase. */
+const RUN: GSDEvent[] = [
+  makeEvent(GSDEventType.MilestoneStart, { phaseCount: 2, prompt: '', timestamp: '2025-06-15T14:00:00.000Z' }),
+  makeEvent(GSDEventType.PhaseStart, { phaseNumber: '01', phaseName: 'Auth' }),
+  makeEvent(GSDEventType.PlanStarted, { phaseNumber: '01', planId: '01-01', waveNumber: 1, running: 1 }),
+  makeEvent(GSDEventType.CostUpdate, { sessionCostUsd: 0.5, cumulativeCostUsd: 0.5 }),
+  makeEvent(GSDEventType.PhaseStepComplete, { phaseNumber: '01', step: PhaseStepType.Execute, success: true, durationMs: 4000 }),
+  makeEvent(GSDEventType.PhaseComplete, { phaseNumber: '01', phaseName: 'Auth', success: true, totalCostUsd: 0.5, totalDurationMs: 5000, stepsCompleted: 1 }),
+  makeEvent(GSDEventType.PhaseStart, { phaseNumber: '02', phaseName: 'API' }),
+  makeEvent(GSDEventType.PlanStarted, { phaseNumber: '02', planId: '02-01', waveNumber: 1, running: 1 }),
+  makeEvent(GSDEventType.CostUpdate, { sessionCostUsd: 1.25, cumulativeCostUsd: 1.75 }),
+  makeEvent(GSDEventType.PhaseStepComplete, { phaseNumber: '02', step: PhaseStepType.Execute, success: false, durationMs: 2000 }),
+  makeEvent(GSDEventType.PhaseComplete, { phaseNumber: '02', phaseName: 'API', success: false, totalCostUsd: 1.25, totalDurationMs: 3000, stepsCompleted: 0 }),
+  makeEvent(GSDEventType.MilestoneComplete, { success: false, phasesCompleted: 1, timestamp: '2025-06-15T14:01:30.000Z' }),
+];
+
+async function writeRun(projectDir: string, runId: string, events: GSDEvent[]): Promise<void> {
+  await mkdir(runsDir(projectDir), { recursive: true });
+  await writeFile(join(runsDir(projectDir), `${runId}.jsonl`), events.map(e => JSON.stringify(e)).join('\n') + '\n');
+}
+
+describe('EventLogTransport', () => {
+  let tmpDir: string;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'gsd-events-'));
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('lives at .planning/runs/<run-id>.jsonl, per workstream', () => {
+    expect(EventLogTransport.forRun(tmpDir, 'r1').filePath).toBe(join(tmpDir, '.planning', 'runs', 'r1.jsonl'));
+    expect(EventLogTransport.forRun(tmpDir, 'r1', 'api').filePath).toBe(join(tmpDir, '.planning', 'workstreams', 'api', 'runs', 'r1.jsonl'));
+  });
+
+  it('appends one JSON line per event and flushes on close()', async () => {
+    const transport = EventLogTransport.forRun(tmpDir, 'r1');
+    for (const event of RUN.slice(0, 3)) transport.onEvent(event);
+    transport.close();
+    await new Promise(r => setTimeout(r, 50));
+
+    const lines = (await readFile(transport.filePath, 'utf-8')).trim().split('\n');
+    expect(lines).toHaveLength(3);
+    expect(JSON.parse(lines[1]!)).toMatchObject({ type: GSDEventType.PhaseStart, phaseNumber: '01' });
+  });
+
+  it('onEvent never throws when the log cannot be written', () => {
+    const transport = new EventLogTransport(join(tmpDir, '\0bad', 'r1.jsonl'));
+    expect(() => transport.onEvent(RUN[0]!)).not.toThrow();
+    transport.close();
+  });
+
+  it('generates sortable, unique run ids', () => {
+    const a = newRunId(new Date('2025-06-15T14:00:00.000Z'));
+    const b = newRunId(new Date('2025-06-15T14:00:01.000Z'));
+
+    expect(a).toMatch(/^2025-06-15T14-00-00-000Z-[0-9a-f]{6}$/);
+    expect([b, a].sort()).toEqual([a, b]);
+  });
+});
+
+describe('reading runs', () => {
+  let tmpDir: string;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'gsd-events-'));
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('skips a torn trailing line', async () => {
+    await writeRun(tmpDir, 'r1', RUN.slice(0, 2));
+    await appendFile(join(runsDir(tmpDir), 'r1.jsonl'), '{"type":"phase_st');
+
+    expect(await readEventLog(join(runsDir(tmpDir), 'r1.jsonl'))).toHaveLength(2);
+  });
+
+  it('lists runs oldest first with outcome and cost', async () => {
+    await writeRun(tmpDir, '2025-06-16T00-00-00-000Z-bbbbbb', RUN.slice(0, 3));
+    await writeRun(tmpDir, '2025-06-15T00-00-00-000Z-aaaaaa', RUN);
+
+    const runs = await listRuns(tmpDir);
+
+    expect(runs.map(r => r.runId)).toEqual(['2025-06-15T00-00-00-000Z-aaaaaa', '2025-06-16T00-00-00-000Z-bbbbbb']);
+    expect(runs[0]).toMatchObject({ eventCount: RUN.length, success: false, totalCostUsd: 1.75 });
+    expect(runs[1]!.success).toBeUndefined();
+  });
+
+  it('returns no runs when the directory does not exist', async () => {
+    expect(await listRuns(tmpDir)).toEqual([]);
+  });
+
+  it('resolves latest, unique prefixes, and rejects ambiguous or unknown ids', async () => {
+    await writeRun(tmpDir, '2025-06-15T00-00-00-000Z-aaaaaa', RUN);
+    await writeRun(tmpDir, '2025-06-16T00-00-00-000Z-bbbbbb', RUN);
+
+    expect(await resolveRunLog(tmpDir, 'latest')).toBe(join(runsDir(tmpDir), '2025-06-16T00-00-00-000Z-bbbbbb.jsonl'));
+    expect(await resolveRunLog(tmpDir, '2025-06-15')).toBe(join(runsDir(tmpDir), '2025-06-15T00-00-00-000Z-aaaaaa.jsonl'));
+    await expect(resolveRunLog(tmpDir, '2025-06')).rejects.toThrow(/ambiguous/);
+    await expect(resolveRunLog(tmpDir, 'nope')).rejects.toBeInstanceOf(GSDError);
+  });
+});
+
+describe('filterEvents', () => {
+  it('filters by event type', () => {
+    const kept = filterEvents(RUN, { types: [GSDEventType.CostUpdate] });
+    expect(kept).toHaveLength(2);
+  });
+
+  it('attributes phase-less events to the enclosing phase', () => {
+    const kept = filterEvents(RUN, { phase: '2' });
+
+    expect(kept.map(e => e.type)).toEqual([
+      GSDEventType.PhaseStart,
+      GSDEventType.PlanStarted,
+      GSDEventType.CostUpdate,
+      GSDEventType.PhaseStepComplete,
+      GSDEventType.PhaseComplete,
+    ]);
+  });
+
+  it('filters by plan id', () => {
+    expect(filterEvents(RUN, { plan: '01-01' })).toEqual([RUN[2]]);
+  });
+});
+
+describe('summarizeRun', () => {
+  it('folds timings, costs and outcome per phase', () => {
+    const summary = summarizeRun(RUN);
+
+    expect(summary).toMatchObject({ durationMs: 90_000, totalCostUsd: 1.75, sessions: 2, success: false });
+    expect(summary.phases).toEqual([
+      { phaseNumber: '01', phaseName: 'Auth', success: true, durationMs: 5000, costUsd: 0.5, steps: [{ step: PhaseStepType.Execute, success: true, durationMs: 4000 }] },
+      { phaseNumber: '02', phaseName: 'API', success: false, durationMs: 3000, costUsd: 1.25, steps: [{ step: PhaseStepType.Execute, success: false, durationMs: 2000 }] },
+    ]);
+  });
+
+  it('formats a readable summary', () => {
+    const text = formatRunSummary(summarizeRun(RUN));
+
+    expect(text).toContain('Run failed — 90.0s, $1.75 over 2 session(s)');
+    expect(text).toContain('Phase 01 Auth — success, 5.0s, $0.50');
+    expect(text).toContain('✗ execute 2.0s');
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Event log — durable JSONL record of every event a run emitted.
+ *
+ * {@link EventLogTransport} appends each `GSDEvent` as one JSON line to
+ * `.planning/runs/<run-id>.jsonl`, so a run can be inspected after it ends
+ * even when no WebSocket or HTTP client was attached. The read side lists past
+ * runs, filters a run's events by type, phase or plan, and folds them into a
+ * timing and cost summary; `gsd-sdk events` is built on these.
+ *
+ * @example
+ * ```typescript
+ * gsd.addTransport(EventLogTransport.forRun(projectDir, newRunId()));
+ *
+ * // later
+ * const events = await readEventLog(await resolveRunLog(projectDir, 'latest'));
+ * console.log(formatRunSummary(summarizeRun(events)));
+ * ```
+ */
+
+import { createWriteStream, mkdirSync } from 'node:fs';
+import type { WriteStream } from 'node:fs';
+import { readdir, readFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { GSDEventType } from './types.js';
+import type { GSDEvent, PhaseStepType, TransportHandler } from './types.js';
+import { relPlanningPath } from './workstream-utils.js';
+import { GSDError, ErrorClassification } from './errors.js';
+
+// ─── Locations ───────────────────────────────────────────────────────────────
+
+/** Directory holding one `<run-id>.jsonl` file per run (workstream-aware). */
+export function runsDir(projectDir: string, workstream?: string): string {
+  return join(projectDir, relPlanningPath(workstream), 'runs');
+}
+
+/** Sortable, filesystem-safe run id: UTC start time plus a short random suffix. */
+export function newRunId(now: Date = new Date()): string {
+  const stamp = now.toISOString().replace(/[:.]/g, '-');
+  return `${stamp}-${randomBytes(3).toString('hex')}`;
+}
+
+// ─── EventLogTransport ───────────────────────────────────────────────────────
+
+export class EventLogTransport implements TransportHandler {
+  private stream: WriteStream | null = null;
+  private failed = false;
+
+  /**
+   * @param filePath - Absolute path of the JSONL log; created on the first event
+   */
+  constructor(readonly filePath: string) {}
+
+  /** Log at `<projectDir>/.planning/runs/<runId>.jsonl`. */
+  static forRun(projectDir: string, runId: string, workstream?: string): EventLogTransport {
+    return new EventLogTransport(join(runsDir(projectDir, workstream), `${runId}.jsonl`));
+  }
+
+  /** Append the event as one JSON line. Never throws. */
+  onEvent(event: GSDEvent): void {
+    if (this.failed) return;
+    try {
+      if (!this.stream) {
+        mkdirSync(dirname(this.filePath), { recursive: true });
+        this.stream = createWriteStream(this.filePath, { flags: 'a' });
+        // A logging failure must not take the run down; stop logging instead
+        this.stream.on('error', () => {
+          this.failed = true;
+        });
+      }
+      this.stream.write(JSON.stringify(event) + '\n');
+    } catch {
+      // TransportHandler contract: onEvent must never throw
+      this.failed = true;
+    }
+  }
+
+  /** Flush and close the log file. */
+  close(): void {
+    this.stream?.end();
+    this.stream = null;
+  }
+}
+
+// ─── Reading runs ────────────────────────────────────────────────────────────
+
+/** Read a run log. A torn line (process killed mid-write) is skipped. */
+export async function readEventLog(filePath: string): Promise<GSDEvent[]> {
+  let raw: string;
+  try {
+    raw = await readFile(filePath, 'utf-8');
+  } catch (err) {
+    throw new GSDError(
+      `Cannot read event log ${filePath}: ${err instanceof Error ? err.message : String(err)}`,
+      ErrorClassification.Validation,
+    );
+  }
+
+  const events: GSDEvent[] = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line) as GSDEvent);
+    } catch {
+      // Torn write — skip it
+    }
+  }
+  return events;
+}
+
+export interface RunInfo {
+  runId: string;
+  filePath: string;
+  eventCount: number;
+  startedAt?: string;
+  endedAt?: string;
+  /** Outcome of the last milestone or phase in the log; undefined while unfinished. */
+  success?: boolean;
+  totalCostUsd: number;
+}
+
+/** Past runs, oldest first. */
+export async function listRuns(projectDir: string, workstream?: string): Promise<RunInfo[]> {
+  const dir = runsDir(projectDir, workstream);
+  let names: string[];
+  try {
+    names = await readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const runs: RunInfo[] = [];
+  for (const name of names.filter(n => n.endsWith('.jsonl')).sort()) {
+    const filePath = join(dir, name);
+    const events = await readEventLog(filePath);
+    const summary = summarizeRun(events);
+    runs.push({
+      runId: name.slice(0, -'.jsonl'.length),
+      filePath,
+      eventCount: events.length,
+      ...(summary.startedAt && { startedAt: summary.startedAt }),
+      ...(summary.endedAt && { endedAt: summary.endedAt }),
+      ...(summary.success !== undefined && { success: summary.success }),
+      totalCostUsd: summary.totalCostUsd,
+    });
+  }
+  return runs;
+}
+
+/**
+ * Path of a run's log. `latest` picks the most recent run; otherwise any
+ * unique run-id prefix is accepted.
+ */
+export async function resolveRunLog(projectDir: string, runId: string, workstream?: string): Promise<string> {
+  const dir = runsDir(projectDir, workstream);
+  let names: string[] = [];
+  try {
+    names = (await readdir(dir)).filter(n => n.endsWith('.jsonl')).sort();
+  } catch {
+    // No runs yet — reported below
+  }
+
+  const matches = runId === 'latest' ? names.slice(-1) : names.filter(n => n.startsWith(runId));
+  if (matches.length === 1) return join(dir, matches[0]!);
+
+  throw new GSDError(
+    matches.length === 0
+      ? `No run matching "${runId}" in ${dir}`
+      : `Run id "${runId}" is ambiguous: ${matches.map(n => n.slice(0, -'.jsonl'.length)).join(', ')}`,
+    ErrorClassification.Validation,
+  );
+}
+
+// ─── Filtering ───────────────────────────────────────────────────────────────
+
+export interface EventLogFilter {
+  /** Keep only these event types. */
+  types?: string[];
+  /** Keep events of this phase number (`1` matches `01`). */
+  phase?: string;
+  /** Keep events of this plan id. */
+  plan?: string;
+}
+
+function samePhase(a: string, b: string): boolean {
+  return a === b || (Number(a) === Number(b) && !Number.isNaN(Number(a)));
+}
+
+/**
+ * Apply a filter. Session events carry no phase number, so they are
+ * attributed to the phase whose phase_start/phase_complete encloses them.
+ */
+export function filterEvents(events: GSDEvent[], filter: EventLogFilter): GSDEvent[] {
+  const types = filter.types?.length ? new Set(filter.types) : undefined;
+  const kept: GSDEvent[] = [];
+  let currentPhase: string | undefined;
+
+  for (const event of events) {
+    const fields = event as unknown as { phaseNumber?: string; planId?: string; planName?: string };
+    if (event.type === GSDEventType.PhaseStart) currentPhase = fields.phaseNumber;
+    const phase = fields.phaseNumber ?? currentPhase;
+    if (event.type === GSDEventType.PhaseComplete) currentPhase = undefined;
+
+    if (types && !types.has(event.type)) continue;
+    if (filter.phase !== undefined && (phase === undefined || !samePhase(phase, filter.phase))) continue;
+    if (filter.plan !== undefined && (fields.planId ?? fields.planName) !== filter.plan) continue;
+    kept.push(event);
+  }
+  return kept;
+}
+
+// ─── Summary ─────────────────────────────────────────────────────────────────
+
+export interface PhaseTiming {
+  phaseNumber: string;
+  phaseName: string;
+  success?: boolean;
+  durationMs: number;
+  costUsd: number;
+  steps: Array<{ step: PhaseStepType; success: boolean; durationMs: number }>;
+}
+
+export interface RunSummary {
+  startedAt?: string;
+  endedAt?: string;
+  durationMs: number;
+  totalCostUsd: number;
+  sessions: number;
+  success?: boolean;
+  phases: PhaseTiming[];
+}
+
+/** Fold a run's events into per-phase timings and costs. */
+export function summarizeRun(events: GSDEvent[]): RunSummary {
+  const summary: RunSummary = { durationMs: 0, totalCostUsd: 0, sessions: 0, phases: [] };
+  let current: PhaseTiming | undefined;
+
+  for (const event of events) {
+    switch (event.type) {
+      case GSDEventType.PhaseStart:
+        current = { phaseNumber: event.phaseNumber, phaseName: event.phaseName, durationMs: 0, costUsd: 0, steps: [] };
+        summary.phases.push(current);
+        break;
+      case GSDEventType.PhaseStepComplete:
+        current?.steps.push({ step: event.step, success: event.success, durationMs: event.durationMs });
+        break;
+      case GSDEventType.CostUpdate:
+        summary.sessions += 1;
+        summary.totalCostUsd += event.sessionCostUsd;
+        if (current) current.costUsd += event.sessionCostUsd;
+        break;
+      case GSDEventType.PhaseComplete:
+        if (current) {
+          current.success = event.success;
+          current.durationMs = event.totalDurationMs;
+        }
+        summary.success = event.success;
+        current = undefined;
+        break;
+      case GSDEventType.MilestoneComplete:
+      case GSDEventType.InitComplete:
+        summary.success = event.success;
+        break;
+      default:
+        break;
+    }
+  }
+
+  summary.startedAt = events[0]?.timestamp;
+  summary.endedAt = events.at(-1)?.timestamp;
+  if (summary.startedAt && summary.endedAt) {
+    summary.durationMs = Math.max(0, Date.parse(summary.endedAt) - Date.parse(summary.startedAt)) || 0;
+  }
+  return summary;
+}
+
+function seconds(ms: number): string {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function outcome(success: boolean | undefined): string {
+  return success === undefined ? 'unfinished' : success ? 'success' : 'failed';
+}
+
+/** Plain-text rendering of a {@link RunSummary}. */
+export function formatRunSummary(summary: RunSummary): string {
+  const lines = [
+    `Run ${outcome(summary.success)} — ${seconds(summary.durationMs)}, $${summary.totalCostUsd.toFixed(2)} over ${summary.sessions} session(s)`,
+  ];
+  for (const phase of summary.phases) {
+    lines.push(
+      `  Phase ${phase.phaseNumber} ${phase.phaseName} — ${outcome(phase.success)}, ${seconds(phase.durationMs)}, $${phase.costUsd.toFixed(2)}`,
+    );
+    for (const step of phase.steps) {
+      lines.push(`    ${step.success ? '✓' : '✗'} ${step.step} ${seconds(step.durationMs)}`);
+    }
+  }
+  return lines.join('\n');
+}
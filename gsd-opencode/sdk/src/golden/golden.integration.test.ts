@@ -360,7 +360,7 @@ describe('Golden file tests', () => {
     });
   });
 
-  // ─── intel.update (JSON parity with `intel.cjs` — spawn message when enabled; disabled payload otherwise) ──
+  // ─── intel.update (disabled payload parity with `intel.cjs`; this repo has intel off) ──
 
   describe('intel.update', () => {
     it('SDK JSON matches gsd-tools.cjs (`intel update`)', async () => {
@@ -16,7 +16,7 @@ import { existsSync } from 'node:fs';
 import { join } from 'node:path';
 import { homedir } from 'node:os';
 import { fileURLToPath } from 'node:url';
-import type { InitNewProjectInfo, PhaseOpInfo, PhasePlanIndex, RoadmapAnalysis } from './types.js';
+import type { GitBranchResult, InitNewProjectInfo, PhaseOpInfo, PhasePlanIndex, RoadmapAnalysis } from './types.js';
 import type { GSDEventStream } from './event-stream.js';
 import { GSDError, exitCodeFor } from './errors.js';
 import { createRegistry } from './query/index.js';
@@ -516,6 +516,14 @@ export class GSDTools {
     return this.execRaw('state', ['begin-phase', '--phase', phaseNumber]);
   }
 
+  /**
+   * Record session continuity fields (`Last session`, `Stopped At`, `Resume File`) in STATE.md.
+   */
+  async stateRecordSession(stoppedAt: string, resumeFile?: string): Promise<unknown> {
+    const args = ['--stopped-at', stoppedAt, ...(resumeFile ? ['--resume-file', resumeFile] : [])];
+    return this.dispatchNativeJson('state', ['record-session', ...args], 'state.record-session', args);
+  }
+
   /**
    * Get the plan index for a phase, grouping plans into dependency waves.
    * Returns typed PhasePlanIndex with wave assignments and completion status.
@@ -530,6 +538,21 @@ export class GSDTools {
     return result as PhasePlanIndex;
   }
 
+  /**
+   * Create / switch to (`start`) or merge back (`finish`) the templated phase branch.
+   */
+  async gitPhaseBranch(action: 'start' | 'finish', phaseNumber: string): Promise<GitBranchResult> {
+    const args = [action, phaseNumber];
+    return this.dispatchNativeJson('git', ['phase-branch', ...args], 'git.phase-branch', args) as Promise<GitBranchResult>;
+  }
+
+  /**
+   * Create / switch to (`start`) or merge back (`finish`) the current milestone's branch.
+   */
+  async gitMilestoneBranch(action: 'start' | 'finish'): Promise<GitBranchResult> {
+    return this.dispatchNativeJson('git', ['milestone-branch', action], 'git.milestone-branch', [action]) as Promise<GitBranchResult>;
+  }
+
   /**
    * Query new-project init state from gsd-tools.cjs `init new-project`.
    * Returns project metadata, model configs, brownfield detection, etc.
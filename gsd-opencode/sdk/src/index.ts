@@ -23,8 +23,9 @@ import { readFile } from 'node:fs/promises';
 import { join, resolve } from 'node:path';
 import { homedir } from 'node:os';
 
-import type { GSDOptions, PlanResult, SessionOptions, GSDEvent, TransportHandler, PhaseRunnerOptions, PhaseRunnerResult, MilestoneRunnerOptions, MilestoneRunnerResult, RoadmapPhaseInfo } from './types.js';
+import type { GSDOptions, PlanResult, SessionOptions, GSDEvent, TransportHandler, PhaseRunnerOptions, PhaseRunnerResult, MilestoneRunnerOptions, MilestoneRunnerResult, RoadmapPhaseInfo, RunError } from './types.js';
 import { GSDEventType } from './types.js';
+import { GSDError, ErrorClassification } from './errors.js';
 import { parsePlan, parsePlanFile } from './plan-parser.js';
 import { loadConfig } from './config.js';
 import { GSDTools, resolveGsdToolsPath } from './gsd-tools.js';
@@ -32,8 +33,12 @@ import { runPlanSession } from './session-runner.js';
 import { buildExecutorPrompt, parseAgentTools } from './prompt-builder.js';
 import { GSDEventStream } from './event-stream.js';
 import { PhaseRunner } from './phase-runner.js';
+import { PhaseCheckpointJournal } from './phase-checkpoint.js';
+import { CostLedger } from './cost-ledger.js';
+import { getMilestoneInfo } from './query/roadmap.js';
 import { ContextEngine } from './context-engine.js';
 import { PromptFactory } from './phase-prompt.js';
+import type { SessionBackend } from './session-backend.js';
 
 // ─── GSD class ───────────────────────────────────────────────────────────────
 
@@ -46,6 +51,7 @@ export class GSD {
   private readonly defaultMaxTurns: number;
   private readonly autoMode: boolean;
   private readonly workstream?: string;
+  private readonly backend?: SessionBackend;
   readonly eventStream: GSDEventStream;
 
   constructor(options: GSDOptions) {
@@ -58,6 +64,7 @@ export class GSD {
     this.defaultMaxTurns = options.maxTurns ?? 50;
     this.autoMode = options.autoMode ?? false;
     this.workstream = options.workstream;
+    this.backend = options.backend;
     this.eventStream = new GSDEventStream();
   }
 
@@ -91,6 +98,8 @@ export class GSD {
       model: options?.model ?? this.defaultModel,
       cwd: options?.cwd ?? this.projectDir,
       allowedTools: options?.allowedTools,
+      signal: options?.signal,
+      backend: options?.backend ?? this.backend,
     };
 
     return runPlanSession(plan, config, sessionOptions, agentDef, this.eventStream, {
@@ -132,15 +141,33 @@ export class GSD {
    *
    * Creates the necessary collaborators (GSDTools, PromptFactory, ContextEngine),
    * loads project config, instantiates a PhaseRunner, and delegates to `runner.run()`.
+   * Progress is journaled under `.planning/checkpoints/` so an interrupted run
+   * can continue with `{ resume: true }`; session costs go to
+   * `.planning/cost-ledger.jsonl`, which `config.budget` caps are checked against.
    *
    * @param phaseNumber - The phase number to execute (e.g. "01", "02")
-   * @param options - Per-phase overrides for budget, turns, model, and callbacks
+   * @param options - Per-phase overrides for budget, turns, model, callbacks, resume and cancellation signal
    * @returns PhaseRunnerResult with per-step results, overall success, cost, and timing
    */
   async runPhase(phaseNumber: string, options?: PhaseRunnerOptions): Promise<PhaseRunnerResult> {
     const tools = this.createTools();
     const promptFactory = new PromptFactory({ projectDir: this.projectDir });
-    const contextEngine = new ContextEngine(this.projectDir, undefined, undefined, this.workstream);
+    const contextEngine = new ContextEngine(this.projectDir, undefined, {
+      model: options?.model ?? this.defaultModel,
+      // Surface what the context budget cut as an event, since GSD has no logger
+      onBudgetReport: (report, focus) => this.eventStream.emitEvent({
+        type: GSDEventType.ContextBudgeted,
+        timestamp: new Date().toISOString(),
+        sessionId: '',
+        phaseType: report.phaseType,
+        ...(focus.phaseNumber !== undefined && { phaseNumber: focus.phaseNumber }),
+        budgetTokens: report.budgetTokens,
+        totalTokens: report.totalTokens,
+        usedTokens: report.usedTokens,
+        condensed: report.condensed.map(s => `${s.filename}#${s.heading}`),
+        dropped: report.dropped.map(s => `${s.filename}#${s.heading}`),
+      }),
+    }, this.workstream);
     const config = await loadConfig(this.projectDir, this.workstream);
 
     // Auto mode: force auto_advance on and skip_discuss off so self-discuss kicks in
@@ -149,6 +176,8 @@ export class GSD {
       config.workflow.skip_discuss = false;
     }
 
+    const { version: milestone } = await getMilestoneInfo(this.projectDir, this.workstream);
+
     const runner = new PhaseRunner({
       projectDir: this.projectDir,
       tools,
@@ -156,6 +185,10 @@ export class GSD {
       contextEngine,
       eventStream: this.eventStream,
       config,
+      checkpoints: PhaseCheckpointJournal.forProject(this.projectDir, this.workstream),
+      backend: this.backend,
+      costLedger: CostLedger.forProject(this.projectDir, this.workstream),
+      milestone,
     });
 
     return runner.run(phaseNumber, options);
@@ -166,7 +199,7 @@ export class GSD {
    * re-discover after each completion to catch dynamically inserted phases.
    *
    * @param prompt - The user prompt describing the milestone goal
-   * @param options - Per-milestone overrides for budget, turns, model, and callbacks
+   * @param options - Per-milestone overrides for budget, turns, model, callbacks and cancellation signal
    * @returns MilestoneRunnerResult with per-phase results, overall success, cost, and timing
    */
   async run(prompt: string, options?: MilestoneRunnerOptions): Promise<MilestoneRunnerResult> {
@@ -174,6 +207,7 @@ export class GSD {
     const startTime = Date.now();
     const phaseResults: PhaseRunnerResult[] = [];
     let success = true;
+    let error: RunError | undefined;
 
     // Discover initial phases
     const initialAnalysis = await tools.roadmapAnalyze();
@@ -194,12 +228,18 @@ export class GSD {
     while (currentPhases.length > 0) {
       const phase = currentPhases[0];
 
+      if (options?.signal?.aborted) {
+        success = false;
+        break;
+      }
+
       try {
         const result = await this.runPhase(phase.number, options);
         phaseResults.push(result);
 
         if (!result.success) {
           success = false;
+          error = result.error;
           break;
         }
 
@@ -216,6 +256,10 @@ export class GSD {
         currentPhases = this.filterAndSortPhases(updatedAnalysis.phases);
       } catch (err) {
         // Phase threw an unexpected error — record as failure and stop
+        error = {
+          message: err instanceof Error ? err.message : String(err),
+          classification: err instanceof GSDError ? err.classification : ErrorClassification.Execution,
+        };
         phaseResults.push({
           phaseNumber: phase.number,
           phaseName: phase.phase_name,
@@ -223,6 +267,7 @@ export class GSD {
           success: false,
           totalCostUsd: 0,
           totalDurationMs: 0,
+          error,
         });
         success = false;
         break;
@@ -248,6 +293,8 @@ export class GSD {
       phases: phaseResults,
       totalCostUsd,
       totalDurationMs,
+      ...(options?.signal?.aborted && { cancelled: true }),
+      ...(error && { error }),
     };
   }
 
@@ -291,10 +338,18 @@ export class GSD {
 // ─── Re-exports for advanced usage ──────────────────────────────────────────
 
 export { parsePlan, parsePlanFile } from './plan-parser.js';
-export { loadConfig } from './config.js';
-export type { GSDConfig } from './config.js';
+export { loadConfig, resolveParallelization, resolveBudget, DEFAULT_MAX_CONCURRENT_PLANS } from './config.js';
+export type { GSDConfig, ParallelizationConfig, PlanSchedulerMode, ResolvedParallelization, BudgetConfig, ResolvedBudget } from './config.js';
+export { runPlanSchedule, resolvePlanDependencies } from './plan-scheduler.js';
+export type { SchedulablePlan, PlanScheduleHooks } from './plan-scheduler.js';
 export { GSDTools, GSDToolsError, resolveGsdToolsPath } from './gsd-tools.js';
 export { runPlanSession, runPhaseStepSession } from './session-runner.js';
+export { AgentSdkBackend, defaultSessionBackend } from './session-backend.js';
+export type { SessionBackend, SessionRequest } from './session-backend.js';
+export { ScriptedBackend, scriptedAssistantMessage, scriptedResultMessage } from './scripted-backend.js';
+export type { ScriptedTurn, ScriptedSession, ScriptedResponder } from './scripted-backend.js';
+export { RecordingBackend, ReplayBackend, loadSessionFixture, SESSION_FIXTURE_VERSION } from './session-recording.js';
+export type { RecordedRequest, RecordedSession, SessionFixture, ReplayOptions } from './session-recording.js';
 export { buildExecutorPrompt, parseAgentTools } from './prompt-builder.js';
 export type { ExecutorPromptOptions } from './prompt-builder.js';
 export * from './types.js';
@@ -303,9 +358,19 @@ export * from './types.js';
 export { GSDEventStream } from './event-stream.js';
 export type { EventStreamContext } from './event-stream.js';
 export { ContextEngine, PHASE_FILE_MANIFEST } from './context-engine.js';
-export type { FileSpec } from './context-engine.js';
-export { truncateMarkdown, extractCurrentMilestone, DEFAULT_TRUNCATION_OPTIONS } from './context-truncation.js';
+export type { FileSpec, ContextEngineOptions, AssembledContext } from './context-engine.js';
+export { truncateMarkdown, extractCurrentMilestone, findCurrentMilestone, DEFAULT_TRUNCATION_OPTIONS } from './context-truncation.js';
 export type { TruncationOptions } from './context-truncation.js';
+export {
+  applyContextBudget,
+  contextBudgetFor,
+  modelBudgetScale,
+  scoreSection,
+  splitSections,
+  DEFAULT_CONTEXT_BUDGETS,
+} from './context-budget.js';
+export { estimateTokens } from './token-estimate.js';
+export type { ContextBudgetOptions, ContextBudgetReport, ContextFocus, ContextSection, BudgetedSection } from './context-budget.js';
 export { getToolsForPhase, PHASE_AGENT_MAP, PHASE_DEFAULT_TOOLS } from './tool-scoping.js';
 export { checkResearchGate } from './research-gate.js';
 export type { ResearchGateResult } from './research-gate.js';
@@ -316,15 +381,49 @@ export type { LogLevel, LogEntry, GSDLoggerOptions } from './logger.js';
 // S03: Phase lifecycle state machine
 export { PhaseRunner, PhaseRunnerError } from './phase-runner.js';
 export type { PhaseRunnerDeps, VerificationOutcome } from './phase-runner.js';
+export { PhaseCheckpointJournal, buildResumeState } from './phase-checkpoint.js';
+export type { CheckpointEntry, CheckpointEntryInput, CheckpointGate, PhaseResumeState } from './phase-checkpoint.js';
+export { CostLedger, ledgerEntryFor, summarizeCosts, spentUsd } from './cost-ledger.js';
+export type { CostLedgerEntry, CostLedgerEntryInput, CostScope, CostSummary } from './cost-ledger.js';
 
 // S05: Transports
 export { CLITransport } from './cli-transport.js';
-export { WSTransport } from './ws-transport.js';
-export type { WSTransportOptions } from './ws-transport.js';
+export { WSTransport, DEFAULT_GATE_TIMEOUT_MS, DEFAULT_GATE_DECISIONS } from './ws-transport.js';
+export type { WSTransportOptions, GateKind, GateRequest, GateResolved } from './ws-transport.js';
+export { SSETransport, RunStatusTracker, DEFAULT_SSE_REPLAY_BUFFER } from './sse-transport.js';
+export type { SSETransportOptions, RunStatus } from './sse-transport.js';
+export {
+  EventLogTransport,
+  runsDir,
+  newRunId,
+  readEventLog,
+  listRuns,
+  resolveRunLog,
+  filterEvents,
+  summarizeRun,
+  formatRunSummary,
+} from './event-log.js';
+export type { RunInfo, EventLogFilter, RunSummary, PhaseTiming } from './event-log.js';
 
 // Query registry argv normalization (matches `gsd-sdk query` and `GSDTools` hot path)
 export { createRegistry, normalizeQueryCommand } from './query/index.js';
 
+// Query command schemas (validation, `gsd-sdk query --help`, JSON Schema export)
+export { QUERY_COMMAND_SPECS, parseQueryArgs, formatCommandHelp, commandJsonSchema, toQueryArgv } from './query/index.js';
+export type { QueryCommandSpec, QueryArgSpec, QueryFlagSpec, JsonSchema } from './query/index.js';
+
+// Transactional query batches (`gsd-sdk query --batch`)
+export { runQueryBatch, parseBatchSteps, BATCH_DEFERRED_COMMANDS } from './query/batch.js';
+export type { BatchStepInput, BatchStepResult, BatchResult } from './query/batch.js';
+
+// MCP stdio server over the query registry (`gsd-sdk mcp`)
+export { McpServer, toolName, MCP_PROTOCOL_VERSIONS, RESOURCE_URI_PREFIX, JsonRpcErrorCode } from './mcp-server.js';
+export type { McpServerOptions, McpTool, McpResource, JsonRpcRequest, JsonRpcResponse } from './mcp-server.js';
+
+// Query daemon (`gsd-sdk serve`) and its client
+export { QueryDaemon, dispatchViaDaemon, queryDaemonStatus, daemonSocketPath, daemonEnvFingerprint, DAEMON_CACHEABLE_COMMANDS } from './query-daemon.js';
+export type { QueryDaemonOptions, DaemonClientOptions, DaemonStatus, DaemonRequest, DaemonResponse } from './query-daemon.js';
+
 // Workstream utilities
 export { validateWorkstreamName, relPlanningPath } from './workstream-utils.js';
 
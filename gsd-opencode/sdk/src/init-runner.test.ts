@@ -17,7 +17,8 @@ import { GSDEventType } from './types.js';
 // ─── Mock modules ────────────────────────────────────────────────────────────
 
 // Mock session-runner to avoid real SDK calls
-vi.mock('./session-runner.js', () => ({
+vi.mock('./session-runner.js', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('./session-runner.js')>()),
   runPhaseStepSession: vi.fn(),
   runPlanSession: vi.fn(),
 }));
@@ -561,6 +562,21 @@ describe('InitRunner', () => {
     expect(mockRunSession).toHaveBeenCalledTimes(8);
   });
 
+  it('run() stops after the current step and reports cancellation when the signal aborts', async () => {
+    const controller = new AbortController();
+    mockRunSession.mockImplementationOnce(async () => {
+      controller.abort();
+      return makeSuccessResult();
+    });
+
+    const { runner } = createRunner();
+    const result = await runner.run('build a todo app', { signal: controller.signal });
+
+    expect(result.success).toBe(false);
+    expect(result.cancelled).toBe(true);
+    expect(mockRunSession).toHaveBeenCalledOnce();
+  });
+
   // ─── Headless prompt loading (sdkPromptsDir preference) ──────────────────
 
   describe('sdkPromptsDir preference and sanitizer integration', () => {
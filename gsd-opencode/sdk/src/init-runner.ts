@@ -4,8 +4,9 @@
  * Workflow: setup → config → PROJECT.md → parallel research (4 sessions)
  *         → synthesis → requirements → roadmap
  *
- * Each step calls Agent SDK `query()` via `runPhaseStepSession()` with
- * prompts derived from GSD-1 workflow/agent/template files on disk.
+ * Each step runs a session on the configured {@link SessionBackend} via
+ * `runPhaseStepSession()` with prompts derived from GSD-1
+ * workflow/agent/template files on disk.
  */
 
 import { readFile, writeFile, mkdir } from 'node:fs/promises';
@@ -31,9 +32,10 @@ import { GSDEventType, PhaseStepType } from './types.js';
 import type { GSDTools } from './gsd-tools.js';
 import type { GSDEventStream } from './event-stream.js';
 import { loadConfig } from './config.js';
-import { runPhaseStepSession } from './session-runner.js';
+import { runPhaseStepSession, abortReason } from './session-runner.js';
 import { sanitizePrompt } from './prompt-sanitizer.js';
 import { resolveAgentsDir } from './query/helpers.js';
+import type { SessionBackend } from './session-backend.js';
 
 // ─── Constants ───────────────────────────────────────────────────────────────
 
@@ -73,6 +75,8 @@ export interface InitRunnerDeps {
   config?: Partial<InitConfig>;
   /** Override for SDK prompts directory. Defaults to package-relative sdk/prompts/. */
   sdkPromptsDir?: string;
+  /** LLM backend for init sessions. Default: the Agent SDK backend. */
+  backend?: SessionBackend;
 }
 
 export class InitRunner {
@@ -82,6 +86,9 @@ export class InitRunner {
   private readonly config: InitConfig;
   private readonly sessionId: string;
   private readonly sdkPromptsDir: string;
+  private readonly backend?: SessionBackend;
+  /** Cancellation signal of the current run(). */
+  private signal?: AbortSignal;
 
   constructor(deps: InitRunnerDeps) {
     this.projectDir = deps.projectDir;
@@ -94,6 +101,7 @@ export class InitRunner {
       orchestratorModel: deps.config?.orchestratorModel,
     };
     this.sessionId = `init-${Date.now()}`;
+    this.backend = deps.backend;
     // SDK prompts dir: explicit override → package-relative default via import.meta.url
     this.sdkPromptsDir =
       deps.sdkPromptsDir ??
@@ -104,9 +112,11 @@ export class InitRunner {
    * Run the full init workflow.
    *
    * @param input - User input: PRD content, project description, etc.
+   * @param options - `signal` cancels in-flight sessions and stops before the next step.
    * @returns InitResult with per-step results, artifacts, and totals.
    */
-  async run(input: string): Promise<InitResult> {
+  async run(input: string, options?: { signal?: AbortSignal }): Promise<InitResult> {
+    this.signal = options?.signal;
     const startTime = Date.now();
     const steps: InitStepResult[] = [];
     const artifacts: string[] = [];
@@ -282,6 +292,9 @@ export class InitRunner {
     });
 
     try {
+      if (this.signal?.aborted) {
+        throw new Error(`Cancelled: ${abortReason(this.signal)}`);
+      }
       const value = await fn();
       const durationMs = Date.now() - stepStart;
       const costUsd = this.extractCost(value);
@@ -597,7 +610,7 @@ export class InitRunner {
   // ─── Session execution ─────────────────────────────────────────────────────
 
   /**
-   * Run a single Agent SDK session via runPhaseStepSession.
+   * Run a single session on the configured backend via runPhaseStepSession.
    */
   private async runSession(prompt: string, modelOverride?: string): Promise<PlanResult> {
     const config = await loadConfig(this.projectDir);
@@ -611,6 +624,8 @@ export class InitRunner {
         maxBudgetUsd: this.config.maxBudgetPerSession,
         model: modelOverride ?? this.config.orchestratorModel,
         cwd: this.projectDir,
+        signal: this.signal,
+        backend: this.backend,
       },
       this.eventStream,
       { phase: undefined, planName: undefined },
@@ -704,6 +719,8 @@ export class InitRunner {
   ): InitResult {
     const totalCostUsd = steps.reduce((sum, s) => sum + s.costUsd, 0);
     const totalDurationMs = Date.now() - startTime;
+    const cancelled = this.signal?.aborted === true;
+    if (cancelled) success = false;
 
     this.emitEvent<GSDInitCompleteEvent>({
       type: GSDEventType.InitComplete,
@@ -719,6 +736,7 @@ export class InitRunner {
       totalCostUsd,
       totalDurationMs,
       artifacts,
+      ...(cancelled && { cancelled: true }),
     };
   }
 
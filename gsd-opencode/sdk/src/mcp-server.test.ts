@@ -0,0 +1,217 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PassThrough } from 'node:stream';
+import { McpServer, JsonRpcErrorCode, toolName } from './mcp-server.js';
+import { QueryRegistry } from './query/registry.js';
+import { createRegistry } from './query/index.js';
+import { GSDError, ErrorClassification } from './errors.js';
+
+function makeRegistry(): QueryRegistry {
+  const registry = new QueryRegistry();
+  registry.register('roadmap.analyze', async (args) => ({ data: { phases: args } }));
+  registry.register('state.update', vi.fn(async (args: string[]) => ({ data: { updated: args[0] } })));
+  registry.register('state sync', async () => ({ data: { synced: true } }));
+  registry.register('state.sync', async () => ({ data: { synced: true } }));
+  registry.register('generate-slug', async () => ({ data: 'my-phase' }));
+  registry.register('phase.find', async () => {
+    throw new GSDError('Phase 9 not found', ErrorClassification.Validation);
+  });
+  return registry;
+}
+
+function makeServer(registry = makeRegistry()): McpServer {
+  return new McpServer({ projectDir: '/project', registry, version: '1.2.3' });
+}
+
+async function call(server: McpServer, method: string, params?: Record<string, unknown>): Promise<any> {
+  return server.handle({ jsonrpc: '2.0', id: 1, method, params });
+}
+
+describe('McpServer', () => {
+  it('negotiates the protocol version on initialize', async () => {
+    const server = makeServer();
+
+    const known = await call(server, 'initialize', { protocolVersion: '2025-03-26' });
+    const unknown = await call(server, 'initialize', { protocolVersion: '1999-01-01' });
+
+    expect(known.result).toMatchObject({ protocolVersion: '2025-03-26', serverInfo: { name: 'gsd-sdk', version: '1.2.3' } });
+    expect(known.result.capabilities).toHaveProperty('tools');
+    expect(unknown.result.protocolVersion).toBe('2025-06-18');
+  });
+
+  it('publishes each command once as a tool, flagging mutations destructive', async () => {
+    const { result } = await call(makeServer(), 'tools/list');
+    const byName = Object.fromEntries(result.tools.map((t: any) => [t.name, t]));
+
+    expect(Object.keys(byName)).toEqual(['generate-slug', 'phase_find', 'roadmap_analyze', 'state_sync', 'state_update']);
+    expect(byName.state_update.annotations).toMatchObject({ destructiveHint: true, readOnlyHint: false });
+    expect(byName.roadmap_analyze.annotations).toMatchObject({ destructiveHint: false, readOnlyHint: true });
+    expect(byName.state_sync.title).toBe('state.sync');
+  });
+
+  it('calls the handler with args and returns JSON content', async () => {
+    const registry = makeRegistry();
+    const { result } = await call(makeServer(registry), 'tools/call', { name: 'state_update', arguments: { args: ['status', 'Ready'] } });
+
+    expect(registry.getHandler('state.update')).toHaveBeenCalledWith(['status', 'Ready'], '/project', undefined);
+    expect(result.structuredContent).toEqual({ updated: 'status' });
+    expect(JSON.parse(result.content[0].text)).toEqual({ updated: 'status' });
+  });
+
+  it('rejects arguments that do not match the schema', async () => {
+    const server = makeServer();
+
+    const badArgs = await call(server, 'tools/call', { name: 'state_update', arguments: { args: [1] } });
+    const extra = await call(server, 'tools/call', { name: 'state_update', arguments: { argv: [] } });
+    const unknownTool = await call(server, 'tools/call', { name: 'nope' });
+
+    expect(badArgs.error.code).toBe(JsonRpcErrorCode.InvalidParams);
+    expect(extra.error.message).toContain('unexpected property "argv"');
+    expect(unknownTool.error.message).toContain('Unknown tool');
+  });
+
+  it('rejects workstream names that would leave .planning/workstreams', async () => {
+    const registry = makeRegistry();
+    const server = makeServer(registry);
+
+    const traversal = await call(server, 'tools/call', { name: 'state_update', arguments: { args: ['x'], workstream: '../../x' } });
+    const valid = await call(server, 'tools/call', { name: 'state_update', arguments: { args: ['x'], workstream: 'frontend' } });
+
+    expect(traversal.error.code).toBe(JsonRpcErrorCode.InvalidParams);
+    expect(traversal.error.message).toContain('invalid workstream name "../../x"');
+    expect(registry.getHandler('state.update')).toHaveBeenCalledOnce();
+    expect(registry.getHandler('state.update')).toHaveBeenCalledWith(['x'], '/project', 'frontend');
+    expect(() => new McpServer({ projectDir: '/project', registry, workstream: 'a/b' })).toThrow(GSDError);
+  });
+
+  it('reports handler failures as tool errors', async () => {
+    const { result } = await call(makeServer(), 'tools/call', { name: 'phase_find', arguments: {} });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe('Error [validation]: Phase 9 not found');
+  });
+
+  it('exposes read handlers as resources with args from the URI', async () => {
+    const server = makeServer();
+
+    const { result: list } = await call(server, 'resources/list');
+    const { result: read } = await call(server, 'resources/read', { uri: 'gsd://query/roadmap.analyze?arg=1&arg=2' });
+    const mutation = await call(server, 'resources/read', { uri: 'gsd://query/state.update' });
+
+    expect(list.resources.map((r: any) => r.name)).not.toContain('state.update');
+    expect(list.resources.map((r: any) => r.uri)).toContain('gsd://query/roadmap.analyze');
+    expect(JSON.parse(read.contents[0].text)).toEqual({ phases: ['1', '2'] });
+    expect(mutation.error.code).toBe(JsonRpcErrorCode.ResourceNotFound);
+  });
+
+  it('answers unknown methods with MethodNotFound and ignores notifications', async () => {
+    const server = makeServer();
+
+    expect((await call(server, 'sampling/createMessage')).error.code).toBe(JsonRpcErrorCode.MethodNotFound);
+    expect(await server.handle({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBeNull();
+  });
+
+  it('serves newline-delimited JSON-RPC over streams', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const chunks: string[] = [];
+    output.on('data', chunk => chunks.push(chunk.toString()));
+
+    const serving = makeServer().serve(input, output);
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+    input.write('not json\n');
+    input.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+    input.end('{"jsonrpc":"2.0","id":2,"method":"tools/call","params":{"name":"generate-slug"}}\n');
+    await serving;
+
+    const responses = chunks.join('').trim().split('\n').map(line => JSON.parse(line));
+    expect(responses).toHaveLength(3);
+    expect(responses[0]).toEqual({ jsonrpc: '2.0', id: 1, result: {} });
+    expect(responses[1].error.code).toBe(JsonRpcErrorCode.ParseError);
+    expect(responses[2].result.content[0].text).toBe('"my-phase"');
+  });
+});
+
+describe('McpServer typed tools', () => {
+  function makeTypedRegistry() {
+    const handler = vi.fn(async (args: string[]) => ({ data: { args } }));
+    const registry = new QueryRegistry();
+    registry.register('websearch', handler, {
+      summary: 'Web search',
+      args: [{ name: 'query', description: 'Search query', required: true }],
+      flags: [{ name: 'limit', type: 'integer', description: 'Maximum results' }],
+    });
+    return { registry, handler };
+  }
+
+  it('publishes the spec as the input schema', () => {
+    const [tool] = makeServer(makeTypedRegistry().registry).listTools();
+
+    expect(tool!.description).toBe('Web search (`gsd-sdk query websearch`). Read-only.');
+    expect(tool!.inputSchema).toMatchObject({
+      type: 'object',
+      required: ['query'],
+      properties: { query: { type: 'string' }, limit: { type: 'integer' }, workstream: { type: 'string' } },
+      additionalProperties: false,
+    });
+  });
+
+  it('converts object arguments to argv', async () => {
+    const { registry, handler } = makeTypedRegistry();
+
+    const { result } = await call(makeServer(registry), 'tools/call', { name: 'websearch', arguments: { query: 'vitest', limit: 3 } });
+
+    expect(result.isError).toBeUndefined();
+    expect(handler).toHaveBeenCalledWith(['vitest', '--limit', '3'], '/project', undefined);
+  });
+
+  it('rejects undeclared properties and reports validation failures as tool errors', async () => {
+    const server = makeServer(makeTypedRegistry().registry);
+
+    const extra = await call(server, 'tools/call', { name: 'websearch', arguments: { query: 'a', args: ['a'] } });
+    const invalid = await call(server, 'tools/call', { name: 'websearch', arguments: { query: 'a', limit: 'many' } });
+
+    expect(extra.error.code).toBe(JsonRpcErrorCode.InvalidParams);
+    expect(invalid.result.isError).toBe(true);
+    expect(invalid.result.content[0].text).toContain('--limit expects an integer');
+  });
+});
+
+describe('McpServer with the full registry', () => {
+  it('publishes client-safe tool names for every command', () => {
+    const tools = makeServer(createRegistry()).listTools();
+
+    expect(tools.length).toBeGreaterThan(50);
+    for (const tool of tools) expect(tool.name).toMatch(/^[A-Za-z0-9_-]{1,64}$/);
+    expect(tools.find(t => t.name === 'phase_complete')?.annotations.destructiveHint).toBe(true);
+  });
+
+  it('treats branch switching and merging as mutations, not resources', () => {
+    const server = makeServer(createRegistry());
+    const tools = server.listTools();
+    const resources = server.listResources().map(r => r.name);
+
+    for (const command of ['git.phase-branch', 'git.milestone-branch']) {
+      expect(tools.find(t => t.name === toolName(command))?.annotations).toMatchObject({ destructiveHint: true, readOnlyHint: false });
+      expect(resources).not.toContain(command);
+    }
+  });
+
+  it('treats pushing and opening pull requests as mutations, not resources', () => {
+    const server = makeServer(createRegistry());
+    const tools = server.listTools();
+    const resources = server.listResources().map(r => r.name);
+
+    for (const command of ['forge.pr-create', 'ship.pr']) {
+      expect(tools.find(t => t.name === toolName(command))?.annotations).toMatchObject({ destructiveHint: true, readOnlyHint: false });
+      expect(resources).not.toContain(command);
+    }
+    expect(resources).toContain('forge.detect');
+  });
+});
+
+describe('toolName', () => {
+  it('maps dots and spaces to underscores', () => {
+    expect(toolName('state.update')).toBe('state_update');
+    expect(toolName('phase add-batch')).toBe('phase_add-batch');
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * MCP server — publishes the query registry over the Model Context Protocol.
+ *
+ * `gsd-sdk mcp` speaks MCP's stdio transport: newline-delimited JSON-RPC 2.0
+ * on stdin/stdout. Every registered query handler becomes a tool; commands in
+ * `QUERY_MUTATION_COMMANDS` are annotated `destructiveHint: true`, the rest
+ * `readOnlyHint: true`. Read handlers are also listed as resources at
+ * `gsd://query/<command>`, with positional args as repeated `?arg=` params.
+ *
+ * Commands registered with a `QueryCommandSpec` get a typed input schema — one
+ * property per argument and flag — and are converted back to argv on call;
+ * the rest take argv-style `{ args: string[] }`.
+ *
+ * Tool names replace `.` and spaces with `_` (`state.update` → `state_update`),
+ * since many clients only accept `[A-Za-z0-9_-]`. Spaced aliases of a dotted
+ * command (`state sync` for `state.sync`) are published once.
+ *
+ * @example
+ * ```typescript
+ * const server = new McpServer({ projectDir, registry: createRegistry() });
+ * await server.serve(process.stdin, process.stdout);
+ * ```
+ */
+
+import { createInterface } from 'node:readline';
+import type { Readable, Writable } from 'node:stream';
+import type { QueryRegistry } from './query/registry.js';
+import type { QueryCommandSpec } from './query/command-schema.js';
+import { QUERY_MUTATION_COMMANDS } from './query/index.js';
+import { GSDError, ErrorClassification } from './errors.js';
+import { validateWorkstreamName } from './workstream-utils.js';
+import { commandInputSchema, toQueryArgv } from './query/command-schema.js';
+
+// ─── Protocol types ──────────────────────────────────────────────────────────
+
+/** Protocol revisions this server can speak, newest first. */
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+export interface JsonRpcRequest {
+  jsonrpc: '2.0';
+  id?: string | number | null;
+  method: string;
+  params?: Record<string, unknown>;
+}
+
+export interface JsonRpcResponse {
+  jsonrpc: '2.0';
+  id: string | number | null;
+  result?: unknown;
+  error?: { code: number; message: string; data?: unknown };
+}
+
+/** JSON-RPC error codes used by this server. */
+export const JsonRpcErrorCode = {
+  ParseError: -32700,
+  InvalidRequest: -32600,
+  MethodNotFound: -32601,
+  InvalidParams: -32602,
+  InternalError: -32603,
+  ResourceNotFound: -32002,
+} as const;
+
+export interface McpTool {
+  name: string;
+  title: string;
+  description: string;
+  inputSchema: Record<string, unknown>;
+  annotations: { title: string; readOnlyHint: boolean; destructiveHint: boolean; openWorldHint: false };
+}
+
+export interface McpResource {
+  uri: string;
+  name: string;
+  description: string;
+  mimeType: 'application/json';
+}
+
+export const RESOURCE_URI_PREFIX = 'gsd://query/';
+
+const WORKSTREAM_PROPERTY = { type: 'string', description: 'Route .planning/ to .planning/workstreams/<name>/' };
+
+/** Input of tools whose command has no spec: argv-style args. */
+const TOOL_INPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    args: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Positional arguments and flags, as after `gsd-sdk query <command>`',
+    },
+    workstream: WORKSTREAM_PROPERTY,
+  },
+  additionalProperties: false,
+};
+
+// ─── Server ──────────────────────────────────────────────────────────────────
+
+export interface McpServerOptions {
+  projectDir: string;
+  registry: QueryRegistry;
+  /** Default workstream; a tool call's `workstream` argument overrides it. */
+  workstream?: string;
+  /** Reported as `serverInfo.version`. */
+  version?: string;
+}
+
+export class McpServer {
+  private readonly projectDir: string;
+  private readonly registry: QueryRegistry;
+  private readonly workstream?: string;
+  private readonly version: string;
+  /** Tool name → registry command. */
+  private readonly commands = new Map<string, string>();
+
+  constructor(options: McpServerOptions) {
+    if (options.workstream !== undefined && !validateWorkstreamName(options.workstream)) {
+      throw new GSDError(`Invalid workstream name "${options.workstream}"`, ErrorClassification.Validation);
+    }
+    this.projectDir = options.projectDir;
+    this.registry = options.registry;
+    this.workstream = options.workstream;
+    this.version = options.version ?? '0.0.0';
+
+    const registered = new Set(this.registry.commands());
+    for (const command of [...registered].sort()) {
+      // `state sync` is an alias of `state.sync`; publish the dotted form only
+      if (command.includes(' ') && registered.has(command.replace(/ /g, '.'))) continue;
+      const name = toolName(command);
+      if (!this.commands.has(name)) this.commands.set(name, command);
+    }
+  }
+
+  /** Published tools, sorted by name. */
+  listTools(): McpTool[] {
+    return [...this.commands].map(([name, command]) => {
+      const mutation = QUERY_MUTATION_COMMANDS.has(command);
+      const spec = this.registry.spec(command);
+      const lead = spec ? `${spec.summary} (\`gsd-sdk query ${command}\`).` : `Run \`gsd-sdk query ${command}\`.`;
+      return {
+        name,
+        title: command,
+        description: `${lead} ${mutation ? 'Modifies .planning/ state.' : 'Read-only.'}`,
+        inputSchema: spec ? typedInputSchema(command, spec) : TOOL_INPUT_SCHEMA,
+        annotations: { title: command, readOnlyHint: !mutation, destructiveHint: mutation, openWorldHint: false },
+      };
+    });
+  }
+
+  /** Read handlers as resources, sorted by command. */
+  listResources(): McpResource[] {
+    return [...this.commands.values()]
+      .filter(command => !QUERY_MUTATION_COMMANDS.has(command))
+      .map(command => ({
+        uri: `${RESOURCE_URI_PREFIX}${encodeURIComponent(command)}`,
+        name: command,
+        description: `Result of \`gsd-sdk query ${command}\` as JSON`,
+        mimeType: 'application/json' as const,
+      }));
+  }
+
+  /**
+   * Handle one JSON-RPC message. Returns the response, or null for
+   * notifications (messages without an id).
+   */
+  async handle(message: JsonRpcRequest): Promise<JsonRpcResponse | null> {
+    const id = message.id ?? null;
+    const isNotification = message.id === undefined;
+
+    try {
+      const result = await this.dispatch(message.method, message.params ?? {});
+      return isNotification ? null : { jsonrpc: '2.0', id, result };
+    } catch (err) {
+      if (isNotification) return null;
+      const error = err instanceof McpProtocolError
+        ? { code: err.code, message: err.message }
+        : { code: JsonRpcErrorCode.InternalError, message: err instanceof Error ? err.message : String(err) };
+      return { jsonrpc: '2.0', id, error };
+    }
+  }
+
+  /**
+   * Serve newline-delimited JSON-RPC from `input` to `output` until `input`
+   * ends. Requests are answered in arrival order.
+   */
+  async serve(input: Readable, output: Writable): Promise<void> {
+    const lines = createInterface({ input, crlfDelay: Infinity });
+    const write = (response: JsonRpcResponse): void => {
+      output.write(JSON.stringify(response) + '\n');
+    };
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let message: unknown;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        write({ jsonrpc: '2.0', id: null, error: { code: JsonRpcErrorCode.ParseError, message: 'Parse error' } });
+        continue;
+      }
+      if (!isPlainObject(message) || typeof message.method !== 'string') {
+        // A response to a server-initiated request — this server sends none
+        if (isPlainObject(message) && ('result' in message || 'error' in message)) continue;
+        const id = isPlainObject(message) ? (message.id as JsonRpcResponse['id']) ?? null : null;
+        write({ jsonrpc: '2.0', id, error: { code: JsonRpcErrorCode.InvalidRequest, message: 'Invalid request' } });
+        continue;
+      }
+
+      const response = await this.handle(message as unknown as JsonRpcRequest);
+      if (response) write(response);
+    }
+  }
+
+  // ─── Methods ───────────────────────────────────────────────────────
+
+  private async dispatch(method: string, params: Record<string, unknown>): Promise<unknown> {
+    switch (method) {
+      case 'initialize': {
+        const requested = String(params.protocolVersion ?? '');
+        return {
+          protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false }, resources: { listChanged: false } },
+          serverInfo: { name: 'gsd-sdk', version: this.version },
+          instructions: 'Read and update GSD .planning/ state. Tools marked destructive modify project files.',
+        };
+      }
+      case 'notifications/initialized':
+      case 'notifications/cancelled':
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: this.listTools() };
+      case 'tools/call':
+        return this.callTool(params);
+      case 'resources/list':
+        return { resources: this.listResources() };
+      case 'resources/templates/list':
+        return {
+          resourceTemplates: [{
+            uriTemplate: `${RESOURCE_URI_PREFIX}{command}{?arg*}`,
+            name: 'query',
+            description: 'Result of a read-only `gsd-sdk query` command; pass positional args as repeated `arg` params',
+            mimeType: 'application/json',
+          }],
+        };
+      case 'resources/read':
+        return this.readResource(params);
+      default:
+        throw new McpProtocolError(JsonRpcErrorCode.MethodNotFound, `Method not found: ${method}`);
+    }
+  }
+
+  private async callTool(params: Record<string, unknown>): Promise<unknown> {
+    const name = String(params.name ?? '');
+    const command = this.commands.get(name);
+    if (!command) throw new McpProtocolError(JsonRpcErrorCode.InvalidParams, `Unknown tool: ${name}`);
+
+    const input = (params.arguments ?? {}) as Record<string, unknown>;
+    const spec = this.registry.spec(command);
+    const problem = spec ? validateTypedInput(input) : validateToolInput(input);
+    if (problem) throw new McpProtocolError(JsonRpcErrorCode.InvalidParams, `Invalid arguments for ${name}: ${problem}`);
+
+    let args = (input.args as string[] | undefined) ?? [];
+    if (spec) {
+      const { workstream: _workstream, ...fields } = input;
+      try {
+        args = toQueryArgv(command, spec, fields);
+      } catch (err) {
+        throw new McpProtocolError(JsonRpcErrorCode.InvalidParams, `Invalid arguments for ${name}: ${(err as Error).message}`);
+      }
+    }
+    const workstream = (input.workstream as string | undefined) ?? this.workstream;
+    try {
+      const { data } = await this.registry.dispatch(command, args, this.projectDir, workstream);
+      return {
+        content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
+        ...(isPlainObject(data) && { structuredContent: data }),
+      };
+    } catch (err) {
+      // Handler failures are tool results the model can read, not protocol errors
+      const classification = err instanceof GSDError ? ` [${err.classification}]` : '';
+      return {
+        content: [{ type: 'text', text: `Error${classification}: ${err instanceof Error ? err.message : String(err)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  private async readResource(params: Record<string, unknown>): Promise<unknown> {
+    const uri = String(params.uri ?? '');
+    if (!uri.startsWith(RESOURCE_URI_PREFIX)) {
+      throw new McpProtocolError(JsonRpcErrorCode.ResourceNotFound, `Resource not found: ${uri}`);
+    }
+
+    const url = new URL(uri);
+    const command = decodeURIComponent(uri.slice(RESOURCE_URI_PREFIX.length).split('?')[0]!);
+    if (!this.registry.has(command) || QUERY_MUTATION_COMMANDS.has(command)) {
+      throw new McpProtocolError(JsonRpcErrorCode.ResourceNotFound, `Resource not found: ${uri}`);
+    }
+
+    const { data } = await this.registry.dispatch(command, url.searchParams.getAll('arg'), this.projectDir, this.workstream);
+    return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }] };
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+class McpProtocolError extends Error {
+  constructor(readonly code: number, message: string) {
+    super(message);
+    this.name = 'McpProtocolError';
+  }
+}
+
+/** MCP tool name for a registry command. */
+export function toolName(command: string): string {
+  return command.replace(/[.\s]+/g, '_');
+}
+
+/** A command's spec input schema plus the `workstream` property every tool takes. */
+function typedInputSchema(command: string, spec: QueryCommandSpec): Record<string, unknown> {
+  const { $schema: _schema, title: _title, ...schema } = commandInputSchema(command, spec);
+  return { ...schema, properties: { ...(schema.properties as Record<string, unknown>), workstream: WORKSTREAM_PROPERTY } };
+}
+
+/** Shape checks for typed tool input; per-field checks happen in `toQueryArgv` and dispatch. */
+function validateTypedInput(input: Record<string, unknown>): string | undefined {
+  if (!isPlainObject(input)) return 'arguments must be an object';
+  return workstreamProblem(input.workstream);
+}
+
+/** Check tool arguments against {@link TOOL_INPUT_SCHEMA}; returns the first problem. */
+function validateToolInput(input: Record<string, unknown>): string | undefined {
+  if (!isPlainObject(input)) return 'arguments must be an object';
+  for (const key of Object.keys(input)) {
+    if (key !== 'args' && key !== 'workstream') return `unexpected property "${key}"`;
+  }
+  if (input.args !== undefined && (!Array.isArray(input.args) || input.args.some(a => typeof a !== 'string'))) {
+    return '"args" must be an array of strings';
+  }
+  return workstreamProblem(input.workstream);
+}
+
+/** Same rule as `--ws`: a bare name, so `.planning/workstreams/<name>` stays inside the project. */
+function workstreamProblem(workstream: unknown): string | undefined {
+  if (workstream === undefined) return undefined;
+  if (typeof workstream !== 'string') return '"workstream" must be a string';
+  if (!validateWorkstreamName(workstream)) {
+    return `invalid workstream name "${workstream}" (use alphanumeric, hyphens, underscores, or dots only)`;
+  }
+  return undefined;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -7,6 +7,7 @@ import type {
   MilestoneRunnerOptions,
 } from './types.js';
 import { GSDEventType } from './types.js';
+import { ErrorClassification } from './errors.js';
 
 // ─── Mock modules ────────────────────────────────────────────────────────────
 
@@ -305,6 +306,19 @@ describe('GSD.run()', () => {
     // Phase 2 was never started
   });
 
+  it('carries the error of the phase that stopped the milestone', async () => {
+    mockRoadmapAnalyze
+      .mockResolvedValueOnce(makeAnalysis([makePhaseInfo({ number: '1', roadmap_complete: false })]));
+    const error = { message: 'Phase 1: phase budget of $2.00 reached', classification: ErrorClassification.Blocked };
+
+    vi.spyOn(gsd, 'runPhase')
+      .mockResolvedValueOnce(makePhaseResult({ phaseNumber: '1', success: false, error }));
+
+    const result = await gsd.run('build it');
+
+    expect(result).toMatchObject({ success: false, error });
+  });
+
   it('handles empty phase list', async () => {
     mockRoadmapAnalyze
       .mockResolvedValueOnce(makeAnalysis([]));
@@ -375,6 +389,7 @@ describe('GSD.run()', () => {
     expect(result.phases).toHaveLength(1);
     expect(result.phases[0].success).toBe(false);
     expect(result.phases[0].phaseNumber).toBe('1');
+    expect(result.error).toEqual({ message: 'Unexpected explosion', classification: ErrorClassification.Execution });
   });
 
   it('passes MilestoneRunnerOptions through to runPhase', async () => {
@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, writeFile, mkdir, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { PhaseCheckpointJournal, buildResumeState, type CheckpointEntry } from './phase-checkpoint.js';
+import { PhaseStepType } from './types.js';
+import type { PlanResult } from './types.js';
+
+function makePlanResult(overrides: Partial<PlanResult> = {}): PlanResult {
+  return {
+    success: true,
+    sessionId: 'sess-1',
+    totalCostUsd: 0.01,
+    durationMs: 10,
+    usage: { inputTokens: 1, outputTokens: 1, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 },
+    numTurns: 1,
+    ...overrides,
+  };
+}
+
+const ts = '2026-01-01T00:00:00.000Z';
+
+// ─── PhaseCheckpointJournal ──────────────────────────────────────────────────
+
+describe('PhaseCheckpointJournal', () => {
+  let tmpDir: string;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'gsd-checkpoint-'));
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('roots the journal under .planning/checkpoints', () => {
+    const journal = PhaseCheckpointJournal.forProject(tmpDir);
+    expect(journal.filePath('03')).toBe(join(tmpDir, '.planning', 'checkpoints', 'phase-03.jsonl'));
+  });
+
+  it('routes workstream journals under the workstream planning dir', () => {
+    const journal = PhaseCheckpointJournal.forProject(tmpDir, 'api');
+    expect(journal.dir).toBe(join(tmpDir, '.planning', 'workstreams', 'api', 'checkpoints'));
+  });
+
+  it('returns an empty list when no journal exists', async () => {
+    const journal = new PhaseCheckpointJournal(join(tmpDir, 'checkpoints'));
+    expect(await journal.read('1')).toEqual([]);
+  });
+
+  it('appends timestamped entries and reads them back in order', async () => {
+    const journal = new PhaseCheckpointJournal(join(tmpDir, 'checkpoints'));
+    await journal.append('1', { type: 'step_start', step: PhaseStepType.Plan });
+    await journal.append('1', { type: 'checkpoint', stage: PhaseStepType.Plan });
+
+    const entries = await journal.read('1');
+    expect(entries.map(e => e.type)).toEqual(['step_start', 'checkpoint']);
+    expect(entries[0]!.timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  it('keeps concurrent appends as whole lines', async () => {
+    const journal = new PhaseCheckpointJournal(join(tmpDir, 'checkpoints'));
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) =>
+        journal.append('1', { type: 'plan_result', planId: `plan-${i}`, result: makePlanResult() }),
+      ),
+    );
+
+    const entries = await journal.read('1');
+    expect(entries).toHaveLength(20);
+  });
+
+  it('skips a torn trailing line', async () => {
+    const dir = join(tmpDir, 'checkpoints');
+    await mkdir(dir, { recursive: true });
+    const journal = new PhaseCheckpointJournal(dir);
+    await writeFile(
+      journal.filePath('1'),
+      JSON.stringify({ type: 'checkpoint', timestamp: ts, stage: 'plan' }) + '\n{"type":"step_st',
+    );
+
+    const entries = await journal.read('1');
+    expect(entries).toHaveLength(1);
+  });
+
+  it('reset truncates the journal', async () => {
+    const journal = new PhaseCheckpointJournal(join(tmpDir, 'checkpoints'));
+    await journal.append('1', { type: 'checkpoint', stage: PhaseStepType.Plan });
+    await journal.reset('1');
+
+    expect(await readFile(journal.filePath('1'), 'utf-8')).toBe('');
+  });
+
+  it('sanitizes phase numbers into file names', () => {
+    const journal = new PhaseCheckpointJournal('/x');
+    expect(journal.filePath('../2')).toBe(join('/x', 'phase-.._2.jsonl'));
+  });
+});
+
+// ─── buildResumeState ────────────────────────────────────────────────────────
+
+describe('buildResumeState', () => {
+  it('returns undefined for an empty journal', () => {
+    expect(buildResumeState([])).toBeUndefined();
+  });
+
+  it('returns undefined when the last run succeeded', () => {
+    const entries: CheckpointEntry[] = [
+      { type: 'run_start', timestamp: ts, phaseNumber: '1', resumed: false },
+      { type: 'run_complete', timestamp: ts, success: true },
+    ];
+    expect(buildResumeState(entries)).toBeUndefined();
+  });
+
+  it('resumes after a failed run', () => {
+    const entries: CheckpointEntry[] = [
+      { type: 'step_complete', timestamp: ts, step: PhaseStepType.Plan, result: { step: PhaseStepType.Plan, success: true, durationMs: 1 } },
+      { type: 'checkpoint', timestamp: ts, stage: PhaseStepType.Plan },
+      { type: 'run_complete', timestamp: ts, success: false },
+    ];
+    const state = buildResumeState(entries);
+    expect(state?.completedStages.has(PhaseStepType.Plan)).toBe(true);
+  });
+
+  it('restores only step results closed by a checkpoint', () => {
+    const entries: CheckpointEntry[] = [
+      { type: 'step_complete', timestamp: ts, step: PhaseStepType.Discuss, result: { step: PhaseStepType.Discuss, success: true, durationMs: 1 } },
+      { type: 'checkpoint', timestamp: ts, stage: PhaseStepType.Discuss },
+      { type: 'step_start', timestamp: ts, step: PhaseStepType.Research },
+      { type: 'step_complete', timestamp: ts, step: PhaseStepType.Research, result: { step: PhaseStepType.Research, success: true, durationMs: 1 } },
+    ];
+
+    const state = buildResumeState(entries)!;
+    expect([...state.completedStages]).toEqual([PhaseStepType.Discuss]);
+    expect(state.steps.map(s => s.step)).toEqual([PhaseStepType.Discuss]);
+  });
+
+  it('keeps successful plan results only', () => {
+    const entries: CheckpointEntry[] = [
+      { type: 'plan_result', timestamp: ts, planId: 'plan-1', result: makePlanResult() },
+      { type: 'plan_result', timestamp: ts, planId: 'plan-2', result: makePlanResult({ success: false }) },
+    ];
+
+    const state = buildResumeState(entries)!;
+    expect([...state.completedPlans.keys()]).toEqual(['plan-1']);
+  });
+
+  it('carries gap retries of an unfinished verify stage', () => {
+    const entries: CheckpointEntry[] = [
+      { type: 'checkpoint', timestamp: ts, stage: PhaseStepType.Execute },
+      { type: 'gap_retry', timestamp: ts, attempt: 1 },
+      { type: 'gap_retry', timestamp: ts, attempt: 2 },
+    ];
+
+    expect(buildResumeState(entries)!.gapRetryCount).toBe(2);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Phase checkpoint journal — durable record of PhaseRunner progress.
+ *
+ * Appends one JSON line per lifecycle event (step start/complete, plan result,
+ * callback decision, gap retry, stage checkpoint) to
+ * `.planning/checkpoints/phase-<N>.jsonl`. When a run dies partway through,
+ * `buildResumeState()` folds the journal back into the steps, plan results and
+ * gap-retry counters that `PhaseRunner.run({ resume: true })` continues from.
+ *
+ * @example
+ * ```typescript
+ * const journal = PhaseCheckpointJournal.forProject('/project');
+ * const resume = buildResumeState(await journal.read('03'));
+ * if (resume?.completedStages.has(PhaseStepType.Plan)) {
+ *   // discuss/research/plan already durable — go straight to execute
+ * }
+ * ```
+ */
+
+import { appendFile, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import type { PhaseStepResult, PlanResult, PhaseStepType } from './types.js';
+import { relPlanningPath } from './workstream-utils.js';
+
+// ─── Journal entry types ─────────────────────────────────────────────────────
+
+/** Human gate that produced a recorded decision. */
+export type CheckpointGate = 'blocker' | 'plan' | 'verification' | 'advance' | 'budget';
+
+export type CheckpointEntry =
+  | { type: 'run_start'; timestamp: string; phaseNumber: string; resumed: boolean }
+  | { type: 'step_start'; timestamp: string; step: PhaseStepType }
+  | { type: 'step_complete'; timestamp: string; step: PhaseStepType; result: PhaseStepResult }
+  | { type: 'plan_result'; timestamp: string; planId: string; result: PlanResult }
+  | { type: 'decision'; timestamp: string; gate: CheckpointGate; step: PhaseStepType; decision: string; auto: boolean }
+  | { type: 'gap_retry'; timestamp: string; attempt: number }
+  | { type: 'checkpoint'; timestamp: string; stage: PhaseStepType }
+  | { type: 'run_complete'; timestamp: string; success: boolean };
+
+/** Entry shape accepted by {@link PhaseCheckpointJournal.append} — timestamp is filled in. */
+export type CheckpointEntryInput = CheckpointEntry extends infer E
+  ? (E extends unknown ? Omit<E, 'timestamp'> : never)
+  : never;
+
+// ─── Resume state ────────────────────────────────────────────────────────────
+
+/**
+ * Progress recovered from a journal whose last run did not complete successfully.
+ */
+export interface PhaseResumeState {
+  /** Lifecycle stages that finished without halting (skipped on resume). */
+  completedStages: Set<PhaseStepType>;
+  /** Step results recorded by the completed stages, in run order. */
+  steps: PhaseStepResult[];
+  /** Successful plan sessions keyed by plan id (skipped by the execute step). */
+  completedPlans: Map<string, PlanResult>;
+  /** Gap-closure attempts already spent by the interrupted verify stage. */
+  gapRetryCount: number;
+}
+
+/**
+ * Fold journal entries into resumable state.
+ *
+ * Only step results followed by a `checkpoint` entry are restored — a stage
+ * that was interrupted, failed, or was halted by a callback runs again on
+ * resume. Returns undefined when there is nothing to resume: an empty journal,
+ * or one whose last run completed successfully.
+ */
+export function buildResumeState(entries: CheckpointEntry[]): PhaseResumeState | undefined {
+  if (entries.length === 0) return undefined;
+  const last = entries[entries.length - 1]!;
+  if (last.type === 'run_complete' && last.success) return undefined;
+
+  const state: PhaseResumeState = {
+    completedStages: new Set(),
+    steps: [],
+    completedPlans: new Map(),
+    gapRetryCount: 0,
+  };
+  let pendingSteps: PhaseStepResult[] = [];
+
+  for (const entry of entries) {
+    switch (entry.type) {
+      case 'step_complete':
+        pendingSteps.push(entry.result);
+        break;
+      case 'plan_result':
+        if (entry.result.success) state.completedPlans.set(entry.planId, entry.result);
+        break;
+      case 'gap_retry':
+        state.gapRetryCount = Math.max(state.gapRetryCount, entry.attempt);
+        break;
+      case 'checkpoint':
+        state.completedStages.add(entry.stage);
+        state.steps.push(...pendingSteps);
+        pendingSteps = [];
+        // Gap retries belong to the verify stage; a checkpoint closes them out.
+        state.gapRetryCount = 0;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return state;
+}
+
+// ─── PhaseCheckpointJournal ──────────────────────────────────────────────────
+
+export class PhaseCheckpointJournal {
+  /** Serializes appends so concurrent plan results land as whole lines. */
+  private queue: Promise<void> = Promise.resolve();
+
+  /**
+   * @param dir - Absolute directory holding one `phase-<N>.jsonl` file per phase
+   */
+  constructor(readonly dir: string) {}
+
+  /** Journal rooted at `<projectDir>/.planning/checkpoints` (workstream-aware). */
+  static forProject(projectDir: string, workstream?: string): PhaseCheckpointJournal {
+    return new PhaseCheckpointJournal(join(projectDir, relPlanningPath(workstream), 'checkpoints'));
+  }
+
+  /** Path of the journal file for a phase. */
+  filePath(phaseNumber: string): string {
+    const safe = phaseNumber.replace(/[^A-Za-z0-9._-]/g, '_');
+    return join(this.dir, `phase-${safe}.jsonl`);
+  }
+
+  /**
+   * Read all entries for a phase. A missing file yields an empty list; a torn
+   * trailing line (process killed mid-append) is ignored.
+   */
+  async read(phaseNumber: string): Promise<CheckpointEntry[]> {
+    let raw: string;
+    try {
+      raw = await readFile(this.filePath(phaseNumber), 'utf-8');
+    } catch {
+      return [];
+    }
+
+    const entries: CheckpointEntry[] = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line) as CheckpointEntry);
+      } catch {
+        // Torn write — everything before it is still durable
+      }
+    }
+    return entries;
+  }
+
+  /** Truncate the journal for a phase so a fresh run starts from an empty record. */
+  async reset(phaseNumber: string): Promise<void> {
+    await this.enqueue(async () => {
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(this.filePath(phaseNumber), '', 'utf-8');
+    });
+  }
+
+  /** Append one timestamped entry. Resolves once the line is on disk. */
+  async append(phaseNumber: string, entry: CheckpointEntryInput): Promise<void> {
+    const line = JSON.stringify({ ...entry, timestamp: new Date().toISOString() }) + '\n';
+    await this.enqueue(async () => {
+      await mkdir(this.dir, { recursive: true });
+      await appendFile(this.filePath(phaseNumber), line, 'utf-8');
+    });
+  }
+
+  private enqueue(work: () => Promise<void>): Promise<void> {
+    const next = this.queue.then(work);
+    // Keep the chain alive after a failed write; the caller still sees the rejection.
+    this.queue = next.catch(() => undefined);
+    return next;
+  }
+}
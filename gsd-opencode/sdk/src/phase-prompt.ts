@@ -241,6 +241,8 @@ export class PromptFactory {
       config: 'Config (config.json)',
       plan: 'Plan (PLAN.md)',
       summary: 'Summary (SUMMARY.md)',
+      phaseContext: 'Phase Context (CONTEXT.md)',
+      phaseResearch: 'Phase Research (RESEARCH.md)',
     };
 
     for (const [key, label] of Object.entries(fileLabels)) {
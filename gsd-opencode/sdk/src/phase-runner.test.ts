@@ -1,6 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
-import { join } from 'node:path';
+import { basename, join } from 'node:path';
 import { tmpdir } from 'node:os';
 import { PhaseRunner, PhaseRunnerError } from './phase-runner.js';
 import type { PhaseRunnerDeps, VerificationOutcome } from './phase-runner.js';
@@ -17,11 +17,15 @@ import type {
 import { PhaseStepType, PhaseType, GSDEventType } from './types.js';
 import type { GSDConfig } from './config.js';
 import { CONFIG_DEFAULTS } from './config.js';
+import { PhaseCheckpointJournal } from './phase-checkpoint.js';
+import { CostLedger, ledgerEntryFor } from './cost-ledger.js';
+import { ErrorClassification } from './errors.js';
 
 // ─── Mock modules ────────────────────────────────────────────────────────────
 
 // Mock session-runner to avoid real SDK calls
-vi.mock('./session-runner.js', () => ({
+vi.mock('./session-runner.js', async (importOriginal) => ({
+  ...(await importOriginal<typeof import('./session-runner.js')>()),
   runPhaseStepSession: vi.fn(),
   runPlanSession: vi.fn(),
 }));
@@ -39,8 +43,10 @@ vi.mock('./plan-parser.js', () => ({
 }));
 
 import { runPhaseStepSession } from './session-runner.js';
+import { parsePlanFile } from './plan-parser.js';
 
 const mockRunPhaseStepSession = vi.mocked(runPhaseStepSession);
+const mockParsePlanFile = vi.mocked(parsePlanFile);
 
 // ─── Factory helpers ─────────────────────────────────────────────────────────
 
@@ -441,6 +447,55 @@ describe('PhaseRunner', () => {
     });
   });
 
+  // ─── Plan approval ─────────────────────────────────────────────────────
+
+  describe('plan approval', () => {
+    it('asks onPlanApproval before execute and proceeds on approve', async () => {
+      const onPlanApproval = vi.fn().mockResolvedValue('approve');
+      const phaseOp = makePhaseOp({ has_context: true, plan_count: 2 });
+      const config = makeConfig({ workflow: { research: false, verifier: false, skip_discuss: true, plan_check: false } as any });
+      const deps = makeDeps({ config });
+      (deps.tools.initPhaseOp as ReturnType<typeof vi.fn>).mockResolvedValue(phaseOp);
+      (deps.tools.phasePlanIndex as ReturnType<typeof vi.fn>).mockResolvedValue(makePlanIndex(2));
+
+      const runner = new PhaseRunner(deps);
+      const result = await runner.run('1', { callbacks: { onPlanApproval } });
+
+      expect(onPlanApproval).toHaveBeenCalledWith({ phaseNumber: '1', phaseName: phaseOp.phase_name, planCount: 2 });
+      expect(result.steps.map(s => s.step)).toContain(PhaseStepType.Execute);
+    });
+
+    it('halts before execute when plans are rejected', async () => {
+      const onPlanApproval = vi.fn().mockResolvedValue('reject');
+      const phaseOp = makePhaseOp({ has_context: true, plan_count: 1 });
+      const config = makeConfig({ workflow: { research: false, verifier: true, skip_discuss: true, plan_check: false } as any });
+      const deps = makeDeps({ config });
+      (deps.tools.initPhaseOp as ReturnType<typeof vi.fn>).mockResolvedValue(phaseOp);
+
+      const runner = new PhaseRunner(deps);
+      const result = await runner.run('1', { callbacks: { onPlanApproval } });
+
+      const stepTypes = result.steps.map(s => s.step);
+      expect(stepTypes).toContain(PhaseStepType.Plan);
+      expect(stepTypes).not.toContain(PhaseStepType.Execute);
+      expect(stepTypes).not.toContain(PhaseStepType.Verify);
+      expect(stepTypes).not.toContain(PhaseStepType.Advance);
+    });
+
+    it('approves when the callback throws', async () => {
+      const onPlanApproval = vi.fn().mockRejectedValue(new Error('socket gone'));
+      const phaseOp = makePhaseOp({ has_context: true, plan_count: 1 });
+      const config = makeConfig({ workflow: { research: false, verifier: false, skip_discuss: true, plan_check: false } as any });
+      const deps = makeDeps({ config });
+      (deps.tools.initPhaseOp as ReturnType<typeof vi.fn>).mockResolvedValue(phaseOp);
+
+      const runner = new PhaseRunner(deps);
+      const result = await runner.run('1', { callbacks: { onPlanApproval } });
+
+      expect(result.steps.map(s => s.step)).toContain(PhaseStepType.Execute);
+    });
+  });
+
   // ─── Research gate (#1602) ──────────────────────────────────────────────
 
   describe('research gate (#1602)', () => {
@@ -1364,6 +1419,10 @@ Use TypeScript.`, 'utf-8');
       expect(resolveCallArgs).toContain(PhaseType.Plan);
       expect(resolveCallArgs).toContain(PhaseType.Execute);
       expect(resolveCallArgs).toContain(PhaseType.Verify);
+
+      // Context is focused on the phase being run
+      const focusArgs = (deps.contextEngine.resolveContextFiles as ReturnType<typeof vi.fn>).mock.calls.map((call: any) => call[1]);
+      expect(focusArgs.every((focus: any) => focus?.phaseNumber === '1')).toBe(true);
     });
 
     it('passes prompt from PromptFactory to runPhaseStepSession', async () => {
@@ -1475,7 +1534,10 @@ Use TypeScript.`, 'utf-8');
       });
 
       const phaseOp = makePhaseOp({ has_context: true, has_plans: true, plan_count: 2 });
-      const config = makeConfig({ workflow: { research: false, verifier: false, skip_discuss: true, plan_check: false } as any });
+      const config = makeConfig({
+        parallelization: { enabled: true, scheduler: 'waves' },
+        workflow: { research: false, verifier: false, skip_discuss: true, plan_check: false } as any,
+      });
       const deps = makeDeps({ config });
       (deps.tools.initPhaseOp as ReturnType<typeof vi.fn>).mockResolvedValue(phaseOp);
       (deps.tools.phasePlanIndex as ReturnType<typeof vi.fn>).mockResolvedValue(planIndex);
@@ -1656,7 +1718,10 @@ Use TypeScript.`, 'utf-8');
       });
 
       const phaseOp = makePhaseOp({ has_context: true, has_plans: true, plan_count: 3 });
-      const config = makeConfig({ workflow: { research: false, verifier: false, skip_discuss: true, plan_check: false } as any });
+      const config = makeConfig({
+        parallelization: { enabled: true, scheduler: 'waves' },
+        workflow: { research: false, verifier: false, skip_discuss: true, plan_check: false } as any,
+      });
       const deps = makeDeps({ config });
       (deps.tools.initPhaseOp as ReturnType<typeof vi.fn>).mockResolvedValue(phaseOp);
       (deps.tools.phasePlanIndex as ReturnType<typeof vi.fn>).mockResolvedValue(planIndex);
@@ -1717,7 +1782,10 @@ Use TypeScript.`, 'utf-8');
       });
 
       const phaseOp = makePhaseOp({ has_context: true, has_plans: true, plan_count: 3 });
-      const config = makeConfig({ workflow: { research: false, verifier: false, skip_discuss: true, plan_check: false } as any });
+      const config = makeConfig({
+        parallelization: { enabled: true, scheduler: 'waves' },
+        workflow: { research: false, verifier: false, skip_discuss: true, plan_check: false } as any,
+      });
       const deps = makeDeps({ config });
       (deps.tools.initPhaseOp as ReturnType<typeof vi.fn>).mockResolvedValue(phaseOp);
       (deps.tools.phasePlanIndex as ReturnType<typeof vi.fn>).mockResolvedValue(planIndex);
@@ -1794,6 +1862,127 @@ Use TypeScript.`, 'utf-8');
     });
   });
 
+  // ─── Dependency-aware scheduling ───────────────────────────────────────
+
+  describe('dependency-aware plan scheduling', () => {
+    const defaultParsePlan = mockParsePlanFile.getMockImplementation()!;
+    const execOnlyWorkflow = { research: false, verifier: false, skip_discuss: true, plan_check: false } as any;
+
+    afterEach(() => {
+      mockParsePlanFile.mockImplementation(defaultParsePlan);
+    });
+
+    /** Give each plan (by id) the given depends_on frontmatter. */
+    function dependsOnByPlan(map: Record<string, string[]>): void {
+      mockParsePlanFile.mockImplementation(async (path: string) => {
+        const base = await defaultParsePlan(path);
+        const id = basename(path).replace(/-PLAN\.md$/, '');
+        return { ...base, frontmatter: { ...base.frontmatter, depends_on: map[id] ?? [] } };
+      });
+    }
+
+    function setupPlans(deps: PhaseRunnerDeps, plans: PlanInfo[]): void {
+      const planIndex = makePlanIndex(0, { plans, incomplete: plans.map(p => p.id) });
+      (deps.tools.initPhaseOp as ReturnType<typeof vi.fn>).mockResolvedValue(
+        makePhaseOp({ has_context: true, has_plans: true, plan_count: plans.length }),
+      );
+      (deps.tools.phasePlanIndex as ReturnType<typeof vi.fn>).mockResolvedValue(planIndex);
+    }
+
+    it('starts a dependent plan as soon as its dependency finishes, without waiting for the wave', async () => {
+      const deps = makeDeps({ config: makeConfig({ workflow: execOnlyWorkflow }) });
+      setupPlans(deps, [
+        makePlanInfo({ id: '01-01', wave: 1 }),
+        makePlanInfo({ id: '01-02', wave: 1 }),
+        makePlanInfo({ id: '01-03', wave: 2 }),
+      ]);
+      dependsOnByPlan({ '01-03': ['02'] });
+
+      const order: string[] = [];
+      mockRunPhaseStepSession.mockImplementation(async (_prompt, step, _config, _opts, _stream, ctx) => {
+        if (step === PhaseStepType.Execute) {
+          const plan = (ctx as { planName: string }).planName;
+          order.push(`start:${plan}`);
+          await new Promise(r => setTimeout(r, plan === '01-01' ? 40 : 5));
+          order.push(`end:${plan}`);
+        }
+        return makePlanResult();
+      });
+
+      const result = await new PhaseRunner(deps).run('1');
+
+      expect(result.success).toBe(true);
+      // 01-03 depends only on 01-02, so it runs while slow 01-01 is still going
+      expect(order.indexOf('start:01-03')).toBeGreaterThan(order.indexOf('end:01-02'));
+      expect(order.indexOf('start:01-03')).toBeLessThan(order.indexOf('end:01-01'));
+      // Results stay in schedule order
+      const executeStep = result.steps.find(s => s.step === PhaseStepType.Execute)!;
+      expect(executeStep.planResults).toHaveLength(3);
+    });
+
+    it('caps in-flight sessions at parallelization.max_concurrent', async () => {
+      const deps = makeDeps({
+        config: makeConfig({ parallelization: { enabled: true, max_concurrent: 2 }, workflow: execOnlyWorkflow }),
+      });
+      setupPlans(deps, Array.from({ length: 5 }, (_, i) => makePlanInfo({ id: `p${i + 1}`, wave: 1 })));
+
+      let inFlight = 0;
+      let peak = 0;
+      mockRunPhaseStepSession.mockImplementation(async (_prompt, step) => {
+        if (step === PhaseStepType.Execute) {
+          inFlight++;
+          peak = Math.max(peak, inFlight);
+          await new Promise(r => setTimeout(r, 5));
+          inFlight--;
+        }
+        return makePlanResult();
+      });
+
+      await new PhaseRunner(deps).run('1');
+
+      expect(peak).toBe(2);
+      expect(mockRunPhaseStepSession.mock.calls.filter(c => c[1] === PhaseStepType.Execute)).toHaveLength(5);
+    });
+
+    it('emits plan_queued for every plan before any plan_started', async () => {
+      const deps = makeDeps({ config: makeConfig({ workflow: execOnlyWorkflow }) });
+      setupPlans(deps, [makePlanInfo({ id: '01-01', wave: 1 }), makePlanInfo({ id: '01-02', wave: 2 })]);
+      dependsOnByPlan({ '01-02': ['01-01'] });
+
+      await new PhaseRunner(deps).run('1');
+
+      const events = getEmittedEvents(deps).filter(
+        e => e.type === GSDEventType.PlanQueued || e.type === GSDEventType.PlanStarted,
+      ) as any[];
+      expect(events.map(e => `${e.type}:${e.planId}`)).toEqual([
+        'plan_queued:01-01',
+        'plan_queued:01-02',
+        'plan_started:01-01',
+        'plan_started:01-02',
+      ]);
+      expect(events[1].dependsOn).toEqual(['01-01']);
+      expect(getEmittedEvents(deps).some(e => e.type === GSDEventType.WaveStart)).toBe(false);
+    });
+
+    it('still runs a plan after its dependency fails, like the next wave', async () => {
+      const deps = makeDeps({ config: makeConfig({ workflow: execOnlyWorkflow }) });
+      setupPlans(deps, [makePlanInfo({ id: '01-01', wave: 1 }), makePlanInfo({ id: '01-02', wave: 2 })]);
+      dependsOnByPlan({ '01-02': ['01-01'] });
+      mockRunPhaseStepSession.mockImplementation(async (_prompt, step, _config, _opts, _es, ctx) =>
+        step === PhaseStepType.Execute && (ctx as any)?.planName === '01-01'
+          ? makePlanResult({ success: false, error: { subtype: 'error_during_execution', messages: ['boom'] } })
+          : makePlanResult(),
+      );
+
+      const result = await new PhaseRunner(deps).run('1');
+
+      const executeStep = result.steps.find(s => s.step === PhaseStepType.Execute)!;
+      expect(executeStep.success).toBe(false);
+      expect(executeStep.planResults![0]!.success).toBe(false);
+      expect(executeStep.planResults![1]!.success).toBe(true);
+    });
+  });
+
   // ─── Plan-check step ─────────────────────────────────────────────────
 
   describe('plan-check step', () => {
@@ -2298,4 +2487,380 @@ Use TypeScript.`, 'utf-8');
       expect(result.success).toBe(false);
     });
   });
+
+  // ─── Checkpoint journal & resume ───────────────────────────────────────
+
+  describe('checkpoint journal', () => {
+    let tmpDir: string;
+
+    beforeEach(async () => {
+      tmpDir = await mkdtemp(join(tmpdir(), 'gsd-phase-resume-'));
+    });
+
+    afterEach(async () => {
+      await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('records step starts, completions, plan results and checkpoints', async () => {
+      const checkpoints = new PhaseCheckpointJournal(tmpDir);
+      const deps = makeDeps({ checkpoints });
+
+      const runner = new PhaseRunner(deps);
+      const result = await runner.run('1');
+      expect(result.success).toBe(true);
+
+      const entries = await checkpoints.read('1');
+      const types = entries.map(e => e.type);
+      expect(types[0]).toBe('run_start');
+      expect(types.at(-1)).toBe('run_complete');
+      expect(types).toContain('plan_result');
+      expect(entries.filter(e => e.type === 'step_start')).toHaveLength(result.steps.length);
+      expect(entries.filter(e => e.type === 'step_complete')).toHaveLength(result.steps.length);
+      expect(entries.filter(e => e.type === 'checkpoint').map(e => (e as { stage: string }).stage)).toEqual([
+        PhaseStepType.Discuss,
+        PhaseStepType.Research,
+        PhaseStepType.Plan,
+        PhaseStepType.PlanCheck,
+        PhaseStepType.Execute,
+        PhaseStepType.Verify,
+      ]);
+    });
+
+    it('records auto-approved callback decisions', async () => {
+      const checkpoints = new PhaseCheckpointJournal(tmpDir);
+      const deps = makeDeps({ checkpoints });
+      (deps.tools.initPhaseOp as ReturnType<typeof vi.fn>).mockResolvedValue(makePhaseOp({ has_context: false }));
+
+      await new PhaseRunner(deps).run('1');
+
+      const decisions = (await checkpoints.read('1')).filter(e => e.type === 'decision');
+      expect(decisions).toContainEqual(expect.objectContaining({ gate: 'blocker', decision: 'skip', auto: true }));
+    });
+
+    it('starts a fresh journal when resume is not requested', async () => {
+      const checkpoints = new PhaseCheckpointJournal(tmpDir);
+      await checkpoints.append('1', { type: 'checkpoint', stage: PhaseStepType.Plan });
+
+      const deps = makeDeps({ checkpoints });
+      await new PhaseRunner(deps).run('1');
+
+      const entries = await checkpoints.read('1');
+      expect(entries[0]).toMatchObject({ type: 'run_start', resumed: false });
+      expect(mockRunPhaseStepSession).toHaveBeenCalledWith(
+        expect.anything(), PhaseStepType.Plan, expect.anything(), expect.anything(), expect.anything(), expect.anything(),
+      );
+    });
+
+    it('resumes an interrupted run at execute, skipping checkpointed stages and plans', async () => {
+      const checkpoints = new PhaseCheckpointJournal(tmpDir);
+      // Journal of a run that died mid-execute: plan-1 finished, plan-2 did not.
+      await checkpoints.append('1', { type: 'run_start', phaseNumber: '1', resumed: false });
+      for (const step of [PhaseStepType.Discuss, PhaseStepType.Research, PhaseStepType.Plan, PhaseStepType.PlanCheck]) {
+        await checkpoints.append('1', { type: 'step_complete', step, result: { step, success: true, durationMs: 5 } });
+        await checkpoints.append('1', { type: 'checkpoint', stage: step });
+      }
+      await checkpoints.append('1', { type: 'step_start', step: PhaseStepType.Execute });
+      await checkpoints.append('1', { type: 'plan_result', planId: 'plan-1', result: makePlanResult({ sessionId: 'journaled' }) });
+
+      const deps = makeDeps({ checkpoints });
+      (deps.tools.phasePlanIndex as ReturnType<typeof vi.fn>).mockResolvedValue(makePlanIndex(2));
+
+      const result = await new PhaseRunner(deps).run('1', { resume: true });
+
+      expect(result.success).toBe(true);
+      expect(result.steps.map(s => s.step)).toEqual([
+        PhaseStepType.Discuss,
+        PhaseStepType.Research,
+        PhaseStepType.Plan,
+        PhaseStepType.PlanCheck,
+        PhaseStepType.Execute,
+        PhaseStepType.Verify,
+        PhaseStepType.Advance,
+      ]);
+
+      const sessionSteps = mockRunPhaseStepSession.mock.calls.map(c => c[1]);
+      expect(sessionSteps).not.toContain(PhaseStepType.Plan);
+      expect(sessionSteps).not.toContain(PhaseStepType.Discuss);
+      // Only plan-2 runs; plan-1's result comes from the journal
+      const executeCalls = mockRunPhaseStepSession.mock.calls.filter(c => c[1] === PhaseStepType.Execute);
+      expect(executeCalls).toHaveLength(1);
+      expect(executeCalls[0]![5]).toMatchObject({ planName: 'plan-2' });
+
+      const executeStep = result.steps.find(s => s.step === PhaseStepType.Execute)!;
+      expect(executeStep.planResults?.map(r => r.sessionId)).toContain('journaled');
+
+      const entries = await checkpoints.read('1');
+      expect(entries.filter(e => e.type === 'run_start').at(-1)).toMatchObject({ resumed: true });
+    });
+
+    it('resume after a successful run starts over', async () => {
+      const checkpoints = new PhaseCheckpointJournal(tmpDir);
+      await new PhaseRunner(makeDeps({ checkpoints })).run('1');
+      vi.clearAllMocks();
+      mockRunPhaseStepSession.mockResolvedValue(makePlanResult());
+
+      await new PhaseRunner(makeDeps({ checkpoints })).run('1', { resume: true });
+
+      const sessionSteps = mockRunPhaseStepSession.mock.calls.map(c => c[1]);
+      expect(sessionSteps).toContain(PhaseStepType.Plan);
+    });
+
+    it('keeps running when the journal cannot be written', async () => {
+      const blocker = join(tmpDir, 'not-a-dir');
+      await writeFile(blocker, '');
+      const checkpoints = new PhaseCheckpointJournal(join(blocker, 'checkpoints'));
+      const warn = vi.fn();
+
+      const result = await new PhaseRunner(makeDeps({ checkpoints, logger: { warn, info: vi.fn(), debug: vi.fn(), error: vi.fn() } as any })).run('1');
+
+      expect(result.success).toBe(true);
+      expect(warn).toHaveBeenCalled();
+    });
+  });
+
+  // ─── Cancellation ──────────────────────────────────────────────────────
+
+  describe('cancellation', () => {
+    it('stops before the next step once the signal aborts', async () => {
+      const controller = new AbortController();
+      const deps = makeDeps();
+      mockRunPhaseStepSession.mockImplementation(async (_prompt, step) => {
+        if (step === PhaseStepType.Research) controller.abort();
+        return makePlanResult();
+      });
+
+      const result = await new PhaseRunner(deps).run('1', { signal: controller.signal });
+
+      expect(result.success).toBe(false);
+      expect(result.cancelled).toBe(true);
+      expect(result.steps.at(-1)?.step).toBe(PhaseStepType.Research);
+      expect(mockRunPhaseStepSession).not.toHaveBeenCalledWith(
+        expect.anything(), PhaseStepType.Plan, expect.anything(), expect.anything(), expect.anything(), expect.anything(),
+      );
+      expect(deps.tools.phaseComplete).not.toHaveBeenCalled();
+    });
+
+    it('emits phase_cancelled before phase_complete', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const deps = makeDeps();
+
+      await new PhaseRunner(deps).run('1', { signal: controller.signal });
+
+      const types = getEmittedEvents(deps).map(e => e.type);
+      expect(types).toContain(GSDEventType.PhaseCancelled);
+      expect(types.indexOf(GSDEventType.PhaseCancelled)).toBeLessThan(types.indexOf(GSDEventType.PhaseComplete));
+      expect(mockRunPhaseStepSession).not.toHaveBeenCalled();
+    });
+
+    it('passes the signal through to sessions', async () => {
+      const controller = new AbortController();
+      const deps = makeDeps();
+
+      await new PhaseRunner(deps).run('1', { signal: controller.signal });
+
+      const sessionOptions = mockRunPhaseStepSession.mock.calls[0]![3];
+      expect(sessionOptions?.signal).toBe(controller.signal);
+    });
+  });
+
+  // ─── Budget ────────────────────────────────────────────────────────────
+
+  describe('budget', () => {
+    let tmpDir: string;
+
+    beforeEach(async () => {
+      tmpDir = await mkdtemp(join(tmpdir(), 'gsd-budget-'));
+      mockRunPhaseStepSession.mockResolvedValue(makePlanResult({ totalCostUsd: 1 }));
+    });
+
+    afterEach(async () => {
+      await rm(tmpDir, { recursive: true, force: true });
+    });
+
+    const calledSteps = (): PhaseStepType[] => mockRunPhaseStepSession.mock.calls.map(call => call[1]);
+
+    it('halts with a Blocked error before the step once the phase cap is reached', async () => {
+      const deps = makeDeps({ config: makeConfig({ budget: { per_phase_usd: 2 } }) });
+
+      const result = await new PhaseRunner(deps).run('1');
+
+      expect(result.success).toBe(false);
+      expect(result.error?.classification).toBe(ErrorClassification.Blocked);
+      expect(result.error?.message).toContain('phase budget of $2.00 reached ($2.00 spent) before plan');
+      expect(calledSteps()).toEqual([PhaseStepType.Discuss, PhaseStepType.Research]);
+      const events = getEmittedEvents(deps);
+      expect(events.find(e => e.type === GSDEventType.BudgetExceeded)).toMatchObject({
+        step: PhaseStepType.Plan,
+        scope: 'phase',
+        capUsd: 2,
+        spentUsd: 2,
+      });
+      expect(events.find(e => e.type === GSDEventType.PhaseComplete)).toMatchObject({ success: false });
+    });
+
+    it('halts the phase when onBudgetExceeded says stop', async () => {
+      const onBudgetExceeded = vi.fn().mockResolvedValue('stop');
+      const deps = makeDeps({ config: makeConfig({ budget: { per_phase_usd: 1 } }) });
+
+      const result = await new PhaseRunner(deps).run('1', { callbacks: { onBudgetExceeded } });
+
+      expect(result.success).toBe(false);
+      expect(calledSteps()).toEqual([PhaseStepType.Discuss]);
+      expect(onBudgetExceeded).toHaveBeenCalledWith(expect.objectContaining({ step: PhaseStepType.Research, scope: 'phase' }));
+      expect(deps.tools.phaseComplete).not.toHaveBeenCalled();
+    });
+
+    it('lifts the cap for the rest of the run when onBudgetExceeded says continue', async () => {
+      const onBudgetExceeded = vi.fn().mockResolvedValue('continue');
+      const deps = makeDeps({ config: makeConfig({ budget: { per_phase_usd: 1 } }) });
+
+      const result = await new PhaseRunner(deps).run('1', { callbacks: { onBudgetExceeded } });
+
+      expect(result.success).toBe(true);
+      expect(onBudgetExceeded).toHaveBeenCalledOnce();
+      expect(calledSteps()).toContain(PhaseStepType.Verify);
+    });
+
+    it('counts earlier milestone spend from the ledger', async () => {
+      const costLedger = CostLedger.forProject(tmpDir);
+      const earlier = makePlanResult({ totalCostUsd: 4 });
+      await costLedger.append(ledgerEntryFor(earlier, { milestone: 'v1.0', phaseNumber: '0', step: PhaseStepType.Execute }));
+      await costLedger.append(ledgerEntryFor(earlier, { milestone: 'v0.9', phaseNumber: '1', step: PhaseStepType.Execute }));
+      const deps = makeDeps({
+        config: makeConfig({ budget: { per_phase_usd: 10, per_milestone_usd: 5 } }),
+        costLedger,
+        milestone: 'v1.0',
+      });
+
+      const result = await new PhaseRunner(deps).run('1');
+
+      expect(result.error?.message).toContain('milestone budget of $5.00 reached ($5.00 spent) before research');
+    });
+
+    it('ledgers every session with its phase, step, plan and milestone', async () => {
+      const costLedger = CostLedger.forProject(tmpDir);
+      const deps = makeDeps({ costLedger, milestone: 'v1.0' });
+
+      await new PhaseRunner(deps).run('1');
+
+      const entries = await costLedger.read();
+      expect(entries.map(e => e.step)).toEqual(calledSteps());
+      expect(entries.every(e => e.milestone === 'v1.0' && e.phaseNumber === '1' && e.costUsd === 1)).toBe(true);
+      expect(entries.find(e => e.step === PhaseStepType.Execute)?.planId).toBe('plan-1');
+    });
+  });
+
+  // ─── Branching ─────────────────────────────────────────────────────────
+
+  describe('branching strategy', () => {
+    const branchConfig = (strategy: string) => {
+      const config = makeConfig({ workflow: { research: false, verifier: false, skip_discuss: true, plan_check: false } as any });
+      config.git.branching_strategy = strategy;
+      return config;
+    };
+    const branchTools = (deps: PhaseRunnerDeps, start: Record<string, unknown> = {}) => {
+      const tools = deps.tools as any;
+      tools.gitPhaseBranch = vi.fn().mockImplementation((action: string) =>
+        Promise.resolve({ action, branch: 'gsd/phase-01-auth', branching_strategy: 'phase', ...(action === 'start' ? start : { merged: true, into: 'main' }) }));
+      tools.gitMilestoneBranch = vi.fn().mockImplementation((action: string) =>
+        Promise.resolve({ action, branch: 'gsd/v1.0-launch', branching_strategy: 'milestone' }));
+      return tools;
+    };
+
+    it('starts the phase branch before discuss and leaves it checked out after advance', async () => {
+      const deps = makeDeps({ config: branchConfig('phase') });
+      (deps.tools.initPhaseOp as ReturnType<typeof vi.fn>).mockResolvedValue(makePhaseOp({ has_context: true }));
+      const tools = branchTools(deps, { switched: true, created: true });
+
+      const result = await new PhaseRunner(deps).run('1');
+
+      expect(result.success).toBe(true);
+      expect(tools.gitPhaseBranch.mock.calls).toEqual([['start', '1']]);
+      expect(tools.gitPhaseBranch.mock.invocationCallOrder[0]).toBeLessThan(tools.phaseComplete.mock.invocationCallOrder[0]);
+    });
+
+    it('asks the blocker callback when the branch cannot be started and stops on request', async () => {
+      const onBlockerDecision = vi.fn().mockResolvedValue('stop');
+      const deps = makeDeps({ config: branchConfig('phase') });
+      const tools = branchTools(deps, { switched: false, reason: 'working tree has uncommitted changes' });
+
+      const result = await new PhaseRunner(deps).run('1', { callbacks: { onBlockerDecision } });
+
+      expect(onBlockerDecision).toHaveBeenCalledWith({
+        phaseNumber: '1',
+        step: PhaseStepType.Discuss,
+        error: 'Branch gsd/phase-01-auth: working tree has uncommitted changes',
+        defaultDecision: 'stop',
+      });
+      expect(result.success).toBe(false);
+      expect(result.steps).toEqual([]);
+      expect(tools.gitPhaseBranch).toHaveBeenCalledTimes(1);
+    });
+
+    it('halts without a blocker callback instead of running on the current branch', async () => {
+      const deps = makeDeps({ config: branchConfig('phase') });
+      const tools = branchTools(deps, { switched: false, reason: 'working tree has uncommitted changes' });
+
+      const result = await new PhaseRunner(deps).run('1');
+
+      expect(result.success).toBe(false);
+      expect(result.steps).toEqual([]);
+      expect(mockRunPhaseStepSession).not.toHaveBeenCalled();
+      expect(tools.phaseComplete).not.toHaveBeenCalled();
+    });
+
+    it('retries the switch on retry and proceeds on the current branch only on skip', async () => {
+      const deps = makeDeps({ config: branchConfig('phase') });
+      (deps.tools.initPhaseOp as ReturnType<typeof vi.fn>).mockResolvedValue(makePhaseOp({ has_context: true }));
+      const tools = branchTools(deps);
+      tools.gitPhaseBranch
+        .mockResolvedValueOnce({ action: 'start', branch: 'gsd/phase-01-auth', switched: false, reason: 'working tree has uncommitted changes' })
+        .mockResolvedValueOnce({ action: 'start', branch: 'gsd/phase-01-auth', switched: true });
+      const onBlockerDecision = vi.fn().mockResolvedValueOnce('retry').mockResolvedValue('skip');
+
+      const retried = await new PhaseRunner(deps).run('1', { callbacks: { onBlockerDecision } });
+
+      expect(retried.success).toBe(true);
+      expect(onBlockerDecision.mock.calls[0]![0].error).toContain('Branch gsd/phase-01-auth');
+      expect(tools.gitPhaseBranch.mock.calls.slice(0, 2)).toEqual([['start', '1'], ['start', '1']]);
+
+      tools.gitPhaseBranch.mockClear();
+      tools.gitPhaseBranch.mockResolvedValueOnce({ action: 'start', branch: 'gsd/phase-01-auth', switched: false, reason: 'checkout failed' });
+      const skipped = await new PhaseRunner(deps).run('1', { callbacks: { onBlockerDecision: vi.fn().mockResolvedValue('skip') } });
+      expect(skipped.success).toBe(true);
+    });
+
+    it('stops after repeated retries that keep failing', async () => {
+      const deps = makeDeps({ config: branchConfig('phase') });
+      const tools = branchTools(deps, { switched: false, reason: 'working tree has uncommitted changes' });
+      const onBlockerDecision = vi.fn().mockResolvedValue('retry');
+
+      const result = await new PhaseRunner(deps).run('1', { callbacks: { onBlockerDecision } });
+
+      expect(result.success).toBe(false);
+      expect(tools.gitPhaseBranch).toHaveBeenCalledTimes(4);
+      expect(onBlockerDecision).toHaveBeenCalledTimes(3);
+    });
+
+    it('starts the milestone branch for each phase and never merges it', async () => {
+      const deps = makeDeps({ config: branchConfig('milestone') });
+      (deps.tools.initPhaseOp as ReturnType<typeof vi.fn>).mockResolvedValue(makePhaseOp({ has_context: true }));
+      const tools = branchTools(deps);
+      tools.roadmapAnalyze.mockResolvedValue({ phases: [{ number: '1', roadmap_complete: true }, { number: '2', roadmap_complete: true }] });
+
+      await new PhaseRunner(deps).run('1');
+      await new PhaseRunner(deps).run('2');
+
+      expect(tools.gitMilestoneBranch.mock.calls).toEqual([['start'], ['start']]);
+    });
+
+    it('leaves git alone without a branching strategy', async () => {
+      const deps = makeDeps({ config: branchConfig('none') });
+      const tools = branchTools(deps);
+      await new PhaseRunner(deps).run('1');
+      expect(tools.gitPhaseBranch).not.toHaveBeenCalled();
+      expect(tools.gitMilestoneBranch).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -17,19 +17,33 @@ import type {
   ParsedPlan,
   PhasePlanIndex,
   PlanInfo,
+  BudgetScope,
+  GitBranchResult,
+  RunError,
 } from './types.js';
 import { PhaseStepType, PhaseType, GSDEventType } from './types.js';
 import type { GSDConfig } from './config.js';
+import { resolveParallelization, resolveBudget } from './config.js';
+import type { ResolvedBudget } from './config.js';
 import type { GSDTools } from './gsd-tools.js';
 import type { GSDEventStream } from './event-stream.js';
 import type { PromptFactory } from './phase-prompt.js';
 import type { ContextEngine } from './context-engine.js';
 import type { GSDLogger } from './logger.js';
-import { runPhaseStepSession, runPlanSession } from './session-runner.js';
+import { runPhaseStepSession, runPlanSession, cancelledResult, abortReason } from './session-runner.js';
 import { parsePlanFile } from './plan-parser.js';
 import { readFile } from 'node:fs/promises';
 import { join } from 'node:path';
 import { checkResearchGate } from './research-gate.js';
+import { buildResumeState } from './phase-checkpoint.js';
+import { runPlanSchedule, resolvePlanDependencies } from './plan-scheduler.js';
+import type { SchedulablePlan } from './plan-scheduler.js';
+import type { PhaseCheckpointJournal, PhaseResumeState, CheckpointEntryInput, CheckpointGate } from './phase-checkpoint.js';
+import type { SessionBackend } from './session-backend.js';
+import { ledgerEntryFor, spentUsd } from './cost-ledger.js';
+import type { CostLedger } from './cost-ledger.js';
+import { GSDError, ErrorClassification } from './errors.js';
+import type { EventStreamContext } from './event-stream.js';
 
 // ─── Error type ──────────────────────────────────────────────────────────────
 
@@ -59,6 +73,52 @@ export interface PhaseRunnerDeps {
   eventStream: GSDEventStream;
   config: GSDConfig;
   logger?: GSDLogger;
+  /** Durable progress journal. When omitted, runs are not checkpointed and `resume` is ignored. */
+  checkpoints?: PhaseCheckpointJournal;
+  /** LLM backend for step and plan sessions. Default: the Agent SDK backend. */
+  backend?: SessionBackend;
+  /**
+   * Persistent per-session cost record. When omitted, sessions are not
+   * ledgered and budget caps only count spend from the current run.
+   */
+  costLedger?: CostLedger;
+  /** Milestone version the phase belongs to; tags ledger entries and scopes `budget.per_milestone_usd`. */
+  milestone?: string;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** How often a `retry` answer re-attempts a refused branch switch before the phase halts. */
+const MAX_BRANCH_RETRIES = 3;
+
+/** Plan file name for a plan id from phase-plan-index (`PLAN` is the bare single-plan file). */
+function planFileName(planId: string): string {
+  return planId === 'PLAN' ? 'PLAN.md' : `${planId}-PLAN.md`;
+}
+
+/** Spend counted against the budget caps during one run. */
+interface BudgetState {
+  caps: ResolvedBudget;
+  phaseSpentUsd: number;
+  milestoneSpentUsd: number;
+  /** Caps the onBudgetExceeded callback chose to continue past. */
+  lifted: Set<BudgetScope>;
+}
+
+/** PlanResult for a plan that threw or was never started. */
+function failedPlanResult(message: string): PlanResult {
+  return {
+    success: false,
+    sessionId: '',
+    totalCostUsd: 0,
+    durationMs: 0,
+    usage: { inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 },
+    numTurns: 0,
+    error: {
+      subtype: 'error_during_execution',
+      messages: [message],
+    },
+  };
 }
 
 // ─── PhaseRunner ─────────────────────────────────────────────────────────────
@@ -71,6 +131,11 @@ export class PhaseRunner {
   private readonly eventStream: GSDEventStream;
   private readonly config: GSDConfig;
   private readonly logger?: GSDLogger;
+  private readonly checkpoints?: PhaseCheckpointJournal;
+  private readonly backend?: SessionBackend;
+  private readonly costLedger?: CostLedger;
+  private readonly milestone?: string;
+  private budget?: BudgetState;
 
   constructor(deps: PhaseRunnerDeps) {
     this.projectDir = deps.projectDir;
@@ -80,6 +145,10 @@ export class PhaseRunner {
     this.eventStream = deps.eventStream;
     this.config = deps.config;
     this.logger = deps.logger;
+    this.checkpoints = deps.checkpoints;
+    this.backend = deps.backend;
+    this.costLedger = deps.costLedger;
+    this.milestone = deps.milestone;
   }
 
   /**
@@ -87,6 +156,10 @@ export class PhaseRunner {
    *
    * Each step is gated by config flags and phase state. Human gate callbacks
    * are invoked at decision points; when not provided, auto-approve is used.
+   * With `options.resume`, stages already checkpointed in the journal are skipped.
+   * Budget caps from `config.budget` are checked before each step; a reached
+   * cap without an `onBudgetExceeded` callback halts the phase with a
+   * `Blocked` error in the result.
    */
   async run(phaseNumber: string, options?: PhaseRunnerOptions): Promise<PhaseRunnerResult> {
     const startTime = Date.now();
@@ -126,24 +199,56 @@ export class PhaseRunner {
       phaseName,
     });
 
+    // ── Checkpoint journal: restore an interrupted run or start a fresh record ──
+    const resume = await this.openCheckpoint(phaseNumber, options?.resume ?? false);
+    if (resume) {
+      steps.push(...resume.steps);
+    }
+    this.budget = await this.openBudget(phaseNumber);
+
+    const signal = options?.signal;
     const sessionOpts: SessionOptions = {
       maxTurns: options?.maxTurnsPerStep ?? 50,
       maxBudgetUsd: options?.maxBudgetPerStep ?? 5.0,
       model: options?.model,
       cwd: this.projectDir,
+      signal,
+      backend: this.backend,
     };
 
     let halted = false;
+    let haltError: RunError | undefined;
+    const cancelled = (): boolean => signal?.aborted === true;
+    // Cancellation stops the lifecycle between steps, like a halt
+    const proceed = (): boolean => !halted && !cancelled();
+    // A budget cap the callback declines to lift halts the run like a blocker;
+    // with no callback to ask, the Blocked error travels in the result
+    const withinBudget = async (step: PhaseStepType): Promise<boolean> => {
+      try {
+        if (await this.checkBudget(phaseNumber, step, callbacks)) return true;
+      } catch (err) {
+        if (!(err instanceof GSDError)) throw err;
+        this.logger?.warn(err.message);
+        haltError = { message: err.message, classification: err.classification };
+      }
+      halted = true;
+      return false;
+    };
+
+    // ── Branching: work happens on the templated phase / milestone branch ──
+    if (proceed() && !(await this.startBranch(phaseNumber, callbacks))) {
+      halted = true;
+    }
 
     // ── Step 1: Discuss ──
-    if (!halted) {
+    if (proceed() && !resume?.completedStages.has(PhaseStepType.Discuss) && await withinBudget(PhaseStepType.Discuss)) {
       const shouldSkip = phaseOp.has_context || this.config.workflow.skip_discuss;
       if (shouldSkip && !(this.config.workflow.auto_advance && !phaseOp.has_context && !this.config.workflow.skip_discuss)) {
         this.logger?.debug(`Skipping discuss: has_context=${phaseOp.has_context}, skip_discuss=${this.config.workflow.skip_discuss}`);
       } else if (!phaseOp.has_context && !this.config.workflow.skip_discuss && this.config.workflow.auto_advance) {
         // AI self-discuss: auto-mode with no context — run a self-discuss session
-        const result = await this.retryOnce('self-discuss', () => this.runSelfDiscussStep(phaseNumber, sessionOpts));
-        steps.push(result);
+        const result = await this.retryOnce('self-discuss', () => this.runSelfDiscussStep(phaseNumber, sessionOpts), signal);
+        await this.pushStep(phaseNumber, steps, result);
 
         // Re-query phase state to check if context was created
         try {
@@ -159,8 +264,8 @@ export class PhaseRunner {
           }
         }
       } else if (!shouldSkip) {
-        const result = await this.retryOnce('discuss', () => this.runStep(PhaseStepType.Discuss, phaseNumber, sessionOpts));
-        steps.push(result);
+        const result = await this.retryOnce('discuss', () => this.runStep(PhaseStepType.Discuss, phaseNumber, sessionOpts), signal);
+        await this.pushStep(phaseNumber, steps, result);
 
         // Re-query phase state to check if context was created
         try {
@@ -177,21 +282,23 @@ export class PhaseRunner {
           }
         }
       }
+      if (proceed()) await this.recordCheckpoint(phaseNumber, PhaseStepType.Discuss);
     }
 
     // ── Step 2: Research ──
-    if (!halted) {
+    const researchCheckpointed = resume?.completedStages.has(PhaseStepType.Research) ?? false;
+    if (proceed() && !researchCheckpointed) {
       if (!this.config.workflow.research) {
         this.logger?.debug('Skipping research: config.workflow.research=false');
-      } else {
-        const result = await this.retryOnce('research', () => this.runStep(PhaseStepType.Research, phaseNumber, sessionOpts));
-        steps.push(result);
+      } else if (await withinBudget(PhaseStepType.Research)) {
+        const result = await this.retryOnce('research', () => this.runStep(PhaseStepType.Research, phaseNumber, sessionOpts), signal);
+        await this.pushStep(phaseNumber, steps, result);
       }
     }
 
     // ── Step 2.5: Research gate (#1602) ──
     // Check RESEARCH.md for unresolved open questions before planning
-    if (!halted && phaseOp.has_research) {
+    if (proceed() && !researchCheckpointed && phaseOp.has_research) {
       const gateResult = await this.checkResearchGate(phaseOp);
       if (!gateResult.pass) {
         const questionList = gateResult.unresolvedQuestions.join(', ');
@@ -203,11 +310,14 @@ export class PhaseRunner {
         }
       }
     }
+    if (proceed() && !researchCheckpointed) {
+      await this.recordCheckpoint(phaseNumber, PhaseStepType.Research);
+    }
 
     // ── Step 3: Plan ──
-    if (!halted) {
-      const result = await this.retryOnce('plan', () => this.runStep(PhaseStepType.Plan, phaseNumber, sessionOpts));
-      steps.push(result);
+    if (proceed() && !resume?.completedStages.has(PhaseStepType.Plan) && await withinBudget(PhaseStepType.Plan)) {
+      const result = await this.retryOnce('plan', () => this.runStep(PhaseStepType.Plan, phaseNumber, sessionOpts), signal);
+      await this.pushStep(phaseNumber, steps, result);
 
       // Re-query to check for plans
       try {
@@ -222,12 +332,18 @@ export class PhaseRunner {
           halted = true;
         }
       }
+      if (proceed()) await this.recordCheckpoint(phaseNumber, PhaseStepType.Plan);
     }
 
     // ── Step 3.5: Plan Check ──
-    if (!halted && this.config.workflow.plan_check) {
-      const planCheckResult = await this.retryOnce('plan-check', () => this.runPlanCheckStep(phaseNumber, sessionOpts));
-      steps.push(planCheckResult);
+    if (
+      proceed() &&
+      this.config.workflow.plan_check &&
+      !resume?.completedStages.has(PhaseStepType.PlanCheck) &&
+      await withinBudget(PhaseStepType.PlanCheck)
+    ) {
+      const planCheckResult = await this.retryOnce('plan-check', () => this.runPlanCheckStep(phaseNumber, sessionOpts), signal);
+      await this.pushStep(phaseNumber, steps, planCheckResult);
 
       // If plan-check failed, re-plan once then re-check once (D023)
       if (!planCheckResult.success) {
@@ -235,48 +351,57 @@ export class PhaseRunner {
 
         // Re-run plan step with feedback
         const replanResult = await this.runStep(PhaseStepType.Plan, phaseNumber, sessionOpts);
-        steps.push(replanResult);
+        await this.pushStep(phaseNumber, steps, replanResult);
 
         // Re-check once
         const recheckResult = await this.runPlanCheckStep(phaseNumber, sessionOpts);
-        steps.push(recheckResult);
+        await this.pushStep(phaseNumber, steps, recheckResult);
 
         if (!recheckResult.success) {
           this.logger?.warn(`Plan check failed again after re-plan for phase ${phaseNumber}. Proceeding with warning (D023).`);
         }
       }
+      if (proceed()) await this.recordCheckpoint(phaseNumber, PhaseStepType.PlanCheck);
     }
 
     // ── Step 4: Execute ──
-    if (!halted) {
-      const executeResult = await this.retryOnce('execute', () => this.runExecuteStep(phaseNumber, sessionOpts));
-      steps.push(executeResult);
+    if (proceed() && !resume?.completedStages.has(PhaseStepType.Execute) && await withinBudget(PhaseStepType.Execute)) {
+      if (await this.invokePlanApprovalCallback(callbacks, phaseNumber, phaseName, phaseOp.plan_count) === 'reject') {
+        halted = true;
+      }
+    }
+    if (proceed() && !resume?.completedStages.has(PhaseStepType.Execute)) {
+      const executeResult = await this.retryOnce('execute', () => this.runExecuteStep(phaseNumber, sessionOpts, resume), signal);
+      await this.pushStep(phaseNumber, steps, executeResult);
+      // Failed plans keep execute open so a resumed run retries them
+      if (executeResult.success) await this.recordCheckpoint(phaseNumber, PhaseStepType.Execute);
     }
 
     // ── Step 5: Verify ──
-    if (!halted) {
+    if (proceed() && !resume?.completedStages.has(PhaseStepType.Verify)) {
       if (!this.config.workflow.verifier) {
         this.logger?.debug('Skipping verify: config.workflow.verifier=false');
-      } else {
+      } else if (await withinBudget(PhaseStepType.Verify)) {
         // Verify has its own internal retry logic (gap closure). retryOnce only
         // retries on unexpected session throws, not on verification outcomes like gaps_found.
-        const verifyResult = await this.retryOnce('verify', () => this.runVerifyStep(phaseNumber, sessionOpts, callbacks, options));
-        steps.push(verifyResult);
+        const verifyResult = await this.retryOnce('verify', () => this.runVerifyStep(phaseNumber, sessionOpts, callbacks, options, resume), signal);
+        await this.pushStep(phaseNumber, steps, verifyResult);
 
         // Check if verify resulted in a halt
         if (!verifyResult.success && verifyResult.error === 'halted_by_callback') {
           halted = true;
         }
+        if (verifyResult.success) await this.recordCheckpoint(phaseNumber, PhaseStepType.Verify);
       }
     }
 
     // ── Step 6: Advance ──
     // Only advance if verify passed — never mark a phase complete when gaps were found.
     const verifyPassed = steps.every(s => s.step !== PhaseStepType.Verify || s.success);
-    if (!halted && verifyPassed) {
+    if (proceed() && verifyPassed) {
       const advanceResult = await this.runAdvanceStep(phaseNumber, sessionOpts, callbacks);
-      steps.push(advanceResult);
-    } else if (!halted && !verifyPassed) {
+      await this.pushStep(phaseNumber, steps, advanceResult);
+    } else if (proceed() && !verifyPassed) {
       this.logger?.warn(`Skipping advance for phase ${phaseNumber}: verification found gaps`);
     }
 
@@ -285,7 +410,22 @@ export class PhaseRunner {
       const stepCost = s.planResults?.reduce((c, pr) => c + pr.totalCostUsd, 0) ?? 0;
       return sum + stepCost;
     }, 0);
-    const success = !halted && steps.every(s => s.success);
+    const wasCancelled = cancelled();
+    const success = !halted && !wasCancelled && steps.every(s => s.success);
+
+    await this.record(phaseNumber, { type: 'run_complete', success });
+
+    if (wasCancelled) {
+      this.eventStream.emitEvent({
+        type: GSDEventType.PhaseCancelled,
+        timestamp: new Date().toISOString(),
+        sessionId: '',
+        phaseNumber,
+        phaseName,
+        step: steps.at(-1)?.step,
+        reason: abortReason(signal!),
+      });
+    }
 
     // Emit phase_complete
     this.eventStream.emitEvent({
@@ -307,6 +447,8 @@ export class PhaseRunner {
       success,
       totalCostUsd,
       totalDurationMs,
+      ...(wasCancelled && { cancelled: true }),
+      ...(haltError && { error: haltError }),
     };
   }
 
@@ -315,11 +457,11 @@ export class PhaseRunner {
   /**
    * Retry a step function once on failure.
    * On first error/failure, logs a warning and calls the function once more.
-   * Returns the result from the last attempt.
+   * Returns the result from the last attempt. A cancelled run is never retried.
    */
-  private async retryOnce<T extends PhaseStepResult>(label: string, fn: () => Promise<T>): Promise<T> {
+  private async retryOnce<T extends PhaseStepResult>(label: string, fn: () => Promise<T>, signal?: AbortSignal): Promise<T> {
     const result = await fn();
-    if (result.success) return result;
+    if (result.success || signal?.aborted) return result;
 
     // Don't retry verify outcomes (gaps_found, human_needed) — they have their own retry logic.
     if (result.error?.startsWith('verification_')) return result;
@@ -339,13 +481,7 @@ export class PhaseRunner {
   ): Promise<PhaseStepResult> {
     const stepStart = Date.now();
 
-    this.eventStream.emitEvent({
-      type: GSDEventType.PhaseStepStart,
-      timestamp: new Date().toISOString(),
-      sessionId: '',
-      phaseNumber,
-      step: PhaseStepType.PlanCheck,
-    });
+    await this.stepStarted(phaseNumber, PhaseStepType.PlanCheck);
 
     let planResult: PlanResult;
     try {
@@ -353,18 +489,17 @@ export class PhaseRunner {
       const agentDef = await this.promptFactory.loadAgentDef(PhaseType.Verify);
 
       // Build prompt using Verify phase type for context resolution
-      const contextFiles = await this.contextEngine.resolveContextFiles(PhaseType.Verify);
+      const contextFiles = await this.contextEngine.resolveContextFiles(PhaseType.Verify, { phaseNumber });
       let prompt = await this.promptFactory.buildPrompt(PhaseType.Verify, null, contextFiles);
 
       // Supplement with plan-checker instructions
       prompt += '\n\n## Plan Checker Instructions\n\nYou are a plan checker. Review the plans for this phase and verify they are well-formed, complete, and achievable. If all plans pass, output "VERIFICATION PASSED". If any issues are found, output "ISSUES FOUND" followed by a description of each issue.';
 
-      planResult = await runPhaseStepSession(
+      planResult = await this.runStepSession(
+        phaseNumber,
         prompt,
         PhaseStepType.PlanCheck,
-        this.config,
         sessionOpts,
-        this.eventStream,
         { phase: PhaseType.Verify, planName: undefined },
       );
     } catch (err) {
@@ -425,17 +560,11 @@ export class PhaseRunner {
   ): Promise<PhaseStepResult> {
     const stepStart = Date.now();
 
-    this.eventStream.emitEvent({
-      type: GSDEventType.PhaseStepStart,
-      timestamp: new Date().toISOString(),
-      sessionId: '',
-      phaseNumber,
-      step: PhaseStepType.Discuss,
-    });
+    await this.stepStarted(phaseNumber, PhaseStepType.Discuss);
 
     let planResult: PlanResult;
     try {
-      const contextFiles = await this.contextEngine.resolveContextFiles(PhaseType.Discuss);
+      const contextFiles = await this.contextEngine.resolveContextFiles(PhaseType.Discuss, { phaseNumber });
       let prompt = await this.promptFactory.buildPrompt(PhaseType.Discuss, null, contextFiles);
 
       // Prepend self-discuss override BEFORE the workflow prompt.
@@ -467,12 +596,11 @@ export class PhaseRunner {
       ].join('\n');
       prompt = selfDiscussOverride + prompt;
 
-      planResult = await runPhaseStepSession(
+      planResult = await this.runStepSession(
+        phaseNumber,
         prompt,
         PhaseStepType.Discuss,
-        this.config,
         sessionOpts,
-        this.eventStream,
         { phase: PhaseType.Discuss, planName: undefined },
       );
     } catch (err) {
@@ -532,27 +660,20 @@ export class PhaseRunner {
   ): Promise<PhaseStepResult> {
     const stepStart = Date.now();
 
-    this.eventStream.emitEvent({
-      type: GSDEventType.PhaseStepStart,
-      timestamp: new Date().toISOString(),
-      sessionId: '',
-      phaseNumber,
-      step,
-    });
+    await this.stepStarted(phaseNumber, step);
 
     let planResult: PlanResult;
     try {
       // Map step to PhaseType for prompt/context resolution
       const phaseType = this.stepToPhaseType(step);
-      const contextFiles = await this.contextEngine.resolveContextFiles(phaseType);
+      const contextFiles = await this.contextEngine.resolveContextFiles(phaseType, { phaseNumber });
       const prompt = await this.promptFactory.buildPrompt(phaseType, null, contextFiles);
 
-      planResult = await runPhaseStepSession(
+      planResult = await this.runStepSession(
+        phaseNumber,
         prompt,
         step,
-        this.config,
         sessionOpts,
-        this.eventStream,
         { phase: phaseType, planName: undefined },
       );
     } catch (err) {
@@ -602,25 +723,23 @@ export class PhaseRunner {
   }
 
   /**
-   * Run the execute step — uses phase-plan-index for wave-grouped parallel execution.
-   * Plans in the same wave run concurrently via Promise.allSettled().
-   * Waves execute sequentially (wave 1 completes before wave 2 starts).
+   * Run the execute step — uses phase-plan-index plus plan frontmatter to schedule sessions.
+   * By default a plan starts as soon as the plans it `depends_on` finish — succeeded or
+   * failed, as in wave mode — with at most `parallelization.max_concurrent` sessions in
+   * flight. `parallelization.scheduler: 'waves'`
+   * keeps the wave barrier (wave 1 completes before wave 2 starts).
    * Respects config.parallelization: false to fall back to sequential execution.
-   * Filters out plans with has_summary: true (already completed).
+   * Filters out plans with has_summary: true (already completed), and on resume
+   * any plan whose successful result is already in the checkpoint journal.
    */
   private async runExecuteStep(
     phaseNumber: string,
     sessionOpts: SessionOptions,
+    resume?: PhaseResumeState,
   ): Promise<PhaseStepResult> {
     const stepStart = Date.now();
 
-    this.eventStream.emitEvent({
-      type: GSDEventType.PhaseStepStart,
-      timestamp: new Date().toISOString(),
-      sessionId: '',
-      phaseNumber,
-      step: PhaseStepType.Execute,
-    });
+    await this.stepStarted(phaseNumber, PhaseStepType.Execute);
 
     // Get the plan index from gsd-tools
     let planIndex: PhasePlanIndex;
@@ -648,7 +767,16 @@ export class PhaseRunner {
     }
 
     // Filter to incomplete plans only (has_summary === false)
-    const incompletePlans = planIndex.plans.filter(p => !p.has_summary);
+    const planResults: PlanResult[] = [];
+    const incompletePlans = planIndex.plans.filter(p => {
+      if (p.has_summary) return false;
+      const journaled = resume?.completedPlans.get(p.id);
+      if (journaled) {
+        planResults.push(journaled);
+        return false;
+      }
+      return true;
+    });
 
     if (incompletePlans.length === 0) {
       const durationMs = Date.now() - stepStart;
@@ -665,20 +793,27 @@ export class PhaseRunner {
         step: PhaseStepType.Execute,
         success: true,
         durationMs,
-        planResults: [],
+        planResults,
       };
     }
 
-    const planResults: PlanResult[] = [];
+    const parallel = resolveParallelization(this.config.parallelization);
+    const runPlan = async (planId: string): Promise<PlanResult> => {
+      // Once cancelled, queued plans settle without starting a session
+      if (sessionOpts.signal?.aborted) return cancelledResult(sessionOpts.signal);
+      const result = await this.executeSinglePlan(phaseNumber, planId, sessionOpts);
+      await this.record(phaseNumber, { type: 'plan_result', planId, result });
+      return result;
+    };
 
     // Sequential fallback when parallelization is disabled
-    if (this.config.parallelization === false) {
+    if (!parallel.enabled) {
       for (const plan of incompletePlans) {
-        const result = await this.executeSinglePlan(phaseNumber, plan.id, sessionOpts);
-        planResults.push(result);
+        planResults.push(await runPlan(plan.id));
       }
-    } else {
-      // Group incomplete plans by wave, sort waves numerically
+    } else if (parallel.scheduler === 'waves') {
+      // Compatibility mode: waves run one after another; plans within a wave
+      // share the concurrency cap.
       const waveMap = new Map<number, PlanInfo[]>();
       for (const plan of incompletePlans) {
         const existing = waveMap.get(plan.wave) ?? [];
@@ -703,36 +838,15 @@ export class PhaseRunner {
         });
 
         const waveStart = Date.now();
-
-        // Execute all plans in this wave concurrently
-        const settled = await Promise.allSettled(
-          wavePlans.map(plan => this.executeSinglePlan(phaseNumber, plan.id, sessionOpts)),
+        const waveResults = await this.schedulePlans(
+          phaseNumber,
+          wavePlans.map(p => ({ id: p.id, wave: p.wave, dependsOn: [] })),
+          parallel.maxConcurrent,
+          runPlan,
         );
+        planResults.push(...waveResults);
 
-        // Map settled results to PlanResult[]
-        let successCount = 0;
-        let failureCount = 0;
-        for (const outcome of settled) {
-          if (outcome.status === 'fulfilled') {
-            planResults.push(outcome.value);
-            if (outcome.value.success) successCount++;
-            else failureCount++;
-          } else {
-            failureCount++;
-            planResults.push({
-              success: false,
-              sessionId: '',
-              totalCostUsd: 0,
-              durationMs: 0,
-              usage: { inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 },
-              numTurns: 0,
-              error: {
-                subtype: 'error_during_execution',
-                messages: [outcome.reason instanceof Error ? outcome.reason.message : String(outcome.reason)],
-              },
-            });
-          }
-        }
+        const successCount = waveResults.filter(r => r.success).length;
 
         // Emit wave_complete
         this.eventStream.emitEvent({
@@ -742,10 +856,21 @@ export class PhaseRunner {
           phaseNumber,
           waveNumber: waveNum,
           successCount,
-          failureCount,
+          failureCount: waveResults.length - successCount,
           durationMs: Date.now() - waveStart,
         });
       }
+    } else {
+      // Dependency mode: each plan starts once its depends_on plans succeed.
+      // Waves only break ties between plans that are ready at the same time.
+      const ordered = [...incompletePlans].sort((a, b) => a.wave - b.wave);
+      const dependsOn = await this.loadPlanDependencies(phaseNumber, planIndex.plans, ordered);
+      planResults.push(...await this.schedulePlans(
+        phaseNumber,
+        ordered.map(p => ({ id: p.id, wave: p.wave, dependsOn: dependsOn.get(p.id) ?? [] })),
+        parallel.maxConcurrent,
+        runPlan,
+      ));
     }
 
     const durationMs = Date.now() - stepStart;
@@ -782,40 +907,99 @@ export class PhaseRunner {
     try {
       // Resolve the plan file path from phase directory + planId
       const phaseOp = await this.tools.initPhaseOp(phaseNumber);
-      const planFilename = planId === 'PLAN' ? 'PLAN.md' : `${planId}-PLAN.md`;
-      const planPath = join(this.projectDir, phaseOp.phase_dir, planFilename);
+      const planPath = join(this.projectDir, phaseOp.phase_dir, planFileName(planId));
 
       // Parse the plan file so the executor prompt includes the actual tasks
       const parsedPlan = await parsePlanFile(planPath);
 
       const phaseType = PhaseType.Execute;
-      const contextFiles = await this.contextEngine.resolveContextFiles(phaseType);
+      const contextFiles = await this.contextEngine.resolveContextFiles(phaseType, { phaseNumber });
       const prompt = await this.promptFactory.buildPrompt(phaseType, parsedPlan, contextFiles, phaseOp.phase_dir);
 
-      return await runPhaseStepSession(
+      return await this.runStepSession(
+        phaseNumber,
         prompt,
         PhaseStepType.Execute,
-        this.config,
         sessionOpts,
-        this.eventStream,
         { phase: phaseType, planName: planId },
       );
     } catch (err) {
-      return {
-        success: false,
-        sessionId: '',
-        totalCostUsd: 0,
-        durationMs: 0,
-        usage: { inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0 },
-        numTurns: 0,
-        error: {
-          subtype: 'error_during_execution',
-          messages: [err instanceof Error ? err.message : String(err)],
-        },
-      };
+      return failedPlanResult(err instanceof Error ? err.message : String(err));
     }
   }
 
+  /**
+   * Run plans through the scheduler, emitting plan_queued / plan_started.
+   * Returns results in input order.
+   */
+  private async schedulePlans(
+    phaseNumber: string,
+    plans: SchedulablePlan[],
+    maxConcurrent: number,
+    runPlan: (planId: string) => Promise<PlanResult>,
+  ): Promise<PlanResult[]> {
+    const results = await runPlanSchedule(plans, maxConcurrent, {
+      run: plan => runPlan(plan.id),
+      failure: (_plan, message) => failedPlanResult(message),
+      onQueued: plan => {
+        this.eventStream.emitEvent({
+          type: GSDEventType.PlanQueued,
+          timestamp: new Date().toISOString(),
+          sessionId: '',
+          phaseNumber,
+          planId: plan.id,
+          waveNumber: plan.wave,
+          dependsOn: plan.dependsOn,
+        });
+      },
+      onStarted: (plan, running) => {
+        this.eventStream.emitEvent({
+          type: GSDEventType.PlanStarted,
+          timestamp: new Date().toISOString(),
+          sessionId: '',
+          phaseNumber,
+          planId: plan.id,
+          waveNumber: plan.wave,
+          running,
+        });
+      },
+    });
+    return plans.map(plan => results.get(plan.id)!);
+  }
+
+  /**
+   * Read `depends_on` from each scheduled plan's frontmatter and resolve it to
+   * scheduled plan ids. Unreadable plans get no dependencies; their session
+   * reports the parse failure when it runs.
+   */
+  private async loadPlanDependencies(
+    phaseNumber: string,
+    allPlans: PlanInfo[],
+    scheduled: PlanInfo[],
+  ): Promise<Map<string, string[]>> {
+    const dependsOn = new Map<string, string[]>();
+
+    let phaseDir: string;
+    try {
+      phaseDir = (await this.tools.initPhaseOp(phaseNumber)).phase_dir;
+    } catch (err) {
+      this.logger?.warn(`Could not resolve phase dir for plan dependencies, scheduling without them: ${err instanceof Error ? err.message : String(err)}`);
+      return dependsOn;
+    }
+
+    const allIds = allPlans.map(p => p.id);
+    const scheduledIds = new Set(scheduled.map(p => p.id));
+    for (const plan of scheduled) {
+      try {
+        const parsed = await parsePlanFile(join(this.projectDir, phaseDir, planFileName(plan.id)));
+        dependsOn.set(plan.id, resolvePlanDependencies(parsed.frontmatter.depends_on, allIds, scheduledIds));
+      } catch {
+        dependsOn.set(plan.id, []);
+      }
+    }
+    return dependsOn;
+  }
+
   /**
    * Run the verify step with full gap closure cycle.
    * Verification outcome routing:
@@ -829,35 +1013,35 @@ export class PhaseRunner {
     sessionOpts: SessionOptions,
     callbacks: HumanGateCallbacks,
     options?: PhaseRunnerOptions,
+    resume?: PhaseResumeState,
   ): Promise<PhaseStepResult> {
     const stepStart = Date.now();
 
-    this.eventStream.emitEvent({
-      type: GSDEventType.PhaseStepStart,
-      timestamp: new Date().toISOString(),
-      sessionId: '',
-      phaseNumber,
-      step: PhaseStepType.Verify,
-    });
+    await this.stepStarted(phaseNumber, PhaseStepType.Verify);
 
     const maxGapRetries = options?.maxGapRetries ?? 1;
-    let gapRetryCount = 0;
+    let gapRetryCount = resume?.gapRetryCount ?? 0;
     let lastResult: PlanResult | undefined;
     let outcome: VerificationOutcome = 'passed';
+    let verifyCancelled = false;
     const allPlanResults: PlanResult[] = [];
 
     while (true) {
+      if (sessionOpts.signal?.aborted) {
+        verifyCancelled = true;
+        break;
+      }
+
       try {
         const phaseType = PhaseType.Verify;
-        const contextFiles = await this.contextEngine.resolveContextFiles(phaseType);
+        const contextFiles = await this.contextEngine.resolveContextFiles(phaseType, { phaseNumber });
         const prompt = await this.promptFactory.buildPrompt(phaseType, null, contextFiles);
 
-        lastResult = await runPhaseStepSession(
+        lastResult = await this.runStepSession(
+          phaseNumber,
           prompt,
           PhaseStepType.Verify,
-          this.config,
           sessionOpts,
-          this.eventStream,
           { phase: phaseType },
         );
         allPlanResults.push(lastResult);
@@ -906,6 +1090,7 @@ export class PhaseRunner {
           break; // Treat as passed
         } else if (decision === 'retry' && gapRetryCount < maxGapRetries) {
           gapRetryCount++;
+          await this.record(phaseNumber, { type: 'gap_retry', attempt: gapRetryCount });
           continue;
         } else {
           // reject or exceeded retries
@@ -933,6 +1118,7 @@ export class PhaseRunner {
       if (outcome === 'gaps_found') {
         if (gapRetryCount < maxGapRetries) {
           gapRetryCount++;
+          await this.record(phaseNumber, { type: 'gap_retry', attempt: gapRetryCount });
           this.logger?.info(`Gap closure attempt ${gapRetryCount}/${maxGapRetries} for phase ${phaseNumber}`);
 
           // ── Gap closure cycle: plan → execute → re-verify ──
@@ -977,7 +1163,8 @@ export class PhaseRunner {
     }
 
     const durationMs = Date.now() - stepStart;
-    const verifySuccess = outcome === 'passed';
+    const verifySuccess = !verifyCancelled && outcome === 'passed';
+    const verifyError = verifyCancelled ? 'cancelled' : `verification_${outcome}`;
 
     this.eventStream.emitEvent({
       type: GSDEventType.PhaseStepComplete,
@@ -987,7 +1174,7 @@ export class PhaseRunner {
       step: PhaseStepType.Verify,
       success: verifySuccess,
       durationMs,
-      ...(!verifySuccess && { error: `verification_${outcome}` }),
+      ...(!verifySuccess && { error: verifyError }),
     });
 
     return {
@@ -995,7 +1182,7 @@ export class PhaseRunner {
       success: verifySuccess,
       durationMs,
       planResults: allPlanResults,
-      ...(!verifySuccess && { error: `verification_${outcome}` }),
+      ...(!verifySuccess && { error: verifyError }),
     };
   }
 
@@ -1010,13 +1197,7 @@ export class PhaseRunner {
   ): Promise<PhaseStepResult> {
     const stepStart = Date.now();
 
-    this.eventStream.emitEvent({
-      type: GSDEventType.PhaseStepStart,
-      timestamp: new Date().toISOString(),
-      sessionId: '',
-      phaseNumber,
-      step: PhaseStepType.Advance,
-    });
+    await this.stepStarted(phaseNumber, PhaseStepType.Advance);
 
     // Check if auto_advance or callback approves
     let shouldAdvance = this.config.workflow.auto_advance;
@@ -1029,6 +1210,7 @@ export class PhaseRunner {
           error: undefined,
         });
         shouldAdvance = decision !== 'stop';
+        await this.recordDecision(phaseNumber, 'advance', PhaseStepType.Advance, decision, false);
       } catch (err) {
         this.logger?.warn(`Advance callback threw, auto-approving: ${err instanceof Error ? err.message : String(err)}`);
         shouldAdvance = true; // Auto-approve on callback error
@@ -1102,6 +1284,50 @@ export class PhaseRunner {
     };
   }
 
+  // ─── Branching ─────────────────────────────────────────────────────────
+
+  /**
+   * Switch to the phase or milestone branch when `git.branching_strategy`
+   * asks for one. A refusal (uncommitted changes, git failure) goes to the
+   * blocker callback: `retry` tries again, `skip` runs the phase on the
+   * current branch, anything else — including no callback — halts, so work
+   * never lands on the base branch by default. Returns false to stop.
+   *
+   * The branch is left checked out after the phase: merging it back is the
+   * job of `/gsd-ship` (pull request) or complete-milestone (squash or merge).
+   */
+  private async startBranch(phaseNumber: string, callbacks: HumanGateCallbacks): Promise<boolean> {
+    const strategy = this.config.git.branching_strategy;
+    if (strategy !== 'phase' && strategy !== 'milestone') return true;
+
+    for (let attempt = 0; ; attempt++) {
+      const result = await this.branchStart(strategy, phaseNumber);
+      const problem = result.reason ?? result.error;
+      if (!problem) {
+        this.logger?.info(`Phase ${phaseNumber} on branch ${result.branch}${result.created ? ' (created)' : ''}`);
+        return true;
+      }
+      this.logger?.warn(`Could not switch to ${strategy} branch for phase ${phaseNumber}: ${problem}`);
+      if (attempt === MAX_BRANCH_RETRIES) return false;
+
+      const decision = await this.invokeBlockerCallback(
+        callbacks, phaseNumber, PhaseStepType.Discuss, `Branch ${result.branch || strategy}: ${problem}`, 'stop',
+      );
+      if (decision === 'skip') return true;
+      if (decision === 'stop') return false;
+    }
+  }
+
+  private async branchStart(strategy: 'phase' | 'milestone', phaseNumber: string): Promise<GitBranchResult> {
+    try {
+      return strategy === 'phase'
+        ? await this.tools.gitPhaseBranch('start', phaseNumber)
+        : await this.tools.gitMilestoneBranch('start');
+    } catch (err) {
+      return { action: 'start', branch: '', branching_strategy: strategy, reason: err instanceof Error ? err.message : String(err) };
+    }
+  }
+
   // ─── Helpers ───────────────────────────────────────────────────────────
 
   /**
@@ -1173,29 +1399,65 @@ export class PhaseRunner {
   }
 
   /**
-   * Invoke the onBlockerDecision callback, falling back to auto-approve.
+   * Invoke the onBlockerDecision callback. Without one, or when it throws or
+   * answers nonsense, `fallback` is used — `skip` (auto-approve) unless the
+   * gate is one that must not be waved through.
    */
   private async invokeBlockerCallback(
     callbacks: HumanGateCallbacks,
     phaseNumber: string,
     step: PhaseStepType,
     error?: string,
+    fallback: 'skip' | 'stop' = 'skip',
   ): Promise<'retry' | 'skip' | 'stop'> {
     if (!callbacks.onBlockerDecision) {
-      return 'skip'; // Auto-approve: skip the blocker
+      await this.recordDecision(phaseNumber, 'blocker', step, fallback, true);
+      return fallback; // Auto-decide: skip the blocker unless this gate defaults to stopping
     }
 
     try {
-      const decision = await callbacks.onBlockerDecision({ phaseNumber, step, error });
+      const decision = await callbacks.onBlockerDecision({
+        phaseNumber,
+        step,
+        error,
+        ...(fallback !== 'skip' && { defaultDecision: fallback }),
+      });
       // Validate return value
       if (decision === 'retry' || decision === 'skip' || decision === 'stop') {
+        await this.recordDecision(phaseNumber, 'blocker', step, decision, false);
         return decision;
       }
-      this.logger?.warn(`Unexpected blocker callback return value: ${String(decision)}, falling back to skip`);
-      return 'skip';
+      this.logger?.warn(`Unexpected blocker callback return value: ${String(decision)}, falling back to ${fallback}`);
+      return fallback;
     } catch (err) {
-      this.logger?.warn(`Blocker callback threw, auto-approving: ${err instanceof Error ? err.message : String(err)}`);
-      return 'skip'; // Auto-approve on error
+      this.logger?.warn(`Blocker callback threw, falling back to ${fallback}: ${err instanceof Error ? err.message : String(err)}`);
+      return fallback;
+    }
+  }
+
+  /**
+   * Invoke the onPlanApproval callback. Without one, plans are approved and
+   * nothing is journaled. A throwing callback approves, like the other gates.
+   */
+  private async invokePlanApprovalCallback(
+    callbacks: HumanGateCallbacks,
+    phaseNumber: string,
+    phaseName: string,
+    planCount: number,
+  ): Promise<'approve' | 'reject'> {
+    if (!callbacks.onPlanApproval) return 'approve';
+
+    try {
+      const decision = await callbacks.onPlanApproval({ phaseNumber, phaseName, planCount });
+      if (decision === 'approve' || decision === 'reject') {
+        await this.recordDecision(phaseNumber, 'plan', PhaseStepType.Execute, decision, false);
+        return decision;
+      }
+      this.logger?.warn(`Unexpected plan approval callback return value: ${String(decision)}, falling back to approve`);
+      return 'approve';
+    } catch (err) {
+      this.logger?.warn(`Plan approval callback threw, approving: ${err instanceof Error ? err.message : String(err)}`);
+      return 'approve';
     }
   }
 
@@ -1208,12 +1470,14 @@ export class PhaseRunner {
     stepResult: PhaseStepResult,
   ): Promise<'accept' | 'reject' | 'retry'> {
     if (!callbacks.onVerificationReview) {
+      await this.recordDecision(phaseNumber, 'verification', PhaseStepType.Verify, 'accept', true);
       return 'accept'; // Auto-approve
     }
 
     try {
       const decision = await callbacks.onVerificationReview({ phaseNumber, stepResult });
       if (decision === 'accept' || decision === 'reject' || decision === 'retry') {
+        await this.recordDecision(phaseNumber, 'verification', PhaseStepType.Verify, decision, false);
         return decision;
       }
       this.logger?.warn(`Unexpected verification callback return value: ${String(decision)}, falling back to accept`);
@@ -1223,4 +1487,189 @@ export class PhaseRunner {
       return 'accept'; // Auto-approve on error
     }
   }
+
+  // ─── Cost ledger & budget ─────────────────────────────────────────────
+
+  /**
+   * Run one step session and ledger its cost. A plan session is tagged with
+   * its plan id through `streamContext.planName`.
+   */
+  private async runStepSession(
+    phaseNumber: string,
+    prompt: string,
+    step: PhaseStepType,
+    sessionOpts: SessionOptions,
+    streamContext: EventStreamContext,
+  ): Promise<PlanResult> {
+    const result = await runPhaseStepSession(prompt, step, this.config, sessionOpts, this.eventStream, streamContext);
+    await this.recordSessionCost(phaseNumber, step, result, streamContext.planName);
+    return result;
+  }
+
+  /**
+   * Count a session against the budget and append it to the ledger. Sessions
+   * that never started (no session id) are not recorded; ledger failures are
+   * logged, never fatal.
+   */
+  private async recordSessionCost(phaseNumber: string, step: PhaseStepType, result: PlanResult, planId?: string): Promise<void> {
+    if (this.budget) {
+      this.budget.phaseSpentUsd += result.totalCostUsd;
+      this.budget.milestoneSpentUsd += result.totalCostUsd;
+    }
+    if (!this.costLedger || !result.sessionId) return;
+
+    try {
+      await this.costLedger.append(ledgerEntryFor(result, { milestone: this.milestone, phaseNumber, step, planId }));
+    } catch (err) {
+      this.logger?.warn(`Failed to write cost ledger: ${err instanceof Error ? err.message : String(err)}`);
+    }
+  }
+
+  /**
+   * Load prior spend for the phase and milestone from the ledger. Returns
+   * undefined when no cap is configured, so runs without a budget skip the read.
+   */
+  private async openBudget(phaseNumber: string): Promise<BudgetState | undefined> {
+    const caps = resolveBudget(this.config.budget);
+    if (caps.perPhaseUsd === undefined && caps.perMilestoneUsd === undefined) return undefined;
+
+    const entries = (await this.costLedger?.read()) ?? [];
+    return {
+      caps,
+      phaseSpentUsd: spentUsd(entries, { milestone: this.milestone, phaseNumber }),
+      milestoneSpentUsd: spentUsd(entries, { milestone: this.milestone }),
+      lifted: new Set(),
+    };
+  }
+
+  /**
+   * Check the budget caps before `step` starts. Returns false when the
+   * onBudgetExceeded callback stops the run; throws a `Blocked` GSDError when
+   * a cap is reached and no callback is registered.
+   */
+  private async checkBudget(phaseNumber: string, step: PhaseStepType, callbacks: HumanGateCallbacks): Promise<boolean> {
+    const budget = this.budget;
+    if (!budget) return true;
+
+    const scopes: Array<{ scope: BudgetScope; capUsd?: number; spentUsd: number }> = [
+      { scope: 'phase', capUsd: budget.caps.perPhaseUsd, spentUsd: budget.phaseSpentUsd },
+      { scope: 'milestone', capUsd: budget.caps.perMilestoneUsd, spentUsd: budget.milestoneSpentUsd },
+    ];
+
+    for (const { scope, capUsd, spentUsd: spent } of scopes) {
+      if (capUsd === undefined || spent < capUsd || budget.lifted.has(scope)) continue;
+
+      const exceeded = {
+        phaseNumber,
+        step,
+        scope,
+        capUsd,
+        spentUsd: spent,
+        ...(this.milestone !== undefined && { milestone: this.milestone }),
+      };
+      this.eventStream.emitEvent({
+        type: GSDEventType.BudgetExceeded,
+        timestamp: new Date().toISOString(),
+        sessionId: '',
+        ...exceeded,
+      });
+
+      if (!callbacks.onBudgetExceeded) {
+        throw new GSDError(
+          `Phase ${phaseNumber}: ${scope} budget of $${capUsd.toFixed(2)} reached ($${spent.toFixed(2)} spent) before ${step}`,
+          ErrorClassification.Blocked,
+        );
+      }
+
+      let decision: 'continue' | 'stop';
+      try {
+        decision = (await callbacks.onBudgetExceeded(exceeded)) === 'continue' ? 'continue' : 'stop';
+      } catch (err) {
+        this.logger?.warn(`Budget callback threw, stopping: ${err instanceof Error ? err.message : String(err)}`);
+        decision = 'stop';
+      }
+      await this.recordDecision(phaseNumber, 'budget', step, decision, false);
+      if (decision === 'stop') return false;
+      budget.lifted.add(scope);
+    }
+
+    return true;
+  }
+
+  // ─── Checkpoint journal ───────────────────────────────────────────────
+
+  /**
+   * Load resume state for the phase, or reset the journal for a fresh run.
+   * Returns undefined when there is no journal, resume was not requested,
+   * or the previous run completed.
+   */
+  private async openCheckpoint(phaseNumber: string, resume: boolean): Promise<PhaseResumeState | undefined> {
+    if (!this.checkpoints) return undefined;
+
+    let state: PhaseResumeState | undefined;
+    try {
+      if (resume) {
+        state = buildResumeState(await this.checkpoints.read(phaseNumber));
+      }
+      if (state) {
+        this.logger?.info(
+          `Resuming phase ${phaseNumber}: ${state.completedStages.size} stage(s) and ${state.completedPlans.size} plan(s) already checkpointed`,
+        );
+      } else {
+        await this.checkpoints.reset(phaseNumber);
+      }
+    } catch (err) {
+      this.logger?.warn(`Checkpoint journal unavailable, running without resume: ${err instanceof Error ? err.message : String(err)}`);
+      state = undefined;
+    }
+
+    await this.record(phaseNumber, { type: 'run_start', phaseNumber, resumed: state !== undefined });
+    return state;
+  }
+
+  /**
+   * Append a journal entry. Journal failures are logged, never fatal —
+   * losing resumability must not fail the phase itself.
+   */
+  private async record(phaseNumber: string, entry: CheckpointEntryInput): Promise<void> {
+    if (!this.checkpoints) return;
+    try {
+      await this.checkpoints.append(phaseNumber, entry);
+    } catch (err) {
+      this.logger?.warn(`Failed to write checkpoint journal: ${err instanceof Error ? err.message : String(err)}`);
+    }
+  }
+
+  /** Mark a lifecycle stage durable — resume skips it from here on. */
+  private async recordCheckpoint(phaseNumber: string, stage: PhaseStepType): Promise<void> {
+    await this.record(phaseNumber, { type: 'checkpoint', stage });
+  }
+
+  private async recordDecision(
+    phaseNumber: string,
+    gate: CheckpointGate,
+    step: PhaseStepType,
+    decision: string,
+    auto: boolean,
+  ): Promise<void> {
+    await this.record(phaseNumber, { type: 'decision', gate, step, decision, auto });
+  }
+
+  /** Collect a step result and journal it. */
+  private async pushStep(phaseNumber: string, steps: PhaseStepResult[], result: PhaseStepResult): Promise<void> {
+    steps.push(result);
+    await this.record(phaseNumber, { type: 'step_complete', step: result.step, result });
+  }
+
+  /** Emit phase_step_start and journal it. */
+  private async stepStarted(phaseNumber: string, step: PhaseStepType): Promise<void> {
+    this.eventStream.emitEvent({
+      type: GSDEventType.PhaseStepStart,
+      timestamp: new Date().toISOString(),
+      sessionId: '',
+      phaseNumber,
+      step,
+    });
+    await this.record(phaseNumber, { type: 'step_start', step });
+  }
 }
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { runPlanSchedule, resolvePlanDependencies, type SchedulablePlan, type PlanScheduleHooks } from './plan-scheduler.js';
+
+interface Outcome {
+  ok: boolean;
+  message?: string;
+}
+
+function plan(id: string, dependsOn: string[] = [], wave = 1): SchedulablePlan {
+  return { id, wave, dependsOn };
+}
+
+function hooks(overrides: Partial<PlanScheduleHooks<Outcome>> = {}): PlanScheduleHooks<Outcome> {
+  return {
+    run: async () => ({ ok: true }),
+    failure: (_plan, message) => ({ ok: false, message }),
+    ...overrides,
+  };
+}
+
+const tick = (ms: number) => new Promise(r => setTimeout(r, ms));
+
+// ─── resolvePlanDependencies ─────────────────────────────────────────────────
+
+describe('resolvePlanDependencies', () => {
+  const allIds = ['03-01', '03-02', '03-03'];
+
+  it('accepts full ids and plan numbers', () => {
+    const scheduled = new Set(allIds);
+    expect(resolvePlanDependencies(['03-01', '02'], allIds, scheduled)).toEqual(['03-01', '03-02']);
+  });
+
+  it('drops plans outside the schedule and unknown references', () => {
+    const scheduled = new Set(['03-02', '03-03']);
+    expect(resolvePlanDependencies(['01', '99', 'nope'], allIds, scheduled)).toEqual([]);
+  });
+});
+
+// ─── runPlanSchedule ─────────────────────────────────────────────────────────
+
+describe('runPlanSchedule', () => {
+  it('runs every plan and keys results by id', async () => {
+    const results = await runPlanSchedule([plan('a'), plan('b')], 2, hooks());
+    expect([...results.keys()].sort()).toEqual(['a', 'b']);
+  });
+
+  it('never exceeds the concurrency limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    await runPlanSchedule(
+      ['a', 'b', 'c', 'd'].map(id => plan(id)),
+      2,
+      hooks({
+        run: async () => {
+          inFlight++;
+          peak = Math.max(peak, inFlight);
+          await tick(5);
+          inFlight--;
+          return { ok: true };
+        },
+      }),
+    );
+    expect(peak).toBe(2);
+  });
+
+  it('starts dependents only after their dependencies finish', async () => {
+    const order: string[] = [];
+    await runPlanSchedule(
+      [plan('b', ['a']), plan('a')],
+      4,
+      hooks({
+        run: async p => {
+          order.push(`start:${p.id}`);
+          await tick(2);
+          order.push(`end:${p.id}`);
+          return { ok: true };
+        },
+      }),
+    );
+    expect(order).toEqual(['start:a', 'end:a', 'start:b', 'end:b']);
+  });
+
+  it('still runs dependents after a dependency fails, like wave mode', async () => {
+    const ran: string[] = [];
+    const results = await runPlanSchedule(
+      [plan('a'), plan('b', ['a']), plan('c', ['b']), plan('d')],
+      1,
+      hooks({
+        run: async p => {
+          ran.push(p.id);
+          return { ok: p.id !== 'a' };
+        },
+      }),
+    );
+    expect(ran).toEqual(['a', 'b', 'c', 'd']);
+    expect(results.get('a')!.ok).toBe(false);
+    expect(results.get('c')!.ok).toBe(true);
+  });
+
+  it('converts a thrown run into a failure result', async () => {
+    const results = await runPlanSchedule(
+      [plan('a')],
+      1,
+      hooks({ run: async () => { throw new Error('kaboom'); } }),
+    );
+    expect(results.get('a')).toEqual({ ok: false, message: 'kaboom' });
+  });
+
+  it('fails plans on a dependency cycle instead of hanging', async () => {
+    const results = await runPlanSchedule([plan('a', ['b']), plan('b', ['a']), plan('c')], 2, hooks());
+    expect(results.get('c')!.ok).toBe(true);
+    expect(results.get('a')!.message).toContain('cycle');
+    expect(results.get('b')!.message).toContain('cycle');
+  });
+
+  it('reports queued and started plans', async () => {
+    const queued: string[] = [];
+    const started: Array<[string, number]> = [];
+    await runPlanSchedule(
+      [plan('a'), plan('b')],
+      2,
+      hooks({
+        onQueued: p => queued.push(p.id),
+        onStarted: (p, running) => started.push([p.id, running]),
+      }),
+    );
+    expect(queued).toEqual(['a', 'b']);
+    expect(started).toEqual([['a', 1], ['b', 2]]);
+  });
+});
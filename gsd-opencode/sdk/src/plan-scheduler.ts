@@ -0,0 +1,117 @@
+/**
+ * Plan scheduler — bounded-concurrency, dependency-aware execution of a
+ * phase's plans.
+ *
+ * A plan starts as soon as every plan it `depends_on` has finished —
+ * succeeded or failed, the same way wave mode moves on to the next wave —
+ * and a concurrency slot is free. Plans that sit on a dependency cycle never
+ * start; they settle with the failure result produced by the caller.
+ *
+ * @example
+ * ```typescript
+ * const results = await runPlanSchedule(plans, 3, {
+ *   run: plan => executePlan(plan.id),
+ *   failure: (plan, message) => failedResult(message),
+ * });
+ * ```
+ */
+
+// ─── Types ───────────────────────────────────────────────────────────────────
+
+export interface SchedulablePlan {
+  id: string;
+  wave: number;
+  /** Ids of plans in the same schedule that must finish first. */
+  dependsOn: string[];
+}
+
+export interface PlanScheduleHooks<T> {
+  /** Execute one plan. A rejection is converted through `failure()`. */
+  run(plan: SchedulablePlan): Promise<T>;
+  /** Result recorded for a plan that threw or can never start. */
+  failure(plan: SchedulablePlan, message: string): T;
+  /** Called once per plan before anything starts, with the dependencies it waits on. */
+  onQueued?(plan: SchedulablePlan): void;
+  /** Called as a plan acquires a slot; `running` includes this plan. */
+  onStarted?(plan: SchedulablePlan, running: number): void;
+}
+
+// ─── Dependency resolution ───────────────────────────────────────────────────
+
+/**
+ * Map raw `depends_on` references onto plan ids.
+ *
+ * Plans reference each other either by full id (`"03-01"`) or by plan number
+ * within the phase (`"01"`). References to plans outside `scheduledIds` —
+ * already completed, or unknown — are dropped: there is nothing to wait for.
+ */
+export function resolvePlanDependencies(
+  rawDependsOn: string[],
+  allIds: string[],
+  scheduledIds: ReadonlySet<string>,
+): string[] {
+  const resolved = new Set<string>();
+  for (const ref of rawDependsOn) {
+    const id = allIds.includes(ref) ? ref : allIds.find(candidate => candidate.endsWith(`-${ref}`));
+    if (id && scheduledIds.has(id)) resolved.add(id);
+  }
+  return [...resolved];
+}
+
+// ─── Scheduler ───────────────────────────────────────────────────────────────
+
+/**
+ * Run plans with at most `maxConcurrent` in flight, honoring `dependsOn`.
+ * Ready plans start in input order. Resolves with a result for every plan,
+ * keyed by plan id.
+ */
+export async function runPlanSchedule<T>(
+  plans: SchedulablePlan[],
+  maxConcurrent: number,
+  hooks: PlanScheduleHooks<T>,
+): Promise<Map<string, T>> {
+  const limit = Math.max(1, Math.floor(maxConcurrent));
+  const results = new Map<string, T>();
+  const running = new Map<string, Promise<string>>();
+  let pending = [...plans];
+
+  for (const plan of plans) hooks.onQueued?.(plan);
+
+  const start = (plan: SchedulablePlan): void => {
+    const task = (async () => {
+      let result: T;
+      try {
+        result = await hooks.run(plan);
+      } catch (err) {
+        result = hooks.failure(plan, err instanceof Error ? err.message : String(err));
+      }
+      results.set(plan.id, result);
+      running.delete(plan.id);
+      return plan.id;
+    })();
+    running.set(plan.id, task);
+    hooks.onStarted?.(plan, running.size);
+  };
+
+  while (pending.length > 0 || running.size > 0) {
+    for (const plan of [...pending]) {
+      if (running.size >= limit) break;
+      if (plan.dependsOn.every(dep => results.has(dep))) {
+        pending = pending.filter(p => p !== plan);
+        start(plan);
+      }
+    }
+
+    if (running.size === 0) {
+      // Nothing running and nothing ready: the remaining plans wait on each other
+      for (const plan of pending) {
+        results.set(plan.id, hooks.failure(plan, `Skipped: dependency cycle among ${pending.map(p => p.id).join(', ')}`));
+      }
+      break;
+    }
+
+    await Promise.race(running.values());
+  }
+
+  return results;
+}
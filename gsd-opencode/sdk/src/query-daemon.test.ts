@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { QueryDaemon, dispatchViaDaemon, queryDaemonStatus, daemonSocketPath, daemonEnvFingerprint } from './query-daemon.js';
+import { QueryRegistry } from './query/registry.js';
+import { GSDError, ErrorClassification } from './errors.js';
+
+describe('QueryDaemon', () => {
+  let tmpDir: string;
+  let socketPath: string;
+  let daemon: QueryDaemon;
+  let analyze: ReturnType<typeof vi.fn>;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'gsd-daemon-'));
+    socketPath = join(tmpDir, 'd.sock');
+    await mkdir(join(tmpDir, '.planning'));
+    await writeFile(join(tmpDir, '.planning', 'ROADMAP.md'), '# Roadmap\n');
+
+    let calls = 0;
+    analyze = vi.fn(async () => ({ data: { calls: ++calls } }));
+    const registry = new QueryRegistry();
+    registry.register('roadmap.analyze', analyze);
+    registry.register('state.update', async () => ({ data: { updated: true } }));
+    registry.register('find-phase', async () => {
+      throw new GSDError('phase identifier required', ErrorClassification.Validation);
+    });
+
+    daemon = new QueryDaemon({ projectDir: tmpDir, registry, socketPath });
+    await daemon.start();
+  });
+
+  afterEach(async () => {
+    await daemon.close();
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const query = (command: string, args: string[] = []) => dispatchViaDaemon(tmpDir, command, args, undefined, { socketPath });
+
+  it('answers queries over the socket and caches .planning/ reads', async () => {
+    expect(await query('roadmap.analyze')).toEqual({ data: { calls: 1 } });
+    expect(await query('roadmap.analyze')).toEqual({ data: { calls: 1 } });
+
+    expect(analyze).toHaveBeenCalledTimes(1);
+    expect(await queryDaemonStatus(tmpDir, { socketPath })).toMatchObject({ caching: true, cacheHits: 1, cacheMisses: 1, requests: 2 });
+  });
+
+  it('drops the cache after a mutation command', async () => {
+    await query('roadmap.analyze');
+    await query('state.update', ['Status', 'x']);
+
+    expect(await query('roadmap.analyze')).toEqual({ data: { calls: 2 } });
+  });
+
+  it('drops the cache when a .planning/ file changes', async () => {
+    await query('roadmap.analyze');
+    await writeFile(join(tmpDir, '.planning', 'ROADMAP.md'), '# Roadmap\n\n## Phase 1\n');
+    await vi.waitFor(() => expect(daemon.status().cacheEntries).toBe(0));
+
+    expect(await query('roadmap.analyze')).toEqual({ data: { calls: 2 } });
+  });
+
+  it('rethrows handler errors with their classification', async () => {
+    const error = await query('find-phase').catch(err => err);
+
+    expect(error).toBeInstanceOf(GSDError);
+    expect(error).toMatchObject({ message: 'phase identifier required', classification: ErrorClassification.Validation });
+  });
+
+  it('returns null for commands the daemon does not have, or when none is running', async () => {
+    expect(await query('phase.add', ['x'])).toBeNull();
+    expect(await dispatchViaDaemon(tmpDir, 'roadmap.analyze', [], undefined, { socketPath: join(tmpDir, 'none.sock') })).toBeNull();
+  });
+
+  it('resolves raw query argv against its own registry', async () => {
+    expect(await query('roadmap', ['analyze'])).toEqual({ data: { calls: 1 } });
+    expect(await query('roadmap.analyze')).toEqual({ data: { calls: 1 } });
+  });
+
+  it('declines clients whose handler environment differs', async () => {
+    vi.stubEnv('GSD_WORKSTREAM', 'other');
+    try {
+      expect(await query('roadmap.analyze')).toBeNull();
+      expect(analyze).not.toHaveBeenCalled();
+    } finally {
+      vi.unstubAllEnvs();
+    }
+    expect(await query('roadmap.analyze')).toEqual({ data: { calls: 1 } });
+  });
+
+  it('refuses to start a second daemon on the same socket', async () => {
+    const second = new QueryDaemon({ projectDir: tmpDir, registry: new QueryRegistry(), socketPath });
+
+    await expect(second.start()).rejects.toThrow(/already running/);
+  });
+});
+
+describe('daemonEnvFingerprint', () => {
+  it('covers the variables handlers read and nothing else', () => {
+    const base = { PATH: '/bin', GSD_LOCK_TIMEOUT_MS: '5000' };
+    const same = daemonEnvFingerprint(base);
+
+    expect(daemonEnvFingerprint({ ...base, PATH: '/usr/bin', GSD_QUERY_DAEMON: 'on' })).toBe(same);
+    expect(daemonEnvFingerprint({ ...base, GSD_LOCK_TIMEOUT_MS: '100' })).not.toBe(same);
+    expect(daemonEnvFingerprint({ ...base, CLAUDE_CONFIG_DIR: '/x' })).not.toBe(same);
+    expect(daemonEnvFingerprint({ ...base, BRAVE_API_KEY: 'k' })).not.toBe(same);
+  });
+});
+
+describe('daemonSocketPath', () => {
+  it('is stable per project and distinct across projects', () => {
+    expect(daemonSocketPath('/a/project')).toBe(daemonSocketPath('/a/project/'));
+    expect(daemonSocketPath('/a/project')).not.toBe(daemonSocketPath('/b/project'));
+  });
+});
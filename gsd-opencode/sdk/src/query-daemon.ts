@@ -0,0 +1,398 @@
+/**
+ * Query daemon — a long-running `gsd-sdk serve` process that answers
+ * `gsd-sdk query` calls over a Unix socket (a named pipe on Windows).
+ *
+ * Workflows make dozens of query calls per phase and each one pays Node
+ * startup plus a fresh parse of ROADMAP.md, STATE.md, phase directories,
+ * frontmatter and config.json. The daemon keeps one registry warm and caches
+ * the results of read commands that only look at `.planning/`
+ * ({@link DAEMON_CACHEABLE_COMMANDS}). The cache is dropped whenever a file
+ * under `.planning/` changes (recursive `fs.watch`) and after every mutation
+ * command it dispatches. If the watcher cannot start or fails, the daemon
+ * keeps serving without a cache.
+ *
+ * Protocol: newline-delimited JSON. Requests are
+ * `{ id, method: 'dispatch', command, args, workstream?, env? }` or
+ * `{ id, method: 'status' }`; the daemon matches `[command, ...args]`
+ * against its registry the way `gsd-sdk query` does (longest prefix), so a
+ * client can send raw argv. Responses carry `data`, `error`
+ * (`{ message, classification }`) or `unavailable: true` when the daemon has
+ * no handler for the command (e.g. it runs an older SDK) or `env` — the
+ * client's {@link daemonEnvFingerprint} — differs from its own, so handlers
+ * would see another workstream, lock timeout or config directory.
+ *
+ * The `gsd-sdk query` client uses {@link dispatchViaDaemon}, which returns
+ * null — fall back to in-process dispatch — when no daemon is listening or
+ * it declines the request.
+ *
+ * @example
+ * ```typescript
+ * const daemon = new QueryDaemon({ projectDir, registry: createRegistry() });
+ * await daemon.start();
+ * // elsewhere:
+ * const result = await dispatchViaDaemon(projectDir, 'roadmap.analyze', []);
+ * ```
+ */
+
+import { createServer, createConnection } from 'node:net';
+import type { Server, Socket } from 'node:net';
+import { watch } from 'node:fs';
+import type { FSWatcher } from 'node:fs';
+import { existsSync } from 'node:fs';
+import { chmod, unlink } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { createInterface } from 'node:readline';
+import { join, resolve, relative, isAbsolute } from 'node:path';
+import { tmpdir } from 'node:os';
+import type { QueryRegistry } from './query/registry.js';
+import type { QueryResult } from './query/utils.js';
+import { resolveQueryArgv } from './query/registry.js';
+import { QUERY_MUTATION_COMMANDS } from './query/index.js';
+import { GSDError, ErrorClassification } from './errors.js';
+
+// ─── Protocol ────────────────────────────────────────────────────────────────
+
+type DaemonRequestBody =
+  | { method: 'dispatch'; command: string; args: string[]; workstream?: string; env?: string }
+  | { method: 'status' };
+
+export type DaemonRequest = DaemonRequestBody & { id: number };
+
+export interface DaemonResponse {
+  id: number;
+  data?: unknown;
+  error?: { message: string; classification: ErrorClassification };
+  /** The daemon has no handler for the command or runs with another environment; the client should run it in-process. */
+  unavailable?: true;
+}
+
+export interface DaemonStatus {
+  pid: number;
+  projectDir: string;
+  socketPath: string;
+  uptimeMs: number;
+  requests: number;
+  /** False when the `.planning/` watcher is not running; results are then never cached. */
+  caching: boolean;
+  cacheEntries: number;
+  cacheHits: number;
+  cacheMisses: number;
+}
+
+/**
+ * Read commands whose result depends only on files under `.planning/`.
+ * `frontmatter.get` is cached only for files inside `.planning/`.
+ */
+export const DAEMON_CACHEABLE_COMMANDS = new Set<string>([
+  'roadmap.analyze', 'roadmap.get-phase', 'roadmap.graph',
+  'state.json', 'state.get', 'state-snapshot',
+  'find-phase', 'phase-plan-index', 'phase.list-plans', 'phase.list-artifacts',
+  'progress', 'progress.json',
+  'frontmatter.get',
+  'config-get', 'config-path',
+]);
+
+/** Variables handlers read besides `GSD_*`: home and runtime config directories, search providers. */
+const HANDLER_ENV = /^(HOME|XDG_CONFIG_HOME|CODEX_HOME|SEARXNG_URL|[A-Z]+_CONFIG(_DIR)?|[A-Z]+_API_KEY)$/;
+
+/** `GSD_*` variables only the CLI itself reads. */
+const CLIENT_ONLY_ENV = new Set(['GSD_QUERY_DAEMON', 'GSD_QUERY_FALLBACK', 'GSD_HTTP_TOKEN', 'GSD_WS_TOKEN']);
+
+/**
+ * Hash of the environment query handlers read (`GSD_WORKSTREAM`,
+ * `GSD_LOCK_TIMEOUT_MS`, runtime config directories, API keys…). The client
+ * sends it instead of the values, so secrets never cross the socket; the
+ * daemon declines requests whose hash differs from its own.
+ */
+export function daemonEnvFingerprint(env: NodeJS.ProcessEnv = process.env): string {
+  const relevant = Object.keys(env)
+    .filter(key => (key.startsWith('GSD_') && !CLIENT_ONLY_ENV.has(key)) || HANDLER_ENV.test(key))
+    .sort()
+    .map(key => [key, env[key] ?? '']);
+  return createHash('sha256').update(JSON.stringify(relevant)).digest('hex');
+}
+
+/** Socket path for a project: one daemon per resolved project directory. */
+export function daemonSocketPath(projectDir: string): string {
+  const hash = createHash('sha256').update(resolve(projectDir)).digest('hex').slice(0, 16);
+  return process.platform === 'win32'
+    ? `\\\\.\\pipe\\gsd-sdk-${hash}`
+    : join(tmpdir(), `gsd-sdk-${hash}.sock`);
+}
+
+// ─── Daemon ──────────────────────────────────────────────────────────────────
+
+export interface QueryDaemonOptions {
+  projectDir: string;
+  registry: QueryRegistry;
+  /** Default: {@link daemonSocketPath} of `projectDir`. */
+  socketPath?: string;
+}
+
+export class QueryDaemon {
+  readonly projectDir: string;
+  readonly socketPath: string;
+  private readonly registry: QueryRegistry;
+  private readonly envFingerprint = daemonEnvFingerprint();
+  private readonly cache = new Map<string, QueryResult>();
+  private readonly sockets = new Set<Socket>();
+  private server?: Server;
+  private watcher?: FSWatcher;
+  /** Bumped on every invalidation so a read that raced a write is not cached. */
+  private generation = 0;
+  private startedAt = Date.now();
+  private requests = 0;
+  private cacheHits = 0;
+  private cacheMisses = 0;
+
+  constructor(options: QueryDaemonOptions) {
+    this.projectDir = resolve(options.projectDir);
+    this.socketPath = options.socketPath ?? daemonSocketPath(this.projectDir);
+    this.registry = options.registry;
+  }
+
+  /**
+   * Start listening and watching `.planning/`.
+   *
+   * @throws GSDError (Validation) if a daemon is already serving this socket
+   */
+  async start(): Promise<void> {
+    if (await isListening(this.socketPath)) {
+      throw new GSDError(`A query daemon is already running on ${this.socketPath}`, ErrorClassification.Validation);
+    }
+    // A socket file nobody listens on is left over from a crashed daemon
+    if (process.platform !== 'win32') await unlink(this.socketPath).catch(() => undefined);
+
+    this.startWatcher();
+    this.startedAt = Date.now();
+    this.server = createServer(socket => this.accept(socket));
+    await new Promise<void>((resolveListen, rejectListen) => {
+      this.server!.once('error', rejectListen);
+      this.server!.listen(this.socketPath, () => {
+        this.server!.off('error', rejectListen);
+        resolveListen();
+      });
+    });
+    if (process.platform !== 'win32') await chmod(this.socketPath, 0o600).catch(() => undefined);
+  }
+
+  /** Stop listening, drop open connections and remove the socket file. */
+  async close(): Promise<void> {
+    this.watcher?.close();
+    this.watcher = undefined;
+    for (const socket of this.sockets) socket.destroy();
+    if (this.server) {
+      await new Promise<void>(r => this.server!.close(() => r()));
+      this.server = undefined;
+    }
+    if (process.platform !== 'win32') await unlink(this.socketPath).catch(() => undefined);
+  }
+
+  status(): DaemonStatus {
+    return {
+      pid: process.pid,
+      projectDir: this.projectDir,
+      socketPath: this.socketPath,
+      uptimeMs: Date.now() - this.startedAt,
+      requests: this.requests,
+      caching: this.watcher !== undefined,
+      cacheEntries: this.cache.size,
+      cacheHits: this.cacheHits,
+      cacheMisses: this.cacheMisses,
+    };
+  }
+
+  /** Dispatch through the cache. */
+  async dispatch(command: string, args: string[], workstream?: string): Promise<QueryResult> {
+    this.requests++;
+    const key = this.cacheKey(command, args, workstream);
+    if (key) {
+      const cached = this.cache.get(key);
+      if (cached) {
+        this.cacheHits++;
+        return cached;
+      }
+      this.cacheMisses++;
+    }
+
+    const generation = this.generation;
+    try {
+      const result = await this.registry.dispatch(command, args, this.projectDir, workstream);
+      if (key && generation === this.generation) this.cache.set(key, result);
+      return result;
+    } finally {
+      if (QUERY_MUTATION_COMMANDS.has(command)) this.invalidate();
+    }
+  }
+
+  /** Drop every cached result. */
+  invalidate(): void {
+    this.generation++;
+    this.cache.clear();
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────────
+
+  private cacheKey(command: string, args: string[], workstream?: string): string | null {
+    if (!this.watcher) return null;
+    const dotted = command.replace(/ /g, '.');
+    if (!DAEMON_CACHEABLE_COMMANDS.has(dotted)) return null;
+    if (dotted === 'frontmatter.get') {
+      const file = resolve(this.projectDir, args[0] ?? '');
+      const fromPlanning = relative(join(this.projectDir, '.planning'), file);
+      if (fromPlanning.startsWith('..') || isAbsolute(fromPlanning)) return null;
+    }
+    return JSON.stringify([dotted, args, workstream ?? null]);
+  }
+
+  private startWatcher(): void {
+    const planningDir = join(this.projectDir, '.planning');
+    if (!existsSync(planningDir)) return;
+    try {
+      this.watcher = watch(planningDir, { recursive: true }, () => this.invalidate());
+      this.watcher.on('error', () => {
+        // Without change notifications cached results could go stale
+        this.watcher?.close();
+        this.watcher = undefined;
+        this.invalidate();
+      });
+    } catch {
+      this.watcher = undefined;
+    }
+  }
+
+  private accept(socket: Socket): void {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => socket.destroy());
+
+    const lines = createInterface({ input: socket, crlfDelay: Infinity });
+    lines.on('line', line => {
+      if (!line.trim()) return;
+      void this.respond(line).then(response => {
+        if (!socket.destroyed) socket.write(JSON.stringify(response) + '\n');
+      });
+    });
+  }
+
+  private async respond(line: string): Promise<DaemonResponse> {
+    let request: DaemonRequest;
+    try {
+      request = JSON.parse(line) as DaemonRequest;
+    } catch {
+      return { id: -1, error: { message: 'Invalid request: not JSON', classification: ErrorClassification.Validation } };
+    }
+
+    if (request.method === 'status') return { id: request.id, data: this.status() };
+    if (request.method !== 'dispatch' || typeof request.command !== 'string' || !Array.isArray(request.args)) {
+      return { id: request.id, error: { message: 'Invalid request', classification: ErrorClassification.Validation } };
+    }
+    if (request.env !== undefined && request.env !== this.envFingerprint) return { id: request.id, unavailable: true };
+    const matched = resolveQueryArgv([request.command, ...request.args], this.registry);
+    if (!matched) return { id: request.id, unavailable: true };
+
+    try {
+      const { data } = await this.dispatch(matched.cmd, matched.args, request.workstream);
+      return { id: request.id, data };
+    } catch (err) {
+      return {
+        id: request.id,
+        error: {
+          message: err instanceof Error ? err.message : String(err),
+          classification: err instanceof GSDError ? err.classification : ErrorClassification.Execution,
+        },
+      };
+    }
+  }
+}
+
+// ─── Client ──────────────────────────────────────────────────────────────────
+
+export interface DaemonClientOptions {
+  /** Default: {@link daemonSocketPath} of the project. */
+  socketPath?: string;
+  /** Give up connecting after this long and fall back. Default: 500ms. */
+  connectTimeoutMs?: number;
+}
+
+/**
+ * Send one request. Resolves null when nothing is listening; once the request
+ * has been sent, failures reject instead, so a mutation is never run twice.
+ */
+async function request(socketPath: string, body: DaemonRequestBody, connectTimeoutMs: number): Promise<DaemonResponse | null> {
+  if (process.platform !== 'win32' && !existsSync(socketPath)) return null;
+
+  return new Promise<DaemonResponse | null>((resolveRequest, rejectRequest) => {
+    const socket = createConnection(socketPath);
+    let connected = false;
+    const timer = setTimeout(() => {
+      socket.destroy();
+      resolveRequest(null);
+    }, connectTimeoutMs);
+
+    socket.once('connect', () => {
+      connected = true;
+      clearTimeout(timer);
+      socket.write(JSON.stringify({ id: 1, ...body }) + '\n');
+    });
+    socket.on('error', err => {
+      clearTimeout(timer);
+      if (connected) rejectRequest(new GSDError(`Query daemon connection failed: ${err.message}`, ErrorClassification.Execution));
+      else resolveRequest(null);
+    });
+
+    const lines = createInterface({ input: socket, crlfDelay: Infinity });
+    lines.once('line', line => {
+      socket.end();
+      try {
+        resolveRequest(JSON.parse(line) as DaemonResponse);
+      } catch {
+        rejectRequest(new GSDError('Query daemon sent an invalid response', ErrorClassification.Execution));
+      }
+    });
+    socket.once('close', () => {
+      if (connected) rejectRequest(new GSDError('Query daemon closed the connection', ErrorClassification.Execution));
+    });
+  });
+}
+
+/**
+ * Dispatch a query through the project's daemon. `command` and `args` may be
+ * raw `gsd-sdk query` argv; the daemon resolves them against its registry.
+ * The request carries this process's {@link daemonEnvFingerprint}.
+ *
+ * @returns The result, or null when no daemon is running, it lacks the
+ *   command, or it runs with a different environment
+ * @throws GSDError with the handler's classification when the command fails
+ */
+export async function dispatchViaDaemon(
+  projectDir: string,
+  command: string,
+  args: string[],
+  workstream?: string,
+  options: DaemonClientOptions = {},
+): Promise<QueryResult | null> {
+  const socketPath = options.socketPath ?? daemonSocketPath(projectDir);
+  const response = await request(
+    socketPath,
+    { method: 'dispatch', command, args, ...(workstream && { workstream }), env: daemonEnvFingerprint() },
+    options.connectTimeoutMs ?? 500,
+  );
+  if (!response || response.unavailable) return null;
+  if (response.error) throw new GSDError(response.error.message, response.error.classification);
+  return { data: response.data };
+}
+
+/** Status of the project's daemon, or null when none is running. */
+export async function queryDaemonStatus(projectDir: string, options: DaemonClientOptions = {}): Promise<DaemonStatus | null> {
+  const response = await request(options.socketPath ?? daemonSocketPath(projectDir), { method: 'status' }, options.connectTimeoutMs ?? 500);
+  return (response?.data as DaemonStatus | undefined) ?? null;
+}
+
+async function isListening(socketPath: string): Promise<boolean> {
+  try {
+    return (await request(socketPath, { method: 'status' }, 500)) !== null;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Unit tests for audit-open output formats.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, mkdir, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+import { auditOpen } from './audit-open.js';
+
+let tmpDir: string;
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'gsd-audit-open-'));
+  await mkdir(join(tmpDir, '.planning', 'todos', 'pending'), { recursive: true });
+  await writeFile(
+    join(tmpDir, '.planning', 'todos', 'pending', 'rate-limit.md'),
+    '---\npriority: high\narea: api\n---\n\nAdd rate limiting to login\n',
+  );
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('auditOpen --format', () => {
+  it('keeps the legacy report without --format', async () => {
+    const { data } = await auditOpen([], tmpDir);
+    expect(data).toMatchObject({ has_open_items: true, report: expect.stringContaining('rate-limit.md') });
+  });
+
+  it('fails one junit case per open item and passes clear categories', async () => {
+    const { data } = await auditOpen(['--format', 'junit'], tmpDir);
+    const xml = (data as { rendered: string }).rendered;
+    expect(xml).toMatch(/<testsuites name="Milestone Close: Open Artifact Audit" tests="8" failures="1" errors="0" skipped="0"/);
+    expect(xml).toContain('<testcase name="rate-limit.md" classname="Pending Todos">\n      <failure message="high">api — Add rate limiting to login</failure>');
+    expect(xml).toContain('<testcase name="No open debug sessions" classname="Debug Sessions"/>');
+  });
+
+  it('renders one csv row per item and returns plain data for json', async () => {
+    const csv = (await auditOpen(['--format', 'csv'], tmpDir)).data as { rendered: string };
+    expect(csv.rendered).toBe('section,Item,Status,Detail\nPending Todos,rate-limit.md,high,api — Add rate limiting to login\n');
+
+    const { data } = await auditOpen(['--format', 'json'], tmpDir);
+    expect(data).toMatchObject({ counts: { todos: 1, total: 1 } });
+    expect(data).not.toHaveProperty('report');
+  });
+});
@@ -9,6 +9,7 @@ import { basename, join } from 'node:path';
 
 import { extractFrontmatter } from './frontmatter.js';
 import { planningPaths, sanitizeForDisplay } from './helpers.js';
+import { formattedResult, readFormatFlag, type Report, type ReportCell } from './render.js';
 import type { QueryHandler } from './utils.js';
 
 function scanDebugSessions(planDir: string): Array<Record<string, unknown>> {
@@ -704,13 +705,76 @@ export function formatAuditReport(auditResult: AuditOpenResult): string {
   return lines.join('\n');
 }
 
+type AuditCategory = keyof AuditOpenResult['items'];
+
+/**
+ * Report sections in `formatAuditReport` order, each with the columns of its
+ * table row: what the item is, its status, and a one-line detail.
+ */
+const AUDIT_SECTIONS: Array<{ key: AuditCategory; title: string; row: (item: Record<string, ReportCell>) => ReportCell[] }> = [
+  { key: 'debug_sessions', title: 'Debug Sessions', row: i => [i.slug, i.status, i.hypothesis] },
+  { key: 'uat_gaps', title: 'UAT Gaps', row: i => [`Phase ${i.phase}: ${i.file}`, i.status, `${i.open_scenario_count} pending scenarios`] },
+  { key: 'verification_gaps', title: 'Verification Gaps', row: i => [`Phase ${i.phase}: ${i.file}`, i.status, ''] },
+  { key: 'quick_tasks', title: 'Quick Tasks', row: i => [i.slug, i.status, i.date] },
+  { key: 'todos', title: 'Pending Todos', row: i => [i.filename, i.priority || 'pending', [i.area, i.summary].filter(Boolean).join(' — ')] },
+  { key: 'threads', title: 'Open Threads', row: i => [i.slug, i.status, i.title] },
+  { key: 'seeds', title: 'Unimplemented Seeds', row: i => [i.seed_id, i.status, i.title] },
+  { key: 'context_questions', title: 'CONTEXT Open Questions', row: i => [`Phase ${i.phase}: ${i.file}`, 'open', ((i.questions as unknown as string[]) || []).join('; ')] },
+];
+
+/**
+ * Audit as a {@link Report}. Each open item is a failing check — it needs a
+ * decision before the milestone closes — and a clear category is one passing
+ * check, so CI shows every category.
+ */
+export function auditOpenReport(auditResult: AuditOpenResult): Report {
+  const { counts, items } = auditResult;
+  const report: Report = {
+    title: 'Milestone Close: Open Artifact Audit',
+    generated_at: auditResult.scanned_at,
+    summary: [
+      ['Open items', counts.total],
+      ['Scan errors', auditResult.has_scan_errors ? 'yes — audit incomplete' : 'none'],
+    ],
+    tables: [],
+    suites: [],
+  };
+
+  for (const section of AUDIT_SECTIONS) {
+    const rows: ReportCell[][] = [];
+    const checks: Report['suites'][number]['checks'] = [];
+    for (const item of items[section.key]) {
+      if (item.scan_error) {
+        const name = String(item.slug ?? item.file ?? section.title);
+        rows.push([name, 'scan error', item.detail as string | undefined]);
+        checks.push({ name, status: 'error', message: String(item.detail ?? 'scan failed') });
+      } else if (item._remainder_count) {
+        rows.push([`… and ${item._remainder_count} more`, '', '']);
+        checks.push({ name: `${item._remainder_count} more`, status: 'failed', message: 'not listed individually' });
+      } else {
+        const row = section.row(item as Record<string, ReportCell>);
+        rows.push(row);
+        checks.push({ name: String(row[0]), status: 'failed', message: String(row[1] ?? ''), detail: row[2] ? String(row[2]) : undefined });
+      }
+    }
+    if (checks.length === 0) checks.push({ name: `No open ${section.title.toLowerCase()}`, status: 'passed' });
+    report.tables.push({ title: section.title, columns: ['Item', 'Status', 'Detail'], rows });
+    report.suites.push({ name: section.title, checks });
+  }
+  return report;
+}
+
 /**
  * `audit-open` / `audit.open` — optional `--json` for structured JSON only (default adds formatted report string).
+ * `--format markdown|csv|junit|html` renders {@link auditOpenReport} instead; `--format json` is the same as `--json`.
  */
 export const auditOpen: QueryHandler = async (args, projectDir, workstream) => {
-  const jsonOnly = args.includes('--json');
+  const format = readFormatFlag(args);
   const result = auditOpenArtifacts(projectDir, workstream);
-  if (jsonOnly) {
+  if (format) {
+    return formattedResult(format, result, auditOpenReport);
+  }
+  if (args.includes('--json')) {
     return { data: result };
   }
   return {
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for transactional query batches.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, readFile, mkdir, rm, readdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { QueryRegistry } from './registry.js';
+import { createRegistry } from './index.js';
+import { runQueryBatch, parseBatchSteps, BATCH_ALLOWED_COMMANDS, type BatchStepInput } from './batch.js';
+import { acquireLock, releaseLock } from './locks.js';
+import { GSDError, ErrorClassification } from '../errors.js';
+
+let tmpDir: string;
+
+const STATE = '# State\n\n**Status:** idle\n';
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'gsd-batch-test-'));
+  await mkdir(join(tmpDir, '.planning'), { recursive: true });
+  await writeFile(join(tmpDir, '.planning', 'STATE.md'), STATE);
+  await writeFile(join(tmpDir, '.planning', 'ROADMAP.md'), '# Roadmap\n');
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+// ─── Helper ───────────────────────────────────────────────────────────────
+
+function makeRegistry(): QueryRegistry {
+  const registry = new QueryRegistry();
+  registry.register('append', async (args, dir) => {
+    const path = join(dir, '.planning', args[0]!);
+    const current = existsSync(path) ? await readFile(path, 'utf-8') : '';
+    await writeFile(path, current + args[1] + '\n');
+    return { data: { appended: args[0] } };
+  });
+  registry.register('read', async (args, dir) => ({ data: { content: await readFile(join(dir, '.planning', args[0]!), 'utf-8') } }));
+  registry.register('soft-fail', async () => ({ data: { error: 'not in this state' } }));
+  registry.register('hard-fail', async () => {
+    throw new GSDError('boom', ErrorClassification.Execution);
+  });
+  registry.register('commit', async (_args, dir) => ({ data: { committed: true, dir } }));
+  return registry;
+}
+
+const FAKE_COMMANDS = new Set(['append', 'read', 'soft-fail', 'hard-fail', 'commit']);
+
+function runFakeBatch(registry: QueryRegistry, steps: BatchStepInput[], dir: string) {
+  return runQueryBatch(registry, steps, dir, undefined, FAKE_COMMANDS);
+}
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+
+describe('parseBatchSteps', () => {
+  it('accepts argv arrays and { command, args } objects', () => {
+    expect(parseBatchSteps('[["state.update", "Status", "x"], {"command": "roadmap.analyze"}]')).toEqual([
+      ['state.update', 'Status', 'x'],
+      { command: 'roadmap.analyze', args: undefined },
+    ]);
+  });
+
+  it.each(['not json', '[]', '{"command": "x"}', '[[1]]', '[{"args": []}]'])('rejects %s', (text) => {
+    expect(() => parseBatchSteps(text)).toThrow(GSDError);
+  });
+});
+
+describe('runQueryBatch', () => {
+  it('applies every change when all steps succeed, and later steps see earlier writes', async () => {
+    const result = await runFakeBatch(makeRegistry(), [
+      ['append', 'STATE.md', 'one'],
+      ['append', 'NOTES.md', 'two'],
+      ['read', 'STATE.md'],
+    ], tmpDir);
+
+    expect(result.committed).toBe(true);
+    expect(result.changed_files.sort()).toEqual(['.planning/NOTES.md', '.planning/STATE.md']);
+    expect(result.steps[2]!.data).toEqual({ content: STATE + 'one\n' });
+    expect(await readFile(join(tmpDir, '.planning', 'STATE.md'), 'utf-8')).toBe(STATE + 'one\n');
+    expect(await readFile(join(tmpDir, '.planning', 'NOTES.md'), 'utf-8')).toBe('two\n');
+  });
+
+  it.each(['hard-fail', 'soft-fail'])('leaves the real tree untouched when a step fails (%s)', async (failing) => {
+    const result = await runFakeBatch(makeRegistry(), [
+      ['append', 'STATE.md', 'one'],
+      [failing],
+      ['append', 'STATE.md', 'never'],
+    ], tmpDir);
+
+    expect(result).toMatchObject({ committed: false, failed_step: 1, changed_files: [] });
+    expect(result.steps).toHaveLength(2);
+    expect(await readFile(join(tmpDir, '.planning', 'STATE.md'), 'utf-8')).toBe(STATE);
+    expect(await readdir(join(tmpDir, '.planning'))).toEqual(['ROADMAP.md', 'STATE.md']);
+  });
+
+  it('rejects unknown commands before running anything', async () => {
+    await expect(runFakeBatch(makeRegistry(), [['append', 'STATE.md', 'x'], ['nope']], tmpDir))
+      .rejects.toThrow('Batch step 1: unknown command "nope"');
+    expect(await readFile(join(tmpDir, '.planning', 'STATE.md'), 'utf-8')).toBe(STATE);
+  });
+
+  it('rejects commands that are not pure .planning/ operations before running anything', async () => {
+    const registry = createRegistry();
+    await expect(runQueryBatch(registry, [['state.update', 'Status', 'x'], ['intel', 'update']], tmpDir))
+      .rejects.toThrow('Batch step 1: "intel.update" is not a pure .planning/ operation');
+    await expect(runQueryBatch(registry, [['ship', 'pr', '1']], tmpDir)).rejects.toThrow(GSDError);
+    await expect(runQueryBatch(registry, [['frontmatter.set', 'src/a.md', 'k', 'v']], tmpDir)).rejects.toThrow(GSDError);
+    expect(await readFile(join(tmpDir, '.planning', 'STATE.md'), 'utf-8')).toBe(STATE);
+  });
+
+  it('only allows commands the registry knows', () => {
+    const registry = createRegistry();
+    const unknown = [...BATCH_ALLOWED_COMMANDS].filter(cmd => !registry.getHandler(cmd));
+    expect(unknown).toEqual([]);
+  });
+
+  it('holds the phase tree lock while writing phase files', async () => {
+    await mkdir(join(tmpDir, '.planning', 'phases', '01-auth'), { recursive: true });
+    await writeFile(join(tmpDir, '.planning', 'phases', '01-auth', '01-CONTEXT.md'), '# Context\n');
+    const held = await acquireLock(join(tmpDir, '.planning', 'phases'));
+    const saved = process.env.GSD_LOCK_TIMEOUT_MS;
+    process.env.GSD_LOCK_TIMEOUT_MS = '200';
+    try {
+      const error = await runFakeBatch(makeRegistry(), [['append', 'phases/01-auth/01-01-PLAN.md', 'x']], tmpDir)
+        .catch((err: unknown) => err);
+      expect((error as GSDError).classification).toBe(ErrorClassification.Blocked);
+      expect(existsSync(join(tmpDir, '.planning', 'phases', '01-auth', '01-01-PLAN.md'))).toBe(false);
+    } finally {
+      if (saved === undefined) delete process.env.GSD_LOCK_TIMEOUT_MS;
+      else process.env.GSD_LOCK_TIMEOUT_MS = saved;
+      await releaseLock(held);
+    }
+
+    const result = await runFakeBatch(makeRegistry(), [['append', 'phases/01-auth/01-01-PLAN.md', 'x']], tmpDir);
+    expect(result.committed).toBe(true);
+    expect(await readdir(join(tmpDir, '.planning'))).not.toContain('phases.lock');
+  });
+
+  it('runs git steps against the real project after applying, restoring files if they fail', async () => {
+    const registry = makeRegistry();
+    const ok = await runFakeBatch(registry, [['commit', 'msg'], ['append', 'STATE.md', 'one']], tmpDir);
+
+    expect(ok.committed).toBe(true);
+    expect(ok.steps.map(s => s.command)).toEqual(['commit', 'append']);
+    expect(ok.steps[0]).toMatchObject({ deferred: true, data: { dir: tmpDir } });
+
+    registry.register('commit', async () => ({ data: { error: 'nothing to commit' } }));
+    const failed = await runFakeBatch(registry, [['append', 'STATE.md', 'two'], ['commit', 'msg']], tmpDir);
+
+    expect(failed).toMatchObject({ committed: false, failed_step: 1 });
+    expect(await readFile(join(tmpDir, '.planning', 'STATE.md'), 'utf-8')).toBe(STATE + 'one\n');
+  });
+
+  it('runs real handlers through the full registry', async () => {
+    const result = await runQueryBatch(createRegistry(), [
+      ['state.update', 'Status', 'executing'],
+      ['state', 'get', 'Status'],
+    ], tmpDir);
+
+    expect(result.committed).toBe(true);
+    expect(await readFile(join(tmpDir, '.planning', 'STATE.md'), 'utf-8')).toContain('**Status:** executing');
+    expect(result.changed_files).toContain('.planning/STATE.md');
+  });
+});
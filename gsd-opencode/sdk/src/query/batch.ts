@@ -0,0 +1,290 @@
+/**
+ * Transactional query batches — run several commands, commit all or nothing.
+ *
+ * `gsd-sdk query --batch <file|->` reads a JSON array of commands and runs
+ * them in order against a staged copy of `.planning/` (the same temp-clone
+ * machinery as the dry-run pipeline). Only when every step succeeds are the
+ * changed files written back to the real tree; otherwise the real tree is
+ * never touched.
+ *
+ * Git commands (`commit`, `check-commit`, `commit-to-subrepo`) cannot run in
+ * the staged copy. They are deferred: run in order against the real project
+ * after the staged changes are applied. If a deferred step fails, the applied
+ * files are restored to their pre-batch content (git commits already made by
+ * earlier deferred steps are not undone).
+ *
+ * Staged steps only see `.planning/`, so only commands known to read and write
+ * nothing else may run in a batch — see {@link BATCH_ALLOWED_COMMANDS}. Any
+ * other command is rejected before anything runs.
+ *
+ * A step fails when its handler throws or returns `data.error`.
+ *
+ * @example
+ * ```typescript
+ * const result = await runQueryBatch(createRegistry(), parseBatchSteps(`[
+ *   ["phase.complete", "3"],
+ *   ["state.update", "Status", "Phase 3 complete"],
+ *   { "command": "commit", "args": ["docs: complete phase 3", "--files", ".planning/STATE.md"] }
+ * ]`), projectDir);
+ * // result.committed === true, result.changed_files lists what was written
+ * ```
+ */
+
+import { mkdtemp, rm, writeFile, rename, unlink, mkdir } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+import type { QueryRegistry } from './registry.js';
+import { resolveQueryArgv } from './registry.js';
+import { normalizeQueryCommand } from './normalize-query-command.js';
+import { copyPlanningTree, readPlanningState, diffPlanningState } from './pipeline.js';
+import { withLocks, planningLockTargets } from './locks.js';
+import { GSDError, ErrorClassification } from '../errors.js';
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+/** One batch entry: argv as after `gsd-sdk query`, or `{ command, args }`. */
+export type BatchStepInput = string[] | { command: string; args?: string[] };
+
+export interface BatchStepResult {
+  index: number;
+  command: string;
+  args: string[];
+  /** Ran against the real project after the staged changes were applied. */
+  deferred?: boolean;
+  data?: unknown;
+  error?: string;
+}
+
+export interface BatchResult {
+  committed: boolean;
+  /** Steps that ran, in order, up to and including a failed one. */
+  steps: BatchStepResult[];
+  /** Project-relative paths written (or deleted) in the real tree. */
+  changed_files: string[];
+  /** Index of the failed step; absent when the commit itself was refused. */
+  failed_step?: number;
+  error?: string;
+}
+
+/** Commands that need the real git repository; run after the staged changes are applied. */
+export const BATCH_DEFERRED_COMMANDS = new Set<string>(['commit', 'check-commit', 'commit-to-subrepo']);
+
+/**
+ * Commands that may run in a batch (dotted form): handlers that only read and
+ * write `.planning/`, plus the deferred git commands. Anything else — project
+ * source scans, git branches, forges, network, arbitrary file paths, global
+ * stores — would inspect an empty tree in the staged copy, or have effects the
+ * batch cannot roll back.
+ */
+export const BATCH_ALLOWED_COMMANDS = new Set<string>([
+  // Reads
+  'generate-slug', 'current-timestamp', 'config-get', 'state.json', 'state.get', 'state-snapshot',
+  'find-phase', 'phase-plan-index', 'phases.list', 'phase.next-decimal', 'roadmap.analyze', 'roadmap.get-phase',
+  // STATE.md
+  'state.update', 'state.patch', 'state.begin-phase', 'state.advance-plan', 'state.record-metric',
+  'state.update-progress', 'state.add-decision', 'state.add-blocker', 'state.resolve-blocker',
+  'state.record-session', 'state.planned-phase', 'state.signal-waiting', 'state.signal-resume',
+  'state.sync', 'state.prune', 'state.milestone-switch', 'state.add-roadmap-evolution',
+  // config.json
+  'config-set', 'config-set-model-profile', 'config-ensure-section',
+  // Phases, roadmap, requirements, todos, workstreams
+  'phase.add', 'phase.add-batch', 'phase.insert', 'phase.remove', 'phase.complete', 'phase.scaffold',
+  'phases.clear', 'phases.archive', 'milestone.complete',
+  'roadmap.update-plan-progress', 'roadmap.annotate-dependencies', 'requirements.mark-complete', 'todo.complete',
+  'workstream.create', 'workstream.set', 'workstream.complete',
+  'intel.patch-meta',
+  ...BATCH_DEFERRED_COMMANDS,
+]);
+
+// ─── Parsing ───────────────────────────────────────────────────────────────
+
+/**
+ * Parse a batch file: a JSON array whose entries are argv arrays or
+ * `{ command, args }` objects.
+ *
+ * @throws GSDError (Validation) for malformed input
+ */
+export function parseBatchSteps(text: string): BatchStepInput[] {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new GSDError(`Batch is not valid JSON: ${(err as Error).message}`, ErrorClassification.Validation);
+  }
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new GSDError('Batch must be a non-empty JSON array of commands', ErrorClassification.Validation);
+  }
+
+  const isStrings = (v: unknown): v is string[] => Array.isArray(v) && v.every(a => typeof a === 'string');
+  return parsed.map((entry, index) => {
+    if (isStrings(entry) && entry.length > 0) return entry;
+    if (typeof entry === 'object' && entry !== null && !Array.isArray(entry)) {
+      const { command, args } = entry as Record<string, unknown>;
+      if (typeof command === 'string' && command && (args === undefined || isStrings(args))) {
+        return { command, args };
+      }
+    }
+    throw new GSDError(
+      `Batch step ${index}: expected an argv array or { "command": string, "args"?: string[] }`,
+      ErrorClassification.Validation,
+    );
+  });
+}
+
+// ─── Execution ─────────────────────────────────────────────────────────────
+
+function resolveStep(
+  registry: QueryRegistry,
+  step: BatchStepInput,
+  index: number,
+  allowed: ReadonlySet<string>,
+): { command: string; args: string[] } {
+  const tokens = Array.isArray(step) ? step : [step.command, ...(step.args ?? [])];
+  const [cmd, rest] = normalizeQueryCommand(tokens[0]!, tokens.slice(1));
+  const matched = resolveQueryArgv([cmd, ...rest], registry);
+  if (!matched) {
+    throw new GSDError(`Batch step ${index}: unknown command "${tokens.join(' ')}"`, ErrorClassification.Validation);
+  }
+  if (!allowed.has(matched.cmd.replace(/ /g, '.'))) {
+    throw new GSDError(
+      `Batch step ${index}: "${matched.cmd}" is not a pure .planning/ operation and cannot run in a batch`,
+      ErrorClassification.Validation,
+    );
+  }
+  return { command: matched.cmd, args: matched.args };
+}
+
+function dataError(data: unknown): string | undefined {
+  if (typeof data !== 'object' || data === null) return undefined;
+  const { error } = data as Record<string, unknown>;
+  return typeof error === 'string' ? error : undefined;
+}
+
+const isLockFile = (path: string): boolean => path.endsWith('.lock');
+
+/**
+ * Write staged contents into the real tree. Every new file is written next to
+ * its target first, then renamed into place, so a failed write leaves the
+ * tree unchanged.
+ */
+async function applyChanges(projectDir: string, changes: Map<string, string | null>): Promise<void> {
+  const staged: Array<[string, string]> = [];
+  try {
+    for (const [path, content] of changes) {
+      if (content === null) continue;
+      const target = join(projectDir, path);
+      const temp = `${target}.gsd-batch-${process.pid}`;
+      await mkdir(dirname(target), { recursive: true });
+      await writeFile(temp, content, 'utf-8');
+      staged.push([temp, target]);
+    }
+  } catch (err) {
+    await Promise.all(staged.map(([temp]) => unlink(temp).catch(() => undefined)));
+    throw err;
+  }
+
+  for (const [temp, target] of staged) await rename(temp, target);
+  for (const [path, content] of changes) {
+    if (content === null) await unlink(join(projectDir, path)).catch(() => undefined);
+  }
+}
+
+/**
+ * Run a batch transactionally. Unknown commands and those not in `allowed`
+ * are rejected before anything runs.
+ *
+ * @param registry - Registry to dispatch through
+ * @param steps - Parsed batch entries
+ * @param projectDir - Real project root
+ * @param workstream - Optional workstream for every step
+ * @param allowed - Dotted command names a step may use (default {@link BATCH_ALLOWED_COMMANDS})
+ * @throws GSDError (Validation) if a step names an unknown or rejected command
+ * @throws GSDError (Blocked) if a lock on a changed file is not released in time
+ */
+export async function runQueryBatch(
+  registry: QueryRegistry,
+  steps: BatchStepInput[],
+  projectDir: string,
+  workstream?: string,
+  allowed: ReadonlySet<string> = BATCH_ALLOWED_COMMANDS,
+): Promise<BatchResult> {
+  const resolved = steps.map((step, index) => ({ index, ...resolveStep(registry, step, index, allowed) }));
+  const results: BatchStepResult[] = [];
+  const ordered = (): BatchStepResult[] => [...results].sort((a, b) => a.index - b.index);
+  const fail = (index: number | undefined, error: string): BatchResult => ({
+    committed: false,
+    steps: ordered(),
+    changed_files: [],
+    ...(index !== undefined && { failed_step: index }),
+    error,
+  });
+
+  const stageDir = await mkdtemp(join(tmpdir(), 'gsd-batch-'));
+  try {
+    const before = await readPlanningState(projectDir);
+    await copyPlanningTree(projectDir, stageDir);
+    // A lock held on the real tree must not block handlers in the copy
+    for (const path of before.keys()) {
+      if (isLockFile(path)) await unlink(join(stageDir, '.planning', path)).catch(() => undefined);
+    }
+
+    // ─── Stage ──────────────────────────────────────────────────────────
+    for (const step of resolved) {
+      if (BATCH_DEFERRED_COMMANDS.has(step.command)) continue;
+      try {
+        const { data } = await registry.dispatch(step.command, step.args, stageDir, workstream);
+        const error = dataError(data);
+        results.push({ index: step.index, command: step.command, args: step.args, data, ...(error && { error }) });
+        if (error) return fail(step.index, error);
+      } catch (err) {
+        const error = err instanceof Error ? err.message : String(err);
+        results.push({ index: step.index, command: step.command, args: step.args, error });
+        return fail(step.index, error);
+      }
+    }
+
+    const diff = diffPlanningState(before, await readPlanningState(stageDir));
+    const changes = new Map(
+      Object.entries(diff)
+        .filter(([path]) => !isLockFile(path))
+        .map(([path, { after }]) => [path, after] as const),
+    );
+
+    // ─── Commit ─────────────────────────────────────────────────────────
+    // Hold every lock a single-command writer of these files would take, so
+    // none can land between the staleness check and the write
+    const lockTargets = planningLockTargets(projectDir, changes.keys());
+    const stale = await withLocks(lockTargets, async () => {
+      const current = await readPlanningState(projectDir);
+      for (const path of changes.keys()) {
+        const key = path.slice('.planning/'.length);
+        if ((current.get(key) ?? null) !== (before.get(key) ?? null)) return path;
+      }
+      await applyChanges(projectDir, changes);
+      return undefined;
+    });
+    if (stale) return fail(undefined, `${stale} changed while the batch was running; nothing was written`);
+
+    // ─── Deferred git steps ─────────────────────────────────────────────
+    for (const step of resolved.filter(s => BATCH_DEFERRED_COMMANDS.has(s.command))) {
+      let error: string | undefined;
+      try {
+        const { data } = await registry.dispatch(step.command, step.args, projectDir, workstream);
+        error = dataError(data);
+        results.push({ index: step.index, command: step.command, args: step.args, deferred: true, data, ...(error && { error }) });
+      } catch (err) {
+        error = err instanceof Error ? err.message : String(err);
+        results.push({ index: step.index, command: step.command, args: step.args, deferred: true, error });
+      }
+      if (error) {
+        const restore = new Map([...changes.keys()].map(path => [path, before.get(path.slice('.planning/'.length)) ?? null]));
+        await withLocks(lockTargets, () => applyChanges(projectDir, restore));
+        return fail(step.index, error);
+      }
+    }
+
+    return { committed: true, steps: ordered(), changed_files: [...changes.keys()] };
+  } finally {
+    await rm(stageDir, { recursive: true, force: true }).catch(() => undefined);
+  }
+}
@@ -1,13 +1,17 @@
 /**
  * Ship preflight checks (`check.ship-ready`).
  *
- * Consolidates git/gh checks from `ship.md` into a single structured query.
+ * Consolidates git/forge checks from `ship.md` into a single structured query.
+ * The forge (GitHub, GitLab or a local bare repo) is resolved for the remote
+ * through `forge-adapters.ts`; `gh_available` is kept for older callers.
  * All subprocess calls are wrapped in try/catch — never throws on git/gh failures.
  * See `.planning/research/decision-routing-audit.md` §3.9.
  */
 
 import { execSync } from 'node:child_process';
 import { GSDError, ErrorClassification } from '../errors.js';
+import { loadConfig } from '../config.js';
+import { resolveForge } from './forge-adapters.js';
 import { normalizePhaseName } from './helpers.js';
 import { checkVerificationStatus } from './check-verification-status.js';
 import type { QueryHandler } from './utils.js';
@@ -24,7 +28,7 @@ function boolSyncSafe(cmd: string, cwd: string): boolean {
   return runSyncSafe(cmd, cwd) !== null;
 }
 
-export const checkShipReady: QueryHandler = async (args, projectDir) => {
+export const checkShipReady: QueryHandler = async (args, projectDir, workstream) => {
   const raw = args[0];
   if (!raw) {
     throw new GSDError('phase number required for check ship-ready', ErrorClassification.Validation);
@@ -68,6 +72,23 @@ export const checkShipReady: QueryHandler = async (args, projectDir) => {
   // gh_authenticated: advisory — skip actual auth check to avoid slow network call
   const gh_authenticated = false;
 
+  // Forge for the remote — null without one
+  let forge: string | null = null;
+  let forge_available = false;
+  let forge_reason: string | null = null;
+  if (remote_configured) {
+    try {
+      const resolved = resolveForge(projectDir, await loadConfig(projectDir, workstream));
+      if (resolved) {
+        forge = resolved.forge.name;
+        forge_reason = resolved.forge.unavailable(resolved.ctx);
+        forge_available = forge_reason === null;
+      }
+    } catch {
+      forge_available = false;
+    }
+  }
+
   // Verification status
   let verification_passed = false;
   try {
@@ -83,8 +104,9 @@ export const checkShipReady: QueryHandler = async (args, projectDir) => {
   if (!clean_tree) blockers.push('working tree is not clean (uncommitted changes)');
   if (!on_feature_branch) blockers.push('not on a feature branch (currently on main/master or unknown)');
   if (!remote_configured) blockers.push('no git remote configured');
+  else if (!forge_available) blockers.push(`forge unavailable: ${forge_reason ?? 'remote URL not readable'}`);
 
-  const ready = verification_passed && clean_tree && on_feature_branch && remote_configured;
+  const ready = verification_passed && clean_tree && on_feature_branch && remote_configured && forge_available;
 
   return {
     data: {
@@ -97,6 +119,8 @@ export const checkShipReady: QueryHandler = async (args, projectDir) => {
       remote_configured,
       gh_available,
       gh_authenticated,
+      forge,
+      forge_available,
       blockers,
     },
   };
@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseQueryArgs,
+  formatCommandHelp,
+  formatCommandList,
+  commandInputSchema,
+  commandJsonSchema,
+  toQueryArgv,
+} from './command-schema.js';
+import type { QueryCommandSpec } from './command-schema.js';
+import { GSDError } from '../errors.js';
+
+const SEARCH: QueryCommandSpec = {
+  summary: 'Search things',
+  args: [
+    { name: 'query', description: 'Search query', required: true },
+    { name: 'scope', description: 'Where to search', enum: ['code', 'docs'] },
+  ],
+  flags: [
+    { name: 'limit', type: 'integer', description: 'Maximum results', default: 10 },
+    { name: 'exact', type: 'boolean', description: 'Match whole words' },
+  ],
+  result: { type: 'object', properties: { hits: { type: 'array' } } },
+};
+
+const TAGS: QueryCommandSpec = {
+  summary: 'Tag files',
+  args: [{ name: 'files', description: 'Files to tag', required: true, variadic: true }],
+};
+
+describe('parseQueryArgs', () => {
+  it('maps positionals and flags, coercing types', () => {
+    expect(parseQueryArgs('search', ['auth', 'docs', '--limit=5', '--exact'], SEARCH)).toEqual({
+      positionals: { query: 'auth', scope: 'docs' },
+      flags: { limit: 5, exact: true },
+      argv: ['auth', 'docs', '--limit=5', '--exact'],
+    });
+  });
+
+  it('accepts the gsd-tools global flags and `--` before dash-leading values', () => {
+    const parsed = parseQueryArgs('search', ['--raw', '--cwd', '/x', '--', '--not-a-flag'], SEARCH);
+
+    expect(parsed.positionals.query).toBe('--not-a-flag');
+    expect(parsed.flags).toEqual({ raw: true, cwd: '/x' });
+    expect(parsed.argv).toEqual(['--not-a-flag', '--raw', '--cwd', '/x']);
+  });
+
+  it('treats values that only start with -- as positionals', () => {
+    const spec: QueryCommandSpec = { summary: 'Set', args: [{ name: 'value', description: 'Value', required: true }] };
+
+    expect(parseQueryArgs('config-set', ['--auto --analyze'], spec).positionals.value).toBe('--auto --analyze');
+  });
+
+  it.each([
+    [[], 'missing required argument <query>'],
+    [['a', 'b'], 'must be one of code, docs, got "b"'],
+    [['a', 'code', 'extra'], 'unexpected argument "extra"'],
+    [['a', '--limit'], '--limit requires a value'],
+    [['a', '--limit', 'ten'], '--limit expects an integer, got "ten"'],
+    [['a', '--exact=yes'], '--exact takes no value'],
+    [['a', '--verbose'], 'unknown flag --verbose'],
+  ])('rejects %j', (args, message) => {
+    let error: unknown;
+    try {
+      parseQueryArgs('search', args, SEARCH);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(GSDError);
+    expect((error as GSDError).classification).toBe('validation');
+    expect((error as GSDError).message).toContain(message);
+    expect((error as GSDError).message).toContain('gsd-sdk query search --help');
+  });
+
+  it('collects variadic arguments', () => {
+    expect(parseQueryArgs('tag', ['a.ts', 'b.ts'], TAGS).positionals.files).toEqual(['a.ts', 'b.ts']);
+    expect(() => parseQueryArgs('tag', [], TAGS)).toThrow('missing required argument <files>');
+  });
+});
+
+describe('help', () => {
+  it('formats usage, arguments, flags and result', () => {
+    const help = formatCommandHelp('search', SEARCH, { mutation: true });
+
+    expect(help).toContain('Usage: gsd-sdk query search <query> [scope] [--limit <n>] [--exact]');
+    expect(help).toMatch(/<scope>\s+Where to search \(one of: code, docs\)/);
+    expect(help).toMatch(/--limit\s+Maximum results \(default: 10\)/);
+    expect(help).toContain('Result: object { hits }');
+    expect(help).toContain('Modifies .planning/ state.');
+  });
+
+  it('explains commands without a spec', () => {
+    expect(formatCommandHelp('legacy', undefined)).toContain('No argument schema is registered');
+  });
+
+  it('lists dotted commands once, with summaries and mutation markers', () => {
+    const list = formatCommandList(
+      ['state.update', 'state update', 'search', 'legacy'],
+      c => (c === 'search' ? SEARCH : undefined),
+      new Set(['state.update', 'state update']),
+    );
+
+    expect(list).toContain('Query commands (3)');
+    expect(list).not.toContain('state update');
+    expect(list).toMatch(/search\s+Search things/);
+    expect(list).toMatch(/state\.update\s+\[writes\]/);
+  });
+});
+
+describe('JSON Schema', () => {
+  it('describes input as an object with one property per arg and flag', () => {
+    const schema = commandInputSchema('search', SEARCH);
+
+    expect(schema).toMatchObject({
+      type: 'object',
+      required: ['query'],
+      additionalProperties: false,
+      properties: {
+        query: { type: 'string' },
+        scope: { type: 'string', enum: ['code', 'docs'] },
+        limit: { type: 'integer', default: 10 },
+        exact: { type: 'boolean' },
+      },
+    });
+    expect(commandInputSchema('tag', TAGS).properties).toEqual({
+      files: { type: 'array', description: 'Files to tag', items: { type: 'string' } },
+    });
+  });
+
+  it('includes the result schema when the spec has one', () => {
+    expect(commandJsonSchema('search', SEARCH).result).toMatchObject({ title: 'search result', type: 'object' });
+    expect(commandJsonSchema('tag', TAGS).result).toBeUndefined();
+  });
+
+  it('converts schema-shaped input back to argv that parses the same', () => {
+    const argv = toQueryArgv('search', SEARCH, { query: 'auth', limit: 5, exact: true });
+
+    expect(argv).toEqual(['--limit', '5', '--exact', '--', 'auth']);
+    expect(parseQueryArgs('search', argv, SEARCH).flags).toEqual({ limit: 5, exact: true });
+    expect(toQueryArgv('tag', TAGS, { files: ['a', 'b'] })).toEqual(['--', 'a', 'b']);
+    expect(toQueryArgv('search', SEARCH, { exact: true })).toEqual(['--exact']);
+    expect(() => toQueryArgv('search', SEARCH, { query: 'a', page: 2 })).toThrow('unexpected property "page"');
+    expect(() => toQueryArgv('search', SEARCH, { query: { nested: true } })).toThrow('"query" must be a string');
+  });
+
+  it('keeps dash-leading values positional and refuses gaps between positionals', () => {
+    const argv = toQueryArgv('search', SEARCH, { query: '--exact' });
+
+    expect(parseQueryArgs('search', argv, SEARCH)).toMatchObject({ positionals: { query: '--exact' }, flags: {} });
+    expect(() => toQueryArgv('search', SEARCH, { scope: 'docs' })).toThrow('"scope" requires "query"');
+  });
+});
@@ -0,0 +1,358 @@
+/**
+ * Query command schemas — declarative argument, flag and result descriptions.
+ *
+ * A {@link QueryCommandSpec} registered with a handler lets the registry
+ * validate argv before dispatch (a `Validation` GSDError instead of each
+ * handler's own `indexOf('--limit')` parsing), and drives the generated
+ * `gsd-sdk query <cmd> --help` / `--list` output and the JSON Schema exported
+ * to external callers such as the MCP server.
+ *
+ * Handlers still receive the raw argv, so adding a spec never changes what a
+ * handler sees — only which inputs reach it.
+ *
+ * @example
+ * ```typescript
+ * registry.register('generate-slug', generateSlug, {
+ *   summary: 'Convert text to a URL-safe slug',
+ *   args: [{ name: 'text', description: 'Text to slugify', required: true }],
+ *   result: { type: 'object', properties: { slug: { type: 'string' } } },
+ * });
+ * ```
+ */
+
+import { GSDError, ErrorClassification } from '../errors.js';
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+export type QueryValueType = 'string' | 'number' | 'integer' | 'boolean';
+
+/** A JSON Schema (draft 2020-12) document or fragment. */
+export type JsonSchema = Record<string, unknown>;
+
+export interface QueryArgSpec {
+  name: string;
+  description: string;
+  /** Default: `string`. */
+  type?: Exclude<QueryValueType, 'boolean'>;
+  required?: boolean;
+  enum?: string[];
+  /** Collects every remaining positional; only valid on the last argument. */
+  variadic?: boolean;
+}
+
+export interface QueryFlagSpec {
+  /** Flag name without the leading `--`. */
+  name: string;
+  description: string;
+  /** Default: `string`. Boolean flags take no value. */
+  type?: QueryValueType;
+  required?: boolean;
+  enum?: string[];
+  /** Value the handler uses when the flag is absent (documentation only). */
+  default?: string | number | boolean;
+}
+
+export interface QueryCommandSpec {
+  /** One line, shown in `--list`. */
+  summary: string;
+  /** Longer help text. */
+  description?: string;
+  args?: QueryArgSpec[];
+  flags?: QueryFlagSpec[];
+  /** Shape of `QueryResult.data`. */
+  result?: JsonSchema;
+  examples?: string[];
+}
+
+export interface ParsedQueryArgs {
+  positionals: Record<string, string | number | string[]>;
+  flags: Record<string, string | number | boolean>;
+  /** The args without the `--` terminator: positional tokens in order, then flag tokens. */
+  argv: string[];
+}
+
+/**
+ * Flags every command accepts for gsd-tools.cjs compatibility. Workflows pass
+ * them to any command; handlers that do not use them ignore them.
+ */
+export const GLOBAL_QUERY_FLAGS: QueryFlagSpec[] = [
+  { name: 'raw', type: 'boolean', description: 'Accepted for gsd-tools.cjs compatibility' },
+  { name: 'json', type: 'boolean', description: 'Accepted for gsd-tools.cjs compatibility' },
+  { name: 'cwd', description: 'Accepted for gsd-tools.cjs compatibility' },
+];
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+const FLAG_TOKEN = /^--([A-Za-z][\w-]*)(?:=([\s\S]*))?$/;
+
+function invalid(command: string, message: string): GSDError {
+  return new GSDError(
+    `${command}: ${message} (see \`gsd-sdk query ${command} --help\`)`,
+    ErrorClassification.Validation,
+  );
+}
+
+function coerce(command: string, label: string, raw: string, type: QueryValueType, allowed?: string[]): string | number {
+  if (allowed && !allowed.includes(raw)) {
+    throw invalid(command, `${label} must be one of ${allowed.join(', ')}, got "${raw}"`);
+  }
+  if (type === 'integer') {
+    if (!/^-?\d+$/.test(raw)) throw invalid(command, `${label} expects an integer, got "${raw}"`);
+    return Number(raw);
+  }
+  if (type === 'number') {
+    if (raw.trim() === '' || !Number.isFinite(Number(raw))) throw invalid(command, `${label} expects a number, got "${raw}"`);
+    return Number(raw);
+  }
+  return raw;
+}
+
+/**
+ * Parse and validate argv against a spec. Accepts `--flag value`,
+ * `--flag=value` and a `--` terminator; {@link GLOBAL_QUERY_FLAGS} are
+ * always allowed.
+ *
+ * @throws GSDError (Validation) for unknown flags, missing or extra
+ *   arguments, missing flag values, and type or enum mismatches
+ */
+export function parseQueryArgs(command: string, args: string[], spec: QueryCommandSpec): ParsedQueryArgs {
+  const flagSpecs = new Map([...GLOBAL_QUERY_FLAGS, ...(spec.flags ?? [])].map(f => [f.name, f]));
+  const flags: ParsedQueryArgs['flags'] = {};
+  const rest: string[] = [];
+  const flagTokens: string[] = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const token = args[i]!;
+    if (token === '--') {
+      rest.push(...args.slice(i + 1));
+      break;
+    }
+    // `"--auto --analyze"` is a value (e.g. for config-set), not a flag
+    const match = FLAG_TOKEN.exec(token);
+    if (!match) {
+      rest.push(token);
+      continue;
+    }
+
+    const [, name, inline] = match as unknown as [string, string, string | undefined];
+    const flag = flagSpecs.get(name);
+    if (!flag) throw invalid(command, `unknown flag --${name}`);
+
+    const type = flag.type ?? 'string';
+    if (type === 'boolean') {
+      if (inline !== undefined) throw invalid(command, `--${name} takes no value`);
+      flags[name] = true;
+      flagTokens.push(token);
+      continue;
+    }
+    const value = inline ?? args[++i];
+    if (value === undefined) throw invalid(command, `--${name} requires a value`);
+    flags[name] = coerce(command, `--${name}`, value, type, flag.enum);
+    flagTokens.push(...(inline === undefined ? [token, value] : [token]));
+  }
+
+  for (const flag of spec.flags ?? []) {
+    if (flag.required && flags[flag.name] === undefined) throw invalid(command, `missing required flag --${flag.name}`);
+  }
+
+  const positionals: ParsedQueryArgs['positionals'] = {};
+  const argSpecs = spec.args ?? [];
+  argSpecs.forEach((arg, index) => {
+    const type = arg.type ?? 'string';
+    if (arg.variadic) {
+      const values = rest.slice(index);
+      if (arg.required && values.length === 0) throw invalid(command, `missing required argument <${arg.name}>`);
+      values.forEach(v => coerce(command, `<${arg.name}>`, v, type, arg.enum));
+      positionals[arg.name] = values;
+      return;
+    }
+    const value = rest[index];
+    if (value === undefined) {
+      if (arg.required) throw invalid(command, `missing required argument <${arg.name}>`);
+      return;
+    }
+    positionals[arg.name] = coerce(command, `<${arg.name}>`, value, type, arg.enum);
+  });
+
+  if (!argSpecs.at(-1)?.variadic && rest.length > argSpecs.length) {
+    throw invalid(command, `unexpected argument "${rest[argSpecs.length]}"`);
+  }
+
+  return { positionals, flags, argv: [...rest, ...flagTokens] };
+}
+
+// ─── Help ───────────────────────────────────────────────────────────────────
+
+function usageLine(command: string, spec: QueryCommandSpec): string {
+  const parts = [`gsd-sdk query ${command}`];
+  for (const arg of spec.args ?? []) {
+    const name = arg.variadic ? `${arg.name}...` : arg.name;
+    parts.push(arg.required ? `<${name}>` : `[${name}]`);
+  }
+  for (const flag of spec.flags ?? []) {
+    const value = (flag.type ?? 'string') === 'boolean' ? '' : ` <${flag.type === 'integer' || flag.type === 'number' ? 'n' : 'value'}>`;
+    parts.push(flag.required ? `--${flag.name}${value}` : `[--${flag.name}${value}]`);
+  }
+  return parts.join(' ');
+}
+
+function table(rows: Array<[string, string]>): string[] {
+  const width = Math.max(...rows.map(([left]) => left.length)) + 2;
+  return rows.map(([left, right]) => `  ${left.padEnd(width)}${right}`.trimEnd());
+}
+
+function describeValue(description: string, extra: { enum?: string[]; default?: unknown }): string {
+  const notes: string[] = [];
+  if (extra.enum) notes.push(`one of: ${extra.enum.join(', ')}`);
+  if (extra.default !== undefined) notes.push(`default: ${JSON.stringify(extra.default)}`);
+  return notes.length > 0 ? `${description} (${notes.join('; ')})` : description;
+}
+
+/** `gsd-sdk query <cmd> --help` text. */
+export function formatCommandHelp(command: string, spec: QueryCommandSpec | undefined, options: { mutation?: boolean } = {}): string {
+  if (!spec) {
+    return [
+      `Usage: gsd-sdk query ${command} [args...]`,
+      '',
+      'No argument schema is registered for this command; arguments are passed to the handler unchecked.',
+      ...(options.mutation ? ['', 'Modifies .planning/ state.'] : []),
+    ].join('\n');
+  }
+
+  const lines = [`Usage: ${usageLine(command, spec)}`, '', spec.summary];
+  if (spec.description) lines.push('', spec.description);
+  if (spec.args?.length) {
+    lines.push('', 'Arguments:', ...table(spec.args.map(a => [`<${a.name}>`, describeValue(a.description, a)])));
+  }
+  if (spec.flags?.length) {
+    lines.push('', 'Flags:', ...table(spec.flags.map(f => [`--${f.name}`, describeValue(f.description, f)])));
+  }
+  if (spec.result) {
+    const properties = Object.keys((spec.result.properties as Record<string, unknown> | undefined) ?? {});
+    lines.push('', `Result: ${String(spec.result.type ?? 'any')}${properties.length ? ` { ${properties.join(', ')} }` : ''}`);
+  }
+  if (spec.examples?.length) lines.push('', 'Examples:', ...spec.examples.map(e => `  ${e}`));
+  if (options.mutation) lines.push('', 'Modifies .planning/ state.');
+  return lines.join('\n');
+}
+
+/**
+ * `gsd-sdk query --list` text. Spaced aliases (`state sync`) are folded into
+ * their dotted form; mutation commands are marked `[writes]`.
+ */
+export function formatCommandList(
+  commands: string[],
+  specFor: (command: string) => QueryCommandSpec | undefined,
+  mutations: ReadonlySet<string> = new Set(),
+): string {
+  const names = new Set(commands);
+  const listed = commands
+    .filter(c => !(c.includes(' ') && names.has(c.replace(/ /g, '.'))))
+    .sort();
+  const rows = listed.map((c): [string, string] => [
+    c,
+    `${specFor(c)?.summary ?? ''}${mutations.has(c) ? ' [writes]' : ''}`.trim(),
+  ]);
+  return [
+    `Query commands (${listed.length}) — \`gsd-sdk query <command> --help\` for details:`,
+    ...table(rows),
+  ].join('\n');
+}
+
+// ─── JSON Schema ────────────────────────────────────────────────────────────
+
+function valueSchema(type: QueryValueType, description: string, allowed?: string[], fallback?: unknown): JsonSchema {
+  return {
+    type,
+    description,
+    ...(allowed && { enum: type === 'string' ? allowed : allowed.map(Number) }),
+    ...(fallback !== undefined && { default: fallback }),
+  };
+}
+
+/**
+ * JSON Schema for a command's input as an object: one property per argument
+ * and flag, named as in the spec. {@link toQueryArgv} turns such an object
+ * back into argv.
+ */
+export function commandInputSchema(command: string, spec: QueryCommandSpec): JsonSchema {
+  const properties: Record<string, JsonSchema> = {};
+  const required: string[] = [];
+
+  for (const arg of spec.args ?? []) {
+    const item = valueSchema(arg.type ?? 'string', arg.description, arg.enum);
+    properties[arg.name] = arg.variadic ? { type: 'array', description: arg.description, items: { ...item, description: undefined } } : item;
+    if (arg.required) required.push(arg.name);
+  }
+  for (const flag of spec.flags ?? []) {
+    properties[flag.name] = valueSchema(flag.type ?? 'string', flag.description, flag.enum, flag.default);
+    if (flag.required) required.push(flag.name);
+  }
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: command,
+    description: spec.summary,
+    type: 'object',
+    properties: JSON.parse(JSON.stringify(properties)) as Record<string, JsonSchema>,
+    ...(required.length > 0 && { required }),
+    additionalProperties: false,
+  };
+}
+
+/** Input and result schemas of a command, as exported to external callers. */
+export function commandJsonSchema(command: string, spec: QueryCommandSpec): { input: JsonSchema; result?: JsonSchema } {
+  return {
+    input: commandInputSchema(command, spec),
+    ...(spec.result && { result: { $schema: 'https://json-schema.org/draft/2020-12/schema', title: `${command} result`, ...spec.result } }),
+  };
+}
+
+/**
+ * Convert an object matching {@link commandInputSchema} to argv: flags
+ * first, then `--` and the positional values, so a value that looks like a
+ * flag stays a value.
+ *
+ * @throws GSDError (Validation) for properties the spec does not declare,
+ *   values that are not scalars (arrays only for variadic arguments), and a
+ *   positional given after an earlier one was left out
+ */
+export function toQueryArgv(command: string, spec: QueryCommandSpec, input: Record<string, unknown>): string[] {
+  const declared = new Set([...(spec.args ?? []), ...(spec.flags ?? [])].map(s => s.name));
+  for (const key of Object.keys(input)) {
+    if (!declared.has(key)) throw invalid(command, `unexpected property "${key}"`);
+  }
+
+  const scalar = (name: string, value: unknown): string => {
+    if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') return String(value);
+    throw invalid(command, `"${name}" must be a string, number or boolean`);
+  };
+
+  const positionals: string[] = [];
+  let missing: string | undefined;
+  for (const arg of spec.args ?? []) {
+    const value = input[arg.name];
+    if (value === undefined || value === null) {
+      missing ??= arg.name;
+      continue;
+    }
+    // Argv is positional: a later argument cannot be passed without the ones before it
+    if (missing) throw invalid(command, `"${arg.name}" requires "${missing}"`);
+    if (arg.variadic) {
+      if (!Array.isArray(value)) throw invalid(command, `"${arg.name}" must be an array`);
+      positionals.push(...value.map(v => scalar(arg.name, v)));
+    } else {
+      positionals.push(scalar(arg.name, value));
+    }
+  }
+
+  const argv: string[] = [];
+  for (const flag of spec.flags ?? []) {
+    const value = input[flag.name];
+    if (value === undefined || value === null || value === false) continue;
+    if ((flag.type ?? 'string') === 'boolean') argv.push(`--${flag.name}`);
+    else argv.push(`--${flag.name}`, scalar(flag.name, value));
+  }
+  if (positionals.length > 0) argv.push('--', ...positionals);
+  return argv;
+}
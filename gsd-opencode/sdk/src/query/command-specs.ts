@@ -0,0 +1,316 @@
+/**
+ * Argument and result schemas for the core query commands.
+ *
+ * `createRegistry()` attaches these to the matching handlers (and their
+ * spaced aliases). Commands not listed here dispatch unchecked; add a spec
+ * when a handler's argv is stable enough to validate.
+ */
+
+import type { QueryCommandSpec, JsonSchema } from './command-schema.js';
+
+const PHASE_ARG = { name: 'phase', description: 'Phase number, e.g. 3, 03 or 3.1', required: true };
+
+const nullableString: JsonSchema = { type: ['string', 'null'] };
+
+const OUTPUT_FORMAT_FLAG = {
+  name: 'format',
+  description: 'Output format; anything but json prints the rendered report',
+  enum: ['json', 'markdown', 'csv', 'junit', 'html'],
+};
+
+const INTEL_DEPTH_FLAG = { name: 'depth', type: 'integer' as const, description: 'Import hops to follow', default: 2 };
+const INTEL_BUDGET_FLAG = { name: 'budget', type: 'integer' as const, description: 'Token budget for the ranked list; 0 for no limit', default: 2000 };
+
+const REMOTE_FLAG = { name: 'remote', description: 'Git remote; default: origin, else the only remote' };
+const DRAFT_FLAG = { name: 'draft', type: 'boolean' as const, description: 'Open as a draft' };
+const BRANCH_ACTION_ARG = { name: 'action', description: 'start creates or switches to the branch; finish merges it back', enum: ['start', 'finish'], required: true };
+const BRANCH_FLAGS = [
+  { name: 'base', description: 'start: create the branch from here instead of the current HEAD' },
+  { name: 'into', description: 'finish: merge into this branch instead of the one it was started from' },
+  { name: 'squash', type: 'boolean' as const, description: 'finish: squash into a single commit' },
+  { name: 'delete', type: 'boolean' as const, description: 'finish: delete the branch after merging' },
+];
+
+export const QUERY_COMMAND_SPECS: Record<string, QueryCommandSpec> = {
+  'generate-slug': {
+    summary: 'Convert text to a URL-safe slug',
+    args: [{ name: 'text', description: 'Text to slugify', required: true }],
+    result: { type: 'object', properties: { slug: { type: 'string' } }, required: ['slug'] },
+    examples: ['gsd-sdk query generate-slug "Auth Flow" --raw'],
+  },
+  'current-timestamp': {
+    summary: 'Current time as ISO 8601, a date, or a filename-safe stamp',
+    args: [{ name: 'format', description: 'Output format', enum: ['full', 'date', 'filename'] }],
+    result: { type: 'object', properties: { timestamp: { type: 'string' } }, required: ['timestamp'] },
+  },
+  'config-get': {
+    summary: 'Read a value from .planning/config.json',
+    args: [{ name: 'key', description: 'Dot-notation key path, e.g. workflow.auto_advance', required: true }],
+    flags: [{ name: 'default', description: 'Accepted for gsd-tools.cjs compatibility' }],
+    result: { description: 'The value at the key path' },
+  },
+  'config-set': {
+    summary: 'Write a value to .planning/config.json',
+    args: [
+      { name: 'key', description: 'Dot-notation key path', required: true },
+      { name: 'value', description: 'New value; true/false and numbers are stored typed', required: true },
+    ],
+  },
+  'config-path': {
+    summary: 'Path of the active config.json',
+    result: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] },
+  },
+  'resolve-model': {
+    summary: 'Model an agent runs on under the current model profile',
+    args: [{ name: 'agent-type', description: 'Agent name, e.g. gsd-planner', required: true }],
+    result: {
+      type: 'object',
+      properties: { model: { type: 'string' }, profile: { type: 'string' }, unknown_agent: { type: 'boolean' } },
+      required: ['model', 'profile'],
+    },
+  },
+  'state.get': {
+    summary: 'Read STATE.md, or one field or section of it',
+    args: [{ name: 'section', description: 'Field or section name' }],
+  },
+  'state.update': {
+    summary: 'Replace one field in STATE.md',
+    args: [
+      { name: 'field', description: 'Field name, e.g. Status', required: true },
+      { name: 'value', description: 'New value', required: true },
+    ],
+    result: {
+      type: 'object',
+      properties: { updated: { type: 'boolean' }, field: { type: 'string' }, value: { type: 'string' } },
+      required: ['updated', 'field'],
+    },
+    examples: ['gsd-sdk query state.update Status "Phase 2 in progress"'],
+  },
+  'state.resolve-blocker': {
+    summary: 'Remove blockers matching text from STATE.md',
+    flags: [{ name: 'text', description: 'Text the blocker line contains', required: true }],
+  },
+  'find-phase': {
+    summary: 'Locate a phase directory and its plans and summaries',
+    args: [PHASE_ARG],
+    result: {
+      type: 'object',
+      properties: {
+        found: { type: 'boolean' },
+        directory: nullableString,
+        phase_number: nullableString,
+        phase_name: nullableString,
+        phase_slug: nullableString,
+        plans: { type: 'array', items: { type: 'string' } },
+        summaries: { type: 'array', items: { type: 'string' } },
+        incomplete_plans: { type: 'array', items: { type: 'string' } },
+        has_research: { type: 'boolean' },
+        has_context: { type: 'boolean' },
+        has_verification: { type: 'boolean' },
+        has_reviews: { type: 'boolean' },
+        archived: { type: 'string' },
+      },
+      required: ['found'],
+    },
+  },
+  'roadmap.analyze': {
+    summary: 'Milestones, phases and progress parsed from ROADMAP.md',
+    result: {
+      type: 'object',
+      properties: {
+        milestones: { type: 'array' },
+        phases: { type: 'array' },
+        phase_count: { type: 'integer' },
+        completed_phases: { type: 'integer' },
+        total_plans: { type: 'integer' },
+        total_summaries: { type: 'integer' },
+        progress_percent: { type: 'number' },
+        current_phase: nullableString,
+        next_phase: nullableString,
+        missing_phase_details: { type: ['array', 'null'] },
+      },
+    },
+  },
+  'roadmap.graph': {
+    summary: 'Phase and plan dependency graph: cycles, dangling references, ready phases, parallel groups and critical path',
+    flags: [
+      { name: 'format', description: 'json, or a Mermaid / Graphviz DOT diagram', enum: ['json', 'mermaid', 'dot'], default: 'json' },
+      { name: 'plans', type: 'boolean', description: 'Draw plan subgraphs in diagrams' },
+    ],
+    examples: ['gsd-sdk query roadmap.graph --format mermaid --plans'],
+  },
+  'roadmap.get-phase': {
+    summary: 'One phase section of ROADMAP.md',
+    args: [PHASE_ARG],
+    result: { type: 'object', properties: { found: { type: 'boolean' } }, required: ['found'] },
+  },
+  'phase.add': {
+    summary: 'Append a phase to the current milestone',
+    args: [
+      { name: 'description', description: 'Phase description', required: true },
+      { name: 'custom-id', description: 'Phase id when phase_naming is custom' },
+    ],
+    result: {
+      type: 'object',
+      properties: {
+        phase_number: { type: ['string', 'integer'] },
+        padded: { type: 'string' },
+        name: { type: 'string' },
+        slug: { type: 'string' },
+        directory: { type: 'string' },
+        naming_mode: { type: 'string' },
+      },
+    },
+  },
+  'phase.complete': {
+    summary: 'Mark a phase done in ROADMAP.md, REQUIREMENTS.md and STATE.md',
+    args: [PHASE_ARG],
+    result: {
+      type: 'object',
+      properties: {
+        completed_phase: { type: 'string' },
+        phase_name: nullableString,
+        plans_executed: { type: 'string' },
+        next_phase: nullableString,
+        next_phase_name: nullableString,
+        is_last_phase: { type: 'boolean' },
+        date: { type: 'string' },
+        roadmap_updated: { type: 'boolean' },
+        state_updated: { type: 'boolean' },
+        requirements_updated: { type: 'boolean' },
+        warnings: { type: 'array', items: { type: 'string' } },
+        has_warnings: { type: 'boolean' },
+      },
+    },
+  },
+  websearch: {
+    summary: 'Search the web with the configured providers (cached per query and freshness)',
+    args: [{ name: 'query', description: 'Search query', required: true }],
+    flags: [
+      { name: 'limit', type: 'integer', description: 'Maximum results', default: 10 },
+      { name: 'freshness', description: 'Only results from the last day, week, month or year (Brave pd/pw/pm/py also accepted)', enum: ['day', 'week', 'month', 'year', 'pd', 'pw', 'pm', 'py'] },
+      { name: 'provider', description: 'Use only this provider', enum: ['brave', 'exa', 'firecrawl', 'searxng', 'fixture'] },
+      { name: 'no-cache', type: 'boolean', description: 'Skip cached results (the fresh result is still cached)' },
+    ],
+  },
+  'history.list': {
+    summary: 'List journaled .planning/ mutations, newest first',
+    flags: [{ name: 'limit', type: 'integer', description: 'Maximum entries', default: 20 }],
+  },
+  'history.show': {
+    summary: 'Show one history entry with its before/after diff',
+    args: [{ name: 'id', description: 'Entry id or a unique prefix of it', required: true }],
+  },
+  'history.undo': {
+    summary: 'Restore the files a mutation changed; refuses if they changed since',
+    args: [{ name: 'id', description: 'Entry id or prefix (default: the newest applied entry)' }],
+  },
+  'history.redo': {
+    summary: 'Re-apply the most recently undone mutation',
+  },
+  'locks.list': {
+    summary: 'List .planning/ lock files with holder PID, age and staleness',
+  },
+  'locks.clear': {
+    summary: 'Remove stale .planning/ locks, or the given lock files',
+    args: [{ name: 'path', description: 'Project-relative lock file to remove regardless of state', variadic: true }],
+    flags: [{ name: 'all', type: 'boolean', description: 'Also remove locks whose holder is still alive' }],
+  },
+  'intel.update': {
+    summary: 'Rebuild files.json, apis.json, deps.json and stack.json from the source tree',
+    flags: [{ name: 'full', type: 'boolean', description: 'Re-parse every file, not just those whose hash changed' }],
+  },
+  'intel.imports-of': {
+    summary: 'Files importing an exported symbol (through re-exports) or a file, ranked by uses',
+    args: [{ name: 'target', description: 'Exported symbol name, or a project-relative file path', required: true }],
+    flags: [INTEL_BUDGET_FLAG],
+  },
+  'intel.dependents': {
+    summary: 'Files that import a file directly or transitively, nearest first',
+    args: [{ name: 'file', description: 'Project-relative file path', required: true }],
+    flags: [INTEL_DEPTH_FLAG, INTEL_BUDGET_FLAG],
+  },
+  'intel.impact': {
+    summary: 'Ranked blast radius of changing files, with the tests that cover it',
+    args: [{ name: 'files', description: 'Project-relative paths of the changed files', required: true, variadic: true }],
+    flags: [INTEL_DEPTH_FLAG, INTEL_BUDGET_FLAG],
+  },
+  progress: {
+    summary: 'Milestone progress: plan and summary counts and status per phase',
+    flags: [OUTPUT_FORMAT_FLAG],
+    examples: ['gsd-sdk query progress --format junit > progress.xml'],
+  },
+  stats: {
+    summary: 'Milestone statistics: phases, plans, requirements and git activity',
+    args: [{ name: 'mode', description: 'json, or table for the legacy markdown table', enum: ['json', 'table'] }],
+    flags: [OUTPUT_FORMAT_FLAG],
+  },
+  'audit-open': {
+    summary: 'Unresolved .planning/ artifacts that need a decision before milestone close',
+    flags: [OUTPUT_FORMAT_FLAG],
+    examples: ['gsd-sdk query audit-open --format html > audit.html'],
+  },
+  'audit-uat': {
+    summary: 'Outstanding UAT and human-verification items across milestone phases',
+    flags: [OUTPUT_FORMAT_FLAG],
+    examples: ['gsd-sdk query audit-uat --format junit > uat.xml'],
+  },
+  'trace.matrix': {
+    summary: 'Traceability matrix: requirements and decisions to plans, summaries, commits, files and verification',
+    flags: [
+      { name: 'phase', description: 'Only rows mapped to, planned in or implemented in this phase' },
+      OUTPUT_FORMAT_FLAG,
+    ],
+    examples: ['gsd-sdk query trace.matrix --format csv > trace.csv'],
+  },
+  'git.phase-branch': {
+    summary: 'Create / switch to the templated phase branch, or merge it back',
+    args: [BRANCH_ACTION_ARG, PHASE_ARG],
+    flags: BRANCH_FLAGS,
+    examples: ['gsd-sdk query git.phase-branch start 3', 'gsd-sdk query git.phase-branch finish 3 --squash --delete'],
+  },
+  'git.milestone-branch': {
+    summary: 'Create / switch to the templated branch for the current milestone, or merge it back',
+    args: [BRANCH_ACTION_ARG],
+    flags: BRANCH_FLAGS,
+  },
+  'git.pr-body': {
+    summary: 'Pull request title and body for a phase from its SUMMARY.md files and VERIFICATION.md',
+    args: [PHASE_ARG],
+  },
+  'forge.detect': {
+    summary: 'Which forge (github, gitlab, local) serves the remote and whether its CLI or bare repo is usable',
+    flags: [REMOTE_FLAG],
+  },
+  'forge.pr-create': {
+    summary: 'Open a pull request for an already pushed branch',
+    flags: [
+      { name: 'title', description: 'Pull request title', required: true },
+      { name: 'base', description: 'Branch to merge into', required: true },
+      { name: 'head', description: 'Branch to merge; default: the current branch' },
+      { name: 'body', description: 'Pull request description' },
+      { name: 'body-file', description: 'Read the description from this file' },
+      DRAFT_FLAG,
+      REMOTE_FLAG,
+    ],
+  },
+  'forge.pr-list': {
+    summary: 'Open pull requests on the remote',
+    flags: [{ name: 'head', description: 'Only pull requests from this branch' }, REMOTE_FLAG],
+  },
+  'ship.pr': {
+    summary: 'Push the current branch and open its pull request with the git.pr-body title and description',
+    args: [PHASE_ARG],
+    flags: [
+      { name: 'base', description: 'Branch to merge into; default: the branch the phase branch started from' },
+      { name: 'title', description: 'Override the generated title' },
+      DRAFT_FLAG,
+      REMOTE_FLAG,
+    ],
+    examples: ['gsd-sdk query ship.pr 3 --draft'],
+  },
+  'verify.codebase-drift': {
+    summary: 'Structural drift since STRUCTURE.md was last mapped: new directories, barrels, migrations, routes',
+    flags: [{ name: 'fix', type: 'boolean', description: 'Record the drifted paths in STRUCTURE.md and move last_mapped_commit to HEAD' }],
+  },
+};
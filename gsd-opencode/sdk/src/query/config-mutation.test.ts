@@ -284,6 +284,19 @@ describe('configSet', () => {
     expect(raw.workflow.research).toBe(true);
   });
 
+  it('sets parallelization sub-keys without dropping a boolean switch', async () => {
+    const { configSet } = await import('./config-mutation.js');
+    await writeFile(
+      join(tmpDir, '.planning', 'config.json'),
+      JSON.stringify({ parallelization: false }),
+    );
+    await configSet(['parallelization.scheduler', 'waves'], tmpDir);
+    await configSet(['parallelization.max_concurrent', '2'], tmpDir);
+
+    const raw = JSON.parse(await readFile(join(tmpDir, '.planning', 'config.json'), 'utf-8'));
+    expect(raw.parallelization).toEqual({ enabled: false, scheduler: 'waves', max_concurrent: 2 });
+  });
+
   it('rejects invalid key with GSDError', async () => {
     const { configSet } = await import('./config-mutation.js');
     await writeFile(
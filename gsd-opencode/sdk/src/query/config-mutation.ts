@@ -165,7 +165,10 @@ function setConfigValue(obj: Record<string, unknown>, dotPath: string, value: un
   let current: Record<string, unknown> = obj;
   for (let i = 0; i < keys.length - 1; i++) {
     const key = keys[i];
-    if (current[key] === undefined || typeof current[key] !== 'object' || current[key] === null) {
+    if (typeof current[key] === 'boolean') {
+      // Boolean-or-object settings (`parallelization: false`) keep their switch as `enabled`
+      current[key] = { enabled: current[key] };
+    } else if (current[key] === undefined || typeof current[key] !== 'object' || current[key] === null) {
       current[key] = {};
     }
     current = current[key] as Record<string, unknown>;
@@ -426,7 +429,16 @@ export const configNewProject: QueryHandler = async (args, projectDir, _workstre
     },
   };
 
-  await atomicWriteConfig(paths.config, config);
+  // Re-check under the lock: a concurrent config-new-project may have won
+  const lockPath = await acquireStateLock(paths.config);
+  try {
+    if (existsSync(paths.config)) {
+      return { data: { created: false, reason: 'already_exists' } };
+    }
+    await atomicWriteConfig(paths.config, config);
+  } finally {
+    await releaseStateLock(lockPath);
+  }
 
   return { data: { created: true, path: paths.config } };
 };
@@ -450,19 +462,24 @@ export const configEnsureSection: QueryHandler = async (args, projectDir, _works
   }
 
   const paths = planningPaths(projectDir);
-  let config: Record<string, unknown> = {};
+  const lockPath = await acquireStateLock(paths.config);
   try {
-    const raw = await readFile(paths.config, 'utf-8');
-    config = JSON.parse(raw) as Record<string, unknown>;
-  } catch {
-    // Start with empty config
-  }
+    let config: Record<string, unknown> = {};
+    try {
+      const raw = await readFile(paths.config, 'utf-8');
+      config = JSON.parse(raw) as Record<string, unknown>;
+    } catch {
+      // Start with empty config
+    }
 
-  if (!(sectionName in config)) {
-    config[sectionName] = {};
-  }
+    if (!(sectionName in config)) {
+      config[sectionName] = {};
+    }
 
-  await atomicWriteConfig(paths.config, config);
+    await atomicWriteConfig(paths.config, config);
+  } finally {
+    await releaseStateLock(lockPath);
+  }
 
   return { data: { ensured: true, section: sectionName } };
 };
@@ -335,7 +335,7 @@ describe('websearch', () => {
 
     const url = new URL((globalThis.fetch as ReturnType<typeof vi.fn>).mock.calls[0][0] as string);
     expect(url.searchParams.get('count')).toBe('5');
-    expect(url.searchParams.get('freshness')).toBe('week');
+    expect(url.searchParams.get('freshness')).toBe('pw');
   });
 
   it('returns error on non-ok response', async () => {
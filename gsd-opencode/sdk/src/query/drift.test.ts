@@ -0,0 +1,230 @@
+/**
+ * Unit tests for codebase drift detection (drift.ts) and verify.codebase-drift.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, mkdir, rm, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { execSync } from 'node:child_process';
+import {
+  classifyFile, detectDrift, chooseAffectedPaths, sanitizePaths, parseNameStatus,
+  readMappedCommit, writeMappedCommit, fixStructureMd,
+} from './drift.js';
+import { verifyCodebaseDrift } from './verify.js';
+
+const STRUCTURE = `# Codebase Structure
+
+## Directory Layout
+
+\`\`\`
+src/
+├── lib/        # Shared helpers
+\`\`\`
+
+## Directory Purposes
+
+**\`src/lib/\`:**
+- Purpose: Shared helpers
+
+## Key File Locations
+
+**Entry Points:**
+- \`src/index.ts\`: CLI entry point
+
+**Configuration:**
+- \`tsconfig.json\`: TypeScript config
+
+## Naming Conventions
+
+- kebab-case files
+`;
+
+describe('classifyFile', () => {
+  it.each([
+    ['supabase/migrations/001_init.sql', 'migration'],
+    ['prisma/migrations/2024/migration.sql', 'migration'],
+    ['src/routes/users.ts', 'route'],
+    ['apps/web/src/api/login.tsx', 'route'],
+    ['packages/ui/src/index.ts', 'barrel'],
+    ['src/lib/util.ts', null],
+  ])('%s → %s', (file, category) => {
+    expect(classifyFile(file)).toBe(category);
+  });
+});
+
+describe('detectDrift', () => {
+  it('counts each file once, most specific category first, and ignores mapped paths', () => {
+    const result = detectDrift({
+      addedFiles: ['src/lib/new.ts', 'workers/cron.ts', 'src/routes/a.ts', 'src/migrations/001.sql', 'packages/ui/src/index.ts'],
+      structureMd: STRUCTURE,
+      threshold: 3,
+    });
+    expect(result.elements).toEqual([
+      { category: 'barrel', path: 'packages/ui/src/index.ts' },
+      { category: 'migration', path: 'src/migrations/001.sql' },
+      { category: 'new_dir', path: 'workers/cron.ts' },
+      { category: 'route', path: 'src/routes/a.ts' },
+    ]);
+    expect(result).toMatchObject({ actionRequired: true, directive: 'warn', spawnMapper: false, affectedPaths: ['packages/ui', 'src', 'workers'] });
+    expect(result.message).toContain('Run /gsd-map-codebase --paths packages/ui,src,workers to refresh planning context.');
+  });
+
+  it('stays quiet below the threshold and schedules auto-remap above it', () => {
+    expect(detectDrift({ addedFiles: ['docs/a.md'], structureMd: STRUCTURE })).toMatchObject({
+      actionRequired: false, directive: 'none', threshold: 3, elements: [{ category: 'new_dir', path: 'docs/a.md' }],
+    });
+    expect(detectDrift({ addedFiles: ['docs/a.md'], structureMd: STRUCTURE, threshold: 1, action: 'auto-remap' }))
+      .toMatchObject({ directive: 'auto-remap', spawnMapper: true, affectedPaths: ['docs'] });
+  });
+
+  it('skips without STRUCTURE.md', () => {
+    expect(detectDrift({ addedFiles: ['a/b.ts'], structureMd: null })).toMatchObject({ skipped: true, reason: 'missing-structure-md' });
+  });
+});
+
+describe('path helpers', () => {
+  it('collapses monorepo paths and drops unsafe ones', () => {
+    expect(chooseAffectedPaths(['apps/web/src/x.ts', 'apps/web/y.ts', 'lib/z.ts'])).toEqual(['apps/web', 'lib']);
+    expect(sanitizePaths(['src', '/etc', '../x', 'a;rm', 'apps/web'])).toEqual(['src', 'apps/web']);
+  });
+
+  it('parses git name-status output including renames and copies', () => {
+    expect(parseNameStatus('A\tsrc/a.ts\nM\tsrc/b.ts\nD\told.ts\nR087\tsrc/c.ts\tsrc/d/c.ts\nC100\tx.ts\ty.ts')).toEqual({
+      added: ['src/a.ts', 'src/d/c.ts', 'y.ts'],
+      modified: ['src/b.ts'],
+      deleted: ['old.ts', 'src/c.ts'],
+    });
+  });
+
+  it('round-trips last_mapped_commit through frontmatter', () => {
+    const stamped = writeMappedCommit('---\nfocus: arch\n---\n# Body\n', 'abc123', '2026-01-01T00:00:00.000Z');
+    expect(stamped).toBe('---\nfocus: arch\nlast_mapped_commit: abc123\nlast_mapped_at: 2026-01-01T00:00:00.000Z\n---\n# Body\n');
+    expect(readMappedCommit(stamped)).toBe('abc123');
+    expect(readMappedCommit('# No frontmatter\n')).toBeNull();
+  });
+});
+
+describe('fixStructureMd', () => {
+  it('adds new directories and key files under the template sections', () => {
+    const { content, added } = fixStructureMd(STRUCTURE, [
+      { category: 'new_dir', path: 'workers/cron.ts' },
+      { category: 'new_dir', path: 'workers/queue.ts' },
+      { category: 'barrel', path: 'packages/ui/src/index.ts' },
+      { category: 'route', path: 'src/routes/a.ts' },
+    ], 'TODO');
+
+    expect(content).toContain(
+      '**`src/lib/`:**\n- Purpose: Shared helpers\n\n**`workers/`:**\n- Purpose: TODO\n- Key files: `workers/cron.ts`, `workers/queue.ts`\n\n## Key File Locations',
+    );
+    expect(content).toContain('**Entry Points:**\n- `src/index.ts`: CLI entry point\n- `packages/ui/src/index.ts`: TODO\n\n**Configuration:**');
+    expect(content).toContain('- `tsconfig.json`: TypeScript config\n\n**Routes:**\n- `src/routes/a.ts`: TODO\n\n## Naming Conventions');
+    expect(added).toEqual([
+      { section: 'Directory Purposes', group: null, path: 'workers/' },
+      { section: 'Key File Locations', group: 'Entry Points', path: 'packages/ui/src/index.ts' },
+      { section: 'Key File Locations', group: 'Routes', path: 'src/routes/a.ts' },
+    ]);
+    expect(fixStructureMd(content, [{ category: 'route', path: 'src/routes/a.ts' }], 'TODO').added).toEqual([]);
+  });
+
+  it('creates a missing section at the end', () => {
+    const { content } = fixStructureMd('# Codebase Structure\n', [{ category: 'migration', path: 'db/migrations/1.sql' }], 'TODO');
+    expect(content).toBe('# Codebase Structure\n\n## Key File Locations\n\n**Migrations:**\n- `db/migrations/1.sql`: TODO\n');
+  });
+});
+
+describe('verify.codebase-drift', () => {
+  let tmpDir: string;
+  let mappedSha: string;
+  const structurePath = () => join(tmpDir, '.planning', 'codebase', 'STRUCTURE.md');
+
+  async function write(rel: string, content: string): Promise<void> {
+    await mkdir(join(tmpDir, rel, '..'), { recursive: true });
+    await writeFile(join(tmpDir, rel), content);
+  }
+
+  const git = (cmd: string) => execSync(`git ${cmd}`, { cwd: tmpDir, stdio: 'pipe' }).toString().trim();
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'gsd-drift-'));
+    git('init');
+    git('config user.email "test@test.com"');
+    git('config user.name "Test"');
+    await write('src/lib/util.ts', 'export {};\n');
+    git('add -A');
+    git('commit -m "init"');
+    mappedSha = git('rev-parse HEAD');
+    await write('.planning/config.json', JSON.stringify({ workflow: { drift_threshold: 2 } }));
+    await write('.planning/codebase/STRUCTURE.md', writeMappedCommit(STRUCTURE, mappedSha));
+
+    await write('src/lib/more.ts', 'export {};\n');
+    await write('workers/cron.ts', 'export {};\n');
+    await write('src/routes/users.ts', 'export {};\n');
+    git('add src workers');
+    git('commit -m "feat: workers and routes"');
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('detects drift since last_mapped_commit natively', async () => {
+    const { data } = await verifyCodebaseDrift([], tmpDir);
+    expect(data).toMatchObject({
+      skipped: false,
+      elements: [
+        { category: 'new_dir', path: 'workers/cron.ts' },
+        { category: 'route', path: 'src/routes/users.ts' },
+      ],
+      action_required: true,
+      directive: 'warn',
+      spawn_mapper: false,
+      affected_paths: ['src', 'workers'],
+      threshold: 2,
+      action: 'warn',
+      last_mapped_commit: mappedSha,
+      counts: { added: 3, modified: 0, deleted: 0 },
+    });
+  });
+
+  it('--fix records the paths in STRUCTURE.md and moves the marker to HEAD', async () => {
+    const head = git('rev-parse HEAD');
+    const { data } = await verifyCodebaseDrift(['--fix'], tmpDir);
+    expect(data).toMatchObject({
+      action_required: false,
+      directive: 'none',
+      last_mapped_commit: head,
+      fixed: {
+        previous_commit: mappedSha,
+        added: [
+          { section: 'Directory Purposes', path: 'workers/' },
+          { section: 'Key File Locations', group: 'Routes', path: 'src/routes/users.ts' },
+        ],
+      },
+    });
+
+    const structure = await readFile(structurePath(), 'utf-8');
+    expect(readMappedCommit(structure)).toBe(head);
+    expect(structure).toContain(`**\`workers/\`:**\n- Purpose: _Added by drift repair at ${head.slice(0, 7)} — not yet described_`);
+    expect((await verifyCodebaseDrift([], tmpDir)).data).toMatchObject({ elements: [], action_required: false });
+  });
+
+  it('skips instead of failing', async () => {
+    await write('.planning/codebase/STRUCTURE.md', STRUCTURE);
+    expect((await verifyCodebaseDrift([], tmpDir)).data).toMatchObject({ skipped: true, reason: 'missing-last-mapped-commit' });
+    await write('.planning/codebase/STRUCTURE.md', writeMappedCommit(STRUCTURE, 'deadbeef'));
+    expect((await verifyCodebaseDrift([], tmpDir)).data).toMatchObject({ skipped: true, reason: 'unknown-last-mapped-commit' });
+    await rm(structurePath());
+    expect((await verifyCodebaseDrift([], tmpDir)).data).toMatchObject({ skipped: true, reason: 'missing-structure-md', action_required: false });
+  });
+
+  it('reports an unexpected failure as an error instead of a skip', async () => {
+    await rm(structurePath());
+    await mkdir(structurePath());
+
+    const { data } = await verifyCodebaseDrift([], tmpDir);
+    expect(data).toMatchObject({ skipped: false, action_required: true, directive: 'warn', spawn_mapper: false });
+    expect((data as { error: string }).error).toMatch(/EISDIR/);
+    expect((data as { message: string }).message).toMatch(/^Codebase drift check failed: /);
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * Codebase drift detection — ports `get-shit-done/bin/lib/drift.cjs` (#2003).
+ * Used by `verify.codebase-drift`; adds the STRUCTURE.md repair behind `--fix`.
+ *
+ * Drift is measured between `last_mapped_commit` (frontmatter of
+ * `.planning/codebase/STRUCTURE.md`) and HEAD. Each added file counts at most
+ * once, the most specific category winning (migration > route > barrel >
+ * new_dir); a plain file under a path STRUCTURE.md already mentions is not
+ * drift. Like the CJS library, {@link detectDrift} never throws — malformed
+ * input comes back as `{ skipped: true, reason }`.
+ */
+
+// ─── Constants ────────────────────────────────────────────────────────────
+
+export const DRIFT_CATEGORIES = ['new_dir', 'barrel', 'migration', 'route'] as const;
+
+export type DriftCategory = typeof DRIFT_CATEGORIES[number];
+
+export type DriftAction = 'warn' | 'auto-remap';
+
+/** Higher wins when a file matches more than one rule. */
+const CATEGORY_PRIORITY: Record<DriftCategory, number> = { new_dir: 0, barrel: 1, route: 2, migration: 3 };
+
+const BARREL_RE = /^(packages|apps)\/[^/]+\/src\/index\.(ts|tsx|js|mjs|cjs)$/;
+
+const MIGRATION_RES = [
+  /^supabase\/migrations\/.+\.sql$/,
+  /^prisma\/migrations\/.+/,
+  /^drizzle\/meta\/.+/,
+  /^drizzle\/migrations\/.+/,
+  /^src\/migrations\/.+\.(ts|js|sql)$/,
+  /^db\/migrations\/.+\.(sql|ts|js)$/,
+  /^migrations\/.+\.(sql|ts|js)$/,
+];
+
+const ROUTE_RES = [
+  /^(apps|packages)\/[^/]+\/src\/routes\/.+\.(ts|tsx|js|jsx|mjs|cjs)$/,
+  /^src\/routes\/.+\.(ts|tsx|js|jsx|mjs|cjs)$/,
+  /^src\/api\/.+\.(ts|tsx|js|jsx|mjs|cjs)$/,
+  /^(apps|packages)\/[^/]+\/src\/api\/.+\.(ts|tsx|js|jsx|mjs|cjs)$/,
+];
+
+/** Repo-relative path components of `[A-Za-z0-9_.-]`, no `..` — safe to splice into a mapper prompt. */
+const SAFE_PATH_RE = /^(?!.*\.\.)(?:[A-Za-z0-9_.][A-Za-z0-9_.\-]*)(?:\/[A-Za-z0-9_.][A-Za-z0-9_.\-]*)*$/;
+
+const CATEGORY_LABELS: Record<DriftCategory, string> = {
+  new_dir: 'New directories',
+  barrel: 'New barrel exports',
+  migration: 'New migrations',
+  route: 'New route modules',
+};
+
+// ─── Classification ───────────────────────────────────────────────────────
+
+const toSlash = (file: string) => file.replace(/\\/g, '/');
+
+/** Specific drift category of a repo-relative path, or null. */
+export function classifyFile(file: string): Exclude<DriftCategory, 'new_dir'> | null {
+  if (!file) return null;
+  const norm = toSlash(file);
+  if (MIGRATION_RES.some(r => r.test(norm))) return 'migration';
+  if (ROUTE_RES.some(r => r.test(norm))) return 'route';
+  if (BARREL_RE.test(norm)) return 'barrel';
+  return null;
+}
+
+/**
+ * True when any directory prefix of `file` appears in STRUCTURE.md.
+ * Substring matching on purpose — STRUCTURE.md is free-form markdown.
+ */
+export function isPathMapped(file: string, structureMd: string): boolean {
+  const parts = toSlash(file).split('/');
+  for (let i = parts.length - 1; i >= 1; i--) {
+    if (structureMd.includes(parts.slice(0, i).join('/'))) return true;
+  }
+  return structureMd.includes(parts[0] + '/') || structureMd.includes('`' + parts[0] + '`');
+}
+
+/**
+ * Top-level prefixes of drifted paths — `<apps|packages>/<name>` in a
+ * monorepo layout, the first directory otherwise — sorted and deduplicated.
+ */
+export function chooseAffectedPaths(paths: string[]): string[] {
+  const out = new Set<string>();
+  for (const raw of paths) {
+    if (!raw) continue;
+    const parts = toSlash(raw).split('/');
+    const top = parts[0]!;
+    out.add((top === 'apps' || top === 'packages') && parts.length >= 2 ? `${top}/${parts[1]}` : top);
+  }
+  return [...out].sort();
+}
+
+/** Drop absolute paths, traversal and shell metacharacters. */
+export function sanitizePaths(paths: string[]): string[] {
+  return paths.filter(p => typeof p === 'string' && !p.startsWith('/') && SAFE_PATH_RE.test(p));
+}
+
+// ─── Detection ────────────────────────────────────────────────────────────
+
+export interface DriftElement {
+  category: DriftCategory;
+  path: string;
+}
+
+export interface DriftInput {
+  addedFiles: string[];
+  modifiedFiles?: string[];
+  deletedFiles?: string[];
+  structureMd: string | null | undefined;
+  /** Minimum element count that requires action. Default: 3. */
+  threshold?: number;
+  action?: string;
+}
+
+export interface DriftResult {
+  skipped: boolean;
+  reason?: string;
+  elements: DriftElement[];
+  actionRequired: boolean;
+  directive: 'none' | DriftAction;
+  spawnMapper: boolean;
+  affectedPaths: string[];
+  threshold?: number;
+  action?: DriftAction;
+  message: string;
+  counts?: { added: number; modified: number; deleted: number };
+}
+
+function skipped(reason: string): DriftResult {
+  return { skipped: true, reason, elements: [], actionRequired: false, directive: 'none', spawnMapper: false, affectedPaths: [], message: '' };
+}
+
+function buildMessage(elements: DriftElement[], affectedPaths: string[], action: DriftAction): string {
+  const lines = [`Codebase drift detected: ${elements.length} structural element(s) since last mapping.`, ''];
+  for (const category of DRIFT_CATEGORIES) {
+    const paths = elements.filter(e => e.category === category).map(e => e.path);
+    if (paths.length === 0) continue;
+    lines.push(`${CATEGORY_LABELS[category]}:`, ...paths.map(p => `  - ${p}`));
+  }
+  lines.push('');
+  lines.push(action === 'auto-remap'
+    ? `Auto-remap scheduled for paths: ${affectedPaths.join(', ')}`
+    : `Run /gsd-map-codebase --paths ${affectedPaths.join(',')} to refresh planning context.`);
+  return lines.join('\n');
+}
+
+/**
+ * Classify added files against STRUCTURE.md and decide whether the drift
+ * threshold is reached. Never throws.
+ */
+export function detectDrift(input: DriftInput): DriftResult {
+  try {
+    const threshold = Number.isInteger(input.threshold) && input.threshold! >= 1 ? input.threshold! : 3;
+    const action: DriftAction = input.action === 'auto-remap' ? 'auto-remap' : 'warn';
+    const { structureMd } = input;
+    if (structureMd === null || structureMd === undefined) return skipped('missing-structure-md');
+    if (typeof structureMd !== 'string') return skipped('invalid-structure-md');
+
+    const added = (input.addedFiles ?? []).filter(f => typeof f === 'string');
+    const seen = new Map<string, DriftCategory>();
+    for (const raw of added) {
+      const file = toSlash(raw);
+      const category = classifyFile(file) ?? (isPathMapped(file, structureMd) ? null : 'new_dir');
+      if (!category) continue;
+      const prior = seen.get(file);
+      if (prior && CATEGORY_PRIORITY[prior] >= CATEGORY_PRIORITY[category]) continue;
+      seen.set(file, category);
+    }
+
+    const elements = [...seen].map(([path, category]) => ({ category, path }));
+    elements.sort((a, b) => a.category === b.category ? a.path.localeCompare(b.path) : a.category.localeCompare(b.category));
+
+    const actionRequired = elements.length >= threshold;
+    const affectedPaths = actionRequired ? chooseAffectedPaths(elements.map(e => e.path)) : [];
+    return {
+      skipped: false,
+      elements,
+      actionRequired,
+      directive: actionRequired ? action : 'none',
+      spawnMapper: actionRequired && action === 'auto-remap',
+      affectedPaths,
+      threshold,
+      action,
+      message: actionRequired ? buildMessage(elements, affectedPaths, action) : '',
+      counts: {
+        added: added.length,
+        modified: input.modifiedFiles?.length ?? 0,
+        deleted: input.deletedFiles?.length ?? 0,
+      },
+    };
+  } catch (err) {
+    return skipped('exception:' + (err instanceof Error ? err.message : String(err)));
+  }
+}
+
+/**
+ * Split `git diff --name-status` output into added / modified / deleted
+ * paths. Renames and copies count their new path as added (and a rename's
+ * old path as deleted).
+ */
+export function parseNameStatus(output: string): { added: string[]; modified: string[]; deleted: string[] } {
+  const added: string[] = [];
+  const modified: string[] = [];
+  const deleted: string[] = [];
+  for (const line of output.split('\n')) {
+    const [status, first, second] = line.split('\t');
+    if (!status || !first) continue;
+    if (status[0] === 'A') added.push(first);
+    else if (status[0] === 'M' || status[0] === 'T') modified.push(first);
+    else if (status[0] === 'D') deleted.push(first);
+    else if ((status[0] === 'R' || status[0] === 'C') && second) {
+      added.push(second);
+      if (status[0] === 'R') deleted.push(first);
+    }
+  }
+  return { added, modified, deleted };
+}
+
+// ─── Frontmatter marker ───────────────────────────────────────────────────
+
+const FRONTMATTER_RE = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/** Flat `key: value` frontmatter — the subset the mapper writes. */
+export function parseMarkerFrontmatter(content: string): { data: Record<string, string>; body: string } {
+  const m = content.match(FRONTMATTER_RE);
+  if (!m) return { data: {}, body: content };
+  const data: Record<string, string> = {};
+  for (const line of m[1]!.split(/\r?\n/)) {
+    const kv = line.match(/^([A-Za-z0-9_][A-Za-z0-9_-]*):\s*(.*)$/);
+    if (kv) data[kv[1]!] = kv[2]!;
+  }
+  return { data, body: content.slice(m[0].length) };
+}
+
+/** `last_mapped_commit` from a codebase document, or null. */
+export function readMappedCommit(content: string): string | null {
+  const sha = parseMarkerFrontmatter(content).data.last_mapped_commit;
+  return sha ? sha : null;
+}
+
+/** Upsert `last_mapped_commit` / `last_mapped_at`, keeping other keys and the body. */
+export function writeMappedCommit(content: string, commitSha: string, isoDate?: string): string {
+  const { data, body } = parseMarkerFrontmatter(content);
+  data.last_mapped_commit = commitSha;
+  if (isoDate) data.last_mapped_at = isoDate;
+  return ['---', ...Object.entries(data).map(([k, v]) => `${k}: ${v}`), '---'].join('\n') + '\n' + body;
+}
+
+// ─── STRUCTURE.md repair ──────────────────────────────────────────────────
+
+/** Where `--fix` records each category — sections of the STRUCTURE.md template. */
+const FIX_TARGETS: Record<DriftCategory, { section: string; group: string | null }> = {
+  new_dir: { section: 'Directory Purposes', group: null },
+  barrel: { section: 'Key File Locations', group: 'Entry Points' },
+  route: { section: 'Key File Locations', group: 'Routes' },
+  migration: { section: 'Key File Locations', group: 'Migrations' },
+};
+
+export interface StructureFix {
+  section: string;
+  group: string | null;
+  path: string;
+}
+
+/** First directory prefix of `file` that STRUCTURE.md does not mention. */
+function unmappedDir(file: string, structureMd: string): string {
+  const parts = toSlash(file).split('/');
+  for (let i = 1; i < parts.length; i++) {
+    const prefix = parts.slice(0, i).join('/');
+    if (!structureMd.includes(prefix)) return prefix;
+  }
+  return parts.length > 1 ? parts.slice(0, -1).join('/') : parts[0]!;
+}
+
+/** Insert `lines` at the end of `## section` (or a new section at the end), under `**group:**` when given. */
+function insertInSection(content: string, section: string, group: string | null, lines: string[]): string {
+  const all = content.split('\n');
+  const heading = all.findIndex(l => l.trim() === `## ${section}`);
+  if (heading === -1) {
+    const block = [`## ${section}`, '', ...(group ? [`**${group}:**`] : []), ...lines, ''];
+    return content.replace(/\n*$/, '\n\n') + block.join('\n');
+  }
+  let end = all.findIndex((l, i) => i > heading && /^##?\s/.test(l));
+  if (end === -1) end = all.length;
+
+  let at: number;
+  let insert = lines;
+  const groupLine = group ? all.findIndex((l, i) => i > heading && i < end && l.trim() === `**${group}:**`) : -1;
+  if (groupLine !== -1) {
+    at = groupLine + 1;
+    while (at < end && /^\s*-\s/.test(all[at]!)) at++;
+  } else {
+    at = end;
+    while (at > heading + 1 && all[at - 1]!.trim() === '') at--;
+    insert = ['', ...(group ? [`**${group}:**`] : []), ...lines];
+  }
+  all.splice(at, 0, ...insert);
+  return all.join('\n');
+}
+
+/**
+ * Record drift elements in STRUCTURE.md: new directories under
+ * "Directory Purposes", barrels / routes / migrations under "Key File
+ * Locations". Paths the document already mentions are left alone.
+ */
+export function fixStructureMd(structureMd: string, elements: DriftElement[], note: string): { content: string; added: StructureFix[] } {
+  let content = structureMd;
+  const added: StructureFix[] = [];
+
+  const dirs = new Map<string, string[]>();
+  for (const e of elements.filter(el => el.category === 'new_dir')) {
+    const dir = unmappedDir(e.path, structureMd);
+    dirs.set(dir, [...(dirs.get(dir) ?? []), e.path]);
+  }
+  for (const [dir, files] of dirs) {
+    if (content.includes(`\`${dir}/\``)) continue;
+    const lines = [
+      `**\`${dir}/\`:**`,
+      `- Purpose: ${note}`,
+      `- Key files: ${files.map(f => `\`${f}\``).join(', ')}`,
+    ];
+    content = insertInSection(content, FIX_TARGETS.new_dir.section, null, lines);
+    added.push({ section: FIX_TARGETS.new_dir.section, group: null, path: `${dir}/` });
+  }
+
+  for (const category of ['barrel', 'route', 'migration'] as const) {
+    const { section, group } = FIX_TARGETS[category];
+    const paths = elements.filter(e => e.category === category && !content.includes(e.path)).map(e => e.path);
+    if (paths.length === 0) continue;
+    content = insertInSection(content, section, group, paths.map(p => `- \`${p}\`: ${note}`));
+    added.push(...paths.map(path => ({ section, group, path })));
+  }
+  return { content, added };
+}
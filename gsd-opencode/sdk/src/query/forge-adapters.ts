@@ -0,0 +1,266 @@
+/**
+ * Forge adapters for the `forge.*` and `ship.pr` query handlers — where pull
+ * requests are opened for a git remote.
+ *
+ * Each adapter reports whether it can run here before it is used and turns
+ * a {@link PullRequestRequest} into a {@link PullRequest} of one shape,
+ * whichever host serves it. The forge is `git.forge` when set, otherwise it
+ * is detected from the remote URL.
+ *
+ * | Forge    | Remote                                  | Needs                 |
+ * |----------|-----------------------------------------|-----------------------|
+ * | `github` | `github.com` (and any unrecognised host) | `gh` on PATH         |
+ * | `gitlab` | host containing `gitlab`                | `glab` on PATH        |
+ * | `local`  | filesystem path or `file://` URL        | a bare repository     |
+ *
+ * The local forge keeps pull requests as JSON files under `gsd/pulls/` inside
+ * the bare repository, so the ship path can run offline and in tests against
+ * a temp bare repo.
+ */
+
+import { spawnSync } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, readdir, writeFile } from 'node:fs/promises';
+import { isAbsolute, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import type { GSDConfig } from '../config.js';
+import { execGit } from './commit.js';
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+export type ForgeName = 'github' | 'gitlab' | 'local';
+
+export const FORGE_NAMES: readonly ForgeName[] = ['github', 'gitlab', 'local'];
+
+export interface ForgeContext {
+  projectDir: string;
+  remote: string;
+  remoteUrl: string;
+}
+
+export interface PullRequestRequest {
+  title: string;
+  body: string;
+  base: string;
+  head: string;
+  draft: boolean;
+}
+
+export interface PullRequest {
+  number: number | null;
+  url: string | null;
+  title: string;
+  base: string;
+  head: string;
+  draft: boolean;
+  state: string;
+}
+
+export interface Forge {
+  name: ForgeName;
+  /** Why the forge cannot be used for this remote, or null when it can. */
+  unavailable(ctx: ForgeContext): string | null;
+  /** Open a pull request; throws with the tool's message when it fails. */
+  createPullRequest(ctx: ForgeContext, request: PullRequestRequest): Promise<PullRequest>;
+  /** Open pull requests, optionally only those from `head`. */
+  listPullRequests(ctx: ForgeContext, head?: string): Promise<PullRequest[]>;
+}
+
+// ─── CLI plumbing ──────────────────────────────────────────────────────────
+
+function run(cmd: string, args: string[], cwd: string): { exitCode: number; stdout: string; stderr: string } {
+  const result = spawnSync(cmd, args, { cwd, stdio: 'pipe', encoding: 'utf-8' });
+  return {
+    exitCode: result.status ?? 1,
+    stdout: (result.stdout ?? '').toString().trim(),
+    stderr: (result.stderr ?? '').toString().trim(),
+  };
+}
+
+function onPath(cmd: string, cwd: string): boolean {
+  return run(cmd, ['--version'], cwd).exitCode === 0;
+}
+
+function runOrThrow(cmd: string, args: string[], cwd: string): string {
+  const r = run(cmd, args, cwd);
+  if (r.exitCode !== 0) throw new Error(r.stderr || `${cmd} ${args[0]} ${args[1]} failed`);
+  return r.stdout;
+}
+
+/** Last URL the CLI printed and the number at its end (`/pull/12`, `/merge_requests/12`). */
+function parseCreatedUrl(stdout: string): { url: string | null; number: number | null } {
+  const urls = stdout.match(/https?:\/\/\S+/g);
+  const url = urls ? urls[urls.length - 1]! : null;
+  const number = url?.match(/\/(\d+)\/?$/);
+  return { url, number: number ? Number(number[1]) : null };
+}
+
+// ─── GitHub / GitLab ───────────────────────────────────────────────────────
+
+const github: Forge = {
+  name: 'github',
+  unavailable: ({ projectDir }) => onPath('gh', projectDir) ? null : 'gh CLI not found',
+  async createPullRequest({ projectDir }, { title, body, base, head, draft }) {
+    const args = ['pr', 'create', '--title', title, '--body', body, '--base', base, '--head', head];
+    if (draft) args.push('--draft');
+    const created = parseCreatedUrl(runOrThrow('gh', args, projectDir));
+    return { ...created, title, base, head, draft, state: 'open' };
+  },
+  async listPullRequests({ projectDir }, head) {
+    const args = ['pr', 'list', '--state', 'open', '--json', 'number,url,title,baseRefName,headRefName,isDraft,state'];
+    if (head) args.push('--head', head);
+    const rows = JSON.parse(runOrThrow('gh', args, projectDir) || '[]') as Array<{
+      number: number; url: string; title: string; baseRefName: string; headRefName: string; isDraft: boolean; state: string;
+    }>;
+    return rows.map(r => ({
+      number: r.number,
+      url: r.url,
+      title: r.title,
+      base: r.baseRefName,
+      head: r.headRefName,
+      draft: r.isDraft,
+      state: r.state.toLowerCase(),
+    }));
+  },
+};
+
+const gitlab: Forge = {
+  name: 'gitlab',
+  unavailable: ({ projectDir }) => onPath('glab', projectDir) ? null : 'glab CLI not found',
+  async createPullRequest({ projectDir }, { title, body, base, head, draft }) {
+    const args = ['mr', 'create', '--title', title, '--description', body, '--target-branch', base, '--source-branch', head, '--yes'];
+    if (draft) args.push('--draft');
+    const created = parseCreatedUrl(runOrThrow('glab', args, projectDir));
+    return { ...created, title, base, head, draft, state: 'open' };
+  },
+  async listPullRequests({ projectDir }, head) {
+    const args = ['mr', 'list', '--output', 'json'];
+    if (head) args.push('--source-branch', head);
+    const rows = JSON.parse(runOrThrow('glab', args, projectDir) || '[]') as Array<{
+      iid: number; web_url: string; title: string; target_branch: string; source_branch: string; draft: boolean; state: string;
+    }>;
+    return rows.map(r => ({
+      number: r.iid,
+      url: r.web_url,
+      title: r.title,
+      base: r.target_branch,
+      head: r.source_branch,
+      draft: r.draft,
+      state: r.state === 'opened' ? 'open' : r.state,
+    }));
+  },
+};
+
+// ─── Local bare repository ─────────────────────────────────────────────────
+
+/** Filesystem path of a local remote URL, or null for network remotes. */
+export function localRemotePath(remoteUrl: string, projectDir: string): string | null {
+  if (remoteUrl.startsWith('file://')) return fileURLToPath(remoteUrl);
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(remoteUrl) || /^[^/\\]+@[^:]+:/.test(remoteUrl)) return null;
+  // scp-style `host:path` without a user; a Windows drive letter is a path
+  if (/^[^/\\]{2,}:/.test(remoteUrl)) return null;
+  return isAbsolute(remoteUrl) ? remoteUrl : resolve(projectDir, remoteUrl);
+}
+
+interface StoredPullRequest extends PullRequest {
+  number: number;
+  body: string;
+  head_sha: string;
+  created: string;
+}
+
+const pullsDir = (bare: string) => join(bare, 'gsd', 'pulls');
+
+async function readPulls(bare: string): Promise<StoredPullRequest[]> {
+  const dir = pullsDir(bare);
+  if (!existsSync(dir)) return [];
+  const files = (await readdir(dir)).filter(f => /^\d+\.json$/.test(f));
+  const pulls = await Promise.all(files.map(async f => JSON.parse(await readFile(join(dir, f), 'utf-8')) as StoredPullRequest));
+  return pulls.sort((a, b) => a.number - b.number);
+}
+
+const publicView = ({ number, url, title, base, head, draft, state }: StoredPullRequest): PullRequest =>
+  ({ number, url, title, base, head, draft, state });
+
+const local: Forge = {
+  name: 'local',
+  unavailable({ projectDir, remoteUrl }) {
+    const bare = localRemotePath(remoteUrl, projectDir);
+    if (!bare) return 'remote is not a local path';
+    if (!existsSync(bare)) return `${bare} does not exist`;
+    return execGit(bare, ['rev-parse', '--is-bare-repository']).stdout === 'true' ? null : `${bare} is not a bare repository`;
+  },
+  async createPullRequest({ projectDir, remoteUrl }, { title, body, base, head, draft }) {
+    const bare = localRemotePath(remoteUrl, projectDir)!;
+    for (const branch of [base, head]) {
+      if (execGit(bare, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]).exitCode !== 0) {
+        throw new Error(`branch ${branch} not found on the remote`);
+      }
+    }
+    const pulls = await readPulls(bare);
+    const open = pulls.find(p => p.head === head && p.base === base && p.state === 'open');
+    if (open) throw new Error(`a pull request for ${head} into ${base} already exists: #${open.number}`);
+
+    const number = pulls.reduce((max, p) => Math.max(max, p.number), 0) + 1;
+    const file = join(pullsDir(bare), `${number}.json`);
+    const pull: StoredPullRequest = {
+      number,
+      url: pathToFileURL(file).href,
+      title,
+      base,
+      head,
+      draft,
+      state: 'open',
+      body,
+      head_sha: execGit(bare, ['rev-parse', `refs/heads/${head}`]).stdout,
+      created: new Date().toISOString(),
+    };
+    await mkdir(pullsDir(bare), { recursive: true });
+    await writeFile(file, JSON.stringify(pull, null, 2) + '\n', 'utf-8');
+    return publicView(pull);
+  },
+  async listPullRequests({ projectDir, remoteUrl }, head) {
+    const bare = localRemotePath(remoteUrl, projectDir)!;
+    return (await readPulls(bare))
+      .filter(p => p.state === 'open' && (!head || p.head === head))
+      .map(publicView);
+  },
+};
+
+// ─── Resolution ────────────────────────────────────────────────────────────
+
+const FORGES: Record<ForgeName, Forge> = { github, gitlab, local };
+
+/** Forge for a remote URL: local paths, then GitLab hosts, then GitHub. */
+export function detectForge(remoteUrl: string, projectDir: string): ForgeName {
+  if (localRemotePath(remoteUrl, projectDir)) return 'local';
+  if (/gitlab/i.test(remoteUrl)) return 'gitlab';
+  return 'github';
+}
+
+export interface ResolvedForge {
+  forge: Forge;
+  ctx: ForgeContext;
+}
+
+/**
+ * Forge and remote for a project — `remote` (default `origin`, else the only
+ * remote), with the forge from `git.forge` or the remote URL. Null when the
+ * project has no such remote.
+ */
+export function resolveForge(projectDir: string, config: GSDConfig, remote?: string): ResolvedForge | null {
+  let name = remote;
+  if (!name) {
+    const remotes = execGit(projectDir, ['remote']).stdout.split('\n').filter(Boolean);
+    name = remotes.includes('origin') ? 'origin' : remotes[0];
+  }
+  if (!name) return null;
+  const url = execGit(projectDir, ['remote', 'get-url', name]);
+  if (url.exitCode !== 0 || !url.stdout) return null;
+
+  const configured = config.git.forge;
+  const forgeName = configured && configured !== 'auto' && (FORGE_NAMES as readonly string[]).includes(configured)
+    ? configured as ForgeName
+    : detectForge(url.stdout, projectDir);
+  return { forge: FORGES[forgeName], ctx: { projectDir, remote: name, remoteUrl: url.stdout } };
+}
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for the forge adapters and the forge / ship.pr handlers, run
+ * end to end against a temp bare repository as `origin`.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, mkdir, rm, readFile, chmod } from 'node:fs/promises';
+import { join, delimiter } from 'node:path';
+import { tmpdir } from 'node:os';
+import { execSync } from 'node:child_process';
+import { detectForge, localRemotePath } from './forge-adapters.js';
+import { forgeDetect, forgePrCreate, forgePrList, shipPr } from './forge.js';
+import { checkShipReady } from './check-ship-ready.js';
+import { GSDError } from '../errors.js';
+
+let root: string;
+let projectDir: string;
+let bareDir: string;
+
+async function write(rel: string, content: string): Promise<void> {
+  await mkdir(join(projectDir, rel, '..'), { recursive: true });
+  await writeFile(join(projectDir, rel), content);
+}
+
+const git = (cmd: string, cwd = projectDir) => execSync(`git ${cmd}`, { cwd, stdio: 'pipe' }).toString().trim();
+
+beforeEach(async () => {
+  root = await mkdtemp(join(tmpdir(), 'gsd-forge-'));
+  projectDir = join(root, 'project');
+  bareDir = join(root, 'origin.git');
+  git(`init --bare -b main ${bareDir}`, root);
+  await mkdir(projectDir);
+  git('init -b main');
+  git('config user.email "test@test.com"');
+  git('config user.name "Test"');
+  git(`remote add origin ${bareDir}`);
+
+  await write('.planning/config.json', JSON.stringify({ git: { branching_strategy: 'phase' } }));
+  await write('.planning/ROADMAP.md', '# Roadmap\n\n## v1.0 Launch\n\n### Phase 1: Auth\n\n**Goal:** Users can sign in\n');
+  await write('.planning/phases/01-auth/01-01-PLAN.md', '---\nwave: 1\n---\n');
+  await write('.planning/phases/01-auth/01-VERIFICATION.md', '---\nstatus: passed\n---\n');
+  git('add -A');
+  git('commit -m "chore: init"');
+  git('push origin main');
+
+  git('checkout -b gsd/phase-01-auth');
+  await write('.planning/phases/01-auth/01-01-SUMMARY.md', '---\nrequirements-completed: []\n---\n\n# Phase 1 Plan 01: Auth Summary\n\n**Sign-in form**\n');
+  await write('src/auth.ts', 'export {};\n');
+  git('add -A');
+  git('commit -m "feat(01-01): auth"');
+});
+
+afterEach(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+describe('forge detection', () => {
+  it.each([
+    ['git@github.com:o/r.git', 'github'],
+    ['https://github.com/o/r', 'github'],
+    ['https://gitlab.example.com/o/r.git', 'gitlab'],
+    ['ssh://git@git.example.com/o/r.git', 'github'],
+    ['/srv/git/r.git', 'local'],
+    ['../r.git', 'local'],
+    ['file:///srv/git/r.git', 'local'],
+  ])('%s → %s', (url, forge) => {
+    expect(detectForge(url, '/project')).toBe(forge);
+  });
+
+  it('resolves local remotes against the project directory', () => {
+    expect(localRemotePath('../r.git', join('/work', 'project'))).toBe(join('/work', 'r.git'));
+    expect(localRemotePath('host:o/r.git', '/work')).toBeNull();
+  });
+
+  it('reports the forge for the remote', async () => {
+    expect((await forgeDetect([], projectDir)).data).toEqual({
+      remote: 'origin', remote_url: bareDir, forge: 'local', available: true, reason: null,
+    });
+    expect((await forgeDetect(['--remote', 'upstream'], projectDir)).data).toMatchObject({ forge: null, available: false });
+  });
+});
+
+describe('ship.pr on a local bare repo', () => {
+  it('pushes the branch and records the pull request in the bare repo', async () => {
+    const { data } = await shipPr(['1', '--draft'], projectDir);
+    expect(data).toMatchObject({
+      shipped: true,
+      forge: 'local',
+      remote: 'origin',
+      number: 1,
+      title: 'Phase 01: Auth',
+      branch: 'gsd/phase-01-auth',
+      base: 'main',
+      draft: true,
+      existing: false,
+      commits_ahead: 1,
+    });
+    expect(git('rev-parse refs/heads/gsd/phase-01-auth', bareDir)).toBe(git('rev-parse HEAD'));
+
+    const stored = JSON.parse(await readFile(join(bareDir, 'gsd', 'pulls', '1.json'), 'utf-8'));
+    expect(stored).toMatchObject({ number: 1, head: 'gsd/phase-01-auth', base: 'main', state: 'open' });
+    expect(stored.body).toContain('### Plan 01-01\n\nSign-in form\n');
+
+    const again = (await shipPr(['1'], projectDir)).data;
+    expect(again).toMatchObject({ shipped: true, number: 1, existing: true });
+    const list = (await forgePrList([], projectDir)).data as { pull_requests: unknown[] };
+    expect(list.pull_requests).toHaveLength(1);
+  });
+
+  it('refuses to ship the base branch into itself', async () => {
+    git('checkout main');
+    expect((await shipPr(['1'], projectDir)).data).toMatchObject({ shipped: false, reason: 'on main — ship from a feature branch' });
+  });
+
+  it('reports a missing remote', async () => {
+    git('remote remove origin');
+    expect((await shipPr(['1', '--base', 'main'], projectDir)).data).toMatchObject({ shipped: false, reason: 'no git remote configured' });
+    await expect(shipPr([], projectDir)).rejects.toThrow(GSDError);
+  });
+});
+
+describe('forge.pr-create', () => {
+  it('opens a pull request for a pushed branch and rejects unpushed ones', async () => {
+    await writeFile(join(root, 'body.md'), 'Filtered PR\n');
+    const unpushed = (await forgePrCreate(['--title', 'Auth', '--base', 'main'], projectDir)).data;
+    expect(unpushed).toMatchObject({ created: false, reason: 'branch gsd/phase-01-auth not found on the remote' });
+
+    git('push origin gsd/phase-01-auth');
+    const { data } = await forgePrCreate(['--title', 'Auth', '--base', 'main', '--body-file', join(root, 'body.md')], projectDir);
+    expect(data).toMatchObject({ created: true, forge: 'local', number: 1, head: 'gsd/phase-01-auth', draft: false });
+
+    const dup = (await forgePrCreate(['--title', 'Auth', '--base', 'main'], projectDir)).data;
+    expect(dup).toMatchObject({ created: false, reason: 'a pull request for gsd/phase-01-auth into main already exists: #1' });
+    await expect(forgePrCreate(['--base', 'main'], projectDir)).rejects.toThrow(GSDError);
+  });
+});
+
+describe('github adapter', () => {
+  let savedPath: string | undefined;
+
+  beforeEach(async () => {
+    // Stand-in `gh` that records its argv and answers like the real CLI
+    const bin = join(root, 'bin');
+    await mkdir(bin);
+    await writeFile(join(bin, 'gh'), [
+      '#!/bin/sh',
+      `echo "$@" >> "${join(root, 'gh.log')}"`,
+      'case "$1 $2" in',
+      '  "pr create") echo "https://github.com/o/r/pull/42" ;;',
+      '  "pr list") echo "[]" ;;',
+      '  *) echo "gh version 2.0.0" ;;',
+      'esac',
+      '',
+    ].join('\n'));
+    await chmod(join(bin, 'gh'), 0o755);
+    savedPath = process.env.PATH;
+    process.env.PATH = `${bin}${delimiter}${savedPath}`;
+    await write('.planning/config.json', JSON.stringify({ git: { branching_strategy: 'phase', forge: 'github' } }));
+  });
+
+  afterEach(() => {
+    process.env.PATH = savedPath;
+  });
+
+  it('ships through gh when git.forge is github', async () => {
+    const { data } = await shipPr(['1'], projectDir);
+    expect(data).toMatchObject({ shipped: true, forge: 'github', number: 42, url: 'https://github.com/o/r/pull/42' });
+    const log = await readFile(join(root, 'gh.log'), 'utf-8');
+    expect(log).toContain('pr create --title Phase 01: Auth --body ## Summary');
+    expect(log).toContain('--base main --head gsd/phase-01-auth');
+
+    expect((await checkShipReady(['1'], projectDir)).data).toMatchObject({ forge: 'github', forge_available: true });
+  });
+});
+
+describe('check.ship-ready with a forge', () => {
+  it('is ready on a clean feature branch with a usable forge', async () => {
+    const { data } = await checkShipReady(['1'], projectDir);
+    expect(data).toMatchObject({ ready: true, forge: 'local', forge_available: true, blockers: [] });
+  });
+
+  it('blocks when the remote is not a bare repository', async () => {
+    git(`remote set-url origin ${join(root, 'missing.git')}`);
+    const { data } = await checkShipReady(['1'], projectDir);
+    expect(data).toMatchObject({ ready: false, forge: 'local', forge_available: false });
+    expect((data as { blockers: string[] }).blockers).toContain(`forge unavailable: ${join(root, 'missing.git')} does not exist`);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Forge query handlers — `forge.detect`, `forge.pr-create`, `forge.pr-list`
+ * and `ship.pr`.
+ *
+ * Pull requests go through the adapter for the remote (`forge-adapters.ts`):
+ * GitHub via `gh`, GitLab via `glab`, or a local bare repository that keeps
+ * pull requests as JSON, so the ship path runs the same way on any of them.
+ * `ship.pr` is the create-PR half of `/gsd-ship`: it pushes the current
+ * branch and opens a pull request titled and described by `git.pr-body`.
+ * A missing remote, an unusable forge and tool failures are reported as
+ * `{ reason }` rather than thrown, like `commit`.
+ *
+ * @example
+ * ```typescript
+ * import { shipPr } from './forge.js';
+ *
+ * await shipPr(['3', '--draft'], '/project');
+ * // { data: { shipped: true, forge: 'github', number: 42, url: 'https://github.com/o/r/pull/42', branch: 'gsd/phase-03-auth', base: 'main', ... } }
+ * ```
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { loadConfig } from '../config.js';
+import { GSDError, ErrorClassification } from '../errors.js';
+import { execGit } from './commit.js';
+import { resolveForge, type ResolvedForge } from './forge-adapters.js';
+import { gitPrBody } from './git-branch.js';
+import type { QueryHandler } from './utils.js';
+
+// ─── Helpers ───────────────────────────────────────────────────────────────
+
+const VALUE_FLAGS = new Set(['--remote', '--title', '--body', '--body-file', '--base', '--head']);
+
+function parseForgeArgs(args: string[]): { positional: string[]; values: Record<string, string>; draft: boolean } {
+  const positional: string[] = [];
+  const values: Record<string, string> = {};
+  let draft = false;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]!;
+    if (VALUE_FLAGS.has(arg)) {
+      const value = args[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new GSDError(`${arg} requires a value`, ErrorClassification.Validation);
+      }
+      values[arg.slice(2)] = value;
+    } else if (arg === '--draft') {
+      draft = true;
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, values, draft };
+}
+
+async function forgeFor(projectDir: string, remote: string | undefined, workstream?: string): Promise<ResolvedForge | { reason: string }> {
+  const config = await loadConfig(projectDir, workstream);
+  const resolved = resolveForge(projectDir, config, remote);
+  if (!resolved) return { reason: remote ? `remote ${remote} not found` : 'no git remote configured' };
+  const unavailable = resolved.forge.unavailable(resolved.ctx);
+  return unavailable ? { reason: `${resolved.forge.name}: ${unavailable}` } : resolved;
+}
+
+function currentBranch(projectDir: string): string | null {
+  const r = execGit(projectDir, ['symbolic-ref', '--quiet', '--short', 'HEAD']);
+  return r.exitCode === 0 ? r.stdout : null;
+}
+
+const message = (err: unknown) => err instanceof Error ? err.message : String(err);
+
+// ─── Handlers ──────────────────────────────────────────────────────────────
+
+/**
+ * Query handler for `forge.detect` — which forge serves the remote and whether it can be used.
+ *
+ * @param args - `[--remote <name>]` (default `origin`, else the only remote)
+ * @param projectDir - Project root directory
+ * @returns QueryResult with `{ remote, remote_url, forge, available, reason }`
+ */
+export const forgeDetect: QueryHandler = async (args, projectDir, workstream) => {
+  const { values } = parseForgeArgs(args);
+  const config = await loadConfig(projectDir, workstream);
+  const resolved = resolveForge(projectDir, config, values.remote);
+  if (!resolved) {
+    return { data: { remote: values.remote ?? null, remote_url: null, forge: null, available: false, reason: 'no git remote configured' } };
+  }
+  const reason = resolved.forge.unavailable(resolved.ctx);
+  return {
+    data: {
+      remote: resolved.ctx.remote,
+      remote_url: resolved.ctx.remoteUrl,
+      forge: resolved.forge.name,
+      available: reason === null,
+      reason,
+    },
+  };
+};
+
+/**
+ * Query handler for `forge.pr-create` — open a pull request for a branch that is already pushed.
+ *
+ * @param args - `--title <t> --base <branch> [--head <branch>] [--body <text> | --body-file <path>] [--draft] [--remote <name>]`
+ * @param projectDir - Project root directory
+ * @returns QueryResult with `{ created, forge, number, url, title, base, head, draft }`, or `{ created: false, reason }`
+ */
+export const forgePrCreate: QueryHandler = async (args, projectDir, workstream) => {
+  const { values, draft } = parseForgeArgs(args);
+  if (!values.title || !values.base) {
+    throw new GSDError(
+      'Usage: forge pr-create --title <title> --base <branch> [--head <branch>] [--body <text> | --body-file <path>] [--draft] [--remote <name>]',
+      ErrorClassification.Validation,
+    );
+  }
+  const body = values['body-file'] ? await readFile(resolve(projectDir, values['body-file']), 'utf-8') : values.body ?? '';
+  const head = values.head ?? currentBranch(projectDir);
+  if (!head) return { data: { created: false, reason: 'HEAD is detached — pass --head' } };
+
+  const resolved = await forgeFor(projectDir, values.remote, workstream);
+  if ('reason' in resolved) return { data: { created: false, ...resolved } };
+  try {
+    const pr = await resolved.forge.createPullRequest(resolved.ctx, { title: values.title, body, base: values.base, head, draft });
+    return { data: { created: true, forge: resolved.forge.name, ...pr } };
+  } catch (err) {
+    return { data: { created: false, forge: resolved.forge.name, reason: message(err) } };
+  }
+};
+
+/**
+ * Query handler for `forge.pr-list` — open pull requests on the remote.
+ *
+ * @param args - `[--head <branch>] [--remote <name>]`
+ * @param projectDir - Project root directory
+ * @returns QueryResult with `{ forge, pull_requests }`, or `{ reason }`
+ */
+export const forgePrList: QueryHandler = async (args, projectDir, workstream) => {
+  const { values } = parseForgeArgs(args);
+  const resolved = await forgeFor(projectDir, values.remote, workstream);
+  if ('reason' in resolved) return { data: { pull_requests: [], ...resolved } };
+  try {
+    return { data: { forge: resolved.forge.name, pull_requests: await resolved.forge.listPullRequests(resolved.ctx, values.head) } };
+  } catch (err) {
+    return { data: { forge: resolved.forge.name, pull_requests: [], reason: message(err) } };
+  }
+};
+
+/**
+ * Query handler for `ship.pr` — push the current branch and open its pull
+ * request, or return the one already open for it.
+ *
+ * Title, body and default base come from `git.pr-body`. Run `check.ship-ready`
+ * first; this handler only refuses what would make the pull request
+ * meaningless (detached HEAD, shipping the base branch into itself).
+ *
+ * @param args - `<phase> [--base <branch>] [--title <t>] [--draft] [--remote <name>]`
+ * @param projectDir - Project root directory
+ * @returns QueryResult with `{ shipped, forge, remote, number, url, title, branch, base, draft, existing, commits_ahead }`, or `{ shipped: false, reason }`
+ */
+export const shipPr: QueryHandler = async (args, projectDir, workstream) => {
+  const { positional, values, draft } = parseForgeArgs(args);
+  const phase = positional[0];
+  if (!phase) {
+    throw new GSDError('Usage: ship pr <phase> [--base <branch>] [--title <title>] [--draft] [--remote <name>]', ErrorClassification.Validation);
+  }
+
+  const prBody = (await gitPrBody([phase], projectDir, workstream)).data as Record<string, unknown>;
+  if (prBody.error) return { data: { shipped: false, ...prBody } };
+
+  const branch = currentBranch(projectDir);
+  if (!branch) return { data: { shipped: false, reason: 'HEAD is detached' } };
+  const base = values.base ?? (prBody.base as string | null);
+  if (!base) return { data: { shipped: false, branch, reason: 'base branch unknown — pass --base' } };
+  if (branch === base) return { data: { shipped: false, branch, base, reason: `on ${base} — ship from a feature branch` } };
+
+  const resolved = await forgeFor(projectDir, values.remote, workstream);
+  if ('reason' in resolved) return { data: { shipped: false, branch, base, ...resolved } };
+  const { forge, ctx } = resolved;
+
+  const push = execGit(projectDir, ['push', '--set-upstream', ctx.remote, branch]);
+  if (push.exitCode !== 0) {
+    return { data: { shipped: false, forge: forge.name, branch, base, reason: push.stderr || 'push failed' } };
+  }
+  const ahead = execGit(projectDir, ['rev-list', '--count', `${ctx.remote}/${base}..${branch}`]);
+  const shipped = {
+    shipped: true,
+    forge: forge.name,
+    remote: ctx.remote,
+    branch,
+    base,
+    commits_ahead: ahead.exitCode === 0 ? Number(ahead.stdout) : null,
+  };
+
+  try {
+    const open = (await forge.listPullRequests(ctx, branch)).find(pr => pr.base === base);
+    if (open) return { data: { ...shipped, ...open, branch, existing: true } };
+    const title = values.title ?? String(prBody.title);
+    const pr = await forge.createPullRequest(ctx, { title, body: String(prBody.body), base, head: branch, draft });
+    return { data: { ...shipped, ...pr, branch, existing: false } };
+  } catch (err) {
+    return { data: { ...shipped, shipped: false, pushed: true, reason: message(err) } };
+  }
+};
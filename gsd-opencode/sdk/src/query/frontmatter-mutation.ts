@@ -21,6 +21,7 @@ import { readFile, writeFile } from 'node:fs/promises';
 import { GSDError, ErrorClassification } from '../errors.js';
 import { extractFrontmatter } from './frontmatter.js';
 import { normalizeMd, resolvePathUnderProject } from './helpers.js';
+import { withLock } from './locks.js';
 import type { QueryHandler } from './utils.js';
 
 // ─── FRONTMATTER_SCHEMAS ──────────────────────────────────────────────────
@@ -203,20 +204,23 @@ export const frontmatterSet: QueryHandler = async (args, projectDir) => {
     throw err;
   }
 
-  let content: string;
-  try {
-    content = await readFile(fullPath, 'utf-8');
-  } catch {
-    return { data: { error: 'File not found', path: filePath } };
-  }
+  // Held across read -> write so concurrent plan/summary updates are not lost
+  return withLock(fullPath, async () => {
+    let content: string;
+    try {
+      content = await readFile(fullPath, 'utf-8');
+    } catch {
+      return { data: { error: 'File not found', path: filePath } };
+    }
 
-  const fm = extractFrontmatter(content);
-  const parsedValue = parseSimpleValue(value);
-  fm[field] = parsedValue;
-  const newContent = spliceFrontmatter(content, fm);
-  await writeFile(fullPath, normalizeMd(newContent), 'utf-8');
+    const fm = extractFrontmatter(content);
+    const parsedValue = parseSimpleValue(value);
+    fm[field] = parsedValue;
+    const newContent = spliceFrontmatter(content, fm);
+    await writeFile(fullPath, normalizeMd(newContent), 'utf-8');
 
-  return { data: { updated: true, field, value: parsedValue } };
+    return { data: { updated: true, field, value: parsedValue } };
+  });
 };
 
 // ─── frontmatterMerge ──────────────────────────────────────────────────────
@@ -255,26 +259,28 @@ export const frontmatterMerge: QueryHandler = async (args, projectDir) => {
     throw err;
   }
 
-  let content: string;
-  try {
-    content = await readFile(fullPath, 'utf-8');
-  } catch {
-    return { data: { error: 'File not found', path: filePath } };
-  }
+  return withLock(fullPath, async () => {
+    let content: string;
+    try {
+      content = await readFile(fullPath, 'utf-8');
+    } catch {
+      return { data: { error: 'File not found', path: filePath } };
+    }
 
-  let mergeData: Record<string, unknown>;
-  try {
-    mergeData = JSON.parse(jsonString) as Record<string, unknown>;
-  } catch {
-    throw new GSDError('Invalid JSON for merge data', ErrorClassification.Validation);
-  }
+    let mergeData: Record<string, unknown>;
+    try {
+      mergeData = JSON.parse(jsonString) as Record<string, unknown>;
+    } catch {
+      throw new GSDError('Invalid JSON for merge data', ErrorClassification.Validation);
+    }
 
-  const fm = extractFrontmatter(content);
-  Object.assign(fm, mergeData);
-  const newContent = spliceFrontmatter(content, fm);
-  await writeFile(fullPath, normalizeMd(newContent), 'utf-8');
+    const fm = extractFrontmatter(content);
+    Object.assign(fm, mergeData);
+    const newContent = spliceFrontmatter(content, fm);
+    await writeFile(fullPath, normalizeMd(newContent), 'utf-8');
 
-  return { data: { merged: true, fields: Object.keys(mergeData) } };
+    return { data: { merged: true, fields: Object.keys(mergeData) } };
+  });
 };
 
 // ─── frontmatterValidate ───────────────────────────────────────────────────
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for the phase / milestone branch lifecycle and PR body handlers.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, mkdir, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { execSync } from 'node:child_process';
+import { expandBranchTemplate, gitPhaseBranch, gitMilestoneBranch, gitPrBody } from './git-branch.js';
+import { GSDError } from '../errors.js';
+
+let tmpDir: string;
+
+const ROADMAP = `# Roadmap
+
+## v1.0 Launch Ready
+
+### Phase 3: Auth
+
+**Goal:** Users can sign in
+`;
+
+const SUMMARY = `---
+phase: 03-auth
+plan: 01
+requirements-completed: [AUTH-01]
+key-files:
+  created: [src/auth.ts]
+  modified: [src/app.ts]
+key-decisions:
+  - "Argon2 for hashing: memory-hard"
+---
+
+# Phase 3 Plan 01: Auth Summary
+
+**Email sign-in with argon2 password hashing**
+`;
+
+async function write(rel: string, content: string): Promise<void> {
+  await mkdir(join(tmpDir, rel, '..'), { recursive: true });
+  await writeFile(join(tmpDir, rel), content);
+}
+
+const git = (cmd: string) => execSync(`git ${cmd}`, { cwd: tmpDir, stdio: 'pipe' }).toString().trim();
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'gsd-git-branch-'));
+  git('init -b main');
+  git('config user.email "test@test.com"');
+  git('config user.name "Test"');
+  await write('.planning/config.json', JSON.stringify({ git: { branching_strategy: 'phase' } }));
+  await write('.planning/ROADMAP.md', ROADMAP);
+  await write('.planning/REQUIREMENTS.md', '# Requirements\n\n- [x] **AUTH-01**: User can sign in with email\n');
+  await write('.planning/phases/03-auth/03-01-PLAN.md', '---\nwave: 1\n---\n');
+  await write('src/app.ts', 'export {};\n');
+  git('add -A');
+  git('commit -m "chore: init"');
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('expandBranchTemplate', () => {
+  it('replaces every placeholder and blanks unknown values', () => {
+    expect(expandBranchTemplate('{project}/phase-{phase}-{slug}', { phase: '03', slug: 'auth' })).toBe('/phase-03-auth');
+    expect(expandBranchTemplate('gsd/{milestone}-{slug}-{milestone}', { milestone: 'v1.0', slug: 'x' })).toBe('gsd/v1.0-x-v1.0');
+  });
+});
+
+describe('git.phase-branch', () => {
+  it('creates the phase branch from the current branch and records the base', async () => {
+    const { data } = await gitPhaseBranch(['start', '3'], tmpDir);
+    expect(data).toMatchObject({
+      action: 'start',
+      phase: '03',
+      branching_strategy: 'phase',
+      branch: 'gsd/phase-03-auth',
+      switched: true,
+      created: true,
+      base: 'main',
+    });
+    expect(git('branch --show-current')).toBe('gsd/phase-03-auth');
+
+    const again = (await gitPhaseBranch(['start', '3'], tmpDir)).data;
+    expect(again).toMatchObject({ switched: false, already_on: true, base: 'main' });
+  });
+
+  it('refuses to switch with uncommitted tracked changes', async () => {
+    await write('src/app.ts', 'export const x = 1;\n');
+    await write('notes.txt', 'untracked\n');
+    const { data } = await gitPhaseBranch(['start', '3'], tmpDir);
+    expect(data).toMatchObject({ switched: false, reason: 'working tree has uncommitted changes', dirty: ['src/app.ts'] });
+    expect(git('branch --show-current')).toBe('main');
+  });
+
+  it('merges back with --no-ff and deletes the branch', async () => {
+    await gitPhaseBranch(['start', '3'], tmpDir);
+    await write('src/auth.ts', 'export {};\n');
+    git('add src/auth.ts');
+    git('commit -m "feat(03-01): auth"');
+
+    const { data } = await gitPhaseBranch(['finish', '3', '--delete'], tmpDir);
+    expect(data).toMatchObject({ branch: 'gsd/phase-03-auth', into: 'main', merged: true, strategy: 'merge', deleted: true });
+    expect(git('branch --show-current')).toBe('main');
+    expect(git('log -1 --format=%p').split(' ')).toHaveLength(2);
+    expect(git('branch --list gsd/*')).toBe('');
+  });
+
+  it('squashes into one commit', async () => {
+    await gitPhaseBranch(['start', '3'], tmpDir);
+    await write('src/auth.ts', 'export {};\n');
+    git('add src/auth.ts');
+    git('commit -m "feat(03-01): auth"');
+
+    const { data } = await gitPhaseBranch(['finish', '3', '--squash', '--delete'], tmpDir);
+    expect(data).toMatchObject({ merged: true, strategy: 'squash', deleted: true });
+    expect(git('log -1 --format=%s')).toBe('feat: gsd/phase-03-auth');
+    expect(git('log -1 --format=%p').split(' ')).toHaveLength(1);
+  });
+
+  it('aborts a conflicting merge and returns to the phase branch', async () => {
+    await gitPhaseBranch(['start', '3'], tmpDir);
+    await write('src/app.ts', 'export const a = 1;\n');
+    git('commit -am "feat: a"');
+    git('checkout main');
+    await write('src/app.ts', 'export const b = 2;\n');
+    git('commit -am "feat: b"');
+    git('checkout gsd/phase-03-auth');
+
+    const { data } = await gitPhaseBranch(['finish', '3'], tmpDir);
+    expect(data).toMatchObject({ merged: false, reason: 'merge conflict', conflicts: ['src/app.ts'] });
+    expect(git('branch --show-current')).toBe('gsd/phase-03-auth');
+    expect(git('status --porcelain')).toBe('');
+  });
+
+  it('reports unknown phases and missing branches, and validates arguments', async () => {
+    expect((await gitPhaseBranch(['start', '9'], tmpDir)).data).toEqual({ error: 'Phase not found', phase: '9' });
+    expect((await gitPhaseBranch(['finish', '3'], tmpDir)).data).toMatchObject({ merged: false, reason: 'branch not found' });
+    await expect(gitPhaseBranch(['rebase', '3'], tmpDir)).rejects.toThrow(GSDError);
+    await expect(gitPhaseBranch(['start'], tmpDir)).rejects.toThrow(GSDError);
+    await expect(gitPhaseBranch(['start', '3', '--base'], tmpDir)).rejects.toThrow(GSDError);
+  });
+});
+
+describe('git.milestone-branch', () => {
+  it('names the branch after the current milestone', async () => {
+    const { data } = await gitMilestoneBranch(['start'], tmpDir);
+    expect(data).toMatchObject({ milestone: 'v1.0', branch: 'gsd/v1.0-launch-ready', created: true });
+
+    const finish = (await gitMilestoneBranch(['finish', '--squash'], tmpDir)).data;
+    expect(finish).toMatchObject({ into: 'main', merged: true, strategy: 'squash' });
+  });
+});
+
+describe('git.pr-body', () => {
+  it('assembles the PR title and body from summaries, requirements and verification', async () => {
+    await write('.planning/phases/03-auth/03-01-SUMMARY.md', SUMMARY);
+    await write('.planning/phases/03-auth/03-VERIFICATION.md',
+      '# Verification\n\n| ID | Description | Status | Type |\n|----|-------------|--------|------|\n'
+      + '| 1 | Sign in works | PASS | automated |\n| 2 | Lockout after 5 tries | FAIL | automated |\n| 3 | Email looks right | PASS | human |\n');
+
+    const { data } = await gitPrBody(['3'], tmpDir);
+    const pr = data as { title: string; branch: string; base: string; verification: string; body: string };
+    expect(pr).toMatchObject({ title: 'Phase 03: Auth', branch: 'gsd/phase-03-auth', base: 'main', verification: 'fail' });
+    expect(pr.body).toContain('## Summary\n\n**Phase 03: Auth**\n**Goal:** Users can sign in\n**Status:** Verification fail\n');
+    expect(pr.body).toContain('### Plan 03-01\n\nEmail sign-in with argon2 password hashing\n\n**Key files:**\n- `src/auth.ts`\n- `src/app.ts`\n');
+    expect(pr.body).toContain('## Requirements Addressed\n\n- **AUTH-01**: User can sign in with email\n');
+    expect(pr.body).toContain('## Verification\n\n- [ ] Automated verification: fail (2/3)\n- [ ] Gap: Lockout after 5 tries\n- [ ] Human: Email looks right\n');
+    expect(pr.body).toContain('## Key Decisions\n\n- Argon2 for hashing — memory-hard\n');
+  });
+
+  it('requires a phase', async () => {
+    await expect(gitPrBody([], tmpDir)).rejects.toThrow(GSDError);
+  });
+});
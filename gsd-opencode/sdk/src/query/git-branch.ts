@@ -0,0 +1,401 @@
+/**
+ * Phase / milestone branch lifecycle and PR descriptions — `git.phase-branch`,
+ * `git.milestone-branch` and `git.pr-body`.
+ *
+ * Branch names come from `git.phase_branch_template` /
+ * `git.milestone_branch_template` (`{project}`, `{phase}`, `{milestone}` and
+ * `{slug}` placeholders, the same expansion as `init.execute-phase`'s
+ * `branch_name`). `start` creates the branch from the current HEAD (or
+ * `--base`) and switches to it, or switches to it when it already exists;
+ * `finish` merges it back into the branch it was started from (or `--into`,
+ * `git.base_branch`, `origin/HEAD`, then main/master). Both refuse while
+ * tracked files have uncommitted changes, and a conflicting merge is aborted
+ * so the tree is left as it was. Refusals and git failures are reported as
+ * `{ reason }` in the result rather than thrown, like `commit`.
+ *
+ * @example
+ * ```typescript
+ * import { gitPhaseBranch, gitPrBody } from './git-branch.js';
+ *
+ * await gitPhaseBranch(['start', '3'], '/project');
+ * // { data: { branch: 'gsd/phase-03-auth', switched: true, created: true, base: 'main' } }
+ *
+ * await gitPrBody(['3'], '/project');
+ * // { data: { title: 'Phase 03: Auth', body: '## Summary\n\n**Phase 03: Auth** ...', ... } }
+ * ```
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { GSDError, ErrorClassification } from '../errors.js';
+import { loadConfig, type GSDConfig } from '../config.js';
+import { execGit } from './commit.js';
+import { checkVerificationStatus } from './check-verification-status.js';
+import { extractFrontmatter } from './frontmatter.js';
+import { escapeRegex, planningPaths, toPosixPath } from './helpers.js';
+import { findPhase } from './phase.js';
+import { getMilestoneInfo, roadmapGetPhase } from './roadmap.js';
+import { summaryExtract } from './summary.js';
+import type { QueryHandler } from './utils.js';
+
+// ─── Branch names ──────────────────────────────────────────────────────────
+
+/** Slug for branch names (matches `init.ts` / CJS `generateSlugInternal`). */
+function slugify(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60);
+}
+
+/** Expand `{project}`, `{phase}`, `{milestone}` and `{slug}` in a branch template. */
+export function expandBranchTemplate(template: string, vars: Partial<Record<'project' | 'phase' | 'milestone' | 'slug', string>>): string {
+  return template.replace(/\{(project|phase|milestone|slug)\}/g, (_, key: keyof typeof vars) => vars[key] ?? '');
+}
+
+interface PhaseTarget {
+  number: string;
+  name: string | null;
+  directory: string;
+  branch: string;
+}
+
+async function resolvePhaseTarget(phase: string, projectDir: string, config: GSDConfig, workstream?: string): Promise<PhaseTarget | null> {
+  const info = (await findPhase([phase], projectDir, workstream)).data as Record<string, unknown>;
+  if (!info.found || !info.directory) return null;
+  const number = String(info.phase_number);
+  return {
+    number,
+    name: (info.phase_name as string | null) ?? null,
+    directory: String(info.directory),
+    branch: expandBranchTemplate(config.git.phase_branch_template, {
+      project: config.project_code ?? '',
+      phase: number,
+      slug: (info.phase_slug as string | null) || 'phase',
+    }),
+  };
+}
+
+async function milestoneBranch(projectDir: string, config: GSDConfig, workstream?: string): Promise<{ version: string; branch: string }> {
+  const milestone = await getMilestoneInfo(projectDir, workstream);
+  return {
+    version: milestone.version,
+    branch: expandBranchTemplate(config.git.milestone_branch_template, {
+      project: config.project_code ?? '',
+      milestone: milestone.version,
+      slug: slugify(milestone.name) || 'milestone',
+    }),
+  };
+}
+
+// ─── Git plumbing ──────────────────────────────────────────────────────────
+
+const git = (projectDir: string, args: string[]) => execGit(projectDir, args);
+
+function isRepo(projectDir: string): boolean {
+  return git(projectDir, ['rev-parse', '--is-inside-work-tree']).stdout === 'true';
+}
+
+function currentBranch(projectDir: string): string | null {
+  const r = git(projectDir, ['symbolic-ref', '--quiet', '--short', 'HEAD']);
+  return r.exitCode === 0 ? r.stdout : null;
+}
+
+function branchExists(projectDir: string, branch: string): boolean {
+  return git(projectDir, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]).exitCode === 0;
+}
+
+/** Tracked files with uncommitted changes; untracked files carry across a switch and are ignored. */
+function dirtyFiles(projectDir: string): string[] {
+  const r = git(projectDir, ['status', '--porcelain', '--untracked-files=no']);
+  // execGit trims stdout, so the first line may have lost its leading status column
+  return r.stdout.split('\n').filter(Boolean).map(line => line.replace(/^\S{1,2}\s+/, ''));
+}
+
+/** `git.base_branch`, else `origin/HEAD`, else main when it exists, else master. */
+function defaultBase(projectDir: string, config: GSDConfig): string {
+  if (config.git.base_branch) return config.git.base_branch;
+  const originHead = git(projectDir, ['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD']);
+  if (originHead.exitCode === 0 && originHead.stdout) return originHead.stdout.replace(/^origin\//, '');
+  return branchExists(projectDir, 'main') ? 'main' : 'master';
+}
+
+/** Branch a GSD branch was started from — stored as `branch.<name>.gsdBase` by `start`. */
+function startedFrom(projectDir: string, branch: string): string | null {
+  const r = git(projectDir, ['config', '--get', `branch.${branch}.gsdBase`]);
+  return r.exitCode === 0 && r.stdout ? r.stdout : null;
+}
+
+interface BranchFlags {
+  base?: string;
+  into?: string;
+  squash: boolean;
+  delete: boolean;
+}
+
+function parseBranchFlags(args: string[]): { positional: string[]; flags: BranchFlags } {
+  const positional: string[] = [];
+  const flags: BranchFlags = { squash: false, delete: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]!;
+    if (arg === '--base' || arg === '--into') {
+      const value = args[++i];
+      if (!value) throw new GSDError(`${arg} requires a branch name`, ErrorClassification.Validation);
+      flags[arg === '--base' ? 'base' : 'into'] = value;
+    } else if (arg === '--squash') {
+      flags.squash = true;
+    } else if (arg === '--delete') {
+      flags.delete = true;
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+function parseAction(action: string | undefined, usage: string): 'start' | 'finish' {
+  if (action !== 'start' && action !== 'finish') {
+    throw new GSDError(`Usage: ${usage}`, ErrorClassification.Validation);
+  }
+  return action;
+}
+
+// ─── Start / finish ────────────────────────────────────────────────────────
+
+function startBranch(projectDir: string, branch: string, flags: BranchFlags): Record<string, unknown> {
+  if (!isRepo(projectDir)) return { branch, switched: false, reason: 'not a git repository' };
+  const current = currentBranch(projectDir);
+  if (current === branch) {
+    return { branch, switched: false, created: false, already_on: true, base: startedFrom(projectDir, branch) };
+  }
+  const dirty = dirtyFiles(projectDir);
+  if (dirty.length > 0) return { branch, switched: false, reason: 'working tree has uncommitted changes', dirty };
+
+  if (branchExists(projectDir, branch)) {
+    const r = git(projectDir, ['checkout', branch]);
+    if (r.exitCode !== 0) return { branch, switched: false, reason: r.stderr || 'checkout failed' };
+    return { branch, switched: true, created: false, base: startedFrom(projectDir, branch) };
+  }
+
+  const base = flags.base ?? current ?? 'HEAD';
+  const r = git(projectDir, ['checkout', '-b', branch, base]);
+  if (r.exitCode !== 0) return { branch, switched: false, reason: r.stderr || 'branch creation failed' };
+  if (base !== 'HEAD') git(projectDir, ['config', `branch.${branch}.gsdBase`, base]);
+  return { branch, switched: true, created: true, base };
+}
+
+function finishBranch(
+  projectDir: string,
+  config: GSDConfig,
+  branch: string,
+  flags: BranchFlags,
+  squashMessage: string,
+): Record<string, unknown> {
+  if (!isRepo(projectDir)) return { branch, merged: false, reason: 'not a git repository' };
+  if (!branchExists(projectDir, branch)) return { branch, merged: false, reason: 'branch not found' };
+  const into = flags.into ?? startedFrom(projectDir, branch) ?? defaultBase(projectDir, config);
+  if (into === branch) return { branch, merged: false, reason: 'cannot merge a branch into itself' };
+  const dirty = dirtyFiles(projectDir);
+  if (dirty.length > 0) return { branch, into, merged: false, reason: 'working tree has uncommitted changes', dirty };
+
+  const original = currentBranch(projectDir);
+  const checkout = git(projectDir, ['checkout', into]);
+  if (checkout.exitCode !== 0) return { branch, into, merged: false, reason: checkout.stderr || `cannot switch to ${into}` };
+
+  const strategy = flags.squash ? 'squash' : 'merge';
+  const merge = git(projectDir, flags.squash ? ['merge', '--squash', branch] : ['merge', '--no-ff', '--no-edit', branch]);
+  if (merge.exitCode !== 0) {
+    const conflicts = git(projectDir, ['diff', '--name-only', '--diff-filter=U']).stdout.split('\n').filter(Boolean);
+    git(projectDir, flags.squash ? ['reset', '--merge'] : ['merge', '--abort']);
+    if (original) git(projectDir, ['checkout', original]);
+    return { branch, into, merged: false, strategy, reason: conflicts.length > 0 ? 'merge conflict' : merge.stderr || 'merge failed', conflicts };
+  }
+
+  if (flags.squash) {
+    // Mirrors complete-milestone.md: planning docs stay out of the squash when commit_docs is off
+    if (!config.commit_docs) git(projectDir, ['reset', '--quiet', 'HEAD', '--', '.planning/']);
+    const staged = git(projectDir, ['diff', '--cached', '--quiet']).exitCode !== 0;
+    if (staged) {
+      const commit = git(projectDir, ['commit', '-m', squashMessage]);
+      if (commit.exitCode !== 0) {
+        git(projectDir, ['reset', '--merge']);
+        if (original) git(projectDir, ['checkout', original]);
+        return { branch, into, merged: false, strategy, reason: commit.stderr || 'commit failed' };
+      }
+    }
+  }
+
+  let deleted = false;
+  if (flags.delete) {
+    // A squash leaves the branch unmerged in git's eyes, so only -D removes it
+    deleted = git(projectDir, ['branch', flags.squash ? '-D' : '-d', branch]).exitCode === 0;
+  }
+  return {
+    branch,
+    into,
+    merged: true,
+    strategy,
+    commit: git(projectDir, ['rev-parse', '--short', 'HEAD']).stdout,
+    deleted,
+  };
+}
+
+// ─── Handlers ──────────────────────────────────────────────────────────────
+
+const PHASE_USAGE = 'git phase-branch start|finish <phase> [--base <branch>] [--into <branch>] [--squash] [--delete]';
+const MILESTONE_USAGE = 'git milestone-branch start|finish [--base <branch>] [--into <branch>] [--squash] [--delete]';
+
+/**
+ * Query handler for `git.phase-branch`.
+ *
+ * @param args - `start|finish <phase>` plus `--base`, `--into`, `--squash`, `--delete`
+ * @param projectDir - Project root directory
+ * @returns QueryResult with `{ branch, switched, created, base }` (start) or
+ *   `{ branch, into, merged, strategy, commit, deleted }` (finish); `reason` when refused
+ */
+export const gitPhaseBranch: QueryHandler = async (args, projectDir, workstream) => {
+  const { positional, flags } = parseBranchFlags(args);
+  const action = parseAction(positional[0], PHASE_USAGE);
+  if (!positional[1]) throw new GSDError(`Usage: ${PHASE_USAGE}`, ErrorClassification.Validation);
+
+  const config = await loadConfig(projectDir, workstream);
+  const target = await resolvePhaseTarget(positional[1], projectDir, config, workstream);
+  if (!target) return { data: { error: 'Phase not found', phase: positional[1] } };
+
+  const result = action === 'start'
+    ? startBranch(projectDir, target.branch, flags)
+    : finishBranch(projectDir, config, target.branch, flags, `feat: ${target.branch}`);
+  return { data: { action, phase: target.number, branching_strategy: config.git.branching_strategy, ...result } };
+};
+
+/**
+ * Query handler for `git.milestone-branch` — the current milestone from STATE.md / ROADMAP.md.
+ *
+ * @param args - `start|finish` plus `--base`, `--into`, `--squash`, `--delete`
+ * @param projectDir - Project root directory
+ * @returns QueryResult shaped like {@link gitPhaseBranch}, with `milestone` instead of `phase`
+ */
+export const gitMilestoneBranch: QueryHandler = async (args, projectDir, workstream) => {
+  const { positional, flags } = parseBranchFlags(args);
+  const action = parseAction(positional[0], MILESTONE_USAGE);
+
+  const config = await loadConfig(projectDir, workstream);
+  const { version, branch } = await milestoneBranch(projectDir, config, workstream);
+
+  const result = action === 'start'
+    ? startBranch(projectDir, branch, flags)
+    : finishBranch(projectDir, config, branch, flags, `feat: ${branch} for ${version}`);
+  return { data: { action, milestone: version, branching_strategy: config.git.branching_strategy, ...result } };
+};
+
+// ─── PR body ───────────────────────────────────────────────────────────────
+
+/** `key-files` frontmatter as a flat list — `{ created, modified }` or a plain list. */
+function keyFiles(value: unknown): string[] {
+  if (Array.isArray(value)) return value.flatMap(keyFiles);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(keyFiles);
+  return typeof value === 'string' && value ? [value] : [];
+}
+
+async function requirementTexts(projectDir: string, workstream?: string): Promise<string> {
+  const path = planningPaths(projectDir, workstream).requirements;
+  return existsSync(path) ? readFile(path, 'utf-8') : '';
+}
+
+/**
+ * Query handler for `git.pr-body` — the pull request title and markdown body
+ * for a phase, assembled from ROADMAP.md (goal), each SUMMARY.md (one-liner,
+ * key files, requirements completed, key decisions) and VERIFICATION.md, in
+ * the layout `ship.md` describes.
+ *
+ * @param args - `<phase>`
+ * @param projectDir - Project root directory
+ * @returns QueryResult with `{ phase, title, branch, base, body }`
+ */
+export const gitPrBody: QueryHandler = async (args, projectDir, workstream) => {
+  const phase = args[0];
+  if (!phase) throw new GSDError('Usage: git pr-body <phase>', ErrorClassification.Validation);
+
+  const config = await loadConfig(projectDir, workstream);
+  const target = await resolvePhaseTarget(phase, projectDir, config, workstream);
+  if (!target) return { data: { error: 'Phase not found', phase } };
+
+  // ROADMAP.md headings usually carry the unpadded number (`Phase 3:`), the directory the padded one
+  let roadmap = (await roadmapGetPhase([target.number], projectDir, workstream)).data as Record<string, unknown>;
+  const unpadded = target.number.replace(/^0+(?=\d)/, '');
+  if (!roadmap.found && unpadded !== target.number) {
+    roadmap = (await roadmapGetPhase([unpadded], projectDir, workstream)).data as Record<string, unknown>;
+  }
+  const name = (roadmap.found && roadmap.phase_name ? String(roadmap.phase_name) : null) ?? target.name ?? '';
+  const verification = (await checkVerificationStatus([target.number], projectDir)).data as {
+    status: string; score: string | null; gaps: string[]; human_items: string[];
+  };
+
+  const summaryFiles = (await readdir(join(projectDir, target.directory)))
+    .filter(f => f.endsWith('-SUMMARY.md') || f === 'SUMMARY.md')
+    .sort();
+  const changes: string[] = [];
+  const requirements = new Set<string>();
+  const decisions: string[] = [];
+  for (const file of summaryFiles) {
+    const rel = toPosixPath(join(target.directory, file));
+    const summary = (await summaryExtract([rel], projectDir)).data as {
+      one_liner: string | null; requirements_completed: unknown[]; decisions: Array<{ summary: string; rationale: string | null }>;
+    };
+    const fm = extractFrontmatter(await readFile(join(projectDir, rel), 'utf-8'));
+    const planId = file === 'SUMMARY.md' ? target.number : file.replace('-SUMMARY.md', '');
+    const files = keyFiles(fm['key-files']);
+    changes.push([
+      `### Plan ${planId}`,
+      '',
+      ...(summary.one_liner ? [summary.one_liner, ''] : []),
+      ...(files.length > 0 ? ['**Key files:**', ...files.map(f => `- \`${f}\``), ''] : []),
+    ].join('\n'));
+    for (const req of summary.requirements_completed) requirements.add(String(req));
+    for (const d of summary.decisions) decisions.push(d.rationale ? `${d.summary} — ${d.rationale}` : d.summary);
+  }
+
+  const reqContent = await requirementTexts(projectDir, workstream);
+  const reqLine = (id: string) => {
+    const m = reqContent.match(new RegExp(`\\*\\*${escapeRegex(id)}\\*\\*:?\\s*(.+)`));
+    return m ? `- **${id}**: ${m[1]!.trim()}` : `- **${id}**`;
+  };
+
+  const branch = config.git.branching_strategy === 'phase' ? target.branch : currentBranch(projectDir);
+  const passed = verification.status === 'passed' || verification.status === 'pass';
+  const title = `Phase ${target.number}: ${name}`.trim();
+  const sections = [
+    '## Summary',
+    '',
+    `**${title}**`,
+    ...(roadmap.goal ? [`**Goal:** ${String(roadmap.goal)}`] : []),
+    `**Status:** ${passed ? 'Verified ✓' : `Verification ${verification.status}`}`,
+    '',
+    '## Changes',
+    '',
+    changes.length > 0 ? changes.join('\n') : '_No plan summaries yet._\n',
+    '## Requirements Addressed',
+    '',
+    requirements.size > 0 ? [...requirements].map(reqLine).join('\n') : '_None recorded._',
+    '',
+    '## Verification',
+    '',
+    `- [${passed ? 'x' : ' '}] Automated verification: ${verification.status}${verification.score ? ` (${verification.score})` : ''}`,
+    ...verification.gaps.map(g => `- [ ] Gap: ${g}`),
+    ...verification.human_items.map(h => `- [ ] Human: ${h}`),
+  ];
+  if (decisions.length > 0) sections.push('', '## Key Decisions', '', ...decisions.map(d => `- ${d}`));
+
+  return {
+    data: {
+      phase: target.number,
+      title,
+      branch,
+      base: isRepo(projectDir) ? (branch && startedFrom(projectDir, branch)) || defaultBase(projectDir, config) : null,
+      verification: verification.status,
+      body: sections.join('\n') + '\n',
+    },
+  };
+};
@@ -0,0 +1,197 @@
+/**
+ * Unit tests for the .planning/ mutation journal and undo/redo.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, readFile, mkdir, rm, readdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createRegistry, QUERY_MUTATION_COMMANDS } from './index.js';
+import { withHistory, recordHistoryEntry, historyList, historyShow, historyUndo, historyRedo, HISTORY_LIMIT, HISTORY_MAX_FILE_BYTES, UNJOURNALED_COMMANDS } from './history.js';
+import { acquireLock, releaseLock } from './locks.js';
+import { GSDError, ErrorClassification } from '../errors.js';
+
+let tmpDir: string;
+
+const STATE = '# State\n\n**Status:** idle\n';
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'gsd-history-test-'));
+  await mkdir(join(tmpDir, '.planning'), { recursive: true });
+  await writeFile(join(tmpDir, '.planning', 'STATE.md'), STATE);
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+// ─── Helper ───────────────────────────────────────────────────────────────
+
+const write = withHistory('write', async (args, dir) => {
+  await writeFile(join(dir, '.planning', args[0]!), args[1]!);
+  return { data: { written: args[0] } };
+});
+
+const read = (file: string) => readFile(join(tmpDir, '.planning', file), 'utf-8');
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+
+describe('withHistory', () => {
+  it('journals command, args and the before/after diff', async () => {
+    await write(['STATE.md', 'changed\n'], tmpDir);
+    await write(['NEW.md', 'new\n'], tmpDir);
+
+    const { data } = await historyList([], tmpDir);
+    const list = data as { entries: Array<Record<string, unknown>>; total: number };
+    expect(list.total).toBe(2);
+    expect(list.entries[0]).toMatchObject({ command: 'write', args: ['NEW.md', 'new\n'], status: 'applied', files: ['.planning/NEW.md'] });
+
+    const { data: shown } = await historyShow([list.entries[1]!.id as string], tmpDir);
+    expect(shown).toMatchObject({ diff: { '.planning/STATE.md': { before: STATE, after: 'changed\n' } } });
+  });
+
+  it('skips mutations that change nothing', async () => {
+    await write(['STATE.md', STATE], tmpDir);
+
+    expect(existsSync(join(tmpDir, '.planning', 'history'))).toBe(false);
+  });
+
+  it('journals real mutation handlers dispatched through the registry', async () => {
+    const registry = createRegistry();
+    await registry.dispatch('state.update', ['Status', 'executing'], tmpDir);
+
+    const { data } = await registry.dispatch('history.list', [], tmpDir);
+    expect(data).toMatchObject({ total: 1, entries: [{ command: 'state.update', files: ['.planning/STATE.md'] }] });
+
+    await registry.dispatch('history.undo', [], tmpDir);
+    expect(await read('STATE.md')).toBe(STATE);
+    expect((await registry.dispatch('history.list', [], tmpDir)).data).toMatchObject({ total: 1 });
+  });
+
+  it('does not journal generated outputs', async () => {
+    const generate = withHistory('generate', async (_args, dir) => {
+      await mkdir(join(dir, '.planning', 'intel'), { recursive: true });
+      await writeFile(join(dir, '.planning', 'intel', 'files.json'), '{}\n');
+      await writeFile(join(dir, '.planning', 'cost-ledger.jsonl'), '{}\n');
+      await writeFile(join(dir, '.planning', 'STATE.md'), 'generated\n');
+      return { data: {} };
+    });
+
+    await generate([], tmpDir);
+
+    const { data } = await historyList([], tmpDir);
+    expect(data).toMatchObject({ total: 1, entries: [{ files: ['.planning/STATE.md'] }] });
+  });
+
+  it('names oversized files instead of copying them, and refuses to undo that entry', async () => {
+    const big = 'x'.repeat(HISTORY_MAX_FILE_BYTES + 1);
+    await write(['BIG.md', big], tmpDir);
+
+    const { data } = await historyList([], tmpDir);
+    expect(data).toMatchObject({ entries: [{ files: [], unjournaled: ['.planning/BIG.md'] }] });
+    expect((await historyUndo([], tmpDir)).data).toMatchObject({ undone: false, error: expect.stringContaining('too large to journal') });
+    expect(await read('BIG.md')).toBe(big);
+  });
+
+  it('gives concurrent mutations distinct sequence numbers', async () => {
+    await Promise.all(Array.from({ length: 5 }, (_, i) =>
+      recordHistoryEntry(tmpDir, 'write', [String(i)], { [`.planning/F${i}.md`]: { before: null, after: String(i) } })));
+
+    const { data } = await historyList([], tmpDir);
+    const seqs = (data as { entries: Array<{ seq: number }> }).entries.map(e => e.seq).sort();
+    expect(seqs).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('leaves branch switches to git', () => {
+    for (const cmd of ['git.phase-branch', 'git phase-branch', 'git.milestone-branch', 'git milestone-branch']) {
+      expect(QUERY_MUTATION_COMMANDS.has(cmd)).toBe(true);
+      expect(UNJOURNALED_COMMANDS.has(cmd)).toBe(true);
+    }
+  });
+
+  it(`keeps the newest ${HISTORY_LIMIT} entries`, async () => {
+    const base = Date.parse('2026-01-01T00:00:00Z');
+    for (let i = 0; i <= HISTORY_LIMIT; i++) {
+      await recordHistoryEntry(tmpDir, 'write', [String(i)], { '.planning/X.md': { before: null, after: String(i) } }, new Date(base + i * 1000));
+    }
+
+    expect(await readdir(join(tmpDir, '.planning', 'history'))).toHaveLength(HISTORY_LIMIT);
+    const { data } = await historyList(['--limit', '1'], tmpDir);
+    expect(data).toMatchObject({ entries: [{ args: [String(HISTORY_LIMIT)] }] });
+  });
+});
+
+describe('history.undo / history.redo', () => {
+  it('undoes the newest entry, then redoes it', async () => {
+    await write(['STATE.md', 'one\n'], tmpDir);
+    await write(['NEW.md', 'new\n'], tmpDir);
+
+    expect((await historyUndo([], tmpDir)).data).toMatchObject({ undone: true, files: ['.planning/NEW.md'] });
+    expect(existsSync(join(tmpDir, '.planning', 'NEW.md'))).toBe(false);
+    expect((await historyUndo([], tmpDir)).data).toMatchObject({ undone: true, files: ['.planning/STATE.md'] });
+    expect(await read('STATE.md')).toBe(STATE);
+
+    expect((await historyRedo([], tmpDir)).data).toMatchObject({ redone: true, files: ['.planning/STATE.md'] });
+    expect(await read('STATE.md')).toBe('one\n');
+    expect(existsSync(join(tmpDir, '.planning', 'NEW.md'))).toBe(false);
+  });
+
+  it('refuses when a file was changed outside GSD since the mutation', async () => {
+    await write(['STATE.md', 'one\n'], tmpDir);
+    await writeFile(join(tmpDir, '.planning', 'STATE.md'), 'edited by hand\n');
+
+    const { data } = await historyUndo([], tmpDir);
+    expect(data).toMatchObject({ undone: false, conflicts: ['.planning/STATE.md'] });
+    expect(await read('STATE.md')).toBe('edited by hand\n');
+  });
+
+  it('refuses to undo an older entry whose files a later mutation changed', async () => {
+    await write(['STATE.md', 'one\n'], tmpDir);
+    await write(['STATE.md', 'two\n'], tmpDir);
+    const { data } = await historyList([], tmpDir);
+    const oldest = (data as { entries: Array<{ id: string }> }).entries[1]!.id;
+
+    expect((await historyUndo([oldest], tmpDir)).data).toMatchObject({ undone: false });
+    expect(await read('STATE.md')).toBe('two\n');
+  });
+
+  it('discards the redo stack when a new mutation is recorded', async () => {
+    await write(['STATE.md', 'one\n'], tmpDir);
+    await historyUndo([], tmpDir);
+    await write(['OTHER.md', 'x\n'], tmpDir);
+
+    expect((await historyRedo([], tmpDir)).data).toMatchObject({ redone: false, error: 'Nothing to redo' });
+    expect(await read('STATE.md')).toBe(STATE);
+  });
+
+  it('waits for the lock of every file and the phases tree the entry touched', async () => {
+    await mkdir(join(tmpDir, '.planning', 'phases', '01-a'), { recursive: true });
+    const writePhase = withHistory('write', async (_args, dir) => {
+      await writeFile(join(dir, '.planning', 'phases', '01-a', 'PLAN.md'), 'plan\n');
+      return { data: {} };
+    });
+    await writePhase([], tmpDir);
+    await write(['STATE.md', 'one\n'], tmpDir);
+    await historyUndo([], tmpDir);
+
+    const busy = await acquireLock(join(tmpDir, '.planning', 'phases'));
+    const saved = process.env.GSD_LOCK_TIMEOUT_MS;
+    process.env.GSD_LOCK_TIMEOUT_MS = '200';
+    try {
+      await expect(historyUndo([], tmpDir)).rejects.toMatchObject({ classification: ErrorClassification.Blocked });
+      await expect(historyRedo([], tmpDir)).resolves.toMatchObject({ data: { redone: true } });
+      expect(existsSync(join(tmpDir, '.planning', 'phases', '01-a', 'PLAN.md'))).toBe(true);
+    } finally {
+      if (saved === undefined) delete process.env.GSD_LOCK_TIMEOUT_MS;
+      else process.env.GSD_LOCK_TIMEOUT_MS = saved;
+      await releaseLock(busy);
+    }
+    expect((await historyUndo([], tmpDir)).data).toMatchObject({ undone: true, files: ['.planning/STATE.md'] });
+  });
+
+  it('reports when there is nothing to undo and rejects unknown ids', async () => {
+    expect((await historyUndo([], tmpDir)).data).toMatchObject({ undone: false, error: 'Nothing to undo' });
+    await expect(historyShow(['nope'], tmpDir)).rejects.toThrow(GSDError);
+  });
+});
@@ -0,0 +1,353 @@
+/**
+ * Mutation history — a journal of what each `.planning/` mutation changed,
+ * with undo and redo.
+ *
+ * `createRegistry()` wraps every command in `QUERY_MUTATION_COMMANDS` with
+ * {@link withHistory}: `.planning/` is snapshotted before and after the
+ * handler, and a non-empty change set is written to
+ * `.planning/history/<id>.json` with the command, args, timestamp and the
+ * same `{ '.planning/<file>': { before, after } }` diff shape the dry-run
+ * pipeline returns. The journal itself, generated outputs (`intel/`,
+ * `checkpoints/`, `runs/`, `cache/`, the cost ledger) and lock files are not
+ * journaled, and a file over {@link HISTORY_MAX_FILE_BYTES} is only named in
+ * `unjournaled`; changes outside `.planning/` (git, CLAUDE.md) are not
+ * covered. The after-snapshot re-reads only files whose size or mtime moved,
+ * and entries are written under the `history/` lock.
+ *
+ * `history.undo` restores an entry's `before` contents and `history.redo`
+ * re-applies the most recently undone entry. Both refuse — returning
+ * `data.error` with the conflicting files — when a file no longer matches
+ * what the entry expects, i.e. it was changed outside GSD or by a later
+ * mutation. Recording a new mutation discards the redo stack. The newest
+ * {@link HISTORY_LIMIT} entries are kept.
+ */
+
+import { mkdir, readdir, readFile, stat, writeFile, unlink } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import type { QueryHandler } from './utils.js';
+import { diffPlanningState } from './pipeline.js';
+import { withLock, withLocks, planningLockTargets } from './locks.js';
+import { GSDError, ErrorClassification } from '../errors.js';
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+export type HistoryDiff = Record<string, { before: string | null; after: string | null }>;
+
+export interface HistoryEntry {
+  id: string;
+  /** Journal order; one more than the newest entry at record time. */
+  seq: number;
+  command: string;
+  args: string[];
+  timestamp: string;
+  /** `undone` entries form the redo stack; a new mutation marks them `discarded`. */
+  status: 'applied' | 'undone' | 'discarded';
+  undone_at?: string;
+  diff: HistoryDiff;
+  /** Changed files too large to journal; the entry cannot be undone. */
+  unjournaled?: string[];
+}
+
+/** Entries kept in `.planning/history/`; older ones are pruned on record. */
+export const HISTORY_LIMIT = 200;
+
+/** Files larger than this (before or after) are not copied into an entry. */
+export const HISTORY_MAX_FILE_BYTES = 256 * 1024;
+
+/** History commands change `.planning/` but are never journaled themselves. */
+export const HISTORY_COMMANDS = new Set<string>(['history.undo', 'history undo', 'history.redo', 'history redo']);
+
+/**
+ * Mutations {@link withHistory} leaves alone: the history commands, and branch
+ * switches — a checkout rewrites every `.planning/` file that differs between
+ * the branches, git already records it, and undoing it would copy one
+ * branch's planning files onto the other.
+ */
+export const UNJOURNALED_COMMANDS = new Set<string>([
+  ...HISTORY_COMMANDS,
+  'git.phase-branch', 'git phase-branch',
+  'git.milestone-branch', 'git milestone-branch',
+]);
+
+// ─── Journal ───────────────────────────────────────────────────────────────
+
+export function historyDir(projectDir: string): string {
+  return join(projectDir, '.planning', 'history');
+}
+
+/** Paths (relative to `.planning/`) whose changes are journaled. */
+function isJournaled(relPath: string): boolean {
+  return !/(^|\/)(history|cache|runs|intel|checkpoints)\//.test(relPath)
+    && !/(^|\/)cost-ledger\.jsonl$/.test(relPath)
+    && !relPath.endsWith('.lock');
+}
+
+// ─── Snapshots ─────────────────────────────────────────────────────────────
+
+type PlanningSnapshot = Map<string, { content: string; mtimeMs: number; size: number }>;
+
+async function collectJournaled(dir: string, rel: string, out: string[]): Promise<void> {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (isJournaled(`${relPath}/`)) await collectJournaled(join(dir, entry.name), relPath, out);
+    } else if (isJournaled(relPath)) {
+      out.push(relPath);
+    }
+  }
+}
+
+/**
+ * Journaled `.planning/` files with their content. Given a `previous`
+ * snapshot, files whose size and mtime are unchanged reuse its content.
+ */
+async function snapshotPlanning(projectDir: string, previous?: PlanningSnapshot): Promise<PlanningSnapshot> {
+  const planningDir = join(projectDir, '.planning');
+  const files: string[] = [];
+  await collectJournaled(planningDir, '', files);
+
+  const snapshot: PlanningSnapshot = new Map();
+  for (const relPath of files) {
+    try {
+      const { mtimeMs, size } = await stat(join(planningDir, relPath));
+      const prev = previous?.get(relPath);
+      const content = prev && prev.mtimeMs === mtimeMs && prev.size === size
+        ? prev.content
+        : await readFile(join(planningDir, relPath), 'utf-8');
+      snapshot.set(relPath, { content, mtimeMs, size });
+    } catch { /* vanished or unreadable */ }
+  }
+  return snapshot;
+}
+
+function snapshotContents(snapshot: PlanningSnapshot): Map<string, string> {
+  return new Map([...snapshot].map(([path, file]) => [path, file.content]));
+}
+
+function newHistoryId(now: Date): string {
+  return `${now.toISOString().replace(/[:.]/g, '-')}-${randomBytes(3).toString('hex')}`;
+}
+
+async function readEntries(projectDir: string): Promise<HistoryEntry[]> {
+  let names: string[];
+  try {
+    names = (await readdir(historyDir(projectDir))).filter(n => n.endsWith('.json'));
+  } catch {
+    return [];
+  }
+
+  const entries: HistoryEntry[] = [];
+  for (const name of names) {
+    try {
+      entries.push(JSON.parse(await readFile(join(historyDir(projectDir), name), 'utf-8')) as HistoryEntry);
+    } catch { /* skip torn or foreign files */ }
+  }
+  return entries.sort((a, b) => a.seq - b.seq);
+}
+
+async function writeEntry(projectDir: string, entry: HistoryEntry): Promise<void> {
+  await mkdir(historyDir(projectDir), { recursive: true });
+  await writeFile(join(historyDir(projectDir), `${entry.id}.json`), JSON.stringify(entry, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Journal a mutation's change set under the `history/` lock. Discards the
+ * redo stack and prunes beyond {@link HISTORY_LIMIT}. Returns null when
+ * nothing changed.
+ */
+export async function recordHistoryEntry(
+  projectDir: string,
+  command: string,
+  args: string[],
+  diff: HistoryDiff,
+  now: Date = new Date(),
+): Promise<HistoryEntry | null> {
+  if (Object.keys(diff).length === 0) return null;
+
+  const tooLarge = (content: string | null) => content !== null && Buffer.byteLength(content) > HISTORY_MAX_FILE_BYTES;
+  const unjournaled = Object.keys(diff).filter(path => tooLarge(diff[path]!.before) || tooLarge(diff[path]!.after));
+  const kept = Object.fromEntries(Object.entries(diff).filter(([path]) => !unjournaled.includes(path)));
+
+  return withLock(historyDir(projectDir), async () => {
+    const existing = await readEntries(projectDir);
+    for (const entry of existing.filter(e => e.status === 'undone')) {
+      await writeEntry(projectDir, { ...entry, status: 'discarded' });
+    }
+    for (const entry of existing.slice(0, Math.max(0, existing.length + 1 - HISTORY_LIMIT))) {
+      await unlink(join(historyDir(projectDir), `${entry.id}.json`)).catch(() => undefined);
+    }
+
+    const entry: HistoryEntry = {
+      id: newHistoryId(now),
+      seq: (existing.at(-1)?.seq ?? 0) + 1,
+      command,
+      args,
+      timestamp: now.toISOString(),
+      status: 'applied',
+      diff: kept,
+      ...(unjournaled.length > 0 && { unjournaled }),
+    };
+    await writeEntry(projectDir, entry);
+    return entry;
+  });
+}
+
+/**
+ * Wrap a mutation handler so its `.planning/` changes are journaled. Journal
+ * failures never fail the mutation.
+ */
+export function withHistory(command: string, handler: QueryHandler): QueryHandler {
+  return async (args, projectDir, workstream) => {
+    const before = await snapshotPlanning(projectDir);
+    const result = await handler(args, projectDir, workstream);
+    try {
+      const after = await snapshotPlanning(projectDir, before);
+      await recordHistoryEntry(projectDir, command, args, diffPlanningState(snapshotContents(before), snapshotContents(after)));
+    } catch {
+      // History is best effort; the mutation already succeeded
+    }
+    return result;
+  };
+}
+
+// ─── Undo / redo ───────────────────────────────────────────────────────────
+
+function findEntry(entries: HistoryEntry[], id: string): HistoryEntry {
+  const matches = entries.filter(e => e.id.startsWith(id));
+  if (matches.length === 1) return matches[0]!;
+  throw new GSDError(
+    matches.length === 0 ? `No history entry "${id}"` : `History id "${id}" is ambiguous (${matches.length} entries)`,
+    ErrorClassification.Validation,
+  );
+}
+
+/**
+ * Move files from one side of a diff to the other. Refuses without writing
+ * when any file does not currently hold the expected side.
+ */
+async function applySide(projectDir: string, diff: HistoryDiff, from: 'before' | 'after'): Promise<string[]> {
+  const to = from === 'before' ? 'after' : 'before';
+  const conflicts: string[] = [];
+  for (const [path, sides] of Object.entries(diff)) {
+    let current: string | null;
+    try {
+      current = await readFile(join(projectDir, path), 'utf-8');
+    } catch {
+      current = null;
+    }
+    if (current !== sides[from]) conflicts.push(path);
+  }
+  if (conflicts.length > 0) return conflicts;
+
+  for (const [path, sides] of Object.entries(diff)) {
+    const target = join(projectDir, path);
+    const content = sides[to];
+    if (content === null) {
+      await unlink(target).catch(() => undefined);
+    } else {
+      await mkdir(dirname(target), { recursive: true });
+      await writeFile(target, content, 'utf-8');
+    }
+  }
+  return [];
+}
+
+/**
+ * Run `fn` holding the `history/` lock and the lock of every file in the
+ * entry's diff (and the phases/todos/intel/workstreams tree it falls under),
+ * so neither journaling nor the GSD writer of any of those files can
+ * interleave with the restore.
+ */
+async function withEntryLocks<T>(projectDir: string, entry: HistoryEntry, fn: () => Promise<T>): Promise<T> {
+  return withLocks([historyDir(projectDir), ...planningLockTargets(projectDir, Object.keys(entry.diff))], fn);
+}
+
+function unjournaledError(entry: HistoryEntry): string | null {
+  return entry.unjournaled?.length ? `Entry ${entry.id} changed files too large to journal: ${entry.unjournaled.join(', ')}` : null;
+}
+
+function summarize(entry: HistoryEntry): Record<string, unknown> {
+  return {
+    id: entry.id,
+    seq: entry.seq,
+    command: entry.command,
+    args: entry.args,
+    timestamp: entry.timestamp,
+    status: entry.status,
+    ...(entry.undone_at && { undone_at: entry.undone_at }),
+    files: Object.keys(entry.diff),
+    ...(entry.unjournaled && { unjournaled: entry.unjournaled }),
+  };
+}
+
+// ─── Handlers ──────────────────────────────────────────────────────────────
+
+/**
+ * Query handler for `history.list [--limit N]` — newest first, without diffs.
+ */
+export const historyList: QueryHandler = async (args, projectDir) => {
+  const limitIdx = args.indexOf('--limit');
+  const limit = limitIdx !== -1 ? parseInt(args[limitIdx + 1] ?? '', 10) : 20;
+  const entries = (await readEntries(projectDir)).reverse();
+  return { data: { entries: entries.slice(0, Number.isFinite(limit) ? limit : 20).map(summarize), total: entries.length } };
+};
+
+/**
+ * Query handler for `history.show <id>` — one entry with its diff; `id` may be a unique prefix.
+ */
+export const historyShow: QueryHandler = async (args, projectDir) => {
+  if (!args[0]) throw new GSDError('history id required', ErrorClassification.Validation);
+  return { data: findEntry(await readEntries(projectDir), args[0]) };
+};
+
+/**
+ * Query handler for `history.undo [id]` — restore the `before` side of an
+ * entry (default: the newest applied one).
+ */
+export const historyUndo: QueryHandler = async (args, projectDir) => {
+  const entries = await readEntries(projectDir);
+  const entry = args[0] ? findEntry(entries, args[0]) : entries.filter(e => e.status === 'applied').at(-1);
+  if (!entry) return { data: { undone: false, error: 'Nothing to undo' } };
+  if (entry.status !== 'applied') return { data: { undone: false, id: entry.id, error: `Entry ${entry.id} is ${entry.status}` } };
+  const tooLarge = unjournaledError(entry);
+  if (tooLarge) return { data: { undone: false, id: entry.id, error: tooLarge } };
+
+  return withEntryLocks(projectDir, entry, async () => {
+    const conflicts = await applySide(projectDir, entry.diff, 'after');
+    if (conflicts.length > 0) {
+      return { data: { undone: false, id: entry.id, conflicts, error: `Files changed since ${entry.command}: ${conflicts.join(', ')}` } };
+    }
+    await writeEntry(projectDir, { ...entry, status: 'undone', undone_at: new Date().toISOString() });
+    return { data: { undone: true, id: entry.id, command: entry.command, files: Object.keys(entry.diff) } };
+  });
+};
+
+/**
+ * Query handler for `history.redo` — re-apply the most recently undone entry.
+ */
+export const historyRedo: QueryHandler = async (_args, projectDir) => {
+  const entry = (await readEntries(projectDir))
+    .filter(e => e.status === 'undone')
+    .sort((a, b) => (a.undone_at ?? '').localeCompare(b.undone_at ?? '') || b.seq - a.seq)
+    .at(-1);
+  if (!entry) return { data: { redone: false, error: 'Nothing to redo' } };
+  const tooLarge = unjournaledError(entry);
+  if (tooLarge) return { data: { redone: false, id: entry.id, error: tooLarge } };
+
+  return withEntryLocks(projectDir, entry, async () => {
+    const conflicts = await applySide(projectDir, entry.diff, 'before');
+    if (conflicts.length > 0) {
+      return { data: { redone: false, id: entry.id, conflicts, error: `Files changed since undo: ${conflicts.join(', ')}` } };
+    }
+    const { undone_at: _undoneAt, ...rest } = entry;
+    await writeEntry(projectDir, { ...rest, status: 'applied' });
+    return { data: { redone: true, id: entry.id, command: entry.command, files: Object.keys(entry.diff) } };
+  });
+};
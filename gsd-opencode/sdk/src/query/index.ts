@@ -24,6 +24,9 @@ import { findPhase, phasePlanIndex } from './phase.js';
 import { phaseListPlans, phaseListArtifacts } from './phase-list-queries.js';
 import { planTaskStructure } from './plan-task-structure.js';
 import { requirementsExtractFromPlans } from './requirements-extract-from-plans.js';
+import { traceMatrix } from './trace-matrix.js';
+import { gitPhaseBranch, gitMilestoneBranch, gitPrBody } from './git-branch.js';
+import { forgeDetect, forgePrCreate, forgePrList, shipPr } from './forge.js';
 import { roadmapAnalyze, roadmapGetPhase } from './roadmap.js';
 import { progressJson } from './progress.js';
 import { frontmatterSet, frontmatterMerge, frontmatterValidate } from './frontmatter-mutation.js';
@@ -58,6 +61,7 @@ import { initNewProject, initProgress, initManager } from './init-complex.js';
 import { agentSkills } from './skills.js';
 import { requirementsMarkComplete, roadmapAnnotateDependencies } from './roadmap.js';
 import { roadmapUpdatePlanProgress } from './roadmap-update-plan-progress.js';
+import { roadmapGraph } from './roadmap-graph.js';
 import { statePlannedPhase } from './state-mutation.js';
 import { verifySchemaDrift, verifyCodebaseDrift } from './verify.js';
 import {
@@ -77,6 +81,7 @@ import {
   intelStatus, intelDiff, intelSnapshot, intelValidate, intelQuery,
   intelExtractExports, intelPatchMeta, intelUpdate,
 } from './intel.js';
+import { intelImportsOf, intelDependents, intelImpact } from './intel-graph.js';
 import {
   learningsCopy, learningsQuery, learningsListHandler, learningsPrune, learningsDelete,
   extractMessages, scanSessions, profileSample, profileQuestionnaire,
@@ -96,6 +101,8 @@ import { checkCompletion } from './check-completion.js';
 import { checkGates } from './check-gates.js';
 import { checkVerificationStatus } from './check-verification-status.js';
 import { checkShipReady } from './check-ship-ready.js';
+import { historyList, historyShow, historyUndo, historyRedo, withHistory, UNJOURNALED_COMMANDS } from './history.js';
+import { locksList, locksClear } from './locks.js';
 import { GSDEventStream } from '../event-stream.js';
 import {
   GSDEventType,
@@ -107,6 +114,7 @@ import {
   type GSDTemplateFillEvent,
 } from '../types.js';
 import type { QueryHandler, QueryResult } from './utils.js';
+import { QUERY_COMMAND_SPECS } from './command-specs.js';
 
 // ─── Re-exports ────────────────────────────────────────────────────────────
 
@@ -114,6 +122,28 @@ export type { QueryResult, QueryHandler } from './utils.js';
 export { extractField } from './registry.js';
 /** Same argv normalization as `gsd-sdk query` — use when calling `registry.dispatch()` with CLI-style `command` + `args`. */
 export { normalizeQueryCommand } from './normalize-query-command.js';
+export { QUERY_COMMAND_SPECS } from './command-specs.js';
+export {
+  GLOBAL_QUERY_FLAGS,
+  parseQueryArgs,
+  formatCommandHelp,
+  formatCommandList,
+  commandInputSchema,
+  commandJsonSchema,
+  toQueryArgv,
+} from './command-schema.js';
+export { withHistory, recordHistoryEntry, HISTORY_LIMIT } from './history.js';
+export type { HistoryEntry, HistoryDiff } from './history.js';
+export { acquireLock, releaseLock, withLock, listLocks, LOCK_TIMEOUT_MS, LOCK_STALE_MS } from './locks.js';
+export type { LockInfo, LockOptions } from './locks.js';
+export type {
+  QueryCommandSpec,
+  QueryArgSpec,
+  QueryFlagSpec,
+  QueryValueType,
+  ParsedQueryArgs,
+  JsonSchema,
+} from './command-schema.js';
 
 // ─── Mutation commands set ────────────────────────────────────────────────
 
@@ -157,7 +187,13 @@ export const QUERY_MUTATION_COMMANDS = new Set<string>([
   'learnings.prune', 'learnings prune',
   'learnings.delete', 'learnings delete',
   'intel.snapshot', 'intel.patch-meta', 'intel snapshot', 'intel patch-meta',
+  'intel.update', 'intel update',
   'write-profile', 'generate-claude-profile', 'generate-dev-preferences', 'generate-claude-md',
+  'history.undo', 'history undo', 'history.redo', 'history redo',
+  'locks.clear', 'locks clear',
+  'verify.codebase-drift', 'verify codebase-drift',
+  'git.phase-branch', 'git phase-branch', 'git.milestone-branch', 'git milestone-branch',
+  'forge.pr-create', 'forge pr-create', 'ship.pr', 'ship pr',
 ]);
 
 // ─── Event builder ────────────────────────────────────────────────────────
@@ -297,8 +333,25 @@ export function createRegistry(
   registry.register('plan task-structure', planTaskStructure);
   registry.register('requirements.extract-from-plans', requirementsExtractFromPlans);
   registry.register('requirements extract-from-plans', requirementsExtractFromPlans);
+  registry.register('trace.matrix', traceMatrix);
+  registry.register('trace matrix', traceMatrix);
+  registry.register('git.phase-branch', gitPhaseBranch);
+  registry.register('git phase-branch', gitPhaseBranch);
+  registry.register('git.milestone-branch', gitMilestoneBranch);
+  registry.register('git milestone-branch', gitMilestoneBranch);
+  registry.register('git.pr-body', gitPrBody);
+  registry.register('git pr-body', gitPrBody);
+  registry.register('forge.detect', forgeDetect);
+  registry.register('forge detect', forgeDetect);
+  registry.register('forge.pr-create', forgePrCreate);
+  registry.register('forge pr-create', forgePrCreate);
+  registry.register('forge.pr-list', forgePrList);
+  registry.register('forge pr-list', forgePrList);
+  registry.register('ship.pr', shipPr);
+  registry.register('ship pr', shipPr);
   registry.register('roadmap.analyze', roadmapAnalyze);
   registry.register('roadmap.get-phase', roadmapGetPhase);
+  registry.register('roadmap.graph', roadmapGraph);
   registry.register('progress', progressJson);
   registry.register('progress.json', progressJson);
 
@@ -555,6 +608,12 @@ export function createRegistry(
   registry.register('intel patch-meta', intelPatchMeta);
   registry.register('intel.update', intelUpdate);
   registry.register('intel update', intelUpdate);
+  registry.register('intel.imports-of', intelImportsOf);
+  registry.register('intel imports-of', intelImportsOf);
+  registry.register('intel.dependents', intelDependents);
+  registry.register('intel dependents', intelDependents);
+  registry.register('intel.impact', intelImpact);
+  registry.register('intel impact', intelImpact);
   registry.register('generate-claude-profile', generateClaudeProfile);
   registry.register('generate-dev-preferences', generateDevPreferences);
   registry.register('write-profile', writeProfile);
@@ -562,6 +621,31 @@ export function createRegistry(
   registry.register('profile-sample', profileSample);
   registry.register('scan-sessions', scanSessions);
   registry.register('generate-claude-md', generateClaudeMd);
+  registry.register('history.list', historyList);
+  registry.register('history list', historyList);
+  registry.register('history.show', historyShow);
+  registry.register('history show', historyShow);
+  registry.register('history.undo', historyUndo);
+  registry.register('history undo', historyUndo);
+  registry.register('history.redo', historyRedo);
+  registry.register('history redo', historyRedo);
+  registry.register('locks.list', locksList);
+  registry.register('locks list', locksList);
+  registry.register('locks.clear', locksClear);
+  registry.register('locks clear', locksClear);
+
+  // Argument schemas — validated on dispatch; also drive --help and --schema
+  for (const [cmd, spec] of Object.entries(QUERY_COMMAND_SPECS)) {
+    for (const alias of new Set([cmd, cmd.replace(/\./g, ' ')])) {
+      if (registry.has(alias)) registry.describe(alias, spec);
+    }
+  }
+
+  // Journal .planning/ changes so history.undo / history.redo can reverse them
+  for (const cmd of QUERY_MUTATION_COMMANDS) {
+    const original = registry.getHandler(cmd);
+    if (original && !UNJOURNALED_COMMANDS.has(cmd)) registry.register(cmd, withHistory(cmd, original));
+  }
 
   // Wire event emission for mutation commands
   if (eventStream) {
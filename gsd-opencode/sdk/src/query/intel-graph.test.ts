@@ -0,0 +1,133 @@
+/**
+ * Unit tests for structural intel queries (imports-of, dependents, impact).
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, mkdir, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { buildIntelIndex } from './intel.js';
+import { resolveImport, intelImportsOf, intelDependents, intelImpact } from './intel-graph.js';
+import { GSDError } from '../errors.js';
+
+let tmpDir: string;
+
+const SOURCES: Record<string, string> = {
+  'src/auth/service.ts': 'export class AuthService {}\nexport const TOKEN_TTL = 60;\n',
+  'src/auth/index.ts': "export { AuthService } from './service.js';\n",
+  'src/api/login.ts': "import { AuthService } from '../auth/index.js';\nexport const login = () => new AuthService();\nexport const again = () => new AuthService();\n",
+  'src/api/ttl.ts': "import { TOKEN_TTL } from '../auth/service.js';\nexport const ttl = TOKEN_TTL;\n",
+  'src/server.ts': "import { login } from './api/login.js';\nexport const server = login;\n",
+  'src/main.ts': "import { server } from './server.js';\nserver();\n",
+  'src/auth/service.test.ts': "import { AuthService } from './service.js';\nnew AuthService();\n",
+};
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'gsd-intel-graph-'));
+  await mkdir(join(tmpDir, '.planning'), { recursive: true });
+  await writeFile(join(tmpDir, '.planning', 'config.json'), JSON.stringify({ intel: { enabled: true } }));
+  for (const [file, content] of Object.entries(SOURCES)) {
+    await mkdir(join(tmpDir, file, '..'), { recursive: true });
+    await writeFile(join(tmpDir, file), content);
+  }
+  buildIntelIndex(tmpDir);
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('resolveImport', () => {
+  const files = new Set(['src/a.ts', 'src/lib/index.ts', 'src/b.js']);
+
+  it.each([
+    ['src/x.ts', './a.js', 'src/a.ts'],
+    ['src/x.ts', './lib', 'src/lib/index.ts'],
+    ['src/lib/y.ts', '../b.js', 'src/b.js'],
+    ['src/x.ts', 'express', null],
+    ['src/x.ts', './missing.js', null],
+  ])('%s imports %s → %s', (from, spec, expected) => {
+    expect(resolveImport(from, spec, files)).toBe(expected);
+  });
+});
+
+describe('intel.imports-of', () => {
+  it('finds importers of a symbol through re-exporting barrels, ranked by uses', async () => {
+    const { data } = await intelImportsOf(['AuthService'], tmpDir);
+    expect(data).toMatchObject({
+      kind: 'symbol',
+      defined_in: ['src/auth/service.ts'],
+      total: 3,
+      importers: [
+        { file: 'src/api/login.ts', via: 'src/auth/index.ts', references: 2, lines: [2, 3] },
+        { file: 'src/auth/index.ts', via: 'src/auth/service.ts', references: 1 },
+        { file: 'src/auth/service.test.ts', type: 'test', references: 1, lines: [2] },
+      ],
+    });
+  });
+
+  it('skips files that import the module but not the symbol', async () => {
+    const { data } = await intelImportsOf(['TOKEN_TTL'], tmpDir);
+    expect((data as { importers: Array<{ file: string }> }).importers.map(i => i.file)).toEqual(['src/api/ttl.ts']);
+  });
+
+  it('lists direct importers of a file', async () => {
+    const { data } = await intelImportsOf(['./src/auth/service.ts'], tmpDir);
+    expect(data).toMatchObject({ kind: 'file', total: 3 });
+  });
+});
+
+describe('intel.dependents', () => {
+  it('walks importers transitively up to --depth', async () => {
+    const { data } = await intelDependents(['src/api/login.ts', '--depth', '5'], tmpDir);
+    expect(data).toMatchObject({
+      dependents: [
+        { file: 'src/server.ts', distance: 1, via: 'src/api/login.ts' },
+        { file: 'src/main.ts', distance: 2, via: 'src/server.ts' },
+      ],
+      total: 2,
+    });
+
+    const shallow = await intelDependents(['src/api/login.ts', '--depth', '1'], tmpDir);
+    expect(shallow.data).toMatchObject({ total: 1 });
+  });
+
+  it('reports files missing from the index and rejects bad flags', async () => {
+    expect((await intelDependents(['src/nope.ts'], tmpDir)).data).toMatchObject({ error: expect.stringContaining('src/nope.ts') });
+    await expect(intelDependents(['src/server.ts', '--depth', 'x'], tmpDir)).rejects.toThrow(GSDError);
+  });
+});
+
+describe('intel.impact', () => {
+  it('ranks the blast radius and collects covering tests', async () => {
+    const { data } = await intelImpact(['src/auth/service.ts', 'src/gone.ts'], tmpDir);
+    expect(data).toMatchObject({
+      files: ['src/auth/service.ts'],
+      unknown: ['src/gone.ts'],
+      tests: ['src/auth/service.test.ts'],
+      total: 4,
+    });
+    const impacted = (data as { impacted: Array<{ file: string; distance: number }> }).impacted;
+    expect(impacted.map(i => [i.file, i.distance])).toEqual([
+      ['src/api/ttl.ts', 1],
+      ['src/auth/index.ts', 1],
+      ['src/auth/service.test.ts', 1],
+      ['src/api/login.ts', 2],
+    ]);
+  });
+
+  it('cuts the ranked list to the token budget', async () => {
+    const { data } = await intelImpact(['src/auth/service.ts', '--budget', '30'], tmpDir);
+    const result = data as { impacted: unknown[]; omitted: number; total: number };
+    expect(result.omitted).toBeGreaterThan(0);
+    expect(result.impacted.length + result.omitted).toBe(result.total);
+
+    const unlimited = await intelImpact(['src/auth/service.ts', '--budget', '0'], tmpDir);
+    expect(unlimited.data).toMatchObject({ total: 4, omitted: 0 });
+  });
+
+  it('asks for an index build when files.json is missing', async () => {
+    await rm(join(tmpDir, '.planning', 'intel'), { recursive: true });
+    expect((await intelImpact(['src/main.ts'], tmpDir)).data).toMatchObject({ error: expect.stringContaining('intel.update') });
+  });
+});
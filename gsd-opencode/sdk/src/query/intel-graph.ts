@@ -0,0 +1,317 @@
+/**
+ * Structural intel queries over the import graph in `files.json`.
+ *
+ * `intel.query` is a substring search; these handlers answer the structural
+ * questions planners ask. Import specifiers recorded by `intel.update` are
+ * resolved to indexed files (relative specifiers, `.js` → `.ts` rewriting,
+ * `index.*` directories) and the reverse edges are walked breadth-first, the
+ * same seed-then-expand approach as `seedAndExpand` in `lib/graphify.cjs`:
+ *
+ * - `intel.imports-of <symbol|file>` — files importing a symbol (followed
+ *   through re-exporting barrels) or a file, with the lines that use it
+ * - `intel.dependents <file> [--depth N]` — transitive importers by distance
+ * - `intel.impact <files…> [--depth N]` — the ranked blast radius of changing
+ *   files, and the tests covering it
+ *
+ * Lists are ranked and cut to a token budget (`--budget N`, default
+ * {@link INTEL_QUERY_BUDGET}; 0 for no limit) so plan-phase can attach them to
+ * a PLAN.md as they are; `omitted` counts the entries that were cut.
+ *
+ * @example
+ * ```typescript
+ * import { intelImpact } from './intel-graph.js';
+ *
+ * await intelImpact(['src/auth/service.ts'], '/project');
+ * // { data: { files: ['src/auth/service.ts'], impacted: [{ file: 'src/api/login.ts', distance: 1, … }], tests: [...], … } }
+ * ```
+ */
+
+import { readFileSync } from 'node:fs';
+import { isAbsolute, join, posix, relative } from 'node:path';
+import { estimateTokens } from '../token-estimate.js';
+import { GSDError, ErrorClassification } from '../errors.js';
+import { toPosixPath } from './helpers.js';
+import { isIntelEnabled, readFilesIndex, INTEL_DISABLED_MSG, type IntelFileEntry } from './intel.js';
+import { tokenize } from './intel-parse.js';
+import type { QueryHandler } from './utils.js';
+
+// ─── Constants ─────────────────────────────────────────────────────────────
+
+/** Default token budget for each ranked list. */
+export const INTEL_QUERY_BUDGET = 2000;
+
+/** Default hops for dependents / impact — the `seedAndExpand` default. */
+export const INTEL_QUERY_DEPTH = 2;
+
+const NO_INDEX_MSG = 'No intel index yet. Run `gsd-sdk query intel.update` first.';
+
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+
+// ─── Import graph ──────────────────────────────────────────────────────────
+
+export interface ImportGraph {
+  files: Record<string, IntelFileEntry>;
+  /** File → indexed files that import it. */
+  importedBy: Map<string, Set<string>>;
+}
+
+/**
+ * Indexed file a relative import specifier refers to, or null for bare and
+ * unresolvable specifiers.
+ */
+export function resolveImport(from: string, spec: string, files: Set<string>): string | null {
+  if (!spec.startsWith('.')) return null;
+  const base = posix.normalize(posix.join(posix.dirname(from), spec));
+  const stem = base.replace(/\.[cm]?[jt]sx?$/, '');
+  const candidates = [
+    base,
+    ...RESOLVE_EXTENSIONS.map(ext => stem + ext),
+    ...RESOLVE_EXTENSIONS.map(ext => `${base}/index${ext}`),
+  ];
+  return candidates.find(c => files.has(c)) ?? null;
+}
+
+export function buildImportGraph(files: Record<string, IntelFileEntry>): ImportGraph {
+  const known = new Set(Object.keys(files));
+  const importedBy = new Map<string, Set<string>>();
+  for (const [file, entry] of Object.entries(files)) {
+    for (const spec of entry.imports ?? []) {
+      const target = resolveImport(file, spec, known);
+      if (!target || target === file) continue;
+      if (!importedBy.has(target)) importedBy.set(target, new Set());
+      importedBy.get(target)!.add(file);
+    }
+  }
+  return { files, importedBy };
+}
+
+interface Reached {
+  distance: number;
+  /** The file this one imports on its shortest path to the seed. */
+  via: string;
+}
+
+/** Breadth-first walk of importers from `seed`, up to `depth` hops. */
+function walkDependents(graph: ImportGraph, seed: string, depth: number): Map<string, Reached> {
+  const reached = new Map<string, Reached>();
+  let frontier = [seed];
+  for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+    const next: string[] = [];
+    for (const file of frontier) {
+      for (const importer of [...(graph.importedBy.get(file) ?? [])].sort()) {
+        if (importer === seed || reached.has(importer)) continue;
+        reached.set(importer, { distance: hop, via: file });
+        next.push(importer);
+      }
+    }
+    frontier = next;
+  }
+  return reached;
+}
+
+// ─── Helpers ───────────────────────────────────────────────────────────────
+
+/** Longest prefix of `items` that fits in `budget` tokens as JSON; 0 keeps everything. */
+function fitBudget<T>(items: T[], budget: number): { items: T[]; omitted: number } {
+  if (budget <= 0) return { items, omitted: 0 };
+  let used = 0;
+  let count = 0;
+  for (const item of items) {
+    used += estimateTokens(JSON.stringify(item)) + 1;
+    if (used > budget) break;
+    count++;
+  }
+  return { items: items.slice(0, count), omitted: items.length - count };
+}
+
+function intFlag(args: string[], name: string, fallback: number): number {
+  const idx = args.indexOf(`--${name}`);
+  if (idx === -1) return fallback;
+  const value = parseInt(args[idx + 1] ?? '', 10);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new GSDError(`--${name} expects a non-negative integer`, ErrorClassification.Validation);
+  }
+  return value;
+}
+
+/** Arguments that are not `--depth N` / `--budget N`. */
+function positionals(args: string[]): string[] {
+  return args.filter((arg, i) => !arg.startsWith('--') && !(i > 0 && (args[i - 1] === '--depth' || args[i - 1] === '--budget')));
+}
+
+/** Project-relative POSIX form of a user-supplied path. */
+function normalizeFile(projectDir: string, file: string): string {
+  const rel = isAbsolute(file) ? relative(projectDir, file) : file;
+  return toPosixPath(posix.normalize(toPosixPath(rel))).replace(/^\.\//, '');
+}
+
+/**
+ * Read the graph for a handler: the disabled payload or a missing-index error
+ * are returned as `{ data }` for the handler to pass through.
+ */
+function loadGraph(projectDir: string): { graph: ImportGraph } | { data: Record<string, unknown> } {
+  if (!isIntelEnabled(projectDir)) return { data: { disabled: true, message: INTEL_DISABLED_MSG } };
+  const files = readFilesIndex(projectDir);
+  if (!files) return { data: { error: NO_INDEX_MSG } };
+  return { graph: buildImportGraph(files) };
+}
+
+/**
+ * Where `symbol` appears in `source`: whether it is named in an import
+ * declaration, and the lines that use it outside imports.
+ */
+function symbolReferences(source: string, symbol: string): { imported: boolean; lines: number[] } {
+  const tokens = tokenize(source);
+  let imported = false;
+  let inImport = false;
+  const lines = new Set<number>();
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i]!;
+    if (inImport) {
+      if (tok.type === 'string') inImport = false;
+      else if (tok.type === 'ident' && tok.value === symbol) imported = true;
+      continue;
+    }
+    const next = tokens[i + 1];
+    const prev = tokens[i - 1];
+    if (tok.type === 'ident' && tok.value === 'import' && prev?.value !== '.'
+      && !(next?.type === 'punct' && (next.value === '(' || next.value === '.'))) {
+      inImport = true;
+      continue;
+    }
+    if (tok.type === 'ident' && tok.value === symbol) lines.add(tok.line);
+  }
+  return { imported, lines: [...lines].sort((a, b) => a - b) };
+}
+
+// ─── Handlers ──────────────────────────────────────────────────────────────
+
+/**
+ * Query handler for `intel.imports-of <symbol|file> [--budget N]`.
+ *
+ * For an indexed file, lists its direct importers. Otherwise treats the
+ * argument as an exported symbol: finds the files exporting it, then every
+ * file that imports it from them — through barrels that re-export it — with
+ * the lines using it. Ranked by number of uses.
+ */
+export const intelImportsOf: QueryHandler = async (args, projectDir) => {
+  const [target] = positionals(args);
+  if (!target) throw new GSDError('symbol or file required', ErrorClassification.Validation);
+  const budget = intFlag(args, 'budget', INTEL_QUERY_BUDGET);
+  const loaded = loadGraph(projectDir);
+  if ('data' in loaded) return loaded;
+  const { graph } = loaded;
+
+  const file = normalizeFile(projectDir, target);
+  if (graph.files[file]) {
+    const importers = [...(graph.importedBy.get(file) ?? [])].sort().map(f => ({ file: f, type: graph.files[f]!.type }));
+    const fitted = fitBudget(importers, budget);
+    return { data: { target: file, kind: 'file', importers: fitted.items, total: importers.length, omitted: fitted.omitted } };
+  }
+
+  // Exporters that import another exporter are re-exporting barrels, reached below
+  const exporters = Object.keys(graph.files).filter(f => graph.files[f]!.exports?.includes(target)).sort();
+  const definedIn = exporters.filter(f => !exporters.some(other => graph.importedBy.get(other)?.has(f)));
+  const found = new Map<string, { file: string; type: string; via: string; references: number; lines: number[] }>();
+  const sources = [...definedIn];
+  const seen = new Set(sources);
+  while (sources.length > 0) {
+    const source = sources.shift()!;
+    for (const importer of [...(graph.importedBy.get(source) ?? [])].sort()) {
+      if (found.has(importer) || definedIn.includes(importer)) continue;
+      let content: string;
+      try {
+        content = readFileSync(join(projectDir, importer), 'utf-8');
+      } catch {
+        continue;
+      }
+      const refs = symbolReferences(content, target);
+      if (!refs.imported && refs.lines.length === 0) continue;
+      found.set(importer, { file: importer, type: graph.files[importer]!.type, via: source, references: refs.lines.length, lines: refs.lines });
+      // A barrel re-exporting the symbol passes it on to its own importers
+      if (graph.files[importer]!.exports?.includes(target) && !seen.has(importer)) {
+        seen.add(importer);
+        sources.push(importer);
+      }
+    }
+  }
+
+  const importers = [...found.values()].sort((a, b) => b.references - a.references || a.file.localeCompare(b.file));
+  const fitted = fitBudget(importers, budget);
+  return {
+    data: { target, kind: 'symbol', defined_in: definedIn, importers: fitted.items, total: importers.length, omitted: fitted.omitted },
+  };
+};
+
+/**
+ * Query handler for `intel.dependents <file> [--depth N] [--budget N]` —
+ * files that import `file` directly or transitively, nearest first.
+ */
+export const intelDependents: QueryHandler = async (args, projectDir) => {
+  const [target] = positionals(args);
+  if (!target) throw new GSDError('file required', ErrorClassification.Validation);
+  const depth = intFlag(args, 'depth', INTEL_QUERY_DEPTH);
+  const budget = intFlag(args, 'budget', INTEL_QUERY_BUDGET);
+  const loaded = loadGraph(projectDir);
+  if ('data' in loaded) return loaded;
+  const { graph } = loaded;
+
+  const file = normalizeFile(projectDir, target);
+  if (!graph.files[file]) return { data: { file, error: `File not in intel index: ${file}` } };
+
+  const dependents = [...walkDependents(graph, file, depth).entries()]
+    .map(([f, r]) => ({ file: f, distance: r.distance, via: r.via, type: graph.files[f]!.type }))
+    .sort((a, b) => a.distance - b.distance || a.file.localeCompare(b.file));
+  const fitted = fitBudget(dependents, budget);
+  return { data: { file, depth, dependents: fitted.items, total: dependents.length, omitted: fitted.omitted } };
+};
+
+/**
+ * Query handler for `intel.impact <files…> [--depth N] [--budget N]`.
+ *
+ * Every file within `depth` import hops of the changed files, scored by
+ * closeness (the sum of 1/distance over the changed files that reach it),
+ * plus the test files among them or named after a changed file
+ * (`auth.ts` → `auth.test.ts`). Files not in the index are listed in
+ * `unknown`.
+ */
+export const intelImpact: QueryHandler = async (args, projectDir) => {
+  const targets = positionals(args);
+  if (targets.length === 0) throw new GSDError('at least one file required', ErrorClassification.Validation);
+  const depth = intFlag(args, 'depth', INTEL_QUERY_DEPTH);
+  const budget = intFlag(args, 'budget', INTEL_QUERY_BUDGET);
+  const loaded = loadGraph(projectDir);
+  if ('data' in loaded) return loaded;
+  const { graph } = loaded;
+
+  const files = [...new Set(targets.map(t => normalizeFile(projectDir, t)))];
+  const seeds = files.filter(f => graph.files[f]);
+  const unknown = files.filter(f => !graph.files[f]);
+
+  const impacted = new Map<string, { file: string; distance: number; score: number; via: string; type: string }>();
+  for (const seed of seeds) {
+    for (const [file, reached] of walkDependents(graph, seed, depth)) {
+      if (seeds.includes(file)) continue;
+      const current = impacted.get(file);
+      const score = (current?.score ?? 0) + 1 / reached.distance;
+      if (!current || reached.distance < current.distance) {
+        impacted.set(file, { file, distance: reached.distance, score, via: reached.via, type: graph.files[file]!.type });
+      } else {
+        current.score = score;
+      }
+    }
+  }
+
+  const stems = new Set(seeds.map(f => posix.basename(f).replace(/\.[cm]?[jt]sx?$/, '')));
+  const namedTests = Object.keys(graph.files).filter(f =>
+    graph.files[f]!.type === 'test' && stems.has(posix.basename(f).replace(/\.(test|spec)\.[cm]?[jt]sx?$/, '')));
+  const tests = [...new Set([...[...impacted.values()].filter(i => i.type === 'test').map(i => i.file), ...namedTests])].sort();
+
+  const ranked = [...impacted.values()]
+    .map(i => ({ ...i, score: Math.round(i.score * 100) / 100 }))
+    .sort((a, b) => b.score - a.score || a.distance - b.distance || a.file.localeCompare(b.file));
+  const fitted = fitBudget(ranked, budget);
+  return {
+    data: { files: seeds, unknown, depth, impacted: fitted.items, tests, total: ranked.length, omitted: fitted.omitted },
+  };
+};
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the intel JS/TS tokenizer and module parser.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { tokenize, parseModuleSource } from './intel-parse.js';
+
+describe('tokenize', () => {
+  it('keeps strings, templates, comments and regexes out of identifiers', () => {
+    const tokens = tokenize('const a = "export x"; // export y\nconst b = `${c} export z`; /export w/.test(a);');
+    const idents = tokens.filter(t => t.type === 'ident').map(t => t.value);
+    expect(idents).toEqual(['const', 'a', 'const', 'b', 'c', 'test', 'a']);
+    expect(tokens.find(t => t.type === 'string')?.value).toBe('export x');
+  });
+
+  it('marks tokens that follow a line break', () => {
+    const tokens = tokenize('a\n/* c\n */ b c');
+    expect(tokens.map(t => t.nl)).toEqual([false, true, false]);
+  });
+
+  it('treats / after an expression as division', () => {
+    expect(tokenize('x = a / b / c').filter(t => t.type === 'regex')).toHaveLength(0);
+  });
+});
+
+describe('parseModuleSource', () => {
+  it('extracts ESM and TypeScript exports', () => {
+    const parsed = parseModuleSource([
+      "import fs from 'node:fs';",
+      "import { a, b as c } from './a.js';",
+      "import type { T } from './types.js';",
+      "import './side-effect.js';",
+      'export const one = 1, { two, three: [four] } = obj;',
+      'export async function five() { export const nope = 1; }',
+      'export class Six {}',
+      'export interface Seven {}',
+      'export type Eight = Map<string, number>;',
+      'export const enum Nine { A }',
+      'const ten: Map<string, number> = new Map(), eleven = 2;',
+      'export { ten, eleven as twelve, type Seven as Thirteen };',
+      "export * from './reexport.js';",
+      "export * as ns from './ns.js';",
+      'export default one;',
+    ].join('\n'));
+
+    expect(parsed.exports).toEqual([
+      'one', 'two', 'four', 'five', 'Six', 'Seven', 'Eight', 'Nine', 'ten', 'twelve', 'Thirteen', 'ns', 'default',
+    ]);
+    expect(parsed.imports).toEqual(['node:fs', './a.js', './types.js', './side-effect.js', './reexport.js', './ns.js']);
+    expect(parsed.method).toBe('esm');
+  });
+
+  it('extracts CommonJS exports and requires', () => {
+    const parsed = parseModuleSource([
+      "const path = require('path');",
+      "const { helper } = require('./helper.cjs');",
+      'module.exports = { old: 1 };',
+      'module.exports = {',
+      '  alpha,',
+      "  beta: require('./beta.cjs'),",
+      '  gamma() { return 1; },',
+      "  'delta': 4,",
+      '  ...rest,',
+      '};',
+      'exports.epsilon = () => {};',
+      "Object.defineProperty(exports, 'zeta', { get: () => 1 });",
+      "Object.defineProperty(exports, '__esModule', { value: true });",
+    ].join('\n'));
+
+    expect(parsed.exports).toEqual(['epsilon', 'zeta', 'alpha', 'beta', 'gamma', 'delta']);
+    expect(parsed.requires).toEqual(['path', './helper.cjs', './beta.cjs']);
+    expect(parsed.method).toBe('cjs');
+  });
+
+  it('ignores declarations inside strings and comments', () => {
+    const parsed = parseModuleSource([
+      "const doc = 'export const fake = 1; require(\"fake\")';",
+      '/* module.exports = { fake } */',
+      '// export function fake() {}',
+      'const tpl = `export const fake = ${1}`;',
+    ].join('\n'));
+
+    expect(parsed).toEqual({ exports: [], imports: [], requires: [], routes: [], method: 'none' });
+  });
+
+  it('collects dynamic imports and reports mixed modules', () => {
+    const parsed = parseModuleSource("export const load = () => import('./lazy.js');\nconst x = require('x');");
+    expect(parsed.imports).toEqual(['./lazy.js', 'x']);
+    expect(parsed.method).toBe('mixed');
+  });
+
+  it('detects express-style routes', () => {
+    const parsed = parseModuleSource([
+      "router.get('/users/:id', handler);",
+      'app.post("/users", (req, res) => {});',
+      "cache.get('key');",
+    ].join('\n'));
+
+    expect(parsed.routes).toEqual([
+      { method: 'GET', path: '/users/:id' },
+      { method: 'POST', path: '/users' },
+    ]);
+  });
+});
@@ -0,0 +1,535 @@
+/**
+ * JS/TS module parser for the native intel index builder.
+ *
+ * A small tokenizer that understands comments, string and template literals
+ * (including `${}` nesting), regex literals and line breaks, and a parser on
+ * top of it that extracts what `files.json` and `apis.json` need: exported
+ * symbol names (ESM, TypeScript declarations, CommonJS `module.exports` /
+ * `exports.x` / `Object.defineProperty(exports, …)`), imported specifiers
+ * (static, dynamic `import()`, `require()`, `export … from`) and express-style
+ * route registrations. Unlike regex scanning, code inside strings and comments
+ * is never mistaken for a declaration.
+ *
+ * @example
+ * ```typescript
+ * import { parseModuleSource } from './intel-parse.js';
+ *
+ * parseModuleSource("import { x } from './x.js';\nexport const y = x;");
+ * // { exports: ['y'], imports: ['./x.js'], requires: [], routes: [], method: 'esm' }
+ * ```
+ */
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+export type TokenType = 'ident' | 'string' | 'template' | 'number' | 'regex' | 'punct';
+
+export interface Token {
+  type: TokenType;
+  /** Identifier name, punctuator, or the decoded content of a string literal. */
+  value: string;
+  /** A line break precedes this token (for statement boundaries without semicolons). */
+  nl: boolean;
+  /** 1-based line the token starts on. */
+  line: number;
+}
+
+export interface ParsedRoute {
+  method: string;
+  path: string;
+}
+
+export interface ParsedModule {
+  exports: string[];
+  /** Every module specifier the file depends on, in source order. */
+  imports: string[];
+  /** The subset of `imports` loaded through `require()`. */
+  requires: string[];
+  routes: ParsedRoute[];
+  method: 'esm' | 'cjs' | 'mixed' | 'none';
+}
+
+// ─── Tokenizer ─────────────────────────────────────────────────────────────
+
+/** Keywords after which `/` starts a regex literal rather than a division. */
+const REGEX_AFTER_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await',
+]);
+
+const MULTI_PUNCT = ['...', '=>', '?.'];
+
+function isIdentStart(ch: string): boolean {
+  return /[A-Za-z_$]/.test(ch) || ch > '\u007f';
+}
+
+function isIdentPart(ch: string): boolean {
+  return /[\w$]/.test(ch) || ch > '\u007f';
+}
+
+function regexAllowed(prev: Token | undefined): boolean {
+  if (!prev) return true;
+  if (prev.type === 'ident') return REGEX_AFTER_KEYWORDS.has(prev.value);
+  if (prev.type === 'punct') return prev.value !== ')' && prev.value !== ']' && prev.value !== '}';
+  return false;
+}
+
+/**
+ * Split JS/TS source into tokens. Never throws: unterminated literals end at
+ * the end of the line (strings) or the file (templates, comments).
+ */
+export function tokenize(source: string): Token[] {
+  const tokens: Token[] = [];
+  /** Brace depth inside each open template `${…}` expression. */
+  const templateStack: number[] = [];
+  let i = 0;
+  let nl = false;
+  let line = 1;
+  const n = source.length;
+
+  const push = (type: TokenType, value: string, startLine = line): void => {
+    tokens.push({ type, value, nl, line: startLine });
+    nl = false;
+  };
+
+  /** Scan template characters from `i` until the closing backtick or a `${`. */
+  const scanTemplate = (): void => {
+    while (i < n) {
+      const ch = source[i]!;
+      if (ch === '\n' || (ch === '\\' && source[i + 1] === '\n')) line++;
+      if (ch === '\\') { i += 2; continue; }
+      if (ch === '`') { i++; return; }
+      if (ch === '$' && source[i + 1] === '{') {
+        i += 2;
+        templateStack.push(0);
+        return;
+      }
+      i++;
+    }
+  };
+
+  while (i < n) {
+    const ch = source[i]!;
+
+    if (ch === '\n') { nl = true; line++; i++; continue; }
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === '/' && source[i + 1] === '/') {
+      while (i < n && source[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const breaks = source.slice(i, end === -1 ? n : end).split('\n').length - 1;
+      if (breaks > 0) nl = true;
+      line += breaks;
+      i = end === -1 ? n : end + 2;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const startLine = line;
+      let value = '';
+      i++;
+      while (i < n && source[i] !== ch && source[i] !== '\n') {
+        if (source[i] === '\\' && i + 1 < n) {
+          if (source[i + 1] === '\n') line++;
+          value += source[i + 1];
+          i += 2;
+        } else {
+          value += source[i++];
+        }
+      }
+      if (source[i] === ch) i++;
+      push('string', value, startLine);
+      continue;
+    }
+
+    if (ch === '`') {
+      i++;
+      push('template', '');
+      scanTemplate();
+      continue;
+    }
+
+    if (templateStack.length > 0 && (ch === '{' || ch === '}')) {
+      const top = templateStack.length - 1;
+      if (ch === '}' && templateStack[top] === 0) {
+        templateStack.pop();
+        i++;
+        scanTemplate();
+        continue;
+      }
+      templateStack[top] += ch === '{' ? 1 : -1;
+    }
+
+    if (ch === '/' && regexAllowed(tokens[tokens.length - 1])) {
+      let inClass = false;
+      i++;
+      while (i < n && source[i] !== '\n') {
+        const c = source[i]!;
+        if (c === '\\') { i += 2; continue; }
+        if (c === '[') inClass = true;
+        else if (c === ']') inClass = false;
+        else if (c === '/' && !inClass) break;
+        i++;
+      }
+      i++;
+      while (i < n && isIdentPart(source[i]!)) i++;
+      push('regex', '');
+      continue;
+    }
+
+    if (isIdentStart(ch)) {
+      const start = i;
+      while (i < n && isIdentPart(source[i]!)) i++;
+      push('ident', source.slice(start, i));
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] ?? ''))) {
+      const start = i;
+      while (i < n && /[\w.]/.test(source[i]!)) i++;
+      push('number', source.slice(start, i));
+      continue;
+    }
+
+    const multi = MULTI_PUNCT.find(p => source.startsWith(p, i));
+    if (multi) {
+      push('punct', multi);
+      i += multi.length;
+      continue;
+    }
+    push('punct', ch);
+    i++;
+  }
+  return tokens;
+}
+
+// ─── Parser ────────────────────────────────────────────────────────────────
+
+const HTTP_METHODS = new Set(['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'all']);
+
+/** Tokens that continue an expression across a line break. */
+const CONTINUATION_PUNCT = new Set([
+  '.', '?.', ',', '=', '=>', '+', '-', '*', '/', '%', '&', '|', '^', '<', '>', '?', ':', '(', '[', '{', '!',
+]);
+
+const DECLARATION_KEYWORDS = new Set(['function', 'class', 'interface', 'enum', 'namespace', 'module', 'type']);
+
+class ModuleParser {
+  private readonly exports = new Set<string>();
+  private readonly imports: string[] = [];
+  private readonly requires: string[] = [];
+  private readonly routes: ParsedRoute[] = [];
+  private esm = false;
+  private cjs = false;
+  /** Keys of the last `module.exports = { … }` — later assignments replace earlier ones. */
+  private moduleExports: string[] = [];
+
+  constructor(private readonly t: Token[]) {}
+
+  /** Token `i` is the identifier or punctuator `value` (never a string literal). */
+  private is(i: number, value: string): boolean {
+    const tok = this.t[i];
+    return tok !== undefined && (tok.type === 'ident' || tok.type === 'punct') && tok.value === value;
+  }
+
+  private ident(i: number): string | null {
+    const tok = this.t[i];
+    return tok?.type === 'ident' ? tok.value : null;
+  }
+
+  private addImport(spec: string, viaRequire = false): void {
+    if (!this.imports.includes(spec)) this.imports.push(spec);
+    if (viaRequire && !this.requires.includes(spec)) this.requires.push(spec);
+  }
+
+  /** Index of the token matching the bracket at `i`. */
+  private matching(i: number): number {
+    const open = this.t[i]!.value;
+    const close = open === '{' ? '}' : open === '(' ? ')' : ']';
+    let depth = 0;
+    for (let j = i; j < this.t.length; j++) {
+      const tok = this.t[j]!;
+      if (tok.type !== 'punct') continue;
+      if (tok.value === open) depth++;
+      else if (tok.value === close && --depth === 0) return j;
+    }
+    return this.t.length - 1;
+  }
+
+  /** End of the expression starting at `i`: `,` / `;` at depth 0, or a line break that ends the statement. */
+  private expressionEnd(i: number): number {
+    let depth = 0;
+    for (let j = i; j < this.t.length; j++) {
+      const tok = this.t[j]!;
+      if (tok.type === 'punct') {
+        if ('([{'.includes(tok.value)) depth++;
+        else if (')]}'.includes(tok.value)) {
+          if (depth === 0) return j;
+          depth--;
+        } else if (depth === 0 && (tok.value === ',' || tok.value === ';')) return j;
+      }
+      const prev = this.t[j - 1];
+      if (depth === 0 && j > i && tok.nl && !(prev?.type === 'punct' && CONTINUATION_PUNCT.has(prev.value))
+        && !(tok.type === 'punct' && CONTINUATION_PUNCT.has(tok.value))) {
+        return j;
+      }
+    }
+    return this.t.length;
+  }
+
+  /** End of a type annotation starting at `i`: `=`, `,` or `;` outside brackets, counting `<…>`. */
+  private typeEnd(i: number): number {
+    let depth = 0;
+    for (let j = i; j < this.t.length; j++) {
+      const tok = this.t[j]!;
+      if (tok.type !== 'punct') continue;
+      if ('([{<'.includes(tok.value)) depth++;
+      else if (')]}>'.includes(tok.value)) depth--;
+      else if (depth <= 0 && (tok.value === '=' || tok.value === ',' || tok.value === ';')) return j;
+    }
+    return this.t.length;
+  }
+
+  /** Names bound by a binding pattern (`a`, `{ a, b: c, ...d }`, `[a, , b]`) starting at `i`. */
+  private bindingNames(i: number): { names: string[]; next: number } {
+    const tok = this.t[i];
+    if (!tok) return { names: [], next: i };
+    if (tok.type === 'ident') return { names: [tok.value], next: i + 1 };
+    if (tok.type !== 'punct' || (tok.value !== '{' && tok.value !== '[')) return { names: [], next: i + 1 };
+
+    const end = this.matching(i);
+    const names: string[] = [];
+    let j = i + 1;
+    while (j < end) {
+      const cur = this.t[j]!;
+      if (cur.type === 'punct' && (cur.value === ',' || cur.value === '...')) { j++; continue; }
+      if (tok.value === '{' && cur.type === 'ident' && this.is(j + 1, ':')) {
+        const inner = this.bindingNames(j + 2);
+        names.push(...inner.names);
+        j = this.expressionEnd(inner.next);
+        continue;
+      }
+      const inner = this.bindingNames(j);
+      names.push(...inner.names);
+      j = this.expressionEnd(inner.next);
+    }
+    return { names, next: end + 1 };
+  }
+
+  /** `export { a, b as c, type d } [from 'm']` — returns the index after the clause. */
+  private exportClause(i: number): number {
+    const end = this.matching(i);
+    for (let j = i + 1; j < end; j++) {
+      if (this.t[j]!.type !== 'ident') continue;
+      if (this.is(j, 'type') && this.t[j + 1]?.type === 'ident' && !this.is(j + 1, 'as')) continue;
+      if (this.is(j + 1, 'as')) {
+        const alias = this.t[j + 2];
+        if (alias && (alias.type === 'ident' || alias.type === 'string')) this.exports.add(alias.value);
+        j += 2;
+      } else {
+        this.exports.add(this.t[j]!.value);
+      }
+    }
+    if (this.is(end + 1, 'from') && this.t[end + 2]?.type === 'string') {
+      this.addImport(this.t[end + 2]!.value);
+      return end + 3;
+    }
+    return end + 1;
+  }
+
+  private exportDeclaration(i: number): number {
+    this.esm = true;
+    let j = i + 1;
+    while (this.is(j, 'declare') || this.is(j, 'async') || this.is(j, 'abstract')) j++;
+
+    if (this.is(j, 'default')) {
+      this.exports.add('default');
+      return j + 1;
+    }
+    if (this.is(j, '=')) {
+      this.exports.add('default');
+      return j + 1;
+    }
+    if (this.is(j, '*')) {
+      let k = j + 1;
+      if (this.is(k, 'as') && this.t[k + 1]) {
+        this.exports.add(this.t[k + 1]!.value);
+        k += 2;
+      }
+      if (this.is(k, 'from') && this.t[k + 1]?.type === 'string') this.addImport(this.t[k + 1]!.value);
+      return k + 2;
+    }
+    if (this.is(j, 'type') && this.is(j + 1, '{')) return this.exportClause(j + 1);
+    if (this.is(j, '{')) return this.exportClause(j);
+
+    if (this.is(j, 'import') && this.ident(j + 1) && this.is(j + 2, '=')) {
+      this.exports.add(this.t[j + 1]!.value);
+      return j + 3;
+    }
+    if (this.is(j, 'const') && this.is(j + 1, 'enum')) j++;
+    if (this.is(j, 'const') || this.is(j, 'let') || this.is(j, 'var')) {
+      // Collect every declarator's names, but resume scanning right after the
+      // keyword so imports and routes inside initializers are still seen
+      let k = j + 1;
+      for (;;) {
+        const { names, next } = this.bindingNames(k);
+        names.forEach(name => this.exports.add(name));
+        const end = this.expressionEnd(this.is(next, ':') ? this.typeEnd(next + 1) : next);
+        if (!this.is(end, ',')) return j + 1;
+        k = end + 1;
+      }
+    }
+    const keyword = this.ident(j);
+    if (keyword && DECLARATION_KEYWORDS.has(keyword)) {
+      let k = j + 1;
+      if (this.is(k, '*')) k++;
+      const name = this.ident(k);
+      if (name) this.exports.add(name);
+      return k + 1;
+    }
+    return j;
+  }
+
+  private importDeclaration(i: number): number {
+    if (this.t[i + 1]?.type === 'string') {
+      this.esm = true;
+      this.addImport(this.t[i + 1]!.value);
+      return i + 2;
+    }
+    // TS `import x = require('m')` is picked up by the require() scan
+    if (this.ident(i + 1) && this.is(i + 2, '=')) return i + 1;
+    for (let j = i + 1; j < this.t.length && !this.is(j, ';'); j++) {
+      if (this.is(j, 'from') && this.t[j + 1]?.type === 'string') {
+        this.esm = true;
+        this.addImport(this.t[j + 1]!.value);
+        return j + 2;
+      }
+      if (this.is(j, '{')) j = this.matching(j);
+      else if (this.t[j]!.nl && j > i + 1 && !this.is(j - 1, ',')) break;
+    }
+    return i + 1;
+  }
+
+  /** Top-level keys of the object literal at `i`. */
+  private objectKeys(i: number): string[] {
+    const end = this.matching(i);
+    const keys: string[] = [];
+    let j = i + 1;
+    while (j < end) {
+      if (this.is(j, '...')) { j = this.expressionEnd(j + 1) + 1; continue; }
+      let k = j;
+      // `async foo() {}`, `get foo() {}`, `*gen() {}`
+      const modifier = this.is(k, 'async') || this.is(k, 'get') || this.is(k, 'set');
+      if (modifier && (this.t[k + 1]?.type === 'ident' || this.t[k + 1]?.type === 'string' || this.is(k + 1, '*'))) k++;
+      if (this.is(k, '*')) k++;
+
+      let keyEnd = k + 1;
+      const tok = this.t[k]!;
+      if (this.is(k, '[')) keyEnd = this.matching(k) + 1;
+      else if (tok.type === 'ident' || tok.type === 'string') keys.push(tok.value);
+
+      let valueEnd = keyEnd;
+      if (this.is(keyEnd, '(')) {
+        // Method shorthand: params, optional return type, body
+        valueEnd = this.expressionEnd(this.matching(keyEnd) + 1);
+      } else if (this.is(keyEnd, ':')) {
+        valueEnd = this.expressionEnd(keyEnd + 1);
+      }
+      j = this.is(valueEnd, ',') ? valueEnd + 1 : Math.max(valueEnd, k + 1);
+    }
+    return keys;
+  }
+
+  parse(): ParsedModule {
+    const t = this.t;
+    let depth = 0;
+    for (let i = 0; i < t.length; i++) {
+      const tok = t[i]!;
+      const prevDot = i > 0 && (this.is(i - 1, '.') || this.is(i - 1, '?.'));
+
+      if (tok.type === 'punct') {
+        if (tok.value === '{') depth++;
+        else if (tok.value === '}') depth = Math.max(0, depth - 1);
+        continue;
+      }
+      if (tok.type !== 'ident' || prevDot) continue;
+
+      switch (tok.value) {
+        case 'export':
+          if (depth === 0) i = this.exportDeclaration(i) - 1;
+          break;
+        case 'import':
+          if (this.is(i + 1, '(') && t[i + 2]?.type === 'string') this.addImport(t[i + 2]!.value);
+          else if (depth === 0 && !this.is(i + 1, '.') && !this.is(i + 1, '(')) i = this.importDeclaration(i) - 1;
+          break;
+        case 'require':
+          if (this.is(i + 1, '(') && t[i + 2]?.type === 'string' && this.is(i + 3, ')')) {
+            this.cjs = true;
+            this.addImport(t[i + 2]!.value, true);
+          }
+          break;
+        case 'module':
+          if (this.is(i + 1, '.') && this.is(i + 2, 'exports')) i = this.cjsExport(i + 2) - 1;
+          break;
+        case 'exports':
+          i = this.cjsExport(i) - 1;
+          break;
+        case 'Object':
+          // Object.defineProperty(exports, 'name', …) — compiled TS / Babel output
+          if (this.is(i + 1, '.') && this.is(i + 2, 'defineProperty') && this.is(i + 3, '(') && this.is(i + 4, 'exports')
+            && this.is(i + 5, ',') && t[i + 6]?.type === 'string' && t[i + 6]!.value !== '__esModule') {
+            this.cjs = true;
+            this.exports.add(t[i + 6]!.value);
+          }
+          break;
+      }
+
+      // app.get('/path', …) / router.post("/path", …)
+      const method = this.ident(i + 2);
+      if (this.is(i + 1, '.') && method && HTTP_METHODS.has(method) && this.is(i + 3, '(')
+        && t[i + 4]?.type === 'string' && t[i + 4]!.value.startsWith('/')) {
+        this.routes.push({ method: method === 'all' ? 'ALL' : method.toUpperCase(), path: t[i + 4]!.value });
+      }
+    }
+
+    for (const key of this.moduleExports) this.exports.add(key);
+    const exports = [...this.exports];
+    return {
+      exports,
+      imports: this.imports,
+      requires: this.requires,
+      routes: this.routes,
+      method: this.esm && this.cjs ? 'mixed' : this.esm ? 'esm' : this.cjs ? 'cjs' : 'none',
+    };
+  }
+
+  /** `exports.x =`, `module.exports.x =`, `module.exports = …` with `i` at `exports`. */
+  private cjsExport(i: number): number {
+    if (this.is(i + 1, '.') && this.ident(i + 2) && this.is(i + 3, '=') && !this.is(i + 4, '=')) {
+      this.cjs = true;
+      this.exports.add(this.t[i + 2]!.value);
+      return i + 4;
+    }
+    if (this.is(i - 2, 'module') && this.is(i + 1, '=') && !this.is(i + 2, '=')) {
+      this.cjs = true;
+      if (this.is(i + 2, '{')) {
+        this.moduleExports = this.objectKeys(i + 2);
+      } else {
+        const k = this.is(i + 2, 'function') || this.is(i + 2, 'class') ? i + 3 : i + 2;
+        const name = this.ident(k);
+        this.moduleExports = name && name !== 'require' && !this.is(k + 1, '(') ? [name] : ['default'];
+      }
+      // Keep scanning the value: it may contain require() calls
+      return i + 2;
+    }
+    return i + 1;
+  }
+}
+
+/**
+ * Parse JS/TS/ESM/CJS source into exports, imports and routes.
+ */
+export function parseModuleSource(source: string): ParsedModule {
+  return new ModuleParser(tokenize(source)).parse();
+}
@@ -3,7 +3,8 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { mkdtemp, writeFile, mkdir, rm, readFile } from 'node:fs/promises';
+import { mkdtemp, writeFile, mkdir, rm, readFile, utimes } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
 
@@ -12,6 +13,7 @@ import {
   MAX_JSON_SEARCH_DEPTH,
   intelStatus,
   intelSnapshot,
+  intelUpdate,
 } from './intel.js';
 
 describe('searchJsonEntries', () => {
@@ -88,3 +90,115 @@ describe('intelSnapshot', () => {
     expect(JSON.parse(snap)).toHaveProperty('hashes');
   });
 });
+
+describe('intelUpdate', () => {
+  let tmpDir: string;
+
+  const readIntel = async (file: string) =>
+    JSON.parse(await readFile(join(tmpDir, '.planning', 'intel', file), 'utf-8')) as Record<string, any>;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'gsd-intel-'));
+    await mkdir(join(tmpDir, '.planning'), { recursive: true });
+    await mkdir(join(tmpDir, 'src', 'routes'), { recursive: true });
+    await mkdir(join(tmpDir, 'node_modules', 'express'), { recursive: true });
+    await writeFile(
+      join(tmpDir, '.planning', 'config.json'),
+      JSON.stringify({ model_profile: 'balanced', intel: { enabled: true } }),
+    );
+    await writeFile(join(tmpDir, 'package.json'), JSON.stringify({
+      name: 'demo',
+      main: 'dist/index.js',
+      scripts: { test: 'vitest run', lint: 'eslint src' },
+      dependencies: { express: '^4.19.0' },
+      devDependencies: { vitest: '^3.0.0', eslint: '^9.0.0', typescript: '^5.0.0' },
+    }));
+    await writeFile(join(tmpDir, 'package-lock.json'), '{}');
+    await writeFile(join(tmpDir, 'README.md'), '# Demo\n');
+    await writeFile(join(tmpDir, 'src', 'index.ts'), "import express from 'express';\nimport { users } from './routes/users.js';\nexport const app = express();\n");
+    await writeFile(join(tmpDir, 'src', 'routes', 'users.ts'), "export function users(router) {\n  router.get('/users/:id', () => {});\n}\n");
+    await writeFile(join(tmpDir, 'src', 'index.test.ts'), "import { app } from './index.js';\n");
+    await writeFile(join(tmpDir, 'node_modules', 'express', 'index.js'), 'module.exports = {};\n');
+    await writeFile(join(tmpDir, '.env'), 'SECRET=1\n');
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('returns disabled when intel.enabled is not true', async () => {
+    await writeFile(join(tmpDir, '.planning', 'config.json'), JSON.stringify({ model_profile: 'balanced' }));
+    const r = await intelUpdate([], tmpDir);
+    expect(r.data).toMatchObject({ disabled: true });
+    expect(existsSync(join(tmpDir, '.planning', 'intel'))).toBe(false);
+  });
+
+  it('builds files, apis, deps and stack without an agent', async () => {
+    const r = await intelUpdate([], tmpDir);
+    expect(r.data).toMatchObject({ updated: true, indexed: 3, parsed: 3, unchanged: 0, apis: 1, deps: 4 });
+
+    const files = await readIntel('files.json');
+    expect(files._meta.version).toBe(1);
+    expect(Object.keys(files.entries)).toEqual(['src/index.test.ts', 'src/index.ts', 'src/routes/users.ts']);
+    expect(files.entries['src/index.ts']).toEqual({ exports: ['app'], imports: ['express', './routes/users.js'], type: 'entry-point' });
+    expect(files.entries['src/index.test.ts'].type).toBe('test');
+
+    const apis = await readIntel('apis.json');
+    expect(apis.entries['GET /users/:id']).toMatchObject({ params: ['id'], file: 'src/routes/users.ts' });
+
+    const deps = await readIntel('deps.json');
+    expect(deps.entries.express).toEqual({ version: '^4.19.0', type: 'production', used_by: ['src/index.ts'], invocation: 'import' });
+    expect(deps.entries.eslint).toMatchObject({ type: 'development', invocation: 'npm run lint' });
+    expect(deps.entries.vitest.invocation).toBe('npm test');
+
+    const stack = await readIntel('stack.json');
+    expect(stack).toMatchObject({
+      languages: ['TypeScript'],
+      frameworks: ['Express'],
+      tools: ['ESLint', 'TypeScript', 'Vitest'],
+      build_system: 'npm scripts',
+      test_framework: 'Vitest',
+      package_manager: 'npm',
+      content_formats: ['Markdown'],
+    });
+  });
+
+  it('re-parses only files whose hash changed', async () => {
+    await intelUpdate([], tmpDir);
+    const files = await readIntel('files.json');
+    files.entries['src/routes/users.ts'].note = 'added by agent';
+    await writeFile(join(tmpDir, '.planning', 'intel', 'files.json'), JSON.stringify(files));
+
+    await writeFile(join(tmpDir, 'src', 'index.ts'), 'export const app = 1;\n');
+    await rm(join(tmpDir, 'src', 'index.test.ts'));
+    const r = await intelUpdate([], tmpDir);
+    expect(r.data).toMatchObject({ indexed: 2, parsed: 1, unchanged: 1, removed: 1 });
+
+    const after = await readIntel('files.json');
+    expect(after._meta.version).toBe(2);
+    expect(after.entries['src/index.ts'].imports).toEqual([]);
+    expect(after.entries['src/routes/users.ts'].note).toBe('added by agent');
+    expect((await readIntel('deps.json')).entries.express.used_by).toEqual([]);
+
+    expect((await intelUpdate(['--full'], tmpDir)).data).toMatchObject({ parsed: 2, unchanged: 0, written: [] });
+    expect((await readIntel('stack.json'))._meta.version).toBe(1);
+  });
+
+  it('leaves unchanged intel files byte-identical on a no-op update', async () => {
+    await intelUpdate([], tmpDir);
+    const intelDir = join(tmpDir, '.planning', 'intel');
+    const twoDaysAgo = new Date(Date.now() - 48 * 3600_000);
+    const stack = await readIntel('stack.json');
+    stack._meta.updated_at = twoDaysAgo.toISOString();
+    await writeFile(join(intelDir, 'stack.json'), JSON.stringify(stack, null, 2) + '\n');
+    await utimes(join(intelDir, 'stack.json'), twoDaysAgo, twoDaysAgo);
+    const before = await Promise.all(['files.json', 'stack.json', '.index-hashes.json'].map(f => readFile(join(intelDir, f), 'utf-8')));
+
+    expect((await intelUpdate([], tmpDir)).data).toMatchObject({ written: [] });
+
+    const after = await Promise.all(['files.json', 'stack.json', '.index-hashes.json'].map(f => readFile(join(intelDir, f), 'utf-8')));
+    expect(after).toEqual(before);
+    const { data } = await intelStatus([], tmpDir);
+    expect((data as { files: Record<string, { stale: boolean }> }).files['stack.json']!.stale).toBe(false);
+  });
+});
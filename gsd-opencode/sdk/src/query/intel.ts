@@ -3,7 +3,8 @@
  *
  * Ported from get-shit-done/bin/lib/intel.cjs.
  * Provides intel status, diff, snapshot, validate, query, extract-exports,
- * and patch-meta operations for the project intelligence system.
+ * and patch-meta operations for the project intelligence system, and the
+ * native index builder behind `intel.update`.
  *
  * @example
  * ```typescript
@@ -17,11 +18,13 @@
  * ```
  */
 
-import { existsSync, readdirSync, readFileSync, writeFileSync, mkdirSync, statSync } from 'node:fs';
-import { join } from 'node:path';
+import { existsSync, readdirSync, readFileSync, writeFileSync, mkdirSync, statSync, utimesSync } from 'node:fs';
+import { basename, extname, join } from 'node:path';
 import { createHash } from 'node:crypto';
 
 import { planningPaths, resolvePathUnderProject } from './helpers.js';
+import { withLock } from './locks.js';
+import { parseModuleSource, type ParsedRoute } from './intel-parse.js';
 import type { QueryHandler } from './utils.js';
 
 // ─── Constants ───────────────────────────────────────────────────────────
@@ -42,7 +45,7 @@ function intelDir(projectDir: string): string {
   return join(projectDir, '.planning', 'intel');
 }
 
-function isIntelEnabled(projectDir: string): boolean {
+export function isIntelEnabled(projectDir: string): boolean {
   try {
     const cfg = JSON.parse(readFileSync(planningPaths(projectDir).config, 'utf-8'));
     return cfg?.intel?.enabled === true;
@@ -116,7 +119,7 @@ function searchArchMd(filePath: string, term: string): string[] {
 
 // ─── Handlers ────────────────────────────────────────────────────────────
 
-const INTEL_DISABLED_MSG = 'Intel system disabled. Set intel.enabled=true in config.json to activate.';
+export const INTEL_DISABLED_MSG = 'Intel system disabled. Set intel.enabled=true in config.json to activate.';
 
 export const intelStatus: QueryHandler = async (_args, projectDir, _workstream) => {
   if (!isIntelEnabled(projectDir)) {
@@ -137,10 +140,7 @@ export const intelStatus: QueryHandler = async (_args, projectDir, _workstream)
     if (filename.endsWith('.md')) {
       try { updatedAt = statSync(filePath).mtime.toISOString(); } catch { /* skip */ }
     } else {
-      const data = safeReadJson(filePath) as Record<string, unknown> | null;
-      if (data?._meta) {
-        updatedAt = (data._meta as Record<string, unknown>).updated_at as string | null;
-      }
+      updatedAt = intelCheckedAt(filePath, safeReadJson(filePath) as Record<string, unknown> | null);
     }
     const stale = !updatedAt || (now - new Date(updatedAt).getTime()) > STALE_MS;
     if (stale) overallStale = true;
@@ -211,7 +211,7 @@ export const intelValidate: QueryHandler = async (_args, projectDir, _workstream
       const meta = data._meta as Record<string, unknown> | undefined;
       if (!meta?.updated_at) warnings.push(`${filename}: missing _meta.updated_at`);
       else {
-        const age = Date.now() - new Date(meta.updated_at as string).getTime();
+        const age = Date.now() - new Date(intelCheckedAt(filePath, data)!).getTime();
         if (age > STALE_MS) warnings.push(`${filename}: stale (${Math.round(age / 3600000)}h old)`);
       }
     }
@@ -367,38 +367,414 @@ export const intelPatchMeta: QueryHandler = async (args, projectDir, _workstream
     return { data: { patched: false, error: `File not found: ${filePath}` } };
   }
   try {
-    const raw = readFileSync(filePath, 'utf-8');
-    const data = JSON.parse(raw) as Record<string, unknown>;
-    if (!data._meta) data._meta = {};
-    const meta = data._meta as Record<string, unknown>;
-    const timestamp = new Date().toISOString();
-    meta.updated_at = timestamp;
-    meta.version = ((meta.version as number) || 0) + 1;
-    writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf-8');
-    return { data: { patched: true, file: filePath, timestamp } };
+    return await withLock(filePath, async () => {
+      const raw = readFileSync(filePath, 'utf-8');
+      const data = JSON.parse(raw) as Record<string, unknown>;
+      if (!data._meta) data._meta = {};
+      const meta = data._meta as Record<string, unknown>;
+      const timestamp = new Date().toISOString();
+      meta.updated_at = timestamp;
+      meta.version = ((meta.version as number) || 0) + 1;
+      writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+      return { data: { patched: true, file: filePath, timestamp } };
+    });
   } catch (err) {
     return { data: { patched: false, error: String(err) } };
   }
 };
 
+// ─── Index builder ───────────────────────────────────────────────────────
+
+const SOURCE_EXTENSIONS = new Set(['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts']);
+
+/** Directories never walked (gsd-intel-updater exclusions plus common output dirs). */
+const EXCLUDED_DIRS = new Set(['node_modules', 'dist', 'build', 'coverage', 'out', 'vendor', '.planning', '.git']);
+
+/** Forbidden files from the gsd-intel-updater contract: never read or indexed. */
+function isForbiddenFile(name: string): boolean {
+  if (/^\.env(\.|$)/.test(name)) return !/^\.env\.(example|template)$/.test(name);
+  return /\.(key|pem|pfx|p12|keystore|jks)$/i.test(name) || /credential|secret/i.test(name) || /^id_(rsa|ed25519)/.test(name);
+}
+
+/** Larger files (bundles, generated code) are listed but not parsed. */
+const MAX_PARSE_BYTES = 1024 * 1024;
+
+/** Per-file hashes and parse results from the last build, so unchanged files are not re-parsed. */
+const INDEX_CACHE_FILE = '.index-hashes.json';
+
+interface IndexCacheEntry {
+  hash: string;
+  requires: string[];
+  routes: ParsedRoute[];
+}
+
+/** One `files.json` entry. */
+export interface IntelFileEntry {
+  exports: string[];
+  /** Module specifiers as written in the source. */
+  imports: string[];
+  type: string;
+  [key: string]: unknown;
+}
+
+export interface IntelBuildResult {
+  indexed: number;
+  parsed: number;
+  unchanged: number;
+  removed: number;
+  apis: number;
+  deps: number;
+  /** Intel files whose content changed (their `_meta.version` was bumped). */
+  written: string[];
+}
+
+const LANGUAGES: Record<string, string> = {
+  '.ts': 'TypeScript', '.tsx': 'TypeScript', '.mts': 'TypeScript', '.cts': 'TypeScript',
+  '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript',
+  '.py': 'Python', '.go': 'Go', '.rs': 'Rust', '.rb': 'Ruby', '.java': 'Java', '.kt': 'Kotlin',
+  '.swift': 'Swift', '.cs': 'C#', '.php': 'PHP', '.sh': 'Shell',
+};
+
+const CONTENT_FORMATS: Record<string, string> = {
+  '.md': 'Markdown', '.mdx': 'MDX', '.yml': 'YAML', '.yaml': 'YAML', '.toml': 'TOML', '.ejs': 'EJS',
+  '.hbs': 'Handlebars', '.html': 'HTML', '.css': 'CSS', '.scss': 'SCSS', '.sql': 'SQL', '.graphql': 'GraphQL',
+};
+
+const KNOWN_FRAMEWORKS: Record<string, string> = {
+  express: 'Express', fastify: 'Fastify', koa: 'Koa', hono: 'Hono', '@nestjs/core': 'NestJS', next: 'Next.js',
+  nuxt: 'Nuxt', react: 'React', vue: 'Vue', svelte: 'Svelte', '@angular/core': 'Angular', electron: 'Electron',
+  django: 'Django', flask: 'Flask', fastapi: 'FastAPI',
+};
+
+const KNOWN_TOOLS: Record<string, string> = {
+  typescript: 'TypeScript', eslint: 'ESLint', prettier: 'Prettier', '@biomejs/biome': 'Biome', vite: 'Vite',
+  webpack: 'webpack', esbuild: 'esbuild', rollup: 'Rollup', tsx: 'tsx', husky: 'Husky',
+  vitest: 'Vitest', jest: 'Jest', mocha: 'Mocha', ava: 'AVA', '@playwright/test': 'Playwright', pytest: 'pytest',
+};
+
+/** Checked in order; the first declared dependency names the test framework. */
+const TEST_FRAMEWORKS = ['vitest', 'jest', 'mocha', 'ava', '@playwright/test', 'pytest'];
+
+const LOCKFILES: Array<[string, string]> = [
+  ['pnpm-lock.yaml', 'pnpm'], ['yarn.lock', 'yarn'], ['bun.lockb', 'bun'], ['bun.lock', 'bun'],
+  ['package-lock.json', 'npm'], ['poetry.lock', 'poetry'], ['Cargo.lock', 'cargo'], ['go.sum', 'go modules'],
+];
+
+/** Project-relative POSIX paths of every non-excluded file, sorted. */
+function walkProject(projectDir: string): string[] {
+  const files: string[] = [];
+  const walk = (rel: string): void => {
+    let entries;
+    try {
+      entries = readdirSync(join(projectDir, rel), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const childRel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!EXCLUDED_DIRS.has(entry.name) && !entry.name.startsWith('.')) walk(childRel);
+      } else if (entry.isFile() && !isForbiddenFile(entry.name)) {
+        files.push(childRel);
+      }
+    }
+  };
+  walk('');
+  return files.sort();
+}
+
+function isSourceFile(path: string): boolean {
+  return SOURCE_EXTENSIONS.has(extname(path));
+}
+
+/** Files named as entry points by package.json (`main`, `module`, `bin`, `exports`), without extension. */
+function manifestEntryPoints(pkg: Record<string, unknown> | null): Set<string> {
+  const targets: string[] = [];
+  const collect = (value: unknown): void => {
+    if (typeof value === 'string') targets.push(value);
+    else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+  };
+  if (pkg) [pkg.main, pkg.module, pkg.bin, pkg.exports].forEach(collect);
+
+  const stems = new Set<string>();
+  for (const target of targets) {
+    const stem = target.replace(/^\.\//, '').replace(/\.[cm]?[jt]sx?$/, '');
+    stems.add(stem);
+    // Built output usually mirrors src/
+    stems.add(stem.replace(/^(dist|build|lib)\//, 'src/'));
+  }
+  return stems;
+}
+
+function classifyFile(path: string, source: string, entryPoints: Set<string>): string {
+  const name = basename(path);
+  if (/\.d\.[cm]?ts$/.test(name)) return 'type-def';
+  if (/\.(test|spec)\.[cm]?[jt]sx?$/.test(name) || /(^|\/)(__tests__|tests?)\//.test(path)) return 'test';
+  if (/(^|\.)config\.[cm]?[jt]s$/.test(name) || /^\.?\w+rc\.[cm]?js$/.test(name)) return 'config';
+  const stem = path.replace(/\.[cm]?[jt]sx?$/, '');
+  if (entryPoints.has(stem) || /^(src\/)?(index|main|cli|server|app)$/.test(stem)) return 'entry-point';
+  if (source.startsWith('#!') || /^(scripts|bin)\//.test(path)) return 'script';
+  return 'module';
+}
+
+/** npm package a bare import specifier resolves to, or null for relative/builtin specifiers. */
+function packageName(spec: string): string | null {
+  if (spec.startsWith('.') || spec.startsWith('/') || spec.startsWith('node:')) return null;
+  const parts = spec.split('/');
+  return spec.startsWith('@') ? (parts.length > 1 ? `${parts[0]}/${parts[1]}` : null) : parts[0]!;
+}
+
+interface ManifestDep {
+  version: string;
+  type: 'production' | 'development' | 'peer' | 'optional';
+}
+
+/** Dependencies declared by package.json, requirements.txt, go.mod and Cargo.toml. */
+function readManifestDeps(projectDir: string, pkg: Record<string, unknown> | null): Map<string, ManifestDep> {
+  const deps = new Map<string, ManifestDep>();
+  const sections: Array<[string, ManifestDep['type']]> = [
+    ['dependencies', 'production'], ['devDependencies', 'development'],
+    ['peerDependencies', 'peer'], ['optionalDependencies', 'optional'],
+  ];
+  for (const [section, type] of sections) {
+    const declared = pkg?.[section];
+    if (!declared || typeof declared !== 'object') continue;
+    for (const [name, version] of Object.entries(declared as Record<string, unknown>)) {
+      if (!deps.has(name)) deps.set(name, { version: String(version), type });
+    }
+  }
+
+  const readText = (file: string): string => {
+    try { return readFileSync(join(projectDir, file), 'utf-8'); } catch { return ''; }
+  };
+  for (const line of readText('requirements.txt').split('\n')) {
+    const m = line.trim().match(/^([A-Za-z0-9_.-]+)\s*(?:\[[^\]]*\])?\s*([=<>!~]=?.*)?$/);
+    if (m && !line.trim().startsWith('#')) deps.set(m[1]!.toLowerCase(), { version: (m[2] ?? '*').trim(), type: 'production' });
+  }
+  for (const m of readText('go.mod').matchAll(/^\s*(?:require\s+)?([\w.-]+\.[\w.-]+\/\S+)\s+(v\S+)/gm)) {
+    deps.set(m[1]!, { version: m[2]!, type: 'production' });
+  }
+  let cargoSection = '';
+  for (const line of readText('Cargo.toml').split('\n')) {
+    const header = line.match(/^\s*\[([^\]]+)\]/);
+    if (header) { cargoSection = header[1]!; continue; }
+    const m = line.match(/^\s*([\w-]+)\s*=\s*(?:"([^"]*)"|\{.*?version\s*=\s*"([^"]*)")/);
+    if (m && (cargoSection === 'dependencies' || cargoSection === 'dev-dependencies')) {
+      deps.set(m[1]!, { version: m[2] ?? m[3] ?? '*', type: cargoSection === 'dependencies' ? 'production' : 'development' });
+    }
+  }
+  return deps;
+}
+
+/** The npm script command that invokes `dep`'s binary or mentions it, if any. */
+function scriptInvocation(dep: string, scripts: Record<string, string>): string | null {
+  const bin = dep.replace(/^@[^/]+\//, '');
+  const pattern = new RegExp(`(^|[\\s/&|;(])${bin.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([\\s;&|)]|$)`);
+  for (const [name, command] of Object.entries(scripts)) {
+    if (pattern.test(command)) return name === 'test' || name === 'start' ? `npm ${name}` : `npm run ${name}`;
+  }
+  return null;
+}
+
+function buildStack(
+  projectDir: string,
+  allFiles: string[],
+  pkg: Record<string, unknown> | null,
+  deps: Map<string, ManifestDep>,
+): Record<string, unknown> {
+  const byCount = (counts: Map<string, number>): string[] =>
+    [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([name]) => name);
+  const languages = new Map<string, number>();
+  const formats = new Map<string, number>();
+  for (const file of allFiles) {
+    const ext = /\.d\.[cm]?ts$/.test(file) ? '.ts' : extname(file).toLowerCase();
+    if (LANGUAGES[ext]) languages.set(LANGUAGES[ext]!, (languages.get(LANGUAGES[ext]!) ?? 0) + 1);
+    if (CONTENT_FORMATS[ext]) formats.set(CONTENT_FORMATS[ext]!, (formats.get(CONTENT_FORMATS[ext]!) ?? 0) + 1);
+  }
+
+  const frameworks = [...deps.keys()].filter(d => KNOWN_FRAMEWORKS[d]).map(d => KNOWN_FRAMEWORKS[d]!);
+  const tools = [...deps.keys()].filter(d => KNOWN_TOOLS[d]).map(d => KNOWN_TOOLS[d]!);
+  if (existsSync(join(projectDir, 'Dockerfile')) || existsSync(join(projectDir, 'docker-compose.yml'))) tools.push('Docker');
+  if (existsSync(join(projectDir, '.github', 'workflows'))) tools.push('GitHub Actions');
+
+  const scripts = (pkg?.scripts ?? {}) as Record<string, string>;
+  const testDep = TEST_FRAMEWORKS.find(d => deps.has(d));
+  const testFramework = testDep ? KNOWN_TOOLS[testDep]! : /\bnode\s+--test\b/.test(scripts.test ?? '') ? 'node:test' : null;
+
+  let buildSystem: string | null = null;
+  if (Object.keys(scripts).length > 0) buildSystem = 'npm scripts';
+  else if (existsSync(join(projectDir, 'Makefile'))) buildSystem = 'make';
+  else if (existsSync(join(projectDir, 'Cargo.toml'))) buildSystem = 'cargo';
+  else if (existsSync(join(projectDir, 'go.mod'))) buildSystem = 'go';
+
+  let packageManager: string | null = typeof pkg?.packageManager === 'string' ? pkg.packageManager.split('@')[0]! : null;
+  packageManager ??= LOCKFILES.find(([file]) => existsSync(join(projectDir, file)))?.[1] ?? (pkg ? 'npm' : null);
+  if (!packageManager && existsSync(join(projectDir, 'requirements.txt'))) packageManager = 'pip';
+
+  return {
+    languages: byCount(languages),
+    frameworks: [...new Set(frameworks)].sort(),
+    tools: [...new Set(tools)].sort(),
+    build_system: buildSystem,
+    test_framework: testFramework,
+    package_manager: packageManager,
+    content_formats: byCount(formats),
+  };
+}
+
+/**
+ * Write an intel JSON file when its content (ignoring `_meta`) changed,
+ * stamping `_meta.updated_at` and bumping `_meta.version`. An unchanged file
+ * is only touched, so a no-op update leaves the working tree clean while its
+ * mtime still records the check. Returns whether it wrote.
+ */
+function writeIntelJson(projectDir: string, filename: string, content: Record<string, unknown>, now: string): boolean {
+  const filePath = intelFilePath(projectDir, filename);
+  const previous = safeReadJson(filePath) as Record<string, unknown> | null;
+  const prevMeta = (previous?._meta ?? {}) as Record<string, unknown>;
+  const { _meta: _prevMeta, ...prevContent } = previous ?? {};
+  if (previous && JSON.stringify(prevContent) === JSON.stringify(content)) {
+    const touched = new Date(now);
+    utimesSync(filePath, touched, touched);
+    return false;
+  }
+  const version = ((prevMeta.version as number) || 0) + 1;
+  writeFileSync(filePath, JSON.stringify({ _meta: { updated_at: now, version }, ...content }, null, 2) + '\n', 'utf-8');
+  return true;
+}
+
+/**
+ * When an intel JSON file was last refreshed: the later of `_meta.updated_at`
+ * (last change) and the file's mtime (last check that found nothing new).
+ */
+function intelCheckedAt(filePath: string, data: Record<string, unknown> | null): string | null {
+  const updatedAt = ((data?._meta ?? {}) as Record<string, unknown>).updated_at as string | undefined;
+  if (!updatedAt) return null;
+  try {
+    const mtime = statSync(filePath).mtime;
+    return mtime.getTime() > new Date(updatedAt).getTime() ? mtime.toISOString() : updatedAt;
+  } catch {
+    return updatedAt;
+  }
+}
+
+/** `files.json` entries, or null when the index has not been built. */
+export function readFilesIndex(projectDir: string): Record<string, IntelFileEntry> | null {
+  const data = safeReadJson(intelFilePath(projectDir, INTEL_FILES.files!)) as { entries?: Record<string, IntelFileEntry> } | null;
+  return data?.entries ?? null;
+}
+
+/**
+ * Build `files.json`, `apis.json`, `deps.json` and `stack.json` from the
+ * source tree, without an agent. Only files whose {@link hashFile} differs
+ * from the last build are re-parsed (all of them with `full`); entries for
+ * unchanged files are kept as they are, including fields an agent added.
+ */
+export function buildIntelIndex(projectDir: string, options: { full?: boolean } = {}): IntelBuildResult {
+  const dir = intelDir(projectDir);
+  mkdirSync(dir, { recursive: true });
+
+  const pkg = safeReadJson(join(projectDir, 'package.json')) as Record<string, unknown> | null;
+  const allFiles = walkProject(projectDir);
+  const sources = allFiles.filter(isSourceFile);
+  const entryPoints = manifestEntryPoints(pkg);
+
+  const prevCache = options.full ? {} : ((safeReadJson(join(dir, INDEX_CACHE_FILE)) as { files?: Record<string, IndexCacheEntry> } | null)?.files ?? {});
+  const prevFiles = readFilesIndex(projectDir) ?? {};
+  const prevApis = ((safeReadJson(join(dir, INTEL_FILES.apis!)) as { entries?: Record<string, Record<string, unknown>> } | null)?.entries ?? {});
+
+  const cache: Record<string, IndexCacheEntry> = {};
+  const fileEntries: Record<string, IntelFileEntry> = {};
+  let parsed = 0;
+  let unchanged = 0;
+  for (const path of sources) {
+    const fullPath = join(projectDir, path);
+    const hash = hashFile(fullPath);
+    if (!hash) continue;
+    const cached = prevCache[path];
+    if (cached?.hash === hash && prevFiles[path]) {
+      cache[path] = cached;
+      fileEntries[path] = prevFiles[path]!;
+      unchanged++;
+      continue;
+    }
+
+    let source = '';
+    try {
+      if (statSync(fullPath).size <= MAX_PARSE_BYTES) source = readFileSync(fullPath, 'utf-8');
+    } catch { /* unreadable: index without symbols */ }
+    const mod = parseModuleSource(source);
+    fileEntries[path] = { ...prevFiles[path], exports: mod.exports, imports: mod.imports, type: classifyFile(path, source, entryPoints) };
+    cache[path] = { hash, requires: mod.requires, routes: mod.routes };
+    parsed++;
+  }
+  const removed = Object.keys(prevCache).filter(path => !cache[path]).length;
+
+  const apiEntries: Record<string, Record<string, unknown>> = {};
+  for (const [path, { routes }] of Object.entries(cache)) {
+    for (const route of routes) {
+      const key = `${route.method} ${route.path}`;
+      const params = [...route.path.matchAll(/:(\w+)/g)].map(m => m[1]!);
+      apiEntries[key] = { description: '', ...prevApis[key], method: route.method, path: route.path, params, file: path };
+    }
+  }
+
+  const manifestDeps = readManifestDeps(projectDir, pkg);
+  const scripts = (pkg?.scripts ?? {}) as Record<string, string>;
+  const depEntries: Record<string, unknown> = {};
+  for (const [name, dep] of [...manifestDeps.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+    const usedBy = Object.entries(fileEntries)
+      .filter(([, entry]) => entry.imports.some(spec => packageName(spec) === name))
+      .map(([path]) => path);
+    const required = usedBy.some(path => cache[path]!.requires.some(spec => packageName(spec) === name));
+    const invocation = scriptInvocation(name, scripts) ?? (required ? 'require' : usedBy.length > 0 ? 'import' : 'implicit');
+    depEntries[name] = { version: dep.version, type: dep.type, used_by: usedBy, invocation };
+  }
+
+  const now = new Date().toISOString();
+  const written: string[] = [];
+  const outputs: Array<[string, Record<string, unknown>]> = [
+    [INTEL_FILES.files!, { entries: fileEntries }],
+    [INTEL_FILES.apis!, { entries: apiEntries }],
+    [INTEL_FILES.deps!, { entries: depEntries }],
+    [INTEL_FILES.stack!, buildStack(projectDir, allFiles, pkg, manifestDeps)],
+  ];
+  for (const [filename, content] of outputs) {
+    if (writeIntelJson(projectDir, filename, content, now)) written.push(filename);
+  }
+  const cacheJson = JSON.stringify({ files: cache }) + '\n';
+  const cachePath = join(dir, INDEX_CACHE_FILE);
+  if (!existsSync(cachePath) || readFileSync(cachePath, 'utf-8') !== cacheJson) writeFileSync(cachePath, cacheJson, 'utf-8');
+
+  return {
+    indexed: Object.keys(fileEntries).length,
+    parsed,
+    unchanged,
+    removed,
+    apis: Object.keys(apiEntries).length,
+    deps: Object.keys(depEntries).length,
+    written,
+  };
+}
+
 // ─── intelUpdate ───────────────────────────────────────────────────────────
 
 /**
- * `gsd-tools intel update` entry point: returns the same JSON as `intel.cjs` `intelUpdate`.
- * Does not run the full graph refresh in-process — that work is done by the
- * **gsd-intel-updater** agent after spawn. When `.planning/intel/` is disabled in config,
- * returns `{ disabled: true, message }` so SDK output matches the CJS CLI.
- *
- * Port of `intelUpdate` from `intel.cjs` lines 314–321.
+ * Query handler for `intel.update [--full]` — rebuild `files.json`, `apis.json`,
+ * `deps.json` and `stack.json` in-process with {@link buildIntelIndex}.
+ * `arch.md` still needs the **gsd-intel-updater** agent. When intel is disabled
+ * in config, returns `{ disabled: true, message }` like the CJS CLI.
  */
-export const intelUpdate: QueryHandler = async (_args, projectDir, _workstream) => {
+export const intelUpdate: QueryHandler = async (args, projectDir, _workstream) => {
   if (!isIntelEnabled(projectDir)) {
     return { data: { disabled: true, message: INTEL_DISABLED_MSG } };
   }
+  const result = await withLock(intelDir(projectDir), async () => buildIntelIndex(projectDir, { full: args.includes('--full') }));
   return {
     data: {
-      action: 'spawn_agent',
-      message: 'Run gsd-tools intel update or spawn gsd-intel-updater agent for full refresh',
+      updated: true,
+      ...result,
+      message: 'files.json, apis.json, deps.json and stack.json rebuilt; spawn gsd-intel-updater only to refresh arch.md',
     },
   };
 };
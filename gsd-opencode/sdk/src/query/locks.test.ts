@@ -0,0 +1,185 @@
+/**
+ * Unit tests for the .planning/ lock manager.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, readFile, mkdir, rm, utimes } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { acquireLock, releaseLock, withLock, withLocks, planningLockTargets, readLockInfo, listLocks, locksList, locksClear, _heldLocks } from './locks.js';
+import { readModifyWriteRoadmapMd } from './phase-lifecycle.js';
+import { GSDError, ErrorClassification } from '../errors.js';
+
+let tmpDir: string;
+let target: string;
+
+/** A PID that is not running (beyond the default pid_max). */
+const DEAD_PID = 2 ** 22 + 12345;
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'gsd-locks-test-'));
+  await mkdir(join(tmpDir, '.planning', 'phases'), { recursive: true });
+  target = join(tmpDir, '.planning', 'ROADMAP.md');
+  await writeFile(target, '# Roadmap\n');
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('acquireLock / releaseLock', () => {
+  it('writes holder metadata and removes the lock on release', async () => {
+    const lockPath = await acquireLock(target);
+
+    expect(lockPath).toBe(target + '.lock');
+    expect(_heldLocks.has(lockPath)).toBe(true);
+    expect(await readLockInfo(lockPath)).toMatchObject({ pid: process.pid, holder_alive: true, stale: false });
+
+    await releaseLock(lockPath);
+    expect(existsSync(lockPath)).toBe(false);
+    expect(_heldLocks.has(lockPath)).toBe(false);
+  });
+
+  it('throws Blocked when a live lock outlasts the timeout', async () => {
+    const lockPath = await acquireLock(target);
+    try {
+      const error = await acquireLock(target, { timeoutMs: 100 }).catch(err => err);
+      expect(error).toBeInstanceOf(GSDError);
+      expect(error.classification).toBe(ErrorClassification.Blocked);
+      expect(error.message).toContain(`held by pid ${process.pid}`);
+    } finally {
+      await releaseLock(lockPath);
+    }
+  });
+
+  it('waits for the holder to release', async () => {
+    const first = await acquireLock(target);
+    setTimeout(() => void releaseLock(first), 100);
+
+    const second = await acquireLock(target, { timeoutMs: 2000 });
+    expect(await readLockInfo(second)).toMatchObject({ pid: process.pid });
+    await releaseLock(second);
+  });
+
+  it.each([
+    ['a dead holder (JSON)', JSON.stringify({ pid: DEAD_PID, acquired: new Date().toISOString() })],
+    ['a dead holder (bare PID)', String(DEAD_PID)],
+  ])('takes over a stale lock from %s', async (_label, content) => {
+    await writeFile(target + '.lock', content);
+
+    const lockPath = await acquireLock(target, { timeoutMs: 100 });
+    expect(await readLockInfo(lockPath)).toMatchObject({ pid: process.pid });
+    await releaseLock(lockPath);
+  });
+
+  it('takes over a lock older than staleMs even if its holder is alive', async () => {
+    await writeFile(target + '.lock', String(process.pid));
+    const old = new Date(Date.now() - 60_000);
+    await utimes(target + '.lock', old, old);
+
+    await withLock(target, async () => undefined, { timeoutMs: 100 });
+  });
+
+  it('does not remove a lock another process took over', async () => {
+    const lockPath = await acquireLock(target);
+    await writeFile(lockPath, JSON.stringify({ pid: DEAD_PID }));
+
+    await releaseLock(lockPath);
+    expect(existsSync(lockPath)).toBe(true);
+  });
+});
+
+describe('read-modify-write under the lock', () => {
+  it('keeps every concurrent ROADMAP.md update', async () => {
+    await Promise.all(
+      Array.from({ length: 8 }, (_, i) => readModifyWriteRoadmapMd(tmpDir, async content => {
+        await new Promise(r => setTimeout(r, 5));
+        return content + `- [x] item ${i}\n`;
+      })),
+    );
+
+    const roadmap = await readFile(target, 'utf-8');
+    expect(roadmap.match(/- \[x\]/g)).toHaveLength(8);
+  });
+});
+
+describe('planningLockTargets / withLocks', () => {
+  it('orders directory locks before file locks', () => {
+    const targets = planningLockTargets(tmpDir, [
+      '.planning/phases/01-a/PLAN.md',
+      '.planning/ROADMAP.md',
+      '.planning/todos/pending/x.md',
+      '.planning/STATE.md',
+    ]);
+
+    expect(targets).toEqual([
+      join(tmpDir, '.planning/phases'),
+      join(tmpDir, '.planning/todos'),
+      join(tmpDir, '.planning/ROADMAP.md'),
+      join(tmpDir, '.planning/STATE.md'),
+      join(tmpDir, '.planning/phases/01-a/PLAN.md'),
+      join(tmpDir, '.planning/todos/pending/x.md'),
+    ]);
+  });
+
+  it('holds every lock while running and releases them afterwards', async () => {
+    await mkdir(join(tmpDir, '.planning', 'phases', '01-a'));
+    const targets = planningLockTargets(tmpDir, ['.planning/ROADMAP.md', '.planning/phases/01-a/PLAN.md']);
+
+    const held = await withLocks(targets, async () => targets.map(t => existsSync(`${t}.lock`)));
+
+    expect(held).toEqual([true, true, true]);
+    for (const t of targets) expect(existsSync(`${t}.lock`)).toBe(false);
+  });
+
+  it('releases the locks it took when a later one times out', async () => {
+    const busy = await acquireLock(target);
+    const phases = join(tmpDir, '.planning', 'phases');
+
+    await expect(withLocks([phases, target], async () => 'ran', { timeoutMs: 100 })).rejects.toBeInstanceOf(GSDError);
+    expect(existsSync(`${phases}.lock`)).toBe(false);
+    await releaseLock(busy);
+  });
+});
+
+describe('locks.list / locks.clear', () => {
+  beforeEach(async () => {
+    await writeFile(join(tmpDir, '.planning', 'STATE.md.lock'), String(DEAD_PID));
+  });
+
+  it('lists locks under .planning/ with holder and staleness', async () => {
+    const live = await acquireLock(join(tmpDir, '.planning', 'phases'));
+    try {
+      const { data } = await locksList([], tmpDir);
+      expect(data).toMatchObject({
+        count: 2,
+        stale: 1,
+        locks: [
+          { path: '.planning/STATE.md.lock', pid: DEAD_PID, holder_alive: false, stale: true },
+          { path: '.planning/phases.lock', pid: process.pid, holder_alive: true, stale: false },
+        ],
+      });
+    } finally {
+      await releaseLock(live);
+    }
+  });
+
+  it('clears stale locks by default, live ones with --all', async () => {
+    const live = await acquireLock(join(tmpDir, '.planning', 'phases'));
+    try {
+      expect((await locksClear([], tmpDir)).data).toEqual({ cleared: ['.planning/STATE.md.lock'], remaining: ['.planning/phases.lock'] });
+      expect((await locksClear(['--all'], tmpDir)).data).toEqual({ cleared: ['.planning/phases.lock'], remaining: [] });
+    } finally {
+      await releaseLock(live);
+    }
+  });
+
+  it('clears named lock files and rejects paths outside .planning/', async () => {
+    expect((await locksClear(['.planning/STATE.md.lock'], tmpDir)).data).toMatchObject({ cleared: ['.planning/STATE.md.lock'] });
+    expect(await listLocks(tmpDir)).toEqual([]);
+
+    await expect(locksClear(['package.json'], tmpDir)).rejects.toThrow(GSDError);
+    await expect(locksClear(['../x.lock'], tmpDir)).rejects.toThrow(GSDError);
+  });
+});
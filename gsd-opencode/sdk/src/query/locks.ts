@@ -0,0 +1,340 @@
+/**
+ * Cross-process lock manager for `.planning/` writes.
+ *
+ * Every read-modify-write of a planning file (STATE.md, ROADMAP.md,
+ * REQUIREMENTS.md, config.json, plan/summary frontmatter) and every change to
+ * the phase directory tree holds a lock on its target. A lock is a sibling
+ * file `<target>.lock` created with O_CREAT|O_EXCL, so concurrent processes —
+ * parallel wave executors, several workstreams, the CJS tools — serialize on
+ * it. Directory targets lock as a whole: `.planning/phases` is guarded by
+ * `.planning/phases.lock`.
+ *
+ * The lock file holds `{ pid, host, acquired }` as JSON (older locks written
+ * by STATE.md helpers contain just the PID). A lock is stale when its holder
+ * PID is gone on this host, or when it is older than {@link LOCK_STALE_MS};
+ * stale locks are removed and acquisition retries. A live lock that is not
+ * released within the timeout raises `GSDError` (`Blocked`, exit code 11)
+ * instead of being broken. `locks.list` and `locks.clear` expose lock state
+ * for diagnosis.
+ *
+ * @example
+ * ```typescript
+ * import { withLock } from './locks.js';
+ *
+ * await withLock(paths.roadmap, async () => {
+ *   const content = await readFile(paths.roadmap, 'utf-8');
+ *   await writeFile(paths.roadmap, update(content), 'utf-8');
+ * });
+ * ```
+ */
+
+import { open, readFile, readdir, stat, unlink } from 'node:fs/promises';
+import { constants, existsSync, unlinkSync } from 'node:fs';
+import { hostname } from 'node:os';
+import { isAbsolute, join, relative, resolve } from 'node:path';
+import { GSDError, ErrorClassification } from '../errors.js';
+import { toPosixPath } from './helpers.js';
+import type { QueryHandler } from './utils.js';
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+export interface LockOptions {
+  /** Give up (GSDError Blocked) after this long. Default {@link lockTimeoutMs}. */
+  timeoutMs?: number;
+  /** Locks older than this are considered abandoned. Default {@link LOCK_STALE_MS}. */
+  staleMs?: number;
+}
+
+export interface LockInfo {
+  /** Lock file path, relative to the project root when listed. */
+  path: string;
+  pid: number | null;
+  host: string | null;
+  acquired: string | null;
+  age_ms: number;
+  /** Whether the holder process is running; null when unknown (other host, unreadable). */
+  holder_alive: boolean | null;
+  stale: boolean;
+}
+
+/** Default wait for a live lock before failing with `Blocked`. */
+export const LOCK_TIMEOUT_MS = 5000;
+
+/** Age after which a lock is treated as abandoned (matches the STATE.md heuristic). */
+export const LOCK_STALE_MS = 10000;
+
+const RETRY_DELAY_MS = 50;
+
+/** `GSD_LOCK_TIMEOUT_MS` overrides {@link LOCK_TIMEOUT_MS} (slow disks, CI). */
+export function lockTimeoutMs(): number {
+  const fromEnv = parseInt(process.env.GSD_LOCK_TIMEOUT_MS ?? '', 10);
+  return Number.isFinite(fromEnv) && fromEnv > 0 ? fromEnv : LOCK_TIMEOUT_MS;
+}
+
+// ─── Process exit lock cleanup ─────────────────────────────────────────────
+
+/**
+ * Locks held by this process, removed on exit so `process.exit()` inside a
+ * locked region cannot leave them behind. Exported for test access only.
+ */
+export const _heldLocks = new Set<string>();
+
+/** Content written to each held lock, so release never removes a lock another process took over. */
+const heldContent = new Map<string, string>();
+
+process.on('exit', () => {
+  for (const lockPath of _heldLocks) {
+    try { unlinkSync(lockPath); } catch { /* already gone */ }
+  }
+});
+
+// ─── Lock files ────────────────────────────────────────────────────────────
+
+/** Lock file guarding `target` (a file or a directory). */
+export function lockPathFor(target: string): string {
+  return resolve(target) + '.lock';
+}
+
+function isProcessAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to another user
+    return (err as NodeJS.ErrnoException).code === 'EPERM';
+  }
+}
+
+/**
+ * Read a lock file. Accepts both the JSON format and a bare PID. Returns null
+ * when the lock does not exist.
+ */
+export async function readLockInfo(lockPath: string, staleMs: number = LOCK_STALE_MS): Promise<LockInfo | null> {
+  let raw: string;
+  let mtimeMs: number;
+  try {
+    [raw, { mtimeMs }] = await Promise.all([readFile(lockPath, 'utf-8'), stat(lockPath)]);
+  } catch {
+    return null;
+  }
+
+  let pid: number | null = null;
+  let host: string | null = null;
+  let acquired: string | null = null;
+  try {
+    const parsed = JSON.parse(raw) as Record<string, unknown>;
+    if (typeof parsed === 'number') {
+      pid = parsed;
+    } else if (parsed && typeof parsed === 'object') {
+      pid = typeof parsed.pid === 'number' ? parsed.pid : null;
+      host = typeof parsed.host === 'string' ? parsed.host : null;
+      acquired = typeof parsed.acquired === 'string' ? parsed.acquired : null;
+    }
+  } catch {
+    const bare = parseInt(raw.trim(), 10);
+    pid = Number.isFinite(bare) && bare > 0 ? bare : null;
+  }
+
+  const holderAlive = pid !== null && (host === null || host === hostname()) ? isProcessAlive(pid) : null;
+  const ageMs = Math.max(0, Date.now() - mtimeMs);
+  return {
+    path: lockPath,
+    pid,
+    host,
+    acquired: acquired ?? new Date(mtimeMs).toISOString(),
+    age_ms: ageMs,
+    holder_alive: holderAlive,
+    stale: holderAlive === false || ageMs > staleMs,
+  };
+}
+
+/**
+ * Acquire the lock for `target`, waiting while another live holder has it.
+ *
+ * If the lock file cannot be created for any reason other than contention
+ * (e.g. the directory does not exist yet), the caller proceeds unlocked —
+ * the same graceful degradation as the CJS STATE.md lock.
+ *
+ * @param target - File or directory to guard
+ * @returns Path to the lock file, for {@link releaseLock}
+ * @throws GSDError (Blocked) when a live lock is not released within the timeout
+ */
+export async function acquireLock(target: string, options: LockOptions = {}): Promise<string> {
+  const lockPath = lockPathFor(target);
+  const timeoutMs = options.timeoutMs ?? lockTimeoutMs();
+  const staleMs = options.staleMs ?? LOCK_STALE_MS;
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    try {
+      const fd = await open(lockPath, constants.O_CREAT | constants.O_EXCL | constants.O_WRONLY);
+      const content = JSON.stringify({ pid: process.pid, host: hostname(), acquired: new Date().toISOString() });
+      try {
+        await fd.writeFile(content);
+      } finally {
+        await fd.close();
+      }
+      _heldLocks.add(lockPath);
+      heldContent.set(lockPath, content);
+      return lockPath;
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code !== 'EEXIST') return lockPath;
+    }
+
+    const holder = await readLockInfo(lockPath, staleMs);
+    if (holder?.stale) {
+      await unlink(lockPath).catch(() => undefined);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      const heldBy = holder ? ` (held by pid ${holder.pid ?? 'unknown'} since ${holder.acquired})` : '';
+      throw new GSDError(
+        `Timed out after ${timeoutMs}ms waiting for ${lockPath}${heldBy}; inspect with \`gsd-sdk query locks.list\``,
+        ErrorClassification.Blocked,
+      );
+    }
+    await new Promise<void>(r => setTimeout(r, RETRY_DELAY_MS + Math.floor(Math.random() * RETRY_DELAY_MS)));
+  }
+}
+
+/**
+ * Release a lock acquired with {@link acquireLock}.
+ */
+export async function releaseLock(lockPath: string): Promise<void> {
+  if (!_heldLocks.delete(lockPath)) return;
+  const content = heldContent.get(lockPath);
+  heldContent.delete(lockPath);
+  try {
+    // A holder that outlived LOCK_STALE_MS may have lost the lock to another process
+    if (content !== undefined && (await readFile(lockPath, 'utf-8')) !== content) return;
+    await unlink(lockPath);
+  } catch { /* already gone */ }
+}
+
+/**
+ * Run `fn` while holding the lock for `target`.
+ */
+export async function withLock<T>(target: string, fn: () => Promise<T>, options?: LockOptions): Promise<T> {
+  const lockPath = await acquireLock(target, options);
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(lockPath);
+  }
+}
+
+/**
+ * Lock targets guarding writes to `paths` (project-relative, `.planning/...`):
+ * the directory locks single-command writers take — a `phases/` tree,
+ * `todos/`, `intel/`, `workstreams/` — then each file's own lock. Directories
+ * come first and each group is sorted, the same coarse-to-fine order those
+ * writers nest their locks in, so a multi-file writer cannot deadlock with them.
+ */
+export function planningLockTargets(projectDir: string, paths: Iterable<string>): string[] {
+  const dirs = new Set<string>();
+  const files = new Set<string>();
+  for (const path of paths) {
+    const posix = toPosixPath(path);
+    const phases = /^(\.planning(?:\/workstreams\/[^/]+)?\/phases)\//.exec(posix);
+    if (phases) dirs.add(phases[1]!);
+    const top = /^\.planning\/(todos|intel|workstreams)\//.exec(posix);
+    if (top) dirs.add(`.planning/${top[1]}`);
+    files.add(posix);
+  }
+  return [...[...dirs].sort(), ...[...files].sort()].map(p => join(projectDir, p));
+}
+
+/**
+ * Run `fn` holding the lock for every target, acquired in the order given and
+ * released in reverse. If one cannot be acquired, those already held are released.
+ */
+export async function withLocks<T>(targets: string[], fn: () => Promise<T>, options?: LockOptions): Promise<T> {
+  const held: string[] = [];
+  try {
+    for (const target of new Set(targets)) held.push(await acquireLock(target, options));
+    return await fn();
+  } finally {
+    for (const lockPath of held.reverse()) await releaseLock(lockPath);
+  }
+}
+
+// ─── Listing ───────────────────────────────────────────────────────────────
+
+async function collectLockFiles(dir: string, out: string[]): Promise<void> {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    const full = join(dir, entry.name);
+    if (entry.isDirectory()) await collectLockFiles(full, out);
+    else if (entry.name.endsWith('.lock')) out.push(full);
+  }
+}
+
+/**
+ * All lock files under `.planning/` (including the CJS `.planning/.lock`),
+ * with holder and staleness. Paths are project-relative.
+ */
+export async function listLocks(projectDir: string, staleMs: number = LOCK_STALE_MS): Promise<LockInfo[]> {
+  const files: string[] = [];
+  await collectLockFiles(join(projectDir, '.planning'), files);
+
+  const locks: LockInfo[] = [];
+  for (const file of files.sort()) {
+    const info = await readLockInfo(file, staleMs);
+    if (info) locks.push({ ...info, path: toPosixPath(relative(projectDir, file)) });
+  }
+  return locks;
+}
+
+// ─── Handlers ──────────────────────────────────────────────────────────────
+
+/**
+ * Query handler for `locks.list` — every `.planning/` lock with its holder.
+ */
+export const locksList: QueryHandler = async (_args, projectDir) => {
+  const locks = await listLocks(projectDir);
+  return { data: { locks, count: locks.length, stale: locks.filter(l => l.stale).length } };
+};
+
+/**
+ * Query handler for `locks.clear [path...] [--all]`.
+ *
+ * Without arguments removes stale locks only; `--all` also removes live ones;
+ * explicit paths (project-relative lock files under `.planning/`) are removed
+ * whatever their state.
+ */
+export const locksClear: QueryHandler = async (args, projectDir) => {
+  const all = args.includes('--all');
+  const paths = args.filter(a => a !== '--all');
+  const planningDir = resolve(projectDir, '.planning');
+
+  let targets: LockInfo[];
+  if (paths.length > 0) {
+    targets = [];
+    for (const path of paths) {
+      const full = resolve(projectDir, path);
+      const rel = relative(planningDir, full);
+      if (!full.endsWith('.lock') || rel.startsWith('..') || isAbsolute(rel)) {
+        throw new GSDError(`Not a lock file under .planning/: ${path}`, ErrorClassification.Validation);
+      }
+      const info = existsSync(full) ? await readLockInfo(full) : null;
+      if (info) targets.push({ ...info, path: toPosixPath(relative(projectDir, full)) });
+    }
+  } else {
+    targets = (await listLocks(projectDir)).filter(l => all || l.stale);
+  }
+
+  const cleared: string[] = [];
+  for (const lock of targets) {
+    try {
+      await unlink(join(projectDir, lock.path));
+      cleared.push(lock.path);
+    } catch { /* released meanwhile */ }
+  }
+  const remaining = (await listLocks(projectDir)).map(l => l.path);
+  return { data: { cleared, remaining } };
+};
@@ -26,6 +26,8 @@ describe('normalizeQueryCommand', () => {
   it('merges progress and stats subcommands', () => {
     expect(normalizeQueryCommand('progress', ['bar'])).toEqual(['progress.bar', []]);
     expect(normalizeQueryCommand('stats', ['json'])).toEqual(['stats.json', []]);
+    expect(normalizeQueryCommand('stats', ['table', '--format', 'csv'])).toEqual(['stats.table', ['--format', 'csv']]);
+    expect(normalizeQueryCommand('progress', ['--format', 'junit'])).toEqual(['progress', ['--format', 'junit']]);
   });
 
   it('passes through single-token commands', () => {
@@ -41,6 +43,9 @@ describe('normalizeQueryCommand', () => {
     expect(normalizeQueryCommand('check', ['phase-ready', '3'])).toEqual(['check.phase-ready', ['3']]);
     expect(normalizeQueryCommand('check', ['auto-mode'])).toEqual(['check.auto-mode', []]);
     expect(normalizeQueryCommand('route', ['next-action'])).toEqual(['route.next-action', []]);
+    expect(normalizeQueryCommand('trace', ['matrix', '--phase', '2'])).toEqual(['trace.matrix', ['--phase', '2']]);
+    expect(normalizeQueryCommand('git', ['phase-branch', 'start', '3'])).toEqual(['git.phase-branch', ['start', '3']]);
+    expect(normalizeQueryCommand('ship', ['pr', '3', '--draft'])).toEqual(['ship.pr', ['3', '--draft']]);
 
     expect(normalizeQueryCommand('phase', ['add-batch', '--descriptions', '[]'])).toEqual([
       'phase.add-batch',
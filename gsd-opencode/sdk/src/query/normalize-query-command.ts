@@ -27,6 +27,10 @@ const MERGE_FIRST_WITH_SUBCOMMAND = new Set<string>([
   'check',
   'detect',
   'route',
+  'trace',
+  'git',
+  'forge',
+  'ship',
 ]);
 
 /**
@@ -48,7 +52,7 @@ export function normalizeQueryCommand(command: string, args: string[]): [string,
     return [`${command}.${sub}`, args.slice(1)];
   }
 
-  if ((command === 'progress' || command === 'stats') && args.length > 0) {
+  if ((command === 'progress' || command === 'stats') && args.length > 0 && !args[0].startsWith('--')) {
     return [`${command}.${args[0]}`, args.slice(1)];
   }
 
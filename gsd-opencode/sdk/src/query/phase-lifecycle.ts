@@ -41,6 +41,7 @@ import {
   releaseStateLock,
   stateReplaceField,
 } from './state-mutation.js';
+import { withLock } from './locks.js';
 import type { QueryHandler } from './utils.js';
 
 // ─── Null byte validation ────────────────────────────────────────────────
@@ -105,14 +106,25 @@ export function replaceInCurrentMilestone(
   return before + after.replace(pattern, replacement);
 }
 
+// ─── Locking ────────────────────────────────────────────────────────────
+
+/**
+ * Hold the phase-tree lock (`phases.lock`) for a whole handler, so concurrent
+ * add / insert / remove / archive runs cannot interleave directory numbering.
+ */
+function withPhasesLock(handler: QueryHandler): QueryHandler {
+  return (args, projectDir, workstream) =>
+    withLock(planningPaths(projectDir, workstream).phases, () => handler(args, projectDir, workstream));
+}
+
 // ─── readModifyWriteRoadmapMd ───────────────────────────────────────────
 
 /**
  * Atomic read-modify-write for ROADMAP.md.
  *
  * Holds a lockfile across the entire read -> transform -> write cycle.
- * Uses the same acquireStateLock/releaseStateLock mechanism as STATE.md
- * but with a ROADMAP.md-specific lock path.
+ * Uses the same lock manager as STATE.md with a ROADMAP.md-specific lock
+ * path (`ROADMAP.md.lock`).
  *
  * @param projectDir - Project root directory
  * @param modifier - Function to transform ROADMAP.md content
@@ -153,7 +165,7 @@ export async function readModifyWriteRoadmapMd(
  * @param projectDir - Project root directory
  * @returns QueryResult with { phase_number, padded, name, slug, directory, naming_mode }
  */
-export const phaseAdd: QueryHandler = async (args, projectDir, workstream) => {
+export const phaseAdd: QueryHandler = withPhasesLock(async (args, projectDir, workstream) => {
   const description = args[0];
   if (!description) {
     throw new GSDError('description required for phase add', ErrorClassification.Validation);
@@ -244,7 +256,7 @@ export const phaseAdd: QueryHandler = async (args, projectDir, workstream) => {
   };
 
   return { data: result };
-};
+});
 
 // ─── phaseAddBatch handler ────────────────────────────────────────────────
 
@@ -256,7 +268,7 @@ export const phaseAdd: QueryHandler = async (args, projectDir, workstream) => {
  *
  * @param args - Either `--descriptions` followed by a JSON array string, or one description per arg (`--raw` ignored)
  */
-export const phaseAddBatch: QueryHandler = async (args, projectDir, workstream) => {
+export const phaseAddBatch: QueryHandler = withPhasesLock(async (args, projectDir, workstream) => {
   let descriptions: string[];
   const descIdx = args.indexOf('--descriptions');
   if (descIdx !== -1 && args[descIdx + 1] !== undefined) {
@@ -383,7 +395,7 @@ export const phaseAddBatch: QueryHandler = async (args, projectDir, workstream)
   }, workstream);
 
   return { data: { phases: added, count: added.length } };
-};
+});
 
 // ─── phaseInsert handler ────────────────────────────────────────────────
 
@@ -398,7 +410,7 @@ export const phaseAddBatch: QueryHandler = async (args, projectDir, workstream)
  * @param projectDir - Project root directory
  * @returns QueryResult with { phase_number, after_phase, name, slug, directory }
  */
-export const phaseInsert: QueryHandler = async (args, projectDir, workstream) => {
+export const phaseInsert: QueryHandler = withPhasesLock(async (args, projectDir, workstream) => {
   const afterPhase = args[0];
   const description = args[1];
 
@@ -507,7 +519,7 @@ export const phaseInsert: QueryHandler = async (args, projectDir, workstream) =>
   };
 
   return { data: result };
-};
+});
 
 // ─── phaseScaffold handler ──────────────────────────────────────────────
 
@@ -575,7 +587,7 @@ function normalizeScaffoldArgs(args: string[]): string[] {
   return [type, phase, ...(name !== undefined && name !== '' ? [name] : [])];
 }
 
-export const phaseScaffold: QueryHandler = async (args, projectDir, workstream) => {
+export const phaseScaffold: QueryHandler = withPhasesLock(async (args, projectDir, workstream) => {
   const normalized = normalizeScaffoldArgs(args);
   const type = normalized[0];
   const phase = normalized[1];
@@ -671,7 +683,7 @@ export const phaseScaffold: QueryHandler = async (args, projectDir, workstream)
   await writeFile(filePath, content, 'utf-8');
   const relPath = toPosixPath(relative(projectDir, filePath));
   return { data: { created: true, path: relPath } };
-};
+});
 
 // ─── renameDecimalPhases ───────────────────────────────────────────────
 
@@ -904,7 +916,7 @@ async function updateRoadmapAfterPhaseRemoval(
  * @param projectDir - Project root directory
  * @returns QueryResult with { removed, directory_deleted, renamed_directories, renamed_files, roadmap_updated, state_updated }
  */
-export const phaseRemove: QueryHandler = async (args, projectDir, workstream) => {
+export const phaseRemove: QueryHandler = withPhasesLock(async (args, projectDir, workstream) => {
   const targetPhase = args[0];
   if (!targetPhase) {
     throw new GSDError('phase number required for phase remove', ErrorClassification.Validation);
@@ -1020,7 +1032,7 @@ export const phaseRemove: QueryHandler = async (args, projectDir, workstream) =>
       state_updated: stateUpdated,
     },
   };
-};
+});
 
 // ─── stateReplaceFieldWithFallback (inline) ────────────────────────────────
 
@@ -1227,23 +1239,25 @@ export const phaseComplete: QueryHandler = async (args, projectDir, workstream)
 
         if (reqMatch) {
           const reqIds = reqMatch[1].replace(/[[\]]/g, '').split(/[,\s]+/).map(r => r.trim()).filter(Boolean);
-          let reqContent = await readFile(reqPath, 'utf-8');
-
-          for (const reqId of reqIds) {
-            const reqEscaped = escapeRegex(reqId);
-            // Update checkbox: - [ ] **REQ-ID** -> - [x] **REQ-ID**
-            reqContent = reqContent.replace(
-              new RegExp(`(-\\s*\\[)[ ](\\]\\s*\\*\\*${reqEscaped}\\*\\*)`, 'gi'),
-              '$1x$2',
-            );
-            // Update traceability table: Pending/In Progress -> Complete
-            reqContent = reqContent.replace(
-              new RegExp(`(\\|\\s*${reqEscaped}\\s*\\|[^|]+\\|)\\s*(?:Pending|In Progress)\\s*(\\|)`, 'gi'),
-              '$1 Complete $2',
-            );
-          }
-
-          await writeFile(reqPath, reqContent, 'utf-8');
+          await withLock(reqPath, async () => {
+            let reqContent = await readFile(reqPath, 'utf-8');
+
+            for (const reqId of reqIds) {
+              const reqEscaped = escapeRegex(reqId);
+              // Update checkbox: - [ ] **REQ-ID** -> - [x] **REQ-ID**
+              reqContent = reqContent.replace(
+                new RegExp(`(-\\s*\\[)[ ](\\]\\s*\\*\\*${reqEscaped}\\*\\*)`, 'gi'),
+                '$1x$2',
+              );
+              // Update traceability table: Pending/In Progress -> Complete
+              reqContent = reqContent.replace(
+                new RegExp(`(\\|\\s*${reqEscaped}\\s*\\|[^|]+\\|)\\s*(?:Pending|In Progress)\\s*(\\|)`, 'gi'),
+                '$1 Complete $2',
+              );
+            }
+
+            await writeFile(reqPath, reqContent, 'utf-8');
+          });
           requirementsUpdated = true;
         }
       }
@@ -1435,7 +1449,7 @@ export const phaseComplete: QueryHandler = async (args, projectDir, workstream)
  * @param projectDir - Project root directory
  * @returns QueryResult with { cleared: count }
  */
-export const phasesClear: QueryHandler = async (args, projectDir, workstream) => {
+export const phasesClear: QueryHandler = withPhasesLock(async (args, projectDir, workstream) => {
   const phasesDir = planningPaths(projectDir, workstream).phases;
   const confirm = Array.isArray(args) && args.includes('--confirm');
   let cleared = 0;
@@ -1459,7 +1473,7 @@ export const phasesClear: QueryHandler = async (args, projectDir, workstream) =>
   }
 
   return { data: { cleared } };
-};
+});
 
 // ─── phasesArchive handler ────────────────────────────────────────────────
 
@@ -1594,7 +1608,7 @@ export const phaseNextDecimal: QueryHandler = async (args, projectDir, workstrea
   };
 };
 
-export const phasesArchive: QueryHandler = async (args, projectDir, workstream) => {
+export const phasesArchive: QueryHandler = withPhasesLock(async (args, projectDir, workstream) => {
   const version = args[0];
   if (!version) {
     throw new GSDError('version required for phases archive', ErrorClassification.Validation);
@@ -1627,7 +1641,7 @@ export const phasesArchive: QueryHandler = async (args, projectDir, workstream)
       archive_directory: toPosixPath(relative(projectDir, archiveDir)),
     },
   };
-};
+});
 
 // ─── milestoneComplete ────────────────────────────────────────────────────
 
@@ -1654,7 +1668,7 @@ function extractOneLinerFromBody(content: string): string | null {
 /**
  * Query handler for `milestone.complete` — port of `cmdMilestoneComplete` from `milestone.cjs`.
  */
-export const milestoneComplete: QueryHandler = async (args, projectDir, workstream) => {
+export const milestoneComplete: QueryHandler = withPhasesLock(async (args, projectDir, workstream) => {
   const version = args[0];
   if (!version) {
     throw new GSDError('version required for milestone complete (e.g., v1.0)', ErrorClassification.Validation);
@@ -1823,4 +1837,4 @@ export const milestoneComplete: QueryHandler = async (args, projectDir, workstre
       state_updated: existsSync(statePath),
     },
   };
-};
+});
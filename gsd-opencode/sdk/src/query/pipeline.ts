@@ -26,6 +26,7 @@ import { join, relative, dirname } from 'node:path';
 import { tmpdir } from 'node:os';
 import type { QueryResult } from './utils.js';
 import type { QueryRegistry } from './registry.js';
+import { toPosixPath } from './helpers.js';
 
 // ─── Types ─────────────────────────────────────────────────────────────────
 
@@ -46,7 +47,7 @@ export interface PipelineOptions {
  */
 export type PipelineStage = 'prepare' | 'execute' | 'finalize';
 
-// ─── Internal helpers ──────────────────────────────────────────────────────
+// ─── Planning tree helpers (shared with batch.ts) ──────────────────────────
 
 /**
  * Recursively collect all files under a directory.
@@ -72,7 +73,7 @@ function collectFiles(dir: string, base: string): string[] {
  * Copy .planning/ subtree from sourceDir to destDir.
  * Only copies text files relevant to GSD state (skips binaries and logs).
  */
-async function copyPlanningTree(sourceDir: string, destDir: string): Promise<void> {
+export async function copyPlanningTree(sourceDir: string, destDir: string): Promise<void> {
   const planningSource = join(sourceDir, '.planning');
   if (!existsSync(planningSource)) return;
 
@@ -93,14 +94,19 @@ async function copyPlanningTree(sourceDir: string, destDir: string): Promise<voi
 
 /**
  * read all files from .planning/ in a directory into a map of relPath → content.
+ * `include` filters by path relative to .planning/ (POSIX separators).
  */
-async function readPlanningState(projectDir: string): Promise<Map<string, string>> {
+export async function readPlanningState(
+  projectDir: string,
+  include?: (relPath: string) => boolean,
+): Promise<Map<string, string>> {
   const planningDir = join(projectDir, '.planning');
   const result = new Map<string, string>();
   if (!existsSync(planningDir)) return result;
 
-  const files = collectFiles(planningDir, planningDir);
+  const files = collectFiles(planningDir, planningDir).map(toPosixPath);
   for (const relFile of files) {
+    if (include && !include(relFile)) continue;
     try {
       const content = await readFile(join(planningDir, relFile), 'utf-8');
       result.set(relFile, content);
@@ -112,7 +118,7 @@ async function readPlanningState(projectDir: string): Promise<Map<string, string
 /**
  * Diff two file maps, returning files that changed (with before/after content).
  */
-function diffPlanningState(
+export function diffPlanningState(
   before: Map<string, string>,
   after: Map<string, string>,
 ): Record<string, { before: string | null; after: string | null }> {
@@ -153,4 +153,22 @@ describe('progressJson', () => {
     expect(phases[0].number).toBe('02');
     expect(phases[1].number).toBe('10');
   });
+
+  it('renders --format junit and csv from the same data', async () => {
+    await writeFile(join(tmpDir, '.planning', 'ROADMAP.md'), '## v1.0: Milestone\n');
+    const phase1 = join(tmpDir, '.planning', 'phases', '01-foundation');
+    await mkdir(phase1, { recursive: true });
+    await writeFile(join(phase1, '01-01-PLAN.md'), '');
+    await writeFile(join(phase1, '01-01-SUMMARY.md'), '');
+    await writeFile(join(phase1, 'VERIFICATION.md'), 'status: passed\n');
+    await mkdir(join(tmpDir, '.planning', 'phases', '02-features'), { recursive: true });
+
+    const junit = (await progressJson(['--format', 'junit'], tmpDir)).data as { format: string; rendered: string };
+    expect(junit.format).toBe('junit');
+    expect(junit.rendered).toContain('tests="2" failures="0" errors="0" skipped="1"');
+    expect(junit.rendered).toContain('<testcase name="Phase 01: foundation" classname="v1.0 phases"/>');
+
+    const csv = (await progressJson(['--format', 'csv'], tmpDir)).data as { rendered: string };
+    expect(csv.rendered).toBe('Phase,Name,Plans,Summaries,Status\n01,foundation,1,1,Complete\n02,features,0,0,Pending\n');
+  });
 });
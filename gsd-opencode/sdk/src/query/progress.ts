@@ -22,6 +22,8 @@ import { comparePhaseNum, normalizePhaseName, planningPaths, toPosixPath } from
 import { getMilestoneInfo, extractCurrentMilestone, roadmapGetPhase } from './roadmap.js';
 import { getMilestonePhaseFilter } from './state.js';
 import { findPhase } from './phase.js';
+import { withLock } from './locks.js';
+import { formattedResult, readFormatFlag, stripFormatFlag, type Report, type ReportCheck } from './render.js';
 import type { QueryHandler } from './utils.js';
 
 // ─── Internal helpers ─────────────────────────────────────────────────────
@@ -64,6 +66,49 @@ export async function determinePhaseStatus(
   return 'Executed';
 }
 
+interface PhaseProgress {
+  number: string;
+  name: string;
+  plans: number;
+  summaries: number;
+  status: string;
+}
+
+/** One check per phase: passed once Complete, otherwise skipped with its status. */
+function phaseChecks(phases: PhaseProgress[]): ReportCheck[] {
+  return phases.map(p => ({
+    name: `Phase ${p.number}${p.name ? `: ${p.name}` : ''}`,
+    status: p.status === 'Complete' ? 'passed' : 'skipped',
+    ...(p.status !== 'Complete' && { message: `${p.status} (${p.summaries}/${p.plans} plans)` }),
+  }));
+}
+
+interface ProgressData {
+  milestone_version: string;
+  milestone_name: string;
+  phases: PhaseProgress[];
+  total_plans: number;
+  total_summaries: number;
+  percent: number;
+}
+
+/** `progress` data as a {@link Report} for `--format`. */
+export function progressReport(d: ProgressData): Report {
+  return {
+    title: `${d.milestone_version} ${d.milestone_name} — Progress`,
+    summary: [
+      ['Plans', `${d.total_summaries}/${d.total_plans} complete`],
+      ['Progress', `${d.percent}%`],
+    ],
+    tables: [{
+      title: 'Phases',
+      columns: ['Phase', 'Name', 'Plans', 'Summaries', 'Status'],
+      rows: d.phases.map(p => [p.number, p.name, p.plans, p.summaries, p.status]),
+    }],
+    suites: [{ name: `${d.milestone_version} phases`, checks: phaseChecks(d.phases) }],
+  };
+}
+
 // ─── Exported handlers ────────────────────────────────────────────────────
 
 /**
@@ -72,15 +117,16 @@ export async function determinePhaseStatus(
  * Port of cmdProgressRender (JSON format) from commands.cjs lines 535-597.
  * Scans phases directory, counts plans/summaries, determines status per phase.
  *
- * @param args - Unused
+ * @param args - Optional `--format json|markdown|csv|junit|html` (see `render.ts`)
  * @param projectDir - Project root directory
  * @returns QueryResult with milestone progress data
  */
-export const progressJson: QueryHandler = async (_args, projectDir, workstream) => {
+export const progressJson: QueryHandler = async (args, projectDir, workstream) => {
+  const format = readFormatFlag(args) ?? 'json';
   const phasesDir = planningPaths(projectDir, workstream).phases;
   const milestone = await getMilestoneInfo(projectDir, workstream);
 
-  const phases: Array<Record<string, unknown>> = [];
+  const phases: PhaseProgress[] = [];
   let totalPlans = 0;
   let totalSummaries = 0;
 
@@ -110,16 +156,14 @@ export const progressJson: QueryHandler = async (_args, projectDir, workstream)
 
   const percent = totalPlans > 0 ? Math.min(100, Math.round((totalSummaries / totalPlans) * 100)) : 0;
 
-  return {
-    data: {
-      milestone_version: milestone.version,
-      milestone_name: milestone.name,
-      phases,
-      total_plans: totalPlans,
-      total_summaries: totalSummaries,
-      percent,
-    },
-  };
+  return formattedResult(format, {
+    milestone_version: milestone.version,
+    milestone_name: milestone.name,
+    phases,
+    total_plans: totalPlans,
+    total_summaries: totalSummaries,
+    percent,
+  }, progressReport);
 };
 
 // ─── progressBar ─────────────────────────────────────────────────────────
@@ -147,23 +191,12 @@ export const progressBar: QueryHandler = async (_args, projectDir, workstream) =
 
 /**
  * Markdown progress table — port of `cmdProgressRender` `format === 'table'` from commands.cjs (lines 575–587).
+ * With `--format`, renders like `progress --format` instead.
  */
-export const progressTable: QueryHandler = async (_args, projectDir, workstream) => {
+export const progressTable: QueryHandler = async (args, projectDir, workstream) => {
+  if (readFormatFlag(args)) return progressJson(args, projectDir, workstream);
   const json = await progressJson([], projectDir, workstream);
-  const d = json.data as {
-    milestone_version: string;
-    milestone_name: string;
-    phases: Array<{
-      number: string;
-      name: string;
-      plans: number;
-      summaries: number;
-      status: string;
-    }>;
-    total_plans: number;
-    total_summaries: number;
-    percent: number;
-  };
+  const d = json.data as ProgressData;
   const { milestone_version, milestone_name, phases, total_plans, total_summaries, percent } = d;
   const barWidth = 10;
   const filled = Math.round((percent / 100) * barWidth);
@@ -180,11 +213,47 @@ export const progressTable: QueryHandler = async (_args, projectDir, workstream)
 
 // ─── statsJson ───────────────────────────────────────────────────────────
 
+interface StatsData extends ProgressData {
+  phases_completed: number;
+  phases_total: number;
+  plan_percent: number;
+  requirements_total: number;
+  requirements_complete: number;
+  git_commits: number;
+  git_first_commit_date: string | null;
+  last_activity: string | null;
+}
+
+/** `stats` data as a {@link Report} for `--format`. */
+export function statsReport(d: StatsData): Report {
+  const summary: Report['summary'] = [
+    ['Phases', `${d.phases_completed}/${d.phases_total} complete (${d.percent}%)`],
+    ['Plans', `${d.total_summaries}/${d.total_plans} complete (${d.plan_percent}%)`],
+  ];
+  if (d.requirements_total > 0) summary.push(['Requirements', `${d.requirements_complete}/${d.requirements_total} complete`]);
+  if (d.git_commits > 0) {
+    summary.push(['Git', `${d.git_commits} commits${d.git_first_commit_date ? ` (since ${d.git_first_commit_date})` : ''}`]);
+  }
+  if (d.last_activity) summary.push(['Last activity', d.last_activity]);
+  return {
+    title: `${d.milestone_version} ${d.milestone_name} — Statistics`,
+    summary,
+    tables: [{
+      title: 'Phases',
+      columns: ['Phase', 'Name', 'Plans', 'Completed', 'Status'],
+      rows: d.phases.map(p => [p.number, p.name, p.plans, p.summaries, p.status]),
+    }],
+    suites: [{ name: `${d.milestone_version} phases`, checks: phaseChecks(d.phases) }],
+  };
+}
+
 /**
  * Statistics aggregate — port of `cmdStats` JSON/table output from commands.cjs lines 816–971.
+ * `--format` takes precedence over the positional `json` / `table` argument.
  */
 export const statsJson: QueryHandler = async (args, projectDir, workstream) => {
-  const format = args[0] || 'json';
+  const outputFormat = readFormatFlag(args);
+  const format = stripFormatFlag(args)[0] || 'json';
   const phasesDir = planningPaths(projectDir, workstream).phases;
   const roadmapPath = planningPaths(projectDir, workstream).roadmap;
   const reqPath = planningPaths(projectDir, workstream).requirements;
@@ -192,10 +261,7 @@ export const statsJson: QueryHandler = async (args, projectDir, workstream) => {
   const milestone = await getMilestoneInfo(projectDir, workstream);
   const isDirInMilestone = await getMilestonePhaseFilter(projectDir, workstream);
 
-  const phasesByNumber = new Map<
-    string,
-    { number: string; name: string; plans: number; summaries: number; status: string }
-  >();
+  const phasesByNumber = new Map<string, PhaseProgress>();
 
   let totalPlans = 0;
   let totalSummaries = 0;
@@ -296,7 +362,7 @@ export const statsJson: QueryHandler = async (args, projectDir, workstream) => {
     }
   }
 
-  const result = {
+  const result: StatsData = {
     milestone_version: milestone.version,
     milestone_name: milestone.name,
     phases,
@@ -313,6 +379,8 @@ export const statsJson: QueryHandler = async (args, projectDir, workstream) => {
     last_activity: lastActivity,
   };
 
+  if (outputFormat) return formattedResult(outputFormat, result, statsReport);
+
   if (format === 'table') {
     const barWidth = 10;
     const filled = Math.round((percent / 100) * barWidth);
@@ -346,10 +414,10 @@ export const statsJson: QueryHandler = async (args, projectDir, workstream) => {
 
 /**
  * Markdown statistics table — port of `cmdStats` `format === 'table'` from commands.cjs (lines 942–967).
- * Delegates to `statsJson` with `['table']` (same `rendered` string as CJS).
+ * Delegates to `statsJson` with `['table']` (same `rendered` string as CJS); `--format` is passed through.
  */
-export const statsTable: QueryHandler = async (_args, projectDir, workstream) => {
-  return statsJson(['table'], projectDir, workstream);
+export const statsTable: QueryHandler = async (args, projectDir, workstream) => {
+  return statsJson(['table', ...args], projectDir, workstream);
 };
 
 // ─── todoMatchPhase ──────────────────────────────────────────────────────
@@ -549,18 +617,20 @@ export const todoComplete: QueryHandler = async (args, projectDir) => {
   const completedDir = join(projectDir, '.planning', 'todos', 'completed');
   const sourcePath = join(pendingDir, filename);
 
-  if (!existsSync(sourcePath)) {
-    throw new GSDError(`Todo not found: ${filename}`, ErrorClassification.Validation);
-  }
+  return withLock(join(projectDir, '.planning', 'todos'), async () => {
+    if (!existsSync(sourcePath)) {
+      throw new GSDError(`Todo not found: ${filename}`, ErrorClassification.Validation);
+    }
 
-  mkdirSync(completedDir, { recursive: true });
+    mkdirSync(completedDir, { recursive: true });
 
-  let content = readFileSync(sourcePath, 'utf-8');
-  const today = new Date().toISOString().split('T')[0];
-  content = `completed: ${today}\n` + content;
+    let content = readFileSync(sourcePath, 'utf-8');
+    const today = new Date().toISOString().split('T')[0];
+    content = `completed: ${today}\n` + content;
 
-  writeFileSync(join(completedDir, filename), content, 'utf-8');
-  unlinkSync(sourcePath);
+    writeFileSync(join(completedDir, filename), content, 'utf-8');
+    unlinkSync(sourcePath);
 
-  return { data: { completed: true, file: filename, date: today } };
+    return { data: { completed: true, file: filename, date: today } };
+  });
 };
@@ -94,6 +94,37 @@ describe('QueryRegistry', () => {
     registry.register('beta', async () => ({ data: 2 }));
     expect(registry.commands().sort()).toEqual(['alpha', 'beta']);
   });
+
+  it('dispatch validates args against a registered spec before calling the handler', async () => {
+    const registry = new QueryRegistry();
+    const handler = vi.fn(async () => ({ data: null }));
+    registry.register('test-cmd', handler, {
+      summary: 'Test',
+      args: [{ name: 'phase', description: 'Phase', required: true }],
+    });
+
+    await expect(registry.dispatch('test-cmd', [], '/tmp')).rejects.toMatchObject({
+      classification: 'validation',
+      message: expect.stringContaining('missing required argument <phase>'),
+    });
+    expect(handler).not.toHaveBeenCalled();
+
+    await registry.dispatch('test-cmd', ['3', '--raw'], '/tmp');
+    expect(handler).toHaveBeenCalledWith(['3', '--raw'], '/tmp', undefined);
+
+    // `--` only guards validation; handlers get positionals first, without it
+    await registry.dispatch('test-cmd', ['--raw', '--', '--3'], '/tmp');
+    expect(handler).toHaveBeenLastCalledWith(['--3', '--raw'], '/tmp', undefined);
+  });
+
+  it('keeps a spec when the handler is re-registered without one', () => {
+    const registry = new QueryRegistry();
+    registry.register('test-cmd', async () => ({ data: 1 }), { summary: 'Test' });
+    registry.register('test-cmd', async () => ({ data: 2 }));
+
+    expect(registry.spec('test-cmd')?.summary).toBe('Test');
+    expect(() => registry.describe('unknown', { summary: 'x' })).toThrow('unregistered');
+  });
 });
 
 // ─── QUERY_MUTATION_COMMANDS vs registry ───────────────────────────────────
@@ -135,6 +166,20 @@ describe('createRegistry', () => {
     expect(registry.has('summary-extract')).toBe(true);
   });
 
+  it('attaches specs to dotted commands and their spaced aliases', () => {
+    const registry = createRegistry();
+
+    expect(registry.spec('state.update')?.args?.map(a => a.name)).toEqual(['field', 'value']);
+    expect(registry.spec('phase complete')).toBe(registry.spec('phase.complete'));
+  });
+
+  it('rejects invalid args for spec\'d commands', async () => {
+    const registry = createRegistry();
+
+    await expect(registry.dispatch('current-timestamp', ['weekly'], '/tmp')).rejects.toThrow(/must be one of full, date, filename/);
+    await expect(registry.dispatch('generate-slug', ['a', '--bogus'], '/tmp')).rejects.toThrow(/unknown flag --bogus/);
+  });
+
   it('can dispatch generate-slug', async () => {
     const registry = createRegistry();
     const result = await registry.dispatch('generate-slug', ['My Phase'], '/tmp');
@@ -22,6 +22,8 @@
 
 import type { QueryResult, QueryHandler } from './utils.js';
 import { GSDError, ErrorClassification } from '../errors.js';
+import { parseQueryArgs } from './command-schema.js';
+import type { QueryCommandSpec } from './command-schema.js';
 
 // ─── extractField ──────────────────────────────────────────────────────────
 
@@ -63,18 +65,46 @@ export function extractField(obj: unknown, fieldPath: string): unknown {
  * `dispatch()` throws `GSDError` for unknown command keys. The `gsd-sdk query`
  * CLI uses `resolveQueryArgv()` first; when no handler matches, it may shell out
  * to `gsd-tools.cjs` (see `cli.ts` and `QUERY-HANDLERS.md` fallback policy).
+ *
+ * Commands registered with a {@link QueryCommandSpec} have their argv checked
+ * before the handler runs; commands without one are dispatched unchecked.
  */
 export class QueryRegistry {
   private handlers = new Map<string, QueryHandler>();
+  private specs = new Map<string, QueryCommandSpec>();
 
   /**
    * Register a native handler for a command name.
    *
+   * Re-registering a command without a spec keeps its existing spec, so
+   * wrapping a handler (e.g. to emit events) does not drop its validation.
+   *
    * @param command - The command name (e.g., 'generate-slug', 'state.load')
    * @param handler - The handler function to invoke
+   * @param spec - Optional argument/result schema for validation and help
    */
-  register(command: string, handler: QueryHandler): void {
+  register(command: string, handler: QueryHandler, spec?: QueryCommandSpec): void {
     this.handlers.set(command, handler);
+    if (spec) this.specs.set(command, spec);
+  }
+
+  /**
+   * Attach a schema to an already registered command.
+   *
+   * @throws GSDError if the command is not registered
+   */
+  describe(command: string, spec: QueryCommandSpec): void {
+    if (!this.handlers.has(command)) {
+      throw new GSDError(`Cannot describe unregistered command: "${command}"`, ErrorClassification.Validation);
+    }
+    this.specs.set(command, spec);
+  }
+
+  /**
+   * Get the schema of a command, if one was registered.
+   */
+  spec(command: string): QueryCommandSpec | undefined {
+    return this.specs.get(command);
   }
 
   /**
@@ -112,7 +142,8 @@ export class QueryRegistry {
    * @param projectDir - The project directory for context
    * @param workstream - Optional workstream name to scope .planning paths
    * @returns The query result from the handler
-   * @throws GSDError if no handler is registered for the command
+   * @throws GSDError if no handler is registered for the command, or
+   *   (Validation) if args do not match the command's spec
    */
   async dispatch(command: string, args: string[], projectDir: string, workstream?: string): Promise<QueryResult> {
     const handler = this.handlers.get(command);
@@ -122,6 +153,12 @@ export class QueryRegistry {
         ErrorClassification.Validation,
       );
     }
+    const spec = this.specs.get(command);
+    if (spec) {
+      const parsed = parseQueryArgs(command, args, spec);
+      // Handlers read raw argv and predate `--`: hand them positionals first, without it
+      if (args.includes('--')) args = parsed.argv;
+    }
     return handler(args, projectDir, workstream);
   }
 }
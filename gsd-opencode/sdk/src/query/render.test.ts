@@ -0,0 +1,89 @@
+/**
+ * Unit tests for the shared report renderer.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  readFormatFlag, stripFormatFlag, formattedResult, isRenderedOutput, renderReport, type Report,
+} from './render.js';
+import { GSDError } from '../errors.js';
+
+const REPORT: Report = {
+  title: 'Audit <v1>',
+  generated_at: '2026-01-02T03:04:05.000Z',
+  summary: [['Open items', 2]],
+  tables: [
+    { title: 'Todos', columns: ['Item', 'Detail'], rows: [['fix "auth", now', 'a|b'], ['plain', null]] },
+    { title: 'Seeds', columns: ['Item', 'Status'], rows: [] },
+  ],
+  suites: [
+    {
+      name: 'Todos',
+      checks: [
+        { name: 'fix & ship', status: 'failed', message: 'pending', detail: 'x < y' },
+        { name: 'later', status: 'skipped', message: 'deferred' },
+      ],
+    },
+    { name: 'Seeds', checks: [{ name: 'No open seeds', status: 'passed' }] },
+  ],
+};
+
+describe('readFormatFlag', () => {
+  it('reads --format in both spellings and returns null when absent', () => {
+    expect(readFormatFlag(['--format', 'csv'])).toBe('csv');
+    expect(readFormatFlag(['table', '--format=junit'])).toBe('junit');
+    expect(readFormatFlag(['table'])).toBeNull();
+    expect(stripFormatFlag(['table', '--format', 'csv', '--raw'])).toEqual(['table', '--raw']);
+  });
+
+  it('rejects unknown or missing formats', () => {
+    expect(() => readFormatFlag(['--format', 'pdf'])).toThrow(GSDError);
+    expect(() => readFormatFlag(['--format'])).toThrow(GSDError);
+  });
+});
+
+describe('formattedResult', () => {
+  it('passes json through and wraps other formats', () => {
+    const data = { n: 1 };
+    expect(formattedResult('json', data, () => REPORT)).toEqual({ data });
+
+    const rendered = formattedResult('markdown', data, () => REPORT).data;
+    expect(isRenderedOutput(rendered)).toBe(true);
+    expect(isRenderedOutput(data)).toBe(false);
+  });
+});
+
+describe('renderReport', () => {
+  it('renders markdown tables with escaped cells', () => {
+    const md = renderReport(REPORT, 'markdown');
+    expect(md).toContain('# Audit <v1>\n\n- **Open items:** 2\n');
+    expect(md).toContain('| Item | Detail |\n|---|---|\n| fix "auth", now | a\\|b |\n| plain |  |\n');
+    expect(md).toContain('## Seeds\n\n_None_\n');
+  });
+
+  it('renders csv with a section column across tables', () => {
+    expect(renderReport(REPORT, 'csv')).toBe(
+      'section,Item,Detail,Status\nTodos,"fix ""auth"", now",a|b,\nTodos,plain,,\n',
+    );
+    const single = { ...REPORT, tables: [REPORT.tables[0]!] };
+    expect(renderReport(single, 'csv').split('\n')[0]).toBe('Item,Detail');
+  });
+
+  it('renders junit suites with counts and escaped text', () => {
+    const xml = renderReport(REPORT, 'junit');
+    expect(xml).toContain('<testsuites name="Audit &lt;v1&gt;" tests="3" failures="1" errors="0" skipped="1" timestamp="2026-01-02T03:04:05.000Z">');
+    expect(xml).toContain('<testsuite name="Todos" tests="2" failures="1" errors="0" skipped="1"');
+    expect(xml).toContain('<testcase name="fix &amp; ship" classname="Todos">\n      <failure message="pending">x &lt; y</failure>\n    </testcase>');
+    expect(xml).toContain('<skipped message="deferred"/>');
+    expect(xml).toContain('<testcase name="No open seeds" classname="Seeds"/>');
+  });
+
+  it('renders a self-contained html page', () => {
+    const html = renderReport(REPORT, 'html');
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Audit &lt;v1&gt;</title>');
+    expect(html).toContain('<td>fix &quot;auth&quot;, now</td>');
+    expect(html).toContain('<span class="passed">1 passed</span>');
+    expect(html).not.toMatch(/<script|<link|src=/);
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Shared output renderer for report-style query handlers.
+ *
+ * Handlers that accept `--format json|markdown|csv|junit|html` (progress,
+ * stats, audit-open, audit-uat) map their JSON result to a {@link Report} —
+ * summary figures, tables and pass/fail checks — and this module renders it.
+ * `json` returns the handler's usual data untouched; every other format
+ * returns `{ format, rendered }`, which `gsd-sdk query` prints as-is.
+ *
+ * - `markdown` — headings, a summary list and one table per section
+ * - `csv` — every table row; a leading `section` column when there are several
+ * - `junit` — checks as `<testcase>`s grouped into `<testsuite>`s, for CI
+ * - `html` — a self-contained static page (inline CSS, no scripts or assets)
+ *
+ * @example
+ * ```typescript
+ * import { formattedResult, readFormatFlag } from './render.js';
+ *
+ * const format = readFormatFlag(args) ?? 'json';
+ * return formattedResult(format, data, progressReport);
+ * // { data: { format: 'junit', rendered: '<?xml version="1.0" ...' } }
+ * ```
+ */
+
+import { GSDError, ErrorClassification } from '../errors.js';
+import type { QueryResult } from './utils.js';
+
+// ─── Report model ──────────────────────────────────────────────────────────
+
+export const OUTPUT_FORMATS = ['json', 'markdown', 'csv', 'junit', 'html'] as const;
+export type OutputFormat = (typeof OUTPUT_FORMATS)[number];
+
+export type ReportCell = string | number | boolean | null | undefined;
+
+export interface ReportTable {
+  title: string;
+  columns: string[];
+  rows: ReportCell[][];
+}
+
+/** One pass/fail check; `skipped` covers pending or deferred work. */
+export interface ReportCheck {
+  name: string;
+  status: 'passed' | 'failed' | 'skipped' | 'error';
+  message?: string;
+  detail?: string;
+}
+
+export interface ReportSuite {
+  name: string;
+  checks: ReportCheck[];
+}
+
+export interface Report {
+  title: string;
+  /** ISO timestamp of the underlying scan, when the result carries one. */
+  generated_at?: string;
+  summary: Array<[label: string, value: ReportCell]>;
+  tables: ReportTable[];
+  suites: ReportSuite[];
+}
+
+// ─── Flag handling ─────────────────────────────────────────────────────────
+
+/**
+ * Value of `--format` in `args` (`--format x` or `--format=x`), or null when
+ * absent so handlers can keep their legacy output switches.
+ *
+ * @throws GSDError (Validation) for a missing or unknown format
+ */
+export function readFormatFlag(args: string[]): OutputFormat | null {
+  let value: string | undefined;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--format') {
+      value = args[i + 1];
+      if (value === undefined) throw new GSDError('--format requires a value', ErrorClassification.Validation);
+    } else if (args[i]!.startsWith('--format=')) {
+      value = args[i]!.slice('--format='.length);
+    }
+  }
+  if (value === undefined) return null;
+  if (!(OUTPUT_FORMATS as readonly string[]).includes(value)) {
+    throw new GSDError(`--format must be one of ${OUTPUT_FORMATS.join(', ')} (got "${value}")`, ErrorClassification.Validation);
+  }
+  return value as OutputFormat;
+}
+
+/** `args` without `--format` and its value. */
+export function stripFormatFlag(args: string[]): string[] {
+  const out: string[] = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--format') i++;
+    else if (!args[i]!.startsWith('--format=')) out.push(args[i]!);
+  }
+  return out;
+}
+
+/**
+ * `data` itself for `json`, otherwise `{ format, rendered }` with the report
+ * built from `data` rendered in `format`.
+ */
+export function formattedResult<T>(format: OutputFormat, data: T, toReport: (data: T) => Report): QueryResult {
+  if (format === 'json') return { data };
+  return { data: { format, rendered: renderReport(toReport(data), format) } };
+}
+
+/**
+ * True for a `{ format, rendered }` payload — from {@link formattedResult},
+ * or a handler with formats of its own such as `roadmap.graph --format dot`.
+ */
+export function isRenderedOutput(data: unknown): data is { format: string; rendered: string } {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+  const { format, rendered, ...rest } = data as Record<string, unknown>;
+  return typeof rendered === 'string' && typeof format === 'string' && format !== 'json' && Object.keys(rest).length === 0;
+}
+
+// ─── Renderers ─────────────────────────────────────────────────────────────
+
+export function renderReport(report: Report, format: Exclude<OutputFormat, 'json'>): string {
+  switch (format) {
+    case 'markdown': return renderMarkdown(report);
+    case 'csv': return renderCsv(report);
+    case 'junit': return renderJunit(report);
+    case 'html': return renderHtml(report);
+  }
+}
+
+function cellText(cell: ReportCell): string {
+  return cell === null || cell === undefined ? '' : String(cell);
+}
+
+function renderMarkdown(report: Report): string {
+  const mdCell = (cell: ReportCell) => cellText(cell).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  let out = `# ${report.title}\n\n`;
+  for (const [label, value] of report.summary) out += `- **${label}:** ${cellText(value)}\n`;
+  for (const table of report.tables) {
+    out += `\n## ${table.title}\n\n`;
+    if (table.rows.length === 0) {
+      out += '_None_\n';
+      continue;
+    }
+    out += `| ${table.columns.map(mdCell).join(' | ')} |\n`;
+    out += `|${table.columns.map(() => '---').join('|')}|\n`;
+    for (const row of table.rows) out += `| ${row.map(mdCell).join(' | ')} |\n`;
+  }
+  return out;
+}
+
+function renderCsv(report: Report): string {
+  const csvCell = (cell: ReportCell) => {
+    const text = cellText(cell);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const multi = report.tables.length > 1;
+  const columns = multi
+    ? ['section', ...new Set(report.tables.flatMap(t => t.columns))]
+    : report.tables[0]?.columns ?? [];
+  const lines = [columns.map(csvCell).join(',')];
+  for (const table of report.tables) {
+    for (const row of table.rows) {
+      const values = multi
+        ? columns.map(col => col === 'section' ? table.title : row[table.columns.indexOf(col)])
+        : row;
+      lines.push(values.map(csvCell).join(','));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/** XML 1.0 forbids most control characters even when escaped. */
+function xmlEscape(text: string): string {
+  return text
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderJunit(report: Report): string {
+  const count = (checks: ReportCheck[], status: ReportCheck['status']) => checks.filter(c => c.status === status).length;
+  const totals = (checks: ReportCheck[]) =>
+    `tests="${checks.length}" failures="${count(checks, 'failed')}" errors="${count(checks, 'error')}" skipped="${count(checks, 'skipped')}"`;
+  const stamp = report.generated_at ? ` timestamp="${xmlEscape(report.generated_at)}"` : '';
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xmlEscape(report.title)}" ${totals(report.suites.flatMap(s => s.checks))}${stamp}>`,
+  ];
+  for (const suite of report.suites) {
+    lines.push(`  <testsuite name="${xmlEscape(suite.name)}" ${totals(suite.checks)}${stamp}>`);
+    for (const check of suite.checks) {
+      const open = `    <testcase name="${xmlEscape(check.name)}" classname="${xmlEscape(suite.name)}"`;
+      if (check.status === 'passed') {
+        lines.push(`${open}/>`);
+        continue;
+      }
+      const tag = check.status === 'failed' ? 'failure' : check.status;
+      const message = check.message ? ` message="${xmlEscape(check.message)}"` : '';
+      const body = check.detail ? `>${xmlEscape(check.detail)}</${tag}>` : '/>';
+      lines.push(`${open}>`, `      <${tag}${message}${body}`, '    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+function htmlEscape(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const HTML_STYLE = `
+body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; max-width: 1100px; margin: 2rem auto; padding: 0 1rem; }
+h1 { font-size: 1.6rem; border-bottom: 1px solid #d1d9e0; padding-bottom: .3rem; }
+h2 { font-size: 1.2rem; margin-top: 2rem; }
+.meta { color: #59636e; }
+dl.summary { display: grid; grid-template-columns: max-content 1fr; gap: .2rem 1rem; }
+dl.summary dt { font-weight: 600; }
+dl.summary dd { margin: 0; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #d1d9e0; padding: .3rem .6rem; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+.empty { color: #59636e; font-style: italic; }
+.passed { color: #1a7f37; } .failed, .error { color: #d1242f; } .skipped { color: #9a6700; }
+`.trim();
+
+function renderHtml(report: Report): string {
+  const checks = report.suites.flatMap(s => s.checks);
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${htmlEscape(report.title)}</title>`,
+    `<style>\n${HTML_STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${htmlEscape(report.title)}</h1>`,
+  ];
+  if (report.generated_at) parts.push(`<p class="meta">Generated ${htmlEscape(report.generated_at)}</p>`);
+  if (checks.length > 0) {
+    const tally = (['passed', 'failed', 'error', 'skipped'] as const)
+      .map(status => [status, checks.filter(c => c.status === status).length] as const)
+      .filter(([, n]) => n > 0)
+      .map(([status, n]) => `<span class="${status}">${n} ${status}</span>`);
+    parts.push(`<p class="meta">Checks: ${tally.join(', ')}</p>`);
+  }
+  if (report.summary.length > 0) {
+    parts.push('<dl class="summary">');
+    for (const [label, value] of report.summary) {
+      parts.push(`<dt>${htmlEscape(label)}</dt><dd>${htmlEscape(cellText(value))}</dd>`);
+    }
+    parts.push('</dl>');
+  }
+  for (const table of report.tables) {
+    parts.push(`<h2>${htmlEscape(table.title)}</h2>`);
+    if (table.rows.length === 0) {
+      parts.push('<p class="empty">None</p>');
+      continue;
+    }
+    parts.push('<table>', `<thead><tr>${table.columns.map(c => `<th>${htmlEscape(c)}</th>`).join('')}</tr></thead>`, '<tbody>');
+    for (const row of table.rows) {
+      parts.push(`<tr>${row.map(c => `<td>${htmlEscape(cellText(c))}</td>`).join('')}</tr>`);
+    }
+    parts.push('</tbody>', '</table>');
+  }
+  parts.push('</body>', '</html>');
+  return parts.join('\n') + '\n';
+}
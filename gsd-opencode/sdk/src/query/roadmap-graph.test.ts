@@ -0,0 +1,159 @@
+/**
+ * Unit tests for the phase / plan dependency graph (roadmap.graph).
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, mkdir, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { roadmapGraph, parseDependsOn, findCycles } from './roadmap-graph.js';
+import { routeNextAction } from './route-next-action.js';
+import { GSDError } from '../errors.js';
+
+let tmpDir: string;
+
+const phaseSection = (num: number, name: string, dependsOn: string) =>
+  `### Phase ${num}: ${name}\n\n**Goal:** ${name}\n\n**Depends on:** ${dependsOn}\n\n`;
+
+async function writeRoadmap(sections: string): Promise<void> {
+  await writeFile(
+    join(tmpDir, '.planning', 'ROADMAP.md'),
+    `# Roadmap\n\n<details>\n<summary>v0.9 (shipped)</summary>\n\n${phaseSection(0, 'Spike', 'None')}</details>\n\n## v1.0 Launch\n\n${sections}`,
+  );
+}
+
+async function writePhase(dir: string, files: Record<string, string>): Promise<void> {
+  await mkdir(join(tmpDir, '.planning', 'phases', dir), { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    await writeFile(join(tmpDir, '.planning', 'phases', dir, name), content);
+  }
+}
+
+const plan = (dependsOn: string) => `---\nwave: 1\ndepends_on: ${dependsOn}\n---\n\n# Plan\n`;
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'gsd-roadmap-graph-'));
+  await mkdir(join(tmpDir, '.planning', 'phases'), { recursive: true });
+  await writeRoadmap(
+    phaseSection(1, 'Foundation', 'Phase 0')
+    + phaseSection(2, 'Auth', 'Phase 1')
+    + phaseSection(3, 'Billing', 'Phase 1')
+    + phaseSection(4, 'Dashboard', 'Phase 2, Phase 3')
+    + phaseSection(5, 'Docs', 'None'),
+  );
+  await writePhase('01-foundation', { '01-01-PLAN.md': plan('[]'), '01-01-SUMMARY.md': '' });
+  await writePhase('03-billing', {
+    '03-01-PLAN.md': plan('[]'),
+    '03-02-PLAN.md': plan('["01"]'),
+    '03-03-PLAN.md': plan('["03-02", "03-09"]'),
+  });
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('parseDependsOn', () => {
+  it.each([
+    ['None', []],
+    ['—', []],
+    ['Phase 1, Phase 2', ['01', '02']],
+    ['Phase 2 (needs 3 endpoints)', ['02']],
+    ['1, 2.1', ['01', '02.1']],
+  ])('%s', (value, expected) => {
+    expect(parseDependsOn(value)).toEqual(expected);
+  });
+});
+
+describe('findCycles', () => {
+  it('reports multi-node cycles and self-loops only', () => {
+    const deps = new Map([['a', ['c']], ['b', ['a']], ['c', ['b']], ['d', ['d']], ['e', ['a']]]);
+    expect(findCycles(['a', 'b', 'c', 'd', 'e'], deps)).toEqual([['a', 'b', 'c'], ['d']]);
+  });
+});
+
+describe('roadmap.graph', () => {
+  it('builds the phase and plan DAG with ready phases, parallel groups and the critical path', async () => {
+    const { data } = await roadmapGraph([], tmpDir);
+    expect(data).toMatchObject({
+      ready: ['02', '03', '05'],
+      parallel_groups: [['02', '03', '05'], ['04']],
+      critical_path: { phases: ['03', '04'], weight: 4 },
+      cycles: { phases: [], plans: [] },
+      dangling: [{ kind: 'plan', from: '03-03', ref: '03-09' }],
+      external: ['00'],
+      unschedulable: [],
+      valid: false,
+    });
+    const graph = data as { phases: Array<Record<string, unknown>>; plans: Array<Record<string, unknown>> };
+    expect(graph.phases[3]).toMatchObject({ number: '04', depends_on: ['02', '03'], blocked_by: ['02', '03'], ready: false });
+    expect(graph.phases[0]).toMatchObject({ number: '01', status: 'complete', dependents: ['02', '03'], plans: ['01-01'] });
+    expect(graph.plans.find(p => p.id === '03-02')).toMatchObject({ depends_on: ['03-01'], status: 'pending' });
+  });
+
+  it('detects phase cycles and dangling phase references', async () => {
+    await rm(join(tmpDir, '.planning', 'phases', '01-foundation'), { recursive: true });
+    await writeRoadmap(
+      phaseSection(1, 'A', 'Phase 3')
+      + phaseSection(2, 'B', 'Phase 1')
+      + phaseSection(3, 'C', 'Phase 2')
+      + phaseSection(4, 'D', 'Phase 9'),
+    );
+    const { data } = await roadmapGraph([], tmpDir);
+    expect(data).toMatchObject({
+      cycles: { phases: [['01', '02', '03']] },
+      dangling: expect.arrayContaining([{ kind: 'phase', from: '04', ref: '09' }]),
+      ready: ['04'],
+      unschedulable: ['01', '02', '03'],
+      valid: false,
+    });
+  });
+
+  it('renders Mermaid and DOT diagrams', async () => {
+    const mermaid = (await roadmapGraph(['--format', 'mermaid', '--plans'], tmpDir)).data as { format: string; rendered: string };
+    expect(mermaid.format).toBe('mermaid');
+    expect(mermaid.rendered).toContain('flowchart LR\n  P01["01: Foundation"]');
+    expect(mermaid.rendered).toContain('  P02 --> P04\n');
+    expect(mermaid.rendered).toContain('  L03_01 --> L03_02\n');
+    expect(mermaid.rendered).toContain('  class P03,P04 critical\n');
+
+    const dot = (await roadmapGraph(['--format', 'dot'], tmpDir)).data as { rendered: string };
+    expect(dot.rendered).toMatch(/^digraph roadmap \{/);
+    expect(dot.rendered).toContain('  "03" -> "04";');
+    expect(dot.rendered).toContain('"03" [label="03: Billing", fillcolor="#fff3bf", color="#c92a2a", penwidth=2];');
+    expect(dot.rendered).not.toContain('cluster_');
+
+    await expect(roadmapGraph(['--format', 'svg'], tmpDir)).rejects.toThrow(GSDError);
+  });
+
+  it('returns an error without ROADMAP.md', async () => {
+    await rm(join(tmpDir, '.planning', 'ROADMAP.md'));
+    expect((await roadmapGraph([], tmpDir)).data).toEqual({ error: 'ROADMAP.md not found' });
+  });
+});
+
+describe('route.next-action with phase dependencies', () => {
+  it('advances past a blocked phase to the next unblocked one', async () => {
+    await writeRoadmap(
+      phaseSection(1, 'Foundation', 'None')
+      + phaseSection(2, 'Auth', 'Phase 1')
+      + phaseSection(3, 'Dashboard', 'Phase 1')
+      + phaseSection(4, 'Docs', 'Phase 2'),
+    );
+    await writeFile(join(tmpDir, '.planning', 'STATE.md'), '---\nmilestone: v1.0\n---\n\n**Current Phase:** 2\n');
+    await writePhase('02-auth', {
+      '02-CONTEXT.md': '',
+      '02-01-PLAN.md': plan('[]'),
+      '02-01-SUMMARY.md': '',
+      '02-VERIFICATION.md': 'status: passed\n',
+    });
+    await rm(join(tmpDir, '.planning', 'phases', '01-foundation', '01-01-SUMMARY.md'));
+
+    const { data } = await routeNextAction([], tmpDir);
+    expect(data).toMatchObject({
+      command: '/gsd-discuss-phase',
+      args: '4',
+      reason: 'Current phase verified — advance to next unblocked phase (3 waiting on dependencies)',
+    });
+  });
+});
@@ -0,0 +1,390 @@
+/**
+ * Phase and plan dependency graph — `roadmap.graph`.
+ *
+ * Builds the phase DAG from the current milestone's ROADMAP.md
+ * `**Depends on:**` lines and the plan DAG from PLAN.md frontmatter
+ * `depends_on`, then reports cycles, dangling references, the phases that
+ * are ready now, which remaining phases can run in parallel, and the
+ * critical path of remaining work. `--format mermaid|dot` returns the graph
+ * as a diagram instead of JSON.
+ *
+ * @example
+ * ```typescript
+ * import { roadmapGraph } from './roadmap-graph.js';
+ *
+ * await roadmapGraph([], '/project');
+ * // { data: { phases: [...], ready: ['03', '04'], parallel_groups: [['03', '04'], ['05']],
+ * //           critical_path: { phases: ['03', '05'], weight: 4 }, cycles: {...}, dangling: [], valid: true, ... } }
+ * ```
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { GSDError, ErrorClassification } from '../errors.js';
+import { extractFrontmatter } from './frontmatter.js';
+import { comparePhaseNum, normalizePhaseName, phaseTokenMatches, planningPaths } from './helpers.js';
+import { roadmapAnalyze } from './roadmap.js';
+import type { QueryHandler } from './utils.js';
+
+// ─── Dependency parsing ────────────────────────────────────────────────────
+
+/**
+ * Normalized phase numbers named by a ROADMAP `Depends on` value.
+ * `Phase N` mentions win over bare numbers, so "Phase 2 (needs 3 endpoints)"
+ * is just phase 02; "None", "—" and empty values have no dependencies.
+ */
+export function parseDependsOn(value: string | null | undefined): string[] {
+  if (!value || /^\s*(none|n\/a|—|-)?\s*$/i.test(value)) return [];
+  const phaseRefs = [...value.matchAll(/Phase\s+((?:[A-Z]{1,6}-)?\d+[A-Z]?(?:\.\d+)*)/gi)].map(m => m[1]!);
+  const refs = phaseRefs.length > 0 ? phaseRefs : value.match(/\b\d+[A-Z]?(?:\.\d+)*\b/g) ?? [];
+  return [...new Set(refs.map(normalizePhaseName))];
+}
+
+/** Phase numbers of every `Phase N:` heading in the whole ROADMAP, shipped milestones included. */
+function allRoadmapPhases(rawRoadmap: string): Set<string> {
+  return new Set([...rawRoadmap.matchAll(/#{2,4}\s*Phase\s+(\d+[A-Z]?(?:\.\d+)*)\s*:/gi)].map(m => normalizePhaseName(m[1]!)));
+}
+
+// ─── Graph algorithms ──────────────────────────────────────────────────────
+
+/**
+ * Strongly connected components with more than one node, or with a
+ * self-loop — every dependency cycle (Tarjan). Nodes keep `nodes` order.
+ */
+export function findCycles(nodes: string[], deps: Map<string, string[]>): string[][] {
+  const index = new Map<string, number>();
+  const low = new Map<string, number>();
+  const onStack = new Set<string>();
+  const stack: string[] = [];
+  const cycles: string[][] = [];
+  let counter = 0;
+
+  const visit = (node: string): void => {
+    index.set(node, counter);
+    low.set(node, counter++);
+    stack.push(node);
+    onStack.add(node);
+    for (const dep of deps.get(node) ?? []) {
+      if (!index.has(dep)) {
+        if (!deps.has(dep)) continue;
+        visit(dep);
+        low.set(node, Math.min(low.get(node)!, low.get(dep)!));
+      } else if (onStack.has(dep)) {
+        low.set(node, Math.min(low.get(node)!, index.get(dep)!));
+      }
+    }
+    if (low.get(node) !== index.get(node)) return;
+    const component: string[] = [];
+    let member: string;
+    do {
+      member = stack.pop()!;
+      onStack.delete(member);
+      component.push(member);
+    } while (member !== node);
+    if (component.length > 1 || (deps.get(node) ?? []).includes(node)) {
+      cycles.push(nodes.filter(n => component.includes(n)));
+    }
+  };
+
+  for (const node of nodes) if (!index.has(node)) visit(node);
+  return cycles.sort((a, b) => nodes.indexOf(a[0]!) - nodes.indexOf(b[0]!));
+}
+
+/**
+ * Remaining `nodes` in topological layers: each layer only depends on
+ * `done` nodes and earlier layers, so a layer's members can run in
+ * parallel. Nodes in or behind a cycle never become free and are returned
+ * as `stuck`.
+ */
+function topoLayers(nodes: string[], deps: Map<string, string[]>, done: Set<string>): { layers: string[][]; stuck: string[] } {
+  const placed = new Set(done);
+  let pending = nodes.filter(n => !done.has(n));
+  const layers: string[][] = [];
+  while (pending.length > 0) {
+    const layer = pending.filter(n => (deps.get(n) ?? []).every(d => placed.has(d) || !deps.has(d)));
+    if (layer.length === 0) break;
+    layers.push(layer);
+    layer.forEach(n => placed.add(n));
+    pending = pending.filter(n => !placed.has(n));
+  }
+  return { layers, stuck: pending };
+}
+
+// ─── Phase state (shared with route.next-action) ───────────────────────────
+
+export interface PhaseDependencyState {
+  number: string;
+  depends_on: string[];
+  /** Dependencies in the current milestone that are not complete yet. */
+  blocked_by: string[];
+  complete: boolean;
+}
+
+/**
+ * Dependency state for `roadmap.analyze` phases. Dependencies outside the
+ * listed phases (earlier milestones, typos) do not block; `roadmap.graph`
+ * reports the unknown ones as dangling.
+ */
+export function phaseDependencyStates(phases: Array<Record<string, unknown>>): PhaseDependencyState[] {
+  const complete = new Map(phases.map(p => [
+    normalizePhaseName(String(p.number)),
+    p.disk_status === 'complete' || p.roadmap_complete === true,
+  ]));
+  return phases.map(p => {
+    const number = normalizePhaseName(String(p.number));
+    const dependsOn = parseDependsOn(p.depends_on as string | null);
+    return {
+      number,
+      depends_on: dependsOn,
+      blocked_by: dependsOn.filter(d => complete.get(d) === false),
+      complete: complete.get(number)!,
+    };
+  });
+}
+
+// ─── Graph construction ────────────────────────────────────────────────────
+
+interface PlanNode {
+  id: string;
+  phase: string;
+  wave: number;
+  complete: boolean;
+  depends_on: string[];
+}
+
+/** A plan dependency as written (`"02"` or `"03-02"`) → plan id. */
+function resolvePlanRef(ref: string, phase: string): string {
+  const trimmed = ref.trim();
+  if (/^\d+[A-Z]?$/i.test(trimmed)) return `${phase}-${trimmed.padStart(2, '0')}`;
+  const m = trimmed.match(/^(\d+[A-Z]?(?:\.\d+)*)-(\d+.*)$/i);
+  return m ? `${normalizePhaseName(m[1]!)}-${m[2]}` : trimmed;
+}
+
+function asList(value: unknown): string[] {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  if (typeof value === 'string' && value.trim() && value.trim() !== '[]') {
+    return value.replace(/^\[|\]$/g, '').split(',').map(s => s.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+  }
+  return [];
+}
+
+async function readPlans(phasesDir: string, phase: string): Promise<PlanNode[]> {
+  let dir: string | undefined;
+  try {
+    dir = (await readdir(phasesDir, { withFileTypes: true }))
+      .filter(e => e.isDirectory())
+      .map(e => e.name)
+      .find(d => phaseTokenMatches(d, phase));
+  } catch { /* no phases directory */ }
+  if (!dir) return [];
+
+  const files = await readdir(join(phasesDir, dir));
+  const summaries = new Set(files.filter(f => f.endsWith('-SUMMARY.md')).map(f => f.replace('-SUMMARY.md', '')));
+  const plans: PlanNode[] = [];
+  for (const file of files.filter(f => f.endsWith('-PLAN.md') || f === 'PLAN.md').sort()) {
+    const fm = extractFrontmatter(await readFile(join(phasesDir, dir, file), 'utf-8'));
+    const base = file === 'PLAN.md' ? 'PLAN' : file.replace('-PLAN.md', '');
+    plans.push({
+      id: file === 'PLAN.md' ? `${phase}-PLAN` : base,
+      phase,
+      wave: parseInt(String(fm.wave), 10) || 1,
+      complete: file === 'PLAN.md' ? files.includes('SUMMARY.md') : summaries.has(base),
+      depends_on: asList(fm.depends_on).map(ref => resolvePlanRef(ref, phase)),
+    });
+  }
+  return plans;
+}
+
+// ─── Diagrams ──────────────────────────────────────────────────────────────
+
+interface GraphData {
+  phases: Array<{ number: string; name: string; status: string; depends_on: string[]; plans: string[]; ready: boolean }>;
+  plans: Array<{ id: string; phase: string; status: string; depends_on: string[] }>;
+  critical_path: { phases: string[] };
+}
+
+const mermaidId = (prefix: string, id: string) => `${prefix}${id.replace(/[^A-Za-z0-9]/g, '_')}`;
+const mermaidLabel = (text: string) => `"${text.replace(/"/g, '#quot;')}"`;
+
+function renderMermaid(graph: GraphData, withPlans: boolean): string {
+  const lines = ['flowchart LR'];
+  const known = new Set(graph.phases.map(p => p.number));
+  for (const p of graph.phases) {
+    lines.push(`  ${mermaidId('P', p.number)}[${mermaidLabel(`${p.number}: ${p.name}`)}]`);
+  }
+  for (const p of graph.phases) {
+    for (const dep of p.depends_on.filter(d => known.has(d))) lines.push(`  ${mermaidId('P', dep)} --> ${mermaidId('P', p.number)}`);
+  }
+  if (withPlans) {
+    const planIds = new Set(graph.plans.map(p => p.id));
+    for (const p of graph.phases.filter(ph => ph.plans.length > 0)) {
+      lines.push(`  subgraph ${mermaidId('S', p.number)}[${mermaidLabel(`Phase ${p.number} plans`)}]`);
+      for (const id of p.plans) lines.push(`    ${mermaidId('L', id)}[${mermaidLabel(id)}]`);
+      lines.push('  end');
+    }
+    for (const plan of graph.plans) {
+      for (const dep of plan.depends_on.filter(d => planIds.has(d))) lines.push(`  ${mermaidId('L', dep)} --> ${mermaidId('L', plan.id)}`);
+    }
+  }
+  const byClass = (cls: string, ids: string[]) => {
+    if (ids.length > 0) lines.push(`  class ${ids.map(id => mermaidId('P', id)).join(',')} ${cls}`);
+  };
+  lines.push('  classDef complete fill:#d3f9d8,stroke:#2b8a3e');
+  lines.push('  classDef ready fill:#fff3bf,stroke:#e67700');
+  lines.push('  classDef critical stroke:#c92a2a,stroke-width:3px');
+  byClass('complete', graph.phases.filter(p => p.status === 'complete').map(p => p.number));
+  byClass('ready', graph.phases.filter(p => p.ready).map(p => p.number));
+  byClass('critical', graph.critical_path.phases);
+  return lines.join('\n') + '\n';
+}
+
+const dotId = (id: string) => `"${id.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+function renderDot(graph: GraphData, withPlans: boolean): string {
+  const critical = new Set(graph.critical_path.phases);
+  const known = new Set(graph.phases.map(p => p.number));
+  const lines = [
+    'digraph roadmap {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fillcolor=white];',
+  ];
+  for (const p of graph.phases) {
+    const attrs = [`label=${dotId(`${p.number}: ${p.name}`)}`];
+    if (p.status === 'complete') attrs.push('fillcolor="#d3f9d8"');
+    else if (p.ready) attrs.push('fillcolor="#fff3bf"');
+    if (critical.has(p.number)) attrs.push('color="#c92a2a"', 'penwidth=2');
+    lines.push(`  ${dotId(p.number)} [${attrs.join(', ')}];`);
+  }
+  for (const p of graph.phases) {
+    for (const dep of p.depends_on.filter(d => known.has(d))) lines.push(`  ${dotId(dep)} -> ${dotId(p.number)};`);
+  }
+  if (withPlans) {
+    const planIds = new Set(graph.plans.map(p => p.id));
+    for (const p of graph.phases.filter(ph => ph.plans.length > 0)) {
+      lines.push(`  subgraph ${dotId(`cluster_${p.number}`)} {`, `    label=${dotId(`Phase ${p.number} plans`)};`);
+      for (const plan of graph.plans.filter(pl => pl.phase === p.number)) {
+        lines.push(`    ${dotId(plan.id)}${plan.status === 'complete' ? ' [fillcolor="#d3f9d8"]' : ''};`);
+      }
+      lines.push('  }');
+    }
+    for (const plan of graph.plans) {
+      for (const dep of plan.depends_on.filter(d => planIds.has(d))) lines.push(`  ${dotId(dep)} -> ${dotId(plan.id)};`);
+    }
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// ─── Handler ───────────────────────────────────────────────────────────────
+
+/**
+ * Query handler for `roadmap.graph`.
+ *
+ * Args: [--format json|mermaid|dot] [--plans] — `--plans` adds plan
+ * subgraphs to diagrams (JSON always lists plans).
+ */
+export const roadmapGraph: QueryHandler = async (args, projectDir, workstream) => {
+  const formatIdx = args.indexOf('--format');
+  const format = formatIdx !== -1 ? args[formatIdx + 1] : 'json';
+  if (format !== 'json' && format !== 'mermaid' && format !== 'dot') {
+    throw new GSDError(`--format must be one of json, mermaid, dot (got "${format ?? ''}")`, ErrorClassification.Validation);
+  }
+
+  const analysis = (await roadmapAnalyze([], projectDir, workstream)).data as {
+    error?: string;
+    phases: Array<Record<string, unknown>>;
+  };
+  if (analysis.error) return { data: { error: analysis.error } };
+
+  const paths = planningPaths(projectDir, workstream);
+  const everyPhase = allRoadmapPhases(await readFile(paths.roadmap, 'utf-8'));
+  const states = phaseDependencyStates(analysis.phases);
+  const numbers = states.map(s => s.number);
+  const known = new Set(numbers);
+
+  // Phase graph
+  const phaseDeps = new Map(states.map(s => [s.number, s.depends_on.filter(d => known.has(d))]));
+  const dangling: Array<{ kind: 'phase' | 'plan'; from: string; ref: string }> = [];
+  const external = new Set<string>();
+  for (const s of states) {
+    for (const dep of s.depends_on.filter(d => !known.has(d))) {
+      if (everyPhase.has(dep)) external.add(dep);
+      else dangling.push({ kind: 'phase', from: s.number, ref: dep });
+    }
+  }
+  const phaseCycles = findCycles(numbers, phaseDeps);
+  const done = new Set(states.filter(s => s.complete).map(s => s.number));
+  const { layers, stuck } = topoLayers(numbers, phaseDeps, done);
+
+  // Plan graph
+  const plansByPhase = new Map<string, PlanNode[]>();
+  for (const number of numbers) plansByPhase.set(number, await readPlans(paths.phases, number));
+  const plans = [...plansByPhase.values()].flat();
+  const planIds = new Set(plans.map(p => p.id));
+  for (const plan of plans) {
+    for (const dep of plan.depends_on.filter(d => !planIds.has(d))) dangling.push({ kind: 'plan', from: plan.id, ref: dep });
+  }
+  const planCycles = findCycles(plans.map(p => p.id), new Map(plans.map(p => [p.id, p.depends_on.filter(d => planIds.has(d))])));
+
+  // Critical path: heaviest chain of remaining phases, weighted by remaining
+  // plans (at least 1); ties go to the phase listed first
+  const weight = new Map(analysis.phases.map(p => [
+    normalizePhaseName(String(p.number)),
+    Math.max(1, Number(p.plan_count ?? 0) - Number(p.summary_count ?? 0)),
+  ]));
+  const best = new Map<string, { total: number; prev: string | null }>();
+  for (const number of layers.flat()) {
+    let prev: string | null = null;
+    let total = 0;
+    for (const dep of phaseDeps.get(number)!) {
+      const entry = best.get(dep);
+      if (entry && entry.total > total) {
+        total = entry.total;
+        prev = dep;
+      }
+    }
+    best.set(number, { total: total + weight.get(number)!, prev });
+  }
+  let end: string | null = null;
+  for (const [number, entry] of best) {
+    if (end === null || entry.total > best.get(end)!.total) end = number;
+  }
+  const criticalPath: string[] = [];
+  for (let at = end; at !== null; at = best.get(at)!.prev) criticalPath.unshift(at);
+
+  const inCycle = new Set(phaseCycles.flat());
+  const dependents = new Map<string, string[]>(numbers.map(n => [n, []]));
+  for (const [number, deps] of phaseDeps) deps.forEach(d => dependents.get(d)!.push(number));
+
+  const graph = {
+    phases: states.map((s, i) => ({
+      number: s.number,
+      name: String(analysis.phases[i]!.name ?? ''),
+      status: String(analysis.phases[i]!.disk_status ?? ''),
+      depends_on: s.depends_on,
+      dependents: dependents.get(s.number)!,
+      blocked_by: s.blocked_by,
+      ready: !s.complete && s.blocked_by.length === 0 && !inCycle.has(s.number),
+      plans: plansByPhase.get(s.number)!.map(p => p.id),
+    })),
+    plans: plans.map(p => ({
+      id: p.id,
+      phase: p.phase,
+      wave: p.wave,
+      status: p.complete ? 'complete' : 'pending',
+      depends_on: p.depends_on,
+    })),
+    ready: layers[0] ?? [],
+    parallel_groups: layers,
+    critical_path: { phases: criticalPath, weight: end ? best.get(end)!.total : 0 },
+    cycles: { phases: phaseCycles, plans: planCycles },
+    dangling,
+    external: [...external].sort(comparePhaseNum),
+    unschedulable: stuck,
+    valid: phaseCycles.length === 0 && planCycles.length === 0 && dangling.length === 0,
+  };
+
+  if (format === 'json') return { data: graph };
+  const withPlans = args.includes('--plans');
+  return { data: { format, rendered: format === 'mermaid' ? renderMermaid(graph, withPlans) : renderDot(graph, withPlans) } };
+};
@@ -27,6 +27,7 @@ import {
   phaseTokenMatches,
   planningPaths,
 } from './helpers.js';
+import { withLock } from './locks.js';
 import type { QueryHandler, QueryResult } from './utils.js';
 
 // ─── Internal types ───────────────────────────────────────────────────────
@@ -671,45 +672,48 @@ export const requirementsMarkComplete: QueryHandler = async (args, projectDir, w
     return { data: { updated: false, reason: 'REQUIREMENTS.md not found', ids: reqIds } };
   }
 
-  let reqContent = (await readFile(paths.requirements, 'utf-8')).replace(/\r\n/g, '\n');
   const updated: string[] = [];
   const alreadyComplete: string[] = [];
   const notFound: string[] = [];
 
-  for (const reqId of reqIds) {
-    let found = false;
-    const reqEscaped = escapeRegex(reqId);
+  await withLock(paths.requirements, async () => {
+    let reqContent = (await readFile(paths.requirements, 'utf-8')).replace(/\r\n/g, '\n');
 
-    const checkboxPattern = new RegExp(`(-\\s*\\[)[ ](\\]\\s*\\*\\*${reqEscaped}\\*\\*)`, 'gi');
-    const afterCheckbox = reqContent.replace(checkboxPattern, '$1x$2');
-    if (afterCheckbox !== reqContent) {
-      reqContent = afterCheckbox;
-      found = true;
-    }
+    for (const reqId of reqIds) {
+      let found = false;
+      const reqEscaped = escapeRegex(reqId);
 
-    const tablePattern = new RegExp(`(\\|\\s*${reqEscaped}\\s*\\|[^|]+\\|)\\s*Pending\\s*(\\|)`, 'gi');
-    const afterTable = reqContent.replace(tablePattern, '$1 Complete $2');
-    if (afterTable !== reqContent) {
-      reqContent = afterTable;
-      found = true;
-    }
+      const checkboxPattern = new RegExp(`(-\\s*\\[)[ ](\\]\\s*\\*\\*${reqEscaped}\\*\\*)`, 'gi');
+      const afterCheckbox = reqContent.replace(checkboxPattern, '$1x$2');
+      if (afterCheckbox !== reqContent) {
+        reqContent = afterCheckbox;
+        found = true;
+      }
+
+      const tablePattern = new RegExp(`(\\|\\s*${reqEscaped}\\s*\\|[^|]+\\|)\\s*Pending\\s*(\\|)`, 'gi');
+      const afterTable = reqContent.replace(tablePattern, '$1 Complete $2');
+      if (afterTable !== reqContent) {
+        reqContent = afterTable;
+        found = true;
+      }
 
-    if (found) {
-      updated.push(reqId);
-    } else {
-      const doneCheckbox = new RegExp(`-\\s*\\[x\\]\\s*\\*\\*${reqEscaped}\\*\\*`, 'i');
-      const doneTable = new RegExp(`\\|\\s*${reqEscaped}\\s*\\|[^|]+\\|\\s*Complete\\s*\\|`, 'i');
-      if (doneCheckbox.test(reqContent) || doneTable.test(reqContent)) {
-        alreadyComplete.push(reqId);
+      if (found) {
+        updated.push(reqId);
       } else {
-        notFound.push(reqId);
+        const doneCheckbox = new RegExp(`-\\s*\\[x\\]\\s*\\*\\*${reqEscaped}\\*\\*`, 'i');
+        const doneTable = new RegExp(`\\|\\s*${reqEscaped}\\s*\\|[^|]+\\|\\s*Complete\\s*\\|`, 'i');
+        if (doneCheckbox.test(reqContent) || doneTable.test(reqContent)) {
+          alreadyComplete.push(reqId);
+        } else {
+          notFound.push(reqId);
+        }
       }
     }
-  }
 
-  if (updated.length > 0) {
-    await writeFile(paths.requirements, reqContent, 'utf-8');
-  }
+    if (updated.length > 0) {
+      await writeFile(paths.requirements, reqContent, 'utf-8');
+    }
+  });
 
   return {
     data: {
@@ -12,6 +12,7 @@ import { planningPaths, normalizePhaseName, comparePhaseNum } from './helpers.js
 import { stateJson } from './state.js';
 import { roadmapAnalyze } from './roadmap.js';
 import { findPhase } from './phase.js';
+import { phaseDependencyStates } from './roadmap-graph.js';
 import type { QueryHandler } from './utils.js';
 
 function readConsecutiveCallCount(planningDir: string): number {
@@ -310,18 +311,26 @@ export const routeNextAction: QueryHandler = async (_args, projectDir, workstrea
     };
   }
 
-  // Phase verified — Route 6 vs 7 handled by allComplete above; find next incomplete phase
+  // Phase verified — Route 6 vs 7 handled by allComplete above; find the next
+  // incomplete phase, preferring one whose ROADMAP dependencies are complete
   const idx = sorted.findIndex(p => normalizePhaseName(String(p.number)) === cp);
-  const next = idx >= 0 ? sorted.slice(idx + 1).find(p => p.disk_status !== 'complete' && !p.roadmap_complete) : null;
+  const remaining = idx >= 0 ? sorted.slice(idx + 1).filter(p => p.disk_status !== 'complete' && !p.roadmap_complete) : [];
+  const blockedBy = new Map(phaseDependencyStates(phases).map(s => [s.number, s.blocked_by]));
+  const isUnblocked = (p: Record<string, unknown>) =>
+    (blockedBy.get(normalizePhaseName(String(p.number))) ?? []).length === 0;
+  const next = remaining.find(isUnblocked) ?? remaining[0] ?? null;
 
   if (next) {
     const nextNum = String(next.number);
     const ctx = await buildContext(nextNum);
+    const skipped = remaining.slice(0, remaining.indexOf(next)).map(p => String(p.number));
     return {
       data: {
         command: '/gsd-discuss-phase',
         args: nextNum,
-        reason: 'Current phase verified — advance to next phase',
+        reason: skipped.length > 0
+          ? `Current phase verified — advance to next unblocked phase (${skipped.join(', ')} waiting on dependencies)`
+          : 'Current phase verified — advance to next phase',
         current_phase: nextNum,
         phase_name: String(next.name ?? ''),
         gates,
@@ -18,9 +18,9 @@
  * ```
  */
 
-import { open, unlink, stat, readFile, writeFile, readdir } from 'node:fs/promises';
+import { readFile, writeFile, readdir } from 'node:fs/promises';
 import {
-  constants, unlinkSync, existsSync, mkdirSync, writeFileSync, readdirSync, readFileSync,
+  unlinkSync, existsSync, mkdirSync, writeFileSync, readdirSync, readFileSync,
 } from 'node:fs';
 import { isAbsolute, join, relative, resolve } from 'node:path';
 import { GSDError, ErrorClassification } from '../errors.js';
@@ -36,21 +36,16 @@ import {
   stateExtractField,
 } from './helpers.js';
 import { buildStateFrontmatter, getMilestonePhaseFilter } from './state.js';
+import { acquireLock, releaseLock } from './locks.js';
 import type { QueryHandler } from './utils.js';
 
-// ─── Process exit lock cleanup (D2 — match CJS state.cjs:16-23) ─────────
+// ─── Held locks ───────────────────────────────────────────────────────────
 
 /**
- * Module-level set tracking held locks for process.on('exit') cleanup.
+ * Locks held by this process (all `.planning/` locks, see locks.ts).
  * Exported for test access only.
  */
-export const _heldStateLocks = new Set<string>();
-
-process.on('exit', () => {
-  for (const lockPath of _heldStateLocks) {
-    try { unlinkSync(lockPath); } catch { /* already gone */ }
-  }
-});
+export { _heldLocks as _heldStateLocks } from './locks.js';
 
 // ─── stateReplaceField ────────────────────────────────────────────────────
 
@@ -146,74 +141,17 @@ function readTextArgOrFile(
 // ─── Lockfile helpers ─────────────────────────────────────────────────────
 
 /**
- * If the lock file contains a PID, return whether that process is gone (stolen
- * locks after SIGKILL/crash). Null if the file could not be read.
- */
-async function isLockProcessDead(lockPath: string): Promise<boolean | null> {
-  try {
-    const raw = await readFile(lockPath, 'utf-8');
-    const pid = parseInt(raw.trim(), 10);
-    if (!Number.isFinite(pid) || pid <= 0) return true;
-    try {
-      process.kill(pid, 0);
-      return false;
-    } catch {
-      return true;
-    }
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Acquire a lockfile for STATE.md operations.
+ * Acquire the lockfile for STATE.md operations.
  *
- * Uses O_CREAT|O_EXCL for atomic creation. Retries up to 10 times with
- * 200ms + jitter delay. Cleans stale locks when the holder PID is dead, or when
- * the lock file is older than 10 seconds (existing heuristic).
+ * Thin wrapper over the lock manager in locks.ts: stale locks (dead holder
+ * PID, or older than 10 seconds) are removed; a live lock that outlasts the
+ * timeout throws GSDError (Blocked).
  *
  * @param statePath - Path to STATE.md
  * @returns Path to the lockfile
  */
 export async function acquireStateLock(statePath: string): Promise<string> {
-  const lockPath = statePath + '.lock';
-  const maxRetries = 10;
-  const retryDelay = 200;
-
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      const fd = await open(lockPath, constants.O_CREAT | constants.O_EXCL | constants.O_WRONLY);
-      await fd.writeFile(String(process.pid));
-      await fd.close();
-      _heldStateLocks.add(lockPath);
-      return lockPath;
-    } catch (err: unknown) {
-      if (err instanceof Error && (err as NodeJS.ErrnoException).code === 'EEXIST') {
-        try {
-          const dead = await isLockProcessDead(lockPath);
-          if (dead === true) {
-            await unlink(lockPath);
-            continue;
-          }
-          const s = await stat(lockPath);
-          if (Date.now() - s.mtimeMs > 10000) {
-            await unlink(lockPath);
-            continue;
-          }
-        } catch { /* lock released between check */ }
-
-        if (i === maxRetries - 1) {
-          try { await unlink(lockPath); } catch { /* ignore */ }
-          return lockPath;
-        }
-        await new Promise<void>(r => setTimeout(r, retryDelay + Math.floor(Math.random() * 50)));
-      } else {
-        // D3: Graceful degradation on non-EEXIST errors (match CJS state.cjs:889)
-        return lockPath;
-      }
-    }
-  }
-  return lockPath;
+  return acquireLock(statePath);
 }
 
 /**
@@ -222,8 +160,7 @@ export async function acquireStateLock(statePath: string): Promise<string> {
  * @param lockPath - Path to the lockfile to release
  */
 export async function releaseStateLock(lockPath: string): Promise<void> {
-  _heldStateLocks.delete(lockPath);
-  try { await unlink(lockPath); } catch { /* already gone */ }
+  await releaseLock(lockPath);
 }
 
 // ─── Frontmatter sync + write helpers ─────────────────────────────────────
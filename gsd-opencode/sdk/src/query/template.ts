@@ -22,6 +22,7 @@ import { join, resolve, relative } from 'node:path';
 import { GSDError, ErrorClassification } from '../errors.js';
 import { reconstructFrontmatter, spliceFrontmatter } from './frontmatter-mutation.js';
 import { normalizeMd, planningPaths, normalizePhaseName, phaseTokenMatches } from './helpers.js';
+import { withLock } from './locks.js';
 import type { QueryHandler } from './utils.js';
 
 // ─── templateSelect ─────────────────────────────────────────────────────────
@@ -236,7 +237,7 @@ export const templateFill: QueryHandler = async (args, projectDir) => {
   const content = spliceFrontmatter('', fm) + '\n' + body + '\n';
   const normalized = normalizeMd(content);
 
-  await writeFile(resolvedOut, normalized, 'utf-8');
+  await withLock(resolvedOut, () => writeFile(resolvedOut, normalized, 'utf-8'));
 
   return { data: { created: true, path: outputPath, template: templateType } };
 };
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the requirement traceability matrix (trace.matrix).
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, mkdir, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { execSync } from 'node:child_process';
+import { traceMatrix, type TraceRow } from './trace-matrix.js';
+import { GSDError } from '../errors.js';
+
+let tmpDir: string;
+let authCommit: string;
+
+const REQUIREMENTS = `# Requirements
+
+## v1 Requirements
+
+- [x] **AUTH-01**: User can sign up
+- [ ] **AUTH-02**: User can reset password
+- [ ] **BILL-01**: User can pay
+
+## Traceability
+
+| Requirement | Phase | Status |
+|-------------|-------|--------|
+| AUTH-01 | Phase 1 | Complete |
+| AUTH-02 | Phase 1 | Pending |
+| BILL-01 | Phase 2 | Pending |
+`;
+
+const CONTEXT = `<decisions>
+## Implementation Decisions
+
+### Auth
+- **D-01:** Use argon2 for password hashing
+- **D-02:** Sessions expire after 30 days
+- **D-03 [informational]:** Existing users keep their hashes
+</decisions>
+`;
+
+async function write(rel: string, content: string): Promise<void> {
+  await mkdir(join(tmpDir, rel, '..'), { recursive: true });
+  await writeFile(join(tmpDir, rel), content);
+}
+
+const git = (cmd: string) => execSync(`git ${cmd}`, { cwd: tmpDir, stdio: 'pipe' }).toString().trim();
+
+beforeEach(async () => {
+  tmpDir = await mkdtemp(join(tmpdir(), 'gsd-trace-'));
+  git('init');
+  git('config user.email "test@test.com"');
+  git('config user.name "Test"');
+  await write('src/auth.ts', 'export {};\n');
+  git('add src/auth.ts');
+  git('commit -m "feat: auth"');
+  authCommit = git('rev-parse --short HEAD');
+
+  await write('.planning/REQUIREMENTS.md', REQUIREMENTS);
+  await write('.planning/phases/01-auth/01-CONTEXT.md', CONTEXT);
+  await write('.planning/phases/01-auth/01-01-PLAN.md',
+    '---\nrequirements: [AUTH-01]\nmust_haves:\n  truths:\n    - "AUTH-02 reset link works"\n---\n\nHash with argon2 (D-01).\n');
+  await write('.planning/phases/01-auth/01-01-SUMMARY.md',
+    `---\nrequirements-completed: [AUTH-01, AUTH-09]\n---\n\n# Summary\n\nFollowed D-01.\n\n## Task Commits\n\n1. **Task 1: auth** - \`${authCommit}\` (feat)\n2. **Task 2: docs** - \`deadbeef\` (docs)\n`);
+  await write('.planning/phases/01-auth/01-VERIFICATION.md', '---\nstatus: passed\n---\n');
+});
+
+afterEach(async () => {
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+const row = (rows: TraceRow[], id: string) => rows.find(r => r.id === id)!;
+
+describe('trace.matrix', () => {
+  it('joins requirements and decisions to plans, summaries, commits and verification', async () => {
+    const data = (await traceMatrix([], tmpDir)).data as {
+      rows: TraceRow[]; unknown_requirements: unknown[]; summary: Record<string, number>; git: boolean;
+    };
+    expect(data.git).toBe(true);
+    expect(data.rows.map(r => r.id)).toEqual(['AUTH-01', 'AUTH-02', 'BILL-01', 'D-01', 'D-02']);
+
+    expect(row(data.rows, 'AUTH-01')).toMatchObject({
+      phase: '01',
+      marked_complete: true,
+      planned_in: ['01-01'],
+      implemented_in: ['01-01'],
+      commits: [authCommit],
+      missing_commits: ['deadbeef'],
+      files: ['src/auth.ts'],
+      status: 'verified',
+      gaps: ['missing_commit'],
+    });
+    expect(row(data.rows, 'AUTH-02')).toMatchObject({
+      planned_in: ['01-01'],
+      status: 'planned',
+      gaps: ['not_implemented', 'not_committed', 'not_verified'],
+    });
+    expect(row(data.rows, 'BILL-01')).toMatchObject({ phase: '02', status: 'unplanned' });
+    expect(row(data.rows, 'D-01')).toMatchObject({ kind: 'decision', phase: '01', status: 'verified' });
+    expect(row(data.rows, 'D-02')).toMatchObject({ kind: 'decision', status: 'unplanned' });
+
+    expect(data.unknown_requirements).toEqual([{ id: 'AUTH-09', cited_in: ['01-01'] }]);
+    expect(data.summary).toEqual({ total: 5, planned: 3, implemented: 2, committed: 2, verified: 2, with_gaps: 5 });
+  });
+
+  it('filters rows by --phase', async () => {
+    const { data } = await traceMatrix(['--phase', '2'], tmpDir);
+    expect((data as { rows: TraceRow[] }).rows.map(r => r.id)).toEqual(['BILL-01']);
+    await expect(traceMatrix(['--phase'], tmpDir)).rejects.toThrow(GSDError);
+  });
+
+  it('exports markdown and csv with a gaps table', async () => {
+    const md = ((await traceMatrix(['--format', 'markdown'], tmpDir)).data as { rendered: string }).rendered;
+    expect(md).toContain('# Traceability Matrix\n');
+    expect(md).toContain(`| AUTH-01 | requirement | 01 | 01-01 | 01-01 | ${authCommit} | 1 | yes | verified |`);
+    expect(md).toContain('## Gaps\n\n| ID | Kind | Phase | Gaps | Text |');
+    expect(md).toContain('| BILL-01 | requirement | 02 | not_planned, not_implemented, not_committed, not_verified | User can pay |');
+
+    const csv = ((await traceMatrix(['--format', 'csv'], tmpDir)).data as { rendered: string }).rendered;
+    expect(csv.split('\n')[0]).toBe('section,ID,Kind,Phase,Planned,Implemented,Commits,Files,Verified,Status,Gaps,Text');
+    expect(csv).toContain('Gaps,D-02,decision,01,,,,,,,');
+  });
+
+  it('returns an error without REQUIREMENTS.md', async () => {
+    await rm(join(tmpDir, '.planning', 'REQUIREMENTS.md'));
+    expect((await traceMatrix([], tmpDir)).data).toEqual({ error: 'REQUIREMENTS.md not found' });
+  });
+});
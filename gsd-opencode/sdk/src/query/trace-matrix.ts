@@ -0,0 +1,360 @@
+/**
+ * Requirement traceability matrix — `trace.matrix`.
+ *
+ * `requirements.extract-from-plans`, `requirements.mark-complete`,
+ * `check.decision-coverage-*` and `verify.commits` each check one link of
+ * the chain. This handler joins them: every REQUIREMENTS.md REQ-ID and every
+ * trackable CONTEXT.md decision (D-ID) becomes one row showing where it was
+ * planned (PLAN.md `requirements` frontmatter, `must_haves`, or a D-ID
+ * citation), implemented (SUMMARY.md `requirements-completed` or a D-ID
+ * citation), committed (hashes in the SUMMARY's commits section that exist
+ * in git, plus the files those commits touched) and verified (the phase's
+ * VERIFICATION.md has `status: passed`). Missing links are listed per row in
+ * `gaps`; `--format markdown|csv|junit|html` exports the matrix through
+ * `render.ts` for milestone audits.
+ *
+ * @example
+ * ```typescript
+ * import { traceMatrix } from './trace-matrix.js';
+ *
+ * await traceMatrix(['--phase', '3'], '/project');
+ * // { data: { rows: [{ id: 'AUTH-01', kind: 'requirement', status: 'committed',
+ * //                    gaps: ['not_verified'], commits: ['abc1234'], files: ['src/auth.ts'], ... }],
+ * //           summary: { total: 5, planned: 5, implemented: 4, committed: 4, verified: 2, with_gaps: 3 }, ... } }
+ * ```
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { GSDError, ErrorClassification } from '../errors.js';
+import { execGit } from './commit.js';
+import { parseDecisions } from './decisions.js';
+import { extractFrontmatter } from './frontmatter.js';
+import { comparePhaseNum, escapeRegex, extractPhaseToken, normalizePhaseName, planningPaths } from './helpers.js';
+import { formattedResult, readFormatFlag, stripFormatFlag, type Report, type ReportCheck } from './render.js';
+import type { QueryHandler } from './utils.js';
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+export type TraceGap = 'not_planned' | 'not_implemented' | 'not_committed' | 'not_verified' | 'missing_commit';
+
+export interface TraceRow {
+  id: string;
+  kind: 'requirement' | 'decision';
+  /** ROADMAP traceability phase for requirements; the CONTEXT.md phase for decisions. */
+  phase: string | null;
+  text: string;
+  /** Checked off in REQUIREMENTS.md (checkbox or traceability table); always false for decisions. */
+  marked_complete: boolean;
+  planned_in: string[];
+  implemented_in: string[];
+  commits: string[];
+  /** Hashes cited by a SUMMARY that git does not know. */
+  missing_commits: string[];
+  files: string[];
+  planned: boolean;
+  implemented: boolean;
+  committed: boolean;
+  verified: boolean;
+  /** Furthest stage reached without a gap before it. */
+  status: 'unplanned' | 'planned' | 'implemented' | 'committed' | 'verified';
+  gaps: TraceGap[];
+}
+
+interface TraceData {
+  phase: string | null;
+  git: boolean;
+  rows: TraceRow[];
+  /** REQ-IDs cited by plans or summaries that REQUIREMENTS.md does not define. */
+  unknown_requirements: Array<{ id: string; cited_in: string[] }>;
+  summary: { total: number; planned: number; implemented: number; committed: number; verified: number; with_gaps: number };
+}
+
+interface PhaseArtifacts {
+  phase: string;
+  verified: boolean;
+  context: string;
+  plans: Array<{ id: string; requirements: string[]; must_haves: string; content: string }>;
+  summaries: Array<{ id: string; requirements: string[]; content: string; commits: string[] }>;
+}
+
+// ─── Parsing ───────────────────────────────────────────────────────────────
+
+interface RequirementEntry {
+  id: string;
+  text: string;
+  phase: string | null;
+  complete: boolean;
+}
+
+/** v1 checkbox requirements plus traceability-table rows from REQUIREMENTS.md. */
+function parseRequirements(content: string): RequirementEntry[] {
+  const byId = new Map<string, RequirementEntry>();
+  for (const m of content.matchAll(/^\s*-\s*\[([ xX])\]\s*\*\*([A-Z][A-Z0-9]*-\d+)\*\*:?\s*(.*)$/gm)) {
+    byId.set(m[2]!, { id: m[2]!, text: m[3]!.trim(), phase: null, complete: m[1] !== ' ' });
+  }
+  for (const m of content.matchAll(/^\|\s*([A-Z][A-Z0-9]*-\d+)\s*\|\s*([^|]*?)\s*\|\s*([^|]*?)\s*\|/gm)) {
+    const entry = byId.get(m[1]!) ?? { id: m[1]!, text: '', phase: null, complete: false };
+    const phase = m[2]!.match(/(\d+[A-Z]?(?:\.\d+)*)/);
+    if (phase) entry.phase = normalizePhaseName(phase[1]!);
+    if (/^(complete|done|verified)$/i.test(m[3]!)) entry.complete = true;
+    byId.set(entry.id, entry);
+  }
+  return [...byId.values()];
+}
+
+function asList(value: unknown): string[] {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  if (typeof value === 'string' && value.trim()) return value.split(/[,\s]+/).filter(Boolean);
+  return [];
+}
+
+/** Hashes quoted in `## ... Commits` sections, or a `commits` frontmatter list. */
+function summaryCommits(content: string, fm: Record<string, unknown>): string[] {
+  const hashes = asList(fm.commits);
+  let inCommits = false;
+  for (const line of content.split('\n')) {
+    const heading = line.match(/^#{2,4}\s+(.*)$/);
+    if (heading) inCommits = /commit/i.test(heading[1]!);
+    if (!inCommits && !/^\*\*Plan metadata:\*\*/.test(line)) continue;
+    for (const m of line.matchAll(/`([0-9a-f]{7,40})`/g)) hashes.push(m[1]!);
+  }
+  return [...new Set(hashes)];
+}
+
+const cites = (text: string, id: string) => new RegExp(`\\b${escapeRegex(id)}\\b`).test(text);
+
+async function readPhaseArtifacts(phaseDir: string, phase: string): Promise<PhaseArtifacts> {
+  const files = (await readdir(phaseDir)).sort();
+  const read = (f: string) => readFile(join(phaseDir, f), 'utf-8');
+  const artifacts: PhaseArtifacts = { phase, verified: false, context: '', plans: [], summaries: [] };
+
+  for (const file of files) {
+    if (file.endsWith('-VERIFICATION.md') || file === 'VERIFICATION.md') {
+      artifacts.verified = /^status:\s*passed\b/im.test(await read(file));
+    } else if (file.endsWith('-CONTEXT.md') || file === 'CONTEXT.md') {
+      artifacts.context = await read(file);
+    } else if (file.endsWith('-PLAN.md') || file === 'PLAN.md') {
+      const content = await read(file);
+      const fm = extractFrontmatter(content);
+      artifacts.plans.push({
+        id: file === 'PLAN.md' ? `${phase}-PLAN` : file.replace('-PLAN.md', ''),
+        requirements: asList(fm.requirements),
+        must_haves: fm.must_haves ? JSON.stringify(fm.must_haves) : '',
+        content,
+      });
+    } else if (file.endsWith('-SUMMARY.md') || file === 'SUMMARY.md') {
+      const content = await read(file);
+      const fm = extractFrontmatter(content);
+      artifacts.summaries.push({
+        id: file === 'SUMMARY.md' ? `${phase}-SUMMARY` : file.replace('-SUMMARY.md', ''),
+        requirements: asList(fm['requirements-completed']),
+        content,
+        commits: summaryCommits(content, fm),
+      });
+    }
+  }
+  return artifacts;
+}
+
+// ─── Git ───────────────────────────────────────────────────────────────────
+
+/**
+ * Looks up each commit hash once per run. Outside a git work tree (`git` is
+ * false) cited hashes are taken at their word and no files are listed.
+ */
+function commitResolver(projectDir: string) {
+  const git = execGit(projectDir, ['rev-parse', '--git-dir']).exitCode === 0;
+  const exists = new Map<string, boolean>();
+  const touched = new Map<string, string[]>();
+  return {
+    git,
+    exists(hash: string): boolean {
+      if (!exists.has(hash)) {
+        const r = execGit(projectDir, ['cat-file', '-t', hash]);
+        exists.set(hash, r.exitCode === 0 && r.stdout === 'commit');
+      }
+      return exists.get(hash)!;
+    },
+    files(hash: string): string[] {
+      if (!touched.has(hash)) {
+        const r = execGit(projectDir, ['show', '--name-only', '--format=', hash]);
+        touched.set(hash, r.exitCode === 0 ? r.stdout.split('\n').filter(Boolean) : []);
+      }
+      return touched.get(hash)!;
+    },
+  };
+}
+
+// ─── Matrix ────────────────────────────────────────────────────────────────
+
+function buildRow(
+  base: Pick<TraceRow, 'id' | 'kind' | 'phase' | 'text' | 'marked_complete'>,
+  plans: Array<{ id: string }>,
+  summaries: Array<{ id: string; commits: string[]; phase: string }>,
+  verifiedPhases: Set<string>,
+  resolver: ReturnType<typeof commitResolver>,
+): TraceRow {
+  const hashes = [...new Set(summaries.flatMap(s => s.commits))];
+  const commits = resolver.git ? hashes.filter(h => resolver.exists(h)) : hashes;
+  const missing = resolver.git ? hashes.filter(h => !commits.includes(h)) : [];
+  const files = [...new Set(commits.flatMap(h => (resolver.git ? resolver.files(h) : [])))].sort();
+
+  const planned = plans.length > 0;
+  const implemented = summaries.length > 0;
+  const committed = commits.length > 0;
+  const verified = implemented && summaries.every(s => verifiedPhases.has(s.phase));
+
+  const stages = [planned, implemented, committed, verified];
+  const reached = stages.indexOf(false);
+  const gaps: TraceGap[] = [];
+  if (!planned) gaps.push('not_planned');
+  if (!implemented) gaps.push('not_implemented');
+  if (!committed) gaps.push('not_committed');
+  if (!verified) gaps.push('not_verified');
+  if (missing.length > 0) gaps.push('missing_commit');
+
+  return {
+    ...base,
+    planned_in: plans.map(p => p.id),
+    implemented_in: summaries.map(s => s.id),
+    commits,
+    missing_commits: missing,
+    files,
+    planned,
+    implemented,
+    committed,
+    verified,
+    status: (['unplanned', 'planned', 'implemented', 'committed', 'verified'] as const)[reached === -1 ? 4 : reached],
+    gaps,
+  };
+}
+
+/** `trace.matrix` data as a {@link Report}; rows with gaps fail in JUnit. */
+export function traceMatrixReport(d: TraceData): Report {
+  const yes = (flag: boolean) => (flag ? 'yes' : 'no');
+  const checks = (kind: TraceRow['kind']): ReportCheck[] =>
+    d.rows.filter(r => r.kind === kind).map(r => ({
+      name: r.phase && r.kind === 'decision' ? `${r.phase} ${r.id}` : r.id,
+      status: r.gaps.length === 0 ? 'passed' : 'failed',
+      ...(r.gaps.length > 0 ? { message: r.gaps.join(', '), detail: r.text } : {}),
+    }));
+  return {
+    title: d.phase ? `Traceability Matrix — Phase ${d.phase}` : 'Traceability Matrix',
+    summary: [
+      ['Rows', d.summary.total],
+      ['Planned', d.summary.planned],
+      ['Implemented', d.summary.implemented],
+      ['Committed', d.summary.committed],
+      ['Verified', d.summary.verified],
+      ['With gaps', d.summary.with_gaps],
+    ],
+    tables: [
+      {
+        title: 'Matrix',
+        columns: ['ID', 'Kind', 'Phase', 'Planned', 'Implemented', 'Commits', 'Files', 'Verified', 'Status'],
+        rows: d.rows.map(r => [
+          r.id, r.kind, r.phase, r.planned_in.join(' '), r.implemented_in.join(' '),
+          r.commits.join(' '), r.files.length, yes(r.verified), r.status,
+        ]),
+      },
+      {
+        title: 'Gaps',
+        columns: ['ID', 'Kind', 'Phase', 'Gaps', 'Text'],
+        rows: d.rows.filter(r => r.gaps.length > 0).map(r => [r.id, r.kind, r.phase, r.gaps.join(', '), r.text]),
+      },
+    ],
+    suites: [
+      { name: 'Requirements', checks: checks('requirement') },
+      { name: 'Decisions', checks: checks('decision') },
+    ],
+  };
+}
+
+/**
+ * Query handler for `trace.matrix`.
+ *
+ * @param args - `[--phase N] [--format json|markdown|csv|junit|html]`
+ * @param projectDir - Project root directory
+ * @returns QueryResult with `{ rows, unknown_requirements, summary }`, or `{ format, rendered }`
+ */
+export const traceMatrix: QueryHandler = async (args, projectDir, workstream) => {
+  const format = readFormatFlag(args) ?? 'json';
+  const rest = stripFormatFlag(args);
+  const phaseIdx = rest.indexOf('--phase');
+  if (phaseIdx !== -1 && !rest[phaseIdx + 1]) {
+    throw new GSDError('--phase requires a phase number', ErrorClassification.Validation);
+  }
+  const onlyPhase = phaseIdx === -1 ? null : normalizePhaseName(rest[phaseIdx + 1]!);
+
+  const paths = planningPaths(projectDir, workstream);
+  if (!existsSync(paths.requirements)) {
+    return { data: { error: 'REQUIREMENTS.md not found' } };
+  }
+  const requirements = parseRequirements(await readFile(paths.requirements, 'utf-8'));
+
+  const phases: PhaseArtifacts[] = [];
+  try {
+    const dirs = (await readdir(paths.phases, { withFileTypes: true }))
+      .filter(e => e.isDirectory())
+      .map(e => e.name)
+      .sort(comparePhaseNum);
+    for (const dir of dirs) {
+      phases.push(await readPhaseArtifacts(join(paths.phases, dir), normalizePhaseName(extractPhaseToken(dir))));
+    }
+  } catch { /* no phases directory yet — everything is unplanned */ }
+
+  const resolver = commitResolver(projectDir);
+  const verifiedPhases = new Set(phases.filter(p => p.verified).map(p => p.phase));
+  const allPlans = phases.flatMap(p => p.plans);
+  const allSummaries = phases.flatMap(p => p.summaries.map(s => ({ ...s, phase: p.phase })));
+
+  const rows: TraceRow[] = requirements.map(req => buildRow(
+    { id: req.id, kind: 'requirement', phase: req.phase, text: req.text, marked_complete: req.complete },
+    allPlans.filter(p => p.requirements.includes(req.id) || cites(p.must_haves, req.id)),
+    allSummaries.filter(s => s.requirements.includes(req.id)),
+    verifiedPhases,
+    resolver,
+  ));
+
+  for (const phase of phases) {
+    for (const decision of parseDecisions(phase.context).filter(d => d.trackable)) {
+      rows.push(buildRow(
+        { id: decision.id, kind: 'decision', phase: phase.phase, text: decision.text, marked_complete: false },
+        phase.plans.filter(p => cites(p.content, decision.id)),
+        phase.summaries.filter(s => cites(s.content, decision.id)).map(s => ({ ...s, phase: phase.phase })),
+        verifiedPhases,
+        resolver,
+      ));
+    }
+  }
+
+  const defined = new Set(requirements.map(r => r.id));
+  const unknown = new Map<string, string[]>();
+  for (const item of [...allPlans, ...allSummaries]) {
+    for (const id of item.requirements.filter(r => !defined.has(r))) {
+      unknown.set(id, [...(unknown.get(id) ?? []), item.id]);
+    }
+  }
+
+  const selected = onlyPhase
+    ? rows.filter(r => r.phase === onlyPhase || [...r.planned_in, ...r.implemented_in].some(id => id.startsWith(`${onlyPhase}-`)))
+    : rows;
+  const count = (key: 'planned' | 'implemented' | 'committed' | 'verified') => selected.filter(r => r[key]).length;
+
+  return formattedResult<TraceData>(format, {
+    phase: onlyPhase,
+    git: resolver.git,
+    rows: selected,
+    unknown_requirements: [...unknown].sort(([a], [b]) => a.localeCompare(b)).map(([id, citedIn]) => ({ id, cited_in: citedIn })),
+    summary: {
+      total: selected.length,
+      planned: count('planned'),
+      implemented: count('implemented'),
+      committed: count('committed'),
+      verified: count('verified'),
+      with_gaps: selected.filter(r => r.gaps.length > 0).length,
+    },
+  }, traceMatrixReport);
+};
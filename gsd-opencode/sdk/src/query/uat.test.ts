@@ -74,4 +74,17 @@ describe('auditUat', () => {
     expect(summary.by_category).toEqual({});
     expect(summary.by_phase).toEqual({});
   });
+
+  it('maps outstanding items to junit test cases', async () => {
+    await writeFile(
+      join(tmpDir, '.planning', 'phases', '01-x', '01-UAT.md'),
+      '---\nstatus: testing\n---\n\n### 1. Login\nexpected: dashboard shows\nresult: blocked\nblocked_by: server not deployed\n\n'
+        + '### 2. Logout\nexpected: back to login\nresult: pending\n',
+    );
+    const r = await auditUat(['--format', 'junit'], tmpDir);
+    const xml = (r.data as { rendered: string }).rendered;
+    expect(xml).toContain('<testsuite name="Phase 01: 01-UAT.md" tests="2" failures="1" errors="0" skipped="1"');
+    expect(xml).toContain('<failure message="blocked (server_blocked)">server not deployed</failure>');
+    expect(xml).toContain('<testcase name="2. Logout" classname="Phase 01: 01-UAT.md">');
+  });
 });
@@ -24,6 +24,7 @@ import { GSDError, ErrorClassification } from '../errors.js';
 import { extractFrontmatter } from './frontmatter.js';
 import { planningPaths, resolvePathUnderProject, sanitizeForDisplay, toPosixPath } from './helpers.js';
 import { getMilestonePhaseFilter } from './state.js';
+import { formattedResult, readFormatFlag, type Report, type ReportCheck } from './render.js';
 import type { QueryHandler } from './utils.js';
 
 /** Same string as `buildCheckpoint` in `get-shit-done/bin/lib/uat.cjs`. */
@@ -227,10 +228,57 @@ function parseVerificationItems(content: string, status: string): Record<string,
   return items;
 }
 
+interface UatAuditData {
+  results: Record<string, unknown>[];
+  summary: { total_files: number; total_items: number; by_category: Record<string, number> };
+}
+
+/**
+ * `audit-uat` data as a {@link Report}: one suite per UAT or VERIFICATION
+ * file and one check per outstanding item. Blocked items fail; pending,
+ * skipped and human-verification items are reported as skipped.
+ */
+export function auditUatReport(d: UatAuditData): Report {
+  const rows: Report['tables'][number]['rows'] = [];
+  const suites: Report['suites'] = [];
+  for (const r of d.results) {
+    const checks: ReportCheck[] = [];
+    for (const item of r.items as Array<Record<string, unknown>>) {
+      const detail = (item.blocked_by ?? item.reason) as string | undefined;
+      rows.push([r.phase as string, r.file as string, r.type as string, item.test as number | undefined, item.name as string, item.result as string, item.category as string, detail]);
+      checks.push({
+        name: item.test !== undefined ? `${item.test}. ${item.name}` : String(item.name),
+        status: item.result === 'blocked' ? 'failed' : 'skipped',
+        message: `${item.result} (${item.category})`,
+        ...(detail && { detail }),
+      });
+    }
+    suites.push({ name: `Phase ${r.phase}: ${r.file}`, checks });
+  }
+  if (suites.length === 0) suites.push({ name: 'UAT', checks: [{ name: 'No outstanding UAT items', status: 'passed' }] });
+
+  return {
+    title: 'UAT Audit',
+    summary: [
+      ['Files with open items', d.summary.total_files],
+      ['Open items', d.summary.total_items],
+      ...Object.entries(d.summary.by_category).map(([category, n]): [string, number] => [category, n]),
+    ],
+    tables: [{
+      title: 'Outstanding items',
+      columns: ['Phase', 'File', 'Type', 'Test', 'Name', 'Result', 'Category', 'Detail'],
+      rows,
+    }],
+    suites,
+  };
+}
+
 /**
  * Cross-phase UAT / VERIFICATION audit — port of `cmdAuditUat` (`uat.cjs`).
+ * Accepts `--format json|markdown|csv|junit|html` (see {@link auditUatReport}).
  */
-export const auditUat: QueryHandler = async (_args, projectDir, workstream) => {
+export const auditUat: QueryHandler = async (args, projectDir, workstream) => {
+  const format = readFormatFlag(args) ?? 'json';
   const paths = planningPaths(projectDir, workstream);
   if (!existsSync(paths.phases)) {
     throw new GSDError('No phases directory found in planning directory', ErrorClassification.Blocked);
@@ -310,5 +358,5 @@ export const auditUat: QueryHandler = async (_args, projectDir, workstream) => {
     }
   }
 
-  return { data: { results, summary } };
+  return formattedResult(format, { results, summary }, auditUatReport);
 };
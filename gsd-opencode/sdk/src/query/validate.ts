@@ -24,6 +24,7 @@ import { MODEL_PROFILES } from './config-query.js';
 import { GSDError, ErrorClassification } from '../errors.js';
 import { extractFrontmatter, parseMustHavesBlock } from './frontmatter.js';
 import { escapeRegex, normalizePhaseName, planningPaths, resolvePathUnderProject } from './helpers.js';
+import { withLock } from './locks.js';
 import type { QueryHandler } from './utils.js';
 
 /** Max length for key_links regex patterns (ReDoS mitigation). */
@@ -699,7 +700,7 @@ export const validateHealth: QueryHandler = async (args, projectDir, _workstream
               parallelization: 1,
               brave_search: false,
             };
-            await writeFile(configPath, JSON.stringify(defaults, null, 2), 'utf-8');
+            await withLock(configPath, () => writeFile(configPath, JSON.stringify(defaults, null, 2), 'utf-8'));
             repairActions.push({ action: repair, success: true, path: 'config.json' });
             break;
           }
@@ -725,21 +726,23 @@ export const validateHealth: QueryHandler = async (args, projectDir, _workstream
             stateContent += `**Status:** Resuming\n\n`;
             stateContent += `## Session Log\n\n`;
             stateContent += `- ${new Date().toISOString().split('T')[0]}: STATE.md regenerated by /gsd-health --repair\n`;
-            await writeFile(statePath, stateContent, 'utf-8');
+            await withLock(statePath, () => writeFile(statePath, stateContent, 'utf-8'));
             repairActions.push({ action: repair, success: true, path: 'STATE.md' });
             break;
           }
           case 'addNyquistKey': {
             if (existsSync(configPath)) {
               try {
-                const configRaw = await readFile(configPath, 'utf-8');
-                const configParsed = JSON.parse(configRaw) as Record<string, unknown>;
-                if (!configParsed.workflow) configParsed.workflow = {};
-                const wf = configParsed.workflow as Record<string, unknown>;
-                if (wf.nyquist_validation === undefined) {
-                  wf.nyquist_validation = true;
-                  await writeFile(configPath, JSON.stringify(configParsed, null, 2), 'utf-8');
-                }
+                await withLock(configPath, async () => {
+                  const configRaw = await readFile(configPath, 'utf-8');
+                  const configParsed = JSON.parse(configRaw) as Record<string, unknown>;
+                  if (!configParsed.workflow) configParsed.workflow = {};
+                  const wf = configParsed.workflow as Record<string, unknown>;
+                  if (wf.nyquist_validation === undefined) {
+                    wf.nyquist_validation = true;
+                    await writeFile(configPath, JSON.stringify(configParsed, null, 2), 'utf-8');
+                  }
+                });
                 repairActions.push({ action: repair, success: true, path: 'config.json' });
               } catch (err) {
                 const msg = err instanceof Error ? err.message : String(err);
@@ -14,7 +14,7 @@
  * ```
  */
 
-import { readFile, readdir } from 'node:fs/promises';
+import { readFile, readdir, writeFile } from 'node:fs/promises';
 import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
 import { join, isAbsolute } from 'node:path';
 import { GSDError, ErrorClassification } from '../errors.js';
@@ -25,6 +25,10 @@ import {
   phaseTokenMatches,
   planningPaths,
 } from './helpers.js';
+import { withLock } from './locks.js';
+import { execGit } from './commit.js';
+import { detectDrift, parseNameStatus, readMappedCommit, writeMappedCommit, fixStructureMd, sanitizePaths } from './drift.js';
+import { loadConfig } from '../config.js';
 import type { QueryHandler } from './utils.js';
 
 // ─── verifyPlanStructure ───────────────────────────────────────────────────
@@ -327,7 +331,6 @@ export const verifyCommits: QueryHandler = async (args, projectDir) => {
     throw new GSDError('At least one commit hash required', ErrorClassification.Validation);
   }
 
-  const { execGit } = await import('./commit.js');
   const valid: string[] = [];
   const invalid: string[] = [];
 
@@ -476,7 +479,6 @@ export const verifySummary: QueryHandler = async (args, projectDir) => {
     }
   }
 
-  const { execGit } = await import('./commit.js');
   const commitHashPattern = /\b[0-9a-f]{7,40}\b/g;
   const hashes = content.match(commitHashPattern) || [];
   let commitsExist = false;
@@ -563,7 +565,6 @@ export const verifySchemaDrift: QueryHandler = async (args, projectDir, workstre
   }
 
   const { checkSchemaDrift } = await import('./schema-detect.js');
-  const { execGit } = await import('./commit.js');
 
   const phasesDir = planningPaths(projectDir, workstream).phases;
   if (!existsSync(phasesDir)) {
@@ -644,55 +645,123 @@ export const verifySchemaDrift: QueryHandler = async (args, projectDir, workstre
   };
 };
 
+// ─── verifyCodebaseDrift ──────────────────────────────────────────────────
+
 /**
- * verify.codebase-drift — structural drift detector (#2003).
+ * verify.codebase-drift — structural drift detector (#2003), ported from
+ * `bin/lib/drift.cjs` (see `drift.ts`).
+ *
+ * Compares `git diff --name-status <last_mapped_commit> HEAD` with
+ * `.planning/codebase/STRUCTURE.md`, using `workflow.drift_threshold` and
+ * `workflow.drift_action`. Non-blocking by contract: nothing is thrown. When
+ * there is nothing to check (no STRUCTURE.md, no mapped commit, git cannot
+ * diff) the response is `{ skipped: true, reason }`; an unexpected failure
+ * instead sets `error`, `action_required: true` and `directive: 'warn'` so
+ * the post-execute drift gate in `/gsd-execute-phase` reports it without
+ * blocking the phase.
  *
- * Non-blocking by contract: every failure mode returns a successful response
- * with `{ skipped: true, reason }`. The post-execute drift gate in
- * `/gsd-execute-phase` relies on this guarantee.
+ * `--fix` records the drifted paths in STRUCTURE.md under the template's
+ * sections and stamps HEAD as its `last_mapped_commit`, so small drift is
+ * absorbed without re-running `gsd-codebase-mapper`.
  *
- * Delegates to the Node-side implementation in `bin/lib/drift.cjs` and
- * `bin/lib/verify.cjs` via a child process so the drift logic stays in one
- * canonical place (see `cmdVerifyCodebaseDrift`).
+ * @param args - `[--fix]`
+ * @param projectDir - Project root directory
+ * @returns QueryResult with { skipped, reason, error, elements, action_required, directive, spawn_mapper,
+ *   affected_paths, threshold, action, last_mapped_commit, message, counts, fixed }
  */
-export const verifyCodebaseDrift: QueryHandler = async (_args, projectDir) => {
+export const verifyCodebaseDrift: QueryHandler = async (args, projectDir, workstream) => {
+  const fix = args.includes('--fix');
+  const skip = (reason: string, last_mapped_commit: string | null = null) => ({
+    data: {
+      skipped: true,
+      reason,
+      elements: [],
+      action_required: false,
+      directive: 'none',
+      spawn_mapper: false,
+      affected_paths: [],
+      last_mapped_commit,
+      message: '',
+    },
+  });
+  const failed = (err: unknown) => {
+    const error = err instanceof Error ? err.message : String(err);
+    return {
+      data: {
+        skipped: false,
+        error,
+        elements: [],
+        action_required: true,
+        directive: 'warn',
+        spawn_mapper: false,
+        affected_paths: [],
+        last_mapped_commit: null,
+        message: `Codebase drift check failed: ${error}`,
+      },
+    };
+  };
+
   try {
-    const { execFileSync } = await import('node:child_process');
-    const { fileURLToPath } = await import('node:url');
-    const { dirname, resolve } = await import('node:path');
-    const here = typeof __dirname === 'string'
-      ? __dirname
-      : dirname(fileURLToPath(import.meta.url));
-    // sdk/src/query -> ../../../get-shit-done/bin/gsd-tools.cjs
-    // sdk/dist/query -> ../../../get-shit-done/bin/gsd-tools.cjs
-    const toolsPath = resolve(here, '..', '..', '..', 'get-shit-done', 'bin', 'gsd-tools.cjs');
-    const out = execFileSync(process.execPath, [toolsPath, 'verify', 'codebase-drift'], {
-      cwd: projectDir,
-      encoding: 'utf-8',
-      stdio: ['pipe', 'pipe', 'pipe'],
-    }).trim();
-    try {
-      return { data: JSON.parse(out) };
-    } catch {
-      return {
-        data: {
-          skipped: true,
-          reason: 'sdk-parse-failed',
-          action_required: false,
-          directive: 'none',
-          elements: [],
-        },
-      };
+    const structurePath = join(projectDir, '.planning', 'codebase', 'STRUCTURE.md');
+    if (!existsSync(structurePath)) return skip('missing-structure-md');
+    const structureMd = await readFile(structurePath, 'utf-8');
+    const mapped = readMappedCommit(structureMd);
+    if (!mapped) return skip('missing-last-mapped-commit');
+
+    if (execGit(projectDir, ['rev-parse', '--verify', '--quiet', `${mapped}^{commit}`]).exitCode !== 0) {
+      return skip('unknown-last-mapped-commit', mapped);
     }
-  } catch (err) {
+    const head = execGit(projectDir, ['rev-parse', 'HEAD']);
+    const diff = execGit(projectDir, ['diff', '--name-status', '-M', mapped, 'HEAD']);
+    if (head.exitCode !== 0 || diff.exitCode !== 0) return skip('git-diff-failed', mapped);
+
+    const { workflow } = await loadConfig(projectDir, workstream);
+    const files = parseNameStatus(diff.stdout);
+    const result = detectDrift({
+      addedFiles: files.added,
+      modifiedFiles: files.modified,
+      deletedFiles: files.deleted,
+      structureMd,
+      threshold: workflow.drift_threshold,
+      action: workflow.drift_action,
+    });
+    if (result.skipped) return skip(result.reason ?? 'skipped', mapped);
+
+    const data = {
+      skipped: false,
+      elements: result.elements,
+      action_required: result.actionRequired,
+      directive: result.directive,
+      spawn_mapper: result.spawnMapper,
+      affected_paths: sanitizePaths(result.affectedPaths),
+      threshold: result.threshold,
+      action: result.action,
+      last_mapped_commit: mapped,
+      message: result.message,
+      counts: result.counts,
+    };
+    if (!fix || head.stdout === mapped) return { data };
+
+    const short = head.stdout.slice(0, 7);
+    const fixed = await withLock(structurePath, async () => {
+      const current = await readFile(structurePath, 'utf-8');
+      const { content, added } = fixStructureMd(current, result.elements, `_Added by drift repair at ${short} — not yet described_`);
+      await writeFile(structurePath, writeMappedCommit(content, head.stdout, new Date().toISOString()), 'utf-8');
+      return added;
+    });
     return {
       data: {
-        skipped: true,
-        reason: 'sdk-exception: ' + (err instanceof Error ? err.message : String(err)),
+        ...data,
         action_required: false,
         directive: 'none',
-        elements: [],
+        spawn_mapper: false,
+        affected_paths: [],
+        last_mapped_commit: head.stdout,
+        message: `Codebase drift repaired: ${fixed.length} entr${fixed.length === 1 ? 'y' : 'ies'} added to STRUCTURE.md, last_mapped_commit now ${short}.`,
+        fixed: { added: fixed, previous_commit: mapped },
       },
     };
+  } catch (err) {
+    return failed(err);
   }
 };
@@ -0,0 +1,242 @@
+/**
+ * Web search providers for the `websearch` query handler.
+ *
+ * Each provider turns a {@link SearchRequest} into results of one shape
+ * (`{ title, url, description, age }`) and reports whether it can run —
+ * an API key or endpoint is configured — before it is tried. API keys are
+ * read from the environment, then a string value of the matching config flag
+ * (`brave_search`, `exa_search`, `firecrawl`), then `~/.gsd/<name>_api_key`,
+ * the same places `config-new-project` checks when it detects them.
+ *
+ * | Provider   | Needs                                          |
+ * |------------|------------------------------------------------|
+ * | `brave`    | `BRAVE_API_KEY`                                |
+ * | `exa`      | `EXA_API_KEY`                                  |
+ * | `firecrawl`| `FIRECRAWL_API_KEY`                            |
+ * | `searxng`  | `search.searxng_url` or `SEARXNG_URL` (self-hosted, JSON format enabled) |
+ * | `fixture`  | `GSD_SEARCH_FIXTURE` — a JSON file of canned results, for tests |
+ *
+ * A request that does not complete within {@link searchTimeoutMs} fails like
+ * any other provider error, so the next provider is tried.
+ */
+
+import { readFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import type { GSDConfig } from '../config.js';
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+export type SearchFreshness = 'day' | 'week' | 'month' | 'year';
+
+export interface SearchRequest {
+  query: string;
+  limit: number;
+  freshness: SearchFreshness | null;
+}
+
+export interface SearchResult {
+  title: string;
+  url: string;
+  description: string;
+  /** Age or publication date as the provider reports it, if any. */
+  age: string | null;
+}
+
+export interface SearchProvider {
+  name: string;
+  /** Why the provider cannot run with this config, or null when it can. */
+  unavailable(config: GSDConfig): string | null;
+  search(request: SearchRequest, config: GSDConfig): Promise<SearchResult[]>;
+}
+
+// ─── Credentials ───────────────────────────────────────────────────────────
+
+/**
+ * API key from `envVar`, a string value of config `flag`, or
+ * `~/.gsd/<keyFile>`; null when none is set.
+ */
+export function resolveApiKey(envVar: string, config: GSDConfig, flag: string, keyFile: string): string | null {
+  const fromEnv = process.env[envVar];
+  if (fromEnv) return fromEnv;
+  const fromConfig = config[flag];
+  if (typeof fromConfig === 'string' && fromConfig.trim()) return fromConfig.trim();
+  try {
+    const fromFile = readFileSync(join(homedir(), '.gsd', keyFile), 'utf-8').trim();
+    return fromFile || null;
+  } catch {
+    return null;
+  }
+}
+
+function searxngUrl(config: GSDConfig): string | null {
+  const url = config.search?.searxng_url || process.env.SEARXNG_URL;
+  return url ? url.replace(/\/+$/, '') : null;
+}
+
+/** How long one provider request (including its body) may take. */
+export const SEARCH_TIMEOUT_MS = 15_000;
+
+/** `GSD_SEARCH_TIMEOUT_MS` overrides {@link SEARCH_TIMEOUT_MS}. */
+export function searchTimeoutMs(): number {
+  const fromEnv = parseInt(process.env.GSD_SEARCH_TIMEOUT_MS ?? '', 10);
+  return Number.isFinite(fromEnv) && fromEnv > 0 ? fromEnv : SEARCH_TIMEOUT_MS;
+}
+
+async function fetchJson(url: string, init: RequestInit): Promise<unknown> {
+  const timeoutMs = searchTimeoutMs();
+  try {
+    const response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) throw new Error(`API error: ${response.status}`);
+    return await response.json();
+  } catch (err) {
+    if (err instanceof Error && err.name === 'TimeoutError') throw new Error(`Timed out after ${timeoutMs}ms`);
+    throw err;
+  }
+}
+
+/** Earliest publication date for a freshness window, as an ISO timestamp. */
+function freshnessSince(freshness: SearchFreshness): string {
+  const days = { day: 1, week: 7, month: 31, year: 366 }[freshness];
+  return new Date(Date.now() - days * 86_400_000).toISOString();
+}
+
+// ─── Providers ─────────────────────────────────────────────────────────────
+
+const brave: SearchProvider = {
+  name: 'brave',
+  unavailable: config => resolveApiKey('BRAVE_API_KEY', config, 'brave_search', 'brave_api_key') ? null : 'BRAVE_API_KEY not set',
+  async search({ query, limit, freshness }, config) {
+    const params = new URLSearchParams({
+      q: query,
+      count: String(limit),
+      country: 'us',
+      search_lang: 'en',
+      text_decorations: 'false',
+    });
+    if (freshness) params.set('freshness', { day: 'pd', week: 'pw', month: 'pm', year: 'py' }[freshness]);
+
+    const body = await fetchJson(`https://api.search.brave.com/res/v1/web/search?${params}`, {
+      headers: {
+        'Accept': 'application/json',
+        'X-Subscription-Token': resolveApiKey('BRAVE_API_KEY', config, 'brave_search', 'brave_api_key')!,
+      },
+    }) as { web?: { results?: Array<{ title: string; url: string; description: string; age?: string }> } };
+
+    return (body.web?.results || []).map(r => ({
+      title: r.title,
+      url: r.url,
+      description: r.description,
+      age: r.age || null,
+    }));
+  },
+};
+
+const exa: SearchProvider = {
+  name: 'exa',
+  unavailable: config => resolveApiKey('EXA_API_KEY', config, 'exa_search', 'exa_api_key') ? null : 'EXA_API_KEY not set',
+  async search({ query, limit, freshness }, config) {
+    const body = await fetchJson('https://api.exa.ai/search', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': resolveApiKey('EXA_API_KEY', config, 'exa_search', 'exa_api_key')!,
+      },
+      body: JSON.stringify({
+        query,
+        numResults: limit,
+        contents: { text: { maxCharacters: 400 } },
+        ...(freshness && { startPublishedDate: freshnessSince(freshness) }),
+      }),
+    }) as { results?: Array<{ title?: string; url: string; text?: string; publishedDate?: string }> };
+
+    return (body.results || []).map(r => ({
+      title: r.title || r.url,
+      url: r.url,
+      description: r.text?.trim() || '',
+      age: r.publishedDate || null,
+    }));
+  },
+};
+
+const firecrawl: SearchProvider = {
+  name: 'firecrawl',
+  unavailable: config => resolveApiKey('FIRECRAWL_API_KEY', config, 'firecrawl', 'firecrawl_api_key') ? null : 'FIRECRAWL_API_KEY not set',
+  async search({ query, limit, freshness }, config) {
+    const body = await fetchJson('https://api.firecrawl.dev/v1/search', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${resolveApiKey('FIRECRAWL_API_KEY', config, 'firecrawl', 'firecrawl_api_key')!}`,
+      },
+      body: JSON.stringify({
+        query,
+        limit,
+        ...(freshness && { tbs: `qdr:${freshness[0]}` }),
+      }),
+    }) as { data?: Array<{ title?: string; url: string; description?: string }> };
+
+    return (body.data || []).map(r => ({
+      title: r.title || r.url,
+      url: r.url,
+      description: r.description || '',
+      age: null,
+    }));
+  },
+};
+
+const searxng: SearchProvider = {
+  name: 'searxng',
+  unavailable: config => searxngUrl(config) ? null : 'search.searxng_url not set',
+  async search({ query, limit, freshness }, config) {
+    const params = new URLSearchParams({ q: query, format: 'json' });
+    if (freshness) params.set('time_range', freshness);
+    const body = await fetchJson(`${searxngUrl(config)}/search?${params}`, {
+      headers: { 'Accept': 'application/json' },
+    }) as { results?: Array<{ title?: string; url: string; content?: string; publishedDate?: string | null }> };
+
+    return (body.results || []).slice(0, limit).map(r => ({
+      title: r.title || r.url,
+      url: r.url,
+      description: r.content || '',
+      age: r.publishedDate || null,
+    }));
+  },
+};
+
+/**
+ * Canned results for tests and offline runs. `GSD_SEARCH_FIXTURE` names a
+ * JSON file mapping queries to result arrays; `"*"` matches any query. A
+ * fixture entry that is a string is thrown as an error, to exercise fallback.
+ */
+const fixture: SearchProvider = {
+  name: 'fixture',
+  unavailable: () => process.env.GSD_SEARCH_FIXTURE ? null : 'GSD_SEARCH_FIXTURE not set',
+  async search({ query, limit }) {
+    const fixtures = JSON.parse(readFileSync(process.env.GSD_SEARCH_FIXTURE!, 'utf-8')) as Record<string, unknown>;
+    const entry = fixtures[query] ?? fixtures['*'] ?? [];
+    if (typeof entry === 'string') throw new Error(entry);
+    return (entry as Array<Partial<SearchResult> & { url: string }>).slice(0, limit).map(r => ({
+      title: r.title || r.url,
+      url: r.url,
+      description: r.description || '',
+      age: r.age || null,
+    }));
+  },
+};
+
+/** Every provider, by name. */
+export const SEARCH_PROVIDERS: Record<string, SearchProvider> = { brave, exa, firecrawl, searxng, fixture };
+
+/**
+ * Fallback order when `search.providers` is not configured. The boolean
+ * `brave_search` / `exa_search` / `firecrawl` flags record key detection at
+ * project creation, so they do not gate a provider whose key appeared later.
+ */
+export const DEFAULT_PROVIDER_ORDER = ['brave', 'exa', 'firecrawl', 'searxng'];
+
+/** Provider names to try, in order, for this config. */
+export function providerOrder(config: GSDConfig): string[] {
+  const configured = config.search?.providers;
+  return Array.isArray(configured) && configured.length > 0 ? configured.map(String) : DEFAULT_PROVIDER_ORDER;
+}
@@ -1,9 +1,16 @@
 /**
- * Tests for websearch handler (no network when API key unset).
+ * Tests for websearch handler (no network when API key unset; provider
+ * selection, fallback and caching run against the fixture provider).
  */
 
-import { describe, it, expect } from 'vitest';
-import { websearch } from './websearch.js';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, mkdir, rm, readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createServer, type Server } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { websearch, websearchCacheDir } from './websearch.js';
+import { GSDError } from '../errors.js';
 
 describe('websearch', () => {
   it('returns available:false when BRAVE_API_KEY is not set', async () => {
@@ -29,3 +36,124 @@ describe('websearch', () => {
     }
   });
 });
+
+describe('websearch providers', () => {
+  let tmpDir: string;
+  let fixturePath: string;
+  let prevFixture: string | undefined;
+
+  const writeFixture = (fixtures: Record<string, unknown>) => writeFile(fixturePath, JSON.stringify(fixtures));
+  const writeConfig = (search: Record<string, unknown>) =>
+    writeFile(join(tmpDir, '.planning', 'config.json'), JSON.stringify({ search }));
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'gsd-websearch-'));
+    await mkdir(join(tmpDir, '.planning'), { recursive: true });
+    fixturePath = join(tmpDir, 'fixture.json');
+    prevFixture = process.env.GSD_SEARCH_FIXTURE;
+    process.env.GSD_SEARCH_FIXTURE = fixturePath;
+    await writeConfig({ providers: ['fixture'] });
+    await writeFixture({
+      'vitest mocking': [
+        { title: 'Mocking', url: 'https://vitest.dev/guide/mocking', description: 'Guide', age: '2 days ago' },
+        { url: 'https://example.com/untitled' },
+      ],
+    });
+  });
+
+  afterEach(async () => {
+    if (prevFixture !== undefined) process.env.GSD_SEARCH_FIXTURE = prevFixture;
+    else delete process.env.GSD_SEARCH_FIXTURE;
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('normalizes results from the configured provider', async () => {
+    const { data } = await websearch(['vitest mocking'], tmpDir);
+    expect(data).toEqual({
+      available: true,
+      query: 'vitest mocking',
+      provider: 'fixture',
+      cached: false,
+      count: 2,
+      results: [
+        { title: 'Mocking', url: 'https://vitest.dev/guide/mocking', description: 'Guide', age: '2 days ago' },
+        { title: 'https://example.com/untitled', url: 'https://example.com/untitled', description: '', age: null },
+      ],
+    });
+  });
+
+  it('serves repeat queries from the cache until --no-cache', async () => {
+    await websearch(['vitest mocking', '--freshness', 'week'], tmpDir);
+    await writeFixture({ 'vitest mocking': [{ title: 'Changed', url: 'https://example.com/changed' }] });
+
+    const cached = await websearch(['Vitest Mocking ', '--freshness', 'pw'], tmpDir);
+    expect(cached.data).toMatchObject({ cached: true, provider: 'fixture', count: 2 });
+    expect(await readdir(websearchCacheDir(tmpDir))).toHaveLength(1);
+
+    const otherWindow = await websearch(['vitest mocking', '--freshness', 'month'], tmpDir);
+    expect(otherWindow.data).toMatchObject({ cached: false, count: 1 });
+
+    const fresh = await websearch(['vitest mocking', '--freshness', 'week', '--no-cache'], tmpDir);
+    expect(fresh.data).toMatchObject({ cached: false, count: 1, results: [{ title: 'Changed' }] });
+  });
+
+  it('does not cache when cache_ttl_hours is 0', async () => {
+    await writeConfig({ providers: ['fixture'], cache_ttl_hours: 0 });
+    await websearch(['vitest mocking'], tmpDir);
+    await writeFixture({ 'vitest mocking': [] });
+    expect((await websearch(['vitest mocking'], tmpDir)).data).toMatchObject({ cached: false, count: 0 });
+  });
+
+  it('skips unconfigured providers and reports failures', async () => {
+    const prev = process.env.BRAVE_API_KEY;
+    delete process.env.BRAVE_API_KEY;
+    try {
+      await writeConfig({ providers: ['brave', 'fixture'] });
+      expect((await websearch(['vitest mocking'], tmpDir)).data).toMatchObject({ available: true, provider: 'fixture' });
+
+      await writeFixture({ '*': 'API error: 429' });
+      const failed = await websearch(['rate limited'], tmpDir);
+      expect(failed.data).toEqual({
+        available: false,
+        error: 'API error: 429',
+        attempts: [{ provider: 'fixture', error: 'API error: 429' }],
+      });
+
+      await writeConfig({ providers: ['brave'] });
+      expect((await websearch(['anything'], tmpDir)).data).toMatchObject({
+        available: false,
+        reason: 'BRAVE_API_KEY not set',
+        skipped: [{ provider: 'brave', reason: 'BRAVE_API_KEY not set' }],
+      });
+    } finally {
+      if (prev !== undefined) process.env.BRAVE_API_KEY = prev;
+    }
+  });
+
+  it('falls back when a provider stalls past the request timeout', async () => {
+    const stalled: Server = createServer(() => { /* never responds */ });
+    await new Promise<void>(resolve => stalled.listen(0, '127.0.0.1', resolve));
+    const prevTimeout = process.env.GSD_SEARCH_TIMEOUT_MS;
+    process.env.GSD_SEARCH_TIMEOUT_MS = '200';
+    try {
+      const { port } = stalled.address() as AddressInfo;
+      await writeConfig({ providers: ['searxng', 'fixture'], searxng_url: `http://127.0.0.1:${port}` });
+
+      expect((await websearch(['vitest mocking'], tmpDir)).data).toMatchObject({
+        available: true,
+        provider: 'fixture',
+        attempts: [{ provider: 'searxng', error: 'Timed out after 200ms' }],
+      });
+    } finally {
+      if (prevTimeout !== undefined) process.env.GSD_SEARCH_TIMEOUT_MS = prevTimeout;
+      else delete process.env.GSD_SEARCH_TIMEOUT_MS;
+      stalled.closeAllConnections();
+      await new Promise(resolve => stalled.close(resolve));
+    }
+  });
+
+  it('rejects unknown providers and freshness windows', async () => {
+    await expect(websearch(['q', '--provider', 'bing'], tmpDir)).rejects.toThrow(GSDError);
+    await expect(websearch(['q', '--freshness', 'decade'], tmpDir)).rejects.toThrow(GSDError);
+  });
+});
@@ -1,82 +1,169 @@
 /**
- * Web search query handler — Brave Search API integration.
+ * Web search query handler — pluggable providers with an on-disk result cache.
  *
- * Provides web search for researcher agents. Returns { available: false }
- * gracefully when BRAVE_API_KEY is missing so agents can fall back to
- * built-in websearch tools.
+ * Provides web search for researcher agents. Providers (Brave, Exa,
+ * Firecrawl, SearXNG and a fixture provider for tests — see
+ * `websearch-providers.ts`) are tried in `search.providers` order: those
+ * without a key or endpoint are skipped, and a failed request falls back to
+ * the next one. Results come back in one shape whichever provider served
+ * them.
+ *
+ * Results are cached in `.planning/cache/websearch/`, keyed by query,
+ * freshness and limit, for `search.cache_ttl_hours` (default
+ * {@link WEBSEARCH_CACHE_TTL_HOURS}), so repeated research runs do not
+ * re-spend provider quota. Returns `{ available: false }` when no provider
+ * can run so agents can fall back to built-in websearch tools.
  *
  * @example
  * ```typescript
  * import { websearch } from './websearch.js';
  *
  * await websearch(['typescript generics'], '/project');
- * // { data: { available: true, query: 'typescript generics', count: 10, results: [...] } }
+ * // { data: { available: true, query: 'typescript generics', provider: 'brave', cached: false, count: 10, results: [...] } }
  * ```
  */
 
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+import { loadConfig } from '../config.js';
+import { GSDError, ErrorClassification } from '../errors.js';
 import type { QueryHandler } from './utils.js';
+import {
+  SEARCH_PROVIDERS, providerOrder,
+  type SearchProvider, type SearchFreshness, type SearchRequest, type SearchResult,
+} from './websearch-providers.js';
+
+/** Default lifetime of cached results. */
+export const WEBSEARCH_CACHE_TTL_HOURS = 24;
+
+/** Accepted `--freshness` values; Brave's `pd`/`pw`/`pm`/`py` codes still work. */
+const FRESHNESS_ALIASES: Record<string, SearchFreshness> = {
+  day: 'day', week: 'week', month: 'month', year: 'year',
+  pd: 'day', pw: 'week', pm: 'month', py: 'year',
+};
+
+// ─── Cache ─────────────────────────────────────────────────────────────────
+
+interface CachedSearch {
+  query: string;
+  freshness: SearchFreshness | null;
+  limit: number;
+  provider: string;
+  fetched_at: string;
+  results: SearchResult[];
+}
+
+export function websearchCacheDir(projectDir: string): string {
+  return join(projectDir, '.planning', 'cache', 'websearch');
+}
+
+/** Cache file for a request; a forced provider gets its own entry. */
+function cachePath(projectDir: string, request: SearchRequest, forcedProvider: string | null): string {
+  const key = JSON.stringify([request.query.trim().toLowerCase(), request.freshness, request.limit, forcedProvider]);
+  return join(websearchCacheDir(projectDir), `${createHash('sha256').update(key).digest('hex').slice(0, 32)}.json`);
+}
+
+async function readCache(path: string, ttlHours: number): Promise<CachedSearch | null> {
+  if (ttlHours <= 0) return null;
+  try {
+    const cached = JSON.parse(await readFile(path, 'utf-8')) as CachedSearch;
+    const age = Date.now() - new Date(cached.fetched_at).getTime();
+    return age >= 0 && age < ttlHours * 3_600_000 ? cached : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Best effort, and only inside a GSD project. */
+async function writeCache(projectDir: string, path: string, entry: CachedSearch): Promise<void> {
+  if (!existsSync(join(projectDir, '.planning'))) return;
+  try {
+    await mkdir(websearchCacheDir(projectDir), { recursive: true });
+    await writeFile(path, JSON.stringify(entry, null, 2) + '\n', 'utf-8');
+  } catch { /* cache is an optimization */ }
+}
+
+// ─── Handler ───────────────────────────────────────────────────────────────
 
 /**
- * Search the web via Brave Search API.
- * Requires BRAVE_API_KEY env var.
+ * Search the web with the first provider that can serve the request.
+ * Provider availability is reported before the query is validated, so
+ * `websearch` with no arguments probes whether search is usable.
  *
- * Args: query [--limit N] [--freshness day|week|month]
+ * Args: query [--limit N] [--freshness day|week|month|year] [--provider name] [--no-cache]
  */
-export const websearch: QueryHandler = async (args) => {
-  const apiKey = process.env.BRAVE_API_KEY;
+export const websearch: QueryHandler = async (args, projectDir, workstream) => {
+  const flag = (name: string): string | null => {
+    const idx = args.indexOf(`--${name}`);
+    return idx !== -1 ? args[idx + 1] ?? null : null;
+  };
+  const limit = parseInt(flag('limit') ?? '10', 10);
+  const freshnessFlag = flag('freshness');
+  const freshness = freshnessFlag === null ? null : FRESHNESS_ALIASES[freshnessFlag];
+  if (freshness === undefined) {
+    throw new GSDError(`--freshness must be one of day, week, month, year (got "${freshnessFlag}")`, ErrorClassification.Validation);
+  }
+  const forcedProvider = flag('provider');
+  if (forcedProvider !== null && !SEARCH_PROVIDERS[forcedProvider]) {
+    throw new GSDError(`Unknown search provider "${forcedProvider}"`, ErrorClassification.Validation);
+  }
 
-  if (!apiKey) {
-    return { data: { available: false, reason: 'BRAVE_API_KEY not set' } };
+  const config = await loadConfig(projectDir, workstream);
+  const providers: SearchProvider[] = [];
+  const skipped: Array<{ provider: string; reason: string }> = [];
+  for (const name of forcedProvider ? [forcedProvider] : providerOrder(config)) {
+    const provider = SEARCH_PROVIDERS[name];
+    const reason = provider ? provider.unavailable(config) : 'unknown provider';
+    if (reason) skipped.push({ provider: name, reason });
+    else providers.push(provider);
+  }
+  if (providers.length === 0) {
+    return { data: { available: false, reason: skipped[0]?.reason ?? 'No search provider configured', skipped } };
   }
 
   const query = args[0];
-  if (!query) {
+  if (!query || query.startsWith('--')) {
     return { data: { available: false, error: 'Query required' } };
   }
 
-  const limitIdx = args.indexOf('--limit');
-  const freshnessIdx = args.indexOf('--freshness');
-  const limit = limitIdx !== -1 ? parseInt(args[limitIdx + 1], 10) : 10;
-  const freshness = freshnessIdx !== -1 ? args[freshnessIdx + 1] : null;
+  const request: SearchRequest = {
+    query,
+    limit: Number.isFinite(limit) && limit > 0 ? limit : 10,
+    freshness,
+  };
+  const ttlHours = Number(config.search?.cache_ttl_hours ?? WEBSEARCH_CACHE_TTL_HOURS);
+  const path = cachePath(projectDir, request, forcedProvider);
 
-  const params = new URLSearchParams({
-    q: query,
-    count: String(limit),
-    country: 'us',
-    search_lang: 'en',
-    text_decorations: 'false',
-  });
-  if (freshness) params.set('freshness', freshness);
+  if (!args.includes('--no-cache')) {
+    const cached = await readCache(path, ttlHours);
+    if (cached) {
+      return { data: { available: true, query, provider: cached.provider, cached: true, count: cached.results.length, results: cached.results } };
+    }
+  }
 
-  try {
-    const response = await fetch(
-      `https://api.search.brave.com/res/v1/web/search?${params}`,
-      {
-        headers: {
-          'Accept': 'application/json',
-          'X-Subscription-Token': apiKey,
+  const attempts: Array<{ provider: string; error: string }> = [];
+  for (const provider of providers) {
+    const name = provider.name;
+    try {
+      const results = await provider.search(request, config);
+      await writeCache(projectDir, path, { query, freshness: request.freshness, limit: request.limit, provider: name, fetched_at: new Date().toISOString(), results });
+      return {
+        data: {
+          available: true,
+          query,
+          provider: name,
+          cached: false,
+          count: results.length,
+          results,
+          ...(attempts.length > 0 && { attempts }),
         },
-      },
-    );
-
-    if (!response.ok) {
-      return { data: { available: false, error: `API error: ${response.status}` } };
+      };
+    } catch (err: unknown) {
+      attempts.push({ provider: name, error: err instanceof Error ? err.message : String(err) });
     }
-
-    const body = await response.json() as {
-      web?: { results?: Array<{ title: string; url: string; description: string; age?: string }> };
-    };
-
-    const results = (body.web?.results || []).map(r => ({
-      title: r.title,
-      url: r.url,
-      description: r.description,
-      age: r.age || null,
-    }));
-
-    return { data: { available: true, query, count: results.length, results } };
-  } catch (err: unknown) {
-    const msg = err instanceof Error ? err.message : String(err);
-    return { data: { available: false, error: msg } };
   }
+
+  return { data: { available: false, error: attempts.at(-1)!.error, attempts } };
 };
@@ -24,6 +24,7 @@ import { join, relative } from 'node:path';
 
 import { toPosixPath, stateExtractField } from './helpers.js';
 import { GSDError, ErrorClassification } from '../errors.js';
+import { withLock } from './locks.js';
 import type { QueryHandler } from './utils.js';
 
 // ─── Internal helpers ─────────────────────────────────────────────────────
@@ -89,6 +90,15 @@ function setActiveWorkstream(projectDir: string, name: string | null): void {
   writeFileSync(filePath, name + '\n', 'utf-8');
 }
 
+/**
+ * Hold `workstreams.lock` for a whole handler so create / switch / complete
+ * runs cannot interleave on the workstream tree or the active pointer.
+ */
+function withWorkstreamsLock(handler: QueryHandler): QueryHandler {
+  return (args, projectDir, workstream) =>
+    withLock(workstreamsDir(projectDir), () => handler(args, projectDir, workstream));
+}
+
 // ─── Handlers ─────────────────────────────────────────────────────────────
 
 /**
@@ -119,7 +129,7 @@ export const workstreamList: QueryHandler = async (_args, projectDir) => {
   }
 };
 
-export const workstreamCreate: QueryHandler = async (args, projectDir) => {
+export const workstreamCreate: QueryHandler = withWorkstreamsLock(async (args, projectDir) => {
   const rawName = args[0];
   if (!rawName) return { data: { created: false, reason: 'name required' } };
   if (rawName.includes('/') || rawName.includes('\\') || rawName.includes('..')) {
@@ -187,7 +197,7 @@ export const workstreamCreate: QueryHandler = async (args, projectDir) => {
       active: true,
     },
   };
-};
+});
 
 /**
  * Rewrite the root `.planning/STATE.md` to mirror the active workstream's STATE.md.
@@ -208,7 +218,7 @@ function syncRootStateMirror(projectDir: string, name: string): void {
   } catch { /* best-effort mirror; do not fail the switch */ }
 }
 
-export const workstreamSet: QueryHandler = async (args, projectDir) => {
+export const workstreamSet: QueryHandler = withWorkstreamsLock(async (args, projectDir) => {
   const name = args[0];
 
   if (!name || name === '--clear') {
@@ -230,9 +240,9 @@ export const workstreamSet: QueryHandler = async (args, projectDir) => {
   }
 
   setActiveWorkstream(projectDir, name);
-  syncRootStateMirror(projectDir, name);
+  await withLock(join(planningRoot(projectDir), 'STATE.md'), async () => syncRootStateMirror(projectDir, name));
   return { data: { active: name, set: true, mirror_synced: existsSync(join(wsDir, 'STATE.md')) } };
-};
+});
 
 export const workstreamStatus: QueryHandler = async (args, projectDir) => {
   const name = args[0];
@@ -301,7 +311,7 @@ export const workstreamStatus: QueryHandler = async (args, projectDir) => {
   };
 };
 
-export const workstreamComplete: QueryHandler = async (args, projectDir) => {
+export const workstreamComplete: QueryHandler = withWorkstreamsLock(async (args, projectDir) => {
   const name = args[0];
   if (!name) return { data: { completed: false, reason: 'workstream name required' } };
   if (/[/\\]/.test(name) || name === '.' || name === '..') {
@@ -363,7 +373,7 @@ export const workstreamComplete: QueryHandler = async (args, projectDir) => {
       reverted_to_flat: remainingWs === 0,
     },
   };
-};
+});
 
 /**
  * Port of `cmdWorkstreamProgress` from `workstream.cjs` — aggregate status for each workstream.
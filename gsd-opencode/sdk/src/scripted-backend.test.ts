@@ -0,0 +1,234 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import type { SDKMessage } from '@anthropic-ai/claude-agent-sdk';
+import { ScriptedBackend, scriptedResultMessage } from './scripted-backend.js';
+import type { SessionRequest } from './session-backend.js';
+import { AgentSdkBackend } from './session-backend.js';
+import { runPhaseStepSession } from './session-runner.js';
+import { PhaseRunner } from './phase-runner.js';
+import type { PhaseRunnerDeps } from './phase-runner.js';
+import { GSDEventStream } from './event-stream.js';
+import { CONFIG_DEFAULTS } from './config.js';
+import type { GSDConfig } from './config.js';
+import { GSDEventType, PhaseStepType } from './types.js';
+import type { GSDEvent, PhaseOpInfo } from './types.js';
+
+function makeConfig(overrides: Partial<GSDConfig> = {}): GSDConfig {
+  return { ...structuredClone(CONFIG_DEFAULTS), ...overrides } as GSDConfig;
+}
+
+function makeRequest(overrides: Partial<SessionRequest> = {}): SessionRequest {
+  return {
+    kind: PhaseStepType.Plan,
+    prompt: 'Execute this phase step: plan',
+    systemPrompt: 'You are a planner.',
+    allowedTools: ['Read'],
+    maxTurns: 10,
+    maxBudgetUsd: 1,
+    cwd: '/tmp',
+    ...overrides,
+  };
+}
+
+async function collect(stream: AsyncIterable<SDKMessage>): Promise<SDKMessage[]> {
+  const messages: SDKMessage[] = [];
+  for await (const message of stream) messages.push(message);
+  return messages;
+}
+
+// ─── ScriptedBackend ─────────────────────────────────────────────────────────
+
+describe('ScriptedBackend', () => {
+  it('streams assistant text followed by a success result', async () => {
+    const backend = new ScriptedBackend([{ text: 'planned', costUsd: 0.5 }]);
+
+    const messages = await collect(backend.run(makeRequest()));
+
+    expect(messages.map(m => m.type)).toEqual(['assistant', 'result']);
+    expect(messages[1]).toMatchObject({ subtype: 'success', total_cost_usd: 0.5, session_id: 'scripted-1' });
+  });
+
+  it('ends in an error result when errors are scripted', async () => {
+    const backend = new ScriptedBackend([{ errors: ['boom'], errorSubtype: 'error_max_turns' }]);
+
+    const [result] = await collect(backend.run(makeRequest()));
+
+    expect(result).toMatchObject({ type: 'result', subtype: 'error_max_turns', errors: ['boom'] });
+  });
+
+  it('replays raw message lists verbatim', async () => {
+    const recorded = [scriptedResultMessage({ costUsd: 1.25 }, 'recorded-session')];
+    const backend = new ScriptedBackend([recorded]);
+
+    expect(await collect(backend.run(makeRequest()))).toEqual(recorded);
+  });
+
+  it('records requests and answers past the end of the script with an empty success', async () => {
+    const backend = new ScriptedBackend([{ text: 'first' }]);
+
+    await collect(backend.run(makeRequest()));
+    const messages = await collect(backend.run(makeRequest({ kind: PhaseStepType.Verify })));
+
+    expect(backend.requests.map(r => r.kind)).toEqual([PhaseStepType.Plan, PhaseStepType.Verify]);
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ subtype: 'success', session_id: 'scripted-2' });
+  });
+
+  it('runs side effects from a responder before the result', async () => {
+    const effect = vi.fn();
+    const backend = new ScriptedBackend((request, index) => ({ text: `${request.kind}#${index}`, effect }));
+
+    const messages = await collect(backend.run(makeRequest()));
+
+    expect(effect).toHaveBeenCalledOnce();
+    expect(messages[0]).toMatchObject({ type: 'assistant' });
+  });
+
+  it('stops without a result once the request signal aborts', async () => {
+    const controller = new AbortController();
+    const backend = new ScriptedBackend([{ text: 'late', effect: () => controller.abort() }]);
+
+    expect(await collect(backend.run(makeRequest({ signal: controller.signal })))).toEqual([]);
+  });
+});
+
+// ─── Session runner integration ──────────────────────────────────────────────
+
+describe('runPhaseStepSession with a backend', () => {
+  it('runs the session on SessionOptions.backend', async () => {
+    const backend = new ScriptedBackend([{ text: 'ok', costUsd: 0.2 }]);
+
+    const result = await runPhaseStepSession('Plan the phase.', PhaseStepType.Plan, makeConfig(), { backend, cwd: '/work' });
+
+    expect(result).toMatchObject({ success: true, sessionId: 'scripted-1', totalCostUsd: 0.2 });
+    expect(backend.requests[0]).toMatchObject({
+      kind: PhaseStepType.Plan,
+      systemPrompt: 'Plan the phase.',
+      cwd: '/work',
+      maxTurns: 50,
+    });
+  });
+
+  it('lets the backend map model profiles and passes unknown profiles through', async () => {
+    const backend = new ScriptedBackend();
+
+    await runPhaseStepSession('p', PhaseStepType.Plan, makeConfig({ model_profile: 'balanced' }), { backend });
+
+    expect(backend.requests[0]!.model).toBe('balanced');
+    expect(new AgentSdkBackend().resolveModelProfile('quality')).toBe('claude-opus-4-6');
+  });
+
+  it('reports a failing backend as an execution error', async () => {
+    const backend = new ScriptedBackend(() => {
+      throw new Error('provider unavailable');
+    });
+
+    const result = await runPhaseStepSession('p', PhaseStepType.Plan, makeConfig(), { backend });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toEqual({ subtype: 'error_during_execution', messages: ['provider unavailable'] });
+  });
+});
+
+// ─── Offline phase lifecycle ─────────────────────────────────────────────────
+
+const PLAN_MD = `---
+phase: 01-auth
+plan: 01
+type: execute
+wave: 1
+depends_on: []
+files_modified: []
+autonomous: true
+---
+
+<objective>
+Add login.
+</objective>
+`;
+
+describe('PhaseRunner on a scripted backend', () => {
+  let projectDir: string;
+
+  beforeEach(async () => {
+    projectDir = await mkdtemp(join(tmpdir(), 'gsd-scripted-'));
+  });
+
+  afterEach(async () => {
+    await rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('runs discuss through verify without the Agent SDK', async () => {
+    const phaseDir = join(projectDir, '.planning', 'phases', '01-auth');
+    await mkdir(phaseDir, { recursive: true });
+
+    const phaseOp: PhaseOpInfo = {
+      phase_found: true,
+      phase_dir: '.planning/phases/01-auth',
+      phase_number: '1',
+      phase_name: 'Authentication',
+      phase_slug: 'auth',
+      padded_phase: '01',
+      has_research: false,
+      has_context: false,
+      has_plans: true,
+      has_verification: false,
+      plan_count: 1,
+      roadmap_exists: true,
+      planning_exists: true,
+      commit_docs: false,
+      context_path: join(phaseDir, 'CONTEXT.md'),
+      research_path: join(phaseDir, 'RESEARCH.md'),
+    };
+
+    // Stand in for the agents: the planner writes the plan, the executor its summary
+    const effects: Partial<Record<SessionRequest['kind'], () => Promise<void>>> = {
+      [PhaseStepType.Plan]: () => writeFile(join(phaseDir, '01-01-PLAN.md'), PLAN_MD),
+      [PhaseStepType.Execute]: () => writeFile(join(phaseDir, '01-01-SUMMARY.md'), '# Summary\n'),
+    };
+    const backend = new ScriptedBackend(request => ({
+      text: `${request.kind} complete`,
+      effect: effects[request.kind],
+    }));
+
+    const eventStream = new GSDEventStream();
+    const events: GSDEvent[] = [];
+    eventStream.on('event', (event: GSDEvent) => events.push(event));
+
+    const deps: PhaseRunnerDeps = {
+      projectDir,
+      tools: {
+        initPhaseOp: vi.fn().mockResolvedValue(phaseOp),
+        phasePlanIndex: vi.fn().mockResolvedValue({
+          phase: '1',
+          plans: [{ id: '01-01', wave: 1, autonomous: true, objective: 'Login', files_modified: [], task_count: 1, has_summary: false }],
+          waves: { '1': ['01-01'] },
+          incomplete: ['01-01'],
+          has_checkpoints: false,
+        }),
+        phaseComplete: vi.fn().mockResolvedValue(undefined),
+        exec: vi.fn().mockResolvedValue({ status: 'pass' }),
+      } as unknown as PhaseRunnerDeps['tools'],
+      promptFactory: {
+        buildPrompt: vi.fn().mockResolvedValue('step prompt'),
+        loadAgentDef: vi.fn().mockResolvedValue(undefined),
+      } as unknown as PhaseRunnerDeps['promptFactory'],
+      contextEngine: {
+        resolveContextFiles: vi.fn().mockResolvedValue({}),
+      } as unknown as PhaseRunnerDeps['contextEngine'],
+      eventStream,
+      config: makeConfig(),
+      backend,
+    };
+
+    const result = await new PhaseRunner(deps).run('1');
+
+    expect(result.success).toBe(true);
+    expect(backend.requests.map(r => r.kind)).toEqual(expect.arrayContaining([PhaseStepType.Plan, PhaseStepType.Execute, PhaseStepType.Verify]));
+    expect(await readFile(join(phaseDir, '01-01-SUMMARY.md'), 'utf-8')).toContain('Summary');
+    expect(events.filter(e => e.type === GSDEventType.SessionComplete).length).toBe(backend.requests.length);
+    expect(events.at(-1)?.type).toBe(GSDEventType.PhaseComplete);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Scripted session backend — deterministic, offline sessions for tests.
+ *
+ * Each session consumes the next entry of a script (or the return value of a
+ * responder function). An entry is either a compact {@link ScriptedTurn} —
+ * optional assistant text, an optional side effect such as writing the
+ * PLAN.md a real agent would produce, then a success or error result — or a
+ * raw list of messages replayed verbatim. Session ids, costs and durations
+ * are fixed, so a full phase lifecycle produces the same events every run.
+ *
+ * @example
+ * ```typescript
+ * const backend = new ScriptedBackend(async request => {
+ *   if (request.kind === PhaseStepType.Plan) await writeFile(planPath, PLAN_MD);
+ *   return { text: `${request.kind} done` };
+ * });
+ * const result = await new GSD({ projectDir, backend }).runPhase('01');
+ * ```
+ */
+
+import type { SDKMessage } from '@anthropic-ai/claude-agent-sdk';
+import type { SessionBackend, SessionRequest } from './session-backend.js';
+
+// ─── Types ───────────────────────────────────────────────────────────────────
+
+export interface ScriptedTurn {
+  /** Assistant text streamed before the result. */
+  text?: string;
+  /** When set, the session ends in an error result carrying these messages. */
+  errors?: string[];
+  /** Result subtype of an error session. Default: `error_during_execution`. */
+  errorSubtype?: 'error_during_execution' | 'error_max_turns' | 'error_max_budget_usd';
+  /** Reported session cost. Default: 0. */
+  costUsd?: number;
+  /** Reported turn count. Default: 1. */
+  numTurns?: number;
+  /** Side effect performed before the result, e.g. writing files the agent would create. */
+  effect?: (request: SessionRequest) => void | Promise<void>;
+}
+
+/** One scripted session: a compact turn, or messages replayed as-is. */
+export type ScriptedSession = ScriptedTurn | SDKMessage[];
+
+/** Computes the session for the `index`-th request (0-based). */
+export type ScriptedResponder = (request: SessionRequest, index: number) => ScriptedSession | Promise<ScriptedSession>;
+
+// ─── Message builders ────────────────────────────────────────────────────────
+
+/** Assistant message carrying a single text block. */
+export function scriptedAssistantMessage(text: string, sessionId: string): SDKMessage {
+  return {
+    type: 'assistant',
+    message: { content: [{ type: 'text', text }] },
+    parent_tool_use_id: null,
+    uuid: `${sessionId}-assistant`,
+    session_id: sessionId,
+  } as unknown as SDKMessage;
+}
+
+/** Result message closing a scripted session. */
+export function scriptedResultMessage(turn: ScriptedTurn, sessionId: string): SDKMessage {
+  const failed = turn.errors !== undefined;
+  return {
+    type: 'result',
+    subtype: failed ? (turn.errorSubtype ?? 'error_during_execution') : 'success',
+    duration_ms: 0,
+    duration_api_ms: 0,
+    is_error: failed,
+    num_turns: turn.numTurns ?? 1,
+    ...(failed ? { errors: turn.errors } : { result: turn.text ?? '' }),
+    stop_reason: null,
+    total_cost_usd: turn.costUsd ?? 0,
+    usage: {
+      input_tokens: 0,
+      output_tokens: 0,
+      cache_read_input_tokens: 0,
+      cache_creation_input_tokens: 0,
+    },
+    modelUsage: {},
+    permission_denials: [],
+    uuid: `${sessionId}-result`,
+    session_id: sessionId,
+  } as unknown as SDKMessage;
+}
+
+// ─── ScriptedBackend ─────────────────────────────────────────────────────────
+
+export class ScriptedBackend implements SessionBackend {
+  readonly name = 'scripted';
+  /** Every request received, in order. */
+  readonly requests: SessionRequest[] = [];
+  private readonly responder: ScriptedResponder;
+
+  /**
+   * @param script - Sessions in request order, or a responder. Requests past
+   *   the end of a list get an empty successful turn.
+   */
+  constructor(script: ScriptedSession[] | ScriptedResponder = []) {
+    this.responder = typeof script === 'function' ? script : (_request, index) => script[index] ?? {};
+  }
+
+  async *run(request: SessionRequest): AsyncIterable<SDKMessage> {
+    const index = this.requests.length;
+    this.requests.push(request);
+    const session = await this.responder(request, index);
+
+    if (Array.isArray(session)) {
+      for (const message of session) {
+        if (request.signal?.aborted) return;
+        yield message;
+      }
+      return;
+    }
+
+    const sessionId = `scripted-${index + 1}`;
+    await session.effect?.(request);
+    if (request.signal?.aborted) return;
+    if (session.text) yield scriptedAssistantMessage(session.text, sessionId);
+    yield scriptedResultMessage(session, sessionId);
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Session backends — the LLM provider behind every GSD session.
+ *
+ * `runPhaseStepSession()`, `runPlanSession()` and `InitRunner` describe each
+ * session as a provider-neutral {@link SessionRequest}. A {@link SessionBackend}
+ * runs it and streams back messages in the Agent SDK message shape, which the
+ * event stream and result extraction already understand. {@link AgentSdkBackend}
+ * is the default; other providers implement the same interface and are passed
+ * through `GSDOptions.backend` (or `SessionOptions.backend` per session).
+ *
+ * @example
+ * ```typescript
+ * const gsd = new GSD({ projectDir: '.', backend: new ScriptedBackend([{ text: 'done' }]) });
+ * ```
+ */
+
+import type { SDKMessage } from '@anthropic-ai/claude-agent-sdk';
+import type { PhaseStepType } from './types.js';
+
+// ─── Types ───────────────────────────────────────────────────────────────────
+
+/**
+ * One agent session, independent of the provider that runs it.
+ */
+export interface SessionRequest {
+  /** What the session is for — a phase step, or `'plan'` for plan execution. */
+  kind: PhaseStepType | 'plan';
+  /** Short user-turn directive. */
+  prompt: string;
+  /** Role and instructions, appended to the backend's base system prompt. */
+  systemPrompt: string;
+  /** Tools the agent may call. */
+  allowedTools: string[];
+  maxTurns: number;
+  maxBudgetUsd: number;
+  /** Working directory for file and shell tools. */
+  cwd: string;
+  /** Resolved model id; undefined lets the backend choose its default. */
+  model?: string;
+  /** Aborts the session; the backend should stop streaming promptly. */
+  signal?: AbortSignal;
+}
+
+export interface SessionBackend {
+  /** Short identifier used in logs (e.g. `agent-sdk`, `scripted`). */
+  readonly name: string;
+  /**
+   * Map a config `model_profile` (`balanced`, `quality`, `speed`) to a model
+   * id. Returning undefined — or omitting the method — passes the profile
+   * through unchanged as the model id.
+   */
+  resolveModelProfile?(profile: string): string | undefined;
+  /** Run one session, yielding messages until (and including) its result message. */
+  run(request: SessionRequest): AsyncIterable<SDKMessage>;
+}
+
+// ─── Agent SDK backend ───────────────────────────────────────────────────────
+
+const AGENT_SDK_MODEL_PROFILES: Record<string, string> = {
+  balanced: 'claude-sonnet-4-6',
+  quality: 'claude-opus-4-6',
+  speed: 'claude-haiku-4-5',
+};
+
+/**
+ * query() takes an AbortController rather than a signal; forward the caller's
+ * signal into a controller owned by this session.
+ */
+function linkAbortController(signal?: AbortSignal): { abortController?: AbortController; dispose: () => void } {
+  if (!signal) return { dispose: () => {} };
+  const abortController = new AbortController();
+  const forward = () => abortController.abort(signal.reason);
+  signal.addEventListener('abort', forward, { once: true });
+  return { abortController, dispose: () => signal.removeEventListener('abort', forward) };
+}
+
+/**
+ * Runs sessions through `query()` from `@anthropic-ai/claude-agent-sdk`.
+ * The SDK is loaded on first use, so other backends do not require it.
+ */
+export class AgentSdkBackend implements SessionBackend {
+  readonly name = 'agent-sdk';
+
+  resolveModelProfile(profile: string): string | undefined {
+    return AGENT_SDK_MODEL_PROFILES[profile];
+  }
+
+  async *run(request: SessionRequest): AsyncIterable<SDKMessage> {
+    const { query } = await import('@anthropic-ai/claude-agent-sdk');
+    const { abortController, dispose } = linkAbortController(request.signal);
+
+    try {
+      yield* query({
+        prompt: request.prompt,
+        options: {
+          systemPrompt: {
+            type: 'preset',
+            preset: 'claude_code',
+            append: request.systemPrompt,
+          },
+          settingSources: ['project'],
+          allowedTools: request.allowedTools,
+          permissionMode: 'bypassPermissions',
+          allowDangerouslySkipPermissions: true,
+          maxTurns: request.maxTurns,
+          maxBudgetUsd: request.maxBudgetUsd,
+          cwd: request.cwd,
+          ...(request.model ? { model: request.model } : {}),
+          ...(abortController ? { abortController } : {}),
+        },
+      });
+    } finally {
+      dispose();
+    }
+  }
+}
+
+let defaultBackend: SessionBackend | undefined;
+
+/** Backend used when neither `GSDOptions.backend` nor `SessionOptions.backend` is set. */
+export function defaultSessionBackend(): SessionBackend {
+  defaultBackend ??= new AgentSdkBackend();
+  return defaultBackend;
+}
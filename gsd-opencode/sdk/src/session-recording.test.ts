@@ -0,0 +1,275 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import type { SDKMessage } from '@anthropic-ai/claude-agent-sdk';
+import { RecordingBackend, ReplayBackend, loadSessionFixture, SESSION_FIXTURE_VERSION } from './session-recording.js';
+import type { SessionFixture } from './session-recording.js';
+import { ScriptedBackend } from './scripted-backend.js';
+import type { SessionRequest } from './session-backend.js';
+import { GSDError } from './errors.js';
+import { PhaseRunner } from './phase-runner.js';
+import type { PhaseRunnerDeps } from './phase-runner.js';
+import { GSDEventStream } from './event-stream.js';
+import { CONFIG_DEFAULTS } from './config.js';
+import type { GSDConfig } from './config.js';
+import { PhaseStepType } from './types.js';
+import type { GSDEvent, PhaseOpInfo } from './types.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = resolve(__dirname, 'golden', 'fixtures', 'sessions');
+
+function makeRequest(overrides: Partial<SessionRequest> = {}): SessionRequest {
+  return {
+    kind: PhaseStepType.Plan,
+    prompt: 'Execute this phase step: plan',
+    systemPrompt: 'You are a planner.',
+    allowedTools: ['read'],
+    maxTurns: 10,
+    maxBudgetUsd: 1,
+    cwd: '/tmp',
+    ...overrides,
+  };
+}
+
+async function collect(stream: AsyncIterable<SDKMessage>): Promise<SDKMessage[]> {
+  const messages: SDKMessage[] = [];
+  for await (const message of stream) messages.push(message);
+  return messages;
+}
+
+// ─── RecordingBackend ────────────────────────────────────────────────────────
+
+describe('RecordingBackend', () => {
+  let tmpDir: string;
+
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), 'gsd-recording-'));
+  });
+
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('passes messages through and captures them with the request', async () => {
+    const inner = new ScriptedBackend([{ text: 'hello', costUsd: 0.1 }]);
+    const recorder = new RecordingBackend(inner);
+    const controller = new AbortController();
+
+    const messages = await collect(recorder.run(makeRequest({ signal: controller.signal })));
+
+    expect(recorder.sessions).toHaveLength(1);
+    expect(recorder.sessions[0]!.messages).toEqual(messages);
+    expect(recorder.sessions[0]!.request).not.toHaveProperty('signal');
+    expect(recorder.sessions[0]!.request.kind).toBe(PhaseStepType.Plan);
+  });
+
+  it('rewrites the fixture file after every session', async () => {
+    const path = join(tmpDir, 'nested', 'run.sessions.json');
+    const recorder = new RecordingBackend(new ScriptedBackend(), path);
+
+    await collect(recorder.run(makeRequest()));
+    await collect(recorder.run(makeRequest({ kind: PhaseStepType.Verify })));
+
+    const fixture = await loadSessionFixture(path);
+    expect(fixture.version).toBe(SESSION_FIXTURE_VERSION);
+    expect(fixture.backend).toBe('scripted');
+    expect(fixture.sessions.map(s => s.request.kind)).toEqual([PhaseStepType.Plan, PhaseStepType.Verify]);
+  });
+
+  it('keeps sessions in request order when they finish out of order', async () => {
+    let releaseFirst!: () => void;
+    const firstGate = new Promise<void>(r => { releaseFirst = r; });
+    const recorder = new RecordingBackend(new ScriptedBackend([
+      { text: 'slow', effect: () => firstGate },
+      { text: 'fast' },
+    ]));
+
+    const first = collect(recorder.run(makeRequest({ prompt: 'first' })));
+    await collect(recorder.run(makeRequest({ prompt: 'second' })));
+    releaseFirst();
+    await first;
+
+    expect(recorder.sessions.map(s => s.request.prompt)).toEqual(['first', 'second']);
+  });
+
+  it('records a session that fails partway', async () => {
+    const recorder = new RecordingBackend(new ScriptedBackend(() => {
+      throw new Error('provider down');
+    }));
+
+    await expect(collect(recorder.run(makeRequest()))).rejects.toThrow('provider down');
+    expect(recorder.sessions).toHaveLength(1);
+    expect(recorder.sessions[0]!.messages).toEqual([]);
+  });
+});
+
+// ─── ReplayBackend ───────────────────────────────────────────────────────────
+
+describe('ReplayBackend', () => {
+  const fixture = (): SessionFixture => ({
+    version: SESSION_FIXTURE_VERSION,
+    backend: 'scripted',
+    sessions: [
+      { request: makeRequest(), messages: [{ type: 'result', subtype: 'success', session_id: 's1' } as unknown as SDKMessage] },
+    ],
+  });
+
+  it('replays recorded messages in request order', async () => {
+    const backend = new ReplayBackend(fixture());
+
+    const messages = await collect(backend.run(makeRequest()));
+
+    expect(messages).toEqual(fixture().sessions[0]!.messages);
+    expect(backend.remaining).toBe(0);
+  });
+
+  it('fails when the request diverges from the recording', async () => {
+    const backend = new ReplayBackend(fixture());
+
+    await expect(collect(backend.run(makeRequest({ kind: PhaseStepType.Verify })))).rejects.toThrow(/diverged at session 1: kind/);
+  });
+
+  it('ignores divergence when not strict', async () => {
+    const backend = new ReplayBackend(fixture(), { strict: false });
+
+    expect(await collect(backend.run(makeRequest({ prompt: 'other' })))).toHaveLength(1);
+  });
+
+  it('fails once the fixture is exhausted', async () => {
+    const backend = new ReplayBackend(fixture());
+    await collect(backend.run(makeRequest()));
+
+    await expect(collect(backend.run(makeRequest()))).rejects.toThrow(GSDError);
+  });
+
+  it('rejects files that are not session fixtures', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'gsd-replay-'));
+    try {
+      await writeFile(join(dir, 'bad.json'), JSON.stringify({ version: 99, sessions: [] }));
+      await expect(ReplayBackend.fromFile(join(dir, 'bad.json'))).rejects.toThrow(/not a version 1 fixture/);
+      await expect(ReplayBackend.fromFile(join(dir, 'missing.json'))).rejects.toThrow(/Cannot read session fixture/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ─── Golden replay: phase lifecycle ──────────────────────────────────────────
+
+/** Drop wall-clock fields; everything else must match the golden file exactly. */
+function normalizeEvent(event: GSDEvent): Record<string, unknown> {
+  const { timestamp: _timestamp, ...rest } = event as unknown as Record<string, unknown>;
+  if (String(rest.type).startsWith('phase_')) {
+    delete rest.durationMs;
+    delete rest.totalDurationMs;
+  }
+  return rest;
+}
+
+describe('phase lifecycle replay (golden)', () => {
+  let projectDir: string;
+
+  beforeEach(async () => {
+    projectDir = await mkdtemp(join(tmpdir(), 'gsd-replay-phase-'));
+  });
+
+  afterEach(async () => {
+    await rm(projectDir, { recursive: true, force: true });
+  });
+
+  async function replayPhase(): Promise<{ events: GSDEvent[]; backend: ReplayBackend; success: boolean; totalCostUsd: number }> {
+    const phaseDir = join(projectDir, '.planning', 'phases', '01-auth');
+    await mkdir(phaseDir, { recursive: true });
+    await writeFile(join(phaseDir, '01-01-PLAN.md'), await readFile(resolve(__dirname, '..', 'test-fixtures', 'sample-plan.md'), 'utf-8'));
+
+    const phaseOp: PhaseOpInfo = {
+      phase_found: true,
+      phase_dir: '.planning/phases/01-auth',
+      phase_number: '1',
+      phase_name: 'Authentication',
+      phase_slug: 'auth',
+      padded_phase: '01',
+      has_research: false,
+      has_context: false,
+      has_plans: true,
+      has_verification: false,
+      plan_count: 1,
+      roadmap_exists: true,
+      planning_exists: true,
+      commit_docs: false,
+      context_path: '.planning/phases/01-auth/01-CONTEXT.md',
+      research_path: '.planning/phases/01-auth/01-RESEARCH.md',
+    };
+
+    const backend = await ReplayBackend.fromFile(join(FIXTURE_DIR, 'phase-lifecycle.sessions.json'));
+    const eventStream = new GSDEventStream();
+    const events: GSDEvent[] = [];
+    eventStream.on('event', (event: GSDEvent) => events.push(event));
+
+    const deps: PhaseRunnerDeps = {
+      projectDir,
+      tools: {
+        initPhaseOp: vi.fn().mockResolvedValue(phaseOp),
+        phasePlanIndex: vi.fn().mockResolvedValue({
+          phase: '1',
+          plans: [{ id: '01-01', wave: 1, autonomous: true, objective: 'Login', files_modified: [], task_count: 1, has_summary: false }],
+          waves: { '1': ['01-01'] },
+          incomplete: ['01-01'],
+          has_checkpoints: false,
+        }),
+        phaseComplete: vi.fn().mockResolvedValue(undefined),
+        exec: vi.fn().mockResolvedValue({ status: 'pass' }),
+      } as unknown as PhaseRunnerDeps['tools'],
+      promptFactory: {
+        buildPrompt: vi.fn().mockResolvedValue('step prompt'),
+        loadAgentDef: vi.fn().mockResolvedValue(undefined),
+      } as unknown as PhaseRunnerDeps['promptFactory'],
+      contextEngine: {
+        resolveContextFiles: vi.fn().mockResolvedValue({}),
+      } as unknown as PhaseRunnerDeps['contextEngine'],
+      eventStream,
+      config: structuredClone(CONFIG_DEFAULTS) as GSDConfig,
+      backend,
+    };
+
+    const result = await new PhaseRunner(deps).run('1');
+    return { events, backend, success: result.success, totalCostUsd: result.totalCostUsd };
+  }
+
+  it('consumes every recorded session, retrying the failed research step', async () => {
+    const { backend, success } = await replayPhase();
+
+    expect(success).toBe(true);
+    expect(backend.remaining).toBe(0);
+    expect(backend.requests.map(r => r.kind)).toEqual([
+      PhaseStepType.Discuss,
+      PhaseStepType.Research,
+      PhaseStepType.Research,
+      PhaseStepType.Plan,
+      PhaseStepType.PlanCheck,
+      PhaseStepType.Execute,
+      PhaseStepType.Verify,
+    ]);
+  });
+
+  it('tracks the recorded session costs', async () => {
+    const fixture = await loadSessionFixture(join(FIXTURE_DIR, 'phase-lifecycle.sessions.json'));
+    const recordedCost = fixture.sessions
+      .map(s => s.messages.at(-1) as unknown as { total_cost_usd: number })
+      .reduce((sum, m) => sum + m.total_cost_usd, 0);
+
+    const { events } = await replayPhase();
+
+    const costUpdates = events.filter(e => e.type === 'cost_update') as Array<GSDEvent & { cumulativeCostUsd: number }>;
+    expect(costUpdates.at(-1)!.cumulativeCostUsd).toBeCloseTo(recordedCost, 10);
+  });
+
+  it('emits exactly the golden event stream', async () => {
+    const { events } = await replayPhase();
+
+    const golden = JSON.parse(await readFile(join(FIXTURE_DIR, 'phase-lifecycle.events.golden.json'), 'utf-8'));
+    expect(events.map(normalizeEvent)).toEqual(golden);
+  });
+});
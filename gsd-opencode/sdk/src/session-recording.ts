@@ -0,0 +1,181 @@
+/**
+ * Session recording and replay — deterministic fixtures of live agent sessions.
+ *
+ * {@link RecordingBackend} wraps a real backend and captures every message it
+ * streams into `processQueryStream()`, together with the request that produced
+ * it, into a JSON fixture. {@link ReplayBackend} feeds a fixture back in request
+ * order, so event mapping, cost tracking and step routing can be regression
+ * tested offline against exactly what a live run saw.
+ *
+ * @example
+ * ```typescript
+ * // Record once against the real provider
+ * const recorder = new RecordingBackend(new AgentSdkBackend(), 'fixtures/phase-01.sessions.json');
+ * await new GSD({ projectDir, backend: recorder }).runPhase('01');
+ *
+ * // Replay in tests
+ * const backend = await ReplayBackend.fromFile('fixtures/phase-01.sessions.json');
+ * await new GSD({ projectDir, backend }).runPhase('01');
+ * ```
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import type { SDKMessage } from '@anthropic-ai/claude-agent-sdk';
+import type { SessionBackend, SessionRequest } from './session-backend.js';
+import { GSDError, ErrorClassification } from './errors.js';
+
+// ─── Fixture format ──────────────────────────────────────────────────────────
+
+export const SESSION_FIXTURE_VERSION = 1;
+
+/** A session request as stored in a fixture — everything but the live signal. */
+export type RecordedRequest = Omit<SessionRequest, 'signal'>;
+
+export interface RecordedSession {
+  request: RecordedRequest;
+  /** Messages in the order the backend streamed them. */
+  messages: SDKMessage[];
+}
+
+export interface SessionFixture {
+  version: number;
+  /** Name of the backend that produced the recording. */
+  backend: string;
+  sessions: RecordedSession[];
+}
+
+/** Read and validate a session fixture file. */
+export async function loadSessionFixture(path: string): Promise<SessionFixture> {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(await readFile(path, 'utf-8'));
+  } catch (err) {
+    throw new GSDError(
+      `Cannot read session fixture ${path}: ${err instanceof Error ? err.message : String(err)}`,
+      ErrorClassification.Validation,
+    );
+  }
+
+  const fixture = parsed as Partial<SessionFixture> | null;
+  if (!fixture || fixture.version !== SESSION_FIXTURE_VERSION || !Array.isArray(fixture.sessions)) {
+    throw new GSDError(
+      `Session fixture ${path} is not a version ${SESSION_FIXTURE_VERSION} fixture`,
+      ErrorClassification.Validation,
+    );
+  }
+  return fixture as SessionFixture;
+}
+
+// ─── RecordingBackend ────────────────────────────────────────────────────────
+
+export class RecordingBackend implements SessionBackend {
+  readonly name: string;
+  /** Sessions captured so far, in request order (concurrent plans stay replayable). */
+  readonly sessions: RecordedSession[] = [];
+  private writeQueue: Promise<void> = Promise.resolve();
+
+  /**
+   * @param inner - Backend that runs the sessions
+   * @param fixturePath - When set, the fixture is rewritten here after every session
+   */
+  constructor(private readonly inner: SessionBackend, private readonly fixturePath?: string) {
+    this.name = `recording(${inner.name})`;
+  }
+
+  resolveModelProfile(profile: string): string | undefined {
+    return this.inner.resolveModelProfile?.(profile);
+  }
+
+  async *run(request: SessionRequest): AsyncIterable<SDKMessage> {
+    const { signal: _signal, ...recorded } = request;
+    const session: RecordedSession = { request: recorded, messages: [] };
+    this.sessions.push(session);
+
+    try {
+      for await (const message of this.inner.run(request)) {
+        session.messages.push(message);
+        yield message;
+      }
+    } finally {
+      // A session cut short (error, cancellation) is still recorded as far as it got
+      if (this.fixturePath) await this.save(this.fixturePath);
+    }
+  }
+
+  /** The recording as a fixture. */
+  toFixture(): SessionFixture {
+    return { version: SESSION_FIXTURE_VERSION, backend: this.inner.name, sessions: this.sessions };
+  }
+
+  /** Write the fixture as stable, pretty-printed JSON. */
+  async save(path: string): Promise<void> {
+    const json = JSON.stringify(this.toFixture(), null, 2) + '\n';
+    const write = this.writeQueue.then(async () => {
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, json, 'utf-8');
+    });
+    this.writeQueue = write.catch(() => undefined);
+    await write;
+  }
+}
+
+// ─── ReplayBackend ───────────────────────────────────────────────────────────
+
+export interface ReplayOptions {
+  /**
+   * Fail when a request's `kind` or `prompt` differs from the recording.
+   * Default: true. System prompts are never compared — they embed absolute
+   * paths that differ between machines.
+   */
+  strict?: boolean;
+}
+
+export class ReplayBackend implements SessionBackend {
+  readonly name = 'replay';
+  /** Requests received so far, in order. */
+  readonly requests: SessionRequest[] = [];
+  private readonly strict: boolean;
+
+  constructor(private readonly fixture: SessionFixture, options: ReplayOptions = {}) {
+    this.strict = options.strict ?? true;
+  }
+
+  static async fromFile(path: string, options?: ReplayOptions): Promise<ReplayBackend> {
+    return new ReplayBackend(await loadSessionFixture(path), options);
+  }
+
+  /** Recorded sessions not yet replayed. */
+  get remaining(): number {
+    return this.fixture.sessions.length - this.requests.length;
+  }
+
+  async *run(request: SessionRequest): AsyncIterable<SDKMessage> {
+    const index = this.requests.length;
+    this.requests.push(request);
+    const recorded = this.fixture.sessions[index];
+
+    if (!recorded) {
+      throw new GSDError(
+        `Replay fixture exhausted: request ${index + 1} (${request.kind}) has no recorded session`,
+        ErrorClassification.Validation,
+      );
+    }
+    if (this.strict) {
+      for (const field of ['kind', 'prompt'] as const) {
+        if (recorded.request[field] !== request[field]) {
+          throw new GSDError(
+            `Replay diverged at session ${index + 1}: ${field} ${JSON.stringify(request[field])} ` +
+              `does not match recorded ${JSON.stringify(recorded.request[field])}`,
+            ErrorClassification.Validation,
+          );
+        }
+      }
+    }
+
+    for (const message of recorded.messages) {
+      if (request.signal?.aborted) return;
+      yield message;
+    }
+  }
+}
@@ -45,7 +45,7 @@ vi.mock('@anthropic-ai/claude-agent-sdk', () => {
 
 // ─── Import SUT after mock is hoisted ────────────────────────────────────────
 
-import { runPhaseStepSession } from './session-runner.js';
+import { runPhaseStepSession, CANCELLED_SUBTYPE } from './session-runner.js';
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -96,3 +96,30 @@ describe('runPhaseStepSession', () => {
     expect(result.sessionId).toBe('test-session');
   });
 });
+
+describe('session cancellation', () => {
+  beforeEach(() => {
+    mockQueryCalls.length = 0;
+  });
+
+  it('returns a cancelled result without starting a query when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const result = await runPhaseStepSession('Test prompt', PhaseStepType.Plan, makeConfig(), { signal: controller.signal });
+
+    expect(mockQueryCalls).toHaveLength(0);
+    expect(result.success).toBe(false);
+    expect(result.error?.subtype).toBe(CANCELLED_SUBTYPE);
+  });
+
+  it('hands the query an AbortController linked to the caller signal', async () => {
+    const controller = new AbortController();
+
+    await runPhaseStepSession('Test prompt', PhaseStepType.Execute, makeConfig(), { signal: controller.signal });
+
+    const abortController = mockQueryCalls[0]!.options.abortController as AbortController;
+    expect(abortController).toBeInstanceOf(AbortController);
+    expect(abortController.signal.aborted).toBe(false);
+  });
+});
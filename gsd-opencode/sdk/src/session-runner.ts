@@ -1,50 +1,75 @@
 /**
- * Session runner — orchestrates Agent SDK query() calls for plan execution.
+ * Session runner — orchestrates agent sessions for plan execution and phase steps.
  *
- * Takes a parsed plan, builds the executor prompt, configures query() options,
- * processes the message stream, and extracts results into a typed PlanResult.
+ * Takes a parsed plan or step prompt, builds a {@link SessionRequest}, runs it
+ * on the configured {@link SessionBackend}, processes the message stream, and
+ * extracts results into a typed PlanResult.
  */
 
-import { query } from '@anthropic-ai/claude-agent-sdk';
 import type { SDKMessage, SDKResultMessage, SDKResultSuccess, SDKResultError } from '@anthropic-ai/claude-agent-sdk';
-import type { ParsedPlan, PlanResult, SessionOptions, SessionUsage, GSDCostUpdateEvent, PhaseStepType } from './types.js';
+import type { ParsedPlan, PlanResult, SessionOptions, SessionUsage, GSDCostUpdateEvent, GSDSessionCancelledEvent, PhaseStepType } from './types.js';
 import { GSDEventType, PhaseType } from './types.js';
 import type { GSDConfig } from './config.js';
 import { buildExecutorPrompt, parseAgentTools, DEFAULT_ALLOWED_TOOLS } from './prompt-builder.js';
 import type { GSDEventStream, EventStreamContext } from './event-stream.js';
 import { getToolsForPhase } from './tool-scoping.js';
+import { defaultSessionBackend } from './session-backend.js';
+import type { SessionBackend, SessionRequest } from './session-backend.js';
 
 // ─── Model resolution ────────────────────────────────────────────────────────
 
 /**
  * Resolve model identifier from options or config profile.
  *
- * Priority: explicit model option > config model_profile > default.
+ * Priority: explicit model option > config model_profile (mapped by the
+ * backend) > backend default.
  */
-function resolveModel(options?: SessionOptions, config?: GSDConfig): string | undefined {
+function resolveModel(backend: SessionBackend, options?: SessionOptions, config?: GSDConfig): string | undefined {
   if (options?.model) return options.model;
 
-  // Map model_profile names to model IDs
   if (config?.model_profile) {
-    const profileMap: Record<string, string> = {
-      balanced: 'claude-sonnet-4-6',
-      quality: 'claude-opus-4-6',
-      speed: 'claude-haiku-4-5',
-    };
-    return profileMap[config.model_profile] ?? config.model_profile;
+    return backend.resolveModelProfile?.(config.model_profile) ?? config.model_profile;
   }
 
-  return undefined; // Let SDK use its default
+  return undefined; // Let the backend use its default
+}
+
+// ─── Cancellation ────────────────────────────────────────────────────────────
+
+/** Error subtype on PlanResults of sessions stopped through `SessionOptions.signal`. */
+export const CANCELLED_SUBTYPE = 'cancelled';
+
+/** Human-readable reason carried by an aborted signal. */
+export function abortReason(signal: AbortSignal): string {
+  const reason: unknown = signal.reason;
+  if (reason instanceof Error) return reason.message;
+  return reason === undefined ? 'Session cancelled' : String(reason);
+}
+
+/** PlanResult for a session that was cancelled before producing a result. */
+export function cancelledResult(signal: AbortSignal): PlanResult {
+  return {
+    success: false,
+    sessionId: '',
+    totalCostUsd: 0,
+    durationMs: 0,
+    usage: emptyUsage(),
+    numTurns: 0,
+    error: {
+      subtype: CANCELLED_SUBTYPE,
+      messages: [abortReason(signal)],
+    },
+  };
 }
 
 // ─── Session runner ──────────────────────────────────────────────────────────
 
 /**
- * Run a plan execution session via the Agent SDK query() function.
+ * Run a plan execution session on the session backend.
  *
- * Builds the executor prompt from the parsed plan, configures query() with
- * appropriate permissions, tool restrictions, and budget limits, then iterates
- * the message stream to extract the result.
+ * Builds the executor prompt from the parsed plan, configures the session with
+ * tool restrictions and budget limits, then iterates the message stream to
+ * extract the result.
  *
  * @param plan - Parsed plan structure
  * @param config - GSD project configuration
@@ -68,34 +93,51 @@ export async function runPlanSession(
   const allowedTools = options?.allowedTools ??
     (agentDef ? parseAgentTools(agentDef) : DEFAULT_ALLOWED_TOOLS);
 
-  // Resolve model
-  const model = resolveModel(options, config);
+  const backend = options?.backend ?? defaultSessionBackend();
 
-  // Configure query options
-  const maxTurns = options?.maxTurns ?? 50;
-  const maxBudgetUsd = options?.maxBudgetUsd ?? 5.0;
-  const cwd = options?.cwd ?? process.cwd();
+  if (options?.signal?.aborted) return cancelledResult(options.signal);
 
-  const queryStream = query({
+  return runSession(backend, {
+    kind: 'plan',
     prompt: `Execute this plan:\n\n${plan.objective || 'Execute the plan tasks below.'}`,
-    options: {
-      systemPrompt: {
-        type: 'preset',
-        preset: 'claude_code',
-        append: executorPrompt,
-      },
-      settingSources: ['project'],
-      allowedTools,
-      permissionMode: 'bypassPermissions',
-      allowDangerouslySkipPermissions: true,
-      maxTurns,
-      maxBudgetUsd,
-      cwd,
-      ...(model ? { model } : {}),
-    },
-  });
+    systemPrompt: executorPrompt,
+    allowedTools,
+    ...sessionLimits(backend, options, config),
+  }, eventStream, streamContext);
+}
 
-  return processQueryStream(queryStream, eventStream, streamContext);
+/** Turn, budget, cwd, model and signal fields shared by every request. */
+function sessionLimits(
+  backend: SessionBackend,
+  options: SessionOptions | undefined,
+  config: GSDConfig,
+): Pick<SessionRequest, 'maxTurns' | 'maxBudgetUsd' | 'cwd' | 'model' | 'signal'> {
+  return {
+    maxTurns: options?.maxTurns ?? 50,
+    maxBudgetUsd: options?.maxBudgetUsd ?? 5.0,
+    cwd: options?.cwd ?? process.cwd(),
+    model: resolveModel(backend, options, config),
+    signal: options?.signal,
+  };
+}
+
+/**
+ * Run a request on a backend and extract its result. A backend that throws
+ * while starting is reported like a failure mid-stream.
+ */
+async function runSession(
+  backend: SessionBackend,
+  request: SessionRequest,
+  eventStream?: GSDEventStream,
+  streamContext?: EventStreamContext,
+): Promise<PlanResult> {
+  let stream: AsyncIterable<SDKMessage>;
+  try {
+    stream = backend.run(request);
+  } catch (err) {
+    stream = (async function* (): AsyncIterable<SDKMessage> { throw err; })();
+  }
+  return processQueryStream(stream, eventStream, streamContext, request.signal);
 }
 
 // ─── Result extraction ───────────────────────────────────────────────────────
@@ -162,26 +204,51 @@ function extractResult(msg: SDKResultMessage): PlanResult {
 // ─── Shared stream processing ────────────────────────────────────────────────
 
 /**
- * Process a query() message stream, emit events, and extract the result.
+ * Process a backend message stream, emit events, and extract the result.
  * Shared between runPlanSession and runPhaseStepSession to avoid duplication.
+ * When `signal` aborts before a result arrives, emits session_cancelled and
+ * returns a {@link CANCELLED_SUBTYPE} result.
  */
 async function processQueryStream(
   queryStream: AsyncIterable<SDKMessage>,
   eventStream?: GSDEventStream,
   streamContext?: EventStreamContext,
+  signal?: AbortSignal,
 ): Promise<PlanResult> {
   let resultMessage: SDKResultMessage | undefined;
+  let sessionId = '';
+  let model: string | undefined;
+
+  const cancelled = (): PlanResult => {
+    eventStream?.emitEvent({
+      type: GSDEventType.SessionCancelled,
+      timestamp: new Date().toISOString(),
+      sessionId,
+      phase: streamContext?.phase,
+      planName: streamContext?.planName,
+      reason: abortReason(signal!),
+    } as GSDSessionCancelledEvent);
+    return { ...cancelledResult(signal!), sessionId };
+  };
 
   try {
     for await (const message of queryStream) {
       if (eventStream) {
         eventStream.mapAndEmit(message, streamContext ?? {});
       }
+      if ('session_id' in message && typeof message.session_id === 'string') {
+        sessionId = message.session_id;
+      }
+      if (message.type === 'system' && message.subtype === 'init') {
+        model = message.model;
+      }
       if (isResultMessage(message)) {
         resultMessage = message;
       }
+      if (signal?.aborted && !resultMessage) break;
     }
   } catch (err) {
+    if (signal?.aborted) return cancelled();
     return {
       success: false,
       sessionId: '',
@@ -197,6 +264,7 @@ async function processQueryStream(
   }
 
   if (!resultMessage) {
+    if (signal?.aborted) return cancelled();
     return {
       success: false,
       sessionId: '',
@@ -212,6 +280,7 @@ async function processQueryStream(
   }
 
   const result = extractResult(resultMessage);
+  if (model) result.model = model;
 
   if (eventStream) {
     const cost = eventStream.getCost();
@@ -248,7 +317,7 @@ function stepTypeToPhaseType(step: PhaseStepType): PhaseType {
 }
 
 /**
- * Run a phase step session via the Agent SDK query() function.
+ * Run a phase step session on the session backend.
  *
  * Unlike runPlanSession which takes a ParsedPlan, this accepts a raw prompt
  * string and a phase step type. The prompt becomes the system prompt append,
@@ -272,29 +341,15 @@ export async function runPhaseStepSession(
 ): Promise<PlanResult> {
   const phaseType = stepTypeToPhaseType(phaseStep);
   const allowedTools = options?.allowedTools ?? getToolsForPhase(phaseType);
-  const model = resolveModel(options, config);
-  const maxTurns = options?.maxTurns ?? 50;
-  const maxBudgetUsd = options?.maxBudgetUsd ?? 5.0;
-  const cwd = options?.cwd ?? process.cwd();
+  const backend = options?.backend ?? defaultSessionBackend();
 
-  const queryStream = query({
-    prompt: `Execute this phase step: ${phaseStep}`,
-    options: {
-      systemPrompt: {
-        type: 'preset',
-        preset: 'claude_code',
-        append: prompt,
-      },
-      settingSources: ['project'],
-      allowedTools,
-      permissionMode: 'bypassPermissions',
-      allowDangerouslySkipPermissions: true,
-      maxTurns,
-      maxBudgetUsd,
-      cwd,
-      ...(model ? { model } : {}),
-    },
-  });
+  if (options?.signal?.aborted) return cancelledResult(options.signal);
 
-  return processQueryStream(queryStream, eventStream, streamContext);
+  return runSession(backend, {
+    kind: phaseStep,
+    prompt: `Execute this phase step: ${phaseStep}`,
+    systemPrompt: prompt,
+    allowedTools,
+    ...sessionLimits(backend, options, config),
+  }, eventStream, streamContext);
 }
@@ -0,0 +1,216 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { request } from 'node:http';
+import type { IncomingHttpHeaders, IncomingMessage } from 'node:http';
+import { SSETransport, RunStatusTracker } from './sse-transport.js';
+import { GSDEventType, PhaseStepType } from './types.js';
+import type { GSDEvent } from './types.js';
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function makeEvent(type: GSDEventType, fields: Record<string, unknown> = {}): GSDEvent {
+  return { type, timestamp: '2025-06-15T14:30:45.123Z', sessionId: 'test-session', ...fields } as unknown as GSDEvent;
+}
+
+function get(port: number, path: string, headers: Record<string, string> = {}): Promise<IncomingMessage> {
+  return new Promise((resolve, reject) => {
+    const req = request({ host: '127.0.0.1', port, path, headers }, resolve);
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function getJson(port: number, path: string, headers?: Record<string, string>): Promise<{ status: number; headers: IncomingHttpHeaders; body: any }> {
+  const res = await get(port, path, headers);
+  let raw = '';
+  for await (const chunk of res) raw += chunk;
+  return { status: res.statusCode!, headers: res.headers, body: JSON.parse(raw) };
+}
+
+/** Subscribe to /events and collect `data:` payloads until `count` have arrived. */
+async function readEvents(
+  port: number,
+  count: number,
+  headers?: Record<string, string>,
+  path = '/events',
+): Promise<{ ids: number[]; events: GSDEvent[]; res: IncomingMessage }> {
+  const res = await get(port, path, headers);
+  const ids: number[] = [];
+  const events: GSDEvent[] = [];
+  let pending = '';
+
+  await new Promise<void>((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('sse timeout')), 5000);
+    const done = () => {
+      clearTimeout(timeout);
+      res.removeAllListeners('data');
+      resolve();
+    };
+    if (count === 0) {
+      res.once('data', done);
+      return;
+    }
+    res.on('data', (chunk: Buffer) => {
+      pending += chunk.toString();
+      let end: number;
+      while ((end = pending.indexOf('\n\n')) !== -1) {
+        const frame = pending.slice(0, end);
+        pending = pending.slice(end + 2);
+        const id = /^id: (\d+)$/m.exec(frame);
+        const data = /^data: (.*)$/m.exec(frame);
+        if (id && data) {
+          ids.push(Number(id[1]));
+          events.push(JSON.parse(data[1]!) as GSDEvent);
+        }
+      }
+      if (events.length >= count) done();
+    });
+  });
+
+  return { ids, events, res };
+}
+
+const activeTransports: SSETransport[] = [];
+
+async function startTransport(options: Partial<ConstructorParameters<typeof SSETransport>[0]> = {}): Promise<SSETransport> {
+  const transport = new SSETransport({ port: 0, ...options });
+  activeTransports.push(transport);
+  await transport.start();
+  return transport;
+}
+
+afterEach(() => {
+  for (const t of activeTransports) t.close();
+  activeTransports.length = 0;
+});
+
+// ─── SSETransport ────────────────────────────────────────────────────────────
+
+describe('SSETransport', () => {
+  it('streams events to subscribers as SSE frames', async () => {
+    const transport = await startTransport();
+    const subscriber = readEvents(transport.port, 1);
+    await new Promise(r => setTimeout(r, 50));
+
+    transport.onEvent(makeEvent(GSDEventType.PhaseStart, { phaseNumber: '1', phaseName: 'Auth' }));
+
+    const { events, res } = await subscriber;
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    expect(events[0]).toMatchObject({ type: GSDEventType.PhaseStart, phaseNumber: '1' });
+    res.destroy();
+  });
+
+  it('replays the bounded buffer to late subscribers', async () => {
+    const transport = await startTransport({ replayBufferSize: 2 });
+    for (const n of ['1', '2', '3']) transport.onEvent(makeEvent(GSDEventType.PhaseStart, { phaseNumber: n, phaseName: n }));
+
+    const { ids, events, res } = await readEvents(transport.port, 2);
+
+    expect(ids).toEqual([2, 3]);
+    expect(events.map(e => (e as { phaseNumber?: string }).phaseNumber)).toEqual(['2', '3']);
+    res.destroy();
+  });
+
+  it('replays only events after Last-Event-ID', async () => {
+    const transport = await startTransport();
+    for (const n of ['1', '2', '3']) transport.onEvent(makeEvent(GSDEventType.PhaseStart, { phaseNumber: n, phaseName: n }));
+
+    const fromHeader = await readEvents(transport.port, 1, { 'Last-Event-ID': '2' });
+    const fromQuery = await readEvents(transport.port, 2, {}, '/events?since=1');
+
+    expect(fromHeader.ids).toEqual([3]);
+    expect(fromQuery.ids).toEqual([2, 3]);
+    fromHeader.res.destroy();
+    fromQuery.res.destroy();
+  });
+
+  it('serves a /status summary of the run', async () => {
+    const transport = await startTransport();
+    transport.onEvent(makeEvent(GSDEventType.MilestoneStart, { phaseCount: 2, prompt: '' }));
+    transport.onEvent(makeEvent(GSDEventType.PhaseStart, { phaseNumber: '1', phaseName: 'Auth' }));
+    transport.onEvent(makeEvent(GSDEventType.PhaseStepStart, { phaseNumber: '1', step: PhaseStepType.Execute }));
+    transport.onEvent(makeEvent(GSDEventType.PlanStarted, { phaseNumber: '1', planId: '01-01', waveNumber: 1, running: 1 }));
+    transport.onEvent(makeEvent(GSDEventType.CostUpdate, { sessionCostUsd: 0.25, cumulativeCostUsd: 1.25 }));
+
+    const { status, body } = await getJson(transport.port, '/status');
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      state: 'running',
+      milestone: { phaseCount: 2, phasesCompleted: 0 },
+      phase: { number: '1', name: 'Auth', step: PhaseStepType.Execute, runningPlans: ['01-01'], costUsd: 0.25, status: 'running' },
+      costs: { sessions: 1, lastSessionUsd: 0.25, cumulativeUsd: 1.25 },
+      eventCount: 5,
+      clients: 0,
+    });
+  });
+
+  it('requires the bearer token when one is configured', async () => {
+    const transport = await startTransport({ token: 's3cret' });
+
+    const denied = await getJson(transport.port, '/status');
+    const wrong = await getJson(transport.port, '/status', { Authorization: 'Bearer nope' });
+    const viaHeader = await getJson(transport.port, '/status', { Authorization: 'Bearer s3cret' });
+    const viaQuery = await getJson(transport.port, '/status?token=s3cret');
+
+    expect(denied.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(viaHeader.status).toBe(200);
+    expect(viaQuery.status).toBe(200);
+    expect(viaHeader.headers['access-control-allow-origin']).toBe('*');
+  });
+
+  it('does not allow cross-origin reads without a token', async () => {
+    const transport = await startTransport();
+
+    const res = await getJson(transport.port, '/status', { Origin: 'https://evil.example' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  it('answers unknown paths with 404', async () => {
+    const transport = await startTransport();
+
+    expect((await getJson(transport.port, '/nope')).status).toBe(404);
+  });
+
+  it('ends open streams on close()', async () => {
+    const transport = await startTransport();
+    const { res } = await readEvents(transport.port, 0);
+    const ended = new Promise<void>(resolve => res.on('end', () => resolve()));
+    res.resume();
+
+    transport.close();
+
+    await ended;
+  });
+
+  it('onEvent never throws, even before start()', () => {
+    const transport = new SSETransport({ port: 0 });
+    expect(() => transport.onEvent(makeEvent(GSDEventType.PhaseStart))).not.toThrow();
+    transport.close();
+  });
+});
+
+// ─── RunStatusTracker ────────────────────────────────────────────────────────
+
+describe('RunStatusTracker', () => {
+  it('marks a standalone phase complete from phase_complete', () => {
+    const tracker = new RunStatusTracker();
+    tracker.apply(makeEvent(GSDEventType.PhaseStart, { phaseNumber: '2', phaseName: 'API' }));
+    tracker.apply(makeEvent(GSDEventType.PhaseComplete, { phaseNumber: '2', success: false }));
+
+    expect(tracker.snapshot()).toMatchObject({ state: 'failed', phase: { status: 'failed', step: null } });
+  });
+
+  it('keeps a cancelled run cancelled', () => {
+    const tracker = new RunStatusTracker();
+    tracker.apply(makeEvent(GSDEventType.MilestoneStart, { phaseCount: 1 }));
+    tracker.apply(makeEvent(GSDEventType.PhaseStart, { phaseNumber: '1', phaseName: 'Auth' }));
+    tracker.apply(makeEvent(GSDEventType.PhaseCancelled, { phaseNumber: '1', reason: 'SIGINT' }));
+    tracker.apply(makeEvent(GSDEventType.PhaseComplete, { phaseNumber: '1', success: false }));
+    tracker.apply(makeEvent(GSDEventType.MilestoneComplete, { success: false, phasesCompleted: 0 }));
+
+    expect(tracker.snapshot()).toMatchObject({ state: 'cancelled', phase: { status: 'cancelled' } });
+  });
+});
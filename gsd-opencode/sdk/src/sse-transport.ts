@@ -0,0 +1,344 @@
+/**
+ * HTTP + Server-Sent Events transport — serves the GSD event stream to
+ * `curl`, browser `EventSource` clients and CI watchers.
+ *
+ * Implements TransportHandler. Endpoints:
+ * - `GET /events` — SSE stream. Each event is sent as `id: <seq>`,
+ *   `event: <type>`, `data: <GSDEvent JSON>`. New subscribers first receive the
+ *   bounded replay buffer; `Last-Event-ID` (or `?since=<seq>`) limits the
+ *   replay to events after that id, so reconnecting clients do not see
+ *   duplicates.
+ * - `GET /status` — JSON snapshot of the run: current phase, step and plans,
+ *   and session/phase/cumulative costs.
+ *
+ * With a `token`, every request must carry `Authorization: Bearer <token>`;
+ * `?token=<token>` is accepted too, since `EventSource` cannot set headers.
+ * Cross-origin reads (CORS) are only allowed with a token, so an
+ * unauthenticated stream cannot be read by arbitrary web pages.
+ *
+ * @example
+ * ```typescript
+ * const sse = new SSETransport({ port: 4318, token: process.env.GSD_HTTP_TOKEN });
+ * await sse.start();
+ * gsd.addTransport(sse);
+ * // curl -N -H "Authorization: Bearer $GSD_HTTP_TOKEN" http://127.0.0.1:4318/events
+ * ```
+ */
+
+import { createServer } from 'node:http';
+import type { IncomingMessage, Server, ServerResponse } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { timingSafeEqual } from 'node:crypto';
+import { GSDEventType } from './types.js';
+import type { GSDEvent, PhaseStepType, TransportHandler, BudgetScope } from './types.js';
+
+// ─── Options ─────────────────────────────────────────────────────────────────
+
+export const DEFAULT_SSE_REPLAY_BUFFER = 500;
+const HEARTBEAT_INTERVAL_MS = 15_000;
+
+export interface SSETransportOptions {
+  /** Port to listen on; 0 picks a free port (see {@link SSETransport.port}). */
+  port: number;
+  /**
+   * Interface to bind. Default: `127.0.0.1`, so only local clients can
+   * connect; a dashboard on another machine needs an explicit host.
+   */
+  host?: string;
+  /** Require this bearer token on every request. */
+  token?: string;
+  /** Most recent events kept for late subscribers. Default: 500. */
+  replayBufferSize?: number;
+}
+
+// ─── Run status ──────────────────────────────────────────────────────────────
+
+export interface RunStatus {
+  state: 'idle' | 'running' | 'complete' | 'failed' | 'cancelled';
+  milestone: { phaseCount: number; phasesCompleted: number } | null;
+  phase: {
+    number: string;
+    name: string;
+    /** Step currently running, or null between steps. */
+    step: PhaseStepType | null;
+    /** Plans started and not yet finished by the execute step. */
+    runningPlans: string[];
+    costUsd: number;
+    status: 'running' | 'complete' | 'failed' | 'cancelled';
+  } | null;
+  costs: {
+    sessions: number;
+    lastSessionUsd: number;
+    cumulativeUsd: number;
+  };
+  budgetExceeded: { phaseNumber: string; scope: BudgetScope; capUsd: number; spentUsd: number } | null;
+  eventCount: number;
+  lastEventAt: string | null;
+}
+
+/** Folds the event stream into a {@link RunStatus}. */
+export class RunStatusTracker {
+  private status: RunStatus = {
+    state: 'idle',
+    milestone: null,
+    phase: null,
+    costs: { sessions: 0, lastSessionUsd: 0, cumulativeUsd: 0 },
+    budgetExceeded: null,
+    eventCount: 0,
+    lastEventAt: null,
+  };
+
+  apply(event: GSDEvent): void {
+    const status = this.status;
+    status.eventCount += 1;
+    status.lastEventAt = event.timestamp;
+
+    switch (event.type) {
+      case GSDEventType.MilestoneStart:
+        status.state = 'running';
+        status.milestone = { phaseCount: event.phaseCount, phasesCompleted: 0 };
+        break;
+      case GSDEventType.MilestoneComplete:
+        if (status.state !== 'cancelled') status.state = event.success ? 'complete' : 'failed';
+        if (status.milestone) status.milestone.phasesCompleted = event.phasesCompleted;
+        break;
+      case GSDEventType.PhaseStart:
+        status.state = 'running';
+        status.phase = { number: event.phaseNumber, name: event.phaseName, step: null, runningPlans: [], costUsd: 0, status: 'running' };
+        break;
+      case GSDEventType.PhaseStepStart:
+        if (status.phase) status.phase.step = event.step;
+        break;
+      case GSDEventType.PhaseStepComplete:
+        if (status.phase) {
+          status.phase.step = null;
+          status.phase.runningPlans = [];
+        }
+        break;
+      case GSDEventType.PlanStarted:
+        status.phase?.runningPlans.push(event.planId);
+        break;
+      case GSDEventType.CostUpdate:
+        status.costs.sessions += 1;
+        status.costs.lastSessionUsd = event.sessionCostUsd;
+        status.costs.cumulativeUsd = event.cumulativeCostUsd;
+        if (status.phase) status.phase.costUsd += event.sessionCostUsd;
+        break;
+      case GSDEventType.PhaseCancelled:
+        status.state = 'cancelled';
+        if (status.phase) status.phase.status = 'cancelled';
+        break;
+      case GSDEventType.PhaseComplete:
+        if (status.phase && status.phase.status !== 'cancelled') {
+          status.phase.status = event.success ? 'complete' : 'failed';
+        }
+        if (status.phase) status.phase.step = null;
+        // A standalone phase run has no milestone_complete to close it out
+        if (!status.milestone && status.state === 'running') status.state = event.success ? 'complete' : 'failed';
+        break;
+      case GSDEventType.BudgetExceeded:
+        status.budgetExceeded = {
+          phaseNumber: event.phaseNumber,
+          scope: event.scope,
+          capUsd: event.capUsd,
+          spentUsd: event.spentUsd,
+        };
+        break;
+      default:
+        break;
+    }
+  }
+
+  snapshot(): RunStatus {
+    return structuredClone(this.status);
+  }
+}
+
+// ─── SSETransport ────────────────────────────────────────────────────────────
+
+interface BufferedEvent {
+  id: number;
+  frame: string;
+}
+
+export class SSETransport implements TransportHandler {
+  private readonly requestedPort: number;
+  private readonly host: string;
+  private readonly token?: Buffer;
+  private readonly replayBufferSize: number;
+  private readonly buffer: BufferedEvent[] = [];
+  private readonly clients = new Set<ServerResponse>();
+  private readonly tracker = new RunStatusTracker();
+  private server: Server | null = null;
+  private heartbeat: NodeJS.Timeout | null = null;
+  private nextId = 1;
+  private closing = false;
+
+  constructor(options: SSETransportOptions) {
+    this.requestedPort = options.port;
+    this.host = options.host ?? '127.0.0.1';
+    this.token = options.token ? Buffer.from(options.token) : undefined;
+    this.replayBufferSize = Math.max(0, options.replayBufferSize ?? DEFAULT_SSE_REPLAY_BUFFER);
+  }
+
+  /** Port the server is bound to (the real port when started with 0). */
+  get port(): number {
+    const address = this.server?.address() as AddressInfo | null | undefined;
+    return address?.port ?? this.requestedPort;
+  }
+
+  /**
+   * Start the HTTP server. Resolves once it is listening.
+   */
+  async start(): Promise<void> {
+    if (this.closing) return;
+
+    const server = createServer((req, res) => this.handle(req, res));
+    this.server = server;
+    await new Promise<void>((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.requestedPort, this.host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    // Comment frames keep proxies from timing out idle streams
+    this.heartbeat = setInterval(() => this.broadcast(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Buffer the event and push it to every subscriber.
+   * Never throws.
+   */
+  onEvent(event: GSDEvent): void {
+    try {
+      this.tracker.apply(event);
+
+      const id = this.nextId++;
+      const frame = `id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+      if (this.replayBufferSize > 0) {
+        this.buffer.push({ id, frame });
+        if (this.buffer.length > this.replayBufferSize) this.buffer.shift();
+      }
+      this.broadcast(frame);
+    } catch {
+      // TransportHandler contract: onEvent must never throw
+    }
+  }
+
+  /** Current run status, as served by `/status`. */
+  status(): RunStatus {
+    return this.tracker.snapshot();
+  }
+
+  /**
+   * End every stream and shut down the server.
+   * Safe to call before start().
+   */
+  close(): void {
+    this.closing = true;
+
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+    for (const client of this.clients) {
+      try {
+        client.end();
+      } catch {
+        // Ignore client close errors
+      }
+    }
+    this.clients.clear();
+
+    if (!this.server) return;
+    try {
+      this.server.close();
+      this.server.closeAllConnections();
+    } catch {
+      // Ignore server close errors
+    }
+    this.server = null;
+  }
+
+  // ─── Request handling ──────────────────────────────────────────────
+
+  private handle(req: IncomingMessage, res: ServerResponse): void {
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    if (this.token) res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, this.token ? {
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Last-Event-ID',
+      } : {});
+      res.end();
+      return;
+    }
+    if (!this.authorized(req, url)) {
+      sendJson(res, 401, { error: 'unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'method not allowed' }, { Allow: 'GET, OPTIONS' });
+      return;
+    }
+
+    switch (url.pathname) {
+      case '/events':
+        this.subscribe(req, res, url);
+        return;
+      case '/status':
+        sendJson(res, 200, { ...this.status(), clients: this.clients.size });
+        return;
+      default:
+        sendJson(res, 404, { error: 'not found', endpoints: ['/events', '/status'] });
+    }
+  }
+
+  private authorized(req: IncomingMessage, url: URL): boolean {
+    if (!this.token) return true;
+
+    const header = req.headers.authorization;
+    const presented = header?.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : url.searchParams.get('token');
+    if (!presented) return false;
+
+    const candidate = Buffer.from(presented);
+    return candidate.length === this.token.length && timingSafeEqual(candidate, this.token);
+  }
+
+  private subscribe(req: IncomingMessage, res: ServerResponse, url: URL): void {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(': connected\n\n');
+
+    const lastId = Number(req.headers['last-event-id'] ?? url.searchParams.get('since') ?? 0);
+    for (const { id, frame } of this.buffer) {
+      if (!Number.isFinite(lastId) || id > lastId) res.write(frame);
+    }
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  private broadcast(frame: string): void {
+    for (const client of this.clients) {
+      try {
+        client.write(frame);
+      } catch {
+        // Ignore individual client write errors
+      }
+    }
+  }
+}
+
+function sendJson(res: ServerResponse, statusCode: number, body: unknown, headers: Record<string, string> = {}): void {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
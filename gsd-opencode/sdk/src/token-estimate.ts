@@ -0,0 +1,9 @@
+/**
+ * Token estimation shared by the context budgeter and the intel graph's
+ * result trimming — a character heuristic, not a tokenizer.
+ */
+
+/** Rough token count — about four characters per token for English markdown. */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
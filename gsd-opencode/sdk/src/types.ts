@@ -5,6 +5,9 @@
  * that make up a GSD plan file.
  */
 
+import type { SessionBackend } from './session-backend.js';
+import type { ErrorClassification } from './errors.js';
+
 // ─── Frontmatter types ───────────────────────────────────────────────────────
 
 export interface MustHaveArtifact {
@@ -154,6 +157,10 @@ export interface SessionOptions {
   cwd?: string;
   /** Allowed tool names. Default: ['read','write','edit','bash','grep','glob']. */
   allowedTools?: string[];
+  /** Aborts the in-flight session; the result comes back with error subtype `cancelled`. */
+  signal?: AbortSignal;
+  /** Backend that runs the session. Default: the Agent SDK backend. */
+  backend?: SessionBackend;
 }
 
 /**
@@ -182,6 +189,8 @@ export interface PlanResult {
   usage: SessionUsage;
   /** Number of agentic turns used. */
   numTurns: number;
+  /** Model that served the session, when known. */
+  model?: string;
   /** Error details when success is false. */
   error?: {
     /** Error subtype from SDK result (e.g., 'error_max_turns', 'error_during_execution'). */
@@ -213,6 +222,8 @@ export interface GSDOptions {
   autoMode?: boolean;
   /** Workstream name. Routes all .planning/ paths to .planning/workstreams/<name>/. */
   workstream?: string;
+  /** LLM backend for every session this instance starts. Default: the Agent SDK backend. */
+  backend?: SessionBackend;
 }
 
 // ─── S02: Event stream types ─────────────────────────────────────────────────
@@ -237,6 +248,7 @@ export enum GSDEventType {
   SessionInit = 'session_init',
   SessionComplete = 'session_complete',
   SessionError = 'session_error',
+  SessionCancelled = 'session_cancelled',
   AssistantText = 'assistant_text',
   ToolCall = 'tool_call',
   ToolProgress = 'tool_progress',
@@ -254,8 +266,13 @@ export enum GSDEventType {
   PhaseStepStart = 'phase_step_start',
   PhaseStepComplete = 'phase_step_complete',
   PhaseComplete = 'phase_complete',
+  PhaseCancelled = 'phase_cancelled',
+  BudgetExceeded = 'budget_exceeded',
+  ContextBudgeted = 'context_budgeted',
   WaveStart = 'wave_start',
   WaveComplete = 'wave_complete',
+  PlanQueued = 'plan_queued',
+  PlanStarted = 'plan_started',
   MilestoneStart = 'milestone_start',
   MilestoneComplete = 'milestone_complete',
   InitStart = 'init_start',
@@ -316,6 +333,14 @@ export interface GSDSessionErrorEvent extends GSDEventBase {
   errors: string[];
 }
 
+/**
+ * Session aborted through its AbortSignal before producing a result.
+ */
+export interface GSDSessionCancelledEvent extends GSDEventBase {
+  type: GSDEventType.SessionCancelled;
+  reason: string;
+}
+
 /**
  * Assistant produced text output.
  */
@@ -484,6 +509,51 @@ export interface GSDPhaseCompleteEvent extends GSDEventBase {
   stepsCompleted: number;
 }
 
+/**
+ * Phase stopped early because its AbortSignal fired. Emitted before phase_complete.
+ */
+export interface GSDPhaseCancelledEvent extends GSDEventBase {
+  type: GSDEventType.PhaseCancelled;
+  phaseNumber: string;
+  phaseName: string;
+  /** Last lifecycle step that started before cancellation, if any. */
+  step?: PhaseStepType;
+  reason: string;
+}
+
+/** Spend scope a budget cap applies to. */
+export type BudgetScope = 'phase' | 'milestone';
+
+/**
+ * A `budget.per_phase_usd` / `budget.per_milestone_usd` cap was reached
+ * before a step started.
+ */
+export interface GSDBudgetExceededEvent extends GSDEventBase {
+  type: GSDEventType.BudgetExceeded;
+  phaseNumber: string;
+  /** Step that was about to start. */
+  step: PhaseStepType;
+  scope: BudgetScope;
+  capUsd: number;
+  spentUsd: number;
+  milestone?: string;
+}
+
+/**
+ * Context for a step did not fit its token budget; some sections were
+ * condensed or dropped. Sections are `<file>#<heading>`.
+ */
+export interface GSDContextBudgetedEvent extends GSDEventBase {
+  type: GSDEventType.ContextBudgeted;
+  phaseType: PhaseType;
+  phaseNumber?: string;
+  budgetTokens: number;
+  totalTokens: number;
+  usedTokens: number;
+  condensed: string[];
+  dropped: string[];
+}
+
 // ─── S04: Plan index & wave event types ─────────────────────────────────────
 
 /**
@@ -533,6 +603,30 @@ export interface GSDWaveCompleteEvent extends GSDEventBase {
   durationMs: number;
 }
 
+/**
+ * Plan entered the execute-step scheduler — emitted for every plan before any starts.
+ */
+export interface GSDPlanQueuedEvent extends GSDEventBase {
+  type: GSDEventType.PlanQueued;
+  phaseNumber: string;
+  planId: string;
+  waveNumber: number;
+  /** Scheduled plans that must succeed before this one starts. */
+  dependsOn: string[];
+}
+
+/**
+ * Plan acquired a concurrency slot and its session is launching.
+ */
+export interface GSDPlanStartedEvent extends GSDEventBase {
+  type: GSDEventType.PlanStarted;
+  phaseNumber: string;
+  planId: string;
+  waveNumber: number;
+  /** Plans in flight, including this one. */
+  running: number;
+}
+
 // ─── S05: Milestone-level types ──────────────────────────────────────────────
 
 /**
@@ -570,6 +664,10 @@ export interface MilestoneRunnerResult {
   phases: PhaseRunnerResult[];
   totalCostUsd: number;
   totalDurationMs: number;
+  /** True when the run stopped because `options.signal` was aborted. */
+  cancelled?: boolean;
+  /** Error of the phase that stopped the milestone, when it carried one. */
+  error?: RunError;
 }
 
 /**
@@ -644,6 +742,8 @@ export interface InitResult {
   totalCostUsd: number;
   totalDurationMs: number;
   artifacts: string[];
+  /** True when the run stopped because its AbortSignal was aborted. */
+  cancelled?: boolean;
 }
 
 /**
@@ -753,6 +853,7 @@ export type GSDEvent =
   | GSDSessionInitEvent
   | GSDSessionCompleteEvent
   | GSDSessionErrorEvent
+  | GSDSessionCancelledEvent
   | GSDAssistantTextEvent
   | GSDToolCallEvent
   | GSDToolProgressEvent
@@ -770,8 +871,13 @@ export type GSDEvent =
   | GSDPhaseStepStartEvent
   | GSDPhaseStepCompleteEvent
   | GSDPhaseCompleteEvent
+  | GSDPhaseCancelledEvent
+  | GSDBudgetExceededEvent
+  | GSDContextBudgetedEvent
   | GSDWaveStartEvent
   | GSDWaveCompleteEvent
+  | GSDPlanQueuedEvent
+  | GSDPlanStartedEvent
   | GSDMilestoneStartEvent
   | GSDMilestoneCompleteEvent
   | GSDInitStartEvent
@@ -808,6 +914,10 @@ export interface ContextFiles {
   config?: string;
   plan?: string;
   summary?: string;
+  /** The active phase's `NN-CONTEXT.md`, when the phase is known and has one. */
+  phaseContext?: string;
+  /** The active phase's `NN-RESEARCH.md`, when the phase is known and has one. */
+  phaseResearch?: string;
 }
 
 /**
@@ -871,6 +981,24 @@ export interface PhaseOpInfo {
   research_path: string;
 }
 
+/**
+ * Structured output from `git.phase-branch` / `git.milestone-branch`
+ * (`query/git-branch.ts`). `reason` is set when the branch was not switched
+ * or merged — a dirty tree, a merge conflict, or a git failure.
+ */
+export interface GitBranchResult {
+  action: 'start' | 'finish';
+  branch: string;
+  branching_strategy: string;
+  switched?: boolean;
+  created?: boolean;
+  merged?: boolean;
+  into?: string;
+  base?: string | null;
+  reason?: string;
+  error?: string;
+}
+
 /**
  * Result of a single phase step execution.
  */
@@ -892,6 +1020,16 @@ export interface PhaseRunnerResult {
   success: boolean;
   totalCostUsd: number;
   totalDurationMs: number;
+  /** True when the run stopped because `options.signal` was aborted. */
+  cancelled?: boolean;
+  /** Why the run halted when no callback could decide, e.g. a budget cap reached without `onBudgetExceeded`. */
+  error?: RunError;
+}
+
+/** A halt reason carried in a run result, classified like the `GSDError` it came from. */
+export interface RunError {
+  message: string;
+  classification: ErrorClassification;
 }
 
 /**
@@ -900,8 +1038,36 @@ export interface PhaseRunnerResult {
  */
 export interface HumanGateCallbacks {
   onDiscussApproval?: (context: { phaseNumber: string; phaseName: string }) => Promise<'approve' | 'reject' | 'modify'>;
+  /**
+   * Plans are ready and execute is about to start. `reject` halts the phase
+   * before any plan runs. Without this callback plans are approved.
+   */
+  onPlanApproval?: (plan: { phaseNumber: string; phaseName: string; planCount: number }) => Promise<'approve' | 'reject'>;
   onVerificationReview?: (result: { phaseNumber: string; stepResult: PhaseStepResult }) => Promise<'accept' | 'reject' | 'retry'>;
-  onBlockerDecision?: (blocker: { phaseNumber: string; step: PhaseStepType; error?: string }) => Promise<'retry' | 'skip' | 'stop'>;
+  /**
+   * A step is blocked. `defaultDecision` is set when the runner would not skip
+   * on its own (e.g. `stop` for a refused branch switch); callbacks that fall
+   * back to a default should use it.
+   */
+  onBlockerDecision?: (blocker: {
+    phaseNumber: string;
+    step: PhaseStepType;
+    error?: string;
+    defaultDecision?: 'retry' | 'skip' | 'stop';
+  }) => Promise<'retry' | 'skip' | 'stop'>;
+  /**
+   * A budget cap was reached before `step`. `continue` lifts that cap for the
+   * rest of the run; `stop` halts the phase. Without this callback the phase
+   * halts with a `Blocked` error in its result (exit code 11 from the CLI).
+   */
+  onBudgetExceeded?: (budget: {
+    phaseNumber: string;
+    step: PhaseStepType;
+    scope: BudgetScope;
+    capUsd: number;
+    spentUsd: number;
+    milestone?: string;
+  }) => Promise<'continue' | 'stop'>;
 }
 
 /**
@@ -914,4 +1080,15 @@ export interface PhaseRunnerOptions {
   model?: string;
   /** Maximum gap closure retries when verification finds gaps. Default: 1. */
   maxGapRetries?: number;
+  /**
+   * Continue from the phase's checkpoint journal instead of starting over.
+   * Stages checkpointed by the interrupted run are skipped and their step
+   * results restored. No-op when the journal is empty or its last run succeeded.
+   */
+  resume?: boolean;
+  /**
+   * Cooperative cancellation. When aborted, in-flight sessions are stopped, no
+   * further step or plan starts, and the result is returned with `cancelled: true`.
+   */
+  signal?: AbortSignal;
 }
@@ -1,7 +1,8 @@
 import { describe, it, expect, afterEach } from 'vitest';
 import { WebSocket } from 'ws';
 import { WSTransport } from './ws-transport.js';
-import { GSDEventType, type GSDEvent, type GSDEventBase } from './types.js';
+import type { GateRequest } from './ws-transport.js';
+import { GSDEventType, PhaseStepType, type GSDEvent, type GSDEventBase } from './types.js';
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -43,6 +44,28 @@ afterEach(() => {
   activeTransports.length = 0;
 });
 
+/** Wait for the next message on a WS client whose `type` matches. */
+function waitForType(ws: WebSocket, type: string): Promise<any> {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error(`${type} timeout`)), 5000);
+    const onMessage = (data: unknown) => {
+      const parsed = JSON.parse(String(data));
+      if (parsed.type !== type) return;
+      clearTimeout(timeout);
+      ws.off('message', onMessage);
+      resolve(parsed);
+    };
+    ws.on('message', onMessage);
+  });
+}
+
+async function startTransport(options: Partial<ConstructorParameters<typeof WSTransport>[0]> = {}): Promise<{ transport: WSTransport; port: number }> {
+  const transport = new WSTransport({ port: 0, ...options });
+  activeTransports.push(transport);
+  await transport.start();
+  return { transport, port: (transport as any).server?.address().port };
+}
+
 // ─── Tests ───────────────────────────────────────────────────────────────────
 
 describe('WSTransport', () => {
@@ -159,3 +182,120 @@ describe('WSTransport', () => {
     client2.close();
   });
 });
+
+// ─── Handshake checks ────────────────────────────────────────────────────────
+
+/** Resolve with the handshake outcome: 'open' or the HTTP status it was refused with. */
+function handshake(url: string, options: ConstructorParameters<typeof WebSocket>[2] = {}): Promise<'open' | number> {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(url, options);
+    ws.on('open', () => { ws.close(); resolve('open'); });
+    ws.on('unexpected-response', (_req, res) => resolve(res.statusCode ?? 0));
+    ws.on('error', () => { /* surfaced through unexpected-response */ });
+  });
+}
+
+describe('WSTransport handshake', () => {
+  it('binds to loopback by default', async () => {
+    const { transport } = await startTransport();
+    expect((transport as any).server?.address().address).toBe('127.0.0.1');
+  });
+
+  it('requires the bearer token when one is configured', async () => {
+    const { port } = await startTransport({ token: 's3cret' });
+    expect(await handshake(`ws://127.0.0.1:${port}`)).toBe(401);
+    expect(await handshake(`ws://127.0.0.1:${port}`, { headers: { Authorization: 'Bearer nope' } })).toBe(401);
+    expect(await handshake(`ws://127.0.0.1:${port}`, { headers: { Authorization: 'Bearer s3cret' } })).toBe('open');
+    expect(await handshake(`ws://127.0.0.1:${port}/?token=s3cret`)).toBe('open');
+  });
+
+  it('refuses browser origins that are not local', async () => {
+    const { port } = await startTransport();
+    expect(await handshake(`ws://127.0.0.1:${port}`, { origin: 'https://evil.example' })).toBe(401);
+    expect(await handshake(`ws://127.0.0.1:${port}`, { origin: 'http://localhost:5173' })).toBe('open');
+  });
+});
+
+// ─── Human gate control channel ──────────────────────────────────────────────
+
+describe('WSTransport gate callbacks', () => {
+  it('pushes a gate request and resolves with the client decision', async () => {
+    const { transport, port } = await startTransport();
+    const client = await connectClient(port);
+    const requested = waitForType(client, 'gate_request');
+
+    const decision = transport.gateCallbacks().onBlockerDecision!({ phaseNumber: '01', step: PhaseStepType.Plan, error: 'No plans' });
+    const request: GateRequest = await requested;
+
+    expect(request).toMatchObject({ gate: 'blocker', phaseNumber: '01', options: ['retry', 'skip', 'stop'], defaultDecision: 'skip' });
+    expect(request.context).toMatchObject({ error: 'No plans' });
+
+    const resolved = waitForType(client, 'gate_resolved');
+    client.send(JSON.stringify({ type: 'gate_response', id: request.id, decision: 'retry' }));
+
+    expect(await decision).toBe('retry');
+    expect(await resolved).toMatchObject({ id: request.id, decision: 'retry', source: 'client' });
+    client.close();
+  });
+
+  it('rejects invalid decisions and keeps the gate open', async () => {
+    const { transport, port } = await startTransport();
+    const client = await connectClient(port);
+    const requested = waitForType(client, 'gate_request');
+
+    const decision = transport.gateCallbacks().onPlanApproval!({ phaseNumber: '01', phaseName: 'Auth', planCount: 2 });
+    const request: GateRequest = await requested;
+
+    const error = waitForType(client, 'gate_error');
+    client.send(JSON.stringify({ type: 'gate_response', id: request.id, decision: 'maybe' }));
+    expect((await error).error).toContain('approve, reject');
+
+    client.send(JSON.stringify({ type: 'gate_response', id: request.id, decision: 'reject' }));
+    expect(await decision).toBe('reject');
+    client.close();
+  });
+
+  it('falls back to the default decision on timeout', async () => {
+    const { transport, port } = await startTransport({ gateTimeoutMs: 20, gateDefaults: { budget: 'continue' } });
+    const client = await connectClient(port);
+    const callbacks = transport.gateCallbacks();
+
+    expect(await callbacks.onBudgetExceeded!({ phaseNumber: '01', step: PhaseStepType.Execute, scope: 'phase', capUsd: 1, spentUsd: 1 })).toBe('continue');
+    expect(await callbacks.onVerificationReview!({ phaseNumber: '01', stepResult: { step: PhaseStepType.Verify, success: true, durationMs: 0 } })).toBe('accept');
+    client.close();
+  });
+
+  it('applies the default at once when no client is connected', async () => {
+    const { transport } = await startTransport();
+    const started = Date.now();
+    expect(await transport.gateCallbacks().onPlanApproval!({ phaseNumber: '01', phaseName: 'Auth', planCount: 1 })).toBe('approve');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it("uses the runner's default for a blocker when it sends one", async () => {
+    const { transport } = await startTransport();
+    const blocker = { phaseNumber: '01', step: PhaseStepType.Discuss, error: 'Branch: dirty tree', defaultDecision: 'stop' as const };
+    expect(await transport.gateCallbacks().onBlockerDecision!(blocker)).toBe('stop');
+  });
+
+  it('sends open gates to clients that connect late with waitForClients', async () => {
+    const { transport, port } = await startTransport({ waitForClients: true });
+    const decision = transport.gateCallbacks().onBlockerDecision!({ phaseNumber: '02', step: PhaseStepType.Execute });
+
+    const client = new WebSocket(`ws://127.0.0.1:${port}`);
+    const request: GateRequest = await waitForType(client, 'gate_request');
+    client.send(JSON.stringify({ type: 'gate_response', id: request.id, decision: 'stop' }));
+
+    expect(await decision).toBe('stop');
+    client.close();
+  });
+
+  it('resolves open gates with their default on close()', async () => {
+    const { transport } = await startTransport({ waitForClients: true });
+    const decision = transport.gateCallbacks().onPlanApproval!({ phaseNumber: '01', phaseName: 'Auth', planCount: 1 });
+
+    transport.close();
+
+    expect(await decision).toBe('approve');
+  });
+});
@@ -3,22 +3,119 @@
  *
  * Implements TransportHandler. Starts a WebSocketServer on a given port
  * and JSON-serializes each event to all connected clients.
+ *
+ * The socket is also a control channel for human gates: pass
+ * {@link WSTransport.gateCallbacks} as the runner's `callbacks` and each gate
+ * is pushed to clients as a `gate_request` message. The first valid
+ * `gate_response` decides it; when none arrives within the timeout the gate's
+ * default decision is used. With no client connected the default applies at
+ * once, so unattended runs do not stall, unless `waitForClients` is set.
+ * Every outcome is announced as `gate_resolved`.
+ *
+ * ```text
+ * server → { "type": "gate_request", "id": "gate-1", "gate": "blocker", "phaseNumber": "01",
+ *            "context": {...}, "options": ["retry","skip","stop"], "defaultDecision": "skip",
+ *            "timeoutMs": 300000, "timestamp": "..." }
+ * client → { "type": "gate_response", "id": "gate-1", "decision": "retry" }
+ * server → { "type": "gate_resolved", "id": "gate-1", "decision": "retry", "source": "client" }
+ * ```
+ *
+ * Because clients can approve plans and lift budget caps, the server binds to
+ * `127.0.0.1` by default, refuses handshakes whose `Origin` is not a local
+ * page, and — with a `token` — requires `Authorization: Bearer <token>` or
+ * `?token=<token>` (browser WebSocket clients cannot set headers).
  */
 
 import { WebSocketServer, WebSocket } from 'ws';
-import type { GSDEvent, TransportHandler } from './types.js';
+import type { RawData, VerifyClientCallbackSync } from 'ws';
+import { timingSafeEqual } from 'node:crypto';
+import type { GSDEvent, TransportHandler, HumanGateCallbacks } from './types.js';
+
+// ─── Gate protocol ───────────────────────────────────────────────────────────
+
+export const DEFAULT_GATE_TIMEOUT_MS = 5 * 60_000;
+
+export type GateKind = 'plan_approval' | 'verification_review' | 'blocker' | 'budget';
+
+/** Decisions taken when no client answers in time — the runner's own auto-approve choices, except budget. */
+export const DEFAULT_GATE_DECISIONS: Record<GateKind, string> = {
+  plan_approval: 'approve',
+  verification_review: 'accept',
+  blocker: 'skip',
+  budget: 'stop',
+};
+
+const GATE_OPTIONS: Record<GateKind, string[]> = {
+  plan_approval: ['approve', 'reject'],
+  verification_review: ['accept', 'reject', 'retry'],
+  blocker: ['retry', 'skip', 'stop'],
+  budget: ['continue', 'stop'],
+};
+
+export interface GateRequest {
+  type: 'gate_request';
+  id: string;
+  gate: GateKind;
+  phaseNumber: string;
+  /** The payload the runner passed to the callback. */
+  context: unknown;
+  options: string[];
+  defaultDecision: string;
+  timeoutMs: number;
+  timestamp: string;
+}
+
+export interface GateResolved {
+  type: 'gate_resolved';
+  id: string;
+  decision: string;
+  /** `client` — answered; `timeout` — default applied; `closed` — transport shut down first. */
+  source: 'client' | 'timeout' | 'closed';
+}
 
 export interface WSTransportOptions {
   port: number;
+  /**
+   * Interface to bind. Default: `127.0.0.1`, so only local clients can
+   * connect; a UI on another machine needs an explicit host such as
+   * `0.0.0.0`. Browser clients must still come from a local origin.
+   */
+  host?: string;
+  /** Require this bearer token on every connection. */
+  token?: string;
+  /** How long a gate waits for a client reply. Default: 5 minutes. */
+  gateTimeoutMs?: number;
+  /** Hold gates for the full timeout even when no client is connected, so a late client can answer. Default: false. */
+  waitForClients?: boolean;
+  /** Override the per-gate default decisions. */
+  gateDefaults?: Partial<Record<GateKind, string>>;
+}
+
+interface PendingGate {
+  request: GateRequest;
+  resolve: (decision: string) => void;
+  timer: NodeJS.Timeout;
 }
 
 export class WSTransport implements TransportHandler {
   private readonly port: number;
+  private readonly host: string;
+  private readonly token?: Buffer;
+  private readonly gateTimeoutMs: number;
+  private readonly waitForClients: boolean;
+  private readonly gateDefaults: Record<GateKind, string>;
+  private readonly pendingGates = new Map<string, PendingGate>();
   private server: WebSocketServer | null = null;
   private closing = false;
+  private nextGateId = 1;
 
   constructor(options: WSTransportOptions) {
     this.port = options.port;
+    this.host = options.host ?? '127.0.0.1';
+    this.token = options.token ? Buffer.from(options.token) : undefined;
+    this.gateTimeoutMs = options.gateTimeoutMs ?? DEFAULT_GATE_TIMEOUT_MS;
+    this.waitForClients = options.waitForClients ?? false;
+    this.gateDefaults = { ...DEFAULT_GATE_DECISIONS, ...options.gateDefaults };
   }
 
   /**
@@ -30,7 +127,8 @@ export class WSTransport implements TransportHandler {
 
     return new Promise<void>((resolve, reject) => {
       try {
-        this.server = new WebSocketServer({ port: this.port });
+        this.server = new WebSocketServer({ port: this.port, host: this.host, verifyClient: this.verifyClient });
+        this.server.on('connection', (client) => this.onConnection(client));
         this.server.on('listening', () => resolve());
         this.server.on('error', (err) => reject(err));
       } catch (err) {
@@ -63,13 +161,35 @@ export class WSTransport implements TransportHandler {
     }
   }
 
+  /**
+   * Human gate callbacks answered over this socket. Each callback resolves
+   * with the first valid client decision, or the gate's default on timeout
+   * or when nobody is connected to answer.
+   */
+  gateCallbacks(): HumanGateCallbacks {
+    return {
+      onPlanApproval: (plan) => this.requestGate('plan_approval', plan.phaseNumber, plan) as Promise<'approve' | 'reject'>,
+      onVerificationReview: (review) =>
+        this.requestGate('verification_review', review.phaseNumber, review) as Promise<'accept' | 'reject' | 'retry'>,
+      onBlockerDecision: (blocker) =>
+        this.requestGate('blocker', blocker.phaseNumber, blocker, blocker.defaultDecision) as Promise<'retry' | 'skip' | 'stop'>,
+      onBudgetExceeded: (budget) => this.requestGate('budget', budget.phaseNumber, budget) as Promise<'continue' | 'stop'>,
+    };
+  }
+
   /**
    * Close all client connections and shut down the server.
-   * Safe to call before start() — sets a closing flag.
+   * Safe to call before start() — sets a closing flag. Open gates resolve
+   * with their default decision.
    */
   close(): void {
     this.closing = true;
 
+    for (const id of [...this.pendingGates.keys()]) {
+      const pending = this.pendingGates.get(id)!;
+      this.resolveGate(id, pending.request.defaultDecision, 'closed');
+    }
+
     if (!this.server) return;
 
     // Terminate all clients
@@ -90,4 +210,118 @@ export class WSTransport implements TransportHandler {
 
     this.server = null;
   }
+
+  // ─── Handshake ─────────────────────────────────────────────────────
+
+  /** Accept only local origins (or none, for non-browser clients) carrying the token when one is set. */
+  private readonly verifyClient: VerifyClientCallbackSync = ({ origin, req }) => {
+    if (origin && !isLocalOrigin(origin)) return false;
+    if (!this.token) return true;
+
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    const header = req.headers.authorization;
+    const presented = header?.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : url.searchParams.get('token');
+    if (!presented) return false;
+
+    const candidate = Buffer.from(presented);
+    return candidate.length === this.token.length && timingSafeEqual(candidate, this.token);
+  };
+
+  // ─── Gate handling ─────────────────────────────────────────────────
+
+  /** `defaultDecision` — the runner's own default for this gate, which wins over the transport's. */
+  private requestGate(gate: GateKind, phaseNumber: string, context: unknown, defaultDecision = this.gateDefaults[gate]): Promise<string> {
+    if (this.closing) return Promise.resolve(defaultDecision);
+
+    const request: GateRequest = {
+      type: 'gate_request',
+      id: `gate-${this.nextGateId++}`,
+      gate,
+      phaseNumber,
+      context,
+      options: GATE_OPTIONS[gate],
+      defaultDecision,
+      timeoutMs: this.gateTimeoutMs,
+      timestamp: new Date().toISOString(),
+    };
+
+    return new Promise<string>((resolve) => {
+      if (!this.waitForClients && (this.server?.clients.size ?? 0) === 0) {
+        resolve(defaultDecision);
+        return;
+      }
+      const timer = setTimeout(() => this.resolveGate(request.id, defaultDecision, 'timeout'), this.gateTimeoutMs);
+      this.pendingGates.set(request.id, { request, resolve, timer });
+      this.broadcast(request);
+    });
+  }
+
+  private resolveGate(id: string, decision: string, source: GateResolved['source']): void {
+    const pending = this.pendingGates.get(id);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingGates.delete(id);
+    this.broadcast({ type: 'gate_resolved', id, decision, source } satisfies GateResolved);
+    pending.resolve(decision);
+  }
+
+  /** Late joiners get every gate still waiting for an answer. */
+  private onConnection(client: WebSocket): void {
+    for (const { request } of this.pendingGates.values()) {
+      send(client, request);
+    }
+    client.on('message', (data) => this.onMessage(client, data));
+  }
+
+  private onMessage(client: WebSocket, data: RawData): void {
+    let message: { type?: unknown; id?: unknown; decision?: unknown };
+    try {
+      message = JSON.parse(data.toString()) as typeof message;
+    } catch {
+      send(client, { type: 'gate_error', error: 'invalid JSON' });
+      return;
+    }
+    if (message?.type !== 'gate_response') {
+      send(client, { type: 'gate_error', error: 'expected a gate_response message' });
+      return;
+    }
+
+    const id = String(message.id);
+    const pending = this.pendingGates.get(id);
+    if (!pending) {
+      // Already answered by another client, timed out, or never existed
+      send(client, { type: 'gate_error', id, error: 'no open gate with this id' });
+      return;
+    }
+    if (typeof message.decision !== 'string' || !pending.request.options.includes(message.decision)) {
+      send(client, { type: 'gate_error', id, error: `decision must be one of: ${pending.request.options.join(', ')}` });
+      return;
+    }
+    this.resolveGate(id, message.decision, 'client');
+  }
+
+  private broadcast(message: unknown): void {
+    if (!this.server) return;
+    for (const client of this.server.clients) send(client, message);
+  }
+}
+
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+function isLocalOrigin(origin: string): boolean {
+  try {
+    return LOCAL_HOSTNAMES.has(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+function send(client: WebSocket, message: unknown): void {
+  if (client.readyState !== WebSocket.OPEN) return;
+  try {
+    client.send(JSON.stringify(message));
+  } catch {
+    // Ignore individual client send errors
+  }
 }